@@ -57,3 +57,40 @@ export const createServerClient = jest.fn(() => ({
     }),
   })),
 }))
+
+// Query builder methods that return the builder, as supabase-js does
+const CHAIN_METHODS = [
+  'select', 'insert', 'update', 'upsert', 'delete',
+  'eq', 'neq', 'not', 'is', 'in', 'lt', 'order', 'limit',
+]
+
+/**
+ * Chainable query builder resolving to `result`, whether it is awaited
+ * directly or ended with single() / maybeSingle()
+ * @param {Object} result - e.g. { data, error } or { count, error }
+ */
+export function mockQuery(result) {
+  const builder = {}
+  CHAIN_METHODS.forEach((method) => {
+    builder[method] = jest.fn(() => builder)
+  })
+  builder.single = jest.fn().mockResolvedValue(result)
+  builder.maybeSingle = jest.fn().mockResolvedValue(result)
+  builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  return builder
+}
+
+/**
+ * Client for auth lookups (lib/auth/permissions, lib/auth/withAuth): the
+ * signed-in user, their profile and their course_moderators assignments
+ */
+export function mockAuthClient({ user = { id: 'user-1' }, profile = null, assignments = [] } = {}) {
+  return {
+    auth: { getUser: jest.fn().mockResolvedValue({ data: { user }, error: null }) },
+    from: jest.fn((table) =>
+      table === 'profiles'
+        ? mockQuery({ data: profile, error: null })
+        : mockQuery({ data: assignments, error: null })
+    ),
+  }
+}
@@ -6,14 +6,31 @@
 import { POST, GET } from '@/app/api/admin/materials/[id]/delete/route';
 import { deleteFromR2 } from '@/lib/storage/r2-client';
 import { createClient, getServiceRoleClient } from '@/lib/supabase/server';
+import { getVersionFiles } from '@/lib/materials/versions';
 
 // Mock dependencies
 jest.mock('@/lib/storage/r2-client');
 jest.mock('@/lib/supabase/server');
+jest.mock('@/lib/storage/dedup', () => ({
+  isStoragePathShared: jest.fn().mockResolvedValue(false),
+}));
+jest.mock('@/lib/materials/versions', () => ({
+  getVersionFiles: jest.fn().mockResolvedValue([]),
+}));
 jest.mock('next/headers', () => ({
   cookies: jest.fn(() => Promise.resolve(new Map())),
 }));
 
+// Profile lookup in getAccess resolving to `profile`
+function profileQuery(profile) {
+  const builder = {
+    select: jest.fn(() => builder),
+    eq: jest.fn(() => builder),
+    single: jest.fn().mockResolvedValue({ data: profile, error: null }),
+  };
+  return builder;
+}
+
 describe('/api/admin/materials/[id]/delete', () => {
   let mockSupabaseClient;
   let mockServiceRoleClient;
@@ -62,13 +79,7 @@ describe('/api/admin/materials/[id]/delete', () => {
 
     mockSupabaseClient.from.mockImplementation((table) => {
       if (table === 'profiles') {
-        return {
-          ...mockSupabaseClient,
-          single: jest.fn().mockResolvedValue({
-            data: { role: 'admin', full_name: 'Admin User' },
-            error: null,
-          }),
-        };
+        return profileQuery({ role: 'admin', full_name: 'Admin User' });
       }
       return mockSupabaseClient;
     });
@@ -80,6 +91,26 @@ describe('/api/admin/materials/[id]/delete', () => {
     mockParams = { id: 'material-123' };
   });
 
+  // Signed in as a class rep moderating the given courses
+  function mockCourseModerator(courseIds) {
+    mockSupabaseClient.from.mockImplementation((table) => {
+      if (table === 'profiles') {
+        return profileQuery({ role: 'class_rep', full_name: 'Class Rep' });
+      }
+      if (table === 'course_moderators') {
+        return {
+          select: () => ({
+            eq: () => Promise.resolve({
+              data: courseIds.map((course_id) => ({ course_id })),
+              error: null,
+            }),
+          }),
+        };
+      }
+      return mockSupabaseClient;
+    });
+  }
+
   describe('POST - Hard Delete with Physical File Removal', () => {
     test('should delete file from R2 storage on hard delete', async () => {
       const material = {
@@ -119,6 +150,40 @@ describe('/api/admin/materials/[id]/delete', () => {
       expect(deleteFromR2).toHaveBeenCalledTimes(1);
     });
 
+    test('should delete earlier versions of the file on hard delete', async () => {
+      mockSupabaseClient.single.mockResolvedValue({
+        data: {
+          id: 'material-123',
+          title: 'Test PDF',
+          storage_location: 'r2',
+          storage_path: 'uploads/2-b/notes-v2.pdf',
+          courses: { course_name: 'Computer Science' },
+        },
+        error: null,
+      });
+      getVersionFiles.mockResolvedValueOnce([
+        { storage_location: 'r2', storage_path: 'uploads/2-b/notes-v2.pdf' },
+        { storage_location: 'r2', storage_path: 'uploads/1-a/notes.pdf' },
+      ]);
+      mockServiceRoleClient.eq.mockResolvedValue({ error: null });
+
+      mockRequest.json.mockResolvedValue({
+        deletionType: 'hard',
+        reason: 'Incorrect content uploaded by mistake',
+      });
+
+      const response = await POST(mockRequest, { params: mockParams });
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.success).toBe(true);
+      expect(getVersionFiles).toHaveBeenCalledWith(mockServiceRoleClient, 'material-123');
+      // The current file is also the latest version - removed once
+      expect(deleteFromR2).toHaveBeenCalledWith('uploads/2-b/notes-v2.pdf');
+      expect(deleteFromR2).toHaveBeenCalledWith('uploads/1-a/notes.pdf');
+      expect(deleteFromR2).toHaveBeenCalledTimes(2);
+    });
+
     test('should delete file from Supabase storage on hard delete', async () => {
       const material = {
         id: 'material-123',
@@ -320,13 +385,7 @@ describe('/api/admin/materials/[id]/delete', () => {
     test('should reject non-admin users', async () => {
       mockSupabaseClient.from.mockImplementation((table) => {
         if (table === 'profiles') {
-          return {
-            ...mockSupabaseClient,
-            single: jest.fn().mockResolvedValue({
-              data: { role: 'student', full_name: 'Student User' },
-              error: null,
-            }),
-          };
+          return profileQuery({ role: 'student', full_name: 'Student User' });
         }
         return mockSupabaseClient;
       });
@@ -340,7 +399,42 @@ describe('/api/admin/materials/[id]/delete', () => {
       const data = await response.json();
 
       expect(response.status).toBe(403);
-      expect(data.error).toBe('Admin access required');
+      expect(data.error).toBe('Moderator access required');
+    });
+
+    test('should not let course moderators hard delete', async () => {
+      mockCourseModerator(['course-1']);
+
+      mockRequest.json.mockResolvedValue({
+        deletionType: 'hard',
+        reason: 'Testing authorization',
+      });
+
+      const response = await POST(mockRequest, { params: mockParams });
+      const data = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(data.details).toBe('Only admins can permanently delete materials');
+    });
+
+    test('should only let course moderators delete in their own courses', async () => {
+      mockCourseModerator(['course-1']);
+      mockSupabaseClient.single.mockResolvedValue({
+        data: { id: 'material-123', title: 'Test PDF', course_id: 'course-2' },
+        error: null,
+      });
+
+      mockRequest.json.mockResolvedValue({
+        deletionType: 'soft',
+        reason: 'Testing authorization',
+      });
+
+      const response = await POST(mockRequest, { params: mockParams });
+      const data = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(data.error).toBe('You can only moderate courses you are assigned to');
+      expect(mockServiceRoleClient.update).not.toHaveBeenCalled();
     });
 
     test('should validate deletion type', async () => {
@@ -520,16 +614,10 @@ describe('/api/admin/materials/[id]/delete', () => {
       expect(data.warnings.highViews).toBe(true);
     });
 
-    test('should require admin access for impact check', async () => {
+    test('should require moderator access for impact check', async () => {
       mockSupabaseClient.from.mockImplementation((table) => {
         if (table === 'profiles') {
-          return {
-            ...mockSupabaseClient,
-            single: jest.fn().mockResolvedValue({
-              data: { role: 'student' },
-              error: null,
-            }),
-          };
+          return profileQuery({ role: 'student' });
         }
         return mockSupabaseClient;
       });
@@ -538,7 +626,7 @@ describe('/api/admin/materials/[id]/delete', () => {
       const data = await response.json();
 
       expect(response.status).toBe(403);
-      expect(data.error).toBe('Admin access required');
+      expect(data.error).toBe('Moderator access required');
     });
   });
 });
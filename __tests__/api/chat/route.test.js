@@ -0,0 +1,94 @@
+/**
+ * Tests for asking the AI tutor
+ * Which course a question is answered from
+ */
+
+import { ReadableStream } from 'stream/web'
+import { POST } from '@/app/api/chat/route'
+import { createClient, getServiceRoleClient } from '@/lib/supabase/server'
+import { getOrCreateThread, getThreadHistory, appendChatMessage } from '@/lib/utils/chatThreads'
+import { retrieveChunks } from '@/lib/ai/tutor'
+import { mockAuthClient } from '@/__mocks__/supabase'
+
+jest.mock('next/headers', () => ({
+  cookies: jest.fn(() => Promise.resolve(new Map())),
+}))
+jest.mock('@/lib/supabase/server')
+jest.mock('@upstash/redis', () => ({ Redis: jest.fn() }))
+jest.mock('@/lib/subscriptions', () => ({
+  getActiveSubscriptionTier: jest.fn().mockResolvedValue('free'),
+}))
+jest.mock('@/lib/utils/questionQuota', () => ({
+  ...jest.requireActual('@/lib/utils/questionQuota'),
+  getQuestionQuota: jest.fn().mockResolvedValue({ allowed: true, quota: { used: 0, limit: 5 } }),
+  consumeQuestion: jest.fn().mockResolvedValue({ allowed: true, quota: { used: 1, limit: 5 } }),
+}))
+jest.mock('@/lib/utils/chatThreads', () => ({
+  getOrCreateThread: jest.fn(),
+  getThreadHistory: jest.fn(),
+  appendChatMessage: jest.fn(),
+}))
+jest.mock('@/lib/ai', () => ({
+  isAIConfigured: jest.fn(() => true),
+}))
+jest.mock('@/lib/ai/tutor', () => ({
+  retrieveChunks: jest.fn(),
+  streamTutorAnswer: jest.fn(),
+  toSources: jest.fn(() => []),
+}))
+
+// Answers stream as server-sent events; jsdom has no ReadableStream
+if (typeof global.ReadableStream === 'undefined') {
+  global.ReadableStream = ReadableStream
+}
+
+function post(body) {
+  const request = {
+    method: 'POST',
+    url: 'http://localhost/api/chat',
+    headers: new Map(),
+    json: jest.fn().mockResolvedValue(body),
+  }
+  return POST(request, { params: Promise.resolve({}) })
+}
+
+describe('POST /api/chat', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    createClient.mockReturnValue(mockAuthClient({ profile: { id: 'user-1', role: 'student' } }))
+    getServiceRoleClient.mockReturnValue({})
+    getThreadHistory.mockResolvedValue([{ role: 'user', content: 'What is entropy?' }])
+    appendChatMessage.mockResolvedValue({ id: 'message-1' })
+    retrieveChunks.mockResolvedValue([])
+  })
+
+  it('should answer follow-ups from the thread\'s course, not the one in the body', async () => {
+    getOrCreateThread.mockResolvedValue({ id: 'thread-1', course_id: 'course-1' })
+
+    const response = await post({ question: 'And in a closed system?', threadId: 'thread-1', courseId: 'course-2' })
+
+    expect(response.status).toBe(200)
+    expect(retrieveChunks).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ courseId: 'course-1' }))
+  })
+
+  it('should start new threads in the requested course', async () => {
+    getOrCreateThread.mockResolvedValue({ id: 'thread-2', course_id: 'course-2' })
+
+    const response = await post({ question: 'What is entropy?', courseId: 'course-2' })
+
+    expect(getOrCreateThread).toHaveBeenCalledWith(
+      expect.any(Object),
+      expect.objectContaining({ courseId: 'course-2', threadId: undefined })
+    )
+    expect(retrieveChunks).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ courseId: 'course-2' }))
+  })
+
+  it('should not answer in threads the caller does not own', async () => {
+    getOrCreateThread.mockResolvedValue(null)
+
+    const response = await post({ question: 'What is entropy?', threadId: 'someone-elses', courseId: 'course-1' })
+
+    expect(response.status).toBe(404)
+    expect(retrieveChunks).not.toHaveBeenCalled()
+  })
+})
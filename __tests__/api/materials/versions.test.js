@@ -0,0 +1,134 @@
+/**
+ * Tests for uploading a new version of a material
+ * Who may save a version, and which uploaded files may be deleted
+ */
+
+import { POST } from '@/app/api/materials/[id]/versions/route'
+import { createClient, getServiceRoleClient } from '@/lib/supabase/server'
+import { deleteFromR2 } from '@/lib/storage/r2-client'
+import { hashR2Object, isStoragePathShared } from '@/lib/storage/dedup'
+import { addMaterialVersion } from '@/lib/materials/versions'
+import { mockAuthClient, mockQuery } from '@/__mocks__/supabase'
+
+jest.mock('next/headers', () => ({
+  cookies: jest.fn(() => Promise.resolve(new Map())),
+}))
+jest.mock('@/lib/supabase/server')
+jest.mock('@/lib/storage/r2-client')
+jest.mock('@/lib/storage/dedup', () => ({
+  ...jest.requireActual('@/lib/storage/dedup'),
+  hashR2Object: jest.fn(),
+  findMaterialsByHash: jest.fn().mockResolvedValue([]),
+  isStoragePathShared: jest.fn(),
+}))
+jest.mock('@/lib/materials/versions', () => ({
+  ...jest.requireActual('@/lib/materials/versions'),
+  addMaterialVersion: jest.fn(),
+}))
+jest.mock('@/lib/embeddings/schedule', () => ({
+  scheduleMaterialIndexing: jest.fn(),
+}))
+jest.mock('@/lib/thumbnails/schedule', () => ({
+  scheduleThumbnail: jest.fn(),
+}))
+
+const UPLOADER = '0b6f2a1e-4c3d-4e5f-8a9b-1c2d3e4f5a6b'
+const OTHER_USER = '9d8c7b6a-5f4e-4d3c-8b2a-1f0e9d8c7b6a'
+const OWN_KEY = `uploads/${UPLOADER}/1700000000000-abc123/notes-v2.pdf`
+
+const material = {
+  id: 'material-1',
+  title: 'Week 3 notes',
+  course_id: 'course-1',
+  user_id: UPLOADER,
+  status: 'approved',
+  content_hash: 'a'.repeat(64),
+  deleted_at: null,
+}
+
+function signIn(userId, role = 'student') {
+  createClient.mockReturnValue(mockAuthClient({ user: { id: userId }, profile: { id: userId, role } }))
+}
+
+function post(body) {
+  const request = {
+    method: 'POST',
+    url: 'http://localhost/api/materials/material-1/versions',
+    headers: new Map(),
+    json: jest.fn().mockResolvedValue(body),
+  }
+  return POST(request, { params: Promise.resolve({ id: 'material-1' }) })
+}
+
+describe('POST /api/materials/[id]/versions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    signIn(UPLOADER)
+    getServiceRoleClient.mockReturnValue({ from: jest.fn(() => mockQuery({ data: material, error: null })) })
+    isStoragePathShared.mockResolvedValue(false)
+    hashR2Object.mockResolvedValue('b'.repeat(64))
+    addMaterialVersion.mockResolvedValue({ version_number: 2 })
+  })
+
+  it('should leave the file alone when the material is missing', async () => {
+    getServiceRoleClient.mockReturnValue({ from: jest.fn(() => mockQuery({ data: null, error: null })) })
+
+    const response = await post({ key: OWN_KEY })
+
+    expect(response.status).toBe(404)
+    expect(deleteFromR2).not.toHaveBeenCalled()
+  })
+
+  it('should leave the file alone when the caller cannot revise the material', async () => {
+    signIn(OTHER_USER)
+
+    const response = await post({ key: `uploads/${OTHER_USER}/1700000000000-abc123/notes.pdf` })
+
+    expect(response.status).toBe(403)
+    expect(hashR2Object).not.toHaveBeenCalled()
+    expect(deleteFromR2).not.toHaveBeenCalled()
+  })
+
+  it('should refuse keys handed out to someone else', async () => {
+    signIn(OTHER_USER, 'admin')
+
+    const response = await post({ key: OWN_KEY, contentHash: 'c'.repeat(64) })
+    const data = await response.json()
+
+    expect(response.status).toBe(403)
+    expect(data.error).toBe('You can only save files you uploaded')
+    expect(deleteFromR2).not.toHaveBeenCalled()
+  })
+
+  it('should refuse files a material or version already uses', async () => {
+    isStoragePathShared.mockResolvedValue(true)
+
+    const response = await post({ key: OWN_KEY, contentHash: 'c'.repeat(64) })
+
+    expect(response.status).toBe(409)
+    expect(isStoragePathShared).toHaveBeenCalledWith(expect.any(Object), OWN_KEY)
+    expect(deleteFromR2).not.toHaveBeenCalled()
+  })
+
+  it('should delete the caller\'s own upload when it does not match the selected file', async () => {
+    const response = await post({ key: OWN_KEY, contentHash: 'c'.repeat(64) })
+
+    expect(response.status).toBe(400)
+    expect(deleteFromR2).toHaveBeenCalledWith(OWN_KEY)
+  })
+
+  it('should save the caller\'s own upload as the new version', async () => {
+    const response = await post({ key: OWN_KEY, contentType: 'application/pdf', changeNote: 'Fixed page 2' })
+    const data = await response.json()
+
+    expect(response.status).toBe(200)
+    expect(data.material.current_version).toBe(2)
+    expect(addMaterialVersion).toHaveBeenCalledWith(
+      expect.any(Object),
+      'material-1',
+      expect.objectContaining({ storage_path: OWN_KEY, content_hash: 'b'.repeat(64) }),
+      expect.objectContaining({ changeNote: 'Fixed page 2', userId: UPLOADER })
+    )
+    expect(deleteFromR2).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,108 @@
+/**
+ * Tests for the M-Pesa payment callback
+ * Callback secret and the amount check before a subscription is activated
+ */
+
+import { POST } from '@/app/api/subscriptions/callback/route'
+import { getServiceRoleClient } from '@/lib/supabase/server'
+import { completePayment } from '@/lib/subscriptions'
+import { mockQuery } from '@/__mocks__/supabase'
+
+jest.mock('@/lib/supabase/server')
+jest.mock('@/lib/subscriptions', () => ({
+  completePayment: jest.fn().mockResolvedValue({ processed: true, status: 'completed', subscription: null }),
+}))
+
+const payment = { id: 'payment-1', user_id: 'user-1', amount: 100, status: 'pending' }
+
+function callback(amount) {
+  return {
+    Body: {
+      stkCallback: {
+        MerchantRequestID: 'merchant-1',
+        CheckoutRequestID: 'ws_CO_1',
+        ResultCode: 0,
+        ResultDesc: 'The service request is processed successfully.',
+        CallbackMetadata: {
+          Item: [
+            { Name: 'Amount', Value: amount },
+            { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+            { Name: 'PhoneNumber', Value: 254712345678 },
+          ],
+        },
+      },
+    },
+  }
+}
+
+function post(body, token = 's3cret') {
+  return POST({
+    url: `http://localhost/api/subscriptions/callback?token=${token}`,
+    json: jest.fn().mockResolvedValue(body),
+  })
+}
+
+describe('POST /api/subscriptions/callback', () => {
+  const originalSecret = process.env.MPESA_CALLBACK_SECRET
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    process.env.MPESA_CALLBACK_SECRET = 's3cret'
+    getServiceRoleClient.mockReturnValue({ from: jest.fn(() => mockQuery({ data: payment, error: null })) })
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    console.error.mockRestore()
+    console.log.mockRestore()
+  })
+
+  afterAll(() => {
+    if (originalSecret === undefined) delete process.env.MPESA_CALLBACK_SECRET
+    else process.env.MPESA_CALLBACK_SECRET = originalSecret
+  })
+
+  it('should refuse callbacks when the secret is not set', async () => {
+    delete process.env.MPESA_CALLBACK_SECRET
+
+    const response = await post(callback(100), 'undefined')
+
+    expect(response.status).toBe(503)
+    expect(completePayment).not.toHaveBeenCalled()
+  })
+
+  it('should refuse callbacks with the wrong token', async () => {
+    const response = await post(callback(100), 'guess')
+
+    expect(response.status).toBe(401)
+    expect(completePayment).not.toHaveBeenCalled()
+  })
+
+  it('should apply a payment for the full amount', async () => {
+    const response = await post(callback(100))
+
+    expect(response.status).toBe(200)
+    expect(completePayment).toHaveBeenCalledWith(
+      expect.any(Object),
+      payment,
+      expect.objectContaining({ success: true, receiptNumber: 'NLJ7RT61SV' }),
+      expect.any(Object)
+    )
+  })
+
+  it('should record a payment for the wrong amount as failed', async () => {
+    const response = await post(callback(1))
+
+    expect(response.status).toBe(200)
+    expect(completePayment).toHaveBeenCalledWith(
+      expect.any(Object),
+      payment,
+      expect.objectContaining({
+        success: false,
+        resultDescription: 'Amount paid (KES 1) does not match the plan price (KES 100)',
+      }),
+      expect.any(Object)
+    )
+  })
+})
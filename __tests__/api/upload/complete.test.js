@@ -1,10 +1,25 @@
 import { POST } from '@/app/api/upload/complete/route'
-import { getServiceRoleClient } from '@/lib/supabase/server'
-import { createClient } from '@supabase/supabase-js'
+import { getServiceRoleClient, createClient } from '@/lib/supabase/server'
+import { resolveInitialStatus } from '@/lib/moderation/policy'
+import { deleteFromR2 } from '@/lib/storage/r2-client'
+import { hashR2Object, findMaterialsByHash, isStoragePathShared } from '@/lib/storage/dedup'
 
 // Mock dependencies
+jest.mock('next/headers', () => ({
+  cookies: jest.fn(() => Promise.resolve(new Map()))
+}))
 jest.mock('@/lib/supabase/server')
-jest.mock('@supabase/supabase-js')
+jest.mock('@/lib/moderation/policy', () => ({
+  ...jest.requireActual('@/lib/moderation/policy'),
+  resolveInitialStatus: jest.fn().mockResolvedValue({ status: 'approved', reason: 'trusted_uploader' }),
+}))
+jest.mock('@/lib/storage/r2-client')
+jest.mock('@/lib/storage/dedup', () => ({
+  ...jest.requireActual('@/lib/storage/dedup'),
+  hashR2Object: jest.fn().mockResolvedValue('a'.repeat(64)),
+  findMaterialsByHash: jest.fn().mockResolvedValue([]),
+  isStoragePathShared: jest.fn().mockResolvedValue(false),
+}))
 
 describe('/api/upload/complete', () => {
   let mockRequest
@@ -65,6 +80,10 @@ describe('/api/upload/complete', () => {
     }
 
     createClient.mockReturnValue(mockSupabaseUser)
+    resolveInitialStatus.mockResolvedValue({ status: 'approved', reason: 'trusted_uploader' })
+    hashR2Object.mockResolvedValue('a'.repeat(64))
+    findMaterialsByHash.mockResolvedValue([])
+    isStoragePathShared.mockResolvedValue(false)
 
     mockRequest = {
       json: jest.fn(),
@@ -72,7 +91,6 @@ describe('/api/upload/complete', () => {
         ['cookie', 'auth_token=test']
       ])
     }
-    mockRequest.headers.get = (key) => mockRequest.headers.get(key) || null
   })
 
   describe('Success Cases', () => {
@@ -434,4 +452,89 @@ describe('/api/upload/complete', () => {
       expect(insertCall[0].storage_location).toBe('r2')
     })
   })
+
+  describe('Upload Keys', () => {
+    const body = {
+      key: 'uploads/1234567-abc/test.pdf',
+      fileName: 'test.pdf',
+      fileSize: 5242880,
+      contentType: 'application/pdf',
+      courseId: 'course-123',
+      title: 'Test'
+    }
+
+    test('should reject keys that are not upload keys', async () => {
+      mockRequest.json.mockResolvedValue({ ...body, key: 'thumbnails/material-1.webp' })
+
+      const response = await POST(mockRequest)
+
+      expect(response.status).toBe(400)
+      expect(hashR2Object).not.toHaveBeenCalled()
+      expect(deleteFromR2).not.toHaveBeenCalled()
+    })
+
+    test('should never delete a saved material\'s file', async () => {
+      isStoragePathShared.mockResolvedValue(true)
+      mockRequest.json.mockResolvedValue({ ...body, contentHash: 'b'.repeat(64) })
+
+      const response = await POST(mockRequest)
+      const data = await response.json()
+
+      expect(response.status).toBe(409)
+      expect(data.error).toBe('This file belongs to a saved material')
+      expect(isStoragePathShared).toHaveBeenCalledWith(mockSupabaseService, body.key)
+      expect(deleteFromR2).not.toHaveBeenCalled()
+    })
+
+    test('should delete a fresh upload that does not match the selected file', async () => {
+      mockRequest.json.mockResolvedValue({ ...body, contentHash: 'b'.repeat(64) })
+
+      const response = await POST(mockRequest)
+
+      expect(response.status).toBe(400)
+      expect(deleteFromR2).toHaveBeenCalledWith(body.key)
+    })
+  })
+
+  describe('Duplicates', () => {
+    const body = {
+      key: 'uploads/1234567-abc/test.pdf',
+      fileName: 'test.pdf',
+      fileSize: 5242880,
+      contentType: 'application/pdf',
+      courseId: 'course-123',
+      title: 'Test'
+    }
+
+    const existing = (extra) => ({
+      id: 'material-1',
+      title: 'Week 3 notes',
+      course_id: 'course-123',
+      storage_path: 'uploads/1-a/notes.pdf',
+      ...extra
+    })
+
+    test('should link to an approved copy in the course', async () => {
+      findMaterialsByHash.mockResolvedValue([existing({ status: 'approved', user_id: 'user-9' })])
+      mockRequest.json.mockResolvedValue(body)
+
+      const response = await POST(mockRequest)
+      const data = await response.json()
+
+      expect(response.status).toBe(409)
+      expect(data.duplicate).toMatchObject({ id: 'material-1', title: 'Week 3 notes' })
+      expect(deleteFromR2).toHaveBeenCalledWith(body.key)
+    })
+
+    test('should not reveal someone else\'s upload awaiting review', async () => {
+      findMaterialsByHash.mockResolvedValue([existing({ status: 'pending', user_id: 'user-9' })])
+      mockRequest.json.mockResolvedValue(body)
+
+      const response = await POST(mockRequest)
+      const data = await response.json()
+
+      expect(response.status).toBe(409)
+      expect(data).toEqual({ error: 'This file is already awaiting review in this course' })
+    })
+  })
 })
@@ -12,6 +12,9 @@ import { useRouter, useParams } from 'next/navigation';
 // Mock dependencies
 jest.mock('@/lib/supabase/client');
 jest.mock('next/navigation');
+jest.mock('@/lib/providers/ModerationAccessProvider', () => ({
+  useModerationAccess: () => ({ isAdmin: true, courseIds: [] }),
+}));
 jest.mock('@/components/admin/DeletionModal', () => {
   return function MockDeletionModal({ isOpen, onClose, onSuccess, materialId, materialTitle }) {
     if (!isOpen) return null;
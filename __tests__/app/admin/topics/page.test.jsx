@@ -12,6 +12,9 @@ import { useRouter } from 'next/navigation';
 // Mock dependencies
 jest.mock('@/lib/supabase/client');
 jest.mock('next/navigation');
+jest.mock('@/lib/providers/ModerationAccessProvider', () => ({
+  useModerationAccess: () => ({ isAdmin: true, courseIds: [] }),
+}));
 jest.mock('@/components/admin/ConfirmModal', () => {
   return function MockConfirmModal({ isOpen, onClose, onConfirm, title, message }) {
     if (!isOpen) return null;
@@ -427,7 +430,10 @@ describe('Manage Topics Page - Clickable Topics', () => {
 
     test('should delete topic when confirmed', async () => {
       const user = userEvent.setup();
-      mockSupabase.delete.mockResolvedValue({ error: null });
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ success: true }),
+      });
 
       render(<ManageTopicsPage />);
 
@@ -446,7 +452,10 @@ describe('Manage Topics Page - Clickable Topics', () => {
       await user.click(confirmButton);
 
       await waitFor(() => {
-        expect(mockSupabase.delete).toHaveBeenCalled();
+        expect(global.fetch).toHaveBeenCalledWith(
+          '/api/admin/topics/topic-2',
+          expect.objectContaining({ method: 'DELETE' })
+        );
       });
     });
   });
@@ -0,0 +1,125 @@
+/**
+ * Tests for the AI provider layer
+ * Model selection, embedding size checks and provider-specific message formats
+ */
+
+import { getModelConfig, EMBEDDING_DIMENSIONS } from '@/lib/ai/config'
+import { getAIProvider, createEmbeddings, generateChat } from '@/lib/ai'
+import fakeProvider, { fakeEmbedding } from '@/lib/ai/fake'
+import { toGeminiHistory } from '@/lib/ai/gemini'
+import { toOpenAIMessages } from '@/lib/ai/openai'
+
+const AI_ENV = ['AI_EMBEDDING_PROVIDER', 'AI_EMBEDDING_MODEL', 'AI_CHAT_PROVIDER', 'AI_CHAT_MODEL']
+
+describe('AI providers', () => {
+  const originalEnv = {}
+
+  beforeEach(() => {
+    AI_ENV.forEach((key) => {
+      originalEnv[key] = process.env[key]
+      delete process.env[key]
+    })
+  })
+
+  afterEach(() => {
+    AI_ENV.forEach((key) => {
+      if (originalEnv[key] === undefined) delete process.env[key]
+      else process.env[key] = originalEnv[key]
+    })
+  })
+
+  describe('getModelConfig', () => {
+    it('should default to OpenAI embeddings and Gemini chat', () => {
+      expect(getModelConfig('embedding')).toEqual({ provider: 'openai', model: 'text-embedding-3-small' })
+      expect(getModelConfig('chat')).toEqual({ provider: 'gemini', model: 'gemini-2.0-flash-exp' })
+    })
+
+    it('should use the provider default model unless one is set', () => {
+      process.env.AI_CHAT_PROVIDER = 'local'
+      expect(getModelConfig('chat')).toEqual({ provider: 'local', model: 'llama3.1' })
+
+      process.env.AI_CHAT_MODEL = 'qwen2.5:7b'
+      expect(getModelConfig('chat')).toEqual({ provider: 'local', model: 'qwen2.5:7b' })
+    })
+
+    it('should require an embedding model for the local provider', () => {
+      process.env.AI_EMBEDDING_PROVIDER = 'local'
+      expect(() => getModelConfig('embedding')).toThrow('Set AI_EMBEDDING_MODEL')
+
+      process.env.AI_EMBEDDING_MODEL = 'gte-qwen2-1.5b-instruct'
+      expect(getModelConfig('embedding')).toEqual({ provider: 'local', model: 'gte-qwen2-1.5b-instruct' })
+    })
+  })
+
+  describe('getAIProvider', () => {
+    it('should reject unknown providers', () => {
+      process.env.AI_CHAT_PROVIDER = 'watson'
+      expect(() => getAIProvider('chat')).toThrow('Unknown AI provider: watson')
+    })
+  })
+
+  describe('createEmbeddings', () => {
+    it('should return one vector per text from the configured provider', async () => {
+      process.env.AI_EMBEDDING_PROVIDER = 'fake'
+
+      const embeddings = await createEmbeddings(['limits', 'derivatives'])
+
+      expect(embeddings).toHaveLength(2)
+      expect(embeddings[0]).toHaveLength(EMBEDDING_DIMENSIONS)
+    })
+
+    it('should reject embeddings that do not fit the vector column', async () => {
+      process.env.AI_EMBEDDING_PROVIDER = 'fake'
+      const embed = jest.spyOn(fakeProvider, 'embed').mockResolvedValue([[0.1, 0.2]])
+
+      await expect(createEmbeddings(['limits'])).rejects.toThrow('fake/fake-embedding returned 2-dimensional embeddings')
+      embed.mockRestore()
+    })
+  })
+
+  describe('fake provider', () => {
+    const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0)
+
+    it('should embed deterministically with word overlap as similarity', () => {
+      const limits = fakeEmbedding('The limit of a function')
+
+      expect(fakeEmbedding('The limit of a function')).toEqual(limits)
+      expect(cosine(limits, fakeEmbedding('limit of the function'))).toBeGreaterThan(
+        cosine(limits, fakeEmbedding('photosynthesis in plants'))
+      )
+    })
+
+    it('should stream the message back', async () => {
+      process.env.AI_CHAT_PROVIDER = 'fake'
+
+      expect(await generateChat({ message: 'What is a limit?' })).toBe('[fake-chat] What is a limit?')
+    })
+  })
+
+  describe('message formats', () => {
+    const history = [
+      { role: 'assistant', content: 'Welcome' },
+      { role: 'user', content: 'Q1' },
+      { role: 'user', content: 'Q1 again' },
+      { role: 'assistant', content: 'A1' },
+      { role: 'user', content: 'Q2 (failed)' },
+    ]
+
+    it('should start Gemini history with the user, alternate roles and drop the trailing question', () => {
+      expect(toGeminiHistory(history)).toEqual([
+        { role: 'user', parts: [{ text: 'Q1\n\nQ1 again' }] },
+        { role: 'model', parts: [{ text: 'A1' }] },
+      ])
+    })
+
+    it('should put the system prompt first for OpenAI-compatible APIs', () => {
+      const messages = toOpenAIMessages({ system: 'Be brief', history: history.slice(3, 4), message: 'Q2' })
+
+      expect(messages).toEqual([
+        { role: 'system', content: 'Be brief' },
+        { role: 'assistant', content: 'A1' },
+        { role: 'user', content: 'Q2' },
+      ])
+    })
+  })
+})
@@ -0,0 +1,87 @@
+/**
+ * Tests for the course AI tutor (RAG) flow
+ * Runs end to end on the fake provider - no network
+ */
+
+import { retrieveChunks, streamTutorAnswer, toSources, formatSourceLocation, MATCH_THRESHOLD } from '@/lib/ai/tutor'
+import { fakeEmbedding } from '@/lib/ai/fake'
+
+const chunk = {
+  material_id: 'mat-1',
+  material_title: 'Calculus Notes',
+  chunk_text: 'The chain rule differentiates composite functions: (f(g(x)))\' = f\'(g(x))g\'(x).',
+  page_number: 3,
+  page_end: 4,
+  heading: '2.3 Chain Rule',
+  similarity: 0.82,
+}
+
+describe('AI tutor', () => {
+  const originalEnv = {
+    embedding: process.env.AI_EMBEDDING_PROVIDER,
+    chat: process.env.AI_CHAT_PROVIDER,
+  }
+
+  beforeAll(() => {
+    process.env.AI_EMBEDDING_PROVIDER = 'fake'
+    process.env.AI_CHAT_PROVIDER = 'fake'
+  })
+
+  afterAll(() => {
+    // Assigning undefined would store the string 'undefined'
+    if (originalEnv.embedding === undefined) delete process.env.AI_EMBEDDING_PROVIDER
+    else process.env.AI_EMBEDDING_PROVIDER = originalEnv.embedding
+    if (originalEnv.chat === undefined) delete process.env.AI_CHAT_PROVIDER
+    else process.env.AI_CHAT_PROVIDER = originalEnv.chat
+  })
+
+  it('should embed follow-ups with the previous question when retrieving', async () => {
+    const rpc = jest.fn().mockResolvedValue({ data: [chunk], error: null })
+    const history = [
+      { role: 'user', content: 'How does the chain rule work?' },
+      { role: 'assistant', content: 'Step 1... Step 2...' },
+    ]
+
+    const chunks = await retrieveChunks({ rpc }, { question: 'Explain step 2', history, courseId: 'course-1' })
+
+    expect(chunks).toEqual([chunk])
+    expect(rpc).toHaveBeenCalledWith('match_chunks', {
+      query_embedding: fakeEmbedding('How does the chain rule work?\nExplain step 2'),
+      match_threshold: MATCH_THRESHOLD,
+      match_count: 5,
+      filter_course_id: 'course-1',
+    })
+  })
+
+  it('should surface match_chunks errors', async () => {
+    const rpc = jest.fn().mockResolvedValue({ data: null, error: new Error('function match_chunks does not exist') })
+
+    await expect(retrieveChunks({ rpc }, { question: 'Q' })).rejects.toThrow('match_chunks')
+  })
+
+  it('should stream an answer prompted with cited excerpts', async () => {
+    let answer = ''
+    const tokens = []
+    for await (const text of streamTutorAnswer({ courseName: 'Calculus I', chunks: [chunk], question: 'What is the chain rule?' })) {
+      tokens.push(text)
+      answer += text
+    }
+
+    // The fake model echoes its prompt
+    expect(tokens.length).toBeGreaterThan(1)
+    expect(answer).toContain('[1] (Calculus Notes, 2.3 Chain Rule, p. 3-4)')
+    expect(answer).toContain(chunk.chunk_text)
+    expect(answer).toContain('Student question: What is the chain rule?')
+  })
+
+  it('should build citations with page ranges', () => {
+    expect(toSources([chunk])[0]).toMatchObject({
+      index: 1,
+      materialId: 'mat-1',
+      page: 3,
+      pageEnd: 4,
+      heading: '2.3 Chain Rule',
+    })
+    expect(formatSourceLocation({ ...chunk, page_end: 3, heading: null })).toBe('Calculus Notes, p. 3')
+  })
+})
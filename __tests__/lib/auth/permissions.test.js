@@ -0,0 +1,116 @@
+/**
+ * Tests for moderation permissions
+ * Admins, course moderators (class reps with assignments) and everyone else
+ */
+
+import { getAccess, checkAccess, canModerateCourse, isModerator, getGrantedRole } from '@/lib/auth/permissions'
+import { validateMaterialEdit, validateTopicEdit } from '@/lib/materials/edit'
+import { mockAuthClient } from '@/__mocks__/supabase'
+
+const ADMIN = { user: { id: 'admin-1' }, profile: { role: 'admin' }, isAdmin: true, courseIds: [] }
+const REP = { user: { id: 'rep-1' }, profile: { role: 'class_rep' }, isAdmin: false, courseIds: ['course-1'] }
+const STUDENT = { user: { id: 'student-1' }, profile: { role: 'student' }, isAdmin: false, courseIds: [] }
+
+describe('getAccess', () => {
+  it('should return null when nobody is signed in', async () => {
+    const supabase = mockAuthClient({ user: null })
+
+    expect(await getAccess(supabase)).toBeNull()
+    expect(supabase.from).not.toHaveBeenCalled()
+  })
+
+  it('should mark admins without loading assignments', async () => {
+    const supabase = mockAuthClient({ profile: { id: 'user-1', role: 'admin' } })
+
+    const access = await getAccess(supabase)
+
+    expect(access.isAdmin).toBe(true)
+    expect(access.courseIds).toEqual([])
+    expect(supabase.from).not.toHaveBeenCalledWith('course_moderators')
+  })
+
+  it('should load the courses a class rep moderates', async () => {
+    const supabase = mockAuthClient({
+      profile: { id: 'user-1', role: 'class_rep' },
+      assignments: [{ course_id: 'course-1' }, { course_id: 'course-2' }],
+    })
+
+    const access = await getAccess(supabase)
+
+    expect(access.isAdmin).toBe(false)
+    expect(access.courseIds).toEqual(['course-1', 'course-2'])
+  })
+
+  it('should ignore assignments for users who are no longer class reps', async () => {
+    const supabase = mockAuthClient({
+      profile: { id: 'user-1', role: 'student' },
+      assignments: [{ course_id: 'course-1' }],
+    })
+
+    expect((await getAccess(supabase)).courseIds).toEqual([])
+  })
+})
+
+describe('checkAccess', () => {
+  it('should reject signed-out requests with 401', () => {
+    expect(checkAccess(null)).toEqual({ error: 'Unauthorized', status: 401 })
+    expect(checkAccess(null, { admin: true }).status).toBe(401)
+  })
+
+  it('should keep admin-only actions to admins', () => {
+    expect(checkAccess(ADMIN, { admin: true })).toBeNull()
+    expect(checkAccess(REP, { admin: true })).toEqual({ error: 'Admin access required', status: 403 })
+  })
+
+  it('should limit moderators to their own courses', () => {
+    expect(checkAccess(REP, { courseId: 'course-1' })).toBeNull()
+    expect(checkAccess(REP, { courseId: 'course-2' }).status).toBe(403)
+    expect(checkAccess(ADMIN, { courseId: 'course-2' })).toBeNull()
+  })
+
+  it('should let any moderator through when no course is given', () => {
+    expect(checkAccess(REP)).toBeNull()
+    expect(checkAccess(STUDENT)).toEqual({ error: 'Moderator access required', status: 403 })
+  })
+
+  it('should agree with canModerateCourse and isModerator', () => {
+    expect(canModerateCourse(REP, 'course-1')).toBe(true)
+    expect(canModerateCourse(REP, null)).toBe(false)
+    expect(isModerator(STUDENT)).toBe(false)
+    expect(isModerator(null)).toBe(false)
+  })
+})
+
+describe('getGrantedRole', () => {
+  it('should only count class reps an admin has assigned', () => {
+    expect(getGrantedRole(ADMIN)).toBe('admin')
+    expect(getGrantedRole(REP)).toBe('class_rep')
+    expect(getGrantedRole({ ...REP, courseIds: [] })).toBe('student')
+    expect(getGrantedRole(STUDENT)).toBe('student')
+    expect(getGrantedRole(null)).toBeNull()
+  })
+})
+
+describe('edit validation', () => {
+  it('should map material fields to columns', () => {
+    expect(validateMaterialEdit({ title: '  Week 3 notes ', weekNumber: '3', topicId: null })).toEqual({
+      valid: true,
+      error: null,
+      data: { title: 'Week 3 notes', week_number: 3, topic_id: null },
+    })
+  })
+
+  it('should reject bad material values', () => {
+    expect(validateMaterialEdit({ title: 'ab' }).valid).toBe(false)
+    expect(validateMaterialEdit({ materialCategory: 'memes' }).error).toBe('Invalid category')
+    expect(validateMaterialEdit({ weekNumber: 60 }).valid).toBe(false)
+  })
+
+  it('should normalise topic edits', () => {
+    const { valid, data } = validateTopicEdit({ topicName: 'Thermodynamics', unitCode: 'eme 2101', semester: 2 })
+
+    expect(valid).toBe(true)
+    expect(data).toEqual({ topic_name: 'Thermodynamics', unit_code: 'EME 2101', semester: 2 })
+    expect(validateTopicEdit({ year: 9 }).error).toBe('Year must be a whole number from 1 to 6')
+  })
+})
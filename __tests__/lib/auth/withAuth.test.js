@@ -0,0 +1,161 @@
+/**
+ * Tests for the route handler auth wrapper
+ * Session from cookies or a bearer token, role and course checks, error shape
+ */
+
+import { withAuth, apiError, getBearerToken, resolveAuth } from '@/lib/auth/withAuth'
+import { createClient, createTokenClient } from '@/lib/supabase/server'
+import { mockAuthClient } from '@/__mocks__/supabase'
+
+jest.mock('next/headers', () => ({
+  cookies: jest.fn(() => Promise.resolve(new Map())),
+}))
+jest.mock('@/lib/supabase/server')
+// jsdom has no Response.json, so responses are plain objects here
+jest.mock('next/server', () => ({
+  NextResponse: {
+    json: jest.fn((body, init) => ({ body, status: init?.status ?? 200 })),
+  },
+}))
+
+function mockRequest(headers = {}) {
+  return { method: 'GET', url: 'http://localhost/api/test', headers: new Map(Object.entries(headers)) }
+}
+
+const ok = jest.fn(async (request, { auth }) => ({ status: 200, body: { userId: auth.user?.id ?? null } }))
+
+describe('withAuth', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('should reject signed-out callers with 401', async () => {
+    createClient.mockReturnValue(mockAuthClient({ user: null }))
+
+    const response = await withAuth({}, ok)(mockRequest())
+
+    expect(response).toEqual({ status: 401, body: { error: 'Unauthorized', code: 'unauthorized' } })
+    expect(ok).not.toHaveBeenCalled()
+  })
+
+  it('should let signed-out callers through optional routes', async () => {
+    createClient.mockReturnValue(mockAuthClient({ user: null }))
+
+    const response = await withAuth({ optional: true }, ok)(mockRequest())
+
+    expect(response).toEqual({ status: 200, body: { userId: null } })
+  })
+
+  it('should check roles against the profile', async () => {
+    createClient.mockReturnValue(mockAuthClient({ profile: { id: 'user-1', role: 'student' } }))
+
+    const response = await withAuth({ roles: ['admin', 'class_rep'] }, ok)(mockRequest())
+
+    expect(response.status).toBe(403)
+    expect(response.body).toEqual({ error: 'Admin or class rep access required', code: 'forbidden' })
+  })
+
+  it('should pass the caller and their client to the handler', async () => {
+    const supabase = mockAuthClient({ profile: { id: 'user-1', role: 'admin' } })
+    createClient.mockReturnValue(supabase)
+    const handler = jest.fn(async () => ({ status: 200 }))
+
+    await withAuth({ roles: ['admin'] }, handler)(mockRequest(), { params: { id: 'x' } })
+
+    const [, context] = handler.mock.calls[0]
+    expect(context.params).toEqual({ id: 'x' })
+    expect(context.auth).toMatchObject({ user: { id: 'user-1' }, isAdmin: true, supabase, token: null })
+  })
+
+  it('should resolve the session from a bearer token instead of cookies', async () => {
+    const supabase = mockAuthClient({ profile: { id: 'user-1', role: 'student' } })
+    createTokenClient.mockReturnValue(supabase)
+
+    const response = await withAuth({}, ok)(mockRequest({ authorization: 'Bearer abc.def.ghi' }))
+
+    expect(response.status).toBe(200)
+    expect(createTokenClient).toHaveBeenCalledWith('abc.def.ghi')
+    expect(supabase.auth.getUser).toHaveBeenCalledWith('abc.def.ghi')
+    expect(createClient).not.toHaveBeenCalled()
+  })
+
+  it('should limit course-scoped routes to that course\'s moderators', async () => {
+    createClient.mockReturnValue(mockAuthClient({
+      profile: { id: 'user-1', role: 'class_rep' },
+      assignments: [{ course_id: 'course-1' }],
+    }))
+    const courseScope = async (request, { params }) => (await params).courseId
+    const route = withAuth({ courseScope }, ok)
+
+    expect((await route(mockRequest(), { params: Promise.resolve({ courseId: 'course-1' }) })).status).toBe(200)
+
+    const denied = await route(mockRequest(), { params: Promise.resolve({ courseId: 'course-2' }) })
+    expect(denied.status).toBe(403)
+    expect(denied.body.error).toBe('You can only moderate courses you are assigned to')
+  })
+
+  it('should let handlers check a course they look up themselves', async () => {
+    createClient.mockReturnValue(mockAuthClient({
+      profile: { id: 'user-1', role: 'class_rep' },
+      assignments: [{ course_id: 'course-1' }],
+    }))
+
+    const response = await withAuth({ courseScope: true }, async (request, { auth }) =>
+      auth.requireCourse('course-2') || { status: 200 }
+    )(mockRequest())
+
+    expect(response).toEqual({
+      status: 403,
+      body: { error: 'You can only moderate courses you are assigned to', code: 'forbidden' },
+    })
+  })
+
+  it('should turn thrown errors into a 500', async () => {
+    createClient.mockReturnValue(mockAuthClient({ profile: { id: 'user-1', role: 'student' } }))
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    const response = await withAuth({}, async () => {
+      throw new Error('boom')
+    })(mockRequest())
+
+    expect(response).toEqual({
+      status: 500,
+      body: { error: 'Internal server error', code: 'internal_error', details: 'boom' },
+    })
+    console.error.mockRestore()
+  })
+})
+
+describe('resolveAuth', () => {
+  it('should look the caller up once per request', async () => {
+    const supabase = mockAuthClient({ profile: { id: 'user-1', role: 'student' } })
+    createClient.mockReturnValue(supabase)
+    const request = mockRequest()
+
+    await resolveAuth(request)
+    await resolveAuth(request)
+
+    expect(supabase.auth.getUser).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('helpers', () => {
+  it('should read bearer tokens and ignore other schemes', () => {
+    expect(getBearerToken(mockRequest({ authorization: 'bearer token-1' }))).toBe('token-1')
+    expect(getBearerToken(mockRequest({ authorization: 'Basic abc' }))).toBeNull()
+    expect(getBearerToken(mockRequest())).toBeNull()
+  })
+
+  it('should build errors with a code and optional details', () => {
+    expect(apiError(404, 'Material not found')).toEqual({
+      status: 404,
+      body: { error: 'Material not found', code: 'not_found' },
+    })
+    expect(apiError(400, 'Invalid input', 'title is required').body.details).toBe('title is required')
+    expect(apiError(429, 'Quota used', null, { quota: { limit: 5 } }).body).toEqual({
+      error: 'Quota used',
+      code: 'rate_limited',
+      quota: { limit: 5 },
+    })
+  })
+})
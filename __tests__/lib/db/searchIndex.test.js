@@ -0,0 +1,116 @@
+/**
+ * Tests for the offline search index
+ * Tokenising, postings, ranking and snippets (the IndexedDB reads/writes are thin wrappers)
+ */
+
+import {
+  normalizeWord,
+  tokenize,
+  parseOfflineQuery,
+  buildPostings,
+  rankDocuments,
+  buildSnippet,
+  FIELD_WEIGHTS,
+} from '@/lib/db/searchIndex'
+import { splitHighlights } from '@/lib/search/params'
+
+jest.mock('@/lib/db/indexedDB')
+
+describe('tokenize', () => {
+  it('should lowercase, drop stop words and stem plurals', () => {
+    expect(tokenize('The Laws of Thermodynamics')).toEqual(['law', 'thermodynamic'])
+    expect(tokenize('Properties of matrices')).toEqual(['property', 'matrice'])
+  })
+
+  it('should keep numbers and strip accents', () => {
+    expect(tokenize('Café 2023 CAT 1')).toEqual(['cafe', '2023', 'cat', '1'])
+  })
+
+  it('should leave words ending in ss, us and is alone', () => {
+    expect(['class', 'calculus', 'analysis'].map(normalizeWord)).toEqual(['class', 'calculus', 'analysis'])
+  })
+})
+
+describe('parseOfflineQuery', () => {
+  it('should match the last word as a prefix while typing', () => {
+    expect(parseOfflineQuery('fourier transf')).toEqual({ terms: ['fourier'], prefix: 'transf' })
+  })
+
+  it('should keep a finished plural matching its stemmed index term', () => {
+    expect(parseOfflineQuery('properties').prefix).toBe('propert')
+    expect(parseOfflineQuery('thermodynamics').prefix).toBe('thermodynamic')
+  })
+
+  it('should match whole words once the word is finished', () => {
+    expect(parseOfflineQuery('fourier transform ')).toEqual({ terms: ['fourier', 'transform'], prefix: null })
+  })
+})
+
+describe('buildPostings', () => {
+  it('should weight fields and record the pages a term appears on', () => {
+    const postings = buildPostings({
+      title: 'Entropy Notes',
+      description: '',
+      category: 'notes week 3',
+      pages: [
+        { page_number: 1, text: 'Introduction' },
+        { page_number: 4, text: 'Entropy always increases. Entropy change...' },
+      ],
+    })
+
+    expect(postings.get('entropy')).toEqual({ score: FIELD_WEIGHTS.title + 2 * FIELD_WEIGHTS.text, pages: [4] })
+    expect(postings.get('note')).toEqual({ score: FIELD_WEIGHTS.title + FIELD_WEIGHTS.category, pages: [] })
+  })
+})
+
+describe('rankDocuments', () => {
+  it('should rank materials matching more query terms first', () => {
+    const ranked = rankDocuments([
+      new Map([
+        ['both', { score: 1, pages: [2] }],
+        ['first-only', { score: 9, pages: [] }],
+      ]),
+      new Map([['both', { score: 1, pages: [2, 5] }]]),
+    ], 10)
+
+    expect(ranked.map((result) => result.id)).toEqual(['both', 'first-only'])
+    expect(ranked[0].matchedTerms).toBe(2)
+    expect(ranked[0].pages).toEqual([2, 5])
+  })
+
+  it('should favour rare terms', () => {
+    const common = new Map(['a', 'b', 'c', 'd'].map((id) => [id, { score: 1, pages: [] }]))
+    const rare = new Map([['d', { score: 1, pages: [] }]])
+
+    expect(rankDocuments([common, rare], 4)[0].id).toBe('d')
+  })
+})
+
+describe('buildSnippet', () => {
+  const text = 'Chapter 2 reviews heat engines in detail. The Carnot cycle is the most efficient cycle possible between two temperatures, and real engines fall short of it.'
+
+  it('should highlight matched words, including plural forms', () => {
+    const snippet = buildSnippet(text, { terms: ['carnot', 'engine'] })
+
+    expect(snippet).toContain('[[Carnot]] cycle')
+    expect(snippet).toContain('[[engines]]')
+    expect(splitHighlights(snippet).filter((part) => part.highlight).map((part) => part.text))
+      .toEqual(['engines', 'Carnot', 'engines'])
+  })
+
+  it('should start near a match deep in the text', () => {
+    const snippet = buildSnippet(`${'Filler words here. '.repeat(20)}${text}`, { terms: ['carnot'] })
+
+    expect(snippet.startsWith('…')).toBe(true)
+    expect(snippet).toContain('[[Carnot]]')
+  })
+
+  it('should highlight prefix matches', () => {
+    expect(buildSnippet(text, { terms: [], prefix: 'temp' })).toContain('[[temperatures]]')
+  })
+
+  it('should return null when nothing matches', () => {
+    expect(buildSnippet(text, { terms: ['laplace'] })).toBeNull()
+    expect(buildSnippet('', { terms: ['laplace'] })).toBeNull()
+  })
+})
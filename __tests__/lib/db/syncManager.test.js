@@ -7,18 +7,22 @@ import {
   syncCourses,
   syncMaterialsForCourse,
   syncTopicsForCourse,
+  syncResourceLinksForCourse,
+  syncMaterialText,
   getCourses,
   getMaterialsForCourse,
   getTopicsForCourse,
 } from '@/lib/db/syncManager'
 import { createClient } from '@/lib/supabase/client'
 import * as indexedDB from '@/lib/db/indexedDB'
+import * as searchIndex from '@/lib/db/searchIndex'
 
 // Mock Supabase client
 jest.mock('@/lib/supabase/client')
 
 // Mock IndexedDB
 jest.mock('@/lib/db/indexedDB')
+jest.mock('@/lib/db/searchIndex')
 
 describe('syncCourses', () => {
   let mockSupabase
@@ -213,6 +217,34 @@ describe('syncMaterialsForCourse', () => {
     expect(mockSupabase.eq).toHaveBeenCalledWith('course_id', courseId)
     expect(mockSupabase.eq).toHaveBeenCalledWith('status', 'approved')
   })
+
+  it('should flag offline copies of materials with a newer version', async () => {
+    const materials = [{ id: 'm1', title: 'Material 1', current_version: 2 }]
+    mockSupabase.order
+      .mockReturnValueOnce(mockSupabase)
+      .mockResolvedValueOnce({ data: materials, error: null })
+
+    const result = await syncMaterialsForCourse('course-123')
+
+    expect(result.success).toBe(true)
+    expect(mockSupabase.select).toHaveBeenCalledWith(expect.stringContaining('current_version'))
+    expect(indexedDB.flagOutdatedCachedFiles).toHaveBeenCalledWith([
+      expect.objectContaining({ id: 'm1', current_version: 2 }),
+    ])
+  })
+
+  it('should not fail the sync when flagging outdated files fails', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+    indexedDB.flagOutdatedCachedFiles.mockRejectedValueOnce(new Error('QuotaExceededError'))
+    mockSupabase.order
+      .mockReturnValueOnce(mockSupabase)
+      .mockResolvedValueOnce({ data: [{ id: 'm1', current_version: 2 }], error: null })
+
+    const result = await syncMaterialsForCourse('course-123')
+
+    expect(result.success).toBe(true)
+    console.warn.mockRestore()
+  })
 })
 
 describe('syncTopicsForCourse', () => {
@@ -397,3 +429,151 @@ describe('Offline-first getter functions', () => {
     })
   })
 })
+
+describe('syncResourceLinksForCourse', () => {
+  let mockSupabase
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+
+    mockSupabase = {
+      from: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      eq: jest.fn().mockReturnThis(),
+      order: jest.fn().mockReturnThis(),
+    }
+    createClient.mockReturnValue(mockSupabase)
+
+    indexedDB.putManyInStore = jest.fn().mockResolvedValue(undefined)
+    indexedDB.updateLastSyncTime = jest.fn().mockResolvedValue(undefined)
+    indexedDB.deleteFromStore = jest.fn().mockResolvedValue(undefined)
+  })
+
+  it('should fetch and store links for a course', async () => {
+    const courseId = 'course-123'
+    const mockLinks = [
+      { id: 'l1', title: 'Lecture 1', link_type: 'youtube', course_id: courseId },
+      { id: 'l2', title: 'Notes folder', link_type: 'drive', course_id: courseId },
+    ]
+
+    mockSupabase.order.mockResolvedValue({ data: mockLinks, error: null })
+    indexedDB.getByIndex = jest.fn().mockResolvedValue([])
+
+    const result = await syncResourceLinksForCourse(courseId)
+
+    expect(result.success).toBe(true)
+    expect(result.data).toHaveLength(2)
+    expect(mockSupabase.from).toHaveBeenCalledWith('resource_links')
+    expect(mockSupabase.eq).toHaveBeenCalledWith('course_id', courseId)
+    expect(indexedDB.putManyInStore).toHaveBeenCalledWith(
+      indexedDB.STORES.RESOURCE_LINKS,
+      expect.arrayContaining([
+        expect.objectContaining({ id: 'l1', _syncedAt: expect.any(Number) }),
+        expect.objectContaining({ id: 'l2', _syncedAt: expect.any(Number) }),
+      ])
+    )
+    expect(indexedDB.updateLastSyncTime).toHaveBeenCalledWith(
+      `${indexedDB.STORES.RESOURCE_LINKS}_${courseId}`
+    )
+  })
+
+  it('should remove cached links that were deleted on the server', async () => {
+    const courseId = 'course-123'
+
+    mockSupabase.order.mockResolvedValue({
+      data: [{ id: 'l1', title: 'Still here', course_id: courseId }],
+      error: null,
+    })
+    indexedDB.getByIndex = jest.fn().mockResolvedValue([
+      { id: 'l1', course_id: courseId },
+      { id: 'l-old', course_id: courseId },
+    ])
+
+    await syncResourceLinksForCourse(courseId)
+
+    expect(indexedDB.deleteFromStore).toHaveBeenCalledTimes(1)
+    expect(indexedDB.deleteFromStore).toHaveBeenCalledWith(indexedDB.STORES.RESOURCE_LINKS, 'l-old')
+  })
+
+  it('should handle Supabase errors gracefully', async () => {
+    mockSupabase.order.mockResolvedValue({ data: null, error: { message: 'Network error' } })
+
+    const result = await syncResourceLinksForCourse('course-123')
+
+    expect(result.success).toBe(false)
+    expect(result.error).toBe('Network error')
+    expect(indexedDB.putManyInStore).not.toHaveBeenCalled()
+  })
+})
+
+describe('offline search indexing', () => {
+  let mockSupabase
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+
+    mockSupabase = {
+      from: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      eq: jest.fn().mockReturnThis(),
+      order: jest.fn().mockReturnThis(),
+    }
+    createClient.mockReturnValue(mockSupabase)
+
+    indexedDB.putManyInStore = jest.fn().mockResolvedValue(undefined)
+    indexedDB.updateLastSyncTime = jest.fn().mockResolvedValue(undefined)
+  })
+
+  it('should index synced materials for offline search', async () => {
+    const materials = [{ id: 'm1', title: 'Thermodynamics Notes', course_id: 'course-123' }]
+    mockSupabase.order
+      .mockReturnValueOnce(mockSupabase)
+      .mockResolvedValueOnce({ data: materials, error: null })
+    searchIndex.indexMaterials.mockResolvedValue(1)
+
+    const result = await syncMaterialsForCourse('course-123')
+
+    expect(result.success).toBe(true)
+    expect(searchIndex.indexMaterials).toHaveBeenCalledWith([
+      expect.objectContaining({ id: 'm1', title: 'Thermodynamics Notes' }),
+    ])
+  })
+
+  it('should not fail the sync when indexing fails', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    mockSupabase.order
+      .mockReturnValueOnce(mockSupabase)
+      .mockResolvedValueOnce({ data: [{ id: 'm1', title: 'Notes' }], error: null })
+    searchIndex.indexMaterials.mockRejectedValue(new Error('QuotaExceededError'))
+
+    const result = await syncMaterialsForCourse('course-123')
+
+    expect(result.success).toBe(true)
+    warnSpy.mockRestore()
+  })
+
+  it('should index the extracted page text of a material', async () => {
+    const pages = [
+      { page_number: 1, text: 'First law of thermodynamics' },
+      { page_number: 2, text: 'Entropy' },
+    ]
+    mockSupabase.order.mockResolvedValue({ data: pages, error: null })
+    searchIndex.indexMaterialText.mockResolvedValue(true)
+
+    const result = await syncMaterialText('m1')
+
+    expect(mockSupabase.from).toHaveBeenCalledWith('material_pages')
+    expect(mockSupabase.eq).toHaveBeenCalledWith('material_id', 'm1')
+    expect(searchIndex.indexMaterialText).toHaveBeenCalledWith('m1', pages)
+    expect(result).toEqual({ success: true, data: 2, error: null })
+  })
+
+  it('should skip materials whose text is not extracted yet', async () => {
+    mockSupabase.order.mockResolvedValue({ data: [], error: null })
+
+    const result = await syncMaterialText('m1')
+
+    expect(searchIndex.indexMaterialText).not.toHaveBeenCalled()
+    expect(result.data).toBe(0)
+  })
+})
@@ -0,0 +1,109 @@
+/**
+ * Tests for the page-aware chunker
+ */
+
+import { chunkPages, chunkText, isHeading, splitSentences } from '@/lib/embeddings/chunker'
+
+// ~60 character sentence
+const sentence = (n) => `Sentence number ${n} explains one idea about the topic here.`
+
+describe('isHeading', () => {
+  it('should detect numbered, chapter and all caps headings', () => {
+    expect(isHeading('2.1 Limits and Continuity')).toBe(true)
+    expect(isHeading('Chapter 3: Integration')).toBe(true)
+    expect(isHeading('INTRODUCTION')).toBe(true)
+    expect(isHeading('1 Introduction')).toBe(true)
+  })
+
+  it('should not treat body text or list items as headings', () => {
+    expect(isHeading('The derivative measures the rate of change.')).toBe(false)
+    expect(isHeading('1. Define a limit')).toBe(false)
+    expect(isHeading('x = 2')).toBe(false)
+  })
+})
+
+describe('splitSentences', () => {
+  it('should split on sentence punctuation and keep it', () => {
+    expect(splitSentences('First idea. Second idea! Third? 4 is a number.')).toEqual([
+      'First idea.',
+      'Second idea!',
+      'Third?',
+      '4 is a number.',
+    ])
+  })
+
+  it('should not split decimals or lowercase abbreviations', () => {
+    expect(splitSentences('Use 3.14 for pi e.g. in circles. Done.')).toEqual([
+      'Use 3.14 for pi e.g. in circles.',
+      'Done.',
+    ])
+  })
+})
+
+describe('chunkPages', () => {
+  it('should record the real page of each chunk', () => {
+    const pages = [1, 2, 3].map((pageNumber) => ({
+      pageNumber,
+      text: Array.from({ length: 8 }, (_, i) => sentence(`${pageNumber}-${i}`)).join(' '),
+    }))
+
+    const chunks = chunkPages(pages, { chunkSize: 300, overlap: 0 })
+
+    expect(chunks[0].pageStart).toBe(1)
+    expect(chunks[chunks.length - 1].pageEnd).toBe(3)
+    chunks.forEach((chunk) => {
+      expect(chunk.text.length).toBeLessThanOrEqual(300)
+      expect(chunk.pageEnd).toBeGreaterThanOrEqual(chunk.pageStart)
+    })
+  })
+
+  it('should span page breaks', () => {
+    const chunks = chunkPages([
+      { pageNumber: 4, text: sentence(1) },
+      { pageNumber: 5, text: sentence(2) },
+    ], { chunkSize: 500 })
+
+    expect(chunks).toHaveLength(1)
+    expect(chunks[0]).toMatchObject({ pageStart: 4, pageEnd: 5 })
+  })
+
+  it('should overlap consecutive chunks by whole sentences', () => {
+    const text = Array.from({ length: 10 }, (_, i) => sentence(i)).join(' ')
+
+    const chunks = chunkText(text, { chunkSize: 200, overlap: 70 })
+
+    expect(chunks.length).toBeGreaterThan(1)
+    const lastSentenceOfFirst = chunks[0].text.split(/(?<=\.)\s/).pop()
+    expect(chunks[1].text.startsWith(lastSentenceOfFirst)).toBe(true)
+  })
+
+  it('should tag chunks with the heading they fall under', () => {
+    const chunks = chunkPages([
+      { pageNumber: 1, text: `1.1 Limits\n${sentence(1)}\n${sentence(2)}` },
+      { pageNumber: 2, text: `1.2 Derivatives\n${sentence(3)}\n${sentence(4)}` },
+    ], { chunkSize: 200, overlap: 0 })
+
+    expect(chunks[0].heading).toBe('1.1 Limits')
+    expect(chunks[chunks.length - 1].heading).toBe('1.2 Derivatives')
+    expect(chunks[chunks.length - 1].pageStart).toBe(2)
+  })
+
+  it('should join lines wrapped mid-sentence and hyphenated words', () => {
+    const chunks = chunkText('The chain rule is used for differ-\nentiating composite\nfunctions.')
+
+    expect(chunks[0].text).toBe('The chain rule is used for differentiating composite functions.')
+  })
+
+  it('should split sentences longer than the chunk size', () => {
+    const longSentence = Array.from({ length: 100 }, () => 'word').join(' ')
+
+    const chunks = chunkText(longSentence, { chunkSize: 100, overlap: 0 })
+
+    expect(chunks.length).toBeGreaterThan(1)
+    chunks.forEach((chunk) => expect(chunk.text.length).toBeLessThanOrEqual(100))
+  })
+
+  it('should return no chunks for empty pages', () => {
+    expect(chunkPages([{ pageNumber: 1, text: '  \n ' }])).toEqual([])
+  })
+})
@@ -0,0 +1,231 @@
+/**
+ * Tests for the embedding job queue and worker
+ * Backoff, retry/give-up, OCR deferral and the worker loop
+ */
+
+import { getRetryDelayMs, failEmbeddingJob } from '@/lib/embeddings/jobs'
+import { runEmbeddingWorker, embedInBatches } from '@/lib/embeddings/worker'
+import { extractPages } from '@/lib/embeddings/extract'
+import { recognizePages } from '@/lib/embeddings/ocr'
+import fakeProvider, { fakeEmbedding } from '@/lib/ai/fake'
+
+jest.mock('@/lib/storage/storage-manager', () => ({
+  getFileUrl: jest.fn().mockResolvedValue('https://files.example.com/scan.pdf'),
+}))
+
+jest.mock('@/lib/embeddings/extract', () => ({
+  ...jest.requireActual('@/lib/embeddings/extract'),
+  extractPages: jest.fn(),
+}))
+
+jest.mock('@/lib/embeddings/ocr', () => ({
+  ...jest.requireActual('@/lib/embeddings/ocr'),
+  recognizePages: jest.fn(),
+}))
+
+// Fingerprinting has its own tests (__tests__/lib/similarity)
+jest.mock('@/lib/similarity/suspects', () => ({
+  fingerprintMaterial: jest.fn().mockResolvedValue([]),
+}))
+
+// Embed offline with the deterministic fake provider
+const originalEmbeddingProvider = process.env.AI_EMBEDDING_PROVIDER
+
+beforeAll(() => {
+  process.env.AI_EMBEDDING_PROVIDER = 'fake'
+})
+
+afterAll(() => {
+  if (originalEmbeddingProvider === undefined) delete process.env.AI_EMBEDDING_PROVIDER
+  else process.env.AI_EMBEDDING_PROVIDER = originalEmbeddingProvider
+})
+
+// Chainable query mock; each from() call consumes the next queued result
+function createSupabaseMock({ results = [], rpc } = {}) {
+  const queries = []
+  const from = jest.fn((table) => {
+    const result = results.shift() || { data: null, error: null }
+    const query = { table }
+    ;['select', 'eq', 'update', 'upsert'].forEach((method) => {
+      query[method] = jest.fn(() => query)
+    })
+    query.maybeSingle = jest.fn().mockResolvedValue(result)
+    query.single = jest.fn().mockResolvedValue(result)
+    query.then = (resolve) => resolve(result)
+    queries.push(query)
+    return query
+  })
+  return { from, rpc: rpc || jest.fn(), queries }
+}
+
+describe('getRetryDelayMs', () => {
+  it('should back off exponentially', () => {
+    expect(getRetryDelayMs(1)).toBe(30000)
+    expect(getRetryDelayMs(2)).toBe(60000)
+    expect(getRetryDelayMs(4)).toBe(240000)
+  })
+
+  it('should cap the delay at one hour', () => {
+    expect(getRetryDelayMs(20)).toBe(60 * 60 * 1000)
+  })
+})
+
+describe('failEmbeddingJob', () => {
+  it('should re-queue while attempts remain', async () => {
+    const supabase = createSupabaseMock()
+
+    const status = await failEmbeddingJob(supabase, { id: 'job-1', attempts: 2, max_attempts: 5 }, new Error('timeout'))
+
+    expect(status).toBe('queued')
+    expect(supabase.queries[0].update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'queued',
+      last_error: 'timeout',
+      locked_at: null,
+    }))
+  })
+
+  it('should give up after max attempts', async () => {
+    const supabase = createSupabaseMock()
+
+    const status = await failEmbeddingJob(supabase, { id: 'job-1', attempts: 5, max_attempts: 5 }, new Error('bad pdf'))
+
+    expect(status).toBe('failed')
+    expect(supabase.queries[0].update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed' }))
+  })
+})
+
+describe('embedInBatches', () => {
+  it('should send texts in batches and keep their order', async () => {
+    const embed = jest.spyOn(fakeProvider, 'embed')
+    const texts = Array.from({ length: 70 }, (_, i) => `chunk number ${i}`)
+    const onProgress = jest.fn()
+
+    const embeddings = await embedInBatches(texts, onProgress)
+
+    expect(embed).toHaveBeenCalledTimes(2)
+    expect(embeddings).toHaveLength(70)
+    expect(embeddings[0]).toEqual(fakeEmbedding('chunk number 0'))
+    expect(embeddings[69]).toEqual(fakeEmbedding('chunk number 69'))
+    expect(onProgress).toHaveBeenLastCalledWith(70)
+    embed.mockRestore()
+  })
+})
+
+describe('runEmbeddingWorker', () => {
+  it('should skip unsupported materials', async () => {
+    const rpc = jest.fn()
+      .mockResolvedValueOnce({ data: [{ id: 'job-1', material_id: 'mat-1', attempts: 1, max_attempts: 5 }], error: null })
+      .mockResolvedValueOnce({ data: [], error: null })
+    const supabase = createSupabaseMock({
+      results: [{ data: { id: 'mat-1', type: 'other', deleted_at: null }, error: null }],
+      rpc,
+    })
+
+    const summary = await runEmbeddingWorker(supabase)
+
+    expect(summary).toEqual({ processed: 1, completed: 0, skipped: 1, deferred: 0, retried: 0, failed: 0 })
+    expect(supabase.queries[1].update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'skipped',
+      last_error: 'Unsupported file type: other',
+    }))
+  })
+
+  it('should re-queue jobs that throw', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const rpc = jest.fn()
+      .mockResolvedValueOnce({ data: [{ id: 'job-1', material_id: 'mat-1', attempts: 1, max_attempts: 5 }], error: null })
+      .mockResolvedValueOnce({ data: [], error: null })
+    const supabase = createSupabaseMock({
+      results: [{ data: null, error: new Error('connection reset') }],
+      rpc,
+    })
+
+    const summary = await runEmbeddingWorker(supabase)
+
+    expect(summary.retried).toBe(1)
+    expect(supabase.queries[1].update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'queued',
+      last_error: 'connection reset',
+    }))
+    console.error.mockRestore()
+  })
+
+  describe('scanned PDFs', () => {
+    const scannedPdf = { id: 'mat-1', type: 'pdf', storage_location: 'r2', storage_path: 'scan.pdf', deleted_at: null }
+    const originalFetch = global.fetch
+
+    beforeEach(() => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, arrayBuffer: async () => new ArrayBuffer(8) })
+      extractPages.mockResolvedValue([
+        { pageNumber: 1, text: '' },
+        { pageNumber: 2, text: ' \n ' },
+      ])
+      recognizePages.mockReset()
+    })
+
+    afterAll(() => {
+      global.fetch = originalFetch
+    })
+
+    it('should save OCR pages and defer when time runs out', async () => {
+      // Only page 1 fits in this run
+      recognizePages.mockImplementation(async (buffer, type, pageNumbers, { onPage }) => {
+        await onPage({ pageNumber: pageNumbers[0], text: 'Question one', confidence: 88 })
+      })
+      const rpc = jest.fn()
+        .mockResolvedValueOnce({ data: [{ id: 'job-1', material_id: 'mat-1', attempts: 2, max_attempts: 5 }], error: null })
+      const supabase = createSupabaseMock({
+        results: [{ data: scannedPdf, error: null }, { data: [], error: null }],
+        rpc,
+      })
+
+      const summary = await runEmbeddingWorker(supabase, { maxJobs: 1 })
+
+      expect(summary.deferred).toBe(1)
+      expect(recognizePages).toHaveBeenCalledWith(expect.any(Buffer), 'pdf', [1, 2], expect.any(Object))
+      expect(supabase.queries[2].upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ page_number: 1, text: 'Question one', source: 'ocr' }),
+        { onConflict: 'material_id,page_number' }
+      )
+      expect(supabase.queries[3].update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'queued',
+        attempts: 1,
+        last_error: 'OCR in progress: 1 of 2 pages left',
+      }))
+    })
+
+    it('should index saved OCR text once every page is recognised', async () => {
+      const rpc = jest.fn()
+        .mockResolvedValueOnce({ data: [{ id: 'job-1', material_id: 'mat-1', attempts: 1, max_attempts: 5 }], error: null })
+        .mockResolvedValue({ data: 1, error: null })
+      const supabase = createSupabaseMock({
+        results: [
+          { data: scannedPdf, error: null },
+          {
+            data: [
+              { page_number: 1, text: 'Question one. Define entropy.', ocr_confidence: 90 },
+              { page_number: 2, text: 'Question two. State the first law.', ocr_confidence: 85 },
+            ],
+            error: null,
+          },
+        ],
+        rpc,
+      })
+
+      const summary = await runEmbeddingWorker(supabase, { maxJobs: 1 })
+
+      expect(summary.completed).toBe(1)
+      expect(recognizePages).not.toHaveBeenCalled()
+      expect(rpc).toHaveBeenCalledWith('replace_material_pages', {
+        p_material_id: 'mat-1',
+        p_pages: [
+          { page_number: 1, text: 'Question one. Define entropy.', source: 'ocr', ocr_confidence: 90 },
+          { page_number: 2, text: 'Question two. State the first law.', source: 'ocr', ocr_confidence: 85 },
+        ],
+      })
+      expect(rpc).toHaveBeenCalledWith('replace_material_chunks', expect.objectContaining({
+        p_chunks: [expect.objectContaining({ page_number: 1, page_end: 2 })],
+      }))
+    })
+  })
+})
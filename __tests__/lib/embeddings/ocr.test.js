@@ -0,0 +1,162 @@
+/**
+ * Tests for OCR page selection and the worker's OCR fallback
+ */
+
+import { needsOcr, recognizePages } from '@/lib/embeddings/ocr'
+import { processEmbeddingJob } from '@/lib/embeddings/worker'
+import { extractPages } from '@/lib/embeddings/extract'
+import { getSavedOcrPages, saveOcrPage, replaceMaterialPages } from '@/lib/embeddings/textLayer'
+import { completeEmbeddingJob, deferEmbeddingJob } from '@/lib/embeddings/jobs'
+
+jest.mock('@/lib/storage/download', () => ({
+  downloadMaterialFile: jest.fn().mockResolvedValue(Buffer.from('scan')),
+}))
+
+jest.mock('@/lib/embeddings/extract', () => ({
+  ...jest.requireActual('@/lib/embeddings/extract'),
+  extractPages: jest.fn(),
+}))
+
+// Real page selection, stubbed recognition - no PDF rendering or Tesseract here
+jest.mock('@/lib/embeddings/ocr', () => ({
+  ...jest.requireActual('@/lib/embeddings/ocr'),
+  recognizePages: jest.fn(),
+}))
+
+jest.mock('@/lib/embeddings/textLayer', () => ({
+  getSavedOcrPages: jest.fn(),
+  saveOcrPage: jest.fn().mockResolvedValue(undefined),
+  replaceMaterialPages: jest.fn().mockResolvedValue(undefined),
+}))
+
+jest.mock('@/lib/embeddings/jobs', () => ({
+  updateEmbeddingJobProgress: jest.fn().mockResolvedValue(undefined),
+  completeEmbeddingJob: jest.fn().mockResolvedValue(undefined),
+  deferEmbeddingJob: jest.fn().mockResolvedValue(undefined),
+}))
+
+jest.mock('@/lib/similarity/suspects', () => ({
+  fingerprintMaterial: jest.fn().mockResolvedValue([]),
+}))
+
+jest.mock('@/lib/ai', () => ({
+  isAIConfigured: jest.fn(() => true),
+  createEmbeddings: jest.fn(async (texts) => texts.map(() => [0.1, 0.2])),
+}))
+
+const TEXT_LAYER = 'The first law of thermodynamics states that energy is conserved.'
+
+function mockSupabase(material) {
+  const query = {}
+  ;['select', 'eq'].forEach((method) => {
+    query[method] = jest.fn(() => query)
+  })
+  query.maybeSingle = jest.fn().mockResolvedValue({ data: material, error: null })
+  return { from: jest.fn(() => query), rpc: jest.fn().mockResolvedValue({ data: 1, error: null }) }
+}
+
+describe('needsOcr', () => {
+  it('should flag pages with no real text layer', () => {
+    expect(needsOcr('')).toBe(true)
+    expect(needsOcr(undefined)).toBe(true)
+    expect(needsOcr('  \n 12 \n ')).toBe(true)
+  })
+
+  it('should leave pages with a text layer alone', () => {
+    expect(needsOcr(TEXT_LAYER)).toBe(false)
+  })
+})
+
+describe('recognizePages', () => {
+  it('should refuse types that have no page images', async () => {
+    const { recognizePages: realRecognizePages } = jest.requireActual('@/lib/embeddings/ocr')
+
+    await expect(realRecognizePages(Buffer.alloc(0), 'docx', [1])).rejects.toThrow('OCR is not supported for file type: docx')
+  })
+})
+
+describe('processEmbeddingJob OCR fallback', () => {
+  const job = { id: 'job-1', material_id: 'mat-1', attempts: 1, max_attempts: 5 }
+  const pdf = { id: 'mat-1', type: 'pdf', status: 'approved', deleted_at: null }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    getSavedOcrPages.mockResolvedValue(new Map())
+  })
+
+  it('should OCR only the pages without a text layer and index the result', async () => {
+    extractPages.mockResolvedValue([
+      { pageNumber: 1, text: TEXT_LAYER },
+      { pageNumber: 2, text: ' \n 2 \n ' },
+    ])
+    recognizePages.mockImplementation(async (buffer, type, pageNumbers, { onPage }) => {
+      await onPage({ pageNumber: 2, text: 'Question two. Define entropy.', confidence: 88 })
+    })
+    const supabase = mockSupabase(pdf)
+
+    const result = await processEmbeddingJob(supabase, job)
+
+    expect(result).toBe('completed')
+    expect(recognizePages).toHaveBeenCalledWith(expect.any(Buffer), 'pdf', [2], expect.any(Object))
+    expect(saveOcrPage).toHaveBeenCalledWith(supabase, 'mat-1', expect.objectContaining({ pageNumber: 2 }))
+    expect(replaceMaterialPages).toHaveBeenCalledWith(supabase, 'mat-1', [
+      { pageNumber: 1, text: TEXT_LAYER, source: 'text' },
+      { pageNumber: 2, text: 'Question two. Define entropy.', source: 'ocr', ocrConfidence: 88 },
+    ])
+    expect(supabase.rpc).toHaveBeenCalledWith('replace_material_chunks', expect.objectContaining({
+      p_chunks: [expect.objectContaining({ chunk_text: expect.stringContaining('Define entropy'), page_end: 2 })],
+    }))
+    expect(completeEmbeddingJob).toHaveBeenCalledWith(supabase, 'job-1')
+  })
+
+  it('should skip pages already recognised by an earlier run', async () => {
+    extractPages.mockResolvedValue([
+      { pageNumber: 1, text: '' },
+      { pageNumber: 2, text: '' },
+    ])
+    getSavedOcrPages.mockResolvedValue(new Map([
+      [1, { pageNumber: 1, text: 'Question one. State the first law.', confidence: 91 }],
+    ]))
+    recognizePages.mockImplementation(async (buffer, type, pageNumbers, { onPage }) => {
+      await onPage({ pageNumber: 2, text: 'Question two. Define entropy.', confidence: 88 })
+    })
+
+    expect(await processEmbeddingJob(mockSupabase(pdf), job)).toBe('completed')
+    expect(recognizePages).toHaveBeenCalledWith(expect.any(Buffer), 'pdf', [2], expect.any(Object))
+  })
+
+  it('should defer the job when the deadline passes mid-scan', async () => {
+    extractPages.mockResolvedValue([
+      { pageNumber: 1, text: '' },
+      { pageNumber: 2, text: '' },
+      { pageNumber: 3, text: '' },
+    ])
+    // Like the real loop: always one page, then check the budget between pages
+    recognizePages.mockImplementation(async (buffer, type, pageNumbers, { onPage, shouldStop }) => {
+      for (const pageNumber of pageNumbers) {
+        await onPage({ pageNumber, text: `Page ${pageNumber} text`, confidence: 80 })
+        if (shouldStop()) break
+      }
+    })
+    const supabase = mockSupabase(pdf)
+
+    const result = await processEmbeddingJob(supabase, job, { deadline: Date.now() - 1 })
+
+    expect(result).toBe('deferred')
+    expect(saveOcrPage).toHaveBeenCalledTimes(1)
+    expect(deferEmbeddingJob).toHaveBeenCalledWith(supabase, job, 'OCR in progress: 2 of 3 pages left')
+    expect(replaceMaterialPages).not.toHaveBeenCalled()
+    expect(supabase.rpc).not.toHaveBeenCalled()
+    expect(completeEmbeddingJob).not.toHaveBeenCalled()
+  })
+
+  it('should not OCR types without page images', async () => {
+    extractPages.mockResolvedValue([{ pageNumber: 1, text: '' }])
+
+    const result = await processEmbeddingJob(mockSupabase({ ...pdf, type: 'docx' }), job)
+
+    expect(result).toBe('skipped')
+    expect(recognizePages).not.toHaveBeenCalled()
+    expect(completeEmbeddingJob).toHaveBeenCalledWith(expect.any(Object), 'job-1', expect.objectContaining({ status: 'skipped' }))
+  })
+})
@@ -0,0 +1,157 @@
+/**
+ * Tests for DOCX/PPTX text extraction
+ * Fixtures are tiny ZIP archives built in memory
+ */
+
+import { deflateRawSync } from 'zlib'
+import { extractDocxPages, extractPptxPages, decodeXmlEntities } from '@/lib/embeddings/ooxml'
+import { extractPages } from '@/lib/embeddings/extract'
+import { chunkPages } from '@/lib/embeddings/chunker'
+
+// Minimal ZIP writer (deflate, no CRC - the reader doesn't check it)
+function buildZip(files) {
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name)
+    const data = deflateRawSync(Buffer.from(content))
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(8, 8)
+    local.writeUInt32LE(data.length, 18)
+    local.writeUInt32LE(Buffer.byteLength(content), 22)
+    local.writeUInt16LE(nameBuffer.length, 26)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(8, 10)
+    central.writeUInt32LE(data.length, 20)
+    central.writeUInt32LE(Buffer.byteLength(content), 24)
+    central.writeUInt16LE(nameBuffer.length, 28)
+    central.writeUInt32LE(offset, 42)
+
+    locals.push(local, nameBuffer, data)
+    centrals.push(central, nameBuffer)
+    offset += local.length + nameBuffer.length + data.length
+  }
+
+  const directory = Buffer.concat(centrals)
+  const eocd = Buffer.alloc(22)
+  eocd.writeUInt32LE(0x06054b50, 0)
+  eocd.writeUInt16LE(Object.keys(files).length, 8)
+  eocd.writeUInt16LE(Object.keys(files).length, 10)
+  eocd.writeUInt32LE(directory.length, 12)
+  eocd.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...locals, directory, eocd])
+}
+
+const wordParagraph = (text, { style, pageBreak } = {}) =>
+  `<w:p w:rsidR="00A1">${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}` +
+  `<w:r>${pageBreak ? '<w:lastRenderedPageBreak/>' : ''}<w:t xml:space="preserve">${text}</w:t></w:r></w:p>`
+
+const slide = (title, body) =>
+  '<p:sld><p:cSld><p:spTree>' +
+  `<p:sp><p:nvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${title}</a:t></a:r></a:p></p:txBody></p:sp>` +
+  `<p:sp><p:nvSpPr><p:nvPr><p:ph idx="1"/></p:nvPr></p:nvSpPr><p:txBody>${body.map((line) => `<a:p><a:r><a:t>${line}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sp>` +
+  '</p:spTree></p:cSld></p:sld>'
+
+describe('extractDocxPages', () => {
+  const docx = buildZip({
+    'word/document.xml': '<w:document><w:body>' +
+      wordParagraph('Thermodynamics', { style: 'Title' }) +
+      wordParagraph('Heat flows from hot to cold &amp; never the reverse.') +
+      '<w:p w:rsidR="00A2"/>' +
+      wordParagraph('Entropy', { style: 'Heading1', pageBreak: true }) +
+      wordParagraph('Entropy of an isolated system never decreases.') +
+      '</w:body></w:document>',
+  })
+
+  it('should split pages where Word last broke them', () => {
+    const pages = extractDocxPages(docx)
+
+    expect(pages).toHaveLength(2)
+    expect(pages[0].text).toBe('Thermodynamics\n\nHeat flows from hot to cold & never the reverse.')
+    expect(pages[1]).toMatchObject({ pageNumber: 2, headings: ['Entropy'] })
+  })
+
+  it('should use heading styles as chunk headings', () => {
+    const chunks = chunkPages(extractDocxPages(docx), { chunkSize: 60, overlap: 0 })
+
+    const last = chunks[chunks.length - 1]
+    expect(last).toMatchObject({ heading: 'Entropy', pageStart: 2 })
+  })
+})
+
+describe('extractPptxPages', () => {
+  const pptx = buildZip({
+    'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>',
+    'ppt/_rels/presentation.xml.rels': '<Relationships>' +
+      '<Relationship Id="rId2" Type="slide" Target="slides/slide1.xml"/>' +
+      '<Relationship Id="rId3" Type="slide" Target="slides/slide2.xml"/>' +
+      '</Relationships>',
+    'ppt/slides/slide1.xml': slide('Second Law', ['Entropy increases']),
+    'ppt/slides/slide2.xml': slide('First Law', ['Energy is conserved', 'dU = Q - W']),
+    'ppt/slides/_rels/slide2.xml.rels': '<Relationships><Relationship Id="rId2" Target="../notesSlides/notesSlide1.xml"/></Relationships>',
+    'ppt/notesSlides/notesSlide1.xml': '<p:notes><a:p><a:r><a:t>Remind students of sign conventions.</a:t></a:r></a:p><a:p><a:r><a:t>1</a:t></a:r></a:p></p:notes>',
+  })
+
+  it('should return one page per slide in presentation order', () => {
+    const pages = extractPptxPages(pptx)
+
+    expect(pages.map((page) => page.headings)).toEqual([['First Law'], ['Second Law']])
+    expect(pages[0].pageNumber).toBe(1)
+    expect(pages[1].text).toBe('Second Law\nEntropy increases')
+  })
+
+  it('should append speaker notes without the slide number placeholder', () => {
+    const [first] = extractPptxPages(pptx)
+
+    expect(first.text).toBe('First Law\nEnergy is conserved\ndU = Q - W\n\nRemind students of sign conventions.')
+  })
+})
+
+describe('extractPages', () => {
+  it('should reject files that are not Office archives', async () => {
+    await expect(extractPages(Buffer.from('not a zip at all, just some bytes'), 'docx'))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_DOCUMENT' })
+  })
+
+  it('should reject damaged archives as unsupported so they are not retried', async () => {
+    const files = { 'word/document.xml': `<w:document><w:body>${wordParagraph('Notes')}</w:body></w:document>` }
+
+    const badDirectory = buildZip(files)
+    badDirectory.writeUInt32LE(0, badDirectory.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])))
+    await expect(extractPages(badDirectory, 'docx'))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_DOCUMENT', message: 'Corrupt ZIP central directory' })
+
+    const badEntry = buildZip(files)
+    badEntry.writeUInt32LE(0, 0)
+    await expect(extractPages(badEntry, 'docx'))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_DOCUMENT', message: 'Corrupt ZIP entry word/document.xml' })
+  })
+
+  it('should reject truncated deflate data as unsupported', async () => {
+    const truncated = buildZip({
+      'word/document.xml': `<w:document><w:body>${wordParagraph('Notes')}</w:body></w:document>`,
+    })
+    // Cut the entry's compressed size so the deflate stream ends early
+    truncated.writeUInt32LE(4, truncated.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 20)
+
+    await expect(extractPages(truncated, 'docx'))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_DOCUMENT', message: 'Corrupt ZIP entry word/document.xml' })
+  })
+
+  it('should reject types it cannot extract', async () => {
+    await expect(extractPages(Buffer.alloc(0), 'other')).rejects.toMatchObject({ code: 'UNSUPPORTED_DOCUMENT' })
+  })
+})
+
+describe('decodeXmlEntities', () => {
+  it('should decode named and numeric entities once', () => {
+    expect(decodeXmlEntities('a &lt; b &amp;&amp; c &#8805; d &#x3B1; &amp;lt;')).toBe('a < b && c ≥ d α &lt;')
+  })
+})
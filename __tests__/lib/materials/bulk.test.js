@@ -0,0 +1,257 @@
+/**
+ * Tests for bulk moderation
+ * Request validation and per-material results for each action
+ */
+
+import { scheduleMaterialIndexing, removeMaterialIndex } from '@/lib/embeddings/schedule'
+import { findMaterialsByHash } from '@/lib/storage/dedup'
+import { parseBulkRequest, runBulkAction, MAX_BULK_MATERIALS } from '@/lib/materials/bulk'
+import { mockQuery } from '@/__mocks__/supabase'
+
+jest.mock('@/lib/embeddings/schedule', () => ({
+  scheduleMaterialIndexing: jest.fn().mockResolvedValue({ status: 'queued' }),
+  removeMaterialIndex: jest.fn().mockResolvedValue(undefined),
+}))
+
+jest.mock('@/lib/storage/dedup', () => ({
+  findMaterialsByHash: jest.fn().mockResolvedValue([]),
+}))
+
+const COURSE_A = '11111111-1111-4111-8111-111111111111'
+const COURSE_B = '22222222-2222-4222-8222-222222222222'
+
+function uuid(n) {
+  return `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`
+}
+
+function material(n, extra = {}) {
+  return {
+    id: uuid(n),
+    title: `Material ${n}`,
+    status: 'pending',
+    course_id: COURSE_A,
+    topic_id: null,
+    content_hash: `hash-${n}`,
+    download_count: 0,
+    view_count: 0,
+    deleted_at: null,
+    deletion_type: null,
+    ...extra,
+  }
+}
+
+// Service role client whose queries resolve per table, recording each one
+function mockSupabase(tables = {}) {
+  const queries = []
+  return {
+    queries,
+    from: jest.fn((table) => {
+      const builder = mockQuery(tables[table] || { data: null, error: null })
+      queries.push({ table, builder })
+      return builder
+    }),
+  }
+}
+
+function updates(supabase, table) {
+  return supabase.queries
+    .filter((q) => q.table === table && q.builder.update.mock.calls.length > 0)
+    .map((q) => q.builder.update.mock.calls[0][0])
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  findMaterialsByHash.mockResolvedValue([])
+})
+
+describe('parseBulkRequest', () => {
+  it('should accept a valid request and drop repeated ids', () => {
+    const { request } = parseBulkRequest({ action: 'approve', materialIds: [uuid(1), uuid(1), uuid(2)] })
+    expect(request.materialIds).toEqual([uuid(1), uuid(2)])
+  })
+
+  it('should reject unknown actions and bad ids', () => {
+    expect(parseBulkRequest({ action: 'publish', materialIds: [uuid(1)] }).error).toMatch('Invalid action')
+    expect(parseBulkRequest({ action: 'approve', materialIds: [] }).error).toMatch('non-empty')
+    expect(parseBulkRequest({ action: 'approve', materialIds: ['1; drop table'] }).error).toBe('Invalid material id')
+  })
+
+  it('should cap the number of materials per request', () => {
+    const materialIds = Array.from({ length: MAX_BULK_MATERIALS + 1 }, (_, i) => uuid(i))
+    expect(parseBulkRequest({ action: 'approve', materialIds }).error).toMatch(`At most ${MAX_BULK_MATERIALS}`)
+  })
+
+  it('should require what each action needs', () => {
+    const materialIds = [uuid(1)]
+    expect(parseBulkRequest({ action: 'reject', materialIds }).error).toMatch('Rejection reason')
+    expect(parseBulkRequest({ action: 'soft_delete', materialIds, reason: 'spam' }).error).toMatch('minimum 10')
+    expect(parseBulkRequest({ action: 'categorize', materialIds, category: 'memes' }).error).toBe('Invalid category')
+    expect(parseBulkRequest({ action: 'move', materialIds }).error).toBe('Invalid courseId')
+    expect(parseBulkRequest({ action: 'categorize', materialIds, category: 'past_paper' }).request.category).toBe('past_paper')
+  })
+})
+
+describe('runBulkAction', () => {
+  it('should approve each material and queue it for indexing', async () => {
+    const supabase = mockSupabase({
+      materials: { data: [material(1), material(2, { status: 'approved' })], error: null },
+    })
+
+    const { results, summary } = await runBulkAction(
+      supabase,
+      { action: 'approve', materialIds: [uuid(1), uuid(2), uuid(3)] },
+      'admin-1'
+    )
+
+    expect(results).toEqual([
+      { id: uuid(1), title: 'Material 1', success: true },
+      { id: uuid(2), title: 'Material 2', success: false, error: 'Already approved' },
+      { id: uuid(3), success: false, error: 'Material not found' },
+    ])
+    expect(summary).toEqual({ succeeded: 1, failed: 2 })
+    expect(scheduleMaterialIndexing).toHaveBeenCalledTimes(1)
+    expect(scheduleMaterialIndexing).toHaveBeenCalledWith(supabase, uuid(1))
+  })
+
+  it('should take rejected materials that were live out of chat and search', async () => {
+    const supabase = mockSupabase({
+      materials: { data: [material(1, { status: 'approved' }), material(2)], error: null },
+    })
+
+    const { summary } = await runBulkAction(
+      supabase,
+      { action: 'reject', materialIds: [uuid(1), uuid(2)], reason: 'Wrong course' },
+      'admin-1'
+    )
+
+    expect(summary).toEqual({ succeeded: 2, failed: 0 })
+    expect(removeMaterialIndex).toHaveBeenCalledTimes(1)
+    expect(removeMaterialIndex).toHaveBeenCalledWith(supabase, uuid(1))
+  })
+
+  it('should soft-delete through the audited deletion helper', async () => {
+    const supabase = mockSupabase({ materials: { data: [material(1)], error: null } })
+
+    const { results } = await runBulkAction(
+      supabase,
+      { action: 'soft_delete', materialIds: [uuid(1)], reason: 'Spam upload session' },
+      'admin-1'
+    )
+
+    expect(results[0].success).toBe(true)
+    expect(updates(supabase, 'materials')[0]).toMatchObject({ deletion_type: 'soft', deleted_by: 'admin-1' })
+    const log = supabase.queries.find((q) => q.table === 'deletion_audit_log')
+    expect(log.builder.insert).toHaveBeenCalledWith(expect.objectContaining({
+      entity_id: uuid(1),
+      deletion_reason: 'Spam upload session',
+      deleted_by: 'admin-1',
+    }))
+  })
+
+  it('should only restore materials that are in the trash', async () => {
+    const supabase = mockSupabase({
+      materials: {
+        data: [material(1, { deleted_at: '2024-01-01', deletion_type: 'soft' }), material(2)],
+        error: null,
+      },
+    })
+
+    const { results } = await runBulkAction(supabase, { action: 'restore', materialIds: [uuid(1), uuid(2)] }, 'admin-1')
+
+    expect(results.map((result) => result.success)).toEqual([true, false])
+    expect(results[1].error).toMatch('not deleted')
+  })
+
+  it('should leave trashed materials alone for other actions', async () => {
+    const supabase = mockSupabase({ materials: { data: [material(1, { deleted_at: '2024-01-01' })], error: null } })
+
+    const { results } = await runBulkAction(
+      supabase,
+      { action: 'categorize', materialIds: [uuid(1)], category: 'notes' },
+      'admin-1'
+    )
+
+    expect(results[0]).toMatchObject({ success: false, error: 'Material is in the trash' })
+    expect(updates(supabase, 'materials')).toEqual([])
+  })
+
+  it('should move materials unless the course already has the file', async () => {
+    findMaterialsByHash.mockImplementation(async (_, hash) =>
+      hash === 'hash-2' ? [{ id: uuid(9), title: 'Existing copy', course_id: COURSE_B }] : []
+    )
+    const supabase = mockSupabase({
+      materials: { data: [material(1), material(2)], error: null },
+      courses: { data: { id: COURSE_B, course_name: 'Physics', deleted_at: null }, error: null },
+    })
+
+    const { results } = await runBulkAction(
+      supabase,
+      { action: 'move', materialIds: [uuid(1), uuid(2)], courseId: COURSE_B, topicId: null },
+      'admin-1'
+    )
+
+    expect(results[0].success).toBe(true)
+    expect(results[1]).toMatchObject({ success: false, error: 'The course already has this file as "Existing copy"' })
+    expect(updates(supabase, 'materials')).toEqual([{ course_id: COURSE_B, topic_id: null, is_orphaned: false }])
+  })
+
+  it('should fail every material when the target course is gone', async () => {
+    const supabase = mockSupabase({
+      materials: { data: [material(1)], error: null },
+      courses: { data: null, error: null },
+    })
+
+    const { results } = await runBulkAction(
+      supabase,
+      { action: 'move', materialIds: [uuid(1)], courseId: COURSE_B, topicId: null },
+      'admin-1'
+    )
+
+    expect(results[0]).toMatchObject({ success: false, error: 'Course not found' })
+  })
+
+  it('should only touch materials in the courses a moderator is assigned to', async () => {
+    const supabase = mockSupabase({
+      materials: { data: [material(1), material(2, { course_id: COURSE_B })], error: null },
+    })
+
+    const { results } = await runBulkAction(
+      supabase,
+      { action: 'categorize', materialIds: [uuid(1), uuid(2)], category: 'notes' },
+      'rep-1',
+      { courseIds: [COURSE_A] }
+    )
+
+    expect(results[0].success).toBe(true)
+    expect(results[1]).toMatchObject({ success: false, error: 'You can only moderate courses you are assigned to' })
+    expect(updates(supabase, 'materials')).toEqual([{ material_category: 'notes' }])
+
+    const move = await runBulkAction(
+      mockSupabase({ materials: { data: [material(1)], error: null } }),
+      { action: 'move', materialIds: [uuid(1)], courseId: COURSE_B, topicId: null },
+      'rep-1',
+      { courseIds: [COURSE_A] }
+    )
+    expect(move.results[0].success).toBe(false)
+  })
+
+  it('should report a failed update and carry on', async () => {
+    const supabase = mockSupabase({ materials: { data: [material(1), material(2)], error: null } })
+    let calls = 0
+    supabase.from.mockImplementation((table) => {
+      const failing = table === 'materials' && calls++ === 1
+      return mockQuery(failing ? { error: new Error('deadlock detected') } : { data: [material(1), material(2)], error: null })
+    })
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    const { summary, results } = await runBulkAction(
+      supabase,
+      { action: 'reject', materialIds: [uuid(1), uuid(2)], reason: 'Blurry scan' },
+      'admin-1'
+    )
+
+    expect(results[0]).toMatchObject({ success: false, error: 'deadlock detected' })
+    expect(summary).toEqual({ succeeded: 1, failed: 1 })
+    console.error.mockRestore()
+  })
+})
@@ -0,0 +1,115 @@
+/**
+ * Tests for material versions
+ * Version numbers, who may revise, recording a version and the files of
+ * earlier versions
+ */
+
+import {
+  parseVersionNumber,
+  canReviseMaterial,
+  addMaterialVersion,
+  getVersionFiles,
+  formatVersionHistory,
+} from '@/lib/materials/versions'
+import { mockQuery } from '@/__mocks__/supabase'
+
+describe('parseVersionNumber', () => {
+  it('should accept positive integers', () => {
+    expect(parseVersionNumber('3')).toBe(3)
+  })
+
+  it('should treat anything else as the current version', () => {
+    expect(parseVersionNumber(null)).toBeNull()
+    expect(parseVersionNumber('')).toBeNull()
+    expect(parseVersionNumber('0')).toBeNull()
+    expect(parseVersionNumber('1.5')).toBeNull()
+    expect(parseVersionNumber('latest')).toBeNull()
+  })
+})
+
+describe('canReviseMaterial', () => {
+  const material = { id: 'm1', user_id: 'user-1' }
+
+  it('should let the uploader and admins revise', () => {
+    expect(canReviseMaterial(material, { id: 'user-1' }, { role: 'student' })).toBe(true)
+    expect(canReviseMaterial(material, { id: 'user-2' }, { role: 'admin' })).toBe(true)
+  })
+
+  it('should refuse everyone else', () => {
+    expect(canReviseMaterial(material, { id: 'user-2' }, { role: 'student' })).toBe(false)
+    expect(canReviseMaterial(material, null, null)).toBe(false)
+    // Anonymous uploads have no owner
+    expect(canReviseMaterial({ id: 'm2', user_id: null }, { id: 'user-2' }, null)).toBe(false)
+  })
+})
+
+describe('addMaterialVersion', () => {
+  it('should record the version through the RPC', async () => {
+    const version = { material_id: 'm1', version_number: 2 }
+    const supabase = { rpc: jest.fn().mockResolvedValue({ data: version, error: null }) }
+
+    const result = await addMaterialVersion(
+      supabase,
+      'm1',
+      {
+        type: 'pdf',
+        storage_location: 'r2',
+        storage_path: 'uploads/2-b/notes.pdf',
+        file_url: null,
+        file_size: 2048,
+        content_hash: 'a'.repeat(64),
+      },
+      { changeNote: '  Fixed Q3 marking scheme  ', uploadedBy: 'Jane', userId: 'user-1' }
+    )
+
+    expect(result).toBe(version)
+    expect(supabase.rpc).toHaveBeenCalledWith('add_material_version', expect.objectContaining({
+      p_material_id: 'm1',
+      p_storage_path: 'uploads/2-b/notes.pdf',
+      p_change_note: 'Fixed Q3 marking scheme',
+      p_uploaded_by: 'Jane',
+      p_user_id: 'user-1',
+    }))
+  })
+
+  it('should throw database errors', async () => {
+    const supabase = { rpc: jest.fn().mockResolvedValue({ data: null, error: new Error('Material m1 not found') }) }
+    await expect(addMaterialVersion(supabase, 'm1', {})).rejects.toThrow('not found')
+  })
+})
+
+describe('getVersionFiles', () => {
+  it('should list each stored file once', async () => {
+    const supabase = {
+      from: jest.fn(() => mockQuery({
+        data: [
+          { storage_location: 'r2', storage_path: 'uploads/1-a/notes.pdf' },
+          { storage_location: 'r2', storage_path: 'uploads/2-b/notes.pdf' },
+          // Reverted to the first file
+          { storage_location: 'r2', storage_path: 'uploads/1-a/notes.pdf' },
+        ],
+        error: null,
+      })),
+    }
+
+    await expect(getVersionFiles(supabase, 'm1')).resolves.toEqual([
+      { storage_location: 'r2', storage_path: 'uploads/1-a/notes.pdf' },
+      { storage_location: 'r2', storage_path: 'uploads/2-b/notes.pdf' },
+    ])
+  })
+})
+
+describe('formatVersionHistory', () => {
+  it('should mark the current version', () => {
+    const history = formatVersionHistory(
+      [
+        { version_number: 2, type: 'pdf', file_size: 2048, change_note: 'Fixed Q3', uploaded_by: 'Jane', created_at: '2024-02-01' },
+        { version_number: 1, type: 'pdf', file_size: 1024, change_note: null, uploaded_by: 'Jane', created_at: '2024-01-01' },
+      ],
+      2
+    )
+
+    expect(history.map((version) => [version.versionNumber, version.current])).toEqual([[2, true], [1, false]])
+    expect(history[0].changeNote).toBe('Fixed Q3')
+  })
+})
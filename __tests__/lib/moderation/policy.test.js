@@ -0,0 +1,128 @@
+/**
+ * Tests for the upload moderation policy
+ * Initial status by course mode, role, account age and upload history
+ */
+
+import {
+  decideInitialStatus,
+  resolveInitialStatus,
+  describeModerationReason,
+} from '@/lib/moderation/policy'
+import { mockQuery } from '@/__mocks__/supabase'
+
+const COURSE = 'course-1'
+const NOW = new Date('2025-03-01T00:00:00Z').getTime()
+
+function daysAgo(days) {
+  return new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString()
+}
+
+function decide(profile, extra = {}) {
+  return decideInitialStatus({ moderationMode: 'trusted', courseId: COURSE, profile, now: NOW, ...extra })
+}
+
+// Courses lookup, moderator assignment, then approved and rejected counts
+function mockSupabase({ course, approved = 0, rejected = 0, courseError = null, assignment = null }) {
+  const counts = [{ count: approved, error: null }, { count: rejected, error: null }]
+  return {
+    from: jest.fn((table) => {
+      if (table === 'courses') return mockQuery({ data: course, error: courseError })
+      if (table === 'course_moderators') return mockQuery({ data: assignment, error: null })
+      return mockQuery(counts.shift())
+    }),
+  }
+}
+
+describe('decideInitialStatus', () => {
+  it('should approve everything in open courses and hold everything else back in manual ones', () => {
+    expect(decide(null, { moderationMode: 'open' })).toEqual({ status: 'approved', reason: 'open_course' })
+    expect(decide({ role: 'student', created_at: daysAgo(365) }, { moderationMode: 'manual' }))
+      .toEqual({ status: 'pending', reason: 'manual_course' })
+    expect(decide({ role: 'admin', created_at: daysAgo(1) }, { moderationMode: 'manual' }).status).toBe('approved')
+  })
+
+  it('should send anonymous uploads to review', () => {
+    expect(decide(null)).toEqual({ status: 'pending', reason: 'anonymous' })
+  })
+
+  it('should only trust class reps an admin made moderators of the course', () => {
+    const rep = { role: 'class_rep', course_id: COURSE, created_at: daysAgo(2) }
+
+    expect(decide(rep, { isCourseModerator: true })).toEqual({ status: 'approved', reason: 'course_moderator' })
+    // A self-declared rep of this course gets no shortcut
+    expect(decide(rep).reason).toBe('new_account')
+    expect(decide({ ...rep, role: 'student' }, { isCourseModerator: true }).reason).toBe('new_account')
+  })
+
+  it('should trust uploaders with enough approved uploads and few rejections', () => {
+    const student = { role: 'student', created_at: daysAgo(30) }
+
+    expect(decide(student, { history: { approved: 2, rejected: 0 } }).reason).toBe('few_uploads')
+    expect(decide(student, { history: { approved: 10, rejected: 2 } }).reason).toBe('recent_rejections')
+    expect(decide(student, { history: { approved: 10, rejected: 1 } }))
+      .toEqual({ status: 'approved', reason: 'trusted_uploader' })
+  })
+
+  it('should fall back to the trusted mode for unknown modes', () => {
+    expect(decide(null, { moderationMode: 'whatever' }).reason).toBe('anonymous')
+  })
+})
+
+describe('resolveInitialStatus', () => {
+  it('should look up the upload history only when it matters', async () => {
+    const supabase = mockSupabase({ course: { moderation_mode: 'trusted' }, approved: 5, rejected: 0 })
+    const profile = { role: 'student', created_at: daysAgo(30) }
+
+    const decision = await resolveInitialStatus(supabase, { courseId: COURSE, userId: 'user-1', profile })
+
+    expect(decision).toEqual({ status: 'approved', reason: 'trusted_uploader' })
+    expect(supabase.from).toHaveBeenCalledTimes(3)
+
+    const open = mockSupabase({ course: { moderation_mode: 'open' } })
+    await resolveInitialStatus(open, { courseId: COURSE, userId: 'user-1', profile })
+    expect(open.from).toHaveBeenCalledTimes(1)
+  })
+
+  it('should check moderator assignments for class reps', async () => {
+    // resolveInitialStatus uses the real clock
+    const profile = { role: 'class_rep', course_id: COURSE, created_at: new Date().toISOString() }
+
+    const assigned = mockSupabase({ course: { moderation_mode: 'trusted' }, assignment: { course_id: COURSE } })
+    expect(await resolveInitialStatus(assigned, { courseId: COURSE, userId: 'user-1', profile }))
+      .toEqual({ status: 'approved', reason: 'course_moderator' })
+    expect(assigned.from).toHaveBeenCalledWith('course_moderators')
+
+    const unassigned = mockSupabase({ course: { moderation_mode: 'trusted' } })
+    expect((await resolveInitialStatus(unassigned, { courseId: COURSE, userId: 'user-1', profile })).reason)
+      .toBe('new_account')
+  })
+
+  it('should treat a profile without a user as anonymous', async () => {
+    const supabase = mockSupabase({ course: { moderation_mode: 'trusted' } })
+
+    const decision = await resolveInitialStatus(supabase, {
+      courseId: COURSE,
+      userId: null,
+      profile: { role: 'admin' },
+    })
+
+    expect(decision.reason).toBe('anonymous')
+  })
+
+  it('should send the upload to review when the lookup fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const supabase = mockSupabase({ course: null, courseError: new Error('connection reset') })
+
+    const decision = await resolveInitialStatus(supabase, { courseId: COURSE, userId: 'user-1', profile: {} })
+
+    expect(decision).toEqual({ status: 'pending', reason: 'policy_error' })
+    console.error.mockRestore()
+  })
+})
+
+describe('describeModerationReason', () => {
+  it('should explain held uploads and say nothing for approved ones', () => {
+    expect(describeModerationReason('new_account')).toMatch('moderator')
+    expect(describeModerationReason('class_rep')).toBeNull()
+  })
+})
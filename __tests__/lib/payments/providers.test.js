@@ -0,0 +1,118 @@
+/**
+ * Tests for payment providers
+ * M-Pesa helpers, the Daraja callback parser and the mock provider
+ */
+
+import mpesaProvider, { normalizeMpesaPhone, getDarajaTimestamp } from '@/lib/payments/mpesa'
+import mockProvider from '@/lib/payments/mock'
+import { getPaymentProvider } from '@/lib/payments'
+
+describe('normalizeMpesaPhone', () => {
+  it('should accept common Kenyan formats', () => {
+    expect(normalizeMpesaPhone('0712345678')).toBe('254712345678')
+    expect(normalizeMpesaPhone('+254 712 345 678')).toBe('254712345678')
+    expect(normalizeMpesaPhone('712345678')).toBe('254712345678')
+    expect(normalizeMpesaPhone('0110345678')).toBe('254110345678')
+  })
+
+  it('should reject invalid numbers', () => {
+    expect(normalizeMpesaPhone('')).toBeNull()
+    expect(normalizeMpesaPhone('0212345678')).toBeNull()
+    expect(normalizeMpesaPhone('07123')).toBeNull()
+  })
+})
+
+describe('getDarajaTimestamp', () => {
+  it('should format in East Africa Time', () => {
+    expect(getDarajaTimestamp(new Date('2025-03-14T21:30:05Z'))).toBe('20250315003005')
+  })
+})
+
+describe('mpesaProvider.parseCallback', () => {
+  it('should parse a successful payment', () => {
+    const result = mpesaProvider.parseCallback({
+      Body: {
+        stkCallback: {
+          MerchantRequestID: 'merchant-1',
+          CheckoutRequestID: 'ws_CO_1',
+          ResultCode: 0,
+          ResultDesc: 'The service request is processed successfully.',
+          CallbackMetadata: {
+            Item: [
+              { Name: 'Amount', Value: 100 },
+              { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+              { Name: 'PhoneNumber', Value: 254712345678 },
+            ],
+          },
+        },
+      },
+    })
+
+    expect(result).toMatchObject({
+      checkoutRequestId: 'ws_CO_1',
+      success: true,
+      resultCode: '0',
+      receiptNumber: 'NLJ7RT61SV',
+      amount: 100,
+    })
+  })
+
+  it('should parse a cancelled payment', () => {
+    const result = mpesaProvider.parseCallback({
+      Body: { stkCallback: { CheckoutRequestID: 'ws_CO_2', ResultCode: 1032, ResultDesc: 'Request cancelled by user' } },
+    })
+
+    expect(result.success).toBe(false)
+    expect(result.resultCode).toBe('1032')
+    expect(result.receiptNumber).toBeNull()
+  })
+
+  it('should return null for other payloads', () => {
+    expect(mpesaProvider.parseCallback({})).toBeNull()
+  })
+})
+
+describe('mockProvider', () => {
+  it('should complete payments immediately', async () => {
+    const result = await mockProvider.initiatePayment({ amount: 100, phoneNumber: '0712345678' })
+
+    expect(result.status).toBe('completed')
+    expect(result.phoneNumber).toBe('254712345678')
+    expect(result.receiptNumber).toMatch(/^MOCK/)
+  })
+
+  it('should simulate a cancelled prompt for numbers ending in 000', async () => {
+    const result = await mockProvider.initiatePayment({ amount: 100, phoneNumber: '0712345000' })
+
+    expect(result.status).toBe('failed')
+    expect(result.resultCode).toBe('1032')
+  })
+
+  it('should reject invalid phone numbers', async () => {
+    await expect(mockProvider.initiatePayment({ amount: 100, phoneNumber: '123' })).rejects.toThrow('Invalid phone number')
+  })
+})
+
+describe('getPaymentProvider', () => {
+  it('should fall back to the mock provider without M-Pesa credentials', () => {
+    expect(getPaymentProvider().name).toBe('mock')
+  })
+
+  it('should honour an explicit provider name', () => {
+    expect(getPaymentProvider('mpesa').name).toBe('mpesa')
+    expect(() => getPaymentProvider('paypal')).toThrow('Unknown payment provider')
+  })
+
+  it('should never use the mock provider in production', () => {
+    const originalEnv = process.env.NODE_ENV
+    process.env.NODE_ENV = 'production'
+
+    try {
+      expect(() => getPaymentProvider('mock')).toThrow('cannot be used in production')
+      expect(() => getPaymentProvider()).toThrow('No payment provider configured')
+      expect(getPaymentProvider('mpesa').name).toBe('mpesa')
+    } finally {
+      process.env.NODE_ENV = originalEnv
+    }
+  })
+})
@@ -0,0 +1,207 @@
+/**
+ * Tests for hybrid material search
+ * Fusion, parameter validation and the search flow on the fake embedding provider
+ */
+
+import { fuseSearchCandidates, searchMaterials, RRF_K, MIN_SEMANTIC_SIMILARITY } from '@/lib/search/hybrid'
+import { parseSearchParams, buildViewerUrl, splitHighlights, MAX_RESULT_LIMIT } from '@/lib/search/params'
+import { fakeEmbedding } from '@/lib/ai/fake'
+
+const COURSE_ID = '6f1c2a1e-8a8b-4c1d-9f0e-2b3c4d5e6f70'
+
+function candidate(match_type, material_id, rank_position, extra = {}) {
+  return { match_type, material_id, rank_position, score: 1, page_number: null, page_end: null, heading: null, snippet: null, ...extra }
+}
+
+function createSupabaseMock({ results = [], rpc } = {}) {
+  const queries = []
+  const from = jest.fn((table) => {
+    const result = results.shift() || { data: null, error: null }
+    const query = { table }
+    ;['select', 'eq', 'in'].forEach((method) => {
+      query[method] = jest.fn(() => query)
+    })
+    query.then = (resolve) => resolve(result)
+    queries.push(query)
+    return query
+  })
+  return { from, rpc: rpc || jest.fn(), queries }
+}
+
+describe('parseSearchParams', () => {
+  it('should normalise the query and read filters', () => {
+    const { params, error } = parseSearchParams(new URLSearchParams(
+      `q=  fourier   transform &courseId=${COURSE_ID}&category=past_paper&year=3&type=pdf`
+    ))
+
+    expect(error).toBeUndefined()
+    expect(params).toEqual({
+      query: 'fourier transform',
+      filters: { courseId: COURSE_ID, topicId: null, category: 'past_paper', year: 3, fileType: 'pdf' },
+      limit: 20,
+    })
+  })
+
+  it('should reject short queries and bad filters', () => {
+    expect(parseSearchParams(new URLSearchParams('q=a')).error).toMatch('at least 2')
+    expect(parseSearchParams(new URLSearchParams('q=ab&courseId=abc')).error).toBe('Invalid courseId')
+    expect(parseSearchParams(new URLSearchParams('q=ab&category=memes')).error).toBe('Invalid category')
+    expect(parseSearchParams(new URLSearchParams('q=ab&type=exe')).error).toMatch('Invalid type')
+    expect(parseSearchParams(new URLSearchParams('q=ab&year=9')).error).toMatch('Year must be')
+  })
+
+  it('should cap the limit', () => {
+    expect(parseSearchParams(new URLSearchParams('q=ab&limit=500')).params.limit).toBe(MAX_RESULT_LIMIT)
+  })
+})
+
+describe('fuseSearchCandidates', () => {
+  it('should rank materials found by several methods above single-method hits', () => {
+    const results = fuseSearchCandidates([
+      candidate('metadata', 'title-only', 1),
+      candidate('metadata', 'both', 2),
+      candidate('semantic', 'both', 3, { page_number: 7, page_end: 8, heading: 'Convolution', snippet: 'The convolution theorem...' }),
+      candidate('semantic', 'semantic-only', 1, { page_number: 2 }),
+    ])
+
+    expect(results.map((result) => result.materialId)).toEqual(['both', 'title-only', 'semantic-only'])
+    expect(results[0].score).toBeCloseTo(1 / (RRF_K + 2) + 1 / (RRF_K + 3))
+    expect(results[0].matchTypes).toEqual(['metadata', 'semantic'])
+    expect(results[0].location).toEqual({ page: 7, pageEnd: 8, heading: 'Convolution', snippet: 'The convolution theorem...' })
+    expect(results[1].location).toBeNull()
+  })
+
+  it('should open at the semantic passage before the matching page', () => {
+    const [result] = fuseSearchCandidates([
+      candidate('page', 'mat-1', 1, { page_number: 12, page_end: 12, snippet: 'page [[match]]' }),
+      candidate('semantic', 'mat-1', 1, { page_number: 4, page_end: 5 }),
+    ])
+
+    expect(result.location.page).toBe(4)
+    expect(result.location.pageEnd).toBe(5)
+  })
+
+  it('should apply the limit after ranking', () => {
+    const candidates = ['a', 'b', 'c'].map((id, i) => candidate('metadata', id, i + 1))
+
+    expect(fuseSearchCandidates(candidates, { limit: 2 }).map((result) => result.materialId)).toEqual(['a', 'b'])
+  })
+})
+
+describe('search result helpers', () => {
+  it('should deep-link to the viewer page', () => {
+    expect(buildViewerUrl('mat-1', 5)).toBe('/materials/mat-1/view?page=5')
+    expect(buildViewerUrl('mat-1', null)).toBe('/materials/mat-1/view')
+  })
+
+  it('should split ts_headline markers into highlighted parts', () => {
+    expect(splitHighlights('apply [[Kirchhoff]] voltage [[law]]')).toEqual([
+      { text: 'apply ', highlight: false },
+      { text: 'Kirchhoff', highlight: true },
+      { text: ' voltage ', highlight: false },
+      { text: 'law', highlight: true },
+    ])
+    expect(splitHighlights(null)).toEqual([])
+  })
+})
+
+describe('searchMaterials', () => {
+  const originalProvider = process.env.AI_EMBEDDING_PROVIDER
+
+  beforeAll(() => {
+    process.env.AI_EMBEDDING_PROVIDER = 'fake'
+  })
+
+  afterAll(() => {
+    if (originalProvider === undefined) delete process.env.AI_EMBEDDING_PROVIDER
+    else process.env.AI_EMBEDDING_PROVIDER = originalProvider
+  })
+
+  const material = {
+    id: 'mat-1',
+    title: 'Signals and Systems Notes',
+    description: 'Weeks 1-6',
+    type: 'pdf',
+    material_category: 'notes',
+    category_metadata: null,
+    created_at: '2026-01-10T00:00:00Z',
+    course_id: COURSE_ID,
+    courses: { course_name: 'Electrical Engineering' },
+    topic_id: 'topic-1',
+    topics: { topic_name: 'Signals and Systems', unit_code: 'EEE 2301', year: 3, semester: 1 },
+  }
+
+  it('should embed the query, pass filters to the rpc and return viewer links', async () => {
+    const rpc = jest.fn().mockResolvedValue({
+      data: [
+        candidate('metadata', 'mat-1', 1),
+        candidate('semantic', 'mat-1', 1, { page_number: 9, page_end: 9, snippet: 'Laplace transform of...' }),
+      ],
+      error: null,
+    })
+    const supabase = createSupabaseMock({ rpc, results: [{ data: [material], error: null }] })
+
+    const { results, semantic } = await searchMaterials(supabase, {
+      query: 'laplace transform',
+      filters: { courseId: COURSE_ID, year: 3 },
+      limit: 10,
+    })
+
+    expect(rpc).toHaveBeenCalledWith('search_material_candidates', {
+      p_query: 'laplace transform',
+      p_query_embedding: fakeEmbedding('laplace transform'),
+      p_course_id: COURSE_ID,
+      p_topic_id: null,
+      p_category: null,
+      p_year: 3,
+      p_file_type: null,
+      p_match_count: 10,
+      p_min_similarity: MIN_SEMANTIC_SIMILARITY,
+    })
+    expect(supabase.queries[0].in).toHaveBeenCalledWith('id', ['mat-1'])
+    expect(semantic).toBe(true)
+    expect(results).toHaveLength(1)
+    expect(results[0]).toMatchObject({
+      id: 'mat-1',
+      title: 'Signals and Systems Notes',
+      course: { id: COURSE_ID, name: 'Electrical Engineering' },
+      unit: { id: 'topic-1', code: 'EEE 2301', year: 3 },
+      matchTypes: ['metadata', 'semantic'],
+      viewerUrl: '/materials/mat-1/view?page=9',
+    })
+  })
+
+  it('should fall back to full-text search when embeddings are not configured', async () => {
+    process.env.AI_EMBEDDING_PROVIDER = 'openai'
+    const originalKey = process.env.OPENAI_API_KEY
+    delete process.env.OPENAI_API_KEY
+
+    const rpc = jest.fn().mockResolvedValue({ data: [], error: null })
+    const supabase = createSupabaseMock({ rpc })
+
+    const { results, semantic } = await searchMaterials(supabase, { query: 'laplace' })
+
+    expect(rpc).toHaveBeenCalledWith('search_material_candidates', expect.objectContaining({ p_query_embedding: null }))
+    expect(semantic).toBe(false)
+    expect(results).toEqual([])
+    expect(supabase.from).not.toHaveBeenCalled()
+
+    process.env.AI_EMBEDDING_PROVIDER = 'fake'
+    if (originalKey !== undefined) process.env.OPENAI_API_KEY = originalKey
+  })
+
+  it('should skip the query embedding when semantic search is off', async () => {
+    const rpc = jest.fn().mockResolvedValue({ data: [], error: null })
+
+    const { semantic } = await searchMaterials(createSupabaseMock({ rpc }), { query: 'laplace', semantic: false })
+
+    expect(rpc).toHaveBeenCalledWith('search_material_candidates', expect.objectContaining({ p_query_embedding: null }))
+    expect(semantic).toBe(false)
+  })
+
+  it('should surface rpc errors', async () => {
+    const rpc = jest.fn().mockResolvedValue({ data: null, error: new Error('function search_material_candidates does not exist') })
+
+    await expect(searchMaterials(createSupabaseMock({ rpc }), { query: 'laplace' })).rejects.toThrow('search_material_candidates')
+  })
+})
@@ -0,0 +1,162 @@
+/**
+ * Tests for near-duplicate detection
+ * MinHash over text, difference hashes of page images, and finding and
+ * recording look-alike materials
+ */
+
+import {
+  tokenize,
+  createMinHash,
+  minHashSimilarity,
+  differenceHash,
+  hammingDistance,
+  pageHashSimilarity,
+  compareFingerprints,
+  MINHASH_SIZE,
+  DHASH_WIDTH,
+  DHASH_HEIGHT,
+} from '@/lib/similarity/fingerprint'
+import { findSimilarMaterials, recordSuspects } from '@/lib/similarity/suspects'
+
+jest.mock('@/lib/similarity/compute', () => ({
+  computeFingerprint: jest.fn(),
+}))
+
+const NOTES = `Week 3: Laplace transforms. The Laplace transform turns a linear differential
+equation into an algebraic one. We define F(s) as the integral from zero to infinity of
+f(t) times e to the minus st. Linearity lets us transform each term separately, and the
+derivative rule replaces differentiation with multiplication by s minus initial values.
+Partial fractions then recover the time domain solution from the table of transforms.`
+
+const OTHER = `Week 7: Fourier series. Any periodic function satisfying the Dirichlet conditions
+can be written as a sum of sines and cosines. The coefficients come from integrating the
+function against each basis function over one period, and orthogonality makes every
+coefficient independent of the others. Convergence at jumps is to the midpoint value.`
+
+// RGBA image whose brightness follows fn(x, y)
+function image(fn) {
+  const data = new Uint8ClampedArray(DHASH_WIDTH * DHASH_HEIGHT * 4)
+  for (let y = 0; y < DHASH_HEIGHT; y++) {
+    for (let x = 0; x < DHASH_WIDTH; x++) {
+      const i = (y * DHASH_WIDTH + x) * 4
+      data[i] = data[i + 1] = data[i + 2] = fn(x, y)
+      data[i + 3] = 255
+    }
+  }
+  return { data, width: DHASH_WIDTH, height: DHASH_HEIGHT }
+}
+
+const checkerboard = (x, y) => ((x + y) % 2 ? 200 : 40)
+const stripes = (x, y) => (y % 2 ? (x % 3 ? 220 : 30) : 120 + x * 10)
+
+describe('text MinHash', () => {
+  it('should ignore case, punctuation and layout', () => {
+    expect(tokenize('Week 3:\nLAPLACE  transforms!')).toEqual(['week', '3', 'laplace', 'transforms'])
+    expect(createMinHash(NOTES)).toEqual(createMinHash(NOTES.toUpperCase().replace(/\n/g, '  ')))
+  })
+
+  it('should produce 32-bit signatures of a fixed size', () => {
+    const signature = createMinHash(NOTES)
+    expect(signature).toHaveLength(MINHASH_SIZE)
+    signature.forEach((value) => expect(value).toBe(value | 0))
+  })
+
+  it('should rate re-exports as near-identical and unrelated notes as different', () => {
+    const reExport = `Lecture notes (exported 2024)\n${NOTES}\nPage 1 of 1`
+
+    expect(minHashSimilarity(createMinHash(NOTES), createMinHash(reExport))).toBeGreaterThan(0.7)
+    expect(minHashSimilarity(createMinHash(NOTES), createMinHash(OTHER))).toBeLessThan(0.2)
+  })
+
+  it('should not fingerprint text too short to compare', () => {
+    expect(createMinHash('Week 3 notes')).toBeNull()
+    expect(minHashSimilarity(null, createMinHash(NOTES))).toBeNull()
+  })
+})
+
+describe('page hashes', () => {
+  it('should hash a 9x8 image to 64 bits', () => {
+    expect(differenceHash(image(checkerboard))).toMatch(/^[0-9a-f]{16}$/)
+    expect(() => differenceHash({ data: new Uint8ClampedArray(4), width: 1, height: 1 })).toThrow('9x8')
+  })
+
+  it('should match the same page under a brightness change', () => {
+    const page = differenceHash(image(checkerboard))
+    const rescan = differenceHash(image((x, y) => Math.min(checkerboard(x, y) + 30, 255)))
+
+    expect(hammingDistance(page, rescan)).toBe(0)
+    expect(pageHashSimilarity([page], [rescan])).toBe(1)
+  })
+
+  it('should tell different pages apart and ignore blank ones', () => {
+    const page = differenceHash(image(checkerboard))
+    const other = differenceHash(image(stripes))
+    const blank = differenceHash(image(() => 255))
+
+    expect(pageHashSimilarity([page], [other])).toBe(0)
+    expect(pageHashSimilarity([blank], [blank])).toBeNull()
+  })
+})
+
+describe('compareFingerprints', () => {
+  it('should report the strongest signal over its threshold', () => {
+    const page = differenceHash(image(checkerboard))
+
+    expect(compareFingerprints(
+      { textMinhash: createMinHash(NOTES), pageHashes: [page] },
+      { textMinhash: createMinHash(NOTES), pageHashes: [] }
+    )).toEqual({ similarity: 1, method: 'text' })
+
+    // A scan with no usable text still matches on its pages
+    expect(compareFingerprints(
+      { textMinhash: null, pageHashes: [page] },
+      { textMinhash: createMinHash(NOTES), pageHashes: [page] }
+    )).toEqual({ similarity: 1, method: 'visual' })
+  })
+
+  it('should not flag unrelated materials', () => {
+    expect(compareFingerprints(
+      { textMinhash: createMinHash(NOTES), pageHashes: [differenceHash(image(checkerboard))] },
+      { textMinhash: createMinHash(OTHER), pageHashes: [differenceHash(image(stripes))] }
+    )).toBeNull()
+  })
+})
+
+describe('similar materials', () => {
+  function supabaseReturning(data) {
+    const query = {}
+    ;['select', 'is', 'eq', 'neq', 'upsert'].forEach((method) => {
+      query[method] = jest.fn(() => query)
+    })
+    query.then = (resolve) => resolve({ data, error: null })
+    return { from: jest.fn(() => query), query }
+  }
+
+  it('should list look-alikes in the unit, most similar first', async () => {
+    const { from, query } = supabaseReturning([
+      { id: 'm1', title: 'Week 7 Notes', material_fingerprints: { text_minhash: createMinHash(OTHER), page_hashes: [] } },
+      { id: 'm2', title: 'Week 3 Notes', material_fingerprints: [{ text_minhash: createMinHash(NOTES), page_hashes: [] }] },
+    ])
+
+    const matches = await findSimilarMaterials({ from }, { textMinhash: createMinHash(NOTES), pageHashes: [] }, {
+      topicId: 'unit-1',
+      courseId: 'course-1',
+    })
+
+    expect(query.eq).toHaveBeenCalledWith('topic_id', 'unit-1')
+    expect(matches).toEqual([
+      { id: 'm2', title: 'Week 3 Notes', similarity: 1, method: 'text', url: '/materials/m2/view' },
+    ])
+  })
+
+  it('should store each pair once, lowest id first', async () => {
+    const { from, query } = supabaseReturning(null)
+
+    await recordSuspects({ from }, 'b-material', [{ id: 'a-material', similarity: 0.8, method: 'visual' }])
+
+    expect(query.upsert).toHaveBeenCalledWith(
+      [{ material_a_id: 'a-material', material_b_id: 'b-material', similarity: 0.8, method: 'visual' }],
+      { onConflict: 'material_a_id,material_b_id', ignoreDuplicates: true }
+    )
+  })
+})
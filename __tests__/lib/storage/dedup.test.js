@@ -0,0 +1,213 @@
+/**
+ * Tests for content-hash deduplication
+ * Hashing, duplicate resolution, shared objects and the duplicates report
+ */
+
+import getR2Client, { deleteFromR2 } from '@/lib/storage/r2-client'
+import {
+  hashBuffer,
+  hashR2Object,
+  findMaterialsByHash,
+  resolveDuplicate,
+  duplicateResponseBody,
+  sharedStorageColumns,
+  isStoragePathShared,
+  discardUploadedObject,
+  canSeeDuplicate,
+  findDuplicateGroups,
+} from '@/lib/storage/dedup'
+import { mockQuery } from '@/__mocks__/supabase'
+
+jest.mock('@/lib/storage/r2-client', () => ({
+  __esModule: true,
+  default: jest.fn(),
+  deleteFromR2: jest.fn(),
+}))
+
+// sha256('hello world')
+const HELLO_HASH = 'b94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9'
+
+function material(id, courseId, extra = {}) {
+  return {
+    id,
+    title: `Material ${id}`,
+    course_id: courseId,
+    storage_location: 'r2',
+    storage_path: `uploads/${id}/notes.pdf`,
+    file_url: `https://cdn.test/uploads/${id}/notes.pdf`,
+    file_size: 2048,
+    ...extra,
+  }
+}
+
+describe('content hashing', () => {
+  it('should hash buffers as lowercase hex SHA-256', () => {
+    expect(hashBuffer(Buffer.from('hello world'))).toBe(HELLO_HASH)
+  })
+
+  it('should hash R2 objects chunk by chunk', async () => {
+    const send = jest.fn().mockResolvedValue({
+      Body: (async function* () {
+        yield Buffer.from('hello ')
+        yield Buffer.from('world')
+      })(),
+    })
+    getR2Client.mockReturnValue({ send })
+
+    await expect(hashR2Object('uploads/a/notes.pdf')).resolves.toBe(HELLO_HASH)
+    expect(send.mock.calls[0][0].input).toMatchObject({ Key: 'uploads/a/notes.pdf' })
+  })
+
+  it('should fail clearly without an R2 client', async () => {
+    getR2Client.mockReturnValue(null)
+    await expect(hashR2Object('uploads/a/notes.pdf')).rejects.toThrow('R2 client not configured')
+  })
+})
+
+describe('findMaterialsByHash', () => {
+  it('should leave out deleted and rejected materials', async () => {
+    const builder = mockQuery({ data: [material('m1', 'course-1')], error: null })
+    const supabase = { from: jest.fn(() => builder) }
+
+    await expect(findMaterialsByHash(supabase, HELLO_HASH)).resolves.toHaveLength(1)
+    expect(builder.eq).toHaveBeenCalledWith('content_hash', HELLO_HASH)
+    expect(builder.is).toHaveBeenCalledWith('deleted_at', null)
+    expect(builder.neq).toHaveBeenCalledWith('status', 'rejected')
+  })
+})
+
+describe('resolveDuplicate', () => {
+  it('should block uploads to a course that already has the file', () => {
+    const existing = material('m1', 'course-1')
+    const { duplicate, sharedObject } = resolveDuplicate([existing], 'course-1')
+
+    expect(duplicate).toBe(existing)
+    expect(duplicateResponseBody(duplicate)).toEqual({
+      error: 'This file is already in this course as "Material m1"',
+      duplicate: { id: 'm1', title: 'Material m1', url: '/materials/m1/view' },
+    })
+    expect(sharedObject).toBe(existing)
+  })
+
+  it('should share the stored object of the same file in another course', () => {
+    const existing = material('m1', 'course-2')
+    const { duplicate, sharedObject } = resolveDuplicate([existing], 'course-1')
+
+    expect(duplicate).toBeNull()
+    expect(sharedStorageColumns(sharedObject)).toEqual({
+      storage_location: 'r2',
+      storage_path: 'uploads/m1/notes.pdf',
+      file_url: 'https://cdn.test/uploads/m1/notes.pdf',
+      file_size: 2048,
+    })
+  })
+
+  it('should upload new files normally', () => {
+    expect(resolveDuplicate([], 'course-1')).toEqual({ duplicate: null, sharedObject: null })
+  })
+})
+
+describe('isStoragePathShared', () => {
+  it('should count other materials using the object', async () => {
+    const builder = mockQuery({ count: 1, error: null })
+    const supabase = { from: jest.fn(() => builder) }
+
+    await expect(isStoragePathShared(supabase, 'uploads/m1/notes.pdf', 'm2')).resolves.toBe(true)
+    expect(builder.eq).toHaveBeenCalledWith('storage_path', 'uploads/m1/notes.pdf')
+    expect(builder.neq).toHaveBeenCalledWith('id', 'm2')
+  })
+
+  it('should report objects nobody else uses', async () => {
+    const supabase = { from: jest.fn(() => mockQuery({ count: 0, error: null })) }
+    await expect(isStoragePathShared(supabase, 'uploads/m1/notes.pdf', 'm1')).resolves.toBe(false)
+  })
+
+  it('should count earlier versions of other materials', async () => {
+    const versions = mockQuery({ count: 1, error: null })
+    const supabase = {
+      from: jest.fn((table) => (table === 'material_versions' ? versions : mockQuery({ count: 0, error: null }))),
+    }
+
+    await expect(isStoragePathShared(supabase, 'uploads/m1/notes.pdf', 'm2')).resolves.toBe(true)
+    expect(versions.neq).toHaveBeenCalledWith('material_id', 'm2')
+  })
+})
+
+describe('discardUploadedObject', () => {
+  beforeEach(() => {
+    deleteFromR2.mockClear()
+  })
+
+  it('should delete uploads nothing points at', async () => {
+    const builder = mockQuery({ count: 0, error: null })
+    const supabase = { from: jest.fn(() => builder) }
+
+    await expect(discardUploadedObject(supabase, 'uploads/1-a/notes.pdf')).resolves.toBe(true)
+    expect(deleteFromR2).toHaveBeenCalledWith('uploads/1-a/notes.pdf')
+    expect(builder.neq).not.toHaveBeenCalled()
+  })
+
+  it('should keep objects a material or version points at', async () => {
+    const supabase = {
+      from: jest.fn((table) => mockQuery({ count: table === 'material_versions' ? 1 : 0, error: null })),
+    }
+
+    await expect(discardUploadedObject(supabase, 'uploads/1-a/notes.pdf')).resolves.toBe(false)
+    expect(deleteFromR2).not.toHaveBeenCalled()
+  })
+})
+
+describe('canSeeDuplicate', () => {
+  const viewer = { userId: 'user-1', canModerate: false }
+
+  it('should show approved materials to anyone', () => {
+    expect(canSeeDuplicate(material('m1', 'course-1', { status: 'approved' }), { userId: null, canModerate: false })).toBe(true)
+  })
+
+  it('should keep pending materials to their uploader and moderators', () => {
+    const pending = material('m1', 'course-1', { status: 'pending', user_id: 'user-2' })
+
+    expect(canSeeDuplicate(pending, viewer)).toBe(false)
+    expect(canSeeDuplicate(pending, { userId: null, canModerate: false })).toBe(false)
+    expect(canSeeDuplicate(pending, { ...viewer, userId: 'user-2' })).toBe(true)
+    expect(canSeeDuplicate(pending, { ...viewer, canModerate: true })).toBe(true)
+  })
+})
+
+describe('findDuplicateGroups', () => {
+  it('should group copies and flag later ones in the same course for merging', async () => {
+    const hash = 'f'.repeat(64)
+    const supabase = {
+      rpc: jest.fn().mockResolvedValue({
+        data: [{ content_hash: hash, material_count: 3, course_count: 2, same_course_count: 1, storage_object_count: 2 }],
+        error: null,
+      }),
+      from: jest.fn(() => mockQuery({
+        data: [
+          material('m1', 'course-1', { content_hash: hash, courses: { course_name: 'Maths' } }),
+          material('m2', 'course-2', { content_hash: hash, storage_path: 'uploads/m1/notes.pdf' }),
+          material('m3', 'course-1', { content_hash: hash, courses: { course_name: 'Maths' } }),
+        ],
+        error: null,
+      })),
+    }
+
+    const [group] = await findDuplicateGroups(supabase, { limit: 10 })
+
+    expect(supabase.rpc).toHaveBeenCalledWith('find_duplicate_content_hashes', { p_limit: 10 })
+    expect(group).toMatchObject({ contentHash: hash, sameCourseCount: 1, redundantObjects: 1 })
+    expect(group.materials.map((copy) => [copy.id, copy.mergeCandidate])).toEqual([
+      ['m1', false],
+      ['m2', false],
+      ['m3', true],
+    ])
+    expect(group.materials[0]).toMatchObject({ courseName: 'Maths', url: '/materials/m1/view' })
+  })
+
+  it('should skip the materials query when nothing is duplicated', async () => {
+    const supabase = { rpc: jest.fn().mockResolvedValue({ data: [], error: null }), from: jest.fn() }
+
+    await expect(findDuplicateGroups(supabase)).resolves.toEqual([])
+    expect(supabase.from).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,193 @@
+/**
+ * Tests for PDF compression
+ * DPI estimates, text-only detection, PNG predictors, image re-encoding and
+ * metadata stripping (node-canvas is mocked - it needs native bindings)
+ */
+
+import { PDFDocument, PDFName, PDFRef } from 'pdf-lib'
+import {
+  compressPDF,
+  getDownsampleScale,
+  isTextOnlyScan,
+  unpredictPng,
+  samplesToRgba,
+  getCompressionStats,
+} from '@/lib/storage/pdf-compressor'
+
+const JPEG_BYTES = Buffer.alloc(1000, 0xff)
+
+jest.mock('canvas', () => {
+  const context = {
+    createImageData: (width, height) => ({ data: new Uint8ClampedArray(width * height * 4) }),
+    putImageData: jest.fn(),
+    drawImage: jest.fn(),
+    getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4).fill(128) }),
+  }
+  return {
+    createCanvas: jest.fn((width, height) => ({
+      width,
+      height,
+      getContext: () => context,
+      toBuffer: jest.fn(() => Buffer.alloc(1000, 0xff)),
+    })),
+    loadImage: jest.fn(),
+  }
+})
+
+// Noisy pixels so Flate can't shrink them to nothing
+function noise(length) {
+  const bytes = new Uint8Array(length)
+  let seed = 42
+  for (let i = 0; i < length; i++) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff
+    bytes[i] = seed & 0xff
+  }
+  return bytes
+}
+
+// One-page PDF with a raw RGB image, XMP metadata, document info and a page thumbnail
+async function scannedPdf({ pixels = 400, pageSize = 72 } = {}) {
+  const pdfDoc = await PDFDocument.create()
+  const page = pdfDoc.addPage([pageSize, pageSize])
+
+  const image = pdfDoc.context.flateStream(noise(pixels * pixels * 3), {
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: pixels,
+    Height: pixels,
+    ColorSpace: 'DeviceRGB',
+    BitsPerComponent: 8,
+  })
+  const imageRef = pdfDoc.context.register(image)
+  page.node.newXObject('Im0', imageRef)
+
+  const xmp = pdfDoc.context.stream('<x:xmpmeta>'.padEnd(4000, ' ') + '</x:xmpmeta>', { Type: 'Metadata', Subtype: 'XML' })
+  pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(xmp))
+  page.node.set(PDFName.of('Thumb'), pdfDoc.context.register(pdfDoc.context.stream(noise(2000))))
+
+  pdfDoc.setTitle('Thermodynamics notes')
+  pdfDoc.setAuthor('Scanner App')
+
+  return { buffer: Buffer.from(await pdfDoc.save()), imageRef }
+}
+
+describe('image analysis', () => {
+  it('should estimate the downsample scale from the page size', () => {
+    // A4 at 150 DPI is 1754px on the long side
+    expect(getDownsampleScale(3000, 4000, 595, 842, 150)).toBeCloseTo(1754 / 4000, 2)
+    // Same for a landscape photo on a portrait page
+    expect(getDownsampleScale(4000, 3000, 595, 842, 150)).toBeCloseTo(1754 / 4000, 2)
+  })
+
+  it('should never upscale', () => {
+    expect(getDownsampleScale(800, 1000, 595, 842, 150)).toBe(1)
+  })
+
+  it('should treat tinted black-and-white pages as text-only', () => {
+    // Yellowish paper with dark text
+    const data = new Uint8ClampedArray(100 * 4)
+    for (let i = 0; i < 100; i++) {
+      const [r, g, b] = i % 5 ? [240, 228, 195] : [40, 35, 20]
+      data.set([r, g, b, 255], i * 4)
+    }
+    expect(isTextOnlyScan({ data })).toBe(true)
+  })
+
+  it('should keep colour for pages with coloured content', () => {
+    const data = new Uint8ClampedArray(100 * 4)
+    for (let i = 0; i < 100; i++) {
+      data.set(i % 4 ? [250, 250, 250, 255] : [220, 30, 30, 255], i * 4)
+    }
+    expect(isTextOnlyScan({ data })).toBe(false)
+  })
+
+  it('should undo PNG Sub and Up predictors', () => {
+    // 2x2 gray image: row 0 uses Sub, row 1 uses Up
+    const encoded = new Uint8Array([1, 10, 5, 2, 1, 1])
+    expect(Array.from(unpredictPng(encoded, 2, 2, 1))).toEqual([10, 15, 11, 16])
+  })
+
+  it('should expand gray samples to RGBA', () => {
+    expect(Array.from(samplesToRgba(new Uint8Array([7, 9]), 1))).toEqual([7, 7, 7, 255, 9, 9, 9, 255])
+  })
+})
+
+describe('compressPDF', () => {
+  it('should downsample images above the target DPI', async () => {
+    const { buffer, imageRef } = await scannedPdf()
+
+    const result = await compressPDF(buffer)
+
+    expect(result.images).toEqual({ total: 1, downsampled: 1, grayscale: 0, skipped: 0 })
+    expect(result.compressedSize).toBeLessThan(result.originalSize)
+
+    const output = await PDFDocument.load(new Uint8Array(result.buffer))
+    const image = output.context.lookup(PDFRef.of(imageRef.objectNumber))
+    expect(image.dict.lookup(PDFName.of('Filter'))).toBe(PDFName.of('DCTDecode'))
+    expect(image.dict.lookup(PDFName.of('Width')).asNumber()).toBe(150)
+    expect(Buffer.from(image.contents)).toEqual(JPEG_BYTES)
+  })
+
+  it('should leave images at or below the target DPI alone', async () => {
+    const { buffer } = await scannedPdf({ pixels: 100 })
+
+    const result = await compressPDF(buffer)
+
+    expect(result.images).toEqual({ total: 1, downsampled: 0, grayscale: 0, skipped: 1 })
+  })
+
+  it('should convert to grayscale on request', async () => {
+    const { buffer } = await scannedPdf({ pixels: 100 })
+
+    const result = await compressPDF(buffer, { grayscale: true })
+
+    expect(result.images).toMatchObject({ downsampled: 0, grayscale: 1 })
+  })
+
+  it('should strip metadata and thumbnails but keep the title', async () => {
+    const { buffer } = await scannedPdf()
+
+    const result = await compressPDF(buffer)
+    const output = await PDFDocument.load(new Uint8Array(result.buffer), { updateMetadata: false })
+
+    expect(result.metadataRemoved).toBe(3)
+    expect(output.catalog.get(PDFName.of('Metadata'))).toBeUndefined()
+    expect(output.getPage(0).node.get(PDFName.of('Thumb'))).toBeUndefined()
+    expect(output.getTitle()).toBe('Thermodynamics notes')
+    expect(output.getAuthor()).toBeUndefined()
+  })
+
+  it('should never return a larger file', async () => {
+    // Nothing to gain from a tiny, already compact PDF
+    const pdfDoc = await PDFDocument.create()
+    pdfDoc.addPage([100, 100])
+    const buffer = Buffer.from(await pdfDoc.save({ useObjectStreams: true }))
+
+    const result = await compressPDF(buffer, { stripMetadata: false })
+
+    expect(result.compressedSize).toBeLessThanOrEqual(buffer.length)
+    expect(result.buffer.length).toBe(result.compressedSize)
+  })
+
+  it('should return the original when the PDF cannot be read', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const buffer = Buffer.from('not a pdf')
+
+    const result = await compressPDF(buffer)
+
+    expect(result.buffer).toBe(buffer)
+    expect(result.error).toBeDefined()
+    console.error.mockRestore()
+  })
+
+  it('should include image stats in compressionStats', () => {
+    const images = { total: 3, downsampled: 2, grayscale: 0, skipped: 1 }
+    expect(getCompressionStats(20 * 1024 * 1024, 5 * 1024 * 1024, { images, metadataRemoved: 2 })).toMatchObject({
+      originalSizeMB: '20.00',
+      compressedSizeMB: '5.00',
+      compressionRatio: '75.00%',
+      images,
+      metadataRemoved: 2,
+    })
+  })
+})
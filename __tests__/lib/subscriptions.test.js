@@ -0,0 +1,141 @@
+/**
+ * Tests for subscriptions
+ * Tier features, activation/renewal and idempotent payment completion
+ */
+
+import {
+  hasTierFeature,
+  getActiveSubscriptionTier,
+  activateSubscription,
+  completePayment,
+} from '@/lib/subscriptions'
+
+// Chainable query mock; each from() call consumes the next queued result
+function createSupabaseMock(results) {
+  const queries = []
+  const from = jest.fn((table) => {
+    const result = results.shift() || { data: null, error: null }
+    const query = { table }
+    ;['select', 'eq', 'lt', 'update', 'insert'].forEach((method) => {
+      query[method] = jest.fn(() => query)
+    })
+    query.maybeSingle = jest.fn().mockResolvedValue(result)
+    query.single = jest.fn().mockResolvedValue(result)
+    query.then = (resolve) => resolve(result)
+    queries.push(query)
+    return query
+  })
+  return { from, queries }
+}
+
+const payment = {
+  id: 'payment-1',
+  user_id: 'user-1',
+  tier: 'premium',
+  amount: 100,
+  duration_days: 30,
+  provider: 'mock',
+  status: 'pending',
+}
+
+describe('hasTierFeature', () => {
+  it('should gate bulk offline downloads to paid tiers', () => {
+    expect(hasTierFeature({ tier: 'free' }, 'bulkOfflineDownload')).toBe(false)
+    expect(hasTierFeature({ tier: 'premium' }, 'bulkOfflineDownload')).toBe(true)
+  })
+
+  it('should give class reps and admins paid features by role', () => {
+    expect(hasTierFeature({ tier: 'free', role: 'class_rep' }, 'bulkOfflineDownload')).toBe(true)
+    expect(hasTierFeature({ tier: 'free', role: 'admin' }, 'bulkOfflineDownload')).toBe(true)
+  })
+})
+
+describe('getActiveSubscriptionTier', () => {
+  it('should return free without an active subscription', async () => {
+    const { from } = createSupabaseMock([{ data: null, error: null }])
+    expect(await getActiveSubscriptionTier({ from }, 'user-1')).toBe('free')
+  })
+
+  it('should return the tier of an unexpired subscription', async () => {
+    const expiresAt = new Date(Date.now() + 86400000).toISOString()
+    const { from } = createSupabaseMock([{ data: { tier: 'premium', expires_at: expiresAt }, error: null }])
+    expect(await getActiveSubscriptionTier({ from }, 'user-1')).toBe('premium')
+  })
+
+  it('should ignore expired subscriptions', async () => {
+    const expiresAt = new Date(Date.now() - 1000).toISOString()
+    const { from } = createSupabaseMock([{ data: { tier: 'premium', expires_at: expiresAt }, error: null }])
+    expect(await getActiveSubscriptionTier({ from }, 'user-1')).toBe('free')
+  })
+})
+
+describe('activateSubscription', () => {
+  const now = new Date('2025-03-01T00:00:00Z')
+
+  it('should start a new subscription from now', async () => {
+    const { from, queries } = createSupabaseMock([
+      { data: null, error: null },
+      { data: { id: 'sub-1' }, error: null },
+    ])
+
+    await activateSubscription({ from }, payment, { receiptNumber: 'ABC123', now })
+
+    expect(queries[1].insert).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 'user-1',
+      status: 'active',
+      tier: 'premium',
+      payment_ref: 'ABC123',
+      expires_at: '2025-03-31T00:00:00.000Z',
+    }))
+  })
+
+  it('should stack renewals onto the current expiry', async () => {
+    const { from, queries } = createSupabaseMock([
+      { data: { id: 'sub-1', expires_at: '2025-03-10T00:00:00Z' }, error: null },
+      { data: { id: 'sub-1' }, error: null },
+    ])
+
+    await activateSubscription({ from }, payment, { receiptNumber: 'ABC123', now })
+
+    expect(queries[1].update).toHaveBeenCalledWith(expect.objectContaining({
+      expires_at: '2025-04-09T00:00:00.000Z',
+    }))
+    expect(queries[1].eq).toHaveBeenCalledWith('id', 'sub-1')
+  })
+})
+
+describe('completePayment', () => {
+  it('should skip payments that were already processed', async () => {
+    const { from } = createSupabaseMock([{ data: null, error: null }])
+
+    const result = await completePayment({ from }, payment, { success: true, receiptNumber: 'ABC123' })
+
+    expect(result.processed).toBe(false)
+    expect(from).toHaveBeenCalledTimes(1)
+  })
+
+  it('should mark failed payments without activating', async () => {
+    const { from, queries } = createSupabaseMock([{ data: { ...payment, status: 'failed' }, error: null }])
+
+    const result = await completePayment({ from }, payment, { success: false, resultCode: '1032' })
+
+    expect(result).toEqual({ processed: true, status: 'failed', subscription: null })
+    expect(queries[0].update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', result_code: '1032' }))
+    expect(from).toHaveBeenCalledTimes(1)
+  })
+
+  it('should activate and link the subscription on success', async () => {
+    const { from, queries } = createSupabaseMock([
+      { data: { ...payment, status: 'completed' }, error: null },
+      { data: null, error: null },
+      { data: { id: 'sub-1' }, error: null },
+      { data: null, error: null },
+    ])
+
+    const result = await completePayment({ from }, payment, { success: true, receiptNumber: 'ABC123' })
+
+    expect(result.subscription).toEqual({ id: 'sub-1' })
+    expect(queries[0].eq).toHaveBeenCalledWith('status', 'pending')
+    expect(queries[3].update).toHaveBeenCalledWith({ subscription_id: 'sub-1' })
+  })
+})
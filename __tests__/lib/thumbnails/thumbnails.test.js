@@ -0,0 +1,185 @@
+/**
+ * Tests for material thumbnails
+ * Sizing, R2 keys and URLs, and the worker loop (rendering is mocked -
+ * node-canvas needs native bindings)
+ */
+
+import { fitThumbnail, renderThumbnail, THUMBNAIL_WIDTH, THUMBNAIL_MAX_HEIGHT } from '@/lib/thumbnails/render'
+import { getThumbnailKey, getThumbnailUrl, runThumbnailWorker, MAX_THUMBNAIL_ATTEMPTS } from '@/lib/thumbnails/worker'
+import { uploadToR2 } from '@/lib/storage/r2-client'
+import { downloadMaterialFile } from '@/lib/storage/download'
+import { mockQuery } from '@/__mocks__/supabase'
+
+jest.mock('@/lib/storage/r2-client', () => ({
+  uploadToR2: jest.fn().mockResolvedValue({ success: true }),
+}))
+
+jest.mock('@/lib/storage/download', () => ({
+  downloadMaterialFile: jest.fn().mockResolvedValue(Buffer.from('%PDF-1.4')),
+}))
+
+jest.mock('@/lib/thumbnails/render', () => ({
+  ...jest.requireActual('@/lib/thumbnails/render'),
+  renderThumbnail: jest.fn().mockResolvedValue(Buffer.from('jpeg')),
+}))
+
+function material(id, extra = {}) {
+  return {
+    id,
+    type: 'pdf',
+    storage_location: 'r2',
+    storage_path: `uploads/${id}/notes.pdf`,
+    file_url: null,
+    thumbnail_attempts: 0,
+    ...extra,
+  }
+}
+
+// Each from() call gets the next queued result; updates are recorded
+function createSupabase(results) {
+  const queries = []
+  const supabase = {
+    from: jest.fn(() => {
+      const builder = mockQuery(results.shift() || { data: [], error: null })
+      queries.push(builder)
+      return builder
+    }),
+  }
+  const updates = () => queries
+    .filter((builder) => builder.update.mock.calls.length)
+    .map((builder) => ({ id: builder.eq.mock.calls[0][1], ...builder.update.mock.calls[0][0] }))
+  return { supabase, updates }
+}
+
+describe('thumbnail sizing', () => {
+  it('should scale wide images down to the thumbnail width', () => {
+    expect(fitThumbnail(1280, 960)).toEqual({ width: THUMBNAIL_WIDTH, height: 240 })
+  })
+
+  it('should never upscale small images', () => {
+    expect(fitThumbnail(100, 80)).toEqual({ width: 100, height: 80 })
+  })
+
+  it('should cut off very tall images', () => {
+    expect(fitThumbnail(640, 4000)).toEqual({ width: THUMBNAIL_WIDTH, height: THUMBNAIL_MAX_HEIGHT })
+  })
+
+  it('should have no preview for office documents', async () => {
+    const { renderThumbnail: actualRender } = jest.requireActual('@/lib/thumbnails/render')
+    await expect(actualRender(Buffer.from('docx'), 'docx')).resolves.toBeNull()
+  })
+})
+
+describe('thumbnail storage', () => {
+  const originalPublicUrl = process.env.R2_PUBLIC_URL
+
+  afterEach(() => {
+    process.env.R2_PUBLIC_URL = originalPublicUrl
+  })
+
+  it('should store R2 thumbnails next to the original', () => {
+    expect(getThumbnailKey(material('a'))).toBe('uploads/a/notes.pdf.thumb.jpg')
+  })
+
+  it('should keep thumbnails of other storage under thumbnails/', () => {
+    expect(getThumbnailKey(material('a', { storage_location: 'supabase', storage_path: 'course/notes.pdf' })))
+      .toBe('thumbnails/course/notes.pdf.thumb.jpg')
+    expect(getThumbnailKey(material('a', { storage_location: null, storage_path: null })))
+      .toBe('thumbnails/a.thumb.jpg')
+  })
+
+  it('should use the public bucket URL when there is one', () => {
+    process.env.R2_PUBLIC_URL = 'https://cdn.test'
+    expect(getThumbnailUrl('a', 'uploads/a/notes.pdf.thumb.jpg')).toBe('https://cdn.test/uploads/a/notes.pdf.thumb.jpg')
+  })
+
+  it('should go through the redirect route for private buckets', () => {
+    delete process.env.R2_PUBLIC_URL
+    expect(getThumbnailUrl('a', 'uploads/a/notes.pdf.thumb.jpg')).toBe('/api/materials/a/thumbnail')
+  })
+})
+
+describe('thumbnail worker', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    delete process.env.R2_PUBLIC_URL
+  })
+
+  it('should render, upload and mark materials ready', async () => {
+    const { supabase, updates } = createSupabase([
+      { data: [material('a')], error: null },
+      { data: [], error: null }, // no shared thumbnail
+      { error: null },
+    ])
+
+    const summary = await runThumbnailWorker(supabase)
+
+    expect(summary).toEqual({ processed: 1, ready: 1, skipped: 0, failed: 0 })
+    expect(renderThumbnail).toHaveBeenCalledWith(expect.any(Buffer), 'pdf')
+    expect(uploadToR2).toHaveBeenCalledWith(Buffer.from('jpeg'), 'uploads/a/notes.pdf.thumb.jpg', 'image/jpeg')
+    expect(updates()).toEqual([{
+      id: 'a',
+      thumbnail_path: 'uploads/a/notes.pdf.thumb.jpg',
+      thumbnail_url: '/api/materials/a/thumbnail',
+      thumbnail_status: 'ready',
+    }])
+  })
+
+  it('should reuse the thumbnail of a material sharing the same file', async () => {
+    const { supabase, updates } = createSupabase([
+      { data: [material('b', { storage_path: 'uploads/a/notes.pdf' })], error: null },
+      { data: [{ id: 'a' }], error: null },
+      { error: null },
+    ])
+
+    const summary = await runThumbnailWorker(supabase)
+
+    expect(summary.ready).toBe(1)
+    expect(downloadMaterialFile).not.toHaveBeenCalled()
+    expect(uploadToR2).not.toHaveBeenCalled()
+    expect(updates()[0]).toMatchObject({ id: 'b', thumbnail_path: 'uploads/a/notes.pdf.thumb.jpg' })
+  })
+
+  it('should skip types without a preview', async () => {
+    const { supabase, updates } = createSupabase([
+      { data: [material('a', { type: 'docx' })], error: null },
+      { error: null },
+    ])
+
+    const summary = await runThumbnailWorker(supabase)
+
+    expect(summary.skipped).toBe(1)
+    expect(downloadMaterialFile).not.toHaveBeenCalled()
+    expect(updates()).toEqual([{ id: 'a', thumbnail_status: 'skipped' }])
+  })
+
+  it('should count failed attempts and carry on', async () => {
+    downloadMaterialFile.mockRejectedValueOnce(new Error('Failed to download file: 404 Not Found'))
+    const { supabase, updates } = createSupabase([
+      { data: [material('a', { thumbnail_attempts: 1 }), material('b')], error: null },
+      { data: [], error: null },
+      { error: null }, // a failed
+      { data: [], error: null },
+      { error: null }, // b ready
+    ])
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    const summary = await runThumbnailWorker(supabase)
+
+    expect(summary).toEqual({ processed: 2, ready: 1, skipped: 0, failed: 1 })
+    expect(updates()[0]).toEqual({ id: 'a', thumbnail_status: 'failed', thumbnail_attempts: 2 })
+    console.error.mockRestore()
+  })
+
+  it('should only pick materials with attempts left', async () => {
+    const { supabase } = createSupabase([{ data: [], error: null }])
+
+    await runThumbnailWorker(supabase, { materialIds: ['a'], limit: 1 })
+
+    const listQuery = supabase.from.mock.results[0].value
+    expect(listQuery.in).toHaveBeenCalledWith('thumbnail_status', ['pending', 'failed'])
+    expect(listQuery.lt).toHaveBeenCalledWith('thumbnail_attempts', MAX_THUMBNAIL_ATTEMPTS)
+    expect(listQuery.in).toHaveBeenCalledWith('id', ['a'])
+    expect(listQuery.is).toHaveBeenCalledWith('deleted_at', null)
+  })
+})
@@ -0,0 +1,207 @@
+/**
+ * Tests for the trash purge
+ * Which files a purge removes, deleting materials, topics and courses, dry
+ * runs and batching
+ */
+
+import { deleteFromR2 } from '@/lib/storage/r2-client'
+import { isStoragePathShared } from '@/lib/storage/dedup'
+import { getVersionFiles } from '@/lib/materials/versions'
+import { planMaterialFiles, purgeMaterial, purgeTopic, runTrashPurge } from '@/lib/trash/purge'
+import { mockQuery } from '@/__mocks__/supabase'
+
+jest.mock('@/lib/storage/r2-client', () => ({
+  deleteFromR2: jest.fn().mockResolvedValue({ success: true }),
+}))
+
+jest.mock('@/lib/storage/dedup', () => ({
+  isStoragePathShared: jest.fn().mockResolvedValue(false),
+}))
+
+jest.mock('@/lib/materials/versions', () => ({
+  getVersionFiles: jest.fn().mockResolvedValue([]),
+}))
+
+function material(id, extra = {}) {
+  return {
+    id,
+    title: `Material ${id}`,
+    storage_location: 'r2',
+    storage_path: `uploads/${id}/notes.pdf`,
+    file_url: null,
+    file_size: 2048,
+    thumbnail_path: `uploads/${id}/notes.pdf.thumb.jpg`,
+    download_count: 4,
+    view_count: 9,
+    ...extra,
+  }
+}
+
+// Service role client whose queries resolve per table, recording each one
+function mockSupabase({ expired = [], tables = {} } = {}) {
+  const queries = []
+  return {
+    queries,
+    rpc: jest.fn().mockResolvedValue({ data: expired, error: null }),
+    from: jest.fn((table) => {
+      const builder = mockQuery(tables[table] || { data: null, error: null })
+      queries.push({ table, builder })
+      return builder
+    }),
+    storage: { from: jest.fn(() => ({ remove: jest.fn().mockResolvedValue({ error: null }) })) },
+  }
+}
+
+function deletes(supabase, table) {
+  return supabase.queries.filter((q) => q.table === table && q.builder.delete.mock.calls.length > 0)
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  isStoragePathShared.mockResolvedValue(false)
+  getVersionFiles.mockResolvedValue([])
+})
+
+describe('planMaterialFiles', () => {
+  it('should remove the file, earlier versions and their thumbnails', async () => {
+    getVersionFiles.mockResolvedValue([
+      { storage_location: 'r2', storage_path: 'uploads/m1/notes.pdf' },
+      { storage_location: 'r2', storage_path: 'uploads/old/notes.pdf' },
+    ])
+
+    const { remove, kept } = await planMaterialFiles({}, material('m1'))
+
+    expect(remove.map((file) => file.storage_path)).toEqual([
+      'uploads/m1/notes.pdf',
+      'uploads/old/notes.pdf',
+      'uploads/m1/notes.pdf.thumb.jpg',
+      'uploads/old/notes.pdf.thumb.jpg',
+    ])
+    expect(kept).toEqual([])
+  })
+
+  it('should keep files other materials share, with their thumbnail', async () => {
+    isStoragePathShared.mockResolvedValue(true)
+
+    const { remove, kept } = await planMaterialFiles({}, material('m1'))
+
+    expect(remove).toEqual([])
+    expect(kept).toEqual(['uploads/m1/notes.pdf'])
+  })
+
+  it('should find legacy Supabase Storage files from their URL', async () => {
+    const { remove } = await planMaterialFiles({}, material('m1', {
+      storage_location: null,
+      storage_path: null,
+      file_url: 'https://x.supabase.co/storage/v1/object/public/materials/course/notes.pdf',
+      thumbnail_path: null,
+    }))
+
+    expect(remove).toEqual([
+      { storage_location: 'supabase', storage_path: 'course/notes.pdf' },
+      { storage_location: 'r2', storage_path: 'thumbnails/course/notes.pdf.thumb.jpg' },
+    ])
+  })
+})
+
+describe('purgeMaterial', () => {
+  it('should log, delete the row and then its files', async () => {
+    const supabase = mockSupabase()
+
+    const result = await purgeMaterial(supabase, material('m1'))
+
+    const log = supabase.queries.find((q) => q.table === 'deletion_audit_log')
+    expect(log.builder.insert).toHaveBeenCalledWith(expect.objectContaining({
+      entity_type: 'material',
+      entity_id: 'm1',
+      deletion_type: 'hard',
+      deleted_by: null,
+      download_count_at_deletion: 4,
+    }))
+    expect(deletes(supabase, 'materials')).toHaveLength(1)
+    expect(deleteFromR2).toHaveBeenCalledWith('uploads/m1/notes.pdf')
+    expect(deleteFromR2).toHaveBeenCalledWith('uploads/m1/notes.pdf.thumb.jpg')
+    expect(result.failedFiles).toEqual([])
+  })
+
+  it('should carry on when a file fails to delete', async () => {
+    deleteFromR2.mockRejectedValueOnce(new Error('R2 unavailable'))
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    const result = await purgeMaterial(mockSupabase(), material('m1'))
+
+    expect(deleteFromR2).toHaveBeenCalledTimes(2)
+    expect(result.failedFiles).toEqual(['uploads/m1/notes.pdf'])
+    console.error.mockRestore()
+  })
+
+  it('should not delete anything on a dry run', async () => {
+    const supabase = mockSupabase()
+
+    const result = await purgeMaterial(supabase, material('m1'), { dryRun: true })
+
+    expect(result.files).toEqual(['uploads/m1/notes.pdf', 'uploads/m1/notes.pdf.thumb.jpg'])
+    expect(supabase.from).not.toHaveBeenCalled()
+    expect(deleteFromR2).not.toHaveBeenCalled()
+  })
+})
+
+describe('purgeTopic', () => {
+  it('should orphan the topic materials before deleting it', async () => {
+    const supabase = mockSupabase({ tables: { materials: { count: 3, error: null } } })
+
+    const result = await purgeTopic(supabase, { id: 't1', title: 'Week 1' })
+
+    expect(result.orphanedMaterials).toBe(3)
+    const update = supabase.queries.find((q) => q.builder.update.mock.calls.length > 0)
+    expect(update.builder.update).toHaveBeenCalledWith({ topic_id: null, is_orphaned: true })
+    expect(deletes(supabase, 'topics')).toHaveLength(1)
+  })
+})
+
+describe('runTrashPurge', () => {
+  it('should purge materials before topics and courses', async () => {
+    const supabase = mockSupabase({
+      expired: [
+        { id: 'c1', entity_type: 'course', title: 'Old course' },
+        { id: 'm1', entity_type: 'material', title: 'Material m1' },
+      ],
+      tables: { materials: { data: [material('m1')], count: 0, error: null } },
+    })
+
+    const summary = await runTrashPurge(supabase)
+
+    expect(summary.items.map((item) => item.entityType)).toEqual(['material', 'course'])
+    expect(summary.purged).toEqual({ materials: 1, topics: 0, courses: 1, bytes: 2048 })
+    expect(summary.remaining).toBe(0)
+    expect(deletes(supabase, 'courses')).toHaveLength(1)
+  })
+
+  it('should leave items past the batch limit for the next run', async () => {
+    const supabase = mockSupabase({
+      expired: [
+        { id: 'm1', entity_type: 'material', title: 'Material m1' },
+        { id: 'm2', entity_type: 'material', title: 'Material m2' },
+      ],
+      tables: { materials: { data: [material('m1'), material('m2')], error: null } },
+    })
+
+    const summary = await runTrashPurge(supabase, { limit: 1 })
+
+    expect(summary.purged.materials).toBe(1)
+    expect(summary.remaining).toBe(1)
+  })
+
+  it('should report failures and continue', async () => {
+    const supabase = mockSupabase({
+      expired: [{ id: 't1', entity_type: 'topic', title: 'Week 1' }],
+      tables: { materials: { count: null, error: new Error('timeout') } },
+    })
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    const summary = await runTrashPurge(supabase)
+
+    expect(summary.errors).toEqual([{ entityType: 'topic', id: 't1', title: 'Week 1', error: 'timeout' }])
+    console.error.mockRestore()
+  })
+})
@@ -232,6 +232,36 @@ describe('direct-r2-upload', () => {
       const callArgs = fetch.mock.calls[0]
       expect(callArgs[1].credentials).toBe('include')
     })
+
+    test('should save revisions as a new version of the material', async () => {
+      const uploadData = {
+        key: 'uploads/123-abc/test-v2.pdf',
+        fileName: 'test-v2.pdf',
+        fileSize: 2048,
+        contentType: 'application/pdf'
+      }
+
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          success: true,
+          material: { id: 'material-123', title: 'Test Material', current_version: 2 }
+        })
+      })
+
+      const result = await completeUpload(uploadData, {
+        revisionOf: 'material-123',
+        courseId: 'course-123',
+        changeNote: 'Fixed Q3'
+      })
+
+      expect(result.current_version).toBe(2)
+      expect(fetch).toHaveBeenCalledWith('/api/materials/material-123/versions', expect.anything())
+      expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({
+        key: 'uploads/123-abc/test-v2.pdf',
+        changeNote: 'Fixed Q3'
+      })
+    })
   })
 
   describe('performFullUpload', () => {
@@ -0,0 +1,232 @@
+/**
+ * Tests for resumable multipart uploads in the browser
+ * Part uploads, retries and resuming from the UPLOAD_QUEUE entry
+ */
+
+import {
+  uploadToR2Multipart,
+  uploadQueuedFile,
+  abortMultipartUpload,
+  MULTIPART_THRESHOLD,
+} from '@/lib/upload/direct-r2-upload'
+import {
+  putInStore,
+  getFromStore,
+  deleteFromStore,
+  updateUploadProgress,
+} from '@/lib/db/indexedDB'
+
+jest.mock('@/lib/db/indexedDB', () => ({
+  STORES: { UPLOAD_QUEUE: 'uploadQueue' },
+  putInStore: jest.fn(),
+  getFromStore: jest.fn(),
+  deleteFromStore: jest.fn(),
+  updateUploadProgress: jest.fn(),
+}))
+
+const KEY = 'uploads/1700000000000-abc123/notes.pdf'
+const PART_SIZE = 4
+
+// Part URLs look like https://r2.test/part-<n>?v=<signing round>; failures are keyed by part number
+let partFailures
+let sentParts
+
+class MockXMLHttpRequest {
+  constructor() {
+    this.listeners = {}
+    this.upload = { addEventListener: jest.fn() }
+    this.status = 0
+  }
+
+  addEventListener(event, handler) {
+    this.listeners[event] = handler
+  }
+
+  open(method, url) {
+    this.url = url
+  }
+
+  setRequestHeader() {}
+
+  getResponseHeader(name) {
+    return name === 'ETag' ? `"etag-${this.partNumber}"` : null
+  }
+
+  abort() {}
+
+  send(body) {
+    this.partNumber = Number(this.url.match(/part-(\d+)/)[1])
+    Promise.resolve().then(() => {
+      if (partFailures[this.partNumber] > 0) {
+        partFailures[this.partNumber]--
+        this.listeners.error()
+      } else {
+        sentParts.push({ partNumber: this.partNumber, size: body.size })
+        this.status = 200
+        this.listeners.load()
+      }
+      this.listeners.loadend?.()
+    })
+  }
+}
+
+function jsonResponse(data, ok = true) {
+  return Promise.resolve({ ok, json: () => Promise.resolve(data) })
+}
+
+let signingRound
+function mockUploadApi({ material = { id: 'material-1' } } = {}) {
+  global.fetch = jest.fn((path, options) => {
+    const body = options?.body ? JSON.parse(options.body) : {}
+    switch (path) {
+      case '/api/upload/multipart':
+        return jsonResponse({ key: KEY, uploadId: 'upload-1', partSize: PART_SIZE, partCount: 3 })
+      case '/api/upload/multipart/parts':
+        signingRound++
+        return jsonResponse({
+          urls: Object.fromEntries(body.partNumbers.map((n) => [n, `https://r2.test/part-${n}?v=${signingRound}`])),
+        })
+      case '/api/upload/multipart/complete':
+      case '/api/upload/multipart/abort':
+        return jsonResponse({ success: true })
+      case '/api/upload/complete':
+        return jsonResponse({ success: true, material })
+      default:
+        return jsonResponse({ error: 'Not found' }, false)
+    }
+  })
+}
+
+function fetchCalls(path) {
+  return fetch.mock.calls.filter(([url]) => url === path).map(([, options]) => JSON.parse(options.body))
+}
+
+// In-memory UPLOAD_QUEUE
+let queue
+function mockQueueStore() {
+  queue = new Map()
+  let nextId = 1
+  putInStore.mockImplementation(async (_store, value) => {
+    const id = value.id ?? nextId++
+    queue.set(id, { ...value, id })
+    return id
+  })
+  getFromStore.mockImplementation(async (_store, id) => queue.get(id))
+  deleteFromStore.mockImplementation(async (_store, id) => queue.delete(id))
+  updateUploadProgress.mockImplementation(async (id, updates) => {
+    const upload = queue.get(id)
+    if (upload) queue.set(id, { ...upload, ...updates })
+    return upload
+  })
+}
+
+const file = () => new File(['aaaabbbbcc'], 'notes.pdf', { type: 'application/pdf' })
+
+describe('multipart uploads', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    global.XMLHttpRequest = MockXMLHttpRequest
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback) => {
+      callback()
+      return 0
+    })
+    partFailures = {}
+    sentParts = []
+    signingRound = 0
+    mockUploadApi()
+    mockQueueStore()
+  })
+
+  afterEach(() => {
+    global.setTimeout.mockRestore()
+  })
+
+  it('should upload every part and assemble them in order', async () => {
+    const onProgress = jest.fn()
+    const result = await uploadToR2Multipart(file(), { courseId: 'c1', title: 'Notes' }, onProgress)
+
+    expect(result).toMatchObject({ key: KEY, fileSize: 10, fileName: 'notes.pdf', queueId: 1 })
+    expect(sentParts.sort((a, b) => a.partNumber - b.partNumber).map((part) => part.size))
+      .toEqual([PART_SIZE, PART_SIZE, 2])
+    expect(fetchCalls('/api/upload/multipart/complete')[0].parts).toEqual([
+      { partNumber: 1, etag: '"etag-1"' },
+      { partNumber: 2, etag: '"etag-2"' },
+      { partNumber: 3, etag: '"etag-3"' },
+    ])
+    expect(onProgress).toHaveBeenLastCalledWith(100)
+
+    // Kept in the queue with its metadata until the material row is saved
+    expect(queue.get(1)).toMatchObject({
+      status: 'uploading',
+      upload_method: 'multipart',
+      metadata: { courseId: 'c1', title: 'Notes' },
+      multipart: { assembled: true },
+    })
+  })
+
+  it('should retry a failed part with a freshly signed URL', async () => {
+    partFailures = { 2: 2 }
+
+    await uploadToR2Multipart(file(), {})
+
+    expect(fetchCalls('/api/upload/multipart/parts').map((body) => body.partNumbers))
+      .toEqual([[1, 2, 3], [2], [2]])
+    expect(queue.get(1).multipart.assembled).toBe(true)
+  })
+
+  it('should pause with finished parts saved when a part keeps failing', async () => {
+    partFailures = { 3: 10 }
+
+    await expect(uploadToR2Multipart(file(), {})).rejects.toThrow('will finish in the background')
+
+    const upload = queue.get(1)
+    expect(upload.status).toBe('paused')
+    expect(upload.multipart.parts.map((part) => part.partNumber).sort()).toEqual([1, 2])
+    expect(fetchCalls('/api/upload/multipart/complete')).toHaveLength(0)
+  })
+
+  it('should resume a queued upload from the last finished part and save the material', async () => {
+    partFailures = { 3: 10 }
+    await uploadToR2Multipart(file(), { courseId: 'c1', title: 'Notes', category: 'notes' }).catch(() => {})
+
+    partFailures = {}
+    sentParts = []
+    const material = await uploadQueuedFile(queue.get(1))
+
+    expect(sentParts.map((part) => part.partNumber)).toEqual([3])
+    expect(material).toEqual({ id: 'material-1' })
+    expect(fetchCalls('/api/upload/complete')[0]).toMatchObject({
+      key: KEY,
+      courseId: 'c1',
+      title: 'Notes',
+      materialCategory: 'notes',
+    })
+  })
+
+  it('should start parts for a large queued file on its first attempt', async () => {
+    queue.set(7, {
+      id: 7,
+      file_blob: file(),
+      file_name: 'notes.pdf',
+      file_size: MULTIPART_THRESHOLD + 1,
+      file_type: 'application/pdf',
+      metadata: { courseId: 'c1' },
+      status: 'uploading',
+    })
+
+    await uploadQueuedFile(queue.get(7))
+
+    expect(fetchCalls('/api/upload/multipart')).toHaveLength(1)
+    expect(queue.get(7)).toMatchObject({ upload_method: 'multipart', multipart: { assembled: true } })
+  })
+
+  it('should abort in R2 and drop the queue entry', async () => {
+    partFailures = { 3: 10 }
+    await uploadToR2Multipart(file(), {}).catch(() => {})
+
+    await abortMultipartUpload(1)
+
+    expect(queue.has(1)).toBe(false)
+    expect(fetchCalls('/api/upload/multipart/abort')).toEqual([{ key: KEY, uploadId: 'upload-1' }])
+  })
+})
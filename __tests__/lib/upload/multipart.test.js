@@ -0,0 +1,143 @@
+/**
+ * Tests for the server side of multipart R2 uploads
+ * Request validation and the S3 commands sent for each step
+ */
+
+import {
+  initiateMultipartUpload,
+  signPartUrls,
+  completeMultipartUpload,
+  abortMultipartUpload,
+  validateMultipartTarget,
+  validatePartNumbers,
+  validateCompletedParts,
+  getPartCount,
+  MULTIPART_PART_SIZE,
+  MAX_PART_COUNT,
+} from '@/lib/upload/multipart'
+import { createUploadKey, isUploadKey, getUploadKeyOwner } from '@/lib/upload/validation'
+import getR2Client from '@/lib/storage/r2-client'
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
+
+jest.mock('@/lib/storage/r2-client', () => ({ __esModule: true, default: jest.fn() }))
+jest.mock('@aws-sdk/s3-request-presigner', () => ({ getSignedUrl: jest.fn() }))
+
+const KEY = 'uploads/1700000000000-abc123/notes.pdf'
+const USER_ID = '0b6f2a1e-4c3d-4e5f-8a9b-1c2d3e4f5a6b'
+
+describe('validation', () => {
+  it('should only act on keys handed out for uploads', () => {
+    expect(validateMultipartTarget({ key: KEY, uploadId: 'u1' })).toBeNull()
+    expect(validateMultipartTarget({ key: KEY })).toMatch('Missing required fields')
+    expect(validateMultipartTarget({ key: 'materials/secret.pdf', uploadId: 'u1' })).toBe('Invalid upload key')
+    expect(validateMultipartTarget({ key: 'uploads/1-a/../../x', uploadId: 'u1' })).toBe('Invalid upload key')
+  })
+
+  it('should put the signed-in uploader in the key', () => {
+    const key = createUploadKey('notes.pdf', USER_ID)
+
+    expect(key).toMatch(new RegExp(`^uploads/${USER_ID}/\\d+-[a-z0-9]*/notes\\.pdf$`))
+    expect(isUploadKey(key)).toBe(true)
+    expect(getUploadKeyOwner(key)).toBe(USER_ID)
+  })
+
+  it('should leave anonymous and foreign keys without an owner', () => {
+    expect(getUploadKeyOwner(createUploadKey('notes.pdf'))).toBeNull()
+    expect(getUploadKeyOwner(KEY)).toBeNull()
+    expect(getUploadKeyOwner(`materials/${USER_ID}/1-a/notes.pdf`)).toBeNull()
+    expect(getUploadKeyOwner(undefined)).toBeNull()
+  })
+
+  it('should reject part numbers outside the file', () => {
+    expect(validatePartNumbers([1, 2])).toBeNull()
+    expect(validatePartNumbers([])).toMatch('non-empty')
+    expect(validatePartNumbers([0])).toMatch('Invalid part number: 0')
+    expect(validatePartNumbers([1.5])).toMatch('Invalid part number')
+    expect(validatePartNumbers([MAX_PART_COUNT + 1])).toMatch('Invalid part number')
+  })
+
+  it('should require every part with its ETag to complete', () => {
+    expect(validateCompletedParts([{ partNumber: 2, etag: '"b"' }, { partNumber: 1, etag: '"a"' }])).toBeNull()
+    expect(validateCompletedParts([{ partNumber: 1, etag: '"a"' }, { partNumber: 3, etag: '"c"' }])).toBe('Missing part 2')
+    expect(validateCompletedParts([{ partNumber: 1 }])).toBe('Part 1 has no ETag')
+  })
+
+  it('should split files into parts of MULTIPART_PART_SIZE', () => {
+    expect(getPartCount(MULTIPART_PART_SIZE * 2)).toBe(2)
+    expect(getPartCount(MULTIPART_PART_SIZE * 2 + 1)).toBe(3)
+    expect(getPartCount(10)).toBe(1)
+  })
+})
+
+describe('multipart R2 commands', () => {
+  let client
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    client = { send: jest.fn().mockResolvedValue({}) }
+    getR2Client.mockReturnValue(client)
+  })
+
+  it('should start an upload under a fresh upload key', async () => {
+    client.send.mockResolvedValueOnce({ UploadId: 'upload-1' })
+
+    const upload = await initiateMultipartUpload({
+      filename: 'Week 3 notes.pdf',
+      contentType: 'application/pdf',
+      fileSize: MULTIPART_PART_SIZE * 3 - 1,
+    })
+
+    expect(upload).toMatchObject({ uploadId: 'upload-1', partSize: MULTIPART_PART_SIZE, partCount: 3 })
+    expect(upload.key).toMatch(/^uploads\/\d+-[a-z0-9]*\/Week_3_notes\.pdf$/)
+    expect(client.send.mock.calls[0][0].input).toMatchObject({ Key: upload.key, ContentType: 'application/pdf' })
+  })
+
+  it('should start a signed-in user\'s upload under their own key', async () => {
+    client.send.mockResolvedValueOnce({ UploadId: 'upload-1' })
+
+    const upload = await initiateMultipartUpload({
+      filename: 'notes.pdf',
+      contentType: 'application/pdf',
+      fileSize: MULTIPART_PART_SIZE,
+      userId: USER_ID,
+    })
+
+    expect(getUploadKeyOwner(upload.key)).toBe(USER_ID)
+  })
+
+  it('should sign one URL per part', async () => {
+    getSignedUrl.mockImplementation(async (_client, command) => `https://r2.test/part-${command.input.PartNumber}`)
+
+    const urls = await signPartUrls({ key: KEY, uploadId: 'upload-1', partNumbers: [2, 5] })
+
+    expect(urls).toEqual({ 2: 'https://r2.test/part-2', 5: 'https://r2.test/part-5' })
+    expect(getSignedUrl.mock.calls[0][1].input).toMatchObject({ Key: KEY, UploadId: 'upload-1', PartNumber: 2 })
+    expect(getSignedUrl.mock.calls[0][2]).toEqual({ expiresIn: 3600 })
+  })
+
+  it('should complete with parts in order', async () => {
+    await completeMultipartUpload({
+      key: KEY,
+      uploadId: 'upload-1',
+      parts: [{ partNumber: 2, etag: '"b"' }, { partNumber: 1, etag: '"a"' }],
+    })
+
+    expect(client.send.mock.calls[0][0].input.MultipartUpload.Parts).toEqual([
+      { PartNumber: 1, ETag: '"a"' },
+      { PartNumber: 2, ETag: '"b"' },
+    ])
+  })
+
+  it('should treat aborting a finished upload as done', async () => {
+    client.send.mockRejectedValueOnce(Object.assign(new Error('gone'), { name: 'NoSuchUpload' }))
+    await expect(abortMultipartUpload({ key: KEY, uploadId: 'upload-1' })).resolves.toBeUndefined()
+
+    client.send.mockRejectedValueOnce(new Error('R2 unavailable'))
+    await expect(abortMultipartUpload({ key: KEY, uploadId: 'upload-1' })).rejects.toThrow('R2 unavailable')
+  })
+
+  it('should fail when R2 is not configured', async () => {
+    getR2Client.mockReturnValue(null)
+    await expect(signPartUrls({ key: KEY, uploadId: 'u', partNumbers: [1] })).rejects.toThrow('R2 client not configured')
+  })
+})
@@ -0,0 +1,102 @@
+/**
+ * Tests for combining photos into a PDF
+ * Paper detection, page geometry and PDF assembly (rendering needs a real
+ * canvas and is left to the browser)
+ */
+
+import { PDFDocument } from 'pdf-lib'
+import {
+  detectPaperBounds,
+  rotatedSize,
+  fitScale,
+  assemblePdf,
+  combinedFileName,
+  PAGE_LONG_SIDE,
+} from '@/lib/upload/photo-pdf'
+
+// RGBA image of a dark desk with a bright sheet in the given box
+function photo(width, height, sheet) {
+  const data = new Uint8ClampedArray(width * height * 4)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const onSheet = sheet && x >= sheet.x && x < sheet.x + sheet.width && y >= sheet.y && y < sheet.y + sheet.height
+      // A little dark "text" on the sheet
+      const value = onSheet ? (x % 7 === 0 && y % 3 === 0 ? 30 : 235) : 60
+      data.set([value, value, value, 255], (y * width + x) * 4)
+    }
+  }
+  return { data, width, height }
+}
+
+// Smallest JPEG header pdf-lib can read the size from (SOI + baseline SOF0)
+function jpegHeader(width, height) {
+  return new Uint8Array([
+    0xff, 0xd8,
+    0xff, 0xc0, 0x00, 0x11, 0x08,
+    height >> 8, height & 0xff, width >> 8, width & 0xff,
+    0x03, 0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01,
+    0xff, 0xd9,
+  ])
+}
+
+describe('paper detection', () => {
+  it('should find a sheet lying on a darker desk', () => {
+    const bounds = detectPaperBounds(photo(100, 100, { x: 10, y: 20, width: 70, height: 75 }))
+
+    expect(bounds.x).toBeCloseTo(0.1)
+    expect(bounds.y).toBeCloseTo(0.2)
+    expect(bounds.width).toBeCloseTo(0.7)
+    expect(bounds.height).toBeCloseTo(0.75)
+  })
+
+  it('should keep photos that are already just the page', () => {
+    expect(detectPaperBounds(photo(100, 100, { x: 0, y: 0, width: 100, height: 100 }))).toBeNull()
+  })
+
+  it('should keep photos where the sheet is too small to trust', () => {
+    expect(detectPaperBounds(photo(100, 100, { x: 40, y: 40, width: 20, height: 20 }))).toBeNull()
+  })
+
+  it('should keep uniform photos', () => {
+    expect(detectPaperBounds(photo(50, 50, null))).toBeNull()
+  })
+})
+
+describe('page geometry', () => {
+  it('should swap sides for quarter turns', () => {
+    expect(rotatedSize(300, 400, 90)).toEqual({ width: 400, height: 300 })
+    expect(rotatedSize(300, 400, 180)).toEqual({ width: 300, height: 400 })
+    expect(rotatedSize(300, 400, 270)).toEqual({ width: 400, height: 300 })
+  })
+
+  it('should fit the long side without upscaling', () => {
+    expect(fitScale(3000, 4000, 2000)).toBe(0.5)
+    expect(fitScale(300, 400, 2000)).toBe(1)
+  })
+
+  it('should name the PDF after the first photo', () => {
+    expect(combinedFileName([{ name: 'SMA2101_past_paper_2023.jpeg' }, { name: 'IMG_2.jpg' }]))
+      .toBe('SMA2101_past_paper_2023.pdf')
+  })
+})
+
+describe('assemblePdf', () => {
+  it('should make one page per image, in order, shaped like the image', async () => {
+    const bytes = await assemblePdf(
+      [
+        { bytes: jpegHeader(1200, 1600), width: 1200, height: 1600 },
+        { bytes: jpegHeader(1600, 1200), width: 1600, height: 1200 },
+      ],
+      { title: 'Past paper' }
+    )
+
+    const pdfDoc = await PDFDocument.load(new Uint8Array(bytes))
+    const sizes = pdfDoc.getPages().map((page) => page.getSize())
+
+    expect(pdfDoc.getTitle()).toBe('Past paper')
+    expect(sizes).toHaveLength(2)
+    expect(sizes[0].height).toBeCloseTo(PAGE_LONG_SIDE)
+    expect(sizes[0].width).toBeCloseTo(PAGE_LONG_SIDE * 0.75)
+    expect(sizes[1].width).toBeCloseTo(PAGE_LONG_SIDE)
+  })
+})
@@ -0,0 +1,240 @@
+/**
+ * Tests for the background upload queue
+ * Processing via direct R2 uploads, retries, Background Sync hand-off and
+ * events relayed from the service worker
+ */
+
+jest.mock('@/lib/db/indexedDB', () => ({
+  STORES: { UPLOAD_QUEUE: 'uploadQueue' },
+  putInStore: jest.fn(),
+  getFromStore: jest.fn(),
+  deleteFromStore: jest.fn(),
+  getUploadsByStatus: jest.fn(),
+  updateUploadProgress: jest.fn(),
+}))
+
+jest.mock('@/lib/upload/direct-r2-upload', () => ({
+  MULTIPART_THRESHOLD: 10 * 1024 * 1024,
+  uploadQueuedFile: jest.fn(),
+  abortMultipartUpload: jest.fn(),
+}))
+
+let uploadQueue
+let db
+let direct
+let queue
+
+// In-memory UPLOAD_QUEUE
+function mockQueueStore() {
+  queue = new Map()
+  let nextId = 1
+  db.putInStore.mockImplementation(async (_store, value) => {
+    const id = value.id ?? nextId++
+    queue.set(id, { ...value, id })
+    return id
+  })
+  db.getFromStore.mockImplementation(async (_store, id) => queue.get(id))
+  db.deleteFromStore.mockImplementation(async (_store, id) => queue.delete(id))
+  db.getUploadsByStatus.mockImplementation(async (status) =>
+    [...queue.values()].filter((upload) => !status || upload.status === status)
+  )
+  db.updateUploadProgress.mockImplementation(async (id, updates) => {
+    const upload = queue.get(id)
+    if (upload) queue.set(id, { ...upload, ...updates, updated_at: Date.now() })
+    return upload
+  })
+}
+
+function queueEntry(id, extra = {}) {
+  queue.set(id, {
+    id,
+    file_blob: new File(['x'], `file-${id}.pdf`, { type: 'application/pdf' }),
+    file_name: `file-${id}.pdf`,
+    file_size: 1,
+    metadata: { courseId: 'c1' },
+    status: 'pending',
+    retry_count: 0,
+    created_at: id,
+    updated_at: Date.now(),
+    ...extra,
+  })
+}
+
+function setServiceWorker(serviceWorker) {
+  Object.defineProperty(navigator, 'serviceWorker', { value: serviceWorker, configurable: true })
+}
+
+const flush = () => new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve))
+
+describe('upload queue', () => {
+  let events
+
+  beforeEach(() => {
+    jest.resetModules()
+    db = require('@/lib/db/indexedDB')
+    direct = require('@/lib/upload/direct-r2-upload')
+    uploadQueue = require('@/lib/uploadQueue')
+    mockQueueStore()
+
+    events = []
+    uploadQueue.onUploadEvent((event, data) => events.push([event, data]))
+
+    // Retry delays run immediately; the 5 minute cleanup timer never fires
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms) => {
+      if (ms < 60 * 1000) callback()
+      return 0
+    })
+    jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(true)
+    setServiceWorker(undefined)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    delete window.indexedDB
+  })
+
+  it('should upload queued files through the direct R2 flow', async () => {
+    direct.uploadQueuedFile.mockImplementation(async (_upload, onProgress) => {
+      onProgress(45)
+      return { id: 'material-1' }
+    })
+
+    const file = new File(['content'], 'notes.pdf', { type: 'application/pdf' })
+    await uploadQueue.addToUploadQueue(file, { courseId: 'c1', title: 'Notes' })
+    await flush()
+    await uploadQueue.processUploadQueue()
+
+    expect(direct.uploadQueuedFile).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 1, file_blob: file, metadata: { courseId: 'c1', title: 'Notes' } }),
+      expect.any(Function)
+    )
+    expect(queue.get(1)).toMatchObject({ status: 'completed', progress: 100, result: { id: 'material-1' } })
+    expect(events.map(([event]) => event)).toEqual(
+      ['queue_updated', 'upload_started', 'upload_progress', 'upload_completed']
+    )
+    expect(events[2][1].progress).toBe(45)
+  })
+
+  it('should retry failed uploads and give up after MAX_RETRIES', async () => {
+    direct.uploadQueuedFile.mockRejectedValue(new Error('R2 unavailable'))
+    queueEntry(1)
+
+    await expect(uploadQueue.processUploadQueue()).resolves.toBe(true)
+
+    expect(direct.uploadQueuedFile).toHaveBeenCalledTimes(4)
+    expect(queue.get(1)).toMatchObject({ status: 'failed', retry_count: 3, error: 'R2 unavailable' })
+    expect(events.filter(([event]) => event === 'upload_retry')).toHaveLength(3)
+    expect(events.at(-1)[0]).toBe('upload_failed')
+  })
+
+  it('should fail duplicates straight away with a link to the existing material', async () => {
+    const duplicate = { id: 'm1', title: 'Notes', url: '/materials/m1/view' }
+    direct.uploadQueuedFile.mockRejectedValue(
+      Object.assign(new Error('This file is already in this course as "Notes"'), { duplicate, retryable: false })
+    )
+    queueEntry(1)
+
+    await uploadQueue.processUploadQueue()
+
+    expect(direct.uploadQueuedFile).toHaveBeenCalledTimes(1)
+    expect(queue.get(1)).toMatchObject({ status: 'failed', retry_count: 0, duplicate })
+  })
+
+  it('should leave uploads queued without spending retries while offline', async () => {
+    direct.uploadQueuedFile.mockImplementation(async () => {
+      jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+      throw new Error('Upload request failed (network error)')
+    })
+    queueEntry(1)
+
+    await expect(uploadQueue.processUploadQueue()).resolves.toBe(false)
+
+    expect(direct.uploadQueuedFile).toHaveBeenCalledTimes(1)
+    expect(queue.get(1)).toMatchObject({ status: 'pending', retry_count: 0 })
+  })
+
+  it('should resume paused and cut-off uploads but not ones in progress elsewhere', async () => {
+    direct.uploadQueuedFile.mockResolvedValue({ id: 'material' })
+    queueEntry(1, { status: 'paused', upload_method: 'multipart' })
+    queueEntry(2, { status: 'uploading', updated_at: Date.now() - 10 * 60 * 1000 })
+    queueEntry(3, { status: 'uploading' })
+    queueEntry(4, { status: 'failed' })
+
+    await uploadQueue.processUploadQueue()
+
+    expect(direct.uploadQueuedFile.mock.calls.map(([upload]) => upload.id)).toEqual([1, 2])
+    expect(queue.get(3).status).toBe('uploading')
+    expect(queue.get(4).status).toBe('failed')
+  })
+
+  it('should keep running uploads fresh so they are not taken for cut-off ones', async () => {
+    let heartbeat
+    jest.spyOn(global, 'setInterval').mockImplementation((callback) => {
+      heartbeat = callback
+      return 42
+    })
+    jest.spyOn(global, 'clearInterval')
+    queueEntry(1, { file_size: 50 * 1024 * 1024 })
+    direct.uploadQueuedFile.mockImplementation(async () => {
+      queue.set(1, { ...queue.get(1), updated_at: 0 })
+      heartbeat()
+      await flush()
+      expect(Date.now() - queue.get(1).updated_at).toBeLessThan(1000)
+      return { id: 'material-1' }
+    })
+
+    await uploadQueue.processUploadQueue()
+
+    expect(db.updateUploadProgress).toHaveBeenCalledWith(1, {})
+    expect(clearInterval).toHaveBeenCalledWith(42)
+    expect(queue.get(1).status).toBe('completed')
+  })
+
+  it('should hand processing to the service worker when Background Sync is available', async () => {
+    const register = jest.fn().mockResolvedValue(undefined)
+    setServiceWorker({
+      controller: {},
+      ready: Promise.resolve({ sync: { register } }),
+      addEventListener: jest.fn(),
+    })
+
+    await uploadQueue.addToUploadQueue(new File(['x'], 'a.pdf', { type: 'application/pdf' }), {})
+    await flush()
+
+    expect(register).toHaveBeenCalledWith(uploadQueue.UPLOAD_SYNC_TAG)
+    expect(direct.uploadQueuedFile).not.toHaveBeenCalled()
+    expect(queue.get(1).status).toBe('pending')
+  })
+
+  it('should relay events posted by the service worker to listeners', () => {
+    const workerListeners = {}
+    setServiceWorker({
+      controller: null,
+      ready: new Promise(() => {}),
+      addEventListener: jest.fn((type, listener) => {
+        workerListeners[type] = listener
+      }),
+    })
+    db.getUploadsByStatus.mockResolvedValue([])
+    window.indexedDB = {}
+
+    uploadQueue.initUploadQueue()
+    workerListeners.message({
+      data: { type: uploadQueue.UPLOAD_QUEUE_MESSAGE, event: 'upload_progress', data: { id: 1, progress: 60 } },
+    })
+
+    expect(events).toContainEqual(['upload_progress', { id: 1, progress: 60 }])
+  })
+
+  it('should abort multipart uploads in R2 when cancelled', async () => {
+    queueEntry(1, { status: 'paused', upload_method: 'multipart' })
+    queueEntry(2)
+
+    await uploadQueue.cancelUpload(1)
+    await uploadQueue.cancelUpload(2)
+
+    expect(direct.abortMultipartUpload).toHaveBeenCalledWith(1)
+    expect(direct.abortMultipartUpload).toHaveBeenCalledTimes(1)
+    expect(queue.has(2)).toBe(false)
+  })
+})
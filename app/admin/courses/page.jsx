@@ -3,12 +3,14 @@
 /**
  * Manage Courses Admin Page
  * View and manage all courses in the system
+ * Set each course's upload moderation and the class reps who moderate it
  */
 
 import { useState, useEffect } from 'react';
 import { createClient } from '@/lib/supabase/client';
 import ConfirmModal from '@/components/admin/ConfirmModal';
 import Link from 'next/link';
+import { DEFAULT_MODERATION_MODE, MODERATION_MODE_LABELS } from '@/lib/moderation/policy';
 
 export default function ManageCoursesPage() {
   const [courses, setCourses] = useState([]);
@@ -16,6 +18,10 @@ export default function ManageCoursesPage() {
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
 
+  // Class reps, and which courses each one moderates
+  const [classReps, setClassReps] = useState([]);
+  const [moderators, setModerators] = useState([]);
+
   // Delete confirmation modal
   const [deleteModal, setDeleteModal] = useState({
     isOpen: false,
@@ -66,6 +72,21 @@ export default function ManageCoursesPage() {
       );
 
       setCourses(coursesWithCounts);
+
+      const [repsResult, moderatorsResult] = await Promise.all([
+        supabase
+          .from('profiles')
+          .select('id, full_name, email, course_id')
+          .eq('role', 'class_rep')
+          .order('full_name'),
+        supabase.from('course_moderators').select('course_id, user_id'),
+      ]);
+
+      if (repsResult.error) throw repsResult.error;
+      if (moderatorsResult.error) throw moderatorsResult.error;
+
+      setClassReps(repsResult.data || []);
+      setModerators(moderatorsResult.data || []);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -96,6 +117,61 @@ export default function ManageCoursesPage() {
     }
   }
 
+  async function handleModerationModeChange(course, moderationMode) {
+    try {
+      const response = await fetch(`/api/admin/courses/${course.id}/moderation`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ moderationMode }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) throw new Error(data.error || 'Failed to update moderation mode');
+
+      setCourses((prev) =>
+        prev.map((c) => (c.id === course.id ? { ...c, moderation_mode: data.course.moderation_mode } : c))
+      );
+    } catch (err) {
+      alert(`Error updating moderation mode: ${err.message}`);
+    }
+  }
+
+  async function handleAddModerator(course, userId) {
+    if (!userId) return;
+
+    try {
+      const response = await fetch(`/api/admin/courses/${course.id}/moderators`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) throw new Error(data.error || 'Failed to add moderator');
+
+      setModerators((prev) => [...prev, { course_id: course.id, user_id: userId }]);
+    } catch (err) {
+      alert(`Error adding moderator: ${err.message}`);
+    }
+  }
+
+  async function handleRemoveModerator(course, rep) {
+    if (!confirm(`Remove ${rep.full_name || rep.email} as a moderator of ${course.course_name}?`)) return;
+
+    try {
+      const response = await fetch(`/api/admin/courses/${course.id}/moderators?userId=${rep.id}`, {
+        method: 'DELETE',
+      });
+      const data = await response.json();
+
+      if (!response.ok) throw new Error(data.error || 'Failed to remove moderator');
+
+      setModerators((prev) => prev.filter((m) => !(m.course_id === course.id && m.user_id === rep.id)));
+    } catch (err) {
+      alert(`Error removing moderator: ${err.message}`);
+    }
+  }
+
   // Filter courses by search query
   const filteredCourses = courses.filter((course) => {
     if (!searchQuery) return true;
@@ -190,78 +266,134 @@ export default function ManageCoursesPage() {
         </div>
       ) : (
         <div className="space-y-3">
-          {filteredCourses.map((course) => (
-            <div
-              key={course.id}
-              className="bg-white rounded-lg border border-gray-200 p-5 hover:shadow-md transition"
-            >
-              <div className="flex flex-col lg:flex-row gap-4">
-                {/* Course Info */}
-                <div className="flex-1">
-                  <div className="flex items-center gap-2 mb-2">
-                    <h3 className="font-semibold text-gray-900 text-lg">{course.course_name}</h3>
-                    {course.department && (
-                      <span className="text-xs px-2 py-0.5 rounded-full font-medium bg-blue-100 text-blue-700">
-                        {course.department}
-                      </span>
-                    )}
-                  </div>
-
-                  {course.description && (
-                    <p className="text-sm text-gray-600 mb-3">{course.description}</p>
-                  )}
+          {filteredCourses.map((course) => {
+            const moderatorIds = moderators.filter((m) => m.course_id === course.id).map((m) => m.user_id);
+            const courseModerators = classReps.filter((rep) => moderatorIds.includes(rep.id));
+            // Reps from this course first
+            const candidates = classReps
+              .filter((rep) => !moderatorIds.includes(rep.id))
+              .sort((a, b) => (b.course_id === course.id) - (a.course_id === course.id));
 
-                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
-                    <div className="bg-gray-50 rounded p-2">
-                      <p className="text-gray-500 text-xs">Materials</p>
-                      <p className="font-semibold text-blue-600">{course.materialsCount}</p>
+            return (
+              <div
+                key={course.id}
+                className="bg-white rounded-lg border border-gray-200 p-5 hover:shadow-md transition"
+              >
+                <div className="flex flex-col lg:flex-row gap-4">
+                  {/* Course Info */}
+                  <div className="flex-1">
+                    <div className="flex items-center gap-2 mb-2">
+                      <h3 className="font-semibold text-gray-900 text-lg">{course.course_name}</h3>
+                      {course.department && (
+                        <span className="text-xs px-2 py-0.5 rounded-full font-medium bg-blue-100 text-blue-700">
+                          {course.department}
+                        </span>
+                      )}
                     </div>
-                    <div className="bg-gray-50 rounded p-2">
-                      <p className="text-gray-500 text-xs">Topics</p>
-                      <p className="font-semibold text-green-600">{course.topicsCount}</p>
-                    </div>
-                    <div className="bg-gray-50 rounded p-2">
-                      <p className="text-gray-500 text-xs">Course Code</p>
-                      <p className="font-semibold text-gray-700">{course.course_code || 'N/A'}</p>
+
+                    {course.description && (
+                      <p className="text-sm text-gray-600 mb-3">{course.description}</p>
+                    )}
+
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                      <div className="bg-gray-50 rounded p-2">
+                        <p className="text-gray-500 text-xs">Materials</p>
+                        <p className="font-semibold text-blue-600">{course.materialsCount}</p>
+                      </div>
+                      <div className="bg-gray-50 rounded p-2">
+                        <p className="text-gray-500 text-xs">Topics</p>
+                        <p className="font-semibold text-green-600">{course.topicsCount}</p>
+                      </div>
+                      <div className="bg-gray-50 rounded p-2">
+                        <p className="text-gray-500 text-xs">Course Code</p>
+                        <p className="font-semibold text-gray-700">{course.course_code || 'N/A'}</p>
+                      </div>
+                      <div className="bg-gray-50 rounded p-2">
+                        <p className="text-gray-500 text-xs">Year</p>
+                        <p className="font-semibold text-gray-700">{course.year || 'N/A'}</p>
+                      </div>
                     </div>
-                    <div className="bg-gray-50 rounded p-2">
-                      <p className="text-gray-500 text-xs">Year</p>
-                      <p className="font-semibold text-gray-700">{course.year || 'N/A'}</p>
+
+                    <label className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+                      Upload moderation
+                      <select
+                        value={course.moderation_mode || DEFAULT_MODERATION_MODE}
+                        onChange={(e) => handleModerationModeChange(course, e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {Object.entries(MODERATION_MODE_LABELS).map(([mode, label]) => (
+                          <option key={mode} value={mode}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+
+                    <div className="flex flex-wrap items-center gap-2 mt-3 text-sm text-gray-600">
+                      <span>Moderators</span>
+                      {courseModerators.length === 0 && <span className="text-gray-400">None</span>}
+                      {courseModerators.map((rep) => (
+                        <span
+                          key={rep.id}
+                          className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-purple-100 text-purple-700"
+                        >
+                          {rep.full_name || rep.email}
+                          <button
+                            onClick={() => handleRemoveModerator(course, rep)}
+                            className="hover:text-purple-900"
+                            aria-label={`Remove ${rep.full_name || rep.email}`}
+                          >
+                            ×
+                          </button>
+                        </span>
+                      ))}
+                      {candidates.length > 0 && (
+                        <select
+                          value=""
+                          onChange={(e) => handleAddModerator(course, e.target.value)}
+                          className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        >
+                          <option value="">Add class rep…</option>
+                          {candidates.map((rep) => (
+                            <option key={rep.id} value={rep.id}>
+                              {rep.full_name || rep.email}
+                            </option>
+                          ))}
+                        </select>
+                      )}
                     </div>
                   </div>
-                </div>
 
-                {/* Actions */}
-                <div className="flex lg:flex-col items-center gap-2 lg:w-32">
-                  <Link
-                    href={`/courses/${course.id}`}
-                    className="flex-1 lg:w-full px-4 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition text-center text-sm"
-                  >
-                    View
-                  </Link>
-                  <button
-                    onClick={() => setDeleteModal({ isOpen: true, course })}
-                    className="flex-1 lg:w-full px-4 py-2 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 transition text-sm"
-                    disabled={course.materialsCount > 0 || course.topicsCount > 0}
-                    title={
-                      course.materialsCount > 0 || course.topicsCount > 0
-                        ? 'Cannot delete course with materials or topics'
-                        : 'Delete course'
-                    }
-                  >
-                    {course.materialsCount > 0 || course.topicsCount > 0 ? 'Has Content' : 'Delete'}
-                  </button>
+                  {/* Actions */}
+                  <div className="flex lg:flex-col items-center gap-2 lg:w-32">
+                    <Link
+                      href={`/courses/${course.id}`}
+                      className="flex-1 lg:w-full px-4 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition text-center text-sm"
+                    >
+                      View
+                    </Link>
+                    <button
+                      onClick={() => setDeleteModal({ isOpen: true, course })}
+                      className="flex-1 lg:w-full px-4 py-2 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 transition text-sm"
+                      disabled={course.materialsCount > 0 || course.topicsCount > 0}
+                      title={
+                        course.materialsCount > 0 || course.topicsCount > 0
+                          ? 'Cannot delete course with materials or topics'
+                          : 'Delete course'
+                      }
+                    >
+                      {course.materialsCount > 0 || course.topicsCount > 0 ? 'Has Content' : 'Delete'}
+                    </button>
+                  </div>
                 </div>
-              </div>
 
-              {(course.materialsCount > 0 || course.topicsCount > 0) && (
-                <div className="mt-3 bg-yellow-50 border border-yellow-200 rounded p-2 text-xs text-yellow-800">
-                  ⚠️ This course has content. Delete all materials and topics first, or they will become
-                  orphaned.
-                </div>
-              )}
-            </div>
-          ))}
+                {(course.materialsCount > 0 || course.topicsCount > 0) && (
+                  <div className="mt-3 bg-yellow-50 border border-yellow-200 rounded p-2 text-xs text-yellow-800">
+                    ⚠️ This course has content. Delete all materials and topics first, or they will become
+                    orphaned.
+                  </div>
+                )}
+              </div>
+            );
+          })}
         </div>
       )}
 
@@ -0,0 +1,172 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+
+export default function DuplicatesReportPage() {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchReport();
+  }, []);
+
+  async function fetchReport() {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/admin/duplicates');
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch duplicates report');
+      }
+
+      const data = await response.json();
+      setReport(data);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error fetching duplicates report:', err);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 p-8">
+        <div className="max-w-7xl mx-auto">
+          <div className="animate-pulse">
+            <div className="h-8 bg-gray-200 rounded w-1/4 mb-8"></div>
+            <div className="h-64 bg-gray-200 rounded"></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 p-8">
+        <div className="max-w-7xl mx-auto">
+          <div className="bg-red-50 border border-red-200 rounded-lg p-6">
+            <h2 className="text-xl font-semibold text-red-800 mb-2">Error Loading Report</h2>
+            <p className="text-red-600">{error}</p>
+            <button
+              onClick={fetchReport}
+              className="mt-4 px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700"
+            >
+              Retry
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!report) return null;
+
+  const { groups, summary } = report;
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-4 md:p-8">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Duplicate Materials</h1>
+            <p className="text-gray-600">Identical files uploaded more than once</p>
+          </div>
+          <Link
+            href="/admin/pending"
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+          >
+            ← Back to Admin
+          </Link>
+        </div>
+
+        {/* Summary Cards */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-sm font-medium text-gray-600 mb-2">Duplicated Files</h3>
+            <p className="text-3xl font-bold text-gray-900">{summary.groups}</p>
+            <p className="text-sm text-gray-500 mt-1">files held by more than one material</p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-sm font-medium text-gray-600 mb-2">To Merge</h3>
+            <p className="text-3xl font-bold text-orange-600">{summary.mergeCandidates}</p>
+            <p className="text-sm text-gray-500 mt-1">extra copies within the same course</p>
+          </div>
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-sm font-medium text-gray-600 mb-2">Redundant Objects</h3>
+            <p className="text-3xl font-bold text-gray-900">{summary.redundantObjects}</p>
+            <p className="text-sm text-gray-500 mt-1">stored copies of files already in storage</p>
+          </div>
+        </div>
+
+        {groups.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-12 text-center text-gray-600">
+            No duplicate materials found. Materials uploaded before deduplication appear here once
+            <code className="mx-1 px-1 bg-gray-100 rounded">scripts/backfill-content-hashes.js</code>
+            has run.
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {groups.map((group) => (
+              <div key={group.contentHash} className="bg-white rounded-lg shadow">
+                <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+                  <div>
+                    <h2 className="text-lg font-semibold text-gray-900">{group.materials[0]?.title}</h2>
+                    <p className="text-xs text-gray-500 mt-1 font-mono">{group.contentHash.slice(0, 16)}…</p>
+                  </div>
+                  <div className="text-sm text-gray-600 text-right">
+                    <p>{group.materialCount} materials in {group.courseCount} course{group.courseCount === 1 ? '' : 's'}</p>
+                    {group.sameCourseCount > 0 && (
+                      <p className="text-orange-600 font-medium">{group.sameCourseCount} to merge</p>
+                    )}
+                  </div>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Title</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Course</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Uploaded By</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Downloads</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Uploaded</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase"></th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {group.materials.map((material) => (
+                        <tr key={material.id} className={material.mergeCandidate ? 'bg-orange-50' : 'hover:bg-gray-50'}>
+                          <td className="px-6 py-4 text-sm text-gray-900">
+                            <a href={material.url} className="hover:underline">{material.title}</a>
+                          </td>
+                          <td className="px-6 py-4 text-sm text-gray-600">{material.courseName || 'N/A'}</td>
+                          <td className="px-6 py-4 text-sm text-gray-600">{material.uploadedBy || 'Anonymous'}</td>
+                          <td className="px-6 py-4 text-sm text-gray-600">{material.downloads}</td>
+                          <td className="px-6 py-4 text-sm text-gray-600">
+                            {new Date(material.createdAt).toLocaleDateString()}
+                          </td>
+                          <td className="px-6 py-4 text-sm">
+                            {material.mergeCandidate && (
+                              <span className="px-2 py-1 rounded text-xs bg-orange-100 text-orange-800">
+                                Duplicate - move to trash
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
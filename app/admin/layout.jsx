@@ -2,11 +2,24 @@
 
 import Link from 'next/link';
 import { usePathname } from 'next/navigation';
+import { ModerationAccessProvider, useModerationAccess } from '@/lib/providers/ModerationAccessProvider';
+
+// Pages course moderators can use too; the rest of /admin is admin-only
+const MODERATOR_PATHS = ['/admin/pending', '/admin/materials', '/admin/topics'];
 
 export default function AdminLayout({ children }) {
+  return (
+    <ModerationAccessProvider>
+      <AdminShell>{children}</AdminShell>
+    </ModerationAccessProvider>
+  );
+}
+
+function AdminShell({ children }) {
   const pathname = usePathname();
+  const { loading, isAdmin, isModerator } = useModerationAccess();
 
-  const navItems = [
+  const allNavItems = [
     { name: 'Dashboard', path: '/admin/dashboard', icon: '📊' },
     { name: 'Pending Approvals', path: '/admin/pending', icon: '⏳' },
     { name: 'Manage Courses', path: '/admin/courses', icon: '🎓' },
@@ -14,8 +27,13 @@ export default function AdminLayout({ children }) {
     { name: 'Deletion Requests', path: '/admin/deletion-requests', icon: '📋' },
     { name: 'Trash Bin', path: '/admin/trash', icon: '🗑️' },
     { name: 'Storage Analytics', path: '/admin/storage', icon: '💾' },
+    { name: 'Duplicates', path: '/admin/duplicates', icon: '👯' },
   ];
 
+  const isModeratorPath = (path) => MODERATOR_PATHS.some((allowed) => path.startsWith(allowed));
+  const navItems = isAdmin ? allNavItems : allNavItems.filter((item) => isModeratorPath(item.path));
+  const canView = isAdmin || (isModerator && isModeratorPath(pathname));
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-800">
       {/* Top Navigation Bar */}
@@ -23,11 +41,11 @@ export default function AdminLayout({ children }) {
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="flex items-center justify-between h-14">
             {/* Logo / Brand - Simplified */}
-            <Link href="/admin/dashboard" className="flex items-center gap-2">
+            <Link href={isAdmin ? '/admin/dashboard' : '/admin/pending'} className="flex items-center gap-2">
               <div className="bg-gradient-to-r from-blue-600 to-blue-700 rounded-lg p-1.5">
                 <span className="text-xl">⚙️</span>
               </div>
-              <span className="text-lg font-bold text-gray-900 dark:text-white">Admin</span>
+              <span className="text-lg font-bold text-gray-900 dark:text-white">{isAdmin ? 'Admin' : 'Moderation'}</span>
             </Link>
 
             {/* Navigation Links */}
@@ -86,7 +104,27 @@ export default function AdminLayout({ children }) {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {children}
+        {loading ? (
+          <div className="animate-pulse h-32 bg-gray-200 dark:bg-gray-800 rounded-lg"></div>
+        ) : canView ? (
+          children
+        ) : (
+          <div className="bg-white dark:bg-gray-900 rounded-lg border border-gray-200 dark:border-gray-700 p-8 text-center">
+            <h1 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+              {isModerator ? 'Admins only' : 'No moderation access'}
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400">
+              {isModerator
+                ? 'Course moderators can review pending uploads and manage materials and topics in their courses.'
+                : 'Class reps can moderate their course once an admin assigns them to it.'}
+            </p>
+            {isModerator && (
+              <Link href="/admin/pending" className="inline-block mt-4 text-blue-600 hover:underline">
+                Go to pending approvals →
+              </Link>
+            )}
+          </div>
+        )}
       </main>
 
       {/* Footer */}
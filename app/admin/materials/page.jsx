@@ -3,11 +3,31 @@
 /**
  * All Materials Admin Page
  * View, search, filter, and delete all materials in the system
+ * Select several to approve, reject, trash, recategorise or move them at once
+ * Course moderators only see and act on materials in their courses
  */
 
 import { useState, useEffect } from 'react';
 import { createClient } from '@/lib/supabase/client';
 import DeletionModal from '@/components/admin/DeletionModal';
+import DuplicateReviewQueue from '@/components/admin/DuplicateReviewQueue';
+import BulkActionBar from '@/components/admin/BulkActionBar';
+import { useModerationAccess } from '@/lib/providers/ModerationAccessProvider';
+
+// Embedding (AI chat indexing) status badges
+const INDEXING_BADGES = {
+  queued: { label: 'Queued', className: 'bg-gray-100 text-gray-700' },
+  processing: { label: 'Indexing', className: 'bg-blue-100 text-blue-700' },
+  completed: { label: 'Indexed', className: 'bg-green-100 text-green-700' },
+  failed: { label: 'Index failed', className: 'bg-red-100 text-red-700' },
+  skipped: { label: 'Not indexed', className: 'bg-gray-100 text-gray-500' },
+};
+
+// embedding_jobs has a unique material_id, but PostgREST may still return an array
+function getEmbeddingJob(material) {
+  const job = material.embedding_jobs;
+  return Array.isArray(job) ? job[0] || null : job || null;
+}
 
 export default function AllMaterialsPage() {
   const [materials, setMaterials] = useState([]);
@@ -25,12 +45,89 @@ export default function AllMaterialsPage() {
     materialTitle: '',
   });
 
+  // Bulk selection
+  const [selectedIds, setSelectedIds] = useState([]);
+
   const supabase = createClient();
+  const { isAdmin, courseIds } = useModerationAccess();
 
   useEffect(() => {
+    setSelectedIds([]);
     loadMaterials();
   }, [statusFilter]);
 
+  // Poll indexing progress while any job is queued or running
+  const activeJobIds = materials
+    .filter((m) => ['queued', 'processing'].includes(getEmbeddingJob(m)?.status))
+    .map((m) => m.id);
+
+  useEffect(() => {
+    if (activeJobIds.length === 0) return;
+
+    const timer = setInterval(refreshEmbeddingJobs, 5000);
+    return () => clearInterval(timer);
+  }, [activeJobIds.join(',')]);
+
+  async function refreshEmbeddingJobs() {
+    const { data: jobs, error: jobsError } = await supabase
+      .from('embedding_jobs')
+      .select('material_id, status, attempts, max_attempts, last_error, chunks_done, chunks_total, updated_at')
+      .in('material_id', activeJobIds);
+
+    if (jobsError) {
+      console.error('Failed to refresh indexing status:', jobsError);
+      return;
+    }
+
+    const jobsByMaterial = Object.fromEntries(jobs.map((job) => [job.material_id, job]));
+    setMaterials((prev) =>
+      prev.map((m) => (jobsByMaterial[m.id] ? { ...m, embedding_jobs: jobsByMaterial[m.id] } : m))
+    );
+  }
+
+  async function handleReindex(material) {
+    try {
+      const response = await fetch('/api/generate-embedding', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ materialId: material.id }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) throw new Error(data.error || 'Failed to queue indexing');
+
+      setMaterials((prev) =>
+        prev.map((m) => (m.id === material.id ? { ...m, embedding_jobs: data.job } : m))
+      );
+    } catch (err) {
+      console.error('Error re-indexing material:', err);
+      alert(err.message);
+    }
+  }
+
+  async function handleEdit(material) {
+    const title = prompt('Material title', material.title);
+    if (!title || title.trim() === material.title) return;
+
+    try {
+      const response = await fetch(`/api/admin/materials/${material.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) throw new Error(data.error || 'Failed to update material');
+
+      setMaterials((prev) =>
+        prev.map((m) => (m.id === material.id ? { ...m, title: data.material.title } : m))
+      );
+    } catch (err) {
+      console.error('Error editing material:', err);
+      alert(err.message);
+    }
+  }
+
   // Handle viewing material (supports both R2 and Supabase storage)
   async function handleViewMaterial(material) {
     try {
@@ -65,7 +162,8 @@ export default function AllMaterialsPage() {
           *,
           courses!course_id (course_name, department),
           topics!topic_id (topic_name, week_number),
-          profiles!uploaded_by (full_name, email)
+          profiles!uploaded_by (full_name, email),
+          embedding_jobs (status, attempts, max_attempts, last_error, chunks_done, chunks_total, updated_at)
         `)
         .is('deleted_at', null) // Only non-deleted materials
         .order('created_at', { ascending: false });
@@ -75,6 +173,10 @@ export default function AllMaterialsPage() {
         query = query.eq('status', statusFilter);
       }
 
+      if (!isAdmin) {
+        query = query.in('course_id', courseIds);
+      }
+
       const { data, error: fetchError } = await query;
 
       if (fetchError) throw fetchError;
@@ -87,6 +189,25 @@ export default function AllMaterialsPage() {
     }
   }
 
+  function toggleSelected(materialId) {
+    setSelectedIds((ids) =>
+      ids.includes(materialId) ? ids.filter((id) => id !== materialId) : [...ids, materialId]
+    );
+  }
+
+  function handleBulkComplete(action, results) {
+    const succeeded = results.filter((r) => r.success).map((r) => r.id);
+
+    // Failed ones stay selected so they can be retried
+    setSelectedIds((ids) => ids.filter((id) => !succeeded.includes(id)));
+
+    if (action === 'soft_delete') {
+      setMaterials((prev) => prev.filter((m) => !succeeded.includes(m.id)));
+    } else {
+      loadMaterials();
+    }
+  }
+
   function handleDeletionSuccess(result) {
     // Remove the deleted material from the list
     setMaterials(materials.filter((m) => m.id !== deletionModal.materialId));
@@ -112,6 +233,18 @@ export default function AllMaterialsPage() {
     );
   });
 
+  const allVisibleSelected =
+    filteredMaterials.length > 0 && filteredMaterials.every((m) => selectedIds.includes(m.id));
+
+  function toggleSelectAll() {
+    const visibleIds = filteredMaterials.map((m) => m.id);
+    setSelectedIds((ids) =>
+      allVisibleSelected
+        ? ids.filter((id) => !visibleIds.includes(id))
+        : [...new Set([...ids, ...visibleIds])]
+    );
+  }
+
   // Stats
   const stats = {
     total: materials.length,
@@ -181,6 +314,13 @@ export default function AllMaterialsPage() {
         </div>
       </div>
 
+      {/* Suspected near-duplicates awaiting review */}
+      {isAdmin && (
+        <DuplicateReviewQueue
+          onMaterialDeleted={(materialId) => setMaterials((prev) => prev.filter((m) => m.id !== materialId))}
+        />
+      )}
+
       {/* Filters & Search */}
       <div className="bg-white rounded-lg border border-gray-200 p-4 space-y-4">
         {/* Status Filters */}
@@ -215,8 +355,25 @@ export default function AllMaterialsPage() {
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
           />
         </div>
+
+        {/* Select all visible */}
+        {filteredMaterials.length > 0 && (
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input type="checkbox" checked={allVisibleSelected} onChange={toggleSelectAll} className="h-4 w-4" />
+            Select all {filteredMaterials.length} shown
+          </label>
+        )}
       </div>
 
+      {/* Bulk actions on the selected materials */}
+      <BulkActionBar
+        selectedIds={selectedIds}
+        actions={['approve', 'reject', 'soft_delete', 'categorize', 'move']}
+        onClear={() => setSelectedIds([])}
+        onComplete={handleBulkComplete}
+        courseIds={isAdmin ? null : courseIds}
+      />
+
       {/* Materials List */}
       {filteredMaterials.length === 0 ? (
         <div className="bg-white rounded-lg border border-gray-200 p-12 text-center">
@@ -231,9 +388,19 @@ export default function AllMaterialsPage() {
           {filteredMaterials.map((material) => (
             <div
               key={material.id}
-              className="bg-white rounded-lg border border-gray-200 p-4 hover:shadow-md transition"
+              className={`bg-white rounded-lg border p-4 hover:shadow-md transition ${
+                selectedIds.includes(material.id) ? 'border-blue-400' : 'border-gray-200'
+              }`}
             >
               <div className="flex flex-col lg:flex-row gap-4">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(material.id)}
+                  onChange={() => toggleSelected(material.id)}
+                  className="h-4 w-4 mt-1"
+                  aria-label={`Select ${material.title}`}
+                />
+
                 {/* Material Info */}
                 <div className="flex-1">
                   <div className="flex items-center gap-2 mb-2">
@@ -248,6 +415,23 @@ export default function AllMaterialsPage() {
                     >
                       {material.status}
                     </span>
+                    {(() => {
+                      const job = getEmbeddingJob(material);
+                      if (!job) return null;
+                      const badge = INDEXING_BADGES[job.status];
+                      return (
+                        <span
+                          className={`text-xs px-2 py-0.5 rounded-full font-medium ${badge.className}`}
+                          title={job.last_error || undefined}
+                        >
+                          {badge.label}
+                          {job.status === 'processing' && job.chunks_total > 0 &&
+                            ` ${job.chunks_done}/${job.chunks_total}`}
+                          {job.status === 'queued' && job.attempts > 0 &&
+                            ` (retry ${job.attempts}/${job.max_attempts})`}
+                        </span>
+                      );
+                    })()}
                     <span className="text-xs text-gray-500">{formatDate(material.created_at)}</span>
                   </div>
 
@@ -285,6 +469,21 @@ export default function AllMaterialsPage() {
                   >
                     View
                   </button>
+                  <button
+                    onClick={() => handleEdit(material)}
+                    className="flex-1 lg:w-full px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition text-sm"
+                  >
+                    Edit
+                  </button>
+                  {isAdmin && material.status === 'approved' &&
+                    !['queued', 'processing'].includes(getEmbeddingJob(material)?.status) && (
+                      <button
+                        onClick={() => handleReindex(material)}
+                        className="flex-1 lg:w-full px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition text-sm"
+                      >
+                        {getEmbeddingJob(material) ? 'Re-index' : 'Index'}
+                      </button>
+                    )}
                   <button
                     onClick={() =>
                       setDeletionModal({
@@ -315,6 +514,7 @@ export default function AllMaterialsPage() {
         onSuccess={handleDeletionSuccess}
         materialId={deletionModal.materialId}
         materialTitle={deletionModal.materialTitle}
+        allowHardDelete={isAdmin}
       />
     </div>
   );
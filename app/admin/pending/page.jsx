@@ -3,6 +3,8 @@
 import { useState, useEffect } from 'react'
 import { createClient } from '@/lib/supabase/client'
 import DeletionModal from '@/components/admin/DeletionModal'
+import BulkActionBar from '@/components/admin/BulkActionBar'
+import { useModerationAccess } from '@/lib/providers/ModerationAccessProvider'
 
 export default function AdminPendingPage() {
   const [pending, setPending] = useState([])
@@ -12,8 +14,10 @@ export default function AdminPendingPage() {
     materialId: null,
     materialTitle: '',
   })
+  const [selectedIds, setSelectedIds] = useState([])
 
   const supabase = createClient()
+  const { isAdmin, courseIds } = useModerationAccess()
 
   useEffect(() => {
     loadPending()
@@ -42,10 +46,10 @@ export default function AdminPendingPage() {
     }
   }
   
-  async function loadPending() {
-    setLoading(true)
+  async function loadPending({ showLoading = true } = {}) {
+    if (showLoading) setLoading(true)
     
-    const { data } = await supabase
+    let query = supabase
       .from('materials')
       .select(`
         *,
@@ -54,56 +58,83 @@ export default function AdminPendingPage() {
       `)
       .eq('status', 'pending')
       .order('created_at', { ascending: false })
+
+    // Course moderators only review their own courses
+    if (!isAdmin) {
+      query = query.in('course_id', courseIds)
+    }
+
+    const { data } = await query
     
     setPending(data || [])
     setLoading(false)
   }
   
+  // Single-material moderation goes through the bulk route, which checks course moderators' rights
+  async function moderate(action, materialId, details = {}) {
+    try {
+      const response = await fetch('/api/admin/materials/bulk', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, materialIds: [materialId], ...details })
+      })
+      const data = await response.json()
+      const result = data.results?.[0]
+
+      if (!response.ok || !result?.success) {
+        throw new Error(result?.error || data.error || 'Request failed')
+      }
+      return true
+    } catch (error) {
+      alert(`Error: ${error.message}`)
+      return false
+    }
+  }
+
   async function approve(materialId) {
     const confirmed = confirm('Approve this material?')
     if (!confirmed) return
     
-    const { error } = await supabase
-      .from('materials')
-      .update({ status: 'approved' })
-      .eq('id', materialId)
-    
-    if (error) {
-      alert('Error approving material')
-      return
-    }
+    // Approving also queues the material for AI chat indexing
+    if (!(await moderate('approve', materialId))) return
     
     // Remove from list
     setPending(pending.filter(m => m.id !== materialId))
-    
-    // TODO: Trigger embedding generation job
-    await fetch('/api/generate-embeddings', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ materialId })
-    })
   }
   
   async function reject(materialId) {
-    const reason = prompt('Reason for rejection?')
+    const reason = prompt('Reason for rejection? The uploader will see it.')
     if (!reason) return
 
-    const { error } = await supabase
-      .from('materials')
-      .update({
-        status: 'rejected',
-        rejection_reason: reason
-      })
-      .eq('id', materialId)
-
-    if (error) {
-      alert('Error rejecting material')
-      return
-    }
+    if (!(await moderate('reject', materialId, { reason }))) return
 
     setPending(pending.filter(m => m.id !== materialId))
   }
 
+  function toggleSelected(materialId) {
+    setSelectedIds(ids =>
+      ids.includes(materialId) ? ids.filter(id => id !== materialId) : [...ids, materialId]
+    )
+  }
+
+  function toggleSelectAll() {
+    setSelectedIds(selectedIds.length === pending.length ? [] : pending.map(m => m.id))
+  }
+
+  function handleBulkComplete(action, results) {
+    const succeeded = results.filter(r => r.success).map(r => r.id)
+
+    // Failed ones stay selected so they can be retried
+    setSelectedIds(ids => ids.filter(id => !succeeded.includes(id)))
+
+    if (['approve', 'reject', 'soft_delete'].includes(action)) {
+      setPending(prev => prev.filter(m => !succeeded.includes(m.id)))
+    } else {
+      // Refresh in place - the loading screen would hide the bulk report
+      loadPending({ showLoading: false })
+    }
+  }
+
   function handleDeletionSuccess(result) {
     // Remove the deleted material from the list
     setPending(pending.filter(m => m.id !== deletionModal.materialId))
@@ -132,9 +163,32 @@ export default function AdminPendingPage() {
   return (
     <div className="p-8 max-w-6xl mx-auto">
       <h1 className="text-3xl font-bold mb-2">Pending Materials</h1>
-      <p className="text-gray-600 mb-6">
-        {pending.length} material{pending.length !== 1 ? 's' : ''} awaiting review
-      </p>
+      <div className="flex items-center justify-between mb-6">
+        <p className="text-gray-600">
+          {pending.length} material{pending.length !== 1 ? 's' : ''} awaiting review
+        </p>
+        {pending.length > 0 && (
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={selectedIds.length === pending.length}
+              onChange={toggleSelectAll}
+              className="h-4 w-4"
+            />
+            Select all
+          </label>
+        )}
+      </div>
+
+      <div className="mb-4">
+        <BulkActionBar
+          selectedIds={selectedIds}
+          actions={['approve', 'reject', 'soft_delete', 'categorize', 'move']}
+          onClear={() => setSelectedIds([])}
+          onComplete={handleBulkComplete}
+          courseIds={isAdmin ? null : courseIds}
+        />
+      </div>
       
       {pending.length === 0 ? (
         <div className="bg-gray-50 border border-gray-200 rounded-lg p-8 text-center">
@@ -145,9 +199,18 @@ export default function AdminPendingPage() {
           {pending.map(material => (
             <div 
               key={material.id}
-              className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm"
+              className={`bg-white border rounded-lg p-6 shadow-sm ${
+                selectedIds.includes(material.id) ? 'border-blue-400' : 'border-gray-200'
+              }`}
             >
-              <div className="flex justify-between items-start mb-4">
+              <div className="flex justify-between items-start gap-4 mb-4">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.includes(material.id)}
+                  onChange={() => toggleSelected(material.id)}
+                  className="h-4 w-4 mt-1.5"
+                  aria-label={`Select ${material.title}`}
+                />
                 <div className="flex-1">
                   <h3 className="text-lg font-semibold text-gray-900 mb-1">
                     {material.title}
@@ -234,6 +297,7 @@ export default function AdminPendingPage() {
         onSuccess={handleDeletionSuccess}
         materialId={deletionModal.materialId}
         materialTitle={deletionModal.materialTitle}
+        allowHardDelete={isAdmin}
       />
     </div>
   )
@@ -9,6 +9,7 @@ import { useState, useEffect } from 'react';
 import { useRouter, useParams } from 'next/navigation';
 import { createClient } from '@/lib/supabase/client';
 import DeletionModal from '@/components/admin/DeletionModal';
+import { useModerationAccess } from '@/lib/providers/ModerationAccessProvider';
 
 export default function TopicDetailsPage() {
   const router = useRouter();
@@ -28,6 +29,7 @@ export default function TopicDetailsPage() {
   });
 
   const supabase = createClient();
+  const { isAdmin, courseIds } = useModerationAccess();
 
   useEffect(() => {
     loadTopicData();
@@ -50,6 +52,9 @@ export default function TopicDetailsPage() {
 
       if (topicError) throw topicError;
       if (!topicData) throw new Error('Topic not found');
+      if (!isAdmin && !courseIds.includes(topicData.course_id)) {
+        throw new Error('You can only moderate courses you are assigned to');
+      }
 
       setTopic(topicData);
 
@@ -367,6 +372,7 @@ export default function TopicDetailsPage() {
           onSuccess={handleDeleteSuccess}
           materialId={deletionModal.materialId}
           materialTitle={deletionModal.materialTitle}
+          allowHardDelete={isAdmin}
         />
       )}
     </div>
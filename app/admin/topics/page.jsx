@@ -3,12 +3,14 @@
 /**
  * Manage Topics Admin Page
  * View and manage all topics (units) in the system
+ * Course moderators only see topics in their courses
  */
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { createClient } from '@/lib/supabase/client';
 import ConfirmModal from '@/components/admin/ConfirmModal';
+import { useModerationAccess } from '@/lib/providers/ModerationAccessProvider';
 
 export default function ManageTopicsPage() {
   const router = useRouter();
@@ -26,6 +28,7 @@ export default function ManageTopicsPage() {
   });
 
   const supabase = createClient();
+  const { isAdmin, courseIds } = useModerationAccess();
 
   useEffect(() => {
     loadData();
@@ -37,15 +40,13 @@ export default function ManageTopicsPage() {
 
     try {
       // Fetch courses for filter
-      const { data: coursesData } = await supabase
+      let coursesQuery = supabase
         .from('courses')
         .select('id, course_name')
         .order('course_name');
 
-      setCourses(coursesData || []);
-
       // Fetch topics with course info and material counts
-      const { data: topicsData, error: topicsError } = await supabase
+      let topicsQuery = supabase
         .from('topics')
         .select(`
           *,
@@ -55,6 +56,16 @@ export default function ManageTopicsPage() {
         .order('course_id')
         .order('week_number');
 
+      if (!isAdmin) {
+        coursesQuery = coursesQuery.in('id', courseIds);
+        topicsQuery = topicsQuery.in('course_id', courseIds);
+      }
+
+      const { data: coursesData } = await coursesQuery;
+      setCourses(coursesData || []);
+
+      const { data: topicsData, error: topicsError } = await topicsQuery;
+
       if (topicsError) throw topicsError;
 
       // For each topic, get material count
@@ -81,20 +92,48 @@ export default function ManageTopicsPage() {
     }
   }
 
-  async function handleDeleteTopic(topic) {
+  // Topics go to the trash, where admins can restore them
+  async function handleDeleteTopic(topic, reason) {
     try {
-      const { error: deleteError } = await supabase.from('topics').delete().eq('id', topic.id);
+      const response = await fetch(`/api/admin/topics/${topic.id}`, {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason }),
+      });
+      const data = await response.json();
 
-      if (deleteError) throw deleteError;
+      if (!response.ok) throw new Error(data.error || 'Failed to delete topic');
 
       // Remove from list
       setTopics(topics.filter((t) => t.id !== topic.id));
-      alert('Topic deleted successfully!');
+      alert('Topic moved to trash!');
     } catch (err) {
       alert(`Error deleting topic: ${err.message}`);
     }
   }
 
+  async function handleRenameTopic(topic) {
+    const topicName = prompt('Topic name', topic.topic_name);
+    if (!topicName || topicName.trim() === topic.topic_name) return;
+
+    try {
+      const response = await fetch(`/api/admin/topics/${topic.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ topicName }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) throw new Error(data.error || 'Failed to update topic');
+
+      setTopics((prev) =>
+        prev.map((t) => (t.id === topic.id ? { ...t, topic_name: data.topic.topic_name } : t))
+      );
+    } catch (err) {
+      alert(`Error renaming topic: ${err.message}`);
+    }
+  }
+
   // Filter topics
   const filteredTopics = topics.filter((topic) => {
     // Course filter
@@ -274,6 +313,15 @@ export default function ManageTopicsPage() {
                       <span>📋</span> View Materials
                     </button>
                   )}
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleRenameTopic(topic);
+                    }}
+                    className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition text-sm"
+                  >
+                    Rename
+                  </button>
                   <button
                     onClick={(e) => {
                       e.stopPropagation();
@@ -310,11 +358,16 @@ export default function ManageTopicsPage() {
       <ConfirmModal
         isOpen={deleteModal.isOpen}
         onClose={() => setDeleteModal({ isOpen: false, topic: null })}
-        onConfirm={() => handleDeleteTopic(deleteModal.topic)}
+        onConfirm={(reason) => handleDeleteTopic(deleteModal.topic, reason)}
         title="Delete Topic"
-        message={`Are you sure you want to delete "${deleteModal.topic?.topic_name}"? This action cannot be undone.`}
+        message={`Are you sure you want to delete "${deleteModal.topic?.topic_name}"? It will be moved to the trash, where admins can restore it.`}
         confirmText="Delete Topic"
         confirmColor="red"
+        showInput
+        inputLabel="Reason for deletion"
+        inputPlaceholder="e.g. Duplicate of another unit"
+        inputRequired
+        inputMinLength={10}
       />
     </div>
   );
@@ -3,7 +3,8 @@
 /**
  * Trash Bin Admin Page
  * Shows soft-deleted items with 30-day recovery window
- * Features: pagination, filtering by type, restore functionality
+ * Features: pagination, filtering by type, restore functionality,
+ * previewing and running the daily auto-purge of expired items
  */
 
 import { useState, useEffect } from 'react';
@@ -23,6 +24,11 @@ export default function TrashBinPage() {
     item: null,
   });
 
+  // Auto-purge preview (dry run) and manual purge
+  const [purgePreview, setPurgePreview] = useState(null);
+  const [purgeLoading, setPurgeLoading] = useState(false);
+  const [purgeModalOpen, setPurgeModalOpen] = useState(false);
+
   useEffect(() => {
     fetchTrashData();
   }, [page, limit]);
@@ -66,6 +72,59 @@ export default function TrashBinPage() {
     }
   }
 
+  async function runPurge(dryRun) {
+    setPurgeLoading(true);
+    try {
+      const res = await fetch('/api/admin/trash/purge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dryRun }),
+      });
+
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to purge trash');
+      }
+
+      if (dryRun) {
+        setPurgePreview(data);
+        return;
+      }
+
+      setPurgePreview(null);
+      fetchTrashData();
+
+      const { materials, topics, courses } = data.purged;
+      alert(
+        `Purged ${materials} materials, ${topics} topics and ${courses} courses.` +
+          (data.remaining > 0 ? ` ${data.remaining} items will be purged on the next run.` : '') +
+          (data.errors.length > 0 ? ` ${data.errors.length} items failed - check the logs.` : '')
+      );
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    } finally {
+      setPurgeLoading(false);
+    }
+  }
+
+  function formatBytes(bytes) {
+    if (!bytes) return '0 KB';
+    return bytes >= 1024 * 1024
+      ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+      : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  function describePurgeItem(item) {
+    if (item.entityType === 'material') {
+      const kept = item.keptFiles.length > 0 ? `, ${item.keptFiles.length} shared kept` : '';
+      return `${item.files.length} files (${formatBytes(item.bytes)})${kept}`;
+    }
+    if (item.entityType === 'topic') {
+      return `${item.orphanedMaterials} materials become orphaned`;
+    }
+    return `${item.materialCount} materials deleted with it`;
+  }
+
   function formatDate(dateString) {
     return new Date(dateString).toLocaleDateString('en-US', {
       month: 'short',
@@ -133,15 +192,80 @@ export default function TrashBinPage() {
   return (
     <div className="space-y-6">
       {/* Header */}
-      <div>
-        <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center gap-2">
-          <span>🗑️</span> Trash Bin
-        </h1>
-        <p className="text-gray-600">
-          Soft-deleted items are kept for 30 days before permanent deletion
-        </p>
+      <div className="flex flex-col md:flex-row items-start md:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center gap-2">
+            <span>🗑️</span> Trash Bin
+          </h1>
+          <p className="text-gray-600">
+            Soft-deleted items are kept for 30 days, then purged automatically every night
+          </p>
+        </div>
+        <button
+          onClick={() => runPurge(true)}
+          disabled={purgeLoading}
+          className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 disabled:opacity-50 transition"
+        >
+          {purgeLoading ? 'Checking...' : 'Preview auto-purge'}
+        </button>
       </div>
 
+      {/* Auto-purge preview */}
+      {purgePreview && (
+        <div className="bg-white rounded-lg border border-gray-200 p-4 space-y-3">
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <h2 className="font-semibold text-gray-900">Next auto-purge</h2>
+              <p className="text-sm text-gray-600">
+                {purgePreview.expired === 0
+                  ? 'Nothing has been in the trash for more than 30 days.'
+                  : `${purgePreview.expired} expired items, ${formatBytes(purgePreview.purged.bytes)} of files` +
+                    (purgePreview.remaining > 0 ? ` (${purgePreview.remaining} left for later runs)` : '')}
+              </p>
+            </div>
+            <div className="flex gap-2">
+              {purgePreview.expired > 0 && (
+                <button
+                  onClick={() => setPurgeModalOpen(true)}
+                  disabled={purgeLoading}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 disabled:opacity-50 transition"
+                >
+                  Purge now
+                </button>
+              )}
+              <button
+                onClick={() => setPurgePreview(null)}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+
+          {purgePreview.items.length > 0 && (
+            <ul className="divide-y divide-gray-100 text-sm">
+              {purgePreview.items.map((item) => (
+                <li key={`${item.entityType}-${item.id}`} className="py-2 flex items-center justify-between gap-4">
+                  <span className="min-w-0 truncate">
+                    <span className="text-xs px-2 py-0.5 mr-2 rounded-full font-medium bg-gray-100 text-gray-700">
+                      {item.entityType}
+                    </span>
+                    {item.title}
+                  </span>
+                  <span className="text-gray-500 whitespace-nowrap">{describePurgeItem(item)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {purgePreview.errors.length > 0 && (
+            <p className="text-sm text-red-600">
+              {purgePreview.errors.length} items could not be checked: {purgePreview.errors.map((e) => e.title).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Stats */}
       {trashData?.stats && (
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
@@ -305,6 +429,17 @@ export default function TrashBinPage() {
         confirmText="Restore"
         confirmColor="green"
       />
+
+      {/* Purge Confirmation Modal */}
+      <ConfirmModal
+        isOpen={purgeModalOpen}
+        onClose={() => setPurgeModalOpen(false)}
+        onConfirm={() => runPurge(false)}
+        title="Purge Expired Items"
+        message="Permanently delete everything that has been in the trash for more than 30 days, including its files? This cannot be undone."
+        confirmText="Purge"
+        confirmColor="red"
+      />
     </div>
   );
 }
@@ -0,0 +1,59 @@
+/**
+ * Course Moderation Mode API
+ * Sets how uploads to a course are approved (see lib/moderation/policy).
+ * Admin-only.
+ *
+ * Route: /api/admin/courses/[id]/moderation
+ */
+
+import { NextResponse } from 'next/server';
+import { getServiceRoleClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth/withAuth';
+import { MODERATION_MODES } from '@/lib/moderation/policy';
+
+/**
+ * PATCH - Body: { moderationMode: 'open' | 'trusted' | 'manual' }
+ * Response: { success, course: { id, course_name, moderation_mode } }
+ */
+export const PATCH = withAuth({ roles: ['admin'] }, async (request, { params, auth }) => {
+  const { user, profile } = auth;
+
+  try {
+    const { id } = await params;
+
+    const { moderationMode } = await request.json();
+
+    if (!MODERATION_MODES.includes(moderationMode)) {
+      return NextResponse.json(
+        { error: `Invalid moderation mode. Must be one of: ${MODERATION_MODES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const { data: course, error: updateError } = await getServiceRoleClient()
+      .from('courses')
+      .update({ moderation_mode: moderationMode })
+      .eq('id', id)
+      .select('id, course_name, moderation_mode')
+      .maybeSingle();
+
+    if (updateError) throw updateError;
+
+    if (!course) {
+      return NextResponse.json({ error: 'Course not found' }, { status: 404 });
+    }
+
+    console.log(
+      `[Moderation] ${profile.full_name || user.id} set ${course.course_name} to ${moderationMode}`
+    );
+
+    return NextResponse.json({ success: true, course });
+
+  } catch (error) {
+    console.error('Moderation mode update error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update moderation mode', details: error.message },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,108 @@
+/**
+ * Course Moderators API
+ * Grant or revoke a class rep's moderation rights for one course
+ * (see lib/auth/permissions). Admin-only.
+ *
+ * Route: /api/admin/courses/[id]/moderators
+ */
+
+import { NextResponse } from 'next/server';
+import { getServiceRoleClient } from '@/lib/supabase/server';
+import { MODERATOR_ROLE } from '@/lib/auth/permissions';
+import { withAuth } from '@/lib/auth/withAuth';
+import { isValidUUID } from '@/lib/utils/validators';
+
+/**
+ * POST - Body: { userId } - must be a class rep
+ * Response: { success, moderator: { course_id, user_id, created_at } }
+ */
+export const POST = withAuth({ roles: ['admin'] }, async (request, { params, auth }) => {
+  try {
+    const { id: courseId } = await params;
+
+    const { userId } = await request.json();
+
+    if (!isValidUUID(userId)) {
+      return NextResponse.json({ error: 'Invalid userId' }, { status: 400 });
+    }
+
+    const serviceRole = getServiceRoleClient();
+
+    const [{ data: course, error: courseError }, { data: profile, error: profileError }] = await Promise.all([
+      serviceRole.from('courses').select('id, course_name, deleted_at').eq('id', courseId).maybeSingle(),
+      serviceRole.from('profiles').select('id, full_name, role').eq('id', userId).maybeSingle(),
+    ]);
+
+    if (courseError) throw courseError;
+    if (profileError) throw profileError;
+
+    if (!course || course.deleted_at) {
+      return NextResponse.json({ error: 'Course not found' }, { status: 404 });
+    }
+
+    if (!profile) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    if (profile.role !== MODERATOR_ROLE) {
+      return NextResponse.json({ error: 'Only class reps can moderate a course' }, { status: 400 });
+    }
+
+    const { data: moderator, error: insertError } = await serviceRole
+      .from('course_moderators')
+      .upsert(
+        { course_id: courseId, user_id: userId, granted_by: auth.user.id },
+        { onConflict: 'course_id,user_id' }
+      )
+      .select('course_id, user_id, created_at')
+      .single();
+
+    if (insertError) throw insertError;
+
+    console.log(`[Moderators] ${profile.full_name || userId} now moderates ${course.course_name}`);
+
+    return NextResponse.json({ success: true, moderator });
+
+  } catch (error) {
+    console.error('Grant moderator error:', error);
+    return NextResponse.json(
+      { error: 'Failed to add moderator', details: error.message },
+      { status: 500 }
+    );
+  }
+});
+
+/**
+ * DELETE - Query: ?userId=<uuid>
+ * Response: { success }
+ */
+export const DELETE = withAuth({ roles: ['admin'] }, async (request, { params }) => {
+  try {
+    const { id: courseId } = await params;
+
+    const userId = new URL(request.url).searchParams.get('userId');
+
+    if (!isValidUUID(userId)) {
+      return NextResponse.json({ error: 'Invalid userId' }, { status: 400 });
+    }
+
+    const { error: deleteError } = await getServiceRoleClient()
+      .from('course_moderators')
+      .delete()
+      .eq('course_id', courseId)
+      .eq('user_id', userId);
+
+    if (deleteError) throw deleteError;
+
+    console.log(`[Moderators] ${userId} no longer moderates course ${courseId}`);
+
+    return NextResponse.json({ success: true });
+
+  } catch (error) {
+    console.error('Revoke moderator error:', error);
+    return NextResponse.json(
+      { error: 'Failed to remove moderator', details: error.message },
+      { status: 500 }
+    );
+  }
+});
@@ -4,35 +4,16 @@
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
-import { createClient } from '@/lib/supabase/server';
 import { getServiceRoleClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth/withAuth';
 
 /**
  * GET - List all pending deletion requests
  */
-export async function GET(request) {
-  try {
-    const cookieStore = await cookies();
-    const supabase = createClient(cookieStore);
-
-    // Check if user is admin
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-
-    if (userError || !user) {
-      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
-    }
-
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('id', user.id)
-      .single();
-
-    if (!profile || profile.role !== 'admin') {
-      return NextResponse.json({ error: 'Admin access required' }, { status: 403 });
-    }
+export const GET = withAuth({ roles: ['admin'] }, async (request, { auth }) => {
+  const { supabase } = auth;
 
+  try {
     // Get pagination params from query string
     const { searchParams } = new URL(request.url);
     const page = parseInt(searchParams.get('page')) || 1;
@@ -82,33 +63,15 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+});
 
 /**
  * POST - Approve or reject a deletion request
  */
-export async function POST(request) {
-  try {
-    const cookieStore = await cookies();
-    const supabase = createClient(cookieStore);
-
-    // Check if user is admin
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-
-    if (userError || !user) {
-      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
-    }
-
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('id', user.id)
-      .single();
-
-    if (!profile || profile.role !== 'admin') {
-      return NextResponse.json({ error: 'Admin access required' }, { status: 403 });
-    }
+export const POST = withAuth({ roles: ['admin'] }, async (request, { auth }) => {
+  const { user } = auth;
 
+  try {
     // Get request body
     const body = await request.json();
     const { requestId, action, rejectionReason } = body; // action: 'approve' or 'reject'
@@ -232,4 +195,4 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+});
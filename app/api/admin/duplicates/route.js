@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import { getServiceRoleClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth/withAuth';
+import { findDuplicateGroups } from '@/lib/storage/dedup';
+
+/**
+ * Duplicate materials report
+ * Groups of live materials with the same content hash. Copies within one
+ * course are merge candidates; copies across courses already share storage
+ * unless they predate deduplication.
+ *
+ * GET /api/admin/duplicates?limit=100
+ */
+export const GET = withAuth({ roles: ['admin'] }, async (req, { auth }) => {
+  try {
+    const { searchParams } = new URL(req.url);
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit')) || 100, 1), 500);
+
+    const groups = await findDuplicateGroups(getServiceRoleClient(), { limit });
+
+    return NextResponse.json({
+      groups,
+      summary: {
+        groups: groups.length,
+        mergeCandidates: groups.reduce((sum, group) => sum + group.sameCourseCount, 0),
+        redundantObjects: groups.reduce((sum, group) => sum + group.redundantObjects, 0),
+      },
+    });
+
+  } catch (error) {
+    console.error('Duplicates report error:', error);
+    return NextResponse.json(
+      { error: 'Failed to load duplicates report', details: error.message },
+      { status: 500 }
+    );
+  }
+});
@@ -1,16 +1,20 @@
 /**
  * Material Deletion API
  * Handles soft delete (hide) and hard delete (permanent) for materials
- * Admin-only endpoint with safety checks and audit logging
+ * Admins can do both; course moderators can soft delete in their courses
+ * (lib/auth/permissions). Safety checks and audit logging included.
  *
  * Route: /api/admin/materials/[id]/delete
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
-import { createClient } from '@/lib/supabase/server';
 import { getServiceRoleClient } from '@/lib/supabase/server';
+import { checkAccess } from '@/lib/auth/permissions';
+import { resolveAuth } from '@/lib/auth/withAuth';
 import { deleteFromR2 } from '@/lib/storage/r2-client';
+import { isStoragePathShared } from '@/lib/storage/dedup';
+import { getVersionFiles } from '@/lib/materials/versions';
+import { validateDeletionReason, logDeletion, softDeleteMaterial } from '@/lib/materials/deletion';
 
 export async function POST(request, { params }) {
   try {
@@ -20,54 +24,21 @@ export async function POST(request, { params }) {
     // Log request start for debugging
     console.log(`[DELETE API] POST request received for material ID: ${id}`);
 
-    const cookieStore = await cookies();
-    const supabase = createClient(cookieStore);
+    // Admins, or moderators of the material's course (checked once it is loaded)
+    // Not wrapped in withAuth: denials here carry the material id and details
+    const { supabase, access } = await resolveAuth(request);
+    const denied = checkAccess(access);
 
-    // Check if user is logged in
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-
-    if (userError || !user) {
-      console.error(`[DELETE API] Authentication failed for material ${id}:`, userError?.message || 'No user');
-      return NextResponse.json({
-        error: 'Unauthorized',
-        materialId: id,
-        details: 'You must be logged in to perform this action'
-      }, {
-        status: 401,
-        headers: {
-          'Cache-Control': 'no-store, no-cache, must-revalidate',
-        }
-      });
-    }
-
-    console.log(`[DELETE API] User authenticated: ${user.email} (${user.id})`);
-
-    // Check if user has admin role
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('role, full_name')
-      .eq('id', user.id)
-      .single();
-
-    if (profileError) {
-      console.error(`[DELETE API] Profile fetch error for user ${user.id}:`, profileError);
+    if (denied) {
+      console.warn(`[DELETE API] Access denied for material ${id}: ${denied.error}`);
+      return deniedResponse(id, denied, denied.status === 401
+        ? 'You must be logged in to perform this action'
+        : 'You must be an admin or a course moderator to perform this action');
     }
 
-    if (!profile || profile.role !== 'admin') {
-      console.warn(`[DELETE API] Access denied for user ${user.email} - Role: ${profile?.role || 'none'}`);
-      return NextResponse.json({
-        error: 'Admin access required',
-        materialId: id,
-        details: 'You must be an admin to perform this action'
-      }, {
-        status: 403,
-        headers: {
-          'Cache-Control': 'no-store, no-cache, must-revalidate',
-        }
-      });
-    }
+    const { user, profile } = access;
 
-    console.log(`[DELETE API] Admin verified: ${profile.full_name} (${profile.role})`);
+    console.log(`[DELETE API] Moderator verified: ${profile.full_name} (${profile.role})`);
 
     // Get request body
     const body = await request.json();
@@ -80,11 +51,19 @@ export async function POST(request, { params }) {
       }, { status: 400 });
     }
 
+    // Permanent deletion stays with admins
+    if (deletionType === 'hard' && !access.isAdmin) {
+      return deniedResponse(
+        id,
+        { error: 'Admin access required', status: 403 },
+        'Only admins can permanently delete materials'
+      );
+    }
+
     // Validate reason
-    if (!reason || reason.trim().length < 10) {
-      return NextResponse.json({
-        error: 'Deletion reason is required (minimum 10 characters)'
-      }, { status: 400 });
+    const reasonError = validateDeletionReason(reason);
+    if (reasonError) {
+      return NextResponse.json({ error: reasonError }, { status: 400 });
     }
 
     // Get material details before deletion
@@ -102,6 +81,8 @@ export async function POST(request, { params }) {
         file_url,
         storage_path,
         storage_location,
+        thumbnail_path,
+        deleted_at,
         courses!materials_course_id_fkey (course_name)
       `)
       .eq('id', id)
@@ -123,6 +104,11 @@ export async function POST(request, { params }) {
 
     console.log(`[DELETE API] Material found: "${material.title}" (Downloads: ${material.download_count || 0}, Views: ${material.view_count || 0})`);
 
+    const courseDenied = checkAccess(access, { courseId: material.course_id });
+    if (courseDenied) {
+      return deniedResponse(id, courseDenied, 'You can only delete materials in courses you moderate');
+    }
+
     // Check if already deleted
     if (material.deleted_at) {
       return NextResponse.json({
@@ -133,32 +119,11 @@ export async function POST(request, { params }) {
     const serviceRole = getServiceRoleClient();
 
     if (deletionType === 'soft') {
-      // SOFT DELETE: Mark as deleted but keep in database
-      const { error: updateError } = await serviceRole
-        .from('materials')
-        .update({
-          deleted_at: new Date().toISOString(),
-          deletion_type: 'soft',
-          deletion_reason: reason,
-          deleted_by: user.id,
-          download_count_at_deletion: material.download_count || 0,
-          view_count_at_deletion: material.view_count || 0
-        })
-        .eq('id', id);
-
-      if (updateError) throw updateError;
-
-      // Log to audit trail
-      await serviceRole.from('deletion_audit_log').insert({
-        entity_type: 'material',
-        entity_id: id,
-        entity_title: material.title,
-        deletion_type: 'soft',
-        deletion_reason: reason,
-        deleted_by: user.id,
-        download_count_at_deletion: material.download_count || 0,
-        view_count_at_deletion: material.view_count || 0
-      });
+      // SOFT DELETE: Mark as deleted but keep in database, and log to audit trail
+      const result = await softDeleteMaterial(serviceRole, material, { reason, userId: user.id });
+      if (!result.success) {
+        return NextResponse.json({ error: result.error }, { status: 400 });
+      }
 
       console.log(`[DELETE API] ✅ Soft delete successful: "${material.title}" (ID: ${id})`);
 
@@ -181,17 +146,18 @@ export async function POST(request, { params }) {
     } else {
       // HARD DELETE: Permanently remove from database
       // First log to audit trail (before deletion)
-      await serviceRole.from('deletion_audit_log').insert({
-        entity_type: 'material',
-        entity_id: id,
-        entity_title: material.title,
-        deletion_type: 'hard',
-        deletion_reason: reason,
-        deleted_by: user.id,
-        download_count_at_deletion: material.download_count || 0,
-        view_count_at_deletion: material.view_count || 0
+      await logDeletion(serviceRole, {
+        entityType: 'material',
+        entity: material,
+        deletionType: 'hard',
+        reason,
+        userId: user.id
       });
 
+      // Files of earlier versions - the version rows go with the material
+      const versionFiles = (await getVersionFiles(serviceRole, id))
+        .filter((file) => file.storage_path !== material.storage_path);
+
       // Delete from database
       const { error: deleteError } = await serviceRole
         .from('materials')
@@ -203,7 +169,13 @@ export async function POST(request, { params }) {
       // Delete file from storage (R2 or Supabase)
       // Don't block response if storage deletion fails, but log it
       try {
-        if (material.storage_location === 'r2' && material.storage_path) {
+        // Identical uploads in other courses share one object - keep it for them
+        const storageShared = material.storage_path &&
+          await isStoragePathShared(serviceRole, material.storage_path, id);
+
+        if (storageShared) {
+          console.log(`ℹ️ Storage kept, still used by other materials: ${material.storage_path}`);
+        } else if (material.storage_location === 'r2' && material.storage_path) {
           // Delete from R2
           await deleteFromR2(material.storage_path);
           console.log(`✅ File deleted from R2: ${material.storage_path}`);
@@ -224,6 +196,23 @@ export async function POST(request, { params }) {
             }
           }
         }
+
+        // The thumbnail is shared along with the file (lib/thumbnails/worker)
+        if (material.thumbnail_path && !storageShared) {
+          await deleteFromR2(material.thumbnail_path);
+          console.log(`✅ Thumbnail deleted from R2: ${material.thumbnail_path}`);
+        }
+
+        for (const file of versionFiles) {
+          if (await isStoragePathShared(serviceRole, file.storage_path, id)) continue;
+
+          if (file.storage_location === 'r2') {
+            await deleteFromR2(file.storage_path);
+          } else {
+            await supabase.storage.from('materials').remove([file.storage_path]);
+          }
+          console.log(`✅ Earlier version deleted: ${file.storage_path}`);
+        }
       } catch (storageError) {
         // Log storage deletion errors but don't fail the entire operation
         console.error(`⚠️ Storage deletion error for ${material.title}:`, storageError.message);
@@ -278,53 +267,18 @@ export async function GET(request, { params }) {
     // Log request start for debugging
     console.log(`[DELETE API] GET request received for material ID: ${id}`);
 
-    const cookieStore = await cookies();
-    const supabase = createClient(cookieStore);
-
-    // Check if user is admin
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-
-    if (userError || !user) {
-      console.error(`[DELETE API] GET Authentication failed for material ${id}:`, userError?.message || 'No user');
-      return NextResponse.json({
-        error: 'Unauthorized',
-        materialId: id,
-        details: 'You must be logged in to view deletion impact'
-      }, {
-        status: 401,
-        headers: {
-          'Cache-Control': 'no-store, no-cache, must-revalidate',
-        }
-      });
-    }
-
-    console.log(`[DELETE API] GET User authenticated: ${user.email}`);
-
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('id', user.id)
-      .single();
-
-    if (profileError) {
-      console.error(`[DELETE API] GET Profile fetch error:`, profileError);
-    }
+    // Admins, or moderators of the material's course (checked once it is loaded)
+    const { supabase, access } = await resolveAuth(request);
+    const denied = checkAccess(access);
 
-    if (!profile || profile.role !== 'admin') {
-      console.warn(`[DELETE API] GET Access denied for user ${user.email} - Role: ${profile?.role || 'none'}`);
-      return NextResponse.json({
-        error: 'Admin access required',
-        materialId: id,
-        details: 'You must be an admin to view deletion impact'
-      }, {
-        status: 403,
-        headers: {
-          'Cache-Control': 'no-store, no-cache, must-revalidate',
-        }
-      });
+    if (denied) {
+      console.warn(`[DELETE API] GET Access denied for material ${id}: ${denied.error}`);
+      return deniedResponse(id, denied, denied.status === 401
+        ? 'You must be logged in to view deletion impact'
+        : 'You must be an admin or a course moderator to view deletion impact');
     }
 
-    console.log(`[DELETE API] GET Admin verified for impact analysis`);
+    console.log(`[DELETE API] GET Moderator verified for impact analysis`);
 
     // Get material with impact stats
     console.log(`[DELETE API] GET Fetching impact data for material ${id}...`);
@@ -338,6 +292,7 @@ export async function GET(request, { params }) {
         file_size,
         created_at,
         uploaded_by,
+        course_id,
         courses!materials_course_id_fkey (course_name),
         topics!materials_topic_id_fkey (topic_name)
       `)
@@ -358,6 +313,11 @@ export async function GET(request, { params }) {
       });
     }
 
+    const courseDenied = checkAccess(access, { courseId: material.course_id });
+    if (courseDenied) {
+      return deniedResponse(id, courseDenied, 'You can only delete materials in courses you moderate');
+    }
+
     console.log(`[DELETE API] GET Impact data retrieved for: "${material.title}"`);
 
     // Calculate impact metrics
@@ -418,6 +378,26 @@ export async function GET(request, { params }) {
   }
 }
 
+/**
+ * Helper function to build a 401/403 response
+ * @param {string} materialId
+ * @param {{ error: string, status: number }} denied - From checkAccess
+ * @param {string} details - Shown to the user
+ * @returns {NextResponse}
+ */
+function deniedResponse(materialId, denied, details) {
+  return NextResponse.json({
+    error: denied.error,
+    materialId,
+    details
+  }, {
+    status: denied.status,
+    headers: {
+      'Cache-Control': 'no-store, no-cache, must-revalidate',
+    }
+  });
+}
+
 /**
  * Helper function to extract storage path from Supabase file URL
  * @param {string} fileUrl - Full file URL
@@ -0,0 +1,84 @@
+/**
+ * Material Moderation API
+ * Edit a material's title, description, category, week or topic.
+ * Admins can edit any material; course moderators those in their courses.
+ *
+ * Route: /api/admin/materials/[id]
+ */
+
+import { NextResponse } from 'next/server';
+import { getServiceRoleClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth/withAuth';
+import { validateMaterialEdit } from '@/lib/materials/edit';
+
+/**
+ * PATCH - Body: any of { title, description, materialCategory, weekNumber, topicId }
+ * topicId must be a topic in the material's course, or null.
+ *
+ * Response: { success, material }
+ */
+// Admins, or moderators of the material's course (checked once it is loaded)
+export const PATCH = withAuth({ courseScope: true }, async (request, { params, auth }) => {
+  try {
+    const { id } = await params;
+
+    const { valid, error: validationError, data: updates } = validateMaterialEdit(await request.json());
+
+    if (!valid) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return NextResponse.json({ error: 'No changes provided' }, { status: 400 });
+    }
+
+    const serviceRole = getServiceRoleClient();
+
+    const { data: material, error: materialError } = await serviceRole
+      .from('materials')
+      .select('id, course_id, deleted_at')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (materialError) throw materialError;
+
+    if (!material || material.deleted_at) {
+      return NextResponse.json({ error: 'Material not found' }, { status: 404 });
+    }
+
+    const courseDenied = auth.requireCourse(material.course_id);
+    if (courseDenied) return courseDenied;
+
+    if (updates.topic_id) {
+      const { data: topic, error: topicError } = await serviceRole
+        .from('topics')
+        .select('id, course_id, deleted_at')
+        .eq('id', updates.topic_id)
+        .maybeSingle();
+
+      if (topicError) throw topicError;
+
+      if (!topic || topic.deleted_at || topic.course_id !== material.course_id) {
+        return NextResponse.json({ error: 'Topic not found in this course' }, { status: 400 });
+      }
+    }
+
+    const { data: updated, error: updateError } = await serviceRole
+      .from('materials')
+      .update(updates)
+      .eq('id', id)
+      .select('id, title, description, material_category, week_number, topic_id, course_id')
+      .single();
+
+    if (updateError) throw updateError;
+
+    return NextResponse.json({ success: true, material: updated });
+
+  } catch (error) {
+    console.error('Material edit error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update material', details: error.message },
+      { status: 500 }
+    );
+  }
+});
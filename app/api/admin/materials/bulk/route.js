@@ -0,0 +1,66 @@
+/**
+ * Bulk Moderation API
+ * Runs one action on many materials: approve, reject, soft_delete, restore,
+ * categorize or move. Admins can act on any material; course moderators on
+ * materials in their courses, and not restore. Returns a result for each material.
+ *
+ * Route: /api/admin/materials/bulk
+ */
+
+import { NextResponse } from 'next/server';
+import { getServiceRoleClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth/withAuth';
+import { parseBulkRequest, runBulkAction, MODERATOR_BULK_ACTIONS } from '@/lib/materials/bulk';
+
+export const runtime = 'nodejs';
+export const maxDuration = 60;
+
+/**
+ * POST - Body: { action, materialIds, reason?, category?, courseId?, topicId? }
+ * - reject needs a reason; soft_delete needs one of at least 10 characters
+ * - categorize needs a category (see MATERIAL_CATEGORY_LABELS)
+ * - move needs a courseId and optionally a topicId in that course
+ *
+ * Response: { success, action, results: [{ id, title, success, error? }], summary: { succeeded, failed } }
+ */
+export const POST = withAuth({ courseScope: true }, async (request, { auth }) => {
+  const { user, profile } = auth;
+
+  try {
+    const { request: bulkRequest, error } = parseBulkRequest(await request.json());
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    if (!auth.isAdmin && !MODERATOR_BULK_ACTIONS.includes(bulkRequest.action)) {
+      return NextResponse.json({ error: 'Admin access required' }, { status: 403 });
+    }
+
+    const { results, summary } = await runBulkAction(getServiceRoleClient(), bulkRequest, user.id, {
+      courseIds: auth.isAdmin ? null : auth.courseIds,
+    });
+
+    console.log(
+      `[Bulk Moderation] ${profile.full_name || user.id}: ${bulkRequest.action} on ${results.length} materials`,
+      summary
+    );
+
+    return NextResponse.json({
+      success: true,
+      action: bulkRequest.action,
+      results,
+      summary
+    }, {
+      headers: {
+        'Cache-Control': 'no-store, no-cache, must-revalidate',
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk moderation error:', error);
+    return NextResponse.json(
+      { error: 'Failed to run bulk action', details: error.message },
+      { status: 500 }
+    );
+  }
+});
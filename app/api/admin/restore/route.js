@@ -5,33 +5,13 @@
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
-import { createClient } from '@/lib/supabase/server';
 import { getServiceRoleClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth/withAuth';
 
-export async function POST(request) {
-  try {
-    const cookieStore = await cookies();
-    const supabase = createClient(cookieStore);
-
-    // Check if user is logged in
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-
-    if (userError || !user) {
-      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
-    }
-
-    // Check if user has admin role
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('role, full_name')
-      .eq('id', user.id)
-      .single();
-
-    if (!profile || profile.role !== 'admin') {
-      return NextResponse.json({ error: 'Admin access required' }, { status: 403 });
-    }
+export const POST = withAuth({ roles: ['admin'] }, async (request, { auth }) => {
+  const { user } = auth;
 
+  try {
     // Get request body
     const body = await request.json();
     const { entityType, entityId } = body; // 'material', 'topic', or 'course'
@@ -126,4 +106,4 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+});
@@ -1,31 +1,11 @@
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
-import { createClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth/withAuth';
 import { getStorageStats, findMigrationCandidates } from '@/lib/storage/storage-manager.js';
 
-export async function GET(req) {
-  try {
-    const cookieStore = await cookies();
-    const supabase = createClient(cookieStore);
-
-    // Check if user is logged in
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-
-    if (userError || !user) {
-      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
-    }
-
-    // Check if user has admin role
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('id', user.id)
-      .single();
-
-    if (!profile || profile.role !== 'admin') {
-      return NextResponse.json({ error: 'Admin access required' }, { status: 403 });
-    }
+export const GET = withAuth({ roles: ['admin'] }, async (req, { auth }) => {
+  const { supabase } = auth;
 
+  try {
     // Get storage statistics
     const stats = await getStorageStats();
 
@@ -130,4 +110,4 @@ export async function GET(req) {
       { status: 500 }
     );
   }
-}
+});
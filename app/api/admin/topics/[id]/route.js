@@ -0,0 +1,122 @@
+/**
+ * Topic Moderation API
+ * Edit a topic (unit) or move it to the trash.
+ * Admins can act on any topic; course moderators on those in their courses.
+ *
+ * Route: /api/admin/topics/[id]
+ */
+
+import { NextResponse } from 'next/server';
+import { getServiceRoleClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth/withAuth';
+import { validateTopicEdit } from '@/lib/materials/edit';
+import { validateDeletionReason, softDeleteTopic } from '@/lib/materials/deletion';
+
+/**
+ * Load the target topic and check the caller moderates its course
+ * Returns either { error: NextResponse } or { serviceRole, topic }
+ */
+async function loadModeratedTopic(id, auth) {
+  const serviceRole = getServiceRoleClient();
+
+  const { data: topic, error: topicError } = await serviceRole
+    .from('topics')
+    .select('id, topic_name, course_id, deleted_at')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (topicError) throw topicError;
+
+  if (!topic || topic.deleted_at) {
+    return { error: NextResponse.json({ error: 'Topic not found' }, { status: 404 }) };
+  }
+
+  const courseDenied = auth.requireCourse(topic.course_id);
+  if (courseDenied) {
+    return { error: courseDenied };
+  }
+
+  return { serviceRole, topic };
+}
+
+/**
+ * PATCH - Body: any of { topicName, description, unitCode, weekNumber, year, semester }
+ * Response: { success, topic }
+ */
+export const PATCH = withAuth({ courseScope: true }, async (request, { params, auth }) => {
+  try {
+    const { id } = await params;
+    const context = await loadModeratedTopic(id, auth);
+    if (context.error) return context.error;
+
+    const { valid, error: validationError, data: updates } = validateTopicEdit(await request.json());
+
+    if (!valid) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return NextResponse.json({ error: 'No changes provided' }, { status: 400 });
+    }
+
+    const { data: topic, error: updateError } = await context.serviceRole
+      .from('topics')
+      .update(updates)
+      .eq('id', id)
+      .select('id, topic_name, description, unit_code, week_number, year, semester, course_id')
+      .single();
+
+    if (updateError) throw updateError;
+
+    return NextResponse.json({ success: true, topic });
+
+  } catch (error) {
+    console.error('Topic edit error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update topic', details: error.message },
+      { status: 500 }
+    );
+  }
+});
+
+/**
+ * DELETE - Move the topic to the trash
+ * Body: { reason } - at least 10 characters
+ * The topic's materials stay in the course; admins can restore or purge it
+ * from /admin/trash.
+ */
+export const DELETE = withAuth({ courseScope: true }, async (request, { params, auth }) => {
+  try {
+    const { id } = await params;
+    const context = await loadModeratedTopic(id, auth);
+    if (context.error) return context.error;
+
+    const { reason } = await request.json().catch(() => ({}));
+    const reasonError = validateDeletionReason(reason);
+    if (reasonError) {
+      return NextResponse.json({ error: reasonError }, { status: 400 });
+    }
+
+    const result = await softDeleteTopic(context.serviceRole, context.topic, {
+      reason,
+      userId: auth.user.id,
+    });
+
+    if (!result.success) {
+      return NextResponse.json({ error: result.error }, { status: 400 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: 'Topic moved to trash',
+      topic: { id: context.topic.id, title: context.topic.topic_name },
+    });
+
+  } catch (error) {
+    console.error('Topic deletion error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete topic', details: error.message },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { getServiceRoleClient } from '@/lib/supabase/server';
+import { withAuth } from '@/lib/auth/withAuth';
+import { runTrashPurge } from '@/lib/trash/purge';
+
+export const runtime = 'nodejs';
+export const maxDuration = 60;
+
+/**
+ * Trash auto-purge, run by an admin
+ * Same batch as the daily /api/cron/purge-trash job. Defaults to a dry run
+ * so the trash page can preview what the next purge will delete.
+ *
+ * POST /api/admin/trash/purge
+ * Body: { dryRun?: boolean } - pass false to purge now
+ */
+export const POST = withAuth({ roles: ['admin'] }, async (req, { auth }) => {
+  const { user } = auth;
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const dryRun = body.dryRun !== false;
+
+    // A preview only reads, so it can list more than one batch
+    const summary = await runTrashPurge(getServiceRoleClient(), {
+      dryRun,
+      limit: dryRun ? 100 : 25,
+      timeBudgetMs: 40000,
+    });
+
+    if (!dryRun) {
+      console.log(`🗑️ Admin ${user.id} purged expired trash:`, summary.purged);
+    }
+
+    return NextResponse.json({ success: true, ...summary });
+
+  } catch (error) {
+    console.error('Trash purge error:', error);
+    return NextResponse.json(
+      { error: 'Failed to purge trash', details: error.message },
+      { status: 500 }
+    );
+  }
+});
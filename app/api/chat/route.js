@@ -1,29 +1,29 @@
-import { createClient } from '@/lib/supabase/server'
-import { cookies } from 'next/headers'
+import { getServiceRoleClient } from '@/lib/supabase/server'
 import { NextResponse } from 'next/server'
-import { GoogleGenerativeAI } from '@google/generative-ai'
-import OpenAI from 'openai'
+import { withAuth, apiError } from '@/lib/auth/withAuth'
+import { getGrantedRole } from '@/lib/auth/permissions'
 import { Redis } from '@upstash/redis'
+import { getActiveSubscriptionTier } from '@/lib/subscriptions'
+import {
+  getDailyQuestionLimit,
+  getQuestionQuota,
+  consumeQuestion,
+} from '@/lib/utils/questionQuota'
+import {
+  getOrCreateThread,
+  getThreadHistory,
+  appendChatMessage,
+} from '@/lib/utils/chatThreads'
+import { isAIConfigured } from '@/lib/ai'
+import { retrieveChunks, streamTutorAnswer, toSources } from '@/lib/ai/tutor'
+import { encodeServerSentEvent } from '@/lib/utils/serverSentEvents'
+
+// Streaming answers can outlast the default function timeout
+export const maxDuration = 60
 
 // Lazy initialization to avoid build-time errors
-let genAI = null
-let openai = null
 let redis = null
 
-function getGenAI() {
-  if (!genAI && process.env.GEMINI_API_KEY) {
-    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
-  }
-  return genAI
-}
-
-function getOpenAI() {
-  if (!openai && process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-  }
-  return openai
-}
-
 function getRedis() {
   if (!redis && process.env.UPSTASH_REDIS_URL && process.env.UPSTASH_REDIS_TOKEN) {
     redis = new Redis({
@@ -34,62 +34,140 @@ function getRedis() {
   return redis
 }
 
-export async function POST(request) {
+// Resolve the signed-in user's daily limit from their granted role and subscription tier
+async function getQuotaContext(auth) {
+  const serviceRole = getServiceRoleClient()
+
+  const tier = await getActiveSubscriptionTier(serviceRole, auth.user.id)
+  const limit = getDailyQuestionLimit({ role: getGrantedRole(auth), tier })
+
+  return { serviceRole, limit, tier }
+}
+
+function quotaExceededResponse(quota) {
+  const retryAfter = Math.max(Math.ceil((new Date(quota.resetAt) - Date.now()) / 1000), 0)
+
+  const response = apiError(
+    429,
+    `You've used all ${quota.limit} questions for today. Your quota resets at ${quota.resetAt}.`,
+    null,
+    { quota }
+  )
+  response.headers.set('Retry-After', String(retryAfter))
+  return response
+}
+
+/**
+ * GET - Current user's question quota for today (for the chat page counter)
+ */
+export const GET = withAuth({}, async (request, { auth }) => {
   try {
-    const { question, courseId } = await request.json()
-    const cookieStore = await cookies()
-    const supabase = createClient(cookieStore)
-    
-    // Check cache first
+    const { user } = auth
+
+    const { serviceRole, limit, tier } = await getQuotaContext(auth)
+    const { quota } = await getQuestionQuota(serviceRole, { userId: user.id, limit })
+
+    return NextResponse.json({ quota, tier })
+  } catch (error) {
+    console.error('Chat quota error:', error)
+    return apiError(500, 'Failed to load question quota', error.message)
+  }
+})
+
+const NO_MATERIALS_ANSWER = "I don't have information about this in the course materials. This topic might not be covered yet, or try rephrasing your question."
+
+/**
+ * POST - Ask the AI tutor a question, streamed as server-sent events
+ *
+ * Body: { question, courseId?, threadId? } - omit threadId to start a new thread;
+ * courseId only applies to new threads
+ *
+ * Events:
+ *   meta  { threadId, sources, cached, quota }
+ *   token { text }                              (repeated as the model produces the answer)
+ *   done  { messageId }
+ *   error { error }
+ *
+ * Errors before the answer starts (auth, validation, quota) are plain JSON responses.
+ * Signed-in users only - every answer costs AI provider credits.
+ */
+export const POST = withAuth({}, async (request, { auth }) => {
+  try {
+    const { question, courseId: requestedCourseId, threadId } = await request.json()
+    const { supabase, user } = auth
+
+    if (!question || typeof question !== 'string' || !question.trim()) {
+      return apiError(400, 'Question is required')
+    }
+
+    // Enforce the daily quota before doing any work
+    const { serviceRole, limit } = await getQuotaContext(auth)
+    const { allowed, quota: currentQuota } = await getQuestionQuota(serviceRole, { userId: user.id, limit })
+
+    if (!allowed) {
+      return quotaExceededResponse(currentQuota)
+    }
+
+    // Continue the conversation, or start one titled after this question
+    const thread = await getOrCreateThread(supabase, { threadId, userId: user.id, courseId: requestedCourseId, question })
+    if (!thread) {
+      return apiError(404, 'Conversation not found')
+    }
+
+    // A follow-up stays in its thread's course, whatever courseId the body sends
+    const courseId = thread.course_id
+
+    const history = threadId ? await getThreadHistory(supabase, thread.id) : []
+
+    // Check cache first (cached answers don't count against the quota).
+    // Only opening questions are cached - follow-ups depend on the conversation.
     const redisClient = getRedis()
     const cacheKey = `answer:${courseId}:${hashString(question.toLowerCase())}`
-    const cached = redisClient ? await redisClient.get(cacheKey) : null
+    const cached = redisClient && history.length === 0 ? await redisClient.get(cacheKey) : null
     
     if (cached) {
       console.log('Cache hit!')
-      return NextResponse.json({
-        answer: cached.answer,
+      await appendChatMessage(supabase, thread.id, { role: 'user', content: question })
+      const message = await appendChatMessage(supabase, thread.id, {
+        role: 'assistant',
+        content: cached.answer,
         sources: cached.sources,
         cached: true
       })
+
+      return streamResponse(async (send) => {
+        send('meta', { threadId: thread.id, sources: cached.sources, cached: true, quota: currentQuota })
+        send('token', { text: cached.answer })
+        send('done', { messageId: message.id })
+      })
     }
-    
-    // Generate embedding for question
-    const openaiClient = getOpenAI()
-    if (!openaiClient) {
-      return NextResponse.json(
-        { error: 'OpenAI API key not configured' },
-        { status: 500 }
-      )
+
+    if (!isAIConfigured('embedding', 'chat')) {
+      return apiError(500, 'AI provider not configured')
     }
-    const embeddingResponse = await openaiClient.embeddings.create({
-      model: "text-embedding-3-small",
-      input: question,
-    })
+
+    // Count this question - atomic, so parallel requests can't exceed the limit
+    const { allowed: consumed, quota } = await consumeQuestion(serviceRole, { userId: user.id, limit })
+
+    if (!consumed) {
+      return quotaExceededResponse(quota)
+    }
+
+    await appendChatMessage(supabase, thread.id, { role: 'user', content: question })
     
-    const questionEmbedding = embeddingResponse.data[0].embedding
+    // Find relevant chunks (follow-ups are matched together with the previous question)
+    const chunks = await retrieveChunks(supabase, { question, history, courseId })
     
-    // Find relevant chunks
-    const { data: chunks } = await supabase.rpc('match_chunks', {
-      query_embedding: questionEmbedding,
-      match_threshold: 0.7,
-      match_count: 5,
-      filter_course_id: courseId || null
-    })
-    
-    if (!chunks || chunks.length === 0) {
-      return NextResponse.json({
-        answer: "I don't have information about this in the course materials. This topic might not be covered yet, or try rephrasing your question.",
-        sources: [],
-        cached: false
+    if (chunks.length === 0) {
+      const message = await appendChatMessage(supabase, thread.id, { role: 'assistant', content: NO_MATERIALS_ANSWER })
+
+      return streamResponse(async (send) => {
+        send('meta', { threadId: thread.id, sources: [], cached: false, quota })
+        send('token', { text: NO_MATERIALS_ANSWER })
+        send('done', { messageId: message.id })
       })
     }
     
-    // Build context from chunks
-    const context = chunks
-      .map((chunk, i) => `[${i + 1}] ${chunk.chunk_text}`)
-      .join('\n\n---\n\n')
-    
     // Get course info
     let courseName = 'your course'
     if (courseId) {
@@ -104,76 +182,85 @@ export async function POST(request) {
       }
     }
     
-    // Generate answer with Gemini
-    const genAIClient = getGenAI()
-    if (!genAIClient) {
-      return NextResponse.json(
-        { error: 'Gemini API key not configured' },
-        { status: 500 }
-      )
-    }
-    const model = genAIClient.getGenerativeModel({ model: "gemini-2.0-flash-exp" })
-    
-    const prompt = `You are a helpful tutor for JKUAT students studying ${courseName}.
-
-CRITICAL RULES:
-1. Answer ONLY using the course materials provided below
-2. If the materials don't contain the answer, say: "I don't have information about this in the course materials"
-3. NEVER make up information
-4. Cite which source you're using: [1], [2], etc.
-5. Keep explanations clear and student-friendly
-6. If asked about exams, remind students to check with their lecturer
+    // Earlier turns go in as chat history; the new turn carries this question's materials
+    const answerStream = streamTutorAnswer({ courseName, chunks, question, history })
+    const sources = toSources(chunks)
 
-Course materials:
-${context}
+    return streamResponse(async (send) => {
+      send('meta', { threadId: thread.id, sources, cached: false, quota })
 
-Student question: ${question}
-
-Provide a clear, helpful answer based ONLY on the materials above. Cite your sources.`
+      let answer = ''
+      for await (const text of answerStream) {
+        answer += text
+        send('token', { text })
+      }
 
-    const result = await model.generateContent(prompt)
-    const answer = result.response.text()
-    
-    // Prepare sources for response
-    const sources = chunks.map((chunk, i) => ({
-      index: i + 1,
-      preview: chunk.chunk_text.slice(0, 150) + '...',
-      page: chunk.page_number,
-      similarity: chunk.similarity
-    }))
-    
-    // Cache the result
-    if (redisClient) {
-      await redisClient.set(cacheKey,
-        JSON.stringify({ answer, sources }),
-        { ex: 30 * 24 * 60 * 60 } // 30 days TTL
-      )
-    }
-    
-    // Track analytics
-    await supabase.from('analytics_events').insert({
-      event_type: 'question_asked',
-      event_data: {
-        question: question,
-        course_id: courseId,
-        sources_used: chunks.length,
-        cached: false
+      const message = await appendChatMessage(supabase, thread.id, { role: 'assistant', content: answer, sources })
+      
+      // Cache the result
+      if (redisClient && history.length === 0) {
+        await redisClient.set(cacheKey,
+          JSON.stringify({ answer, sources }),
+          { ex: 30 * 24 * 60 * 60 } // 30 days TTL
+        )
       }
-    })
-    
-    return NextResponse.json({
-      answer,
-      sources,
-      cached: false
+      
+      // Track analytics
+      await supabase.from('analytics_events').insert({
+        event_type: 'question_asked',
+        event_data: {
+          question: question,
+          course_id: courseId,
+          thread_id: thread.id,
+          follow_up: history.length > 0,
+          sources_used: chunks.length,
+          cached: false
+        }
+      })
+
+      send('done', { messageId: message.id })
     })
     
   } catch (error) {
     console.error('Chat error:', error)
-    return NextResponse.json(
-      { error: 'Failed to generate answer' },
-      { status: 500 }
-    )
+    return apiError(500, 'Failed to generate answer', error.message)
   }
+})
+
+// Run a handler that emits events into a text/event-stream response
+function streamResponse(run) {
+  const encoder = new TextEncoder()
+  let closed = false
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        if (!closed) controller.enqueue(encoder.encode(encodeServerSentEvent(event, data)))
+      }
+
+      try {
+        await run(send)
+      } catch (error) {
+        console.error('Chat stream error:', error)
+        send('error', { error: 'Failed to generate answer' })
+      } finally {
+        if (!closed) controller.close()
+        closed = true
+      }
+    },
+    cancel() {
+      // Client navigated away - stop writing, let the handler finish saving
+      closed = true
+    }
+  })
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    }
+  })
 }
 
 function hashString(str) {
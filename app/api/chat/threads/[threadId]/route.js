@@ -0,0 +1,70 @@
+/**
+ * AI Tutor Thread API
+ * Reopen or delete one conversation
+ *
+ * Route: /api/chat/threads/[threadId]
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth, apiError } from '@/lib/auth/withAuth';
+
+/**
+ * GET - Thread with all its messages, oldest first
+ */
+export const GET = withAuth({}, async (request, { params, auth }) => {
+  try {
+    const { threadId } = await params;
+    const { supabase, user } = auth;
+
+    const { data: thread, error } = await supabase
+      .from('chat_threads')
+      .select('id, course_id, title, created_at, updated_at, chat_messages (id, role, content, sources, cached, created_at)')
+      .eq('id', threadId)
+      .eq('user_id', user.id)
+      .order('created_at', { referencedTable: 'chat_messages', ascending: true })
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!thread) {
+      return apiError(404, 'Conversation not found');
+    }
+
+    const { chat_messages: messages, ...rest } = thread;
+
+    return NextResponse.json({ thread: rest, messages: messages || [] });
+
+  } catch (error) {
+    console.error('Get chat thread error:', error);
+    return apiError(500, 'Failed to get chat thread', error.message);
+  }
+});
+
+/**
+ * DELETE - Remove a thread and its messages
+ */
+export const DELETE = withAuth({}, async (request, { params, auth }) => {
+  try {
+    const { threadId } = await params;
+    const { supabase, user } = auth;
+
+    const { data: deleted, error } = await supabase
+      .from('chat_threads')
+      .delete()
+      .eq('id', threadId)
+      .eq('user_id', user.id)
+      .select('id');
+
+    if (error) throw error;
+
+    if (!deleted || deleted.length === 0) {
+      return apiError(404, 'Conversation not found');
+    }
+
+    return NextResponse.json({ success: true });
+
+  } catch (error) {
+    console.error('Delete chat thread error:', error);
+    return apiError(500, 'Failed to delete chat thread', error.message);
+  }
+});
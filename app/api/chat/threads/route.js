@@ -0,0 +1,45 @@
+/**
+ * AI Tutor Threads API
+ * Past conversations of the signed-in user, newest first
+ *
+ * Route: /api/chat/threads
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth, apiError } from '@/lib/auth/withAuth';
+
+const THREADS_PAGE_SIZE = 50;
+
+/**
+ * GET - List the user's threads
+ * Query: ?courseId= (optional, limit to one course)
+ */
+export const GET = withAuth({}, async (request, { auth }) => {
+  try {
+    const { supabase, user } = auth;
+
+    const { searchParams } = new URL(request.url);
+    const courseId = searchParams.get('courseId');
+
+    let query = supabase
+      .from('chat_threads')
+      .select('id, course_id, title, created_at, updated_at')
+      .eq('user_id', user.id)
+      .order('updated_at', { ascending: false })
+      .limit(THREADS_PAGE_SIZE);
+
+    if (courseId) {
+      query = query.eq('course_id', courseId);
+    }
+
+    const { data: threads, error } = await query;
+
+    if (error) throw error;
+
+    return NextResponse.json({ threads: threads || [] });
+
+  } catch (error) {
+    console.error('Get chat threads error:', error);
+    return apiError(500, 'Failed to get chat threads', error.message);
+  }
+});
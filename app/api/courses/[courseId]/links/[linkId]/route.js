@@ -0,0 +1,105 @@
+/**
+ * Single Resource Link API
+ * Edit or delete a link (the person who added it, the course's moderators and admins)
+ *
+ * Route: /api/courses/[courseId]/links/[linkId]
+ */
+
+import { NextResponse } from 'next/server';
+import { getServiceRoleClient } from '@/lib/supabase/server';
+import { withAuth, apiError } from '@/lib/auth/withAuth';
+import { validateResourceLink, canModerateLinks } from '@/lib/utils/resourceLinks';
+
+/**
+ * Load the target link and check the caller's edit rights
+ * Returns either { error: NextResponse } or { serviceRole, link }
+ */
+async function loadEditableLink(auth, courseId, linkId) {
+  // Service role: RLS only lets owners update/delete, course moderators can too
+  const serviceRole = getServiceRoleClient();
+
+  const { data: link, error: linkError } = await serviceRole
+    .from('resource_links')
+    .select('id, course_id, user_id')
+    .eq('id', linkId)
+    .single();
+
+  if (linkError || !link || link.course_id !== courseId) {
+    return { error: apiError(404, 'Link not found') };
+  }
+
+  if (link.user_id !== auth.user.id && !canModerateLinks(auth, courseId)) {
+    return { error: apiError(403, 'You can only edit links you added') };
+  }
+
+  return { serviceRole, link };
+}
+
+/**
+ * PATCH - Update a link
+ * Body: any of { title, url, topicId, description, linkType, duration, author }
+ */
+export const PATCH = withAuth({}, async (request, { params, auth }) => {
+  try {
+    const { courseId, linkId } = await params;
+    const context = await loadEditableLink(auth, courseId, linkId);
+    if (context.error) return context.error;
+
+    const body = await request.json();
+    const { valid, error: validationError, data: updates } = validateResourceLink(body, { partial: true });
+
+    if (!valid) {
+      return apiError(400, validationError);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return apiError(400, 'No changes provided');
+    }
+
+    const { data: link, error: updateError } = await context.serviceRole
+      .from('resource_links')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', linkId)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    return NextResponse.json({
+      success: true,
+      message: 'Link updated',
+      link,
+    });
+
+  } catch (error) {
+    console.error('Update resource link error:', error);
+    return apiError(500, 'Failed to update resource link', error.message);
+  }
+});
+
+/**
+ * DELETE - Remove a link
+ */
+export const DELETE = withAuth({}, async (request, { params, auth }) => {
+  try {
+    const { courseId, linkId } = await params;
+    const context = await loadEditableLink(auth, courseId, linkId);
+    if (context.error) return context.error;
+
+    const { error: deleteError } = await context.serviceRole
+      .from('resource_links')
+      .delete()
+      .eq('id', linkId);
+
+    if (deleteError) throw deleteError;
+
+    return NextResponse.json({
+      success: true,
+      message: 'Link deleted',
+    });
+
+  } catch (error) {
+    console.error('Delete resource link error:', error);
+    return apiError(500, 'Failed to delete resource link', error.message);
+  }
+});
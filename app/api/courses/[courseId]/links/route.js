@@ -0,0 +1,102 @@
+/**
+ * Resource Links API
+ * YouTube lectures, Drive folders and other external links for a course/unit
+ *
+ * Route: /api/courses/[courseId]/links
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth, apiError } from '@/lib/auth/withAuth';
+import { validateResourceLink } from '@/lib/utils/resourceLinks';
+
+/**
+ * GET - List links for a course
+ * Query: ?topicId= (optional, limit to one unit)
+ */
+export const GET = withAuth({ optional: true }, async (request, { params, auth }) => {
+  try {
+    const { courseId } = await params;
+    const { supabase } = auth;
+
+    const { searchParams } = new URL(request.url);
+    const topicId = searchParams.get('topicId');
+
+    let query = supabase
+      .from('resource_links')
+      .select('id, course_id, topic_id, title, url, link_type, description, thumbnail_url, duration, author, click_count, user_id, uploaded_by, created_at, updated_at')
+      .eq('course_id', courseId)
+      .order('created_at', { ascending: false });
+
+    if (topicId) {
+      query = query.eq('topic_id', topicId);
+    }
+
+    const { data: links, error } = await query;
+
+    if (error) throw error;
+
+    return NextResponse.json({
+      success: true,
+      links: links || [],
+      count: links?.length || 0,
+    });
+
+  } catch (error) {
+    console.error('Get resource links error:', error);
+    return apiError(500, 'Failed to get resource links', error.message);
+  }
+});
+
+/**
+ * POST - Add a link (logged-in users only)
+ * Body: { title, url, topicId, description, linkType, duration, author }
+ */
+export const POST = withAuth({}, async (request, { params, auth }) => {
+  try {
+    const { courseId } = await params;
+    const { supabase, user, profile } = auth;
+
+    const body = await request.json();
+    const { valid, error: validationError, data } = validateResourceLink(body);
+
+    if (!valid) {
+      return apiError(400, validationError);
+    }
+
+    // Make sure the unit belongs to this course
+    if (data.topic_id) {
+      const { data: topic } = await supabase
+        .from('topics')
+        .select('id, course_id')
+        .eq('id', data.topic_id)
+        .single();
+
+      if (!topic || topic.course_id !== courseId) {
+        return apiError(400, 'Unit not found in this course');
+      }
+    }
+
+    const { data: link, error: createError } = await supabase
+      .from('resource_links')
+      .insert({
+        ...data,
+        course_id: courseId,
+        user_id: user.id,
+        uploaded_by: profile?.full_name || 'Anonymous',
+      })
+      .select()
+      .single();
+
+    if (createError) throw createError;
+
+    return NextResponse.json({
+      success: true,
+      message: 'Link added',
+      link,
+    }, { status: 201 });
+
+  } catch (error) {
+    console.error('Create resource link error:', error);
+    return apiError(500, 'Failed to add resource link', error.message);
+  }
+});
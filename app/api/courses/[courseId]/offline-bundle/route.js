@@ -0,0 +1,64 @@
+/**
+ * Offline Bundle API
+ * Lists every approved material in a course (or one unit) so the client can
+ * cache them all at once. Bulk offline download is a premium feature.
+ *
+ * Route: /api/courses/[courseId]/offline-bundle
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth, apiError } from '@/lib/auth/withAuth';
+import { getActiveSubscriptionTier, hasTierFeature } from '@/lib/subscriptions';
+import { getGrantedRole } from '@/lib/auth/permissions';
+
+/**
+ * GET - Materials to save offline
+ * Query: ?topicId= (optional, limit to one unit)
+ */
+export const GET = withAuth({}, async (request, { params, auth }) => {
+  try {
+    const { courseId } = await params;
+    const { supabase, user } = auth;
+
+    const tier = await getActiveSubscriptionTier(supabase, user.id);
+
+    // Class reps only count once an admin has assigned them a course
+    if (!hasTierFeature({ tier, role: getGrantedRole(auth) }, 'bulkOfflineDownload')) {
+      return apiError(
+        403,
+        'Saving a whole unit offline is a Premium feature. Upgrade to download everything at once.',
+        null,
+        { upgradeUrl: '/subscribe' }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const topicId = searchParams.get('topicId');
+
+    let query = supabase
+      .from('materials')
+      .select('id, title, type, file_url, file_size, topic_id')
+      .eq('course_id', courseId)
+      .eq('status', 'approved')
+      .order('week_number', { ascending: true, nullsFirst: false });
+
+    if (topicId) {
+      query = query.eq('topic_id', topicId);
+    }
+
+    const { data: materials, error } = await query;
+
+    if (error) throw error;
+
+    return NextResponse.json({
+      success: true,
+      materials: materials || [],
+      count: materials?.length || 0,
+      totalSize: (materials || []).reduce((sum, m) => sum + (m.file_size || 0), 0),
+    });
+
+  } catch (error) {
+    console.error('Get offline bundle error:', error);
+    return apiError(500, 'Failed to get offline bundle', error.message);
+  }
+});
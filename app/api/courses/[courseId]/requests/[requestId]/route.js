@@ -0,0 +1,176 @@
+/**
+ * Single Material Request API
+ * Edit, close, fulfil or delete a material request
+ *
+ * Route: /api/courses/[courseId]/requests/[requestId]
+ */
+
+import { NextResponse } from 'next/server';
+import { getServiceRoleClient } from '@/lib/supabase/server';
+import { withAuth, apiError } from '@/lib/auth/withAuth';
+import {
+  validateMaterialRequest,
+  canManageRequests,
+  fulfillMaterialRequest,
+} from '@/lib/utils/materialRequests';
+
+/**
+ * Load the target request for the signed-in user
+ * Returns either { error: NextResponse } or the resolved context
+ */
+async function loadRequestContext(auth, courseId, requestId) {
+  const serviceRole = getServiceRoleClient();
+
+  const { data: materialRequest, error: requestError } = await serviceRole
+    .from('material_requests')
+    .select('id, course_id, requested_by, status, title')
+    .eq('id', requestId)
+    .single();
+
+  if (requestError || !materialRequest || materialRequest.course_id !== courseId) {
+    return { error: apiError(404, 'Material request not found') };
+  }
+
+  return {
+    user: auth.user,
+    serviceRole,
+    materialRequest,
+    isOwner: materialRequest.requested_by === auth.user.id,
+    isManager: canManageRequests(auth, courseId),
+  };
+}
+
+/**
+ * PATCH - Update a request
+ * Body: { title, description, topicId, materialType, urgency, weekNumber, yearLevel, status, fulfilledMaterialId }
+ * - Requesters can edit and close their own requests
+ * - Admins and the course's moderators can close, reopen or fulfil any request in it
+ */
+export const PATCH = withAuth({}, async (request, { params, auth }) => {
+  try {
+    const { courseId, requestId } = await params;
+    const context = await loadRequestContext(auth, courseId, requestId);
+    if (context.error) return context.error;
+
+    const { user, serviceRole, materialRequest, isOwner, isManager } = context;
+
+    const body = await request.json();
+    const { status, fulfilledMaterialId, ...fields } = body;
+
+    // Fulfilment: link the request to an uploaded material
+    if (fulfilledMaterialId) {
+      if (!isManager) {
+        return apiError(403, 'Only course moderators can mark requests as fulfilled');
+      }
+
+      const { data: material } = await serviceRole
+        .from('materials')
+        .select('id, course_id')
+        .eq('id', fulfilledMaterialId)
+        .single();
+
+      if (!material || material.course_id !== courseId) {
+        return apiError(400, 'Material not found in this course');
+      }
+
+      const result = await fulfillMaterialRequest(serviceRole, {
+        requestId,
+        courseId,
+        materialId: fulfilledMaterialId,
+        userId: user.id,
+      });
+
+      if (!result.success) {
+        return apiError(400, result.error);
+      }
+
+      return NextResponse.json({
+        success: true,
+        message: 'Request marked as fulfilled',
+        request: result.request,
+      });
+    }
+
+    if (!isOwner && !isManager) {
+      return apiError(403, 'You can only edit your own requests');
+    }
+
+    const { valid, error: validationError, data: updates } = validateMaterialRequest(fields, { partial: true });
+
+    if (!valid) {
+      return apiError(400, validationError);
+    }
+
+    if (status !== undefined) {
+      if (status === 'closed') {
+        updates.status = 'closed';
+      } else if (status === 'open') {
+        if (!isManager) {
+          return apiError(403, 'Only course moderators can reopen requests');
+        }
+        updates.status = 'open';
+        updates.fulfilled_by = null;
+        updates.fulfilled_material_id = null;
+        updates.fulfilled_at = null;
+      } else {
+        return apiError(400, 'Invalid status. Use fulfilledMaterialId to fulfil a request');
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return apiError(400, 'No changes provided');
+    }
+
+    const { data: updated, error: updateError } = await serviceRole
+      .from('material_requests')
+      .update(updates)
+      .eq('id', requestId)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    return NextResponse.json({
+      success: true,
+      message: 'Request updated',
+      request: updated,
+    });
+
+  } catch (error) {
+    console.error('Update material request error:', error);
+    return apiError(500, 'Failed to update material request', error.message);
+  }
+});
+
+/**
+ * DELETE - Remove a request (requester or admin only)
+ */
+export const DELETE = withAuth({}, async (request, { params, auth }) => {
+  try {
+    const { courseId, requestId } = await params;
+    const context = await loadRequestContext(auth, courseId, requestId);
+    if (context.error) return context.error;
+
+    const { serviceRole, isOwner } = context;
+
+    if (!isOwner && !auth.isAdmin) {
+      return apiError(403, 'You can only delete your own requests');
+    }
+
+    const { error: deleteError } = await serviceRole
+      .from('material_requests')
+      .delete()
+      .eq('id', requestId);
+
+    if (deleteError) throw deleteError;
+
+    return NextResponse.json({
+      success: true,
+      message: 'Request deleted',
+    });
+
+  } catch (error) {
+    console.error('Delete material request error:', error);
+    return apiError(500, 'Failed to delete material request', error.message);
+  }
+});
@@ -0,0 +1,88 @@
+/**
+ * Material Request Upvote API
+ * One upvote per user per request; upvote_count is maintained by a DB trigger
+ *
+ * Route: /api/courses/[courseId]/requests/[requestId]/upvote
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth, apiError } from '@/lib/auth/withAuth';
+
+async function getUpvoteCount(supabase, requestId) {
+  const { data } = await supabase
+    .from('material_requests')
+    .select('upvote_count')
+    .eq('id', requestId)
+    .single();
+
+  return data?.upvote_count || 0;
+}
+
+/**
+ * POST - Upvote a request
+ */
+export const POST = withAuth({}, async (request, { params, auth }) => {
+  try {
+    const { courseId, requestId } = await params;
+    const { supabase, user } = auth;
+
+    const { data: materialRequest } = await supabase
+      .from('material_requests')
+      .select('id, course_id, status')
+      .eq('id', requestId)
+      .single();
+
+    if (!materialRequest || materialRequest.course_id !== courseId) {
+      return apiError(404, 'Material request not found');
+    }
+
+    if (materialRequest.status !== 'open') {
+      return apiError(400, `Cannot upvote a ${materialRequest.status} request`);
+    }
+
+    const { error: insertError } = await supabase
+      .from('material_request_upvotes')
+      .insert({ request_id: requestId, user_id: user.id });
+
+    // 23505 = unique_violation: already upvoted, treat as success
+    if (insertError && insertError.code !== '23505') throw insertError;
+
+    return NextResponse.json({
+      success: true,
+      upvoted: true,
+      upvote_count: await getUpvoteCount(supabase, requestId),
+    });
+
+  } catch (error) {
+    console.error('Upvote material request error:', error);
+    return apiError(500, 'Failed to upvote request', error.message);
+  }
+});
+
+/**
+ * DELETE - Remove the current user's upvote
+ */
+export const DELETE = withAuth({}, async (request, { params, auth }) => {
+  try {
+    const { requestId } = await params;
+    const { supabase, user } = auth;
+
+    const { error: deleteError } = await supabase
+      .from('material_request_upvotes')
+      .delete()
+      .eq('request_id', requestId)
+      .eq('user_id', user.id);
+
+    if (deleteError) throw deleteError;
+
+    return NextResponse.json({
+      success: true,
+      upvoted: false,
+      upvote_count: await getUpvoteCount(supabase, requestId),
+    });
+
+  } catch (error) {
+    console.error('Remove upvote error:', error);
+    return apiError(500, 'Failed to remove upvote', error.message);
+  }
+});
@@ -0,0 +1,139 @@
+/**
+ * Material Requests API
+ * Lets students ask for missing notes/past papers and see what classmates want most
+ *
+ * Route: /api/courses/[courseId]/requests
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth, apiError } from '@/lib/auth/withAuth';
+import { validateMaterialRequest, REQUEST_STATUSES } from '@/lib/utils/materialRequests';
+
+/**
+ * GET - List requests for a course, most upvoted first
+ * Query: ?status=open|fulfilled|closed|all (default: open), ?topicId=
+ */
+export const GET = withAuth({ optional: true }, async (request, { params, auth }) => {
+  try {
+    const { courseId } = await params;
+    const { supabase, user } = auth;
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status') || 'open';
+    const topicId = searchParams.get('topicId');
+
+    if (status !== 'all' && !REQUEST_STATUSES.includes(status)) {
+      return apiError(400, 'Invalid status filter');
+    }
+
+    let query = supabase
+      .from('material_requests')
+      .select(`
+        id,
+        course_id,
+        topic_id,
+        title,
+        description,
+        material_type,
+        urgency,
+        week_number,
+        year_level,
+        requested_by,
+        requester_name,
+        upvote_count,
+        status,
+        fulfilled_material_id,
+        fulfilled_at,
+        created_at,
+        topics!topic_id (topic_name, unit_code),
+        materials!fulfilled_material_id (id, title)
+      `)
+      .eq('course_id', courseId)
+      .order('upvote_count', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    if (topicId) {
+      query = query.eq('topic_id', topicId);
+    }
+
+    const { data: requests, error } = await query;
+
+    if (error) throw error;
+
+    // Mark which requests the current user has already upvoted (anonymous users see none)
+    let upvotedIds = new Set();
+
+    if (user && requests?.length) {
+      const { data: upvotes } = await supabase
+        .from('material_request_upvotes')
+        .select('request_id')
+        .eq('user_id', user.id)
+        .in('request_id', requests.map((r) => r.id));
+
+      upvotedIds = new Set((upvotes || []).map((u) => u.request_id));
+    }
+
+    const formattedRequests = (requests || []).map((r) => ({
+      ...r,
+      has_upvoted: upvotedIds.has(r.id),
+      is_owner: !!user && r.requested_by === user.id,
+    }));
+
+    return NextResponse.json({
+      success: true,
+      requests: formattedRequests,
+      count: formattedRequests.length,
+    });
+
+  } catch (error) {
+    console.error('Get material requests error:', error);
+    return apiError(500, 'Failed to get material requests', error.message);
+  }
+});
+
+/**
+ * POST - Create a new material request (logged-in users only)
+ * Body: { title, description, topicId, materialType, urgency, weekNumber, yearLevel }
+ */
+export const POST = withAuth({}, async (request, { params, auth }) => {
+  try {
+    const { courseId } = await params;
+    const { supabase, user, profile } = auth;
+
+    const body = await request.json();
+    const { valid, error: validationError, data } = validateMaterialRequest(body);
+
+    if (!valid) {
+      return apiError(400, validationError);
+    }
+
+    // Requester name is shown on the board, so take it from the profile
+    const { data: newRequest, error: createError } = await supabase
+      .from('material_requests')
+      .insert({
+        ...data,
+        course_id: courseId,
+        requested_by: user.id,
+        requester_name: profile?.full_name || 'Anonymous',
+        status: 'open',
+      })
+      .select()
+      .single();
+
+    if (createError) throw createError;
+
+    return NextResponse.json({
+      success: true,
+      message: 'Request posted. Classmates can now upvote it.',
+      request: { ...newRequest, has_upvoted: false, is_owner: true },
+    }, { status: 201 });
+
+  } catch (error) {
+    console.error('Create material request error:', error);
+    return apiError(500, 'Failed to create material request', error.message);
+  }
+});
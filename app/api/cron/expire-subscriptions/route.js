@@ -0,0 +1,63 @@
+import { NextResponse } from 'next/server'
+import { getServiceRoleClient } from '@/lib/supabase/server'
+import { expireSubscriptions } from '@/lib/subscriptions'
+
+/**
+ * Vercel Cron Job: Expire Subscriptions
+ *
+ * Runs daily. Moves lapsed premium subscriptions to 'expired' and abandons
+ * STK push payments that never got a callback. Reads already ignore expired
+ * rows, so this only keeps the table state honest for reporting and renewals.
+ *
+ * Scheduled via vercel.json cron configuration
+ */
+export async function GET(request) {
+  try {
+    // Security: Verify request is from Vercel Cron
+    const authHeader = request.headers.get('authorization')
+    const cronSecret = process.env.CRON_SECRET
+
+    // This job downgrades paid accounts - refuse to run unless the secret is set
+    if (!cronSecret) {
+      console.error('[Expire-Subscriptions] CRON_SECRET is not set, refusing to run')
+      return NextResponse.json(
+        { error: 'Cron secret not configured' },
+        { status: 500 }
+      )
+    }
+
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      console.error('[Expire-Subscriptions] Unauthorized cron request attempt')
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      )
+    }
+
+    const supabase = getServiceRoleClient()
+    if (!supabase) {
+      throw new Error('Missing Supabase service role credentials')
+    }
+
+    const { expiredSubscriptions, expiredPayments } = await expireSubscriptions(supabase)
+
+    console.log(`[Expire-Subscriptions] ✅ Expired ${expiredSubscriptions} subscriptions, ${expiredPayments} pending payments`)
+    return NextResponse.json({
+      success: true,
+      expiredSubscriptions,
+      expiredPayments,
+      timestamp: new Date().toISOString()
+    })
+
+  } catch (error) {
+    console.error('[Expire-Subscriptions] Unexpected error:', error)
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      },
+      { status: 500 }
+    )
+  }
+}
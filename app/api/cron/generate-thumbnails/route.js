@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server'
+import { getServiceRoleClient } from '@/lib/supabase/server'
+import { runThumbnailWorker } from '@/lib/thumbnails/worker'
+
+export const runtime = 'nodejs'
+export const maxDuration = 60
+
+/**
+ * Vercel Cron Job: Generate Thumbnails
+ *
+ * Runs every 15 minutes. Renders previews for materials that don't have one
+ * yet: retries failed renders and works through materials uploaded before
+ * thumbnails existed. New uploads normally get theirs right after upload.
+ *
+ * Scheduled via vercel.json cron configuration
+ */
+export async function GET(request) {
+  try {
+    // Security: Verify request is from Vercel Cron
+    const authHeader = request.headers.get('authorization')
+    const cronSecret = process.env.CRON_SECRET
+
+    // This job downloads and renders stored files - refuse to run unless the secret is set
+    if (!cronSecret) {
+      console.error('[Generate-Thumbnails] CRON_SECRET is not set, refusing to run')
+      return NextResponse.json(
+        { error: 'Cron secret not configured' },
+        { status: 500 }
+      )
+    }
+
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      console.error('[Generate-Thumbnails] Unauthorized cron request attempt')
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      )
+    }
+
+    const supabase = getServiceRoleClient()
+    if (!supabase) {
+      throw new Error('Missing Supabase service role credentials')
+    }
+
+    // Leave headroom under maxDuration for the render in flight
+    const summary = await runThumbnailWorker(supabase, { limit: 20, timeBudgetMs: 40000 })
+
+    console.log(`[Generate-Thumbnails] ✅ Processed ${summary.processed} materials`, summary)
+    return NextResponse.json({
+      success: true,
+      ...summary,
+      timestamp: new Date().toISOString()
+    })
+
+  } catch (error) {
+    console.error('[Generate-Thumbnails] Unexpected error:', error)
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server'
+import { getServiceRoleClient } from '@/lib/supabase/server'
+import { runEmbeddingWorker } from '@/lib/embeddings/worker'
+
+export const runtime = 'nodejs'
+export const maxDuration = 60
+
+/**
+ * Vercel Cron Job: Process Embedding Jobs
+ *
+ * Runs every 10 minutes. Drains the embedding_jobs queue: retries failed
+ * attempts once their backoff has passed and picks up jobs whose worker
+ * timed out. New uploads are normally indexed right after upload completes.
+ *
+ * Scheduled via vercel.json cron configuration
+ */
+export async function GET(request) {
+  try {
+    // Security: Verify request is from Vercel Cron
+    const authHeader = request.headers.get('authorization')
+    const cronSecret = process.env.CRON_SECRET
+
+    // This job spends embedding API credits - refuse to run unless the secret is set
+    if (!cronSecret) {
+      console.error('[Process-Embeddings] CRON_SECRET is not set, refusing to run')
+      return NextResponse.json(
+        { error: 'Cron secret not configured' },
+        { status: 500 }
+      )
+    }
+
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      console.error('[Process-Embeddings] Unauthorized cron request attempt')
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      )
+    }
+
+    const supabase = getServiceRoleClient()
+    if (!supabase) {
+      throw new Error('Missing Supabase service role credentials')
+    }
+
+    // Leave headroom under maxDuration for the job in flight
+    const summary = await runEmbeddingWorker(supabase, { maxJobs: 10, timeBudgetMs: 40000 })
+
+    console.log(`[Process-Embeddings] ✅ Processed ${summary.processed} jobs`, summary)
+    return NextResponse.json({
+      success: true,
+      ...summary,
+      timestamp: new Date().toISOString()
+    })
+
+  } catch (error) {
+    console.error('[Process-Embeddings] Unexpected error:', error)
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server'
+import { getServiceRoleClient } from '@/lib/supabase/server'
+import { runTrashPurge } from '@/lib/trash/purge'
+
+export const runtime = 'nodejs'
+export const maxDuration = 60
+
+/**
+ * Vercel Cron Job: Purge Trash
+ *
+ * Runs daily at 2 AM. Permanently deletes materials, topics and courses that
+ * have been in the trash for more than 30 days, along with their files in
+ * storage. Each run handles one batch; anything left over goes next run.
+ *
+ * Pass ?dryRun=1 to see what would be purged without deleting anything.
+ *
+ * Scheduled via vercel.json cron configuration
+ */
+export async function GET(request) {
+  try {
+    // Security: Verify request is from Vercel Cron
+    const authHeader = request.headers.get('authorization')
+    const cronSecret = process.env.CRON_SECRET
+
+    // This job deletes for good - refuse to run unless the secret is set
+    if (!cronSecret) {
+      console.error('[Purge-Trash] CRON_SECRET is not set, refusing to run')
+      return NextResponse.json(
+        { error: 'Cron secret not configured' },
+        { status: 500 }
+      )
+    }
+
+    if (authHeader !== `Bearer ${cronSecret}`) {
+      console.error('[Purge-Trash] Unauthorized cron request attempt')
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      )
+    }
+
+    const supabase = getServiceRoleClient()
+    if (!supabase) {
+      throw new Error('Missing Supabase service role credentials')
+    }
+
+    const { searchParams } = new URL(request.url)
+    const dryRun = searchParams.get('dryRun') === '1'
+
+    // Leave headroom under maxDuration for the deletion in flight
+    const summary = await runTrashPurge(supabase, { dryRun, limit: 25, timeBudgetMs: 40000 })
+
+    const { materials, topics, courses } = summary.purged
+    console.log(
+      `[Purge-Trash] ${dryRun ? '🔍 Would purge' : '✅ Purged'} ${materials} materials, ${topics} topics, ${courses} courses (${summary.remaining} remaining)`,
+      summary.errors.length > 0 ? summary.errors : ''
+    )
+    return NextResponse.json({
+      success: true,
+      ...summary,
+      timestamp: new Date().toISOString()
+    })
+
+  } catch (error) {
+    console.error('[Purge-Trash] Unexpected error:', error)
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      },
+      { status: 500 }
+    )
+  }
+}
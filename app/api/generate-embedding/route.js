@@ -1,131 +1,53 @@
-import { createClient } from '@/lib/supabase/server'
-import { cookies } from 'next/headers'
+import { getServiceRoleClient } from '@/lib/supabase/server'
 import { NextResponse } from 'next/server'
-import OpenAI from 'openai'
-
-// Lazy initialization to avoid build-time errors
-let openai = null
-
-function getOpenAI() {
-  if (!openai && process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    })
-  }
-  return openai
-}
-
-// Dynamic import for pdf-parse to avoid build issues
-async function parsePDF(buffer) {
-  const pdfParse = (await import('pdf-parse')).default
-  return pdfParse(buffer)
-}
-
-export async function POST(request) {
+import { scheduleMaterialIndexing } from '@/lib/embeddings/schedule'
+import { withAuth } from '@/lib/auth/withAuth'
+
+export const runtime = 'nodejs'
+export const maxDuration = 60
+
+/**
+ * Queue a material for (re-)indexing
+ * Indexing itself runs in the embedding worker (lib/embeddings/worker.js);
+ * this only enqueues, so it returns immediately. Admin only.
+ *
+ * POST /api/generate-embedding
+ * Body: { materialId }
+ */
+export const POST = withAuth({ roles: ['admin'] }, async (request) => {
   try {
     const { materialId } = await request.json()
-    const cookieStore = await cookies()
-    const supabase = createClient(cookieStore)
-    
-    // Get material details (only fields we need for better performance)
-    const { data: material } = await supabase
+    if (!materialId) {
+      return NextResponse.json({ error: 'materialId is required' }, { status: 400 })
+    }
+
+    const serviceRole = getServiceRoleClient()
+
+    const { data: material } = await serviceRole
       .from('materials')
-      .select('id, type, file_url')
+      .select('id')
       .eq('id', materialId)
-      .single()
-    
+      .maybeSingle()
+
     if (!material) {
       return NextResponse.json({ error: 'Material not found' }, { status: 404 })
     }
-    
-    // Only process PDFs for now
-    if (material.type !== 'pdf') {
-      return NextResponse.json({ 
-        success: true, 
-        message: 'Not a PDF, skipping embedding generation' 
-      })
-    }
-    
-    // Download PDF
-    const response = await fetch(material.file_url)
-    const buffer = await response.arrayBuffer()
 
-    // Extract text
-    const pdfData = await parsePDF(Buffer.from(buffer))
-    const fullText = pdfData.text
-    
-    // Chunk text (500-800 characters per chunk)
-    const chunks = chunkText(fullText, 700)
-    
-    // Generate embeddings for each chunk
-    const openaiClient = getOpenAI()
-    if (!openaiClient) {
-      return NextResponse.json(
-        { error: 'OpenAI API key not configured' },
-        { status: 500 }
-      )
+    const job = await scheduleMaterialIndexing(serviceRole, materialId)
+    if (!job) {
+      throw new Error('Could not enqueue embedding job')
     }
 
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i]
-
-      // Generate embedding
-      const embeddingResponse = await openaiClient.embeddings.create({
-        model: "text-embedding-3-small",
-        input: chunk.text,
-      })
-      
-      const embedding = embeddingResponse.data[0].embedding
-      
-      // Save to database
-      await supabase.from('material_chunks').insert({
-        material_id: materialId,
-        chunk_text: chunk.text,
-        chunk_index: i,
-        page_number: chunk.page,
-        embedding: embedding
-      })
-    }
-    
-    return NextResponse.json({ 
+    return NextResponse.json({
       success: true,
-      chunksGenerated: chunks.length
-    })
-    
+      job
+    }, { status: 202 })
+
   } catch (error) {
     console.error('Embedding generation error:', error)
     return NextResponse.json(
-      { error: 'Failed to generate embeddings' },
+      { error: `Failed to queue embeddings: ${error.message}` },
       { status: 500 }
     )
   }
-}
-
-function chunkText(text, chunkSize = 700) {
-  const chunks = []
-  const paragraphs = text.split('\n\n')
-  
-  let currentChunk = ''
-  let currentPage = 1 // Simplified - would need better page detection
-  
-  for (const para of paragraphs) {
-    if ((currentChunk + para).length > chunkSize && currentChunk.length > 0) {
-      chunks.push({
-        text: currentChunk.trim(),
-        page: currentPage
-      })
-      currentChunk = para
-    } else {
-      currentChunk += (currentChunk ? '\n\n' : '') + para
-    }
-  }
-  
-  if (currentChunk.trim()) {
-    chunks.push({
-      text: currentChunk.trim(),
-      page: currentPage
-    })
-  }
-  
-  return chunks
-}
\ No newline at end of file
+})
@@ -2,11 +2,13 @@
  * API endpoint to get fresh download URL for a material
  * For R2 files: generates new signed URL (24-hour expiry)
  * For Supabase files: returns the stored public URL
+ * ?version=N returns an earlier version's file (lib/materials/versions)
  */
 
 import { createClient } from '@/lib/supabase/server';
 import { cookies } from 'next/headers';
 import { getFileUrl } from '@/lib/storage/storage-manager';
+import { parseVersionNumber, getMaterialVersion } from '@/lib/materials/versions';
 
 export async function GET(request, { params }) {
   try {
@@ -17,7 +19,7 @@ export async function GET(request, { params }) {
     const supabase = createClient(cookieStore);
     const { data: material, error } = await supabase
       .from('materials')
-      .select('id, storage_location, storage_path, file_url')
+      .select('id, storage_location, storage_path, file_url, current_version')
       .eq('id', id)
       .single();
 
@@ -26,15 +28,26 @@ export async function GET(request, { params }) {
       return Response.json({ error: 'Material not found' }, { status: 404 });
     }
 
+    // An earlier version has its own file; the current one is on the material
+    const requestedVersion = parseVersionNumber(new URL(request.url).searchParams.get('version'));
+    let file = material;
+
+    if (requestedVersion && requestedVersion !== material.current_version) {
+      file = await getMaterialVersion(supabase, id, requestedVersion);
+      if (!file) {
+        return Response.json({ error: `Version ${requestedVersion} not found` }, { status: 404 });
+      }
+    }
+
     // Generate fresh URL based on storage location
     let downloadUrl;
 
-    if (material.storage_location === 'r2') {
+    if (file.storage_location === 'r2') {
       // Generate fresh signed URL for R2 (24-hour expiry)
-      downloadUrl = await getFileUrl('r2', material.storage_path);
+      downloadUrl = await getFileUrl('r2', file.storage_path);
     } else {
       // Use stored public URL for Supabase
-      downloadUrl = material.file_url;
+      downloadUrl = file.file_url;
     }
 
     // Increment download count (fire and forget - don't block response)
@@ -47,7 +60,8 @@ export async function GET(request, { params }) {
     return Response.json({
       success: true,
       url: downloadUrl,
-      storage_location: material.storage_location || 'supabase',
+      storage_location: file.storage_location || 'supabase',
+      version: requestedVersion || material.current_version,
     });
   } catch (error) {
     console.error('Download URL generation error:', error);
@@ -22,7 +22,7 @@ export async function GET(request, { params }) {
     const supabase = createClient(cookieStore);
     const { data: material, error } = await supabase
       .from('materials')
-      .select('id, title, storage_location, storage_path, file_url, type')
+      .select('id, title, storage_location, storage_path, file_url, type, current_version')
       .eq('id', id)
       .single();
 
@@ -63,6 +63,8 @@ export async function GET(request, { params }) {
       'Access-Control-Allow-Methods': 'GET, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type',
       'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
+      // Stored with offline copies so they can be flagged when a newer version syncs
+      'X-Material-Version': String(material.current_version || 1),
     });
 
     // Add content-length if available
@@ -23,6 +23,7 @@ export async function GET(request, { params }) {
         material_category,
         created_at,
         uploaded_by,
+        current_version,
         courses:course_id (
           id,
           course_name
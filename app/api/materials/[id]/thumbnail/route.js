@@ -0,0 +1,47 @@
+/**
+ * API endpoint for a material's thumbnail
+ * Used as thumbnail_url when the R2 bucket is private: redirects to a fresh
+ * signed URL for the preview image (see lib/thumbnails/worker)
+ */
+
+import { createClient } from '@/lib/supabase/server';
+import { cookies } from 'next/headers';
+import { getR2SignedUrl } from '@/lib/storage/r2-client';
+
+// Signed URL lifetime - the redirect itself is cached for less
+const SIGNED_URL_EXPIRY = 24 * 60 * 60;
+
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    const cookieStore = await cookies();
+    const supabase = createClient(cookieStore);
+    const { data: material, error } = await supabase
+      .from('materials')
+      .select('id, thumbnail_path, thumbnail_status')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!material || material.thumbnail_status !== 'ready' || !material.thumbnail_path) {
+      return Response.json({ error: 'Thumbnail not found' }, { status: 404 });
+    }
+
+    const url = await getR2SignedUrl(material.thumbnail_path, SIGNED_URL_EXPIRY);
+
+    return new Response(null, {
+      status: 302,
+      headers: {
+        Location: url,
+        'Cache-Control': 'private, max-age=3600',
+      },
+    });
+  } catch (error) {
+    console.error('Thumbnail URL generation error:', error);
+    return Response.json(
+      { error: 'Failed to load thumbnail', details: error.message },
+      { status: 500 }
+    );
+  }
+}
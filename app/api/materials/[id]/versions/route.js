@@ -0,0 +1,184 @@
+/**
+ * Material Versions API
+ * Revision history of a material, and uploading a corrected file as a new
+ * version - the material keeps its id, links and download counts.
+ *
+ * Route: /api/materials/[id]/versions
+ */
+
+import { getServiceRoleClient } from '@/lib/supabase/server';
+import { withAuth, apiError } from '@/lib/auth/withAuth';
+import { scheduleMaterialIndexing } from '@/lib/embeddings/schedule';
+import { scheduleThumbnail } from '@/lib/thumbnails/schedule';
+import { deleteFromR2 } from '@/lib/storage/r2-client';
+import { getMaterialType, isUploadKey, getUploadKeyOwner } from '@/lib/upload/validation';
+import {
+  CONTENT_HASH_PATTERN,
+  hashR2Object,
+  findMaterialsByHash,
+  resolveDuplicate,
+  duplicateResponseBody,
+  sharedStorageColumns,
+  isStoragePathShared,
+} from '@/lib/storage/dedup';
+import {
+  listMaterialVersions,
+  addMaterialVersion,
+  canReviseMaterial,
+  formatVersionHistory,
+} from '@/lib/materials/versions';
+
+export const runtime = 'nodejs';
+
+/**
+ * GET - Revision history, newest first
+ * Response: { currentVersion, versions: [...], canRevise }
+ * Anyone can read the history; canRevise is false for signed-out callers.
+ */
+export const GET = withAuth({ optional: true }, async (request, { params, auth }) => {
+  try {
+    const { id } = await params;
+    const { supabase, user, profile } = auth;
+
+    const { data: material, error } = await supabase
+      .from('materials')
+      .select('id, user_id, current_version')
+      .eq('id', id)
+      .single();
+
+    if (error || !material) {
+      return apiError(404, 'Material not found');
+    }
+
+    const versions = await listMaterialVersions(supabase, id);
+
+    return Response.json({
+      currentVersion: material.current_version,
+      versions: formatVersionHistory(versions, material.current_version),
+      canRevise: canReviseMaterial(material, user, profile),
+    });
+  } catch (error) {
+    console.error('Version history error:', error);
+    return apiError(500, 'Failed to load version history', error.message);
+  }
+});
+
+/**
+ * POST - Save a file already uploaded to R2 as the material's new version
+ * Only the material's uploader or an admin may do this.
+ *
+ * Body: { key, fileSize, contentType, contentHash, changeNote }
+ * Response: { success: true, material: { id, title, current_version }, version }
+ *
+ * Same checks as /api/upload/complete: the object is hashed here, a file
+ * another material in the course already has is rejected with 409, and a
+ * file another course has reuses that course's object.
+ *
+ * The key must be one handed out to the caller and not yet used by any
+ * material or version; nothing is deleted before both checks pass.
+ */
+export const POST = withAuth({}, async (request, { params, auth }) => {
+  try {
+    const { id } = await params;
+    const { user, profile } = auth;
+    const { key, fileSize, contentType, contentHash: clientHash, changeNote } = await request.json();
+
+    if (!isUploadKey(key)) {
+      return apiError(400, 'Invalid upload key');
+    }
+
+    if (clientHash && !CONTENT_HASH_PATTERN.test(clientHash)) {
+      return apiError(400, 'Invalid content hash');
+    }
+
+    const serviceRole = getServiceRoleClient();
+    const { data: material, error: materialError } = await serviceRole
+      .from('materials')
+      .select('id, title, course_id, user_id, status, content_hash, deleted_at')
+      .eq('id', id)
+      .single();
+
+    if (materialError || !material || material.deleted_at) {
+      return apiError(404, 'Material not found');
+    }
+
+    if (!canReviseMaterial(material, user, profile)) {
+      return apiError(403, 'Only the uploader or an admin can upload a new version');
+    }
+
+    if (getUploadKeyOwner(key) !== user.id) {
+      return apiError(403, 'You can only save files you uploaded');
+    }
+
+    // Keys are public (file_url) - never let a saved file reach the deletes below
+    if (await isStoragePathShared(serviceRole, key)) {
+      return apiError(409, 'This file belongs to a saved material');
+    }
+
+    // Hash what actually landed in R2 - the browser's hash is only a hint
+    const contentHash = await hashR2Object(key);
+    if (clientHash && clientHash !== contentHash) {
+      await deleteFromR2(key);
+      return apiError(400, 'The uploaded file does not match the file you selected. Please upload it again.');
+    }
+
+    if (contentHash === material.content_hash) {
+      await deleteFromR2(key);
+      return apiError(409, 'This file is the same as the current version');
+    }
+
+    const { duplicate, sharedObject } = resolveDuplicate(
+      (await findMaterialsByHash(serviceRole, contentHash)).filter((match) => match.id !== id),
+      material.course_id
+    );
+
+    if (duplicate) {
+      await deleteFromR2(key);
+      const { error: duplicateError, ...duplicateDetails } = duplicateResponseBody(duplicate);
+      return apiError(409, duplicateError, null, duplicateDetails);
+    }
+
+    // Same file in another course - point at its object instead of keeping a second copy
+    if (sharedObject && sharedObject.storage_path !== key) {
+      await deleteFromR2(key);
+    }
+
+    const version = await addMaterialVersion(
+      serviceRole,
+      id,
+      {
+        type: getMaterialType(contentType),
+        storage_location: 'r2',
+        storage_path: key,
+        file_url: process.env.R2_PUBLIC_URL ? `${process.env.R2_PUBLIC_URL}/${key}` : null,
+        file_size: fileSize,
+        ...(sharedObject && sharedStorageColumns(sharedObject)),
+        content_hash: contentHash,
+      },
+      {
+        changeNote,
+        uploadedBy: profile?.full_name || 'Anonymous',
+        userId: user.id,
+      }
+    );
+
+    // New file - re-index for AI chat and redraw the preview
+    if (material.status === 'approved') {
+      await scheduleMaterialIndexing(serviceRole, id);
+    }
+    scheduleThumbnail(serviceRole, id);
+
+    return Response.json({
+      success: true,
+      material: {
+        id,
+        title: material.title,
+        current_version: version.version_number,
+      },
+      version: formatVersionHistory([version], version.version_number)[0],
+    });
+  } catch (error) {
+    console.error('New version error:', error);
+    return apiError(500, 'Failed to save the new version', error.message);
+  }
+});
@@ -0,0 +1,45 @@
+/**
+ * Material Search API
+ * Full-text + semantic search over approved materials in all courses
+ * Anyone can search; only signed-in users get the semantic leg, since every
+ * semantic search pays for a query embedding.
+ *
+ * Route: /api/search
+ */
+
+import { NextResponse } from 'next/server';
+import { withAuth, apiError } from '@/lib/auth/withAuth';
+import { parseSearchParams } from '@/lib/search/params';
+import { searchMaterials } from '@/lib/search/hybrid';
+
+/**
+ * GET - Search materials
+ * Query: ?q= (required) &courseId= &topicId= &category= &year= &type= &limit=
+ */
+export const GET = withAuth({ optional: true }, async (request, { auth }) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const { params, error: validationError } = parseSearchParams(searchParams);
+
+    if (validationError) {
+      return apiError(400, validationError);
+    }
+
+    const { results, semantic } = await searchMaterials(auth.supabase, {
+      ...params,
+      semantic: Boolean(auth.user),
+    });
+
+    return NextResponse.json({
+      success: true,
+      query: params.query,
+      results,
+      count: results.length,
+      semantic,
+    });
+
+  } catch (error) {
+    console.error('Material search error:', error);
+    return apiError(500, 'Failed to search materials', error.message);
+  }
+});
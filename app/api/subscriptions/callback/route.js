@@ -0,0 +1,96 @@
+/**
+ * Payment Callback
+ * Daraja POSTs the STK push result here once the user enters (or cancels) their PIN
+ *
+ * Route: /api/subscriptions/callback?token=MPESA_CALLBACK_SECRET
+ *
+ * The secret is required: without it callbacks get 503. A success only
+ * activates the subscription when the amount paid matches the payment row.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServiceRoleClient } from '@/lib/supabase/server';
+import { getPaymentProvider } from '@/lib/payments';
+import { completePayment } from '@/lib/subscriptions';
+
+// Daraja retries anything that isn't this acknowledgement
+const ACCEPTED = { ResultCode: 0, ResultDesc: 'Accepted' };
+
+/**
+ * Treat a success for the wrong amount as a failed payment
+ * @param {Object} payment - subscription_payments row
+ * @param {import('@/lib/payments').PaymentResult} result
+ * @returns {import('@/lib/payments').PaymentResult}
+ */
+function checkPaidAmount(payment, result) {
+  if (!result.success || Number(result.amount) === Number(payment.amount)) {
+    return result;
+  }
+
+  console.error(
+    `[Payment-Callback] ${payment.id}: paid ${result.amount}, expected ${payment.amount}`
+  );
+  return {
+    ...result,
+    success: false,
+    resultDescription: `Amount paid (KES ${result.amount ?? 0}) does not match the plan price (KES ${payment.amount})`,
+  };
+}
+
+/**
+ * POST - Apply a payment result
+ */
+export async function POST(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const callbackSecret = process.env.MPESA_CALLBACK_SECRET;
+
+    // Anyone could post a forged success without it - refuse to run unless it is set
+    if (!callbackSecret) {
+      console.error('[Payment-Callback] MPESA_CALLBACK_SECRET is not set, refusing callbacks');
+      return NextResponse.json({ error: 'Callback secret not configured' }, { status: 503 });
+    }
+
+    if (searchParams.get('token') !== callbackSecret) {
+      console.error('[Payment-Callback] Invalid callback token');
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    const result = getPaymentProvider().parseCallback(body);
+    if (!result) {
+      return NextResponse.json({ error: 'Invalid callback payload' }, { status: 400 });
+    }
+
+    const serviceRole = getServiceRoleClient();
+
+    const { data: payment, error } = await serviceRole
+      .from('subscription_payments')
+      .select('*')
+      .eq('checkout_request_id', result.checkoutRequestId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!payment) {
+      console.warn(`[Payment-Callback] No payment for ${result.checkoutRequestId}`);
+      return NextResponse.json(ACCEPTED);
+    }
+
+    const { processed, status } = await completePayment(serviceRole, payment, checkPaidAmount(payment, result), body);
+
+    console.log(
+      `[Payment-Callback] ${payment.id}: ${processed ? status : `already ${payment.status}`}`
+    );
+
+    return NextResponse.json(ACCEPTED);
+
+  } catch (error) {
+    console.error('[Payment-Callback] Unexpected error:', error);
+    return NextResponse.json(
+      { error: `Failed to process callback: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
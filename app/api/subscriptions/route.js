@@ -0,0 +1,171 @@
+/**
+ * Subscriptions API
+ * Premium plans, the user's current tier, and M-Pesa checkout
+ *
+ * Route: /api/subscriptions
+ */
+
+import { NextResponse } from 'next/server';
+import { getServiceRoleClient } from '@/lib/supabase/server';
+import { withAuth, apiError } from '@/lib/auth/withAuth';
+import { getPaymentProvider } from '@/lib/payments';
+import {
+  SUBSCRIPTION_PLANS,
+  TIER_FEATURES,
+  getActiveSubscription,
+  completePayment,
+} from '@/lib/subscriptions';
+
+/**
+ * Callback URL handed to the payment provider
+ * MPESA_CALLBACK_URL overrides the request origin (needed behind tunnels/proxies)
+ */
+function getCallbackUrl(request) {
+  const url = new URL(
+    process.env.MPESA_CALLBACK_URL || `${new URL(request.url).origin}/api/subscriptions/callback`
+  );
+
+  if (process.env.MPESA_CALLBACK_SECRET) {
+    url.searchParams.set('token', process.env.MPESA_CALLBACK_SECRET);
+  }
+
+  return url.toString();
+}
+
+/**
+ * GET - Current subscription, tier features and available plans
+ * Query: ?paymentId= (optional, poll the status of a checkout)
+ */
+export const GET = withAuth({}, async (request, { auth }) => {
+  try {
+    const { supabase, user } = auth;
+
+    const subscription = await getActiveSubscription(supabase, user.id);
+    const tier = subscription?.tier || 'free';
+
+    let payment = null;
+    const { searchParams } = new URL(request.url);
+    const paymentId = searchParams.get('paymentId');
+
+    if (paymentId) {
+      // RLS limits this to the user's own payments
+      const { data, error } = await supabase
+        .from('subscription_payments')
+        .select('id, plan_id, amount, status, receipt_number, result_description, created_at, completed_at')
+        .eq('id', paymentId)
+        .maybeSingle();
+
+      if (error) throw error;
+      payment = data;
+    }
+
+    return NextResponse.json({
+      success: true,
+      subscription,
+      tier,
+      features: TIER_FEATURES[tier] || TIER_FEATURES.free,
+      plans: Object.values(SUBSCRIPTION_PLANS),
+      payment,
+    });
+
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    return apiError(500, 'Failed to get subscription', error.message);
+  }
+});
+
+/**
+ * POST - Start a checkout (sends the STK push prompt)
+ * Body: { planId, phoneNumber }
+ */
+export const POST = withAuth({}, async (request, { auth }) => {
+  try {
+    const { supabase, user } = auth;
+
+    const body = await request.json();
+    const plan = SUBSCRIPTION_PLANS[body.planId];
+
+    if (!plan) {
+      return apiError(400, 'Unknown subscription plan');
+    }
+
+    if (!body.phoneNumber) {
+      return apiError(400, 'Phone number is required');
+    }
+
+    const provider = getPaymentProvider();
+    const serviceRole = getServiceRoleClient();
+
+    // Record the attempt first so the callback always has a row to match
+    const { data: payment, error: insertError } = await serviceRole
+      .from('subscription_payments')
+      .insert({
+        user_id: user.id,
+        plan_id: plan.id,
+        tier: plan.tier,
+        amount: plan.amount,
+        duration_days: plan.durationDays,
+        provider: provider.name,
+      })
+      .select()
+      .single();
+
+    if (insertError) throw insertError;
+
+    let initiation;
+    try {
+      initiation = await provider.initiatePayment({
+        amount: plan.amount,
+        phoneNumber: body.phoneNumber,
+        reference: 'CourseHub',
+        description: plan.name,
+        callbackUrl: getCallbackUrl(request),
+      });
+    } catch (providerError) {
+      await serviceRole
+        .from('subscription_payments')
+        .update({ status: 'failed', result_description: providerError.message })
+        .eq('id', payment.id);
+
+      return apiError(502, providerError.message);
+    }
+
+    const { error: updateError } = await serviceRole
+      .from('subscription_payments')
+      .update({
+        phone_number: initiation.phoneNumber,
+        checkout_request_id: initiation.checkoutRequestId,
+        merchant_request_id: initiation.merchantRequestId,
+      })
+      .eq('id', payment.id);
+
+    if (updateError) throw updateError;
+
+    // Providers that settle synchronously (mock) don't send a callback
+    let subscription = null;
+    let status = initiation.status;
+
+    if (initiation.status !== 'pending') {
+      const result = await completePayment(serviceRole, payment, {
+        success: initiation.status === 'completed',
+        resultCode: initiation.resultCode ?? '0',
+        resultDescription: initiation.resultDescription || initiation.customerMessage,
+        receiptNumber: initiation.receiptNumber || null,
+      });
+      subscription = result.subscription;
+      status = result.status;
+    }
+
+    return NextResponse.json({
+      success: true,
+      paymentId: payment.id,
+      status,
+      message: initiation.customerMessage,
+      subscription,
+    }, { status: 201 });
+
+  } catch (error) {
+    console.error('Checkout error:', error);
+    return apiError(500, 'Failed to start checkout', error.message);
+  }
+});
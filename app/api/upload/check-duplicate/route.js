@@ -0,0 +1,63 @@
+import { getServiceRoleClient } from '@/lib/supabase/server.js'
+import { withAuth } from '@/lib/auth/withAuth'
+import {
+  CONTENT_HASH_PATTERN,
+  findMaterialsByHash,
+  resolveDuplicate,
+  canSeeDuplicate,
+  duplicateResponseBody
+} from '@/lib/storage/dedup'
+
+export const runtime = 'nodejs'
+
+/**
+ * Check whether a course already has a file before uploading it
+ * The hash comes from the browser; /api/upload/complete checks again.
+ * Materials still awaiting review are only reported to their uploader and
+ * the course's moderators.
+ *
+ * POST /api/upload/check-duplicate
+ * Body: { contentHash, courseId }
+ * Response: { duplicate: { id, title, url } | null }
+ */
+export const POST = withAuth({ optional: true }, async (req, { auth }) => {
+  try {
+    const { contentHash, courseId } = await req.json()
+
+    if (!contentHash || !courseId) {
+      return Response.json(
+        { error: 'Missing required fields: contentHash, courseId' },
+        { status: 400 }
+      )
+    }
+
+    if (!CONTENT_HASH_PATTERN.test(contentHash)) {
+      return Response.json(
+        { error: 'Invalid content hash' },
+        { status: 400 }
+      )
+    }
+
+    const supabase = getServiceRoleClient()
+    const { duplicate } = resolveDuplicate(
+      await findMaterialsByHash(supabase, contentHash),
+      courseId
+    )
+
+    const visible = duplicate && canSeeDuplicate(duplicate, {
+      userId: auth.user?.id ?? null,
+      canModerate: auth.isAdmin || auth.courseIds.includes(courseId)
+    })
+
+    return Response.json({
+      duplicate: visible ? duplicateResponseBody(duplicate).duplicate : null
+    })
+
+  } catch (error) {
+    console.error('Duplicate check error:', error)
+    return Response.json(
+      { error: `Failed to check for duplicates: ${error.message}` },
+      { status: 500 }
+    )
+  }
+})
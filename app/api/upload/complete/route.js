@@ -1,5 +1,20 @@
-import { createClient } from '@supabase/supabase-js'
 import { getServiceRoleClient } from '@/lib/supabase/server.js'
+import { withAuth } from '@/lib/auth/withAuth'
+import { scheduleMaterialIndexing } from '@/lib/embeddings/schedule'
+import { scheduleThumbnail } from '@/lib/thumbnails/schedule'
+import { deleteFromR2 } from '@/lib/storage/r2-client'
+import { getMaterialType, isUploadKey } from '@/lib/upload/validation'
+import { resolveInitialStatus, describeModerationReason } from '@/lib/moderation/policy'
+import {
+  CONTENT_HASH_PATTERN,
+  hashR2Object,
+  findMaterialsByHash,
+  resolveDuplicate,
+  canSeeDuplicate,
+  duplicateResponseBody,
+  sharedStorageColumns,
+  isStoragePathShared
+} from '@/lib/storage/dedup'
 
 export const runtime = 'nodejs'
 
@@ -20,11 +35,22 @@ export const runtime = 'nodejs'
  *   uploaderName: string,      // Name of uploader
  *   materialCategory: string,  // Material type (notes, past_paper, etc.)
  *   categoryMetadata: object,  // Category-specific metadata
- *   weekNumber: number         // Week number if applicable
+ *   weekNumber: number,        // Week number if applicable
+ *   contentHash: string        // SHA-256 computed in the browser (optional, checked against R2)
  * }
- * Response: { success: true, material: {...} }
+ * Response: { success: true, material: {...}, moderation: { status, reason, message } }
+ *
+ * The material's initial status (approved or pending review) comes from the
+ * moderation policy (lib/moderation/policy).
+ *
+ * The uploaded object is hashed here. A file the course already has is
+ * deleted and rejected with 409 { error, duplicate: { id, title, url } }
+ * (just { error } when it matches someone else's upload awaiting review);
+ * a file another course has is deleted and the new material shares that
+ * course's object. Keys a material or version already points at are
+ * refused with 409 before anything is deleted.
  */
-export async function POST(req) {
+export const POST = withAuth({ optional: true }, async (req, { auth }) => {
   const supabase = getServiceRoleClient()
 
   try {
@@ -41,7 +67,8 @@ export async function POST(req) {
       uploaderName,
       materialCategory,
       categoryMetadata,
-      weekNumber
+      weekNumber,
+      contentHash: clientHash
     } = body
 
     // Validate required fields
@@ -52,55 +79,73 @@ export async function POST(req) {
       )
     }
 
-    // Get authenticated user
-    const authHeader = req.headers.get('cookie')
-    let userId = null
-    let uploaderYear = null
-    let uploaderCourseId = null
-
-    if (authHeader) {
-      try {
-        const userSupabase = createClient(
-          process.env.NEXT_PUBLIC_SUPABASE_URL,
-          process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
-        )
+    if (!isUploadKey(key)) {
+      return Response.json(
+        { error: 'Invalid upload key' },
+        { status: 400 }
+      )
+    }
 
-        const { data: { user } } = await userSupabase.auth.getUser()
-
-        if (user) {
-          userId = user.id
-
-          // Get user's profile for year and course
-          const { data: profile } = await userSupabase
-            .from('profiles')
-            .select('year_of_study, course_id')
-            .eq('id', user.id)
-            .single()
-
-          if (profile) {
-            uploaderYear = profile.year_of_study
-            uploaderCourseId = profile.course_id
-          }
-        }
-      } catch (err) {
-        console.warn('Auth check failed:', err)
-      }
+    // Keys are public - never let one of a saved material's reach the deletes below
+    if (await isStoragePathShared(supabase, key)) {
+      return Response.json(
+        { error: 'This file belongs to a saved material' },
+        { status: 409 }
+      )
     }
 
+    if (clientHash && !CONTENT_HASH_PATTERN.test(clientHash)) {
+      return Response.json(
+        { error: 'Invalid content hash' },
+        { status: 400 }
+      )
+    }
+
+    // Hash what actually landed in R2 - the browser's hash is only a hint
+    const contentHash = await hashR2Object(key)
+    if (clientHash && clientHash !== contentHash) {
+      await deleteFromR2(key)
+      return Response.json(
+        { error: 'The uploaded file does not match the file you selected. Please upload it again.' },
+        { status: 400 }
+      )
+    }
+
+    const { duplicate, sharedObject } = resolveDuplicate(
+      await findMaterialsByHash(supabase, contentHash),
+      courseId
+    )
+
+    if (duplicate) {
+      await deleteFromR2(key)
+
+      // Someone else's upload awaiting review - don't reveal what it is
+      const visible = canSeeDuplicate(duplicate, {
+        userId: auth.user?.id ?? null,
+        canModerate: auth.isAdmin || auth.courseIds.includes(courseId)
+      })
+      return Response.json(
+        visible ? duplicateResponseBody(duplicate) : { error: 'This file is already awaiting review in this course' },
+        { status: 409 }
+      )
+    }
+
+    // Same file in another course - point at its object instead of keeping a second copy
+    if (sharedObject && sharedObject.storage_path !== key) {
+      await deleteFromR2(key)
+    }
+
+    // Signed-in uploader, if any - the profile carries year and course, and role and account age for moderation
+    const userId = auth.user?.id ?? null
+    const { profile } = auth
+
+    const moderation = await resolveInitialStatus(supabase, { courseId, userId, profile })
+
     // Construct R2 public URL
     const publicUrl = process.env.R2_PUBLIC_URL
       ? `${process.env.R2_PUBLIC_URL}/${key}`
       : null
 
-    // Get file type from content type
-    function getFileType(mimeType) {
-      if (mimeType.includes('pdf')) return 'pdf'
-      if (mimeType.includes('word')) return 'docx'
-      if (mimeType.includes('presentation')) return 'pptx'
-      if (mimeType.includes('image')) return 'image'
-      return 'other'
-    }
-
     // Save metadata to database
     const { data: material, error: dbError } = await supabase
       .from('materials')
@@ -109,24 +154,27 @@ export async function POST(req) {
         topic_id: topicId || null,
         title,
         description: description || null,
-        type: getFileType(contentType),
+        type: getMaterialType(contentType),
         file_url: publicUrl,
         file_size: fileSize,
         storage_location: 'r2',
         storage_path: key,
+        ...(sharedObject && sharedStorageColumns(sharedObject)),
+        content_hash: contentHash,
         uploaded_by: uploaderName || 'Anonymous',
         upload_source: 'direct_r2',
-        status: 'approved', // TESTING: Auto-approve materials
+        status: moderation.status,
         material_category: materialCategory || null,
         category_metadata: categoryMetadata || null,
         week_number: weekNumber ? parseInt(weekNumber) : null,
         user_id: userId,
-        uploader_year: uploaderYear,
-        uploader_course_id: uploaderCourseId
+        uploader_year: profile?.year_of_study ?? null,
+        uploader_course_id: profile?.course_id ?? null
       })
       .select(`
         id,
         title,
+        status,
         material_category,
         category_metadata,
         week_number,
@@ -150,17 +198,30 @@ export async function POST(req) {
       )
     }
 
+    // Index for AI chat in the background (approved materials only)
+    if (material.status === 'approved') {
+      await scheduleMaterialIndexing(supabase, material.id)
+    }
+
+    // Card preview (first page / downscaled image) in the background
+    scheduleThumbnail(supabase, material.id)
+
     return Response.json({
       success: true,
       material: {
         id: material.id,
         title: material.title,
+        status: material.status,
         material_category: material.material_category,
         category_metadata: material.category_metadata,
         week_number: material.week_number,
         course: material.courses,
         topic: material.topics,
         uploaded_by: uploaderName || 'Anonymous'
+      },
+      moderation: {
+        ...moderation,
+        message: describeModerationReason(moderation.reason)
       }
     })
 
@@ -171,4 +232,4 @@ export async function POST(req) {
       { status: 500 }
     )
   }
-}
+})
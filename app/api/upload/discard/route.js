@@ -0,0 +1,44 @@
+import { getServiceRoleClient } from '@/lib/supabase/server.js'
+import { discardUploadedObject } from '@/lib/storage/dedup'
+import { isUploadKey } from '@/lib/upload/validation'
+
+export const runtime = 'nodejs'
+
+/**
+ * Delete a file uploaded to R2 that the uploader decided not to save
+ * (e.g. after a near-duplicate warning). Objects already saved as a
+ * material are left alone.
+ *
+ * POST /api/upload/discard
+ * Body: { key }
+ * Response: { success: true }
+ */
+export async function POST(req) {
+  try {
+    const { key } = await req.json()
+
+    if (!isUploadKey(key)) {
+      return Response.json(
+        { error: 'Invalid upload key' },
+        { status: 400 }
+      )
+    }
+
+    // Earlier versions keep their files too (lib/materials/versions)
+    if (!(await discardUploadedObject(getServiceRoleClient(), key))) {
+      return Response.json(
+        { error: 'This file belongs to a saved material' },
+        { status: 409 }
+      )
+    }
+
+    return Response.json({ success: true })
+
+  } catch (error) {
+    console.error('Upload discard error:', error)
+    return Response.json(
+      { error: `Failed to discard upload: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,33 @@
+import { abortMultipartUpload, validateMultipartTarget } from '@/lib/upload/multipart'
+
+export const runtime = 'nodejs'
+
+/**
+ * Abort a multipart upload and free the parts already stored in R2
+ *
+ * POST /api/upload/multipart/abort
+ * Body: { key, uploadId }
+ * Response: { success: true }
+ */
+export async function POST(req) {
+  try {
+    const body = await req.json()
+    const { key, uploadId } = body
+
+    const invalid = validateMultipartTarget({ key, uploadId })
+    if (invalid) {
+      return Response.json({ error: invalid }, { status: 400 })
+    }
+
+    await abortMultipartUpload({ key, uploadId })
+
+    return Response.json({ success: true })
+
+  } catch (error) {
+    console.error('Multipart upload abort error:', error)
+    return Response.json(
+      { error: `Failed to abort upload: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,38 @@
+import {
+  completeMultipartUpload,
+  validateCompletedParts,
+  validateMultipartTarget
+} from '@/lib/upload/multipart'
+
+export const runtime = 'nodejs'
+
+/**
+ * Assemble the uploaded parts into the final R2 object
+ * The material row is still created by /api/upload/complete afterwards
+ *
+ * POST /api/upload/multipart/complete
+ * Body: { key, uploadId, parts: [{ partNumber, etag }] }
+ * Response: { success: true, key }
+ */
+export async function POST(req) {
+  try {
+    const body = await req.json()
+    const { key, uploadId, parts } = body
+
+    const invalid = validateMultipartTarget({ key, uploadId }) || validateCompletedParts(parts)
+    if (invalid) {
+      return Response.json({ error: invalid }, { status: 400 })
+    }
+
+    await completeMultipartUpload({ key, uploadId, parts })
+
+    return Response.json({ success: true, key })
+
+  } catch (error) {
+    console.error('Multipart upload completion error:', error)
+    return Response.json(
+      { error: `Failed to complete upload: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,38 @@
+import {
+  signPartUrls,
+  validateMultipartTarget,
+  validatePartNumbers
+} from '@/lib/upload/multipart'
+
+export const runtime = 'nodejs'
+
+/**
+ * Sign upload URLs for parts of a multipart upload
+ * Called at the start of an upload and again when resuming, since URLs expire after an hour
+ *
+ * POST /api/upload/multipart/parts
+ * Body: { key, uploadId, partNumbers: number[] }
+ * Response: { urls: { [partNumber]: url } }
+ */
+export async function POST(req) {
+  try {
+    const body = await req.json()
+    const { key, uploadId, partNumbers } = body
+
+    const invalid = validateMultipartTarget({ key, uploadId }) || validatePartNumbers(partNumbers)
+    if (invalid) {
+      return Response.json({ error: invalid }, { status: 400 })
+    }
+
+    const urls = await signPartUrls({ key, uploadId, partNumbers })
+
+    return Response.json({ success: true, urls })
+
+  } catch (error) {
+    console.error('Part URL signing error:', error)
+    return Response.json(
+      { error: `Failed to sign part URLs: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,46 @@
+import { validateUploadRequest } from '@/lib/upload/validation'
+import { initiateMultipartUpload } from '@/lib/upload/multipart'
+import { withAuth } from '@/lib/auth/withAuth'
+
+export const runtime = 'nodejs'
+
+/**
+ * Start a resumable multipart upload to R2
+ * Used instead of /api/upload/presigned-url for large files - parts are
+ * signed separately via /api/upload/multipart/parts
+ *
+ * POST /api/upload/multipart
+ * Body: { filename, contentType, fileSize }
+ * Response: { key, uploadId, partSize, partCount }
+ */
+export const POST = withAuth({ optional: true }, async (req, { auth }) => {
+  try {
+    const body = await req.json()
+    const { filename, contentType, fileSize } = body
+
+    const invalid = validateUploadRequest({ filename, contentType, fileSize })
+    if (invalid) {
+      return Response.json({ error: invalid.error }, { status: invalid.status })
+    }
+
+    if (!fileSize) {
+      return Response.json({ error: 'Missing required field: fileSize' }, { status: 400 })
+    }
+
+    const upload = await initiateMultipartUpload({
+      filename,
+      contentType,
+      fileSize,
+      userId: auth.user?.id ?? null
+    })
+
+    return Response.json({ success: true, ...upload })
+
+  } catch (error) {
+    console.error('Multipart upload initiation error:', error)
+    return Response.json(
+      { error: `Failed to start upload: ${error.message}` },
+      { status: 500 }
+    )
+  }
+})
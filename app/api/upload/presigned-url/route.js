@@ -2,7 +2,8 @@ import getR2Client from '@/lib/storage/r2-client'
 import { S3Client } from '@aws-sdk/client-s3'
 import { PutObjectCommand } from '@aws-sdk/client-s3'
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
-import { createClient } from '@supabase/supabase-js'
+import { validateUploadRequest, createUploadKey } from '@/lib/upload/validation'
+import { withAuth } from '@/lib/auth/withAuth'
 
 export const runtime = 'nodejs'
 
@@ -14,71 +15,19 @@ export const runtime = 'nodejs'
  * Body: { filename, contentType, fileSize }
  * Response: { uploadUrl, key, fields }
  */
-export async function POST(req) {
+export const POST = withAuth({ optional: true }, async (req, { auth }) => {
   try {
     const body = await req.json()
     const { filename, contentType, fileSize } = body
 
-    // Validate inputs
-    if (!filename || !contentType) {
-      return Response.json(
-        { error: 'Missing required fields: filename and contentType' },
-        { status: 400 }
-      )
+    const invalid = validateUploadRequest({ filename, contentType, fileSize })
+    if (invalid) {
+      return Response.json({ error: invalid.error }, { status: invalid.status })
     }
 
-    // Check file size (50MB limit)
-    const MAX_FILE_SIZE = 50 * 1024 * 1024
-    if (fileSize && fileSize > MAX_FILE_SIZE) {
-      return Response.json(
-        { error: `File too large (max ${MAX_FILE_SIZE / 1024 / 1024}MB)` },
-        { status: 413 }
-      )
-    }
-
-    // Validate file type
-    const allowedTypes = [
-      'application/pdf',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-powerpoint',
-      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-      'image/png',
-      'image/jpeg',
-      'image/jpg',
-      'image/webp',
-      'image/gif'
-    ]
-
-    if (!allowedTypes.includes(contentType)) {
-      return Response.json(
-        { error: 'Invalid file type. Only PDF, DOCX, PPT, and images (PNG, JPG, WEBP, GIF) allowed' },
-        { status: 400 }
-      )
-    }
-
-    // Check authentication
-    const authHeader = req.headers.get('cookie')
-    let isAuthenticated = false
-
-    if (authHeader) {
-      try {
-        const userSupabase = createClient(
-          process.env.NEXT_PUBLIC_SUPABASE_URL,
-          process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
-        )
-        const { data: { user } } = await userSupabase.auth.getUser()
-        isAuthenticated = !!user
-      } catch (err) {
-        console.warn('Auth check failed:', err)
-        // Continue anyway - allow anonymous uploads
-      }
-    }
-
-    // Generate unique key with timestamp to avoid collisions
-    const timestamp = Date.now()
-    const random = Math.random().toString(36).substring(7)
-    const safeFilename = filename.replace(/[^a-zA-Z0-9.-]/g, '_')
-    const key = `uploads/${timestamp}-${random}/${safeFilename}`
+    // Anonymous uploads are allowed; /api/upload/complete records who uploaded.
+    // A signed-in uploader's key carries their id (see createUploadKey)
+    const key = createUploadKey(filename, auth.user?.id ?? null)
 
     // Get R2 client
     const client = getR2Client()
@@ -109,4 +58,4 @@ export async function POST(req) {
       { status: 500 }
     )
   }
-}
+})
@@ -1,13 +1,24 @@
-import { createClient } from '@supabase/supabase-js'
 import { NextResponse } from 'next/server'
 import { uploadFile } from '@/lib/storage/storage-manager.js'
 import { getServiceRoleClient } from '@/lib/supabase/server.js'
+import { withAuth } from '@/lib/auth/withAuth'
+import { canManageRequests, fulfillMaterialRequest } from '@/lib/utils/materialRequests'
+import { scheduleMaterialIndexing } from '@/lib/embeddings/schedule'
+import { scheduleThumbnail } from '@/lib/thumbnails/schedule'
+import { resolveInitialStatus, describeModerationReason } from '@/lib/moderation/policy'
+import {
+  hashBuffer,
+  findMaterialsByHash,
+  resolveDuplicate,
+  duplicateResponseBody,
+  sharedStorageColumns
+} from '@/lib/storage/dedup'
 
 export const runtime = 'nodejs' // Ensure Node.js runtime
 export const maxDuration = 60 // Maximum execution time in seconds
 
 
-export async function POST(req) {
+export const POST = withAuth({ optional: true }, async (req, { auth }) => {
   // Use centralized service role client for better connection pooling
   const supabase = getServiceRoleClient()
 
@@ -24,38 +35,13 @@ export async function POST(req) {
     const materialCategory = formData.get('material_category')
     const categoryMetadata = formData.get('category_metadata')
     const weekNumber = formData.get('week_number')
+    const fulfillsRequestId = formData.get('fulfills_request_id')
 
-    // Get authenticated user from the request
-    const authHeader = req.headers.get('cookie')
-    let userId = null
-    let uploaderYear = null
-    let uploaderCourseId = null
-
-    if (authHeader) {
-      // Create client with cookies for auth
-      const userSupabase = createClient(
-        process.env.NEXT_PUBLIC_SUPABASE_URL,
-        process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
-      )
-
-      const { data: { user } } = await userSupabase.auth.getUser()
-
-      if (user) {
-        userId = user.id
-
-        // Get user's profile for year and course
-        const { data: profile } = await userSupabase
-          .from('profiles')
-          .select('year_of_study, course_id')
-          .eq('id', user.id)
-          .single()
-
-        if (profile) {
-          uploaderYear = profile.year_of_study
-          uploaderCourseId = profile.course_id
-        }
-      }
-    }
+    // Signed-in uploader, if any - the profile carries role, year and course, and account age for moderation
+    const userId = auth.user?.id ?? null
+    const uploaderProfile = auth.profile
+    const uploaderYear = uploaderProfile?.year_of_study ?? null
+    const uploaderCourseId = uploaderProfile?.course_id ?? null
     
     // Validate
     if (!file || !courseId || !title) {
@@ -99,26 +85,50 @@ export async function POST(req) {
     const arrayBuffer = await file.arrayBuffer()
     const fileBuffer = Buffer.from(arrayBuffer)
 
-    // Upload using storage manager (handles compression + R2 fallback)
-    const uploadResult = await uploadFile(fileBuffer, {
-      fileName: file.name,
-      courseId: courseId,
-      contentType: file.type,
-      compressPDF: file.type === 'application/pdf', // Only compress PDFs, not images
-    })
+    // Hash the file as sent - compression output isn't stable across versions
+    const contentHash = hashBuffer(fileBuffer)
+    const { duplicate, sharedObject } = resolveDuplicate(
+      await findMaterialsByHash(supabase, contentHash),
+      courseId
+    )
 
-    if (!uploadResult || !uploadResult.url) {
-      return NextResponse.json(
-        { error: 'Upload failed' },
-        { status: 500 }
-      )
+    if (duplicate) {
+      return NextResponse.json(duplicateResponseBody(duplicate), { status: 409 })
     }
 
-    const { url: publicUrl, storageLocation, storagePath, fileSize, compressed, compressionStats } = uploadResult
+    let storage
+    if (sharedObject) {
+      // Same file in another course - share its stored object
+      storage = sharedStorageColumns(sharedObject)
+    } else {
+      // Upload using storage manager (handles compression + R2 fallback)
+      const uploadResult = await uploadFile(fileBuffer, {
+        fileName: file.name,
+        courseId: courseId,
+        contentType: file.type,
+        compressPDF: file.type === 'application/pdf', // Only compress PDFs, not images
+      })
+
+      if (!uploadResult || !uploadResult.url) {
+        return NextResponse.json(
+          { error: 'Upload failed' },
+          { status: 500 }
+        )
+      }
+
+      const { url: publicUrl, storageLocation, storagePath, fileSize, compressed, compressionStats } = uploadResult
+
+      // Log compression info
+      if (compressed) {
+        console.log('✅ PDF compressed:', compressionStats)
+      }
 
-    // Log compression info
-    if (compressed) {
-      console.log('✅ PDF compressed:', compressionStats)
+      storage = {
+        file_url: publicUrl,
+        file_size: fileSize, // Use actual uploaded file size (after compression)
+        storage_location: storageLocation, // 'supabase' or 'r2'
+        storage_path: storagePath, // Path/key in storage
+      }
     }
     
     // Parse category metadata if provided
@@ -131,6 +141,13 @@ export async function POST(req) {
       }
     }
 
+    // Approved straight away or held for review - see lib/moderation/policy
+    const moderation = await resolveInitialStatus(supabase, {
+      courseId,
+      userId,
+      profile: uploaderProfile
+    })
+
     // Save metadata to database and fetch course/topic data in one query using JOIN
     const { data: material, error: dbError } = await supabase
       .from('materials')
@@ -140,13 +157,11 @@ export async function POST(req) {
         title,
         description,
         type: getFileType(file.type),
-        file_url: publicUrl,
-        file_size: fileSize, // Use actual uploaded file size (after compression)
-        storage_location: storageLocation, // 'supabase' or 'r2'
-        storage_path: storagePath, // Path/key in storage
+        ...storage,
+        content_hash: contentHash,
         uploaded_by: uploaderName,
         upload_source: 'class_rep',
-        status: 'approved', // TESTING: Auto-approve materials (bypass admin approval)
+        status: moderation.status,
         material_category: materialCategory || null,
         category_metadata: parsedMetadata,
         week_number: weekNumber ? parseInt(weekNumber) : null,
@@ -157,6 +172,7 @@ export async function POST(req) {
       .select(`
         id,
         title,
+        status,
         material_category,
         category_metadata,
         week_number,
@@ -180,19 +196,51 @@ export async function POST(req) {
       )
     }
 
+    // Index for AI chat in the background (approved materials only)
+    if (material.status === 'approved') {
+      await scheduleMaterialIndexing(supabase, material.id)
+    }
+
+    // Card preview (first page / downscaled image) in the background
+    scheduleThumbnail(supabase, material.id)
+
+    // Link the upload to a material request if one of the course's moderators is fulfilling it
+    // Non-fatal: the material is already saved
+    let fulfilledRequest = null
+    if (fulfillsRequestId && userId && canManageRequests(auth, courseId)) {
+      const result = await fulfillMaterialRequest(supabase, {
+        requestId: fulfillsRequestId,
+        courseId,
+        materialId: material.id,
+        userId,
+      })
+
+      if (result.success) {
+        fulfilledRequest = result.request
+      } else {
+        console.error('Failed to fulfil material request:', result.error)
+      }
+    }
+
     // Return material data for client-side processing
     // Client will generate the share message to avoid blocking the response
     return NextResponse.json({
       success: true,
+      fulfilledRequest,
       material: {
         id: material.id,
         title: material.title,
+        status: material.status,
         material_category: material.material_category,
         category_metadata: material.category_metadata,
         week_number: material.week_number,
         course: material.courses,
         topic: material.topics,
         uploaded_by: uploaderName
+      },
+      moderation: {
+        ...moderation,
+        message: describeModerationReason(moderation.reason)
       }
     })
     
@@ -203,7 +251,7 @@ export async function POST(req) {
       { status: 500 }
     )
   }
-}
+})
 
 function getFileType(mimeType) {
   if (mimeType.includes('pdf')) return 'pdf'
@@ -0,0 +1,76 @@
+import { getServiceRoleClient } from '@/lib/supabase/server.js'
+import { getR2SignedUrl } from '@/lib/storage/r2-client'
+import { withAuth } from '@/lib/auth/withAuth'
+import { isUploadKey, getUploadKeyOwner, getMaterialType } from '@/lib/upload/validation'
+import { computeFingerprint } from '@/lib/similarity/compute'
+import { findSimilarMaterials } from '@/lib/similarity/suspects'
+
+export const runtime = 'nodejs'
+export const maxDuration = 30
+
+/**
+ * Find materials in the same unit that look like a file just uploaded to R2
+ * Called between the R2 upload and /api/upload/complete so the uploader can
+ * be warned before the material is saved. Uses the file's own text layer
+ * only - scans are compared by their rendered pages.
+ *
+ * Signed-in callers only, and only for keys handed out to them - each check
+ * downloads and renders the whole file.
+ *
+ * POST /api/upload/similar
+ * Body: { key, contentType, courseId, topicId }
+ * Response: { matches: [{ id, title, similarity, method, url }] }
+ */
+export const POST = withAuth({}, async (req, { auth }) => {
+  try {
+    const { key, contentType, courseId, topicId } = await req.json()
+
+    if (!key || !courseId) {
+      return Response.json(
+        { error: 'Missing required fields: key, courseId' },
+        { status: 400 }
+      )
+    }
+
+    if (!isUploadKey(key)) {
+      return Response.json(
+        { error: 'Invalid upload key' },
+        { status: 400 }
+      )
+    }
+
+    if (getUploadKeyOwner(key) !== auth.user.id) {
+      return Response.json(
+        { error: 'You can only check your own uploads' },
+        { status: 403 }
+      )
+    }
+
+    const response = await fetch(await getR2SignedUrl(key, 300))
+    if (!response.ok) {
+      return Response.json(
+        { error: 'Uploaded file not found' },
+        { status: 404 }
+      )
+    }
+
+    const fingerprint = await computeFingerprint(
+      Buffer.from(await response.arrayBuffer()),
+      getMaterialType(contentType)
+    )
+
+    const matches = await findSimilarMaterials(getServiceRoleClient(), fingerprint, {
+      topicId: topicId || null,
+      courseId
+    })
+
+    return Response.json({ matches })
+
+  } catch (error) {
+    console.error('Similarity check error:', error)
+    return Response.json(
+      { error: `Failed to check for similar materials: ${error.message}` },
+      { status: 500 }
+    )
+  }
+})
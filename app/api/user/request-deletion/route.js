@@ -5,20 +5,11 @@
  */
 
 import { NextResponse } from 'next/server';
-import { cookies } from 'next/headers';
-import { createClient } from '@/lib/supabase/server';
+import { withAuth, apiError } from '@/lib/auth/withAuth';
 
-export async function POST(request) {
+export const POST = withAuth({}, async (request, { auth }) => {
   try {
-    const cookieStore = await cookies();
-    const supabase = createClient(cookieStore);
-
-    // Check if user is logged in
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-
-    if (userError || !user) {
-      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
-    }
+    const { supabase, user } = auth;
 
     // Get request body
     const body = await request.json();
@@ -26,13 +17,11 @@ export async function POST(request) {
 
     // Validate input
     if (!materialId) {
-      return NextResponse.json({ error: 'Material ID is required' }, { status: 400 });
+      return apiError(400, 'Material ID is required');
     }
 
     if (!reason || reason.trim().length < 10) {
-      return NextResponse.json({
-        error: 'Deletion reason is required (minimum 10 characters)'
-      }, { status: 400 });
+      return apiError(400, 'Deletion reason is required (minimum 10 characters)');
     }
 
     // Verify the material exists and belongs to the user
@@ -43,14 +32,12 @@ export async function POST(request) {
       .single();
 
     if (materialError || !material) {
-      return NextResponse.json({ error: 'Material not found' }, { status: 404 });
+      return apiError(404, 'Material not found');
     }
 
     // Check if user owns the material
     if (material.uploaded_by !== user.id) {
-      return NextResponse.json({
-        error: 'You can only request deletion of your own materials'
-      }, { status: 403 });
+      return apiError(403, 'You can only request deletion of your own materials');
     }
 
     // Check if there's already a pending request for this material
@@ -62,9 +49,7 @@ export async function POST(request) {
       .single();
 
     if (existingRequest) {
-      return NextResponse.json({
-        error: 'A deletion request for this material is already pending'
-      }, { status: 400 });
+      return apiError(400, 'A deletion request for this material is already pending');
     }
 
     // Create deletion request
@@ -94,27 +79,16 @@ export async function POST(request) {
 
   } catch (error) {
     console.error('Request deletion error:', error);
-    return NextResponse.json(
-      { error: `Failed to submit deletion request: ${error.message}` },
-      { status: 500 }
-    );
+    return apiError(500, 'Failed to submit deletion request', error.message);
   }
-}
+});
 
 /**
  * GET endpoint to view user's own deletion requests
  */
-export async function GET(request) {
+export const GET = withAuth({}, async (request, { auth }) => {
   try {
-    const cookieStore = await cookies();
-    const supabase = createClient(cookieStore);
-
-    // Check if user is logged in
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-
-    if (userError || !user) {
-      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
-    }
+    const { supabase, user } = auth;
 
     // Get pagination params from query string
     const { searchParams } = new URL(request.url);
@@ -183,9 +157,6 @@ export async function GET(request) {
 
   } catch (error) {
     console.error('Get deletion requests error:', error);
-    return NextResponse.json(
-      { error: `Failed to get deletion requests: ${error.message}` },
-      { status: 500 }
-    );
+    return apiError(500, 'Failed to get deletion requests', error.message);
   }
-}
+});
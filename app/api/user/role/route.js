@@ -0,0 +1,44 @@
+/**
+ * Self-Declared Role API
+ * Lets a user declare themselves a class rep, or go back to being a student.
+ * profiles.role can only be written by the service role (migration 023), so
+ * this is the one place users change it. Being a class rep grants nothing by
+ * itself - moderation rights come from an admin's course_moderators assignment.
+ *
+ * Route: /api/user/role
+ */
+
+import { NextResponse } from 'next/server';
+import { getServiceRoleClient } from '@/lib/supabase/server';
+import { MODERATOR_ROLE } from '@/lib/auth/permissions';
+import { withAuth, apiError } from '@/lib/auth/withAuth';
+
+// Roles users may pick for themselves
+const SELF_SERVICE_ROLES = ['student', MODERATOR_ROLE];
+
+/**
+ * PATCH - Body: { role: 'student' | 'class_rep' }
+ * Response: { success, role }
+ */
+export const PATCH = withAuth({ roles: SELF_SERVICE_ROLES }, async (request, { auth }) => {
+  try {
+    const { role } = await request.json();
+
+    if (!SELF_SERVICE_ROLES.includes(role)) {
+      return apiError(400, 'Role must be student or class_rep');
+    }
+
+    const { error: updateError } = await getServiceRoleClient()
+      .from('profiles')
+      .update({ role })
+      .eq('id', auth.user.id);
+
+    if (updateError) throw updateError;
+
+    return NextResponse.json({ success: true, role });
+
+  } catch (error) {
+    console.error('Role update error:', error);
+    return apiError(500, 'Failed to update role', error.message);
+  }
+});
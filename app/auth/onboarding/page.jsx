@@ -93,7 +93,6 @@ export default function OnboardingPage() {
         university: 'JKUAT', // Default university
         course_id: selectedCourse.id,
         year_of_study: parseInt(formData.year_of_study),
-        role: 'student',
         onboarding_completed: true,
       }
 
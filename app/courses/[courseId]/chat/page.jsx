@@ -3,6 +3,9 @@
 import { useState, useEffect, useRef } from 'react'
 import { createClient } from '@/lib/supabase/client'
 import { useParams } from 'next/navigation'
+import Link from 'next/link'
+import { DAILY_QUESTION_LIMITS } from '@/lib/utils/questionQuota'
+import { readServerSentEvents } from '@/lib/utils/serverSentEvents'
 
 export default function ChatPage() {
   const params = useParams()
@@ -12,6 +15,11 @@ export default function ChatPage() {
   const [input, setInput] = useState('')
   const [loading, setLoading] = useState(false)
   const [course, setCourse] = useState(null)
+  const [quota, setQuota] = useState(null)
+  const [tier, setTier] = useState('free')
+  const [threads, setThreads] = useState([])
+  const [threadId, setThreadId] = useState(null)
+  const [showThreads, setShowThreads] = useState(false)
   
   const messagesEndRef = useRef(null)
   const supabase = createClient()
@@ -29,14 +37,90 @@ export default function ChatPage() {
     }
     loadCourse()
   }, [courseId])
+
+  useEffect(() => {
+    // Load today's remaining questions
+    async function loadQuota() {
+      try {
+        const response = await fetch('/api/chat')
+        if (!response.ok) return
+        const data = await response.json()
+        setQuota(data.quota)
+        setTier(data.tier || 'free')
+      } catch (error) {
+        console.error('Failed to load question quota:', error)
+      }
+    }
+    loadQuota()
+  }, [])
   
+  async function loadThreads() {
+    try {
+      const response = await fetch(`/api/chat/threads?courseId=${courseId}`)
+      if (!response.ok) return
+      const data = await response.json()
+      setThreads(data.threads)
+    } catch (error) {
+      console.error('Failed to load conversations:', error)
+    }
+  }
+
+  useEffect(() => {
+    loadThreads()
+  }, [courseId])
+
+  async function openThread(id) {
+    if (loading) return
+    setShowThreads(false)
+
+    try {
+      const response = await fetch(`/api/chat/threads/${id}`)
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || 'Failed to open conversation')
+
+      setThreadId(id)
+      setMessages(data.messages.map(message => ({
+        role: message.role,
+        content: message.content,
+        sources: message.sources,
+        cached: message.cached
+      })))
+    } catch (error) {
+      setMessages(prev => [...prev, { role: 'error', content: `Error: ${error.message}` }])
+    }
+  }
+
+  function startNewThread() {
+    if (loading) return
+    setThreadId(null)
+    setMessages([])
+    setShowThreads(false)
+  }
+
+  async function deleteThread(id) {
+    if (!confirm('Delete this conversation?')) return
+
+    const response = await fetch(`/api/chat/threads/${id}`, { method: 'DELETE' })
+    if (!response.ok) return
+
+    setThreads(prev => prev.filter(thread => thread.id !== id))
+    if (id === threadId) startNewThread()
+  }
+
+  // Apply a change to the answer currently being streamed (always the last message)
+  function updateLastMessage(update) {
+    setMessages(prev => [...prev.slice(0, -1), { ...prev[prev.length - 1], ...update(prev[prev.length - 1]) }])
+  }
+
   useEffect(() => {
     // Scroll to bottom when new messages
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }, [messages])
   
+  const quotaExhausted = quota && !quota.unlimited && quota.remaining === 0
+
   async function askQuestion() {
-    if (!input.trim() || loading) return
+    if (!input.trim() || loading || quotaExhausted) return
     
     const question = input.trim()
     setInput('')
@@ -49,29 +133,51 @@ export default function ChatPage() {
       const response = await fetch('/api/chat', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ question, courseId })
+        body: JSON.stringify({ question, courseId, threadId })
       })
-      
-      const data = await response.json()
-      
-      if (!response.ok) {
+
+      // Failures before the answer starts (quota, auth) come back as JSON
+      if (!response.headers.get('content-type')?.includes('text/event-stream')) {
+        const data = await response.json()
+        if (data.quota) {
+          setQuota(data.quota)
+        }
         throw new Error(data.error || 'Failed to get answer')
       }
-      
-      // Add AI response
-      setMessages(prev => [...prev, {
-        role: 'assistant',
-        content: data.answer,
-        sources: data.sources,
-        cached: data.cached
-      }])
+
+      for await (const { event, data } of readServerSentEvents(response.body)) {
+        if (event === 'meta') {
+          setThreadId(data.threadId)
+          if (data.quota) {
+            setQuota(data.quota)
+          }
+          // Add AI response, filled in as tokens arrive
+          setMessages(prev => [...prev, {
+            role: 'assistant',
+            content: '',
+            sources: data.sources,
+            cached: data.cached,
+            streaming: true
+          }])
+        } else if (event === 'token') {
+          updateLastMessage(last => ({ content: last.content + data.text }))
+        } else if (event === 'done') {
+          updateLastMessage(() => ({ streaming: false }))
+        } else if (event === 'error') {
+          throw new Error(data.error)
+        }
+      }
+
+      loadThreads()
       
     } catch (error) {
-      setMessages(prev => [...prev, {
-        role: 'error',
-        content: `Error: ${error.message}`
-      }])
+      setMessages(prev => [
+        ...prev.filter(msg => !msg.streaming || msg.content),
+        { role: 'error', content: `Error: ${error.message}` }
+      ])
     } finally {
+      // A dropped connection never sends 'done'
+      setMessages(prev => prev.map(msg => msg.streaming ? { ...msg, streaming: false } : msg))
       setLoading(false)
     }
   }
@@ -87,14 +193,73 @@ export default function ChatPage() {
     <div className="flex flex-col h-screen max-w-4xl mx-auto">
       {/* Header */}
       <div className="bg-white border-b border-gray-200 p-4">
-        <h1 className="text-xl font-semibold">
-          {course ? `${course.course_name} AI Tutor` : 'AI Tutor'}
-        </h1>
-        <p className="text-sm text-gray-600">
-          Ask questions about course materials
-        </p>
+        <div className="flex items-center justify-between gap-2">
+          <h1 className="text-xl font-semibold">
+            {course ? `${course.course_name} AI Tutor` : 'AI Tutor'}
+          </h1>
+          <div className="flex gap-2 text-sm">
+            <button
+              onClick={() => setShowThreads(!showThreads)}
+              className="px-3 py-1 rounded-lg border border-gray-300 hover:bg-gray-50"
+            >
+              History{threads.length > 0 && ` (${threads.length})`}
+            </button>
+            <button
+              onClick={startNewThread}
+              disabled={loading}
+              className="px-3 py-1 rounded-lg border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+            >
+              New chat
+            </button>
+          </div>
+        </div>
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-600">
+            Ask questions about course materials
+          </p>
+          {quota && !quota.unlimited && (
+            <span
+              className={`text-xs font-medium px-2 py-1 rounded-full ${
+                quota.remaining === 0
+                  ? 'bg-red-100 text-red-700'
+                  : quota.remaining <= 3
+                  ? 'bg-yellow-100 text-yellow-800'
+                  : 'bg-blue-100 text-blue-700'
+              }`}
+              title={`Resets ${new Date(quota.resetAt).toLocaleString()}`}
+            >
+              {quota.remaining} of {quota.limit} questions left today
+            </span>
+          )}
+        </div>
       </div>
       
+      {/* Past conversations */}
+      {showThreads && (
+        <div className="bg-gray-50 border-b border-gray-200 max-h-64 overflow-y-auto">
+          {threads.length === 0 ? (
+            <p className="p-4 text-sm text-gray-500">No past conversations for this course yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {threads.map(thread => (
+                <li key={thread.id} className={`flex items-center justify-between gap-2 px-4 py-2 ${thread.id === threadId ? 'bg-blue-50' : ''}`}>
+                  <button onClick={() => openThread(thread.id)} className="flex-1 text-left min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">{thread.title}</p>
+                    <p className="text-xs text-gray-500">{new Date(thread.updated_at).toLocaleString()}</p>
+                  </button>
+                  <button
+                    onClick={() => deleteThread(thread.id)}
+                    className="text-xs text-red-600 hover:underline"
+                  >
+                    Delete
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      
       {/* Messages */}
       <div className="flex-1 overflow-y-auto p-4 space-y-4">
         {messages.length === 0 && (
@@ -118,15 +283,32 @@ export default function ChatPage() {
                   : 'bg-gray-100 text-gray-900'
               }`}
             >
-              <p className="whitespace-pre-wrap">{msg.content}</p>
+              <p className="whitespace-pre-wrap">
+                {msg.content}
+                {msg.streaming && <span className="inline-block w-2 h-4 ml-0.5 align-middle bg-gray-500 animate-pulse" />}
+              </p>
               
-              {msg.sources && msg.sources.length > 0 && (
+              {!msg.streaming && msg.sources && msg.sources.length > 0 && (
                 <div className="mt-3 pt-3 border-t border-gray-300 text-xs">
                   <p className="font-semibold mb-1">Sources:</p>
                   <ul className="space-y-1">
                     {msg.sources.map(source => (
                       <li key={source.index} className="text-gray-700">
-                        [{source.index}] {source.preview}
+                        [{source.index}]{' '}
+                        {source.materialId && source.page ? (
+                          <Link
+                            href={`/materials/${source.materialId}/view?page=${source.page}`}
+                            className="font-medium text-blue-700 hover:underline"
+                          >
+                            {source.materialTitle || 'Source'}
+                            {source.heading && ` – ${source.heading}`}
+                            {', '}
+                            {source.pageEnd && source.pageEnd !== source.page
+                              ? `pp. ${source.page}–${source.pageEnd}`
+                              : `p. ${source.page}`}
+                          </Link>
+                        ) : null}{' '}
+                        {source.preview}
                       </li>
                     ))}
                   </ul>
@@ -141,7 +323,7 @@ export default function ChatPage() {
           </div>
         ))}
         
-        {loading && (
+        {loading && messages[messages.length - 1]?.role === 'user' && (
           <div className="flex justify-start">
             <div className="bg-gray-100 rounded-lg p-4">
               <div className="flex space-x-2">
@@ -163,22 +345,34 @@ export default function ChatPage() {
             value={input}
             onChange={(e) => setInput(e.target.value)}
             onKeyPress={handleKeyPress}
-            placeholder="Ask a question about the course..."
+            placeholder={quotaExhausted
+              ? `Daily limit reached - resets ${new Date(quota.resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+              : 'Ask a question about the course...'}
             rows={2}
             className="flex-1 border border-gray-300 rounded-lg px-4 py-2 resize-none focus:outline-none focus:ring-2 focus:ring-blue-500"
-            disabled={loading}
+            disabled={loading || quotaExhausted}
           />
           <button
             onClick={askQuestion}
-            disabled={loading || !input.trim()}
+            disabled={loading || !input.trim() || quotaExhausted}
             className="bg-blue-600 text-white px-6 rounded-lg font-medium hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
           >
             Send
           </button>
         </div>
-        <p className="text-xs text-gray-500 mt-2">
-          Press Enter to send, Shift+Enter for new line
-        </p>
+        {quotaExhausted && tier === 'free' ? (
+          <p className="text-xs text-gray-600 mt-2">
+            Need more questions today?{' '}
+            <Link href="/subscribe" className="font-medium text-blue-600 hover:underline">
+              Upgrade to Premium
+            </Link>{' '}
+            for {DAILY_QUESTION_LIMITS.premium} questions a day.
+          </p>
+        ) : (
+          <p className="text-xs text-gray-500 mt-2">
+            Press Enter to send, Shift+Enter for new line
+          </p>
+        )}
       </div>
     </div>
   )
@@ -3,9 +3,12 @@
 import { useState } from 'react'
 import { useParams } from 'next/navigation'
 import Link from 'next/link'
-import { useOfflineMaterials, useOfflineCourse, useOfflineTopics } from '@/lib/hooks/useOfflineData'
+import { useOfflineMaterials, useOfflineCourse, useOfflineTopics, useOfflineResourceLinks } from '@/lib/hooks/useOfflineData'
 import MaterialCard from '@/components/MaterialCard'
+import ResourceLinks from '@/components/ResourceLinks'
+import SaveUnitOffline from '@/components/SaveUnitOffline'
 import CourseShareButton from '@/components/CourseShareButton'
+import MaterialRequests from '@/components/MaterialRequests'
 
 export default function CoursePage() {
   const params = useParams()
@@ -18,6 +21,9 @@ export default function CoursePage() {
   const [unitSearch, setUnitSearch] = useState('')
   const [showAllUnits, setShowAllUnits] = useState(true)
 
+  // 'units' = browse materials, 'requests' = requested materials board
+  const [activeTab, setActiveTab] = useState('units')
+
   // Use online-first hooks with React Query (5-minute cache)
   const {
     course,
@@ -39,6 +45,12 @@ export default function CoursePage() {
     lastFetch: lastSync
   } = useOfflineMaterials(courseId)
 
+  // YouTube/Drive links - not part of the loading state, they render when ready
+  const {
+    links: resourceLinks,
+    refetch: refetchLinks,
+  } = useOfflineResourceLinks(courseId)
+
   // Separate general materials from topic-specific ones
   const generalMaterials = allMaterials.filter(m => !m.topic_id)
   const materials = allMaterials.filter(m => m.topic_id)
@@ -253,8 +265,30 @@ export default function CoursePage() {
         </div>
       </div>
 
-      {/* Show Units View or Selected Unit Materials View */}
-      {showAllUnits ? (
+      {/* Tabs */}
+      <div className="flex gap-6 border-b border-gray-200 mb-6">
+        {[
+          { id: 'units', label: 'Units & Materials' },
+          { id: 'requests', label: 'Requested Materials' }
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`pb-3 text-sm font-medium border-b-2 -mb-px transition-colors ${
+              activeTab === tab.id
+                ? 'border-blue-600 text-blue-600'
+                : 'border-transparent text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Requested Materials Board, Units View or Selected Unit Materials View */}
+      {activeTab === 'requests' ? (
+        <MaterialRequests courseId={courseId} topics={topics} />
+      ) : showAllUnits ? (
         <>
           {/* Unit Search */}
           <div className="mb-6">
@@ -446,6 +480,8 @@ export default function CoursePage() {
                 </div>
               ) : (
                 <>
+                  <SaveUnitOffline courseId={courseId} topicId={selectedUnit.id} isOffline={isOffline} />
+
                   {(() => {
                     const groupedMaterials = groupMaterialsByWeek(getMaterialsForTopic(selectedUnit.id))
                     const sortedWeeks = Object.keys(groupedMaterials.weekly).sort((a, b) => {
@@ -523,6 +559,15 @@ export default function CoursePage() {
               )}
             </>
           )}
+
+          {/* YouTube / Drive / external links for this unit (or general links) */}
+          <ResourceLinks
+            courseId={courseId}
+            topicId={selectedUnit?.id || null}
+            links={resourceLinks.filter(link => (link.topic_id || null) === (selectedUnit?.id || null))}
+            isOffline={isOffline}
+            onChange={refetchLinks}
+          />
         </>
       )}
 
@@ -1,22 +1,56 @@
 'use client'
 
-import { useState, useEffect } from 'react'
-import { useParams, useRouter } from 'next/navigation'
+import { useState, useEffect, Suspense } from 'react'
+import { useParams, useRouter, useSearchParams } from 'next/navigation'
 import Link from 'next/link'
+import MaterialVersionHistory from '@/components/MaterialVersionHistory'
 
-export default function MaterialViewerPage() {
+function MaterialViewerContent() {
   const params = useParams()
   const router = useRouter()
+  const searchParams = useSearchParams()
+  // Page cited by the AI tutor (?page=N)
+  const citedPage = parseInt(searchParams.get('page'), 10) || null
+  // Earlier version from the revision history (?version=N)
+  const requestedVersion = parseInt(searchParams.get('version'), 10) || null
   const [material, setMaterial] = useState(null)
   const [viewerUrl, setViewerUrl] = useState(null)
+  const [fileUrl, setFileUrl] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [iframeError, setIframeError] = useState(false)
+  const [history, setHistory] = useState(null)
+  const [showHistory, setShowHistory] = useState(false)
 
   useEffect(() => {
     loadMaterial()
+  }, [params.id, requestedVersion])
+
+  useEffect(() => {
+    loadHistory()
   }, [params.id])
 
+  async function loadHistory() {
+    try {
+      const response = await fetch(`/api/materials/${params.id}/versions`)
+      if (!response.ok) return
+      setHistory(await response.json())
+    } catch (err) {
+      // History is extra - the document itself still opens
+      console.warn('Failed to load revision history:', err)
+    }
+  }
+
+  function handleNewVersion() {
+    setShowHistory(false)
+    loadHistory()
+    if (requestedVersion) {
+      router.replace(`/materials/${params.id}/view`)
+    } else {
+      loadMaterial()
+    }
+  }
+
   async function loadMaterial() {
     try {
       setLoading(true)
@@ -33,12 +67,14 @@ export default function MaterialViewerPage() {
       setMaterial(materialData)
 
       // Get signed URL for viewing
-      const urlResponse = await fetch(`/api/materials/${params.id}/download-url`)
+      const versionQuery = requestedVersion ? `?version=${requestedVersion}` : ''
+      const urlResponse = await fetch(`/api/materials/${params.id}/download-url${versionQuery}`)
       if (!urlResponse.ok) {
         const errorData = await urlResponse.json().catch(() => ({}))
         throw new Error(errorData.error || errorData.details || `Failed to generate viewer URL (${urlResponse.status})`)
       }
       const { url } = await urlResponse.json()
+      setFileUrl(url)
 
       // For images, use the raw R2 signed URL
       // For documents, wrap in Google Docs Viewer
@@ -67,6 +103,12 @@ export default function MaterialViewerPage() {
   }
 
   async function handleDownload() {
+    // The download proxy serves the current version - earlier ones open from their own URL
+    if (viewingOldVersion) {
+      window.open(fileUrl, '_blank')
+      return
+    }
+
     try {
       const response = await fetch(`/api/materials/${params.id}/download`)
       if (!response.ok) throw new Error('Download failed')
@@ -84,6 +126,9 @@ export default function MaterialViewerPage() {
     }
   }
 
+  const viewingVersion = requestedVersion || history?.currentVersion || null
+  const viewingOldVersion = !!(requestedVersion && history && requestedVersion !== history.currentVersion)
+
   // Check if the file is an image
   const isImage = () => {
     if (!material?.type) return false
@@ -147,6 +192,20 @@ export default function MaterialViewerPage() {
 
           {/* Action Buttons - Icons only on mobile */}
           <div className="flex gap-1 shrink-0">
+            {/* Revision History Button */}
+            {history?.versions?.length > 0 && (history.versions.length > 1 || history.canRevise) && (
+              <button
+                onClick={() => setShowHistory(!showHistory)}
+                className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition flex items-center justify-center gap-1 text-gray-700 dark:text-gray-300"
+                title="Revision history"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                <span className="text-xs hidden sm:inline">v{viewingVersion}</span>
+              </button>
+            )}
+
             {/* Download Button */}
             <button
               onClick={handleDownload}
@@ -185,8 +244,47 @@ export default function MaterialViewerPage() {
         </div>
       </div>
 
+      {/* Earlier version - point at the current one */}
+      {viewingOldVersion && (
+        <div className="bg-yellow-50 dark:bg-yellow-900/30 border-b border-yellow-200 dark:border-yellow-800 px-3 py-2 text-xs sm:text-sm text-yellow-900 dark:text-yellow-100 flex items-center justify-between gap-2">
+          <span>You are viewing version {requestedVersion}. Version {history.currentVersion} is the latest.</span>
+          <Link href={`/materials/${params.id}/view`} className="font-medium underline">
+            Open latest
+          </Link>
+        </div>
+      )}
+
+      {/* Cited page - Google Docs Viewer can't jump to a page, the browser's PDF viewer can */}
+      {citedPage && !isImage() && fileUrl && (
+        <div className="bg-blue-50 dark:bg-blue-900/30 border-b border-blue-200 dark:border-blue-800 px-3 py-2 text-xs sm:text-sm text-blue-900 dark:text-blue-100 flex items-center justify-between gap-2">
+          {/* PPTX chunks are indexed per slide */}
+          <span>Cited on {material?.type === 'pptx' ? 'slide' : 'page'} {citedPage}</span>
+          {material?.type === 'pdf' && (
+            <a
+              href={`${fileUrl}#page=${citedPage}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="font-medium underline"
+            >
+              Open at page {citedPage}
+            </a>
+          )}
+        </div>
+      )}
+
       {/* Full-Screen Viewer - Images or Documents */}
-      <div className="flex-1 overflow-hidden">
+      <div className="flex-1 overflow-hidden relative">
+        {showHistory && history && (
+          <MaterialVersionHistory
+            material={material}
+            versions={history.versions}
+            viewingVersion={viewingVersion}
+            canRevise={history.canRevise}
+            onNewVersion={handleNewVersion}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
+
         {isImage() ? (
           /* Native Image Viewer */
           <div className="w-full h-full flex items-center justify-center bg-white dark:bg-gray-800 p-4">
@@ -253,3 +351,15 @@ export default function MaterialViewerPage() {
     </div>
   )
 }
+
+export default function MaterialViewerPage() {
+  return (
+    <Suspense fallback={
+      <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    }>
+      <MaterialViewerContent />
+    </Suspense>
+  )
+}
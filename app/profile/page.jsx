@@ -1,9 +1,22 @@
 'use client';
 
 import { useState, useEffect } from 'react';
+import Link from 'next/link';
 import { useRouter } from 'next/navigation';
 import { createClient } from '@/lib/supabase/client';
 
+const UPLOAD_STATUS_LABELS = {
+  approved: 'Live',
+  pending: 'In review',
+  rejected: 'Rejected',
+};
+
+const UPLOAD_STATUS_STYLES = {
+  approved: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  rejected: 'bg-red-100 text-red-800',
+};
+
 export default function ProfilePage() {
   const router = useRouter();
   const supabase = createClient();
@@ -14,6 +27,7 @@ export default function ProfilePage() {
   const [profile, setProfile] = useState(null);
   const [courses, setCourses] = useState([]);
   const [showRepModal, setShowRepModal] = useState(false);
+  const [uploads, setUploads] = useState([]);
 
   useEffect(() => {
     loadProfile();
@@ -29,6 +43,7 @@ export default function ProfilePage() {
       }
 
       setUser(user);
+      loadUploads(user.id);
 
       const { data, error } = await supabase
         .from('profiles')
@@ -49,6 +64,24 @@ export default function ProfilePage() {
     }
   }
 
+  // Own uploads, including pending and rejected ones (RLS lets uploaders see their own)
+  async function loadUploads(userId) {
+    const { data, error } = await supabase
+      .from('materials')
+      .select('id, title, status, rejection_reason, created_at, courses!course_id(course_name)')
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false })
+      .limit(20);
+
+    if (error) {
+      console.error('Failed to load uploads:', error.message);
+      return;
+    }
+
+    setUploads(data || []);
+  }
+
   async function loadCourses() {
     const { data } = await supabase
       .from('courses')
@@ -98,12 +131,7 @@ export default function ProfilePage() {
       if (!confirm) return;
 
       try {
-        const { error } = await supabase
-          .from('profiles')
-          .update({ role: 'student' })
-          .eq('id', user.id);
-
-        if (error) throw error;
+        await updateRole('student');
 
         alert('Class Rep status removed');
         await loadProfile();
@@ -116,16 +144,23 @@ export default function ProfilePage() {
     }
   }
 
+  // Only the server can change roles (profiles.role is protected in the database)
+  async function updateRole(role) {
+    const response = await fetch('/api/user/role', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ role }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) throw new Error(data.error || 'Failed to update role');
+  }
+
   async function confirmClassRepStatus() {
     setSaving(true);
 
     try {
-      const { error } = await supabase
-        .from('profiles')
-        .update({ role: 'class_rep' })
-        .eq('id', user.id);
-
-      if (error) throw error;
+      await updateRole('class_rep');
 
       setShowRepModal(false);
       alert('You are now a Class Rep! Thank you for contributing to the community.');
@@ -336,6 +371,53 @@ export default function ProfilePage() {
             </div>
           </form>
         </div>
+
+        {/* My Uploads */}
+        <div className="bg-white rounded-lg shadow-md p-8 mt-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">My Uploads</h2>
+          <p className="text-sm text-gray-600 mb-6">
+            New uploads may be checked by a moderator before they go live.
+          </p>
+
+          {uploads.length === 0 ? (
+            <p className="text-gray-500">
+              You haven&apos;t uploaded anything yet.{' '}
+              <Link href="/upload" className="text-blue-600 hover:underline">Upload a material</Link>
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {uploads.map((material) => (
+                <li key={material.id} className="py-3">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      {material.status === 'approved' ? (
+                        <Link
+                          href={`/materials/${material.id}/view`}
+                          className="font-medium text-gray-900 hover:text-blue-600"
+                        >
+                          {material.title}
+                        </Link>
+                      ) : (
+                        <p className="font-medium text-gray-900">{material.title}</p>
+                      )}
+                      <p className="text-sm text-gray-500">
+                        {material.courses?.course_name} • {new Date(material.created_at).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full flex-shrink-0 ${UPLOAD_STATUS_STYLES[material.status] || 'bg-gray-100 text-gray-800'}`}>
+                      {UPLOAD_STATUS_LABELS[material.status] || material.status}
+                    </span>
+                  </div>
+                  {material.status === 'rejected' && material.rejection_reason && (
+                    <p className="mt-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded px-3 py-2">
+                      Rejected: {material.rejection_reason}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
       </div>
 
       {/* Class Rep Confirmation Modal */}
@@ -0,0 +1,426 @@
+'use client'
+
+import { useState, useEffect, Suspense } from 'react'
+import Link from 'next/link'
+import { useRouter, useSearchParams } from 'next/navigation'
+import { createClient } from '@/lib/supabase/client'
+import { useNetworkStatus, useOfflineSearch } from '@/lib/hooks/useOfflineData'
+import { useCachedFile } from '@/lib/hooks/useCachedFile'
+import {
+  MATERIAL_CATEGORY_LABELS,
+  MIN_QUERY_LENGTH,
+  SEARCH_FILE_TYPES,
+  SEARCH_YEARS,
+  splitHighlights,
+} from '@/lib/search/params'
+
+// Categories offered by the upload form; legacy ones still show on results
+const FILTER_CATEGORIES = ['notes', 'past_paper', 'lab_material', 'assignment']
+
+const FILE_TYPE_LABELS = {
+  pdf: 'PDF',
+  docx: 'Word',
+  pptx: 'PowerPoint',
+  image: 'Image',
+  other: 'Other',
+}
+
+const MATCH_TYPE_LABELS = {
+  metadata: 'Title / description',
+  page: 'Page text',
+  semantic: 'Related content',
+}
+
+const FILTER_KEYS = ['courseId', 'topicId', 'category', 'year', 'type']
+
+function SearchPageContent() {
+  const router = useRouter()
+  const searchParams = useSearchParams()
+  const supabase = createClient()
+
+  // The URL is the source of truth, so searches can be shared and bookmarked
+  const query = searchParams.get('q') || ''
+  const filters = Object.fromEntries(FILTER_KEYS.map(key => [key, searchParams.get(key) || '']))
+
+  const { isOffline } = useNetworkStatus()
+  const { openFile } = useCachedFile()
+  // Offline, search what's saved on this device instead
+  const offlineSearch = useOfflineSearch(isOffline ? query : '', { courseId: filters.courseId || null })
+
+  const [input, setInput] = useState(query)
+  const [courses, setCourses] = useState([])
+  const [topics, setTopics] = useState([])
+  const [results, setResults] = useState([])
+  const [searched, setSearched] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setInput(query)
+  }, [query])
+
+  // Load courses
+  useEffect(() => {
+    async function loadCourses() {
+      const { data } = await supabase
+        .from('courses')
+        .select('id, course_name')
+        .order('course_name')
+
+      setCourses(data || [])
+    }
+    loadCourses()
+  }, [])
+
+  // Load units of the selected course
+  useEffect(() => {
+    if (!filters.courseId) {
+      setTopics([])
+      return
+    }
+
+    async function loadTopics() {
+      const { data } = await supabase
+        .from('topics')
+        .select('id, topic_name, unit_code, year, semester')
+        .eq('course_id', filters.courseId)
+        .order('year', { ascending: true })
+        .order('semester', { ascending: true })
+
+      setTopics(data || [])
+    }
+    loadTopics()
+  }, [filters.courseId])
+
+  // Run the search whenever the URL changes
+  useEffect(() => {
+    if (isOffline || query.trim().length < MIN_QUERY_LENGTH) {
+      setResults([])
+      setSearched(false)
+      return
+    }
+
+    const controller = new AbortController()
+
+    async function runSearch() {
+      setLoading(true)
+      setError('')
+
+      try {
+        const response = await fetch(`/api/search?${searchParams.toString()}`, {
+          signal: controller.signal
+        })
+        const data = await response.json()
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Search failed')
+        }
+
+        setResults(data.results)
+        setSearched(true)
+      } catch (err) {
+        if (err.name === 'AbortError') return
+        console.error('Search error:', err)
+        setError(err.message)
+        setResults([])
+      } finally {
+        if (!controller.signal.aborted) setLoading(false)
+      }
+    }
+    runSearch()
+
+    return () => controller.abort()
+  }, [searchParams, isOffline])
+
+  function updateUrl(changes) {
+    const params = new URLSearchParams(searchParams.toString())
+
+    for (const [key, value] of Object.entries(changes)) {
+      if (value) {
+        params.set(key, value)
+      } else {
+        params.delete(key)
+      }
+    }
+
+    router.replace(`/search?${params.toString()}`)
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault()
+    updateUrl({ q: input.trim() })
+  }
+
+  function handleCourseChange(courseId) {
+    // Units belong to a course
+    updateUrl({ courseId, topicId: '' })
+  }
+
+  function clearFilters() {
+    updateUrl(Object.fromEntries(FILTER_KEYS.map(key => [key, ''])))
+  }
+
+  function getCategoryLabel(result) {
+    if (!result.category) return null
+
+    let label = MATERIAL_CATEGORY_LABELS[result.category] || 'Material'
+
+    if (result.categoryMetadata) {
+      if (result.categoryMetadata.week) label += ` - Week ${result.categoryMetadata.week}`
+      if (result.categoryMetadata.year) label += ` (${result.categoryMetadata.year})`
+      if (result.categoryMetadata.assignment_number) label += ` #${result.categoryMetadata.assignment_number}`
+    }
+
+    return label
+  }
+
+  function getPageLabel(result) {
+    const { page, pageEnd } = result.location
+    const unit = result.type === 'pptx' ? 'Slide' : 'Page'
+    return pageEnd && pageEnd !== page ? `${unit}s ${page}-${pageEnd}` : `${unit} ${page}`
+  }
+
+  // The offline index only narrows by course; apply the other filters here
+  function matchesFilters(result) {
+    if (filters.topicId && result.unit?.id !== filters.topicId) return false
+    if (filters.category && result.category !== filters.category) return false
+    if (filters.year && String(result.unit?.year) !== filters.year) return false
+    if (filters.type && result.type !== filters.type) return false
+    return true
+  }
+
+  const hasFilters = FILTER_KEYS.some(key => filters[key])
+  const shownResults = isOffline ? offlineSearch.results.filter(matchesFilters) : results
+  const isLoading = isOffline ? offlineSearch.loading : loading
+  const hasSearched = isOffline ? query.trim().length > 0 && !offlineSearch.loading : searched
+  const selectClassName = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent'
+
+  return (
+    <div className="max-w-5xl mx-auto p-8">
+      <h1 className="text-4xl font-bold mb-2">Search Materials</h1>
+      <p className="text-gray-600 dark:text-gray-400 mb-6">
+        Search notes, past papers and lab materials across all courses
+      </p>
+
+      {/* Search box */}
+      <form onSubmit={handleSubmit} className="flex gap-2 mb-4">
+        <input
+          type="search"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="e.g. thevenin theorem, 2023 past paper, normalization"
+          className="flex-1 px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          autoFocus
+        />
+        <button
+          type="submit"
+          disabled={input.trim().length < MIN_QUERY_LENGTH}
+          className="px-6 py-3 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          Search
+        </button>
+      </form>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-2 mb-8">
+        <select
+          value={filters.courseId}
+          onChange={(e) => handleCourseChange(e.target.value)}
+          className={selectClassName}
+          aria-label="Course"
+        >
+          <option value="">All courses</option>
+          {courses.map(course => (
+            <option key={course.id} value={course.id}>{course.course_name}</option>
+          ))}
+        </select>
+
+        <select
+          value={filters.topicId}
+          onChange={(e) => updateUrl({ topicId: e.target.value })}
+          disabled={!filters.courseId}
+          className={`${selectClassName} disabled:opacity-50`}
+          aria-label="Unit"
+        >
+          <option value="">{filters.courseId ? 'All units' : 'Select a course for units'}</option>
+          {topics.map(topic => (
+            <option key={topic.id} value={topic.id}>
+              {topic.unit_code ? `${topic.unit_code} - ` : ''}{topic.topic_name}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={filters.category}
+          onChange={(e) => updateUrl({ category: e.target.value })}
+          className={selectClassName}
+          aria-label="Category"
+        >
+          <option value="">All categories</option>
+          {FILTER_CATEGORIES.map(category => (
+            <option key={category} value={category}>{MATERIAL_CATEGORY_LABELS[category]}</option>
+          ))}
+        </select>
+
+        <select
+          value={filters.year}
+          onChange={(e) => updateUrl({ year: e.target.value })}
+          className={selectClassName}
+          aria-label="Year"
+        >
+          <option value="">All years</option>
+          {SEARCH_YEARS.map(year => (
+            <option key={year} value={year}>Year {year}</option>
+          ))}
+        </select>
+
+        <select
+          value={filters.type}
+          onChange={(e) => updateUrl({ type: e.target.value })}
+          className={selectClassName}
+          aria-label="File type"
+        >
+          <option value="">All file types</option>
+          {SEARCH_FILE_TYPES.map(type => (
+            <option key={type} value={type}>{FILE_TYPE_LABELS[type]}</option>
+          ))}
+        </select>
+
+        {hasFilters && (
+          <button
+            onClick={clearFilters}
+            className="px-3 py-2 text-sm text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {/* Results */}
+      {isOffline && (
+        <div className="flex items-center gap-2 bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg mb-6 text-sm">
+          <span className="w-2 h-2 bg-yellow-500 rounded-full"></span>
+          You&apos;re offline - searching courses and files saved on this device
+        </div>
+      )}
+
+      {error && !isOffline && (
+        <div className="bg-red-50 border border-red-200 text-red-800 px-4 py-3 rounded-lg mb-6">
+          {error}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="space-y-4 animate-pulse">
+          {[1, 2, 3].map(i => (
+            <div key={i} className="h-28 bg-gray-200 dark:bg-gray-700 rounded-lg"></div>
+          ))}
+        </div>
+      ) : hasSearched && shownResults.length === 0 && (isOffline || !error) ? (
+        <div className="text-center py-16 text-gray-500 dark:text-gray-400">
+          <div className="text-4xl mb-4">🔍</div>
+          <p>No materials match &ldquo;{query}&rdquo;{hasFilters && ' with these filters'}.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {hasSearched && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {shownResults.length} result{shownResults.length === 1 ? '' : 's'}
+            </p>
+          )}
+
+          {shownResults.map(result => (
+            <div
+              key={result.id}
+              className="border border-gray-200 dark:border-gray-700 rounded-lg p-5 bg-white dark:bg-gray-800 hover:shadow-md transition-shadow"
+            >
+              {isOffline ? (
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{result.title}</h2>
+              ) : (
+                <Link href={result.viewerUrl} className="text-lg font-semibold text-blue-700 dark:text-blue-400 hover:underline">
+                  {result.title}
+                </Link>
+              )}
+
+              <div className="flex flex-wrap gap-2 mt-2 text-xs">
+                {result.course?.name && (
+                  <span className="px-2 py-1 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">
+                    {result.course.name}
+                  </span>
+                )}
+                {result.unit && (
+                  <span className="px-2 py-1 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">
+                    {result.unit.code ? `${result.unit.code} - ` : ''}{result.unit.name}
+                    {result.unit.year && ` (Y${result.unit.year}S${result.unit.semester || '?'})`}
+                  </span>
+                )}
+                {getCategoryLabel(result) && (
+                  <span className="px-2 py-1 rounded-full bg-blue-50 dark:bg-blue-900 text-blue-700 dark:text-blue-200">
+                    {getCategoryLabel(result)}
+                  </span>
+                )}
+                <span className="px-2 py-1 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">
+                  {FILE_TYPE_LABELS[result.type] || result.type}
+                </span>
+              </div>
+
+              {result.location?.snippet ? (
+                <p className="mt-3 text-sm text-gray-700 dark:text-gray-300">
+                  {result.location.heading && (
+                    <span className="font-medium">{result.location.heading}: </span>
+                  )}
+                  {splitHighlights(result.location.snippet).map((part, i) => (
+                    part.highlight
+                      ? <mark key={i} className="bg-yellow-100 dark:bg-yellow-800 rounded px-0.5">{part.text}</mark>
+                      : <span key={i}>{part.text}</span>
+                  ))}
+                  {!isOffline && '…'}
+                </p>
+              ) : result.description && (
+                <p className="mt-3 text-sm text-gray-600 dark:text-gray-400 line-clamp-2">{result.description}</p>
+              )}
+
+              <div className="flex items-center justify-between mt-3 text-xs text-gray-500 dark:text-gray-400">
+                {isOffline ? (
+                  <>
+                    <span>{result.location?.page ? `Found on ${getPageLabel(result).toLowerCase()}` : 'Matched title / description'}</span>
+                    {result.isCached ? (
+                      <button
+                        onClick={() => openFile(result.id, result.fileUrl, result.title)}
+                        className="text-blue-600 dark:text-blue-400 hover:underline font-medium"
+                      >
+                        Open saved file →
+                      </button>
+                    ) : (
+                      <span>Not saved for offline use</span>
+                    )}
+                  </>
+                ) : (
+                  <span>Matched: {result.matchTypes.map(type => MATCH_TYPE_LABELS[type]).join(', ')}</span>
+                )}
+                {!isOffline && result.location?.page && (
+                  <Link href={result.viewerUrl} className="text-blue-600 dark:text-blue-400 hover:underline font-medium">
+                    Open at {getPageLabel(result)} →
+                  </Link>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function SearchPage() {
+  return (
+    <Suspense fallback={<div className="min-h-screen flex items-center justify-center">
+      <div className="text-center">
+        <div className="animate-spin text-4xl mb-4">⏳</div>
+        <p className="text-gray-600">Loading search...</p>
+      </div>
+    </div>}>
+      <SearchPageContent />
+    </Suspense>
+  )
+}
@@ -0,0 +1,221 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react'
+import Link from 'next/link'
+import { useUser } from '@/lib/providers/UserProvider'
+
+const POLL_INTERVAL_MS = 3000
+const POLL_TIMEOUT_MS = 2 * 60 * 1000
+
+export default function SubscribePage() {
+  const { user, loading: authLoading } = useUser()
+
+  const [plans, setPlans] = useState([])
+  const [subscription, setSubscription] = useState(null)
+  const [features, setFeatures] = useState(null)
+  const [selectedPlan, setSelectedPlan] = useState('')
+  const [phoneNumber, setPhoneNumber] = useState('')
+  const [paying, setPaying] = useState(false)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(true)
+
+  const pollTimer = useRef(null)
+
+  useEffect(() => {
+    if (authLoading) return
+    if (!user) {
+      setLoading(false)
+      return
+    }
+    loadSubscription()
+
+    return () => clearTimeout(pollTimer.current)
+  }, [user, authLoading])
+
+  async function loadSubscription() {
+    try {
+      const response = await fetch('/api/subscriptions')
+      const data = await response.json()
+
+      if (!response.ok) throw new Error(data.error || 'Failed to load plans')
+
+      setPlans(data.plans)
+      setSubscription(data.subscription)
+      setFeatures(data.features)
+      setSelectedPlan(prev => prev || data.plans[data.plans.length - 1]?.id || '')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Wait for the M-Pesa callback to settle the payment
+  function pollPayment(paymentId, startedAt = Date.now()) {
+    pollTimer.current = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/subscriptions?paymentId=${paymentId}`)
+        const data = await response.json()
+        const status = data.payment?.status
+
+        if (status === 'completed') {
+          setMessage(`Payment received (${data.payment.receipt_number}). Premium is now active!`)
+          setSubscription(data.subscription)
+          setFeatures(data.features)
+          setPaying(false)
+          return
+        }
+
+        if (status === 'failed' || status === 'expired') {
+          setError(data.payment.result_description || 'Payment was not completed')
+          setMessage('')
+          setPaying(false)
+          return
+        }
+
+        if (Date.now() - startedAt > POLL_TIMEOUT_MS) {
+          setMessage('Still waiting for M-Pesa. If you paid, your plan will activate shortly - refresh this page in a minute.')
+          setPaying(false)
+          return
+        }
+
+        pollPayment(paymentId, startedAt)
+      } catch (err) {
+        setError(err.message)
+        setPaying(false)
+      }
+    }, POLL_INTERVAL_MS)
+  }
+
+  async function handleCheckout(e) {
+    e.preventDefault()
+    setPaying(true)
+    setError('')
+    setMessage('')
+
+    try {
+      const response = await fetch('/api/subscriptions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ planId: selectedPlan, phoneNumber })
+      })
+      const data = await response.json()
+
+      if (!response.ok) throw new Error(data.error || 'Failed to start payment')
+
+      if (data.status === 'pending') {
+        setMessage(data.message || 'Check your phone and enter your M-Pesa PIN')
+        pollPayment(data.paymentId)
+        return
+      }
+
+      if (data.status === 'completed') {
+        setMessage('Payment received. Premium is now active!')
+        await loadSubscription()
+      } else {
+        setError(data.message || 'Payment was not completed')
+      }
+      setPaying(false)
+    } catch (err) {
+      setError(err.message)
+      setPaying(false)
+    }
+  }
+
+  if (authLoading || loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    )
+  }
+
+  if (!user) {
+    return (
+      <div className="max-w-md mx-auto p-6 text-center">
+        <p className="text-gray-700 mb-4">Log in to upgrade to Premium.</p>
+        <Link href="/auth/login" className="inline-block bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+          Log in
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto p-6">
+      <h1 className="text-2xl font-bold mb-2">Go Premium</h1>
+      <p className="text-gray-600 mb-6">
+        More AI tutor questions every day and one-tap &quot;Save unit offline&quot; for exam season.
+      </p>
+
+      {subscription && (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+          <p className="font-medium text-green-900">
+            ✓ {subscription.tier === 'class_rep' ? 'Class Rep' : 'Premium'} active
+          </p>
+          <p className="text-sm text-green-800">
+            Expires {new Date(subscription.expires_at).toLocaleDateString()}. Paying again adds time to your plan.
+          </p>
+        </div>
+      )}
+
+      {features && (
+        <ul className="text-sm text-gray-700 mb-6 space-y-1">
+          <li>🤖 {features.dailyQuestions} AI questions per day on your current plan</li>
+          <li>{features.bulkOfflineDownload ? '✅' : '🔒'} Save whole units for offline study</li>
+        </ul>
+      )}
+
+      <form onSubmit={handleCheckout} className="space-y-4">
+        <div className="grid gap-3 sm:grid-cols-2">
+          {plans.map(plan => (
+            <label
+              key={plan.id}
+              className={`border rounded-lg p-4 cursor-pointer ${
+                selectedPlan === plan.id ? 'border-blue-600 bg-blue-50' : 'border-gray-300'
+              }`}
+            >
+              <input
+                type="radio"
+                name="plan"
+                value={plan.id}
+                checked={selectedPlan === plan.id}
+                onChange={() => setSelectedPlan(plan.id)}
+                className="sr-only"
+              />
+              <p className="font-semibold">{plan.name}</p>
+              <p className="text-2xl font-bold">KES {plan.amount}</p>
+              <p className="text-xs text-gray-500">{plan.durationDays} days</p>
+            </label>
+          ))}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            M-Pesa phone number
+          </label>
+          <input
+            type="tel"
+            value={phoneNumber}
+            onChange={(e) => setPhoneNumber(e.target.value)}
+            placeholder="07XX XXX XXX"
+            required
+            className="w-full border border-gray-300 rounded px-3 py-2"
+          />
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {message && <p className="text-sm text-blue-700">{message}</p>}
+
+        <button
+          type="submit"
+          disabled={paying || !selectedPlan}
+          className="w-full bg-green-600 text-white py-3 rounded-lg font-medium hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          {paying ? 'Waiting for M-Pesa...' : 'Pay with M-Pesa'}
+        </button>
+      </form>
+    </div>
+  )
+}
@@ -6,13 +6,18 @@ import { useUser } from '@/lib/auth/useUser'
 import { syncMaterialsForCourse, syncTopicsForCourse, syncCourses } from '@/lib/db/syncManager'
 import { addToUploadQueue, initUploadQueue } from '@/lib/uploadQueue'
 import UploadQueue from '@/components/UploadQueue'
+import PhotoPdfBuilder from '@/components/PhotoPdfBuilder'
 // import ProductTour from '@/components/onboarding/ProductTour' // Temporarily disabled - React 18 compatibility issue
 import { useOnboarding } from '@/lib/hooks/useOnboarding'
 import { useSearchParams } from 'next/navigation'
+import Link from 'next/link'
 import { performFullUpload } from '@/lib/upload/direct-r2-upload'
+import { canManageRequests } from '@/lib/utils/materialRequests'
+import { useAccess } from '@/lib/providers/ModerationAccessProvider'
 
 function UploadPageContent() {
   const { user, profile, loading: authLoading } = useUser()
+  const { data: access } = useAccess()
   const { shouldShowTour } = useOnboarding()
   const searchParams = useSearchParams()
 
@@ -27,12 +32,15 @@ function UploadPageContent() {
   const [uploading, setUploading] = useState(false)
   const [uploadProgress, setUploadProgress] = useState(0)
   const [shareMessage, setShareMessage] = useState('')
+  const [reviewNotice, setReviewNotice] = useState('')
   const [error, setError] = useState('')
+  const [duplicateOf, setDuplicateOf] = useState(null)
   const [materialCategory, setMaterialCategory] = useState('')
   const [weekNumber, setWeekNumber] = useState('')
   const [yearNumber, setYearNumber] = useState('')
   const [assignmentNumber, setAssignmentNumber] = useState('')
   const [isDragging, setIsDragging] = useState(false)
+  const [showPhotoPdfBuilder, setShowPhotoPdfBuilder] = useState(false)
   const [runTour, setRunTour] = useState(false)
 
   // Autocomplete states
@@ -56,6 +64,10 @@ function UploadPageContent() {
   const [materialWeekNumber, setMaterialWeekNumber] = useState('')
   const [queuedToast, setQueuedToast] = useState('')
 
+  // Material request fulfilment (class reps/admins only)
+  const [openRequests, setOpenRequests] = useState([])
+  const [fulfillsRequestId, setFulfillsRequestId] = useState('')
+
   const supabase = createClient()
 
   // Initialize upload queue
@@ -91,6 +103,34 @@ function UploadPageContent() {
     }
   }, [profile])
 
+  // Pre-select a material request when arriving from the "Requested materials" board
+  useEffect(() => {
+    const requestParam = searchParams?.get('request')
+    if (requestParam) {
+      setFulfillsRequestId(requestParam)
+    }
+  }, [searchParams])
+
+  // Load open material requests for the selected course so class reps can fulfil one
+  useEffect(() => {
+    if (!selectedCourse || !canManageRequests(access, selectedCourse)) {
+      setOpenRequests([])
+      return
+    }
+
+    async function loadOpenRequests() {
+      try {
+        const response = await fetch(`/api/courses/${selectedCourse}/requests?status=open`)
+        const data = await response.json()
+        setOpenRequests(response.ok ? data.requests || [] : [])
+      } catch (err) {
+        console.error('Failed to load material requests:', err)
+        setOpenRequests([])
+      }
+    }
+    loadOpenRequests()
+  }, [selectedCourse, access])
+
   // Close dropdowns when clicking outside
   useEffect(() => {
     function handleClickOutside(event) {
@@ -317,6 +357,16 @@ Uploaded by: ${uploaderText}`
     setFiles(prev => prev.filter((_, i) => i !== index))
   }
 
+  // Replace the combined photos with their PDF, where the first photo was
+  function handleCombinePhotos(pdf, photos) {
+    setFiles(prev => {
+      const insertAt = prev.findIndex(f => photos.includes(f))
+      const remaining = prev.filter(f => !photos.includes(f))
+      return [...remaining.slice(0, insertAt), pdf, ...remaining.slice(insertAt)]
+    })
+    setShowPhotoPdfBuilder(false)
+  }
+
   // Drag & drop handlers
   function handleDragEnter(e) {
     e.preventDefault()
@@ -448,10 +498,21 @@ Uploaded by: ${uploaderText}`
     }
   }
   
+  // Near-duplicate warning: resolves true to save the file anyway
+  async function confirmSimilarUpload(matches, file) {
+    const [closest] = matches
+    const others = matches.length > 1 ? ` (and ${matches.length - 1} more)` : ''
+    return window.confirm(
+      `"${file.name}" looks like "${closest.title}" already in this unit${others} - ` +
+      `${Math.round(closest.similarity * 100)}% similar.\n\nUpload it anyway?`
+    )
+  }
+
   // Upload all selected files directly to R2
   async function handleUpload(e) {
     e.preventDefault()
     setError('')
+    setDuplicateOf(null)
     setQueuedToast('')
 
     // Validate required fields: files, course, unit, material type
@@ -527,10 +588,12 @@ Uploaded by: ${uploaderText}`
               const fileProgress = (index / files.length) * 100
               const currentFileProgress = ((percentage / 100) / files.length) * 100
               setUploadProgress(fileProgress + currentFileProgress)
-            }
+            },
+            { onSimilar: confirmSimilarUpload }
           )
 
-          lastMaterial = uploadedMaterial
+          // null = the uploader skipped a look-alike file
+          if (uploadedMaterial) lastMaterial = uploadedMaterial
           return uploadedMaterial
         } catch (err) {
           console.error(`Failed to upload ${file.name}:`, err)
@@ -538,17 +601,49 @@ Uploaded by: ${uploaderText}`
         }
       })
 
-      await Promise.all(uploadPromises)
+      const uploadedMaterials = (await Promise.all(uploadPromises)).filter(Boolean)
+      const uploadedCount = uploadedMaterials.length
+      const heldForReview = uploadedMaterials.find(m => m.status === 'pending')
+
+      // Mark the chosen material request as fulfilled by the uploaded material
+      if (fulfillsRequestId && lastMaterial?.id) {
+        try {
+          const response = await fetch(`/api/courses/${selectedCourse}/requests/${fulfillsRequestId}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ fulfilledMaterialId: lastMaterial.id }),
+          })
+          if (response.ok) {
+            setOpenRequests(prev => prev.filter(r => r.id !== fulfillsRequestId))
+            setFulfillsRequestId('')
+          } else {
+            const data = await response.json()
+            console.error('Failed to fulfil material request:', data.error)
+          }
+        } catch (err) {
+          console.error('Failed to fulfil material request:', err)
+        }
+      }
 
-      // Show success message with share message
-      if (lastMaterial) {
+      // Held for review - nothing to share until a moderator approves it
+      if (heldForReview) {
+        setReviewNotice(
+          heldForReview.moderation?.message ||
+          'Your upload will be checked by a moderator before it goes live.'
+        )
+      } else if (lastMaterial) {
+        // Show success message with share message
         const shareMsg = generateShareMessage(lastMaterial)
         setShareMessage(shareMsg)
       }
 
       // Show success toast
-      if (files.length === 1) {
+      if (uploadedCount === 0) {
+        setQueuedToast('Upload cancelled - nothing was saved')
+      } else if (files.length === 1) {
         setQueuedToast(`"${files[0].name}" uploaded successfully!`)
+      } else if (uploadedCount < files.length) {
+        setQueuedToast(`${uploadedCount} of ${files.length} files uploaded successfully!`)
       } else {
         setQueuedToast(`${files.length} files uploaded successfully!`)
       }
@@ -568,6 +663,7 @@ Uploaded by: ${uploaderText}`
 
     } catch (err) {
       setError(err.message || 'Upload failed. Please try again.')
+      setDuplicateOf(err.duplicate || null)
       setUploadProgress(0)
     } finally {
       setUploading(false)
@@ -596,6 +692,15 @@ Uploaded by: ${uploaderText}`
       {/* Upload Queue Component */}
       <UploadQueue />
 
+      {/* Photos -> PDF */}
+      {showPhotoPdfBuilder && (
+        <PhotoPdfBuilder
+          photos={files.filter(f => f.type.startsWith('image/'))}
+          onCombine={handleCombinePhotos}
+          onCancel={() => setShowPhotoPdfBuilder(false)}
+        />
+      )}
+
       {/* User Profile Banner */}
       {profile && (
         <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
@@ -618,7 +723,27 @@ Uploaded by: ${uploaderText}`
         </div>
       )}
 
-      {shareMessage ? (
+      {reviewNotice ? (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6 mb-6">
+          <h2 className="text-lg font-semibold text-yellow-800 mb-2">
+            ⏳ Submitted for Review
+          </h2>
+          <p className="text-sm text-yellow-700 mb-2">
+            {reviewNotice}
+          </p>
+          <p className="text-sm text-yellow-700 mb-4">
+            You can follow its status under My Uploads on your{' '}
+            <Link href="/profile" className="font-medium underline">profile</Link>.
+          </p>
+
+          <button
+            onClick={() => setReviewNotice('')}
+            className="bg-yellow-600 text-white px-4 py-2 rounded hover:bg-yellow-700"
+          >
+            Upload Another
+          </button>
+        </div>
+      ) : shareMessage ? (
         <div className="bg-green-50 border border-green-200 rounded-lg p-6 mb-6">
           <h2 className="text-lg font-semibold text-green-800 mb-2">
             ✅ Upload Successful!
@@ -652,6 +777,11 @@ Uploaded by: ${uploaderText}`
           {error && (
             <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
               {error}
+              {duplicateOf && (
+                <a href={duplicateOf.url} className="block mt-1 font-medium underline">
+                  View existing material →
+                </a>
+              )}
             </div>
           )}
           
@@ -1153,6 +1283,17 @@ Uploaded by: ${uploaderText}`
                       Clear All
                     </button>
                   </div>
+                  {/* Several photos of one document - offer a single PDF instead */}
+                  {files.filter(f => f.type.startsWith('image/')).length >= 2 && (
+                    <button
+                      type="button"
+                      onClick={() => setShowPhotoPdfBuilder(true)}
+                      className="w-full mb-3 px-4 py-2 bg-blue-50 border border-blue-200 text-blue-700 rounded-lg text-sm font-medium hover:bg-blue-100 transition flex items-center justify-center gap-2"
+                    >
+                      <span>📄</span>
+                      Combine {files.filter(f => f.type.startsWith('image/')).length} photos into one PDF
+                    </button>
+                  )}
                   <div className="space-y-2 max-h-60 overflow-y-auto">
                     {files.map((file, index) => (
                       <div
@@ -1210,6 +1351,30 @@ Uploaded by: ${uploaderText}`
             </div>
           )}
 
+          {/* Fulfil a Material Request (class reps/admins) */}
+          {files.length > 0 && openRequests.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium mb-2">
+                Fulfils a request? (optional)
+              </label>
+              <select
+                value={fulfillsRequestId}
+                onChange={(e) => setFulfillsRequestId(e.target.value)}
+                className="w-full border border-gray-300 rounded px-3 py-2"
+              >
+                <option value="">No, this isn't for a request</option>
+                {openRequests.map(request => (
+                  <option key={request.id} value={request.id}>
+                    {request.title} ({request.upvote_count} {request.upvote_count === 1 ? 'vote' : 'votes'})
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                The request will be marked as fulfilled and linked to this upload.
+              </p>
+            </div>
+          )}
+
           {/* Upload Button */}
           {files.length > 0 && (
             <div>
@@ -1,5 +1,6 @@
 'use client'
 
+import { useState } from 'react'
 import { useRouter } from 'next/navigation'
 import { useCachedFile } from '@/lib/hooks/useCachedFile'
 
@@ -10,6 +11,7 @@ import { useCachedFile } from '@/lib/hooks/useCachedFile'
 export default function MaterialCard({ material, getCategoryIcon, getFileIcon, getCategoryLabel }) {
   const router = useRouter()
   const { isDownloading, progress } = useCachedFile()
+  const [thumbnailFailed, setThumbnailFailed] = useState(false)
 
   const handleView = (e) => {
     e.preventDefault()
@@ -23,9 +25,20 @@ export default function MaterialCard({ material, getCategoryIcon, getFileIcon, g
     >
 
       <div className="flex items-start gap-3">
-        <span className="text-2xl">
-          {material.material_category ? getCategoryIcon(material.material_category) : getFileIcon(material.type)}
-        </span>
+        {/* Preview of the first page / image, icon until one is generated or if it fails to load */}
+        {material.thumbnail_url && !thumbnailFailed ? (
+          <img
+            src={material.thumbnail_url}
+            alt=""
+            loading="lazy"
+            onError={() => setThumbnailFailed(true)}
+            className="w-16 h-20 object-cover object-top rounded border border-gray-200 dark:border-gray-600 bg-white shrink-0"
+          />
+        ) : (
+          <span className="text-2xl">
+            {material.material_category ? getCategoryIcon(material.material_category) : getFileIcon(material.type)}
+          </span>
+        )}
         <div className="flex-1 min-w-0">
           <div className="flex items-start justify-between gap-2 mb-1">
             <h3 className="font-semibold text-gray-900 dark:text-white">{material.title}</h3>
@@ -42,6 +55,7 @@ export default function MaterialCard({ material, getCategoryIcon, getFileIcon, g
           )}
           <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
             Uploaded by {material.uploaded_by || 'Anonymous'} • {new Date(material.created_at).toLocaleDateString()}
+            {material.current_version > 1 && ` • Version ${material.current_version}`}
           </p>
 
           {/* Action Button */}
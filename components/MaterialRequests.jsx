@@ -0,0 +1,410 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import { useUser } from '@/lib/providers/UserProvider'
+import { useAccess } from '@/lib/providers/ModerationAccessProvider'
+import { canManageRequests, REQUEST_URGENCY_LEVELS, REQUEST_MATERIAL_TYPES } from '@/lib/utils/materialRequests'
+
+const URGENCY_STYLES = {
+  low: 'bg-gray-100 text-gray-700',
+  normal: 'bg-blue-100 text-blue-700',
+  high: 'bg-red-100 text-red-700'
+}
+
+const EMPTY_FORM = {
+  title: '',
+  description: '',
+  topicId: '',
+  materialType: 'any',
+  urgency: 'normal',
+  weekNumber: ''
+}
+
+/**
+ * "Requested materials" board for a course
+ * Students post what's missing and upvote each other's requests;
+ * the course's class reps fulfil them by uploading (see /upload?request=<id>)
+ */
+export default function MaterialRequests({ courseId, topics = [] }) {
+  const { user } = useUser()
+  const { data: access } = useAccess()
+  const isManager = canManageRequests(access, courseId)
+
+  const [requests, setRequests] = useState([])
+  const [statusFilter, setStatusFilter] = useState('open')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [showForm, setShowForm] = useState(false)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [submitting, setSubmitting] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+
+  const loadRequests = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError('')
+      const response = await fetch(`/api/courses/${courseId}/requests?status=${statusFilter}`)
+      const data = await response.json()
+
+      if (!response.ok) throw new Error(data.error || 'Failed to load requests')
+
+      setRequests(data.requests || [])
+    } catch (err) {
+      console.error('Error loading material requests:', err)
+      setError(navigator.onLine ? err.message : 'Material requests are only available online')
+    } finally {
+      setLoading(false)
+    }
+  }, [courseId, statusFilter])
+
+  useEffect(() => {
+    loadRequests()
+  }, [loadRequests])
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    setSubmitting(true)
+    setError('')
+
+    try {
+      const response = await fetch(`/api/courses/${courseId}/requests`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          topicId: form.topicId || null,
+          weekNumber: form.weekNumber || null
+        })
+      })
+      const data = await response.json()
+
+      if (!response.ok) throw new Error(data.error || 'Failed to post request')
+
+      setForm(EMPTY_FORM)
+      setShowForm(false)
+      if (statusFilter === 'open' || statusFilter === 'all') {
+        setRequests(prev => [...prev, data.request])
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  async function toggleUpvote(request) {
+    if (!user) {
+      setError('Sign in to upvote requests')
+      return
+    }
+
+    setBusyId(request.id)
+    try {
+      const response = await fetch(`/api/courses/${courseId}/requests/${request.id}/upvote`, {
+        method: request.has_upvoted ? 'DELETE' : 'POST'
+      })
+      const data = await response.json()
+
+      if (!response.ok) throw new Error(data.error || 'Failed to update vote')
+
+      setRequests(prev => prev
+        .map(r => r.id === request.id
+          ? { ...r, has_upvoted: data.upvoted, upvote_count: data.upvote_count }
+          : r)
+        .sort((a, b) => b.upvote_count - a.upvote_count))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  async function closeRequest(request) {
+    if (!confirm(`Close the request "${request.title}"?`)) return
+
+    setBusyId(request.id)
+    try {
+      const response = await fetch(`/api/courses/${courseId}/requests/${request.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: 'closed' })
+      })
+      const data = await response.json()
+
+      if (!response.ok) throw new Error(data.error || 'Failed to close request')
+
+      await loadRequests()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  async function deleteRequest(request) {
+    if (!confirm(`Delete the request "${request.title}"? This cannot be undone.`)) return
+
+    setBusyId(request.id)
+    try {
+      const response = await fetch(`/api/courses/${courseId}/requests/${request.id}`, {
+        method: 'DELETE'
+      })
+      const data = await response.json()
+
+      if (!response.ok) throw new Error(data.error || 'Failed to delete request')
+
+      setRequests(prev => prev.filter(r => r.id !== request.id))
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-2xl font-bold">Requested Materials</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Missing notes or past papers? Ask here and upvote what you need most.
+          </p>
+        </div>
+        {user && (
+          <button
+            onClick={() => setShowForm(!showForm)}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 text-sm font-medium"
+          >
+            {showForm ? 'Cancel' : '+ Request Material'}
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {/* New Request Form */}
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mb-6 bg-white border border-gray-200 rounded-lg p-5 space-y-4">
+          <div>
+            <label className="block text-sm font-medium mb-1">What do you need? *</label>
+            <input
+              type="text"
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              placeholder="e.g., SMA 2101 2023 past paper"
+              maxLength={150}
+              required
+              className="w-full border border-gray-300 rounded px-3 py-2"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium mb-1">Details (optional)</label>
+            <textarea
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              maxLength={1000}
+              rows={2}
+              className="w-full border border-gray-300 rounded px-3 py-2"
+            />
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Unit</label>
+              <select
+                value={form.topicId}
+                onChange={(e) => setForm({ ...form, topicId: e.target.value })}
+                className="w-full border border-gray-300 rounded px-3 py-2"
+              >
+                <option value="">Any unit</option>
+                {topics.map(topic => (
+                  <option key={topic.id} value={topic.id}>
+                    {topic.unit_code ? `${topic.unit_code} - ` : ''}{topic.topic_name}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-1">Week (optional)</label>
+              <input
+                type="number"
+                min={1}
+                max={20}
+                value={form.weekNumber}
+                onChange={(e) => setForm({ ...form, weekNumber: e.target.value })}
+                className="w-full border border-gray-300 rounded px-3 py-2"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-1">File type</label>
+              <select
+                value={form.materialType}
+                onChange={(e) => setForm({ ...form, materialType: e.target.value })}
+                className="w-full border border-gray-300 rounded px-3 py-2"
+              >
+                {REQUEST_MATERIAL_TYPES.map(type => (
+                  <option key={type} value={type}>{type === 'any' ? 'Any' : type.toUpperCase()}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-1">Urgency</label>
+              <select
+                value={form.urgency}
+                onChange={(e) => setForm({ ...form, urgency: e.target.value })}
+                className="w-full border border-gray-300 rounded px-3 py-2 capitalize"
+              >
+                {REQUEST_URGENCY_LEVELS.map(level => (
+                  <option key={level} value={level}>{level}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:bg-gray-400 font-medium"
+          >
+            {submitting ? 'Posting...' : 'Post Request'}
+          </button>
+        </form>
+      )}
+
+      {/* Status Filter */}
+      <div className="flex gap-2 mb-4">
+        {['open', 'fulfilled', 'all'].map(status => (
+          <button
+            key={status}
+            onClick={() => setStatusFilter(status)}
+            className={`px-3 py-1 rounded-full text-sm font-medium capitalize transition-colors ${
+              statusFilter === status
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {status}
+          </button>
+        ))}
+      </div>
+
+      {/* Request List */}
+      {loading ? (
+        <div className="space-y-3 animate-pulse">
+          <div className="h-20 bg-gray-200 rounded"></div>
+          <div className="h-20 bg-gray-200 rounded"></div>
+        </div>
+      ) : requests.length === 0 ? (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-8 text-center">
+          <p className="text-gray-600">
+            {statusFilter === 'open'
+              ? 'No open requests. Everything you need is here!'
+              : 'No requests found.'}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {requests.map(request => (
+            <div
+              key={request.id}
+              className="flex items-start gap-4 bg-white border border-gray-200 rounded-lg p-4"
+            >
+              {/* Upvote */}
+              <button
+                onClick={() => toggleUpvote(request)}
+                disabled={busyId === request.id || request.status !== 'open'}
+                className={`flex flex-col items-center min-w-[3rem] px-2 py-1 rounded border transition-colors disabled:opacity-60 ${
+                  request.has_upvoted
+                    ? 'bg-blue-50 border-blue-400 text-blue-700'
+                    : 'border-gray-200 text-gray-600 hover:border-blue-300'
+                }`}
+                title={request.has_upvoted ? 'Remove your vote' : 'I need this too'}
+              >
+                <span>▲</span>
+                <span className="font-bold">{request.upvote_count}</span>
+              </button>
+
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2 flex-wrap mb-1">
+                  <h3 className="font-semibold text-gray-900">{request.title}</h3>
+                  <span className={`text-xs px-2 py-0.5 rounded-full capitalize ${URGENCY_STYLES[request.urgency] || URGENCY_STYLES.normal}`}>
+                    {request.urgency}
+                  </span>
+                  {request.status !== 'open' && (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-700 capitalize">
+                      {request.status}
+                    </span>
+                  )}
+                </div>
+
+                {request.description && (
+                  <p className="text-sm text-gray-600 mb-1">{request.description}</p>
+                )}
+
+                <div className="text-xs text-gray-500 flex gap-2 flex-wrap">
+                  {request.topics && (
+                    <span>{request.topics.unit_code || request.topics.topic_name}</span>
+                  )}
+                  {request.week_number && <span>• Week {request.week_number}</span>}
+                  {request.material_type && request.material_type !== 'any' && (
+                    <span>• {request.material_type.toUpperCase()}</span>
+                  )}
+                  <span>• by {request.requester_name || 'Anonymous'}</span>
+                  <span>• {new Date(request.created_at).toLocaleDateString()}</span>
+                </div>
+
+                {request.status === 'fulfilled' && request.materials && (
+                  <Link
+                    href={`/materials/${request.materials.id}/view`}
+                    className="inline-block mt-2 text-sm text-green-700 hover:text-green-800 font-medium"
+                  >
+                    ✅ Fulfilled: {request.materials.title} →
+                  </Link>
+                )}
+              </div>
+
+              {/* Actions */}
+              <div className="flex flex-col gap-1 text-sm">
+                {request.status === 'open' && isManager && (
+                  <Link
+                    href={`/upload?request=${request.id}`}
+                    className="text-green-600 hover:text-green-700 font-medium"
+                  >
+                    Fulfil
+                  </Link>
+                )}
+                {request.status === 'open' && (request.is_owner || isManager) && (
+                  <button
+                    onClick={() => closeRequest(request)}
+                    disabled={busyId === request.id}
+                    className="text-gray-600 hover:text-gray-800 text-left"
+                  >
+                    Close
+                  </button>
+                )}
+                {(request.is_owner || access?.isAdmin) && (
+                  <button
+                    onClick={() => deleteRequest(request)}
+                    disabled={busyId === request.id}
+                    className="text-red-600 hover:text-red-700 text-left"
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
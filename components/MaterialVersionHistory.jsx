@@ -0,0 +1,135 @@
+'use client'
+
+import { useState } from 'react'
+import Link from 'next/link'
+import { uploadNewVersion } from '@/lib/upload/direct-r2-upload'
+
+function formatSize(bytes) {
+  if (!bytes) return null
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`
+}
+
+/**
+ * Revision history panel for the material viewer
+ * Lists every version, newest first, with a link to open each one. The
+ * material's uploader and admins can upload a corrected file as a new version.
+ */
+export default function MaterialVersionHistory({ material, versions, viewingVersion, canRevise, onNewVersion, onClose }) {
+  const [file, setFile] = useState(null)
+  const [changeNote, setChangeNote] = useState('')
+  const [uploading, setUploading] = useState(false)
+  const [progress, setProgress] = useState(0)
+  const [error, setError] = useState('')
+
+  async function handleUpload(e) {
+    e.preventDefault()
+    if (!file) return
+
+    setUploading(true)
+    setProgress(0)
+    setError('')
+
+    try {
+      const updated = await uploadNewVersion(
+        material.id,
+        file,
+        { courseId: material.courses?.id, changeNote },
+        (percentage) => setProgress(Math.round(percentage))
+      )
+      setFile(null)
+      setChangeNote('')
+      onNewVersion(updated)
+    } catch (err) {
+      console.error('New version upload failed:', err)
+      setError(err.message || 'Failed to upload the new version')
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  return (
+    <div className="absolute right-0 top-0 bottom-0 w-full sm:w-96 bg-white dark:bg-gray-800 border-l border-gray-200 dark:border-gray-700 shadow-lg z-20 flex flex-col">
+      <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+        <h2 className="font-semibold text-gray-900 dark:text-white">Revision history</h2>
+        <button
+          onClick={onClose}
+          className="p-1 hover:bg-gray-100 dark:hover:bg-gray-700 rounded text-gray-600 dark:text-gray-300"
+          title="Close"
+        >
+          ✕
+        </button>
+      </div>
+
+      <ol className="flex-1 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+        {versions.map((version) => {
+          const viewing = version.versionNumber === viewingVersion
+          return (
+            <li key={version.versionNumber} className={`px-4 py-3 ${viewing ? 'bg-blue-50 dark:bg-blue-900/30' : ''}`}>
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-medium text-gray-900 dark:text-white text-sm">
+                  Version {version.versionNumber}
+                  {version.current && (
+                    <span className="ml-2 bg-green-100 dark:bg-green-900 text-green-700 dark:text-green-300 text-xs px-2 py-0.5 rounded-full">
+                      Current
+                    </span>
+                  )}
+                </span>
+                {viewing ? (
+                  <span className="text-xs text-gray-500 dark:text-gray-400">Viewing</span>
+                ) : (
+                  <Link
+                    href={version.current ? `/materials/${material.id}/view` : `/materials/${material.id}/view?version=${version.versionNumber}`}
+                    className="text-xs font-medium text-blue-600 dark:text-blue-400 hover:underline"
+                  >
+                    Open
+                  </Link>
+                )}
+              </div>
+              {version.changeNote && (
+                <p className="text-sm text-gray-700 dark:text-gray-300 mt-1">{version.changeNote}</p>
+              )}
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                {[version.uploadedBy || 'Anonymous', new Date(version.createdAt).toLocaleDateString(), formatSize(version.fileSize)]
+                  .filter(Boolean)
+                  .join(' • ')}
+              </p>
+            </li>
+          )
+        })}
+      </ol>
+
+      {canRevise && (
+        <form onSubmit={handleUpload} className="p-4 border-t border-gray-200 dark:border-gray-700 space-y-2">
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-white">Upload a corrected file</h3>
+          <input
+            type="file"
+            accept=".pdf,.docx,.ppt,.pptx,image/*"
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            disabled={uploading}
+            className="block w-full text-sm text-gray-700 dark:text-gray-300"
+          />
+          <input
+            type="text"
+            value={changeNote}
+            onChange={(e) => setChangeNote(e.target.value)}
+            placeholder="What changed? (e.g. Fixed Q3 answers)"
+            maxLength={500}
+            disabled={uploading}
+            className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button
+            type="submit"
+            disabled={!file || uploading}
+            className="w-full px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded transition disabled:opacity-50"
+          >
+            {uploading ? `Uploading… ${progress}%` : 'Upload new version'}
+          </button>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Links and download counts stay the same. Earlier versions can still be opened.
+          </p>
+        </form>
+      )}
+    </div>
+  )
+}
@@ -68,6 +68,17 @@ export default function Navigation() {
               Browse Courses
             </Link>
 
+            <Link
+              href="/search"
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                isActive('/search')
+                  ? 'bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-200'
+                  : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 hover:text-gray-900 dark:hover:text-white'
+              }`}
+            >
+              Search
+            </Link>
+
             {user && (
               <Link
                 href="/upload"
@@ -81,7 +92,7 @@ export default function Navigation() {
               </Link>
             )}
 
-            {profile?.role === 'admin' && (
+            {(profile?.role === 'admin' || profile?.role === 'class_rep') && (
               <Link
                 href="/admin/pending"
                 className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
@@ -90,7 +101,7 @@ export default function Navigation() {
                     : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 hover:text-gray-900 dark:hover:text-white'
                 }`}
               >
-                Admin
+                {profile.role === 'admin' ? 'Admin' : 'Moderate'}
               </Link>
             )}
 
@@ -235,6 +246,18 @@ export default function Navigation() {
               Browse Courses
             </Link>
 
+            <Link
+              href="/search"
+              onClick={closeMobileMenu}
+              className={`block px-3 py-2 rounded-md text-base font-medium transition-colors ${
+                isActive('/search')
+                  ? 'bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-200'
+                  : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 hover:text-gray-900 dark:hover:text-white'
+              }`}
+            >
+              Search
+            </Link>
+
             {user ? (
               <>
                 <Link
@@ -261,7 +284,7 @@ export default function Navigation() {
                   Upload Material
                 </Link>
 
-                {profile?.role === 'admin' && (
+                {(profile?.role === 'admin' || profile?.role === 'class_rep') && (
                   <Link
                     href="/admin/pending"
                     onClick={closeMobileMenu}
@@ -271,7 +294,7 @@ export default function Navigation() {
                         : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800 hover:text-gray-900 dark:hover:text-white'
                     }`}
                   >
-                    Admin
+                    {profile.role === 'admin' ? 'Admin' : 'Moderate'}
                   </Link>
                 )}
 
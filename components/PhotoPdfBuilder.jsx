@@ -0,0 +1,215 @@
+'use client';
+
+/**
+ * Photo -> PDF builder
+ * Lets an uploader put photos of a document in page order, turn them upright
+ * and crop them to the paper, then combines them into one PDF in the browser
+ * (lib/upload/photo-pdf) so they upload as a single material.
+ */
+
+import { useState, useEffect } from 'react';
+import { combinePhotosToPdf, findPaper, loadPhoto } from '@/lib/upload/photo-pdf';
+
+export default function PhotoPdfBuilder({ photos, onCombine, onCancel }) {
+  const [pages, setPages] = useState(() =>
+    photos.map((file, index) => ({
+      id: `${index}-${file.name}`,
+      file,
+      url: URL.createObjectURL(file),
+      rotation: 0,
+      autoCrop: true,
+      crop: null,
+    }))
+  );
+  const [building, setBuilding] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState('');
+
+  // Revoke preview URLs on close
+  useEffect(() => {
+    return () => pages.forEach((page) => URL.revokeObjectURL(page.url));
+  }, []);
+
+  // Find the paper in each photo to preview the auto-crop
+  useEffect(() => {
+    let cancelled = false;
+
+    async function detectCrops() {
+      for (const page of pages) {
+        try {
+          const bitmap = await loadPhoto(page.file);
+          const crop = findPaper(bitmap);
+          bitmap.close();
+
+          if (cancelled) return;
+          setPages((prev) => prev.map((p) => (p.id === page.id ? { ...p, crop } : p)));
+        } catch (err) {
+          console.warn(`Could not analyse ${page.file.name}:`, err);
+        }
+      }
+    }
+
+    detectCrops();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  function movePage(index, offset) {
+    setPages((prev) => {
+      const next = [...prev];
+      const [page] = next.splice(index, 1);
+      next.splice(index + offset, 0, page);
+      return next;
+    });
+  }
+
+  function updatePage(id, changes) {
+    setPages((prev) => prev.map((page) => (page.id === id ? { ...page, ...changes } : page)));
+  }
+
+  function removePage(id) {
+    setPages((prev) => prev.filter((page) => page.id !== id));
+  }
+
+  async function handleCombine() {
+    setBuilding(true);
+    setProgress(0);
+    setError('');
+
+    try {
+      const pdf = await combinePhotosToPdf(pages, {
+        onProgress: (done, total) => setProgress(Math.round((done / total) * 100)),
+      });
+      onCombine(pdf, pages.map((page) => page.file));
+    } catch (err) {
+      console.error('Failed to combine photos:', err);
+      setError(err.message || 'Failed to create the PDF');
+    } finally {
+      setBuilding(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+        <div className="p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Combine photos into one PDF</h2>
+          <p className="text-sm text-gray-600">
+            Put the pages in order and turn any that are sideways. Photos are cropped to the paper automatically.
+          </p>
+        </div>
+
+        <div className="p-4 overflow-y-auto flex-1">
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+            {pages.map((page, index) => (
+              <div key={page.id} className="border border-gray-200 rounded-lg p-2 bg-gray-50">
+                <div className="relative aspect-[3/4] bg-gray-200 rounded overflow-hidden flex items-center justify-center">
+                  <div
+                    className="relative max-w-full max-h-full transition-transform"
+                    style={{ transform: `rotate(${page.rotation}deg)` }}
+                  >
+                    <img src={page.url} alt={`Page ${index + 1}`} className="block max-w-full max-h-full" />
+                    {page.autoCrop && page.crop && (
+                      <div
+                        className="absolute border-2 border-dashed border-blue-500"
+                        style={{
+                          left: `${page.crop.x * 100}%`,
+                          top: `${page.crop.y * 100}%`,
+                          width: `${page.crop.width * 100}%`,
+                          height: `${page.crop.height * 100}%`,
+                        }}
+                      />
+                    )}
+                  </div>
+                  <span className="absolute top-1 left-1 bg-black bg-opacity-60 text-white text-xs px-2 py-0.5 rounded">
+                    Page {index + 1}
+                  </span>
+                </div>
+
+                <div className="flex items-center justify-between mt-2 text-sm">
+                  <div className="flex gap-1">
+                    <button
+                      type="button"
+                      onClick={() => movePage(index, -1)}
+                      disabled={index === 0 || building}
+                      className="px-2 py-1 rounded hover:bg-gray-200 disabled:opacity-30"
+                      title="Move earlier"
+                    >
+                      ←
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => movePage(index, 1)}
+                      disabled={index === pages.length - 1 || building}
+                      className="px-2 py-1 rounded hover:bg-gray-200 disabled:opacity-30"
+                      title="Move later"
+                    >
+                      →
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => updatePage(page.id, { rotation: (page.rotation + 90) % 360 })}
+                      disabled={building}
+                      className="px-2 py-1 rounded hover:bg-gray-200 disabled:opacity-30"
+                      title="Rotate clockwise"
+                    >
+                      ⟳
+                    </button>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => removePage(page.id)}
+                    disabled={building}
+                    className="px-2 py-1 text-red-500 hover:text-red-700 font-bold disabled:opacity-30"
+                    title="Leave out of the PDF"
+                  >
+                    ×
+                  </button>
+                </div>
+
+                <label className="flex items-center gap-2 mt-1 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={page.autoCrop}
+                    onChange={(e) => updatePage(page.id, { autoCrop: e.target.checked })}
+                    disabled={building}
+                  />
+                  {page.crop ? 'Crop to paper' : 'Crop to paper (no edge found)'}
+                </label>
+              </div>
+            ))}
+          </div>
+
+          {error && (
+            <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">{error}</div>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex items-center justify-between gap-3">
+          <p className="text-sm text-gray-600">
+            {building ? `Creating PDF… ${progress}%` : `${pages.length} ${pages.length === 1 ? 'page' : 'pages'}`}
+          </p>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={onCancel}
+              disabled={building}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition disabled:opacity-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleCombine}
+              disabled={building || pages.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition disabled:opacity-50"
+            >
+              {building ? 'Creating…' : 'Create PDF'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,222 @@
+'use client'
+
+import { useState } from 'react'
+import { useUser } from '@/lib/providers/UserProvider'
+import { useAccess } from '@/lib/providers/ModerationAccessProvider'
+import { canModerateLinks } from '@/lib/utils/resourceLinks'
+
+const LINK_ICONS = {
+  youtube: '▶️',
+  drive: '📁',
+  external: '🔗',
+  other: '🔗'
+}
+
+const EMPTY_FORM = { title: '', url: '', description: '' }
+
+/**
+ * External resource links (YouTube lectures, Drive folders) for a unit
+ * Links come from useOfflineResourceLinks so they also render offline;
+ * adding/editing needs a connection and calls onChange to refetch.
+ */
+export default function ResourceLinks({ courseId, topicId = null, links = [], isOffline = false, onChange }) {
+  const { user } = useUser()
+  const { data: access } = useAccess()
+  const canModerate = canModerateLinks(access, courseId)
+
+  const [showForm, setShowForm] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  function startEdit(link) {
+    setEditingId(link.id)
+    setForm({ title: link.title, url: link.url, description: link.description || '' })
+    setShowForm(true)
+    setError('')
+  }
+
+  function resetForm() {
+    setShowForm(false)
+    setEditingId(null)
+    setForm(EMPTY_FORM)
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    setSaving(true)
+    setError('')
+
+    try {
+      const response = await fetch(
+        editingId
+          ? `/api/courses/${courseId}/links/${editingId}`
+          : `/api/courses/${courseId}/links`,
+        {
+          method: editingId ? 'PATCH' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...form, topicId })
+        }
+      )
+      const data = await response.json()
+
+      if (!response.ok) throw new Error(data.error || 'Failed to save link')
+
+      resetForm()
+      onChange?.()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  async function handleDelete(link) {
+    if (!confirm(`Remove "${link.title}"?`)) return
+
+    try {
+      const response = await fetch(`/api/courses/${courseId}/links/${link.id}`, { method: 'DELETE' })
+      const data = await response.json()
+
+      if (!response.ok) throw new Error(data.error || 'Failed to delete link')
+
+      onChange?.()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  if (links.length === 0 && !user) return null
+
+  return (
+    <div className="mt-6 bg-gray-50 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-3 pb-2 border-b border-gray-300">
+        <h4 className="text-md font-semibold text-gray-800">
+          Videos & Links {links.length > 0 && `(${links.length})`}
+        </h4>
+        {user && !isOffline && !showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+          >
+            + Add link
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-3 bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mb-4 space-y-3">
+          <input
+            type="url"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            placeholder="Paste a YouTube, Google Drive or website link"
+            required
+            className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+          />
+          <input
+            type="text"
+            value={form.title}
+            onChange={(e) => setForm({ ...form, title: e.target.value })}
+            placeholder="Title (e.g., Lecture 4 - Laplace Transforms)"
+            maxLength={200}
+            required
+            className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+          />
+          <input
+            type="text"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="Short note (optional)"
+            maxLength={1000}
+            className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 text-white px-4 py-2 rounded text-sm hover:bg-blue-700 disabled:bg-gray-400"
+            >
+              {saving ? 'Saving...' : editingId ? 'Save changes' : 'Add link'}
+            </button>
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 rounded text-sm text-gray-700 hover:bg-gray-100"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {links.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          No videos or links yet. Share a YouTube lecture or Drive folder for this unit.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {links.map(link => {
+            const canEdit = user && !isOffline && (link.user_id === user.id || canModerate)
+
+            return (
+              <div
+                key={link.id}
+                className="flex items-start gap-3 bg-white border border-gray-200 rounded-lg p-3"
+              >
+                {link.thumbnail_url && !isOffline ? (
+                  <img
+                    src={link.thumbnail_url}
+                    alt=""
+                    className="w-28 h-16 object-cover rounded flex-shrink-0"
+                    loading="lazy"
+                  />
+                ) : (
+                  <span className="text-2xl">{LINK_ICONS[link.link_type] || LINK_ICONS.other}</span>
+                )}
+
+                <div className="flex-1 min-w-0">
+                  <a
+                    href={link.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="font-medium text-gray-900 hover:text-blue-600 break-words"
+                  >
+                    {link.title}
+                  </a>
+                  {link.description && (
+                    <p className="text-sm text-gray-600">{link.description}</p>
+                  )}
+                  <div className="text-xs text-gray-500 flex gap-2 flex-wrap mt-1">
+                    <span className="capitalize">{link.link_type === 'drive' ? 'Google Drive' : link.link_type}</span>
+                    {link.duration && <span>• {link.duration}</span>}
+                    {link.author && <span>• {link.author}</span>}
+                    {link.uploaded_by && <span>• shared by {link.uploaded_by}</span>}
+                  </div>
+                </div>
+
+                {canEdit && (
+                  <div className="flex flex-col gap-1 text-xs">
+                    <button onClick={() => startEdit(link)} className="text-gray-600 hover:text-gray-800">
+                      Edit
+                    </button>
+                    <button onClick={() => handleDelete(link)} className="text-red-600 hover:text-red-700">
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
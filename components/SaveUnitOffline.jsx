@@ -0,0 +1,103 @@
+'use client'
+
+import { useState } from 'react'
+import Link from 'next/link'
+import { useCachedFile } from '@/lib/hooks/useCachedFile'
+
+/**
+ * "Save unit offline" - caches every material in a unit to IndexedDB
+ * Premium feature: /api/courses/[courseId]/offline-bundle answers 403 for
+ * free users, in which case we show an upgrade link instead.
+ */
+export default function SaveUnitOffline({ courseId, topicId, isOffline = false }) {
+  const { prefetchFile } = useCachedFile()
+
+  const [saving, setSaving] = useState(false)
+  const [progress, setProgress] = useState({ done: 0, total: 0 })
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState('')
+  const [upgradeUrl, setUpgradeUrl] = useState(null)
+
+  async function handleSave() {
+    setSaving(true)
+    setError('')
+    setUpgradeUrl(null)
+    setResult(null)
+
+    try {
+      const response = await fetch(`/api/courses/${courseId}/offline-bundle?topicId=${topicId}`)
+      const data = await response.json()
+
+      if (response.status === 403) {
+        setError(data.error)
+        setUpgradeUrl(data.upgradeUrl || '/subscribe')
+        return
+      }
+
+      if (!response.ok) throw new Error(data.error || 'Failed to load unit materials')
+
+      const materials = data.materials || []
+      setProgress({ done: 0, total: materials.length })
+
+      let downloaded = 0
+      let alreadyCached = 0
+      let failed = 0
+
+      // One at a time - student connections are slow and IndexedDB writes are large
+      for (const material of materials) {
+        try {
+          const { alreadyCached: cached } = await prefetchFile(material.id, material.file_url)
+          if (cached) alreadyCached++
+          else downloaded++
+        } catch (err) {
+          console.error('Failed to save material offline:', material.title, err)
+          failed++
+        }
+        setProgress(prev => ({ ...prev, done: prev.done + 1 }))
+      }
+
+      setResult({ downloaded, alreadyCached, failed })
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-3">
+      <button
+        onClick={handleSave}
+        disabled={saving || isOffline}
+        className="bg-gray-800 text-white px-4 py-2 rounded text-sm hover:bg-gray-900 disabled:opacity-50 disabled:cursor-not-allowed"
+        title={isOffline ? 'Connect to the internet to save this unit' : undefined}
+      >
+        {saving
+          ? `Saving ${progress.done}/${progress.total}...`
+          : '⬇️ Save unit offline'}
+      </button>
+
+      {result && (
+        <span className="text-sm text-green-700">
+          ✓ {result.downloaded} saved
+          {result.alreadyCached > 0 && `, ${result.alreadyCached} already offline`}
+          {result.failed > 0 && <span className="text-red-600">, {result.failed} failed</span>}
+        </span>
+      )}
+
+      {error && (
+        <span className="text-sm text-red-600">
+          {error}
+          {upgradeUrl && (
+            <>
+              {' '}
+              <Link href={upgradeUrl} className="font-medium text-blue-600 hover:underline">
+                Upgrade to Premium
+              </Link>
+            </>
+          )}
+        </span>
+      )}
+    </div>
+  )
+}
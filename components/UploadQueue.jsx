@@ -13,7 +13,7 @@ import {
 
 export default function UploadQueue() {
   const [uploads, setUploads] = useState([]);
-  const [stats, setStats] = useState({ pending: 0, uploading: 0, completed: 0, failed: 0 });
+  const [stats, setStats] = useState({ pending: 0, uploading: 0, paused: 0, completed: 0, failed: 0 });
   const [isMinimized, setIsMinimized] = useState(false);
   const [isVisible, setIsVisible] = useState(false);
   const isMountedRef = useRef(true);
@@ -32,7 +32,7 @@ export default function UploadQueue() {
         setStats(queueStats);
 
         // Show queue if there are active uploads
-        if (queueStats.pending > 0 || queueStats.uploading > 0 || queueStats.failed > 0) {
+        if (queueStats.pending > 0 || queueStats.uploading > 0 || queueStats.paused > 0 || queueStats.failed > 0) {
           setIsVisible(true);
         }
       }
@@ -123,7 +123,8 @@ export default function UploadQueue() {
               {stats.uploading > 0 && `${stats.uploading} uploading`}
               {stats.uploading > 0 && stats.pending > 0 && ', '}
               {stats.pending > 0 && `${stats.pending} pending`}
-              {!hasActiveUploads && stats.completed > 0 && `${stats.completed} completed`}
+              {stats.paused > 0 && `${hasActiveUploads ? ', ' : ''}${stats.paused} paused`}
+              {!hasActiveUploads && stats.paused === 0 && stats.completed > 0 && `${stats.completed} completed`}
               {stats.failed > 0 && `, ${stats.failed} failed`}
             </p>
           </div>
@@ -213,6 +214,7 @@ function UploadItem({ upload, onRetry, onCancel }) {
     switch (status) {
       case 'pending': return 'bg-gray-100 text-gray-700';
       case 'uploading': return 'bg-blue-100 text-blue-700';
+      case 'paused': return 'bg-yellow-100 text-yellow-700';
       case 'completed': return 'bg-green-100 text-green-700';
       case 'failed': return 'bg-red-100 text-red-700';
       default: return 'bg-gray-100 text-gray-700';
@@ -223,6 +225,7 @@ function UploadItem({ upload, onRetry, onCancel }) {
     switch (status) {
       case 'pending': return '⏳';
       case 'uploading': return '⬆️';
+      case 'paused': return '⏸️';
       case 'completed': return '✅';
       case 'failed': return '❌';
       default: return '📄';
@@ -265,7 +268,7 @@ function UploadItem({ upload, onRetry, onCancel }) {
           </div>
 
           {/* Progress bar for uploading */}
-          {upload.status === 'uploading' && (
+          {(upload.status === 'uploading' || upload.status === 'paused') && (
             <div className="w-full bg-gray-200 rounded-full h-2 mb-2">
               <div
                 className="bg-blue-600 h-2 rounded-full transition-all duration-300"
@@ -278,13 +281,21 @@ function UploadItem({ upload, onRetry, onCancel }) {
           {upload.status === 'failed' && upload.error && (
             <p className="text-xs text-red-600 mt-1">
               {upload.error}
+              {upload.duplicate && (
+                <>
+                  {' '}
+                  <a href={upload.duplicate.url} className="underline font-medium">
+                    View existing material
+                  </a>
+                </>
+              )}
             </p>
           )}
         </div>
 
         {/* Actions */}
         <div className="flex flex-col gap-1">
-          {upload.status === 'failed' && (
+          {(upload.status === 'paused' || (upload.status === 'failed' && !upload.duplicate)) && (
             <button
               onClick={() => onRetry(upload.id)}
               className="text-xs bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700"
@@ -292,7 +303,7 @@ function UploadItem({ upload, onRetry, onCancel }) {
               Retry
             </button>
           )}
-          {(upload.status === 'pending' || upload.status === 'failed') && (
+          {(upload.status === 'pending' || upload.status === 'paused' || upload.status === 'failed') && (
             <button
               onClick={() => onCancel(upload.id)}
               className="text-xs bg-gray-600 text-white px-3 py-1 rounded hover:bg-gray-700"
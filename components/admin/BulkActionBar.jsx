@@ -0,0 +1,260 @@
+'use client';
+
+/**
+ * Bulk Moderation Bar
+ * Shown above an admin material list while materials are selected. Runs one
+ * action on all of them through /api/admin/materials/bulk, in batches, with a
+ * progress bar and a report of anything that failed.
+ * Course moderators pass their courseIds, which limits where materials can be moved.
+ */
+
+import { useState, useEffect } from 'react';
+import { createClient } from '@/lib/supabase/client';
+import { MATERIAL_CATEGORY_LABELS } from '@/lib/search/params';
+
+// MAX_BULK_MATERIALS in lib/materials/bulk
+const BATCH_SIZE = 50;
+
+const ACTIONS = {
+  approve: { label: '✓ Approve', run: 'Approve', verb: 'Approved', className: 'bg-green-600 hover:bg-green-700 text-white' },
+  reject: { label: '✗ Reject', run: 'Reject', verb: 'Rejected', className: 'bg-red-600 hover:bg-red-700 text-white' },
+  soft_delete: { label: '🗑️ Move to trash', run: 'Move to trash', verb: 'Moved to trash', className: 'bg-gray-700 hover:bg-gray-800 text-white' },
+  restore: { label: '↺ Restore', run: 'Restore', verb: 'Restored', className: 'bg-green-600 hover:bg-green-700 text-white' },
+  categorize: { label: 'Categorise', run: 'Recategorise', verb: 'Recategorised', className: 'bg-gray-100 hover:bg-gray-200 text-gray-700' },
+  move: { label: 'Move to unit', run: 'Move', verb: 'Moved', className: 'bg-gray-100 hover:bg-gray-200 text-gray-700' },
+};
+
+export default function BulkActionBar({ selectedIds, actions, onClear, onComplete, courseIds = null }) {
+  const [action, setAction] = useState(null);
+  const [reason, setReason] = useState('');
+  const [category, setCategory] = useState('');
+  const [courseId, setCourseId] = useState('');
+  const [topicId, setTopicId] = useState('');
+  const [courses, setCourses] = useState([]);
+  const [topics, setTopics] = useState([]);
+  const [progress, setProgress] = useState(null); // { done, total }
+  const [report, setReport] = useState(null);
+
+  const supabase = createClient();
+  const running = progress !== null;
+
+  useEffect(() => {
+    if (action !== 'move' || courses.length > 0) return;
+
+    supabase
+      .from('courses')
+      .select('id, course_name')
+      .is('deleted_at', null)
+      .order('course_name')
+      .then(({ data }) => setCourses((data || []).filter((course) => !courseIds || courseIds.includes(course.id))));
+  }, [action]);
+
+  useEffect(() => {
+    setTopicId('');
+    setTopics([]);
+    if (!courseId) return;
+
+    supabase
+      .from('topics')
+      .select('id, topic_name, week_number')
+      .eq('course_id', courseId)
+      .is('deleted_at', null)
+      .order('week_number')
+      .then(({ data }) => setTopics(data || []));
+  }, [courseId]);
+
+  function chooseAction(id) {
+    setAction(id);
+    setReason('');
+    setReport(null);
+  }
+
+  function canRun() {
+    if (action === 'reject') return reason.trim().length > 0;
+    if (action === 'soft_delete') return reason.trim().length >= 10;
+    if (action === 'categorize') return !!category;
+    if (action === 'move') return !!courseId;
+    return true;
+  }
+
+  async function run() {
+    const ids = [...selectedIds];
+    const results = [];
+    setProgress({ done: 0, total: ids.length });
+
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const batch = ids.slice(i, i + BATCH_SIZE);
+
+      try {
+        const res = await fetch('/api/admin/materials/bulk', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            action,
+            materialIds: batch,
+            reason,
+            category,
+            courseId,
+            topicId: topicId || null,
+          }),
+        });
+
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Bulk action failed');
+        results.push(...data.results);
+      } catch (err) {
+        // The whole batch failed - report each material so nothing looks done that isn't
+        results.push(...batch.map((id) => ({ id, success: false, error: err.message })));
+      }
+
+      setProgress({ done: Math.min(i + BATCH_SIZE, ids.length), total: ids.length });
+    }
+
+    setProgress(null);
+    setAction(null);
+    setReport({ action, results });
+    onComplete(action, results);
+  }
+
+  if (selectedIds.length === 0 && !report) return null;
+
+  const failed = report?.results.filter((result) => !result.success) || [];
+
+  return (
+    <div className="sticky top-0 z-10 bg-white rounded-lg border border-blue-200 shadow-sm p-4 space-y-3">
+      {selectedIds.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="font-medium text-gray-900 mr-2">{selectedIds.length} selected</span>
+          {actions.map((id) => (
+            <button
+              key={id}
+              onClick={() => chooseAction(id)}
+              disabled={running}
+              className={`px-3 py-1.5 rounded text-sm font-medium transition disabled:opacity-50 ${ACTIONS[id].className} ${
+                action === id ? 'ring-2 ring-offset-1 ring-blue-500' : ''
+              }`}
+            >
+              {ACTIONS[id].label}
+            </button>
+          ))}
+          <button
+            onClick={onClear}
+            disabled={running}
+            className="ml-auto text-sm text-gray-600 hover:text-gray-900 underline disabled:opacity-50"
+          >
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      {action && !running && (
+        <div className="flex flex-col md:flex-row md:items-center gap-2">
+          {(action === 'reject' || action === 'soft_delete') && (
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder={action === 'reject' ? 'Reason for rejection' : 'Reason for deletion (min 10 characters)'}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          )}
+
+          {action === 'categorize' && (
+            <select
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Choose a category...</option>
+              {Object.entries(MATERIAL_CATEGORY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          )}
+
+          {action === 'move' && (
+            <>
+              <select
+                value={courseId}
+                onChange={(e) => setCourseId(e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Choose a unit...</option>
+                {courses.map((course) => (
+                  <option key={course.id} value={course.id}>{course.course_name}</option>
+                ))}
+              </select>
+              <select
+                value={topicId}
+                onChange={(e) => setTopicId(e.target.value)}
+                disabled={!courseId}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+              >
+                <option value="">No topic</option>
+                {topics.map((topic) => (
+                  <option key={topic.id} value={topic.id}>
+                    Week {topic.week_number}: {topic.topic_name}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              onClick={run}
+              disabled={!canRun()}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50 transition"
+            >
+              {ACTIONS[action].run} {selectedIds.length} materials
+            </button>
+            <button
+              onClick={() => setAction(null)}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {running && (
+        <div>
+          <div className="flex justify-between text-sm text-gray-600 mb-1">
+            <span>Working...</span>
+            <span>{progress.done} of {progress.total}</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-blue-600 h-2 rounded-full transition-all"
+              style={{ width: `${(progress.done / progress.total) * 100}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {report && (
+        <div className="text-sm">
+          <div className="flex items-center justify-between">
+            <p className="text-gray-900">
+              {ACTIONS[report.action].verb} {report.results.length - failed.length} of {report.results.length} materials
+              {failed.length > 0 && <span className="text-red-600"> - {failed.length} failed</span>}
+            </p>
+            <button onClick={() => setReport(null)} className="text-gray-500 hover:text-gray-700" title="Dismiss">
+              ✕
+            </button>
+          </div>
+          {failed.length > 0 && (
+            <ul className="mt-2 space-y-1 text-red-700">
+              {failed.map((result) => (
+                <li key={result.id}>
+                  <span className="font-medium">{result.title || result.id}:</span> {result.error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
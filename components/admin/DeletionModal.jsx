@@ -3,6 +3,7 @@
 /**
  * Material Deletion Modal with Impact Warnings
  * Shows deletion impact and requires typed confirmation
+ * Course moderators only get the soft delete option (allowHardDelete={false})
  */
 
 import { useState, useEffect } from 'react';
@@ -13,6 +14,7 @@ export default function DeletionModal({
   onSuccess,
   materialId,
   materialTitle,
+  allowHardDelete = true,
 }) {
   const [impactData, setImpactData] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -250,24 +252,26 @@ export default function DeletionModal({
                       </div>
                     </label>
 
-                    <label className="flex items-start gap-3 p-3 border-2 border-red-300 rounded-lg cursor-pointer hover:bg-red-50 transition">
-                      <input
-                        type="radio"
-                        name="deletionType"
-                        value="hard"
-                        checked={deletionType === 'hard'}
-                        onChange={(e) => setDeletionType(e.target.value)}
-                        className="mt-1"
-                      />
-                      <div className="flex-1">
-                        <p className="font-medium text-red-700">
-                          Hard Delete (Permanent)
-                        </p>
-                        <p className="text-xs text-red-600">
-                          ⚠️ Permanently remove from database. Cannot be undone!
-                        </p>
-                      </div>
-                    </label>
+                    {allowHardDelete && (
+                      <label className="flex items-start gap-3 p-3 border-2 border-red-300 rounded-lg cursor-pointer hover:bg-red-50 transition">
+                        <input
+                          type="radio"
+                          name="deletionType"
+                          value="hard"
+                          checked={deletionType === 'hard'}
+                          onChange={(e) => setDeletionType(e.target.value)}
+                          className="mt-1"
+                        />
+                        <div className="flex-1">
+                          <p className="font-medium text-red-700">
+                            Hard Delete (Permanent)
+                          </p>
+                          <p className="text-xs text-red-600">
+                            ⚠️ Permanently remove from database. Cannot be undone!
+                          </p>
+                        </div>
+                      </label>
+                    )}
                   </div>
                 </div>
 
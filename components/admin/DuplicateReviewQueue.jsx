@@ -0,0 +1,191 @@
+'use client';
+
+/**
+ * Suspected Duplicates Review Queue
+ * Pairs of materials the embedding worker found to look alike (same text or
+ * same-looking pages). Admins dismiss false alarms or delete the later copy.
+ */
+
+import { useState, useEffect } from 'react';
+import { createClient } from '@/lib/supabase/client';
+import DeletionModal from '@/components/admin/DeletionModal';
+import { buildViewerUrl } from '@/lib/search/params';
+
+const METHOD_LABELS = {
+  text: 'Same text',
+  visual: 'Same-looking pages',
+};
+
+const MATERIAL_COLUMNS = `
+  id,
+  title,
+  created_at,
+  download_count,
+  deleted_at,
+  courses!course_id (course_name),
+  topics!topic_id (topic_name)
+`;
+
+export default function DuplicateReviewQueue({ onMaterialDeleted }) {
+  const [suspects, setSuspects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [deletion, setDeletion] = useState({ isOpen: false, suspectId: null, material: null });
+
+  const supabase = createClient();
+
+  useEffect(() => {
+    loadSuspects();
+  }, []);
+
+  async function loadSuspects() {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('material_duplicate_suspects')
+        .select(`
+          id,
+          similarity,
+          method,
+          created_at,
+          material_a:materials!material_a_id (${MATERIAL_COLUMNS}),
+          material_b:materials!material_b_id (${MATERIAL_COLUMNS})
+        `)
+        .eq('status', 'pending')
+        .order('similarity', { ascending: false })
+        .limit(50);
+
+      if (fetchError) throw fetchError;
+
+      // Pairs with a material already in the trash need no review
+      setSuspects(
+        (data || [])
+          .filter((s) => s.material_a && s.material_b && !s.material_a.deleted_at && !s.material_b.deleted_at)
+          .map((s) => {
+            // Older upload first - the later one is the likely copy
+            const [original, copy] = [s.material_a, s.material_b].sort(
+              (a, b) => new Date(a.created_at) - new Date(b.created_at)
+            );
+            return { ...s, original, copy };
+          })
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function reviewSuspect(suspectId, status) {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const { error: updateError } = await supabase
+      .from('material_duplicate_suspects')
+      .update({ status, reviewed_by: user?.id || null, reviewed_at: new Date().toISOString() })
+      .eq('id', suspectId);
+
+    if (updateError) {
+      console.error('Error reviewing duplicate suspect:', updateError);
+      alert(`Failed to update: ${updateError.message}`);
+      return;
+    }
+
+    setSuspects((prev) => prev.filter((s) => s.id !== suspectId));
+  }
+
+  async function handleDeletionSuccess() {
+    const { suspectId, material } = deletion;
+    await reviewSuspect(suspectId, 'resolved');
+
+    // Other pairs with the deleted material are settled too
+    setSuspects((prev) => prev.filter((s) => s.original.id !== material.id && s.copy.id !== material.id));
+    onMaterialDeleted?.(material.id);
+  }
+
+  if (loading) {
+    return <div className="h-24 bg-gray-200 rounded-lg animate-pulse"></div>;
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+        Failed to load suspected duplicates: {error}
+        <button onClick={loadSuspects} className="ml-2 underline font-medium">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (suspects.length === 0) return null;
+
+  return (
+    <div className="bg-white rounded-lg border border-orange-200 p-4 space-y-3">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+          <span>👯</span> Suspected Duplicates ({suspects.length})
+        </h2>
+        <p className="text-sm text-gray-600">
+          Materials that look like the same document - re-exports or re-scans of something already uploaded
+        </p>
+      </div>
+
+      {suspects.map((suspect) => (
+        <div key={suspect.id} className="border border-gray-200 rounded-lg p-3">
+          <div className="flex items-center gap-2 mb-2">
+            <span className="text-xs px-2 py-0.5 rounded-full font-medium bg-orange-100 text-orange-700">
+              {Math.round(suspect.similarity * 100)}% similar
+            </span>
+            <span className="text-xs text-gray-500">{METHOD_LABELS[suspect.method]}</span>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+            {[
+              { label: 'Original', material: suspect.original },
+              { label: 'Possible copy', material: suspect.copy },
+            ].map(({ label, material }) => (
+              <div key={material.id} className="bg-gray-50 rounded p-2">
+                <p className="text-xs font-medium text-gray-500 uppercase">{label}</p>
+                <a href={buildViewerUrl(material.id)} className="font-medium text-gray-900 hover:underline">
+                  {material.title}
+                </a>
+                <p className="text-gray-600">
+                  {material.courses?.course_name || 'N/A'}
+                  {material.topics && ` · ${material.topics.topic_name}`}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {new Date(material.created_at).toLocaleDateString()} · 📥 {material.download_count || 0}
+                </p>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex gap-2 mt-3">
+            <button
+              onClick={() => setDeletion({ isOpen: true, suspectId: suspect.id, material: suspect.copy })}
+              className="px-3 py-1.5 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 transition text-sm"
+            >
+              Delete copy
+            </button>
+            <button
+              onClick={() => reviewSuspect(suspect.id, 'dismissed')}
+              className="px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 transition text-sm"
+            >
+              Not a duplicate
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <DeletionModal
+        isOpen={deletion.isOpen}
+        onClose={() => setDeletion({ isOpen: false, suspectId: null, material: null })}
+        onSuccess={handleDeletionSuccess}
+        materialId={deletion.material?.id}
+        materialTitle={deletion.material?.title || ''}
+      />
+    </div>
+  );
+}
@@ -1,4 +1,11 @@
 import '@testing-library/jest-dom'
+import { TextDecoder, TextEncoder } from 'util'
+
+// jsdom doesn't provide the text codecs used for streamed responses
+if (typeof global.TextDecoder === 'undefined') {
+  global.TextDecoder = TextDecoder
+  global.TextEncoder = TextEncoder
+}
 
 // Mock Next.js Request and Response for API route tests
 if (typeof Request === 'undefined') {
@@ -17,7 +24,16 @@ if (typeof Response === 'undefined') {
     constructor(body, init) {
       this.body = body
       this.status = init?.status || 200
-      this.headers = new Map(Object.entries(init?.headers || {}))
+      this.headers = new Map(
+        init?.headers instanceof Map ? init.headers : Object.entries(init?.headers || {})
+      )
+    }
+    // Used by NextResponse.json
+    static json(body, init) {
+      return new Response(JSON.stringify(body), {
+        ...init,
+        headers: { 'content-type': 'application/json', ...init?.headers },
+      })
     }
     json() {
       return Promise.resolve(JSON.parse(this.body))
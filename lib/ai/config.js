@@ -0,0 +1,54 @@
+/**
+ * AI Model Configuration
+ *
+ * The one place that decides which provider and model the app uses for
+ * embeddings and for chat. Everything else goes through lib/ai.
+ *
+ * Environment overrides:
+ * - AI_EMBEDDING_PROVIDER / AI_EMBEDDING_MODEL (default: openai, text-embedding-3-small)
+ * - AI_CHAT_PROVIDER / AI_CHAT_MODEL (default: gemini, gemini-2.0-flash-exp)
+ * - LOCAL_AI_BASE_URL / LOCAL_AI_API_KEY for the 'local' provider
+ *   (any OpenAI-compatible server: Ollama, LM Studio, vLLM, llama.cpp)
+ *
+ * The local provider has no default embedding model: the popular local ones
+ * (nomic-embed-text, mxbai-embed-large) are not 1536-dimensional, so
+ * AI_EMBEDDING_MODEL must name one that is.
+ */
+
+// material_chunks.embedding is vector(1536) - every embedding model must produce this size
+export const EMBEDDING_DIMENSIONS = 1536;
+
+export const DEFAULT_EMBEDDING_PROVIDER = 'openai';
+export const DEFAULT_CHAT_PROVIDER = 'gemini';
+
+// Default models per provider
+export const DEFAULT_MODELS = {
+  openai: { embedding: 'text-embedding-3-small', chat: 'gpt-4o-mini' },
+  gemini: { embedding: 'gemini-embedding-001', chat: 'gemini-2.0-flash-exp' },
+  local: { embedding: null, chat: 'llama3.1' },
+  fake: { embedding: 'fake-embedding', chat: 'fake-chat' },
+};
+
+/**
+ * Resolve the provider and model for a task
+ * @param {'embedding'|'chat'} task
+ * @returns {{ provider: string, model: string }}
+ * @throws {Error} When the provider has no default model for the task and none is set
+ */
+export function getModelConfig(task) {
+  const provider = task === 'embedding'
+    ? process.env.AI_EMBEDDING_PROVIDER || DEFAULT_EMBEDDING_PROVIDER
+    : process.env.AI_CHAT_PROVIDER || DEFAULT_CHAT_PROVIDER;
+
+  const override = task === 'embedding' ? process.env.AI_EMBEDDING_MODEL : process.env.AI_CHAT_MODEL;
+
+  const model = override || DEFAULT_MODELS[provider]?.[task];
+
+  if (model === null) {
+    throw new Error(
+      `The ${provider} provider has no default ${task} model. Set AI_EMBEDDING_MODEL to a model that produces ${EMBEDDING_DIMENSIONS}-dimensional vectors.`
+    );
+  }
+
+  return { provider, model };
+}
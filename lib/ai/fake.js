@@ -0,0 +1,61 @@
+/**
+ * Fake AI Provider
+ *
+ * Deterministic, offline stand-in for tests and local development
+ * (AI_EMBEDDING_PROVIDER=fake, AI_CHAT_PROVIDER=fake).
+ *
+ * - Embeddings are hashed bags of words, so texts sharing words are similar
+ *   and the same text always gets the same vector.
+ * - Chat echoes the final message back word by word, so tests can check
+ *   what reached the model and that streaming works.
+ */
+
+import { EMBEDDING_DIMENSIONS } from './config';
+
+// FNV-1a - stable across runs and platforms
+function hashWord(word) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < word.length; i++) {
+    hash ^= word.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic unit-length embedding of a text
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function fakeEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    vector[hashWord(word) % EMBEDDING_DIMENSIONS] += 1;
+  }
+
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map((value) => value / length);
+}
+
+/**
+ * @type {import('./index').AIProvider}
+ */
+const fakeProvider = {
+  name: 'fake',
+
+  isConfigured: () => true,
+
+  async embed(texts) {
+    return texts.map(fakeEmbedding);
+  },
+
+  async *streamChat({ message }, { model }) {
+    const words = `[${model}] ${message}`.split(/(?<=\s)/);
+    for (const word of words) {
+      yield word;
+    }
+  },
+};
+
+export default fakeProvider;
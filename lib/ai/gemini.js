@@ -0,0 +1,95 @@
+/**
+ * Gemini Provider
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { EMBEDDING_DIMENSIONS } from './config';
+
+// Lazy initialization to avoid build-time errors
+let genAI = null;
+
+function getGenAI() {
+  if (!process.env.GEMINI_API_KEY) {
+    throw new Error('AI provider "gemini" is not configured');
+  }
+  if (!genAI) {
+    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+  return genAI;
+}
+
+/**
+ * Convert conversation history to Gemini chat history
+ * Gemini wants turns to start with the user and alternate, so a leading
+ * answer (cut off by the history limit) is dropped and repeated roles
+ * (a question whose answer failed) are merged.
+ *
+ * @param {Array<{ role: 'user'|'assistant', content: string }>} history
+ * @returns {Array<{ role: 'user'|'model', parts: Array<{ text: string }> }>}
+ */
+export function toGeminiHistory(history) {
+  const turns = [];
+
+  for (const message of history) {
+    const role = message.role === 'assistant' ? 'model' : 'user';
+    const previous = turns[turns.length - 1];
+
+    if (!previous && role === 'model') continue;
+
+    if (previous?.role === role) {
+      previous.parts[0].text += `\n\n${message.content}`;
+    } else {
+      turns.push({ role, parts: [{ text: message.content }] });
+    }
+  }
+
+  // The new message is sent as the next user turn
+  if (turns[turns.length - 1]?.role === 'user') turns.pop();
+
+  return turns;
+}
+
+// Shortened Gemini embeddings aren't unit length; cosine search expects them to be
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map((value) => value / length);
+}
+
+/**
+ * @type {import('./index').AIProvider}
+ */
+const geminiProvider = {
+  name: 'gemini',
+
+  isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+
+  async embed(texts, { model }) {
+    const embeddingModel = getGenAI().getGenerativeModel({ model });
+
+    const { embeddings } = await embeddingModel.batchEmbedContents({
+      requests: texts.map((text) => ({
+        content: { role: 'user', parts: [{ text }] },
+        outputDimensionality: EMBEDDING_DIMENSIONS,
+      })),
+    });
+
+    return embeddings.map((embedding) => normalize(embedding.values));
+  },
+
+  async *streamChat({ system, history = [], message }, { model }) {
+    const chatModel = getGenAI().getGenerativeModel({
+      model,
+      ...(system && { systemInstruction: system }),
+    });
+
+    const chat = chatModel.startChat({ history: toGeminiHistory(history) });
+    const result = await chat.sendMessageStream(message);
+
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  },
+};
+
+export default geminiProvider;
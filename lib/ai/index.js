@@ -0,0 +1,109 @@
+/**
+ * AI Provider Layer
+ *
+ * Embeddings and chat completion go through this module, never straight to a
+ * vendor SDK. Which provider and model handle each task is decided in
+ * ./config; adding a provider is one more module plus an entry in PROVIDERS.
+ *
+ * @typedef {Object} ChatRequest
+ * @property {string} [system] - System instruction
+ * @property {Array<{ role: 'user'|'assistant', content: string }>} [history] - Earlier turns, oldest first
+ * @property {string} message - The new user message
+ *
+ * @typedef {Object} AIProvider
+ * @property {string} name
+ * @property {() => boolean} isConfigured
+ * @property {(texts: string[], options: { model: string }) => Promise<number[][]>} embed - One vector per text, in order
+ * @property {(request: ChatRequest, options: { model: string }) => AsyncIterable<string>} streamChat - Answer text as it is generated
+ */
+
+import { EMBEDDING_DIMENSIONS, getModelConfig } from './config';
+import openaiProvider from './openai';
+import geminiProvider from './gemini';
+import localProvider from './local';
+import fakeProvider from './fake';
+
+const PROVIDERS = {
+  openai: openaiProvider,
+  gemini: geminiProvider,
+  local: localProvider,
+  fake: fakeProvider,
+};
+
+/**
+ * Provider and model configured for a task
+ * @param {'embedding'|'chat'} task
+ * @returns {{ provider: AIProvider, model: string }}
+ */
+export function getAIProvider(task) {
+  const { provider: name, model } = getModelConfig(task);
+
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+
+  return { provider, model };
+}
+
+/**
+ * Whether the providers for the given tasks have their credentials
+ * @param {...('embedding'|'chat')} tasks
+ * @returns {boolean}
+ */
+export function isAIConfigured(...tasks) {
+  return tasks.every((task) => getAIProvider(task).provider.isConfigured());
+}
+
+/**
+ * Embed texts with the configured embedding model
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>} One EMBEDDING_DIMENSIONS-sized vector per text, in order
+ */
+export async function createEmbeddings(texts) {
+  const { provider, model } = getAIProvider('embedding');
+  const embeddings = await provider.embed(texts, { model });
+
+  // A wrong-sized vector would fail deep inside Postgres - fail here with a clear message
+  const wrongSize = embeddings.find((embedding) => embedding.length !== EMBEDDING_DIMENSIONS);
+  if (wrongSize) {
+    throw new Error(
+      `${provider.name}/${model} returned ${wrongSize.length}-dimensional embeddings; material_chunks expects ${EMBEDDING_DIMENSIONS}`
+    );
+  }
+
+  return embeddings;
+}
+
+/**
+ * Embed a single text
+ * @param {string} text
+ * @returns {Promise<number[]>}
+ */
+export async function createEmbedding(text) {
+  const [embedding] = await createEmbeddings([text]);
+  return embedding;
+}
+
+/**
+ * Stream a chat answer from the configured chat model
+ * @param {ChatRequest} request
+ * @returns {AsyncIterable<string>}
+ */
+export function streamChat(request) {
+  const { provider, model } = getAIProvider('chat');
+  return provider.streamChat(request, { model });
+}
+
+/**
+ * Complete chat answer (non-streaming)
+ * @param {ChatRequest} request
+ * @returns {Promise<string>}
+ */
+export async function generateChat(request) {
+  let answer = '';
+  for await (const text of streamChat(request)) {
+    answer += text;
+  }
+  return answer;
+}
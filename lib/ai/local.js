@@ -0,0 +1,21 @@
+/**
+ * Local Model Provider
+ *
+ * Any server that speaks the OpenAI API (Ollama, LM Studio, vLLM,
+ * llama.cpp server) at LOCAL_AI_BASE_URL, e.g. http://localhost:11434/v1.
+ * Embedding models must produce EMBEDDING_DIMENSIONS-sized vectors.
+ */
+
+import { createOpenAICompatibleProvider } from './openai';
+
+const localProvider = createOpenAICompatibleProvider({
+  name: 'local',
+  isConfigured: () => Boolean(process.env.LOCAL_AI_BASE_URL),
+  createClientOptions: () => ({
+    baseURL: process.env.LOCAL_AI_BASE_URL,
+    // Most local servers ignore the key, but the SDK requires one
+    apiKey: process.env.LOCAL_AI_API_KEY || 'local',
+  }),
+});
+
+export default localProvider;
@@ -0,0 +1,86 @@
+/**
+ * OpenAI Provider
+ *
+ * Also the base for any OpenAI-compatible endpoint (see ./local) - same
+ * embeddings and chat completions API, different base URL.
+ */
+
+import OpenAI from 'openai';
+import { EMBEDDING_DIMENSIONS } from './config';
+
+/**
+ * OpenAI chat messages from a provider-neutral request
+ * @param {import('./index').ChatRequest} request
+ * @returns {Array<{ role: string, content: string }>}
+ */
+export function toOpenAIMessages({ system, history = [], message }) {
+  return [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    ...history.map(({ role, content }) => ({ role, content })),
+    { role: 'user', content: message },
+  ];
+}
+
+/**
+ * Build a provider for an OpenAI-compatible API
+ * @param {Object} options
+ * @param {string} options.name
+ * @param {() => boolean} options.isConfigured
+ * @param {() => Object} options.createClientOptions - Options for new OpenAI()
+ * @returns {import('./index').AIProvider}
+ */
+export function createOpenAICompatibleProvider({ name, isConfigured, createClientOptions }) {
+  // Lazy initialization to avoid build-time errors
+  let client = null;
+
+  function getClient() {
+    if (!isConfigured()) {
+      throw new Error(`AI provider "${name}" is not configured`);
+    }
+    if (!client) {
+      client = new OpenAI(createClientOptions());
+    }
+    return client;
+  }
+
+  return {
+    name,
+
+    isConfigured,
+
+    async embed(texts, { model }) {
+      const response = await getClient().embeddings.create({
+        model,
+        input: texts,
+        // text-embedding-3 models can be shortened to the column size
+        ...(model.startsWith('text-embedding-3') && { dimensions: EMBEDDING_DIMENSIONS }),
+      });
+
+      // The API returns items with an index; don't rely on response order
+      return [...response.data]
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding);
+    },
+
+    async *streamChat(request, { model }) {
+      const stream = await getClient().chat.completions.create({
+        model,
+        messages: toOpenAIMessages(request),
+        stream: true,
+      });
+
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) yield text;
+      }
+    },
+  };
+}
+
+const openaiProvider = createOpenAICompatibleProvider({
+  name: 'openai',
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  createClientOptions: () => ({ apiKey: process.env.OPENAI_API_KEY }),
+});
+
+export default openaiProvider;
@@ -0,0 +1,126 @@
+/**
+ * Course AI Tutor (retrieval-augmented generation)
+ *
+ * question -> embed -> match_chunks -> prompt with cited excerpts -> streamed answer
+ *
+ * Provider-neutral: runs against whatever lib/ai/config selects, including
+ * the fake provider in tests.
+ */
+
+import { createEmbedding, streamChat } from './index';
+import { buildRetrievalQuery } from '@/lib/utils/chatThreads';
+
+// Similarity search settings for match_chunks
+export const MATCH_THRESHOLD = 0.7;
+export const MATCH_COUNT = 5;
+
+/**
+ * Where an excerpt comes from, e.g. "Calculus Notes, Limits, p. 3-4"
+ * @param {Object} chunk - match_chunks row
+ * @returns {string}
+ */
+export function formatSourceLocation(chunk) {
+  const pages = chunk.page_end && chunk.page_end !== chunk.page_number
+    ? `p. ${chunk.page_number}-${chunk.page_end}`
+    : `p. ${chunk.page_number}`;
+
+  return [chunk.material_title, chunk.heading, pages].filter(Boolean).join(', ');
+}
+
+/**
+ * Find course material relevant to a question
+ * Follow-ups are embedded together with the previous question.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} params
+ * @param {string} params.question
+ * @param {Array<{ role: string, content: string }>} [params.history]
+ * @param {string} [params.courseId]
+ * @returns {Promise<Object[]>} match_chunks rows, best first
+ */
+export async function retrieveChunks(supabase, { question, history = [], courseId }) {
+  const queryEmbedding = await createEmbedding(buildRetrievalQuery(history, question));
+
+  const { data: chunks, error } = await supabase.rpc('match_chunks', {
+    query_embedding: queryEmbedding,
+    match_threshold: MATCH_THRESHOLD,
+    match_count: MATCH_COUNT,
+    filter_course_id: courseId || null,
+  });
+
+  if (error) throw error;
+  return chunks || [];
+}
+
+/**
+ * Citations shown under an answer
+ * @param {Object[]} chunks - match_chunks rows
+ * @returns {Array<Object>}
+ */
+export function toSources(chunks) {
+  return chunks.map((chunk, i) => ({
+    index: i + 1,
+    preview: chunk.chunk_text.slice(0, 150) + '...',
+    materialId: chunk.material_id,
+    materialTitle: chunk.material_title,
+    page: chunk.page_number,
+    pageEnd: chunk.page_end || chunk.page_number,
+    heading: chunk.heading || null,
+    similarity: chunk.similarity,
+  }));
+}
+
+/**
+ * Tutor instructions
+ * @param {string} courseName
+ * @returns {string}
+ */
+export function buildTutorSystemPrompt(courseName) {
+  return `You are a helpful tutor for JKUAT students studying ${courseName}.
+
+CRITICAL RULES:
+1. Answer ONLY using the course materials provided with each question
+2. If the materials don't contain the answer, say: "I don't have information about this in the course materials"
+3. NEVER make up information
+4. Cite which source you're using: [1], [2], etc.
+5. Keep explanations clear and student-friendly
+6. If asked about exams, remind students to check with their lecturer
+7. Use the earlier conversation to understand follow-up questions ("the second step", "that formula")`;
+}
+
+/**
+ * The user turn: numbered excerpts followed by the question
+ * @param {Object} params
+ * @param {Object[]} params.chunks - match_chunks rows
+ * @param {string} params.question
+ * @returns {string}
+ */
+export function buildTutorMessage({ chunks, question }) {
+  const context = chunks
+    .map((chunk, i) => `[${i + 1}] (${formatSourceLocation(chunk)})\n${chunk.chunk_text}`)
+    .join('\n\n---\n\n');
+
+  return `Course materials:
+${context}
+
+Student question: ${question}
+
+Provide a clear, helpful answer based ONLY on the materials above. Cite your sources.`;
+}
+
+/**
+ * Stream the tutor's answer
+ * @param {Object} params
+ * @param {string} params.courseName
+ * @param {Object[]} params.chunks - From retrieveChunks()
+ * @param {string} params.question
+ * @param {Array<{ role: 'user'|'assistant', content: string }>} [params.history]
+ * @returns {AsyncIterable<string>}
+ */
+export function streamTutorAnswer({ courseName, chunks, question, history = [] }) {
+  return streamChat({
+    system: buildTutorSystemPrompt(courseName),
+    history,
+    message: buildTutorMessage({ chunks, question }),
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * Moderation permissions (migration 023)
+ *
+ * Admins moderate every course. Class reps moderate the courses an admin has
+ * assigned them in course_moderators: they can approve, reject, edit,
+ * categorise and soft-delete the materials and topics there. The rest of
+ * /admin (stats, trash, restores, hard deletes, assignments) is admin-only.
+ *
+ * getAccess works with the server client in API routes (usually through
+ * withAuth in lib/auth/withAuth) and with the browser client in admin pages,
+ * so both make the same decisions.
+ */
+
+// Only class reps can be assigned to moderate a course
+export const MODERATOR_ROLE = 'class_rep';
+
+// profiles.role values, as named in error messages
+export const ROLE_LABELS = {
+  student: 'Student',
+  class_rep: 'Class rep',
+  admin: 'Admin',
+};
+
+/**
+ * Who is signed in and which courses they moderate
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Client carrying the user's session
+ * @param {Object} [options]
+ * @param {string} [options.token] - Access token, for clients built from a bearer token rather than cookies
+ * @returns {Promise<{ user: Object, profile: Object|null, isAdmin: boolean, courseIds: string[] }|null>}
+ *   null when nobody is signed in; courseIds is empty for admins (they moderate everything)
+ */
+export async function getAccess(supabase, { token } = {}) {
+  const { data: { user }, error: userError } = token
+    ? await supabase.auth.getUser(token)
+    : await supabase.auth.getUser();
+
+  if (userError || !user) return null;
+
+  // Everything routes need about the caller, so they don't query it again
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('id, role, full_name, year_of_study, course_id, created_at')
+    .eq('id', user.id)
+    .single();
+
+  const isAdmin = profile?.role === 'admin';
+  let courseIds = [];
+
+  if (profile?.role === MODERATOR_ROLE) {
+    const { data: assignments, error } = await supabase
+      .from('course_moderators')
+      .select('course_id')
+      .eq('user_id', user.id);
+
+    if (error) {
+      console.error('[Permissions] Failed to load moderator assignments:', error);
+    }
+
+    courseIds = (assignments || []).map((assignment) => assignment.course_id);
+  }
+
+  return { user, profile: profile || null, isAdmin, courseIds };
+}
+
+/**
+ * Whether the user can moderate materials and topics in a course
+ * @param {Object|null} access - From getAccess
+ * @param {string} courseId
+ * @returns {boolean}
+ */
+export function canModerateCourse(access, courseId) {
+  if (!access) return false;
+  return access.isAdmin || (!!courseId && access.courseIds.includes(courseId));
+}
+
+/**
+ * Whether the user moderates anything at all
+ * @param {Object|null} access - From getAccess
+ * @returns {boolean}
+ */
+export function isModerator(access) {
+  return !!access && (access.isAdmin || access.courseIds.length > 0);
+}
+
+/**
+ * The role that paid features and question quotas go by. profiles.role
+ * can't be trusted for this - users declare class_rep themselves - so class
+ * rep perks need an admin's course_moderators assignment.
+ * @param {Object|null} access - From getAccess (withAuth's auth works too)
+ * @returns {'admin'|'class_rep'|'student'|null} null when nobody is signed in
+ */
+export function getGrantedRole(access) {
+  if (!access) return null;
+  if (access.isAdmin) return 'admin';
+  return access.courseIds.length > 0 ? MODERATOR_ROLE : 'student';
+}
+
+/**
+ * Why a user without one of the given roles can't go ahead
+ * @param {Object|null} access - From getAccess
+ * @param {string[]} roles - profiles.role values that are allowed
+ * @returns {{ error: string, status: number }|null} null when allowed
+ */
+export function checkRole(access, roles) {
+  if (!access) {
+    return { error: 'Unauthorized', status: 401 };
+  }
+
+  if (roles.includes(access.profile?.role)) return null;
+
+  // e.g. "Admin or class rep access required"
+  const label = roles
+    .map((role, i) => (i === 0 ? ROLE_LABELS[role] || role : (ROLE_LABELS[role] || role).toLowerCase()))
+    .join(' or ');
+  return { error: `${label} access required`, status: 403 };
+}
+
+/**
+ * Why a request can't go ahead
+ * With no requirement, any moderator passes.
+ * @param {Object|null} access - From getAccess
+ * @param {Object} [requirement]
+ * @param {boolean} [requirement.admin] - Admins only
+ * @param {string} [requirement.courseId] - Admins and moderators of this course
+ * @returns {{ error: string, status: number }|null} null when allowed
+ */
+export function checkAccess(access, { admin = false, courseId } = {}) {
+  if (!access) {
+    return { error: 'Unauthorized', status: 401 };
+  }
+
+  if (admin) {
+    return access.isAdmin ? null : { error: 'Admin access required', status: 403 };
+  }
+
+  if (courseId !== undefined) {
+    return canModerateCourse(access, courseId)
+      ? null
+      : { error: 'You can only moderate courses you are assigned to', status: 403 };
+  }
+
+  return isModerator(access) ? null : { error: 'Moderator access required', status: 403 };
+}
@@ -0,0 +1,154 @@
+/**
+ * Route handler authentication
+ *
+ * withAuth wraps an App Router handler. It works out who is calling, from the
+ * session cookies or an `Authorization: Bearer <access token>` header, loads
+ * their profile and moderated courses once (lib/auth/permissions), checks the
+ * route's requirements and passes the result to the handler as `auth`:
+ *
+ *   export const GET = withAuth({ roles: ['admin'] }, async (request, { params, auth }) => {
+ *     ...
+ *   });
+ *
+ * Failures share one JSON shape: { error, code, details? }. Handlers can use
+ * apiError for their own errors so clients see the same shape everywhere.
+ */
+
+import { NextResponse } from 'next/server';
+import { cookies } from 'next/headers';
+import { createClient, createTokenClient } from '@/lib/supabase/server';
+import { getAccess, checkAccess, checkRole } from '@/lib/auth/permissions';
+
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'bad_gateway',
+};
+
+/**
+ * JSON error response
+ * @param {number} status - HTTP status
+ * @param {string} error - Message for the user
+ * @param {string} [details] - Extra detail, e.g. the underlying error message
+ * @param {Object} [extra] - Fields clients act on, e.g. the quota on a 429
+ * @returns {NextResponse} Body: { error, code, details?, ...extra }
+ */
+export function apiError(status, error, details, extra) {
+  const body = { ...extra, error, code: ERROR_CODES[status] || 'error' };
+  if (details) body.details = details;
+  return NextResponse.json(body, { status });
+}
+
+/**
+ * Access token from an `Authorization: Bearer <token>` header
+ * @param {Request} request
+ * @returns {string|null}
+ */
+export function getBearerToken(request) {
+  const header = request?.headers?.get?.('authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// One session and profile lookup per request, however many helpers ask
+const requestAuth = new WeakMap();
+
+async function loadAuth(request) {
+  const token = getBearerToken(request);
+  const supabase = token ? createTokenClient(token) : createClient(await cookies());
+  const access = await getAccess(supabase, { token });
+
+  return { supabase, token, access };
+}
+
+/**
+ * Resolve the caller of a request (cached on the request)
+ * @param {Request} request
+ * @returns {Promise<{ supabase: Object, token: string|null, access: Object|null }>}
+ *   access is null when nobody is signed in (see getAccess)
+ */
+export function resolveAuth(request) {
+  if (!request || typeof request !== 'object') {
+    return loadAuth(request);
+  }
+
+  if (!requestAuth.has(request)) {
+    requestAuth.set(request, loadAuth(request));
+  }
+  return requestAuth.get(request);
+}
+
+async function checkRequirements(access, { roles, courseScope, optional }, request, context) {
+  if (!access) {
+    return optional ? null : checkAccess(access);
+  }
+
+  if (roles) {
+    const denied = checkRole(access, roles);
+    if (denied) return denied;
+  }
+
+  if (courseScope === true) {
+    return checkAccess(access);
+  }
+
+  if (typeof courseScope === 'function') {
+    const courseId = await courseScope(request, context);
+    return checkAccess(access, { courseId });
+  }
+
+  return null;
+}
+
+/**
+ * Wrap a route handler with authentication and authorization
+ *
+ * @param {Object} options
+ * @param {string[]} [options.roles] - profiles.role values allowed, e.g. ['admin']
+ * @param {true|Function} [options.courseScope] - true: admins and any course moderator;
+ *   a function (request, context) returning a course id: admins and that course's moderators
+ * @param {boolean} [options.optional] - Let signed-out callers through (auth.user is null)
+ * @param {Function} handler - (request, { params, auth }) => Response
+ * @returns {Function} App Router handler
+ *
+ * auth: { user, profile, isAdmin, courseIds, supabase, token, requireCourse(courseId) }
+ * requireCourse returns an error response when the caller can't moderate the
+ * course, or null - for routes that only learn the course after a lookup.
+ */
+export function withAuth(options, handler) {
+  const { roles, courseScope, optional = false } = options || {};
+
+  return async function authenticatedHandler(request, context = {}) {
+    try {
+      const { supabase, token, access } = await resolveAuth(request);
+
+      const denied = await checkRequirements(access, { roles, courseScope, optional }, request, context);
+      if (denied) {
+        return apiError(denied.status, denied.error);
+      }
+
+      const auth = {
+        user: access?.user ?? null,
+        profile: access?.profile ?? null,
+        isAdmin: !!access?.isAdmin,
+        courseIds: access?.courseIds ?? [],
+        supabase,
+        token,
+        requireCourse(courseId) {
+          const courseDenied = checkAccess(access, { courseId });
+          return courseDenied ? apiError(courseDenied.status, courseDenied.error) : null;
+        },
+      };
+
+      return await handler(request, { ...context, auth });
+    } catch (error) {
+      console.error(`[API] ${request?.method || 'Request'} ${request?.url || ''} failed:`, error);
+      return apiError(500, 'Internal server error', error.message);
+    }
+  };
+}
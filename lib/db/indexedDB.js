@@ -6,7 +6,7 @@
 import { openDB } from 'idb';
 
 const DB_NAME = 'jkuat-course-hub';
-const DB_VERSION = 4; // Increment version for new UPLOAD_QUEUE store
+const DB_VERSION = 6; // Increment version for new SEARCH_INDEX/SEARCH_DOCUMENTS stores
 
 // Object store names
 export const STORES = {
@@ -17,6 +17,9 @@ export const STORES = {
   LAST_SYNC: 'lastSync',
   FILE_CACHE: 'fileCache', // Stores downloaded PDFs/files for offline access
   UPLOAD_QUEUE: 'uploadQueue', // Stores pending uploads for background processing
+  RESOURCE_LINKS: 'resourceLinks', // Stores YouTube/Drive/external links per course and unit
+  SEARCH_INDEX: 'searchIndex', // Offline search: term -> materials containing it
+  SEARCH_DOCUMENTS: 'searchDocuments', // Offline search: indexed text and terms per material
 };
 
 /**
@@ -85,6 +88,30 @@ export async function initDB() {
         uploadQueueStore.createIndex('created_at', 'created_at');
         uploadQueueStore.createIndex('course_id', 'course_id');
       }
+
+      // Resource links - indexed by link ID, course ID and topic ID
+      if (!db.objectStoreNames.contains(STORES.RESOURCE_LINKS)) {
+        const resourceLinkStore = db.createObjectStore(STORES.RESOURCE_LINKS, {
+          keyPath: 'id',
+        });
+        resourceLinkStore.createIndex('course_id', 'course_id');
+        resourceLinkStore.createIndex('topic_id', 'topic_id');
+      }
+
+      // Offline search inverted index - one entry per term (see lib/db/searchIndex.js)
+      if (!db.objectStoreNames.contains(STORES.SEARCH_INDEX)) {
+        db.createObjectStore(STORES.SEARCH_INDEX, {
+          keyPath: 'term',
+        });
+      }
+
+      // Offline search documents - what was indexed for each material
+      if (!db.objectStoreNames.contains(STORES.SEARCH_DOCUMENTS)) {
+        const searchDocumentStore = db.createObjectStore(STORES.SEARCH_DOCUMENTS, {
+          keyPath: 'id',
+        });
+        searchDocumentStore.createIndex('course_id', 'course_id');
+      }
     },
   });
 }
@@ -212,6 +239,8 @@ export async function clearAllData() {
     STORES.USER_PROFILE,
     STORES.LAST_SYNC,
     STORES.FILE_CACHE,
+    STORES.SEARCH_INDEX,
+    STORES.SEARCH_DOCUMENTS,
   ];
 
   for (const store of stores) {
@@ -230,18 +259,52 @@ export async function getCachedFile(materialId) {
 
 /**
  * Cache a file blob in IndexedDB
+ * `version` is the material version downloaded (materials.current_version)
  */
-export async function cacheFile(materialId, fileUrl, fileBlob) {
+export async function cacheFile(materialId, fileUrl, fileBlob, version = 1) {
   const db = await initDB();
   await db.put(STORES.FILE_CACHE, {
     material_id: materialId,
     file_url: fileUrl,
     file_blob: fileBlob,
     file_size: fileBlob.size,
+    version,
+    outdated: false,
     cached_at: Date.now(),
   });
 }
 
+/**
+ * Flag cached files older than the material's current version
+ * The copy stays usable offline; it is replaced the next time it's opened online.
+ * @param {Array<{ id: string, current_version?: number }>} materials - Freshly synced materials
+ * @returns {Promise<number>} Number of files flagged (or re-flagged with a newer version)
+ */
+export async function flagOutdatedCachedFiles(materials) {
+  const currentVersions = new Map(
+    materials
+      .filter((material) => material.current_version)
+      .map((material) => [material.id, material.current_version])
+  );
+  if (currentVersions.size === 0) return 0;
+
+  const db = await initDB();
+  const tx = db.transaction(STORES.FILE_CACHE, 'readwrite');
+  let flagged = 0;
+
+  for (const file of await tx.store.getAll()) {
+    const currentVersion = currentVersions.get(file.material_id);
+    // Files cached before versioning have no version - they were version 1
+    if (currentVersion > (file.version || 1) && currentVersion !== file.latest_version) {
+      await tx.store.put({ ...file, outdated: true, latest_version: currentVersion });
+      flagged++;
+    }
+  }
+
+  await tx.done;
+  return flagged;
+}
+
 /**
  * Delete a cached file
  */
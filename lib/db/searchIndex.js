@@ -0,0 +1,458 @@
+/**
+ * Offline Search Index
+ * In-browser inverted index over cached materials, stored in IndexedDB so
+ * search works with no network.
+ *
+ * - STORES.SEARCH_INDEX: one entry per term -> the materials containing it
+ *   (weighted term frequency + the pages it appears on)
+ * - STORES.SEARCH_DOCUMENTS: what was indexed for each material (metadata,
+ *   page text of downloaded files, its terms) so entries can be updated
+ *   and snippets built
+ *
+ * Metadata is indexed by syncManager when a course's materials sync; page
+ * text (material_pages, incl. OCR) is added when a file is saved offline.
+ */
+
+import { STORES, initDB, getFromStore } from './indexedDB';
+import { buildViewerUrl } from '@/lib/search/params';
+
+// A title match counts for more than a match deep in the notes
+export const FIELD_WEIGHTS = {
+  title: 3,
+  description: 2,
+  category: 2,
+  text: 1,
+};
+
+export const DEFAULT_OFFLINE_RESULT_LIMIT = 20;
+
+// Pages remembered per term and material (snippets only need the first few)
+const MAX_TERM_PAGES = 20;
+
+// Terms a trailing partial word ("therm" -> thermal, thermodynamics) expands to
+const MAX_PREFIX_EXPANSIONS = 50;
+
+// Term-frequency saturation: the 10th occurrence adds little over the 3rd
+const TF_SATURATION = 1.2;
+
+const SNIPPET_LENGTH = 180;
+const SNIPPET_LEAD = 50;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'how', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to',
+  'was', 'were', 'what', 'when', 'which', 'will', 'with',
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+function foldWord(word) {
+  return word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Normalise a word for indexing: lowercase, no accents, light plural stemming
+ * @param {string} word
+ * @returns {string} Empty for stop words and single letters
+ */
+export function normalizeWord(word) {
+  const normalized = foldWord(word);
+
+  if (STOP_WORDS.has(normalized)) return '';
+  if (normalized.length < 2 && !/\d/.test(normalized)) return '';
+  if (/\d/.test(normalized)) return normalized;
+
+  if (normalized.length > 4 && normalized.endsWith('ies')) {
+    return `${normalized.slice(0, -3)}y`;
+  }
+  if (normalized.length > 3 && /[^su]s$/.test(normalized) && !normalized.endsWith('is')) {
+    return normalized.slice(0, -1);
+  }
+  return normalized;
+}
+
+/**
+ * Split text into index terms
+ * @param {string} text
+ * @returns {string[]} In order, with repeats
+ */
+export function tokenize(text) {
+  return (String(text || '').match(WORD_PATTERN) || []).map(normalizeWord).filter(Boolean);
+}
+
+/**
+ * Parse a search box query
+ * The last word is matched as a prefix while the user is still typing it.
+ *
+ * @param {string} query
+ * @returns {{ terms: string[], prefix: string|null }}
+ */
+export function parseOfflineQuery(query) {
+  const words = String(query || '').match(WORD_PATTERN) || [];
+  const lastWord = words[words.length - 1];
+  const stillTyping = Boolean(lastWord) && !/\s$/.test(query) && Boolean(normalizeWord(lastWord));
+
+  if (!stillTyping) {
+    return { terms: [...new Set(tokenize(query))], prefix: null };
+  }
+
+  // Stemming a partial word can overshoot ("properties" -> "property"), so
+  // match on the part the typed and stemmed forms share
+  const typed = foldWord(lastWord);
+  const stemmed = normalizeWord(lastWord);
+  let shared = 0;
+  while (shared < stemmed.length && typed[shared] === stemmed[shared]) shared += 1;
+
+  return {
+    terms: [...new Set(tokenize(words.slice(0, -1).join(' ')))],
+    prefix: typed.slice(0, shared),
+  };
+}
+
+function getCategoryText(material) {
+  const parts = [material.material_category?.replace(/_/g, ' ')];
+  const metadata = material.category_metadata || {};
+
+  if (metadata.week) parts.push(`week ${metadata.week}`);
+  if (metadata.year) parts.push(String(metadata.year));
+  if (metadata.assignment_number) parts.push(`assignment ${metadata.assignment_number}`);
+
+  return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * Postings for one material: term -> { score, pages }
+ * @param {Object} document - SEARCH_DOCUMENTS entry
+ * @returns {Map<string, { score: number, pages: number[] }>}
+ */
+export function buildPostings(document) {
+  const postings = new Map();
+
+  function add(text, weight, pageNumber) {
+    for (const term of tokenize(text)) {
+      let posting = postings.get(term);
+      if (!posting) {
+        posting = { score: 0, pages: [] };
+        postings.set(term, posting);
+      }
+
+      posting.score += weight;
+      if (pageNumber && posting.pages.length < MAX_TERM_PAGES && !posting.pages.includes(pageNumber)) {
+        posting.pages.push(pageNumber);
+      }
+    }
+  }
+
+  add(document.title, FIELD_WEIGHTS.title);
+  add(document.description, FIELD_WEIGHTS.description);
+  add(document.category, FIELD_WEIGHTS.category);
+  for (const page of document.pages || []) {
+    add(page.text, FIELD_WEIGHTS.text, page.page_number);
+  }
+
+  return postings;
+}
+
+/**
+ * Rank materials for a query from the postings of each query term
+ * Score per term: idf * tf / (tf + TF_SATURATION), scaled by the share of
+ * query terms the material contains.
+ *
+ * @param {Array<Map<string, { score: number, pages: number[] }>>} termPostings - One map (materialId -> posting) per query term
+ * @param {number} totalDocuments - Materials in the index
+ * @returns {Array<{ id: string, score: number, matchedTerms: number, pages: number[] }>} Best first
+ */
+export function rankDocuments(termPostings, totalDocuments) {
+  const ranked = new Map();
+
+  for (const postings of termPostings) {
+    if (postings.size === 0) continue;
+    const idf = Math.log(1 + Math.max(totalDocuments, postings.size) / postings.size);
+
+    for (const [id, posting] of postings) {
+      let result = ranked.get(id);
+      if (!result) {
+        result = { id, score: 0, matchedTerms: 0, pageHits: new Map() };
+        ranked.set(id, result);
+      }
+
+      result.score += idf * (posting.score / (posting.score + TF_SATURATION));
+      result.matchedTerms += 1;
+      for (const page of posting.pages) {
+        result.pageHits.set(page, (result.pageHits.get(page) || 0) + 1);
+      }
+    }
+  }
+
+  return [...ranked.values()]
+    .map(({ pageHits, ...result }) => ({
+      ...result,
+      score: result.score * (result.matchedTerms / termPostings.length),
+      // Pages with the most query terms first
+      pages: [...pageHits.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0]).map(([page]) => page),
+    }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Passage around the first match, with matched words wrapped in [[ ]]
+ * (the same markers as /api/search snippets - see lib/search/params)
+ *
+ * @param {string} text
+ * @param {{ terms: string[], prefix?: string|null }} query - From parseOfflineQuery()
+ * @returns {string|null} Null when nothing matches
+ */
+export function buildSnippet(text, { terms, prefix = null }) {
+  if (!text) return null;
+
+  const termSet = new Set(terms);
+  const isMatch = (word) => {
+    const normalized = normalizeWord(word);
+    return Boolean(normalized) && (termSet.has(normalized) || (prefix && normalized.startsWith(prefix)));
+  };
+
+  const words = [...text.matchAll(WORD_PATTERN)];
+  const first = words.find((match) => isMatch(match[0]));
+  if (!first) return null;
+
+  // Start a little before the match, on a word boundary
+  let start = Math.max(0, first.index - SNIPPET_LEAD);
+  if (start > 0) {
+    const boundary = words.find((match) => match.index >= start);
+    start = boundary ? boundary.index : first.index;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  let snippet = '';
+  let position = start;
+  for (const match of words) {
+    if (match.index < start || match.index + match[0].length > end) continue;
+    snippet += text.slice(position, match.index);
+    snippet += isMatch(match[0]) ? `[[${match[0]}]]` : match[0];
+    position = match.index + match[0].length;
+  }
+
+  snippet = snippet.replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+function toSearchDocument(material, pages) {
+  return {
+    id: material.id,
+    course_id: material.course_id || null,
+    topic_id: material.topic_id || null,
+    type: material.type || null,
+    file_url: material.file_url || null,
+    title: material.title || '',
+    description: material.description || '',
+    category: getCategoryText(material),
+    material_category: material.material_category || null,
+    category_metadata: material.category_metadata || null,
+    pages: pages || [],
+    has_text: Boolean(pages && pages.length),
+  };
+}
+
+// Detects re-syncs that changed nothing, so they skip the index writes
+function getSignature(document) {
+  const textLength = document.pages.reduce((total, page) => total + (page.text || '').length, 0);
+  return JSON.stringify([document.title, document.description, document.category, document.pages.length, textLength]);
+}
+
+async function writeDocument(db, document) {
+  const tx = db.transaction([STORES.SEARCH_INDEX, STORES.SEARCH_DOCUMENTS], 'readwrite');
+  const termStore = tx.objectStore(STORES.SEARCH_INDEX);
+  const documentStore = tx.objectStore(STORES.SEARCH_DOCUMENTS);
+
+  const previous = await documentStore.get(document.id);
+  const signature = getSignature(document);
+  if (previous?.signature === signature) {
+    await tx.done;
+    return false;
+  }
+
+  const postings = buildPostings(document);
+  const staleTerms = (previous?.terms || []).filter((term) => !postings.has(term));
+
+  for (const term of staleTerms) {
+    const entry = await termStore.get(term);
+    if (!entry) continue;
+
+    delete entry.postings[document.id];
+    if (Object.keys(entry.postings).length === 0) {
+      await termStore.delete(term);
+    } else {
+      await termStore.put(entry);
+    }
+  }
+
+  for (const [term, posting] of postings) {
+    const entry = (await termStore.get(term)) || { term, postings: {} };
+    entry.postings[document.id] = posting;
+    await termStore.put(entry);
+  }
+
+  await documentStore.put({
+    ...document,
+    terms: [...postings.keys()],
+    signature,
+    indexed_at: Date.now(),
+  });
+  await tx.done;
+  return true;
+}
+
+/**
+ * Index material metadata (title, description, category)
+ * Page text already indexed for a material is kept.
+ *
+ * @param {Object[]} materials - Rows as stored in STORES.MATERIALS
+ * @returns {Promise<number>} Materials whose index entries changed
+ */
+export async function indexMaterials(materials) {
+  const db = await initDB();
+  let updated = 0;
+
+  for (const material of materials) {
+    const previous = await db.get(STORES.SEARCH_DOCUMENTS, material.id);
+    if (await writeDocument(db, toSearchDocument(material, previous?.pages))) {
+      updated += 1;
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Index the page text of a downloaded material
+ * @param {string} materialId
+ * @param {Array<{ page_number: number, text: string }>} pages
+ * @returns {Promise<boolean>} False if the material's metadata isn't cached
+ */
+export async function indexMaterialText(materialId, pages) {
+  const db = await initDB();
+  const material =
+    (await db.get(STORES.SEARCH_DOCUMENTS, materialId)) ||
+    (await getFromStore(STORES.MATERIALS, materialId));
+
+  if (!material) return false;
+
+  await writeDocument(db, toSearchDocument(material, pages));
+  return true;
+}
+
+/**
+ * Remove a material from the index
+ * @param {string} materialId
+ */
+export async function removeFromSearchIndex(materialId) {
+  const db = await initDB();
+  const document = await db.get(STORES.SEARCH_DOCUMENTS, materialId);
+  if (!document) return;
+
+  await writeDocument(db, { ...document, title: '', description: '', category: '', pages: [] });
+  await db.delete(STORES.SEARCH_DOCUMENTS, materialId);
+}
+
+/**
+ * Materials whose downloaded file hasn't had its text indexed yet
+ * @returns {Promise<string[]>}
+ */
+export async function getCachedMaterialsWithoutText() {
+  const db = await initDB();
+  const cachedIds = await db.getAllKeys(STORES.FILE_CACHE);
+  const missing = [];
+
+  for (const id of cachedIds) {
+    const document = await db.get(STORES.SEARCH_DOCUMENTS, id);
+    if (!document?.has_text) missing.push(id);
+  }
+
+  return missing;
+}
+
+async function getTermPostings(termStore, term, isPrefix) {
+  const entries = isPrefix
+    ? await termStore.getAll(IDBKeyRange.bound(term, `${term}\uffff`), MAX_PREFIX_EXPANSIONS)
+    : [await termStore.get(term)].filter(Boolean);
+
+  // A prefix counts once per material, at its best expansion
+  const postings = new Map();
+  for (const entry of entries) {
+    for (const [id, posting] of Object.entries(entry.postings)) {
+      const current = postings.get(id);
+      if (!current || posting.score > current.score) postings.set(id, posting);
+    }
+  }
+  return postings;
+}
+
+/**
+ * Search cached materials without the network
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {string} [options.courseId] - Limit to one course
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>} Best first; snippets use [[ ]] highlight markers
+ */
+export async function searchOfflineIndex(query, { courseId = null, limit = DEFAULT_OFFLINE_RESULT_LIMIT } = {}) {
+  const parsed = parseOfflineQuery(query);
+  const lookups = [
+    ...parsed.terms.map((term) => [term, false]),
+    ...(parsed.prefix ? [[parsed.prefix, true]] : []),
+  ];
+  if (lookups.length === 0) return [];
+
+  const db = await initDB();
+  const tx = db.transaction(
+    [STORES.SEARCH_INDEX, STORES.SEARCH_DOCUMENTS, STORES.COURSES, STORES.TOPICS, STORES.FILE_CACHE],
+    'readonly'
+  );
+  const termStore = tx.objectStore(STORES.SEARCH_INDEX);
+  const documentStore = tx.objectStore(STORES.SEARCH_DOCUMENTS);
+
+  const totalDocuments = await documentStore.count();
+  const termPostings = [];
+  for (const [term, isPrefix] of lookups) {
+    termPostings.push(await getTermPostings(termStore, term, isPrefix));
+  }
+
+  const results = [];
+  for (const ranked of rankDocuments(termPostings, totalDocuments)) {
+    if (results.length >= limit) break;
+
+    const document = await documentStore.get(ranked.id);
+    if (!document || (courseId && document.course_id !== courseId)) continue;
+
+    const page = ranked.pages[0] || null;
+    const pageText = page ? document.pages.find((p) => p.page_number === page)?.text : null;
+    const course = document.course_id ? await tx.objectStore(STORES.COURSES).get(document.course_id) : null;
+    const topic = document.topic_id ? await tx.objectStore(STORES.TOPICS).get(document.topic_id) : null;
+
+    results.push({
+      id: document.id,
+      title: document.title,
+      description: document.description,
+      type: document.type,
+      fileUrl: document.file_url,
+      category: document.material_category,
+      categoryMetadata: document.category_metadata,
+      course: document.course_id ? { id: document.course_id, name: course?.course_name || null } : null,
+      unit: topic
+        ? { id: topic.id, name: topic.topic_name, code: topic.unit_code || null, year: topic.year || null, semester: topic.semester || null }
+        : null,
+      score: ranked.score,
+      location: {
+        page,
+        pageEnd: page,
+        heading: null,
+        snippet: buildSnippet(pageText, parsed) || buildSnippet(document.description, parsed),
+      },
+      isCached: Boolean(await tx.objectStore(STORES.FILE_CACHE).getKey(document.id)),
+      viewerUrl: buildViewerUrl(document.id, page),
+    });
+  }
+
+  await tx.done;
+  return results;
+}
@@ -16,7 +16,10 @@ import {
   updateLastSyncTime,
   getLastSyncTime,
   getFromStore,
+  deleteFromStore,
+  flagOutdatedCachedFiles,
 } from './indexedDB';
+import { indexMaterials, indexMaterialText, getCachedMaterialsWithoutText } from './searchIndex';
 
 /**
  * Sync all courses from Supabase to IndexedDB
@@ -61,7 +64,7 @@ export async function syncMaterialsForCourse(courseId) {
 
     const { data, error } = await supabase
       .from('materials')
-      .select('id, title, description, type, file_url, topic_id, uploaded_by, created_at, material_category, category_metadata, week_number, course_id, storage_location, storage_path, download_count')
+      .select('id, title, description, type, file_url, topic_id, uploaded_by, created_at, material_category, category_metadata, week_number, course_id, storage_location, storage_path, download_count, thumbnail_url, current_version')
       .eq('course_id', courseId)
       .eq('status', 'approved')
       .order('week_number', { ascending: true, nullsFirst: false })
@@ -78,6 +81,20 @@ export async function syncMaterialsForCourse(courseId) {
     await putManyInStore(STORES.MATERIALS, materialsWithSync);
     await updateLastSyncTime(`${STORES.MATERIALS}_${courseId}`);
 
+    // Keep offline search current - a failed index update shouldn't fail the sync
+    try {
+      await indexMaterials(materialsWithSync);
+    } catch (indexError) {
+      console.warn(`Offline search index update failed for course ${courseId}:`, indexError);
+    }
+
+    // Offline copies of materials that have a newer version now
+    try {
+      await flagOutdatedCachedFiles(materialsWithSync);
+    } catch (cacheError) {
+      console.warn(`Outdated file check failed for course ${courseId}:`, cacheError);
+    }
+
     return { success: true, data: materialsWithSync, error: null };
   } catch (error) {
     console.error(`Error syncing materials for course ${courseId}:`, error);
@@ -118,6 +135,98 @@ export async function syncTopicsForCourse(courseId) {
   }
 }
 
+/**
+ * Sync resource links (YouTube/Drive/external) for a specific course
+ * Links deleted on the server are also removed from IndexedDB
+ */
+export async function syncResourceLinksForCourse(courseId) {
+  try {
+    const supabase = createClient();
+
+    const { data, error } = await supabase
+      .from('resource_links')
+      .select('id, course_id, topic_id, title, url, link_type, description, thumbnail_url, duration, author, user_id, uploaded_by, created_at')
+      .eq('course_id', courseId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    const linksWithSync = data?.map((link) => ({
+      ...link,
+      _syncedAt: Date.now(),
+    })) || [];
+
+    // Drop cached links that no longer exist
+    const freshIds = new Set(linksWithSync.map((link) => link.id));
+    const cached = await getByIndex(STORES.RESOURCE_LINKS, 'course_id', courseId);
+    await Promise.all(
+      cached
+        .filter((link) => !freshIds.has(link.id))
+        .map((link) => deleteFromStore(STORES.RESOURCE_LINKS, link.id))
+    );
+
+    // Store in IndexedDB
+    await putManyInStore(STORES.RESOURCE_LINKS, linksWithSync);
+    await updateLastSyncTime(`${STORES.RESOURCE_LINKS}_${courseId}`);
+
+    return { success: true, data: linksWithSync, error: null };
+  } catch (error) {
+    console.error(`Error syncing resource links for course ${courseId}:`, error);
+    return { success: false, data: null, error: error.message };
+  }
+}
+
+/**
+ * Sync the extracted page text of a material into the offline search index
+ * Text comes from material_pages (text layer or OCR, written by the embedding worker).
+ */
+export async function syncMaterialText(materialId) {
+  try {
+    const supabase = createClient();
+
+    const { data, error } = await supabase
+      .from('material_pages')
+      .select('page_number, text')
+      .eq('material_id', materialId)
+      .order('page_number', { ascending: true });
+
+    if (error) throw error;
+
+    // Not extracted yet - try again on a later sync
+    if (!data || data.length === 0) {
+      return { success: true, data: 0, error: null };
+    }
+
+    const indexed = await indexMaterialText(materialId, data);
+
+    return { success: true, data: indexed ? data.length : 0, error: null };
+  } catch (error) {
+    console.error(`Error syncing text for material ${materialId}:`, error);
+    return { success: false, data: null, error: error.message };
+  }
+}
+
+/**
+ * Index the text of downloaded files that aren't searchable yet
+ * (saved before their text was extracted, or while offline)
+ */
+export async function syncCachedFileText() {
+  try {
+    const materialIds = await getCachedMaterialsWithoutText();
+    let indexed = 0;
+
+    for (const materialId of materialIds) {
+      const result = await syncMaterialText(materialId);
+      if (result.data) indexed += 1;
+    }
+
+    return { success: true, data: indexed, error: null };
+  } catch (error) {
+    console.error('Error syncing cached file text:', error);
+    return { success: false, data: null, error: error.message };
+  }
+}
+
 /**
  * Sync user profile from Supabase to IndexedDB
  */
@@ -224,6 +333,26 @@ export async function getTopicsForCourse(courseId) {
   }
 }
 
+/**
+ * OFFLINE-FIRST: Get resource links for a course from IndexedDB (primary data source)
+ */
+export async function getResourceLinksForCourse(courseId) {
+  try {
+    const links = await getByIndex(STORES.RESOURCE_LINKS, 'course_id', courseId);
+    const lastSync = await getLastSyncTime(`${STORES.RESOURCE_LINKS}_${courseId}`);
+
+    return {
+      success: true,
+      data: links,
+      lastSync,
+      isStale: lastSync ? Date.now() - lastSync > 30 * 60 * 1000 : true, // 30 mins
+    };
+  } catch (error) {
+    console.error(`Error getting resource links for course ${courseId} from IndexedDB:`, error);
+    return { success: false, data: [], error: error.message };
+  }
+}
+
 /**
  * OFFLINE-FIRST: Get user profile from IndexedDB (primary data source)
  */
@@ -259,8 +388,10 @@ export async function syncAll(userId) {
   const results = {
     courses: await syncCourses(),
     profile: userId ? await syncUserProfile(userId) : { success: true, data: null },
+    searchText: await syncCachedFileText(),
   };
 
+  // Offline search text is best effort and doesn't fail the sync
   return {
     success: results.courses.success && results.profile.success,
     results,
@@ -0,0 +1,196 @@
+/**
+ * Text Chunker
+ *
+ * Turns extracted pages into overlapping, sentence-aligned windows for
+ * embedding. Each chunk remembers the pages it spans and the heading it sits
+ * under, so chat citations can point at the right page.
+ *
+ * pages -> lines -> headings + paragraphs -> sentences -> windows
+ */
+
+export const DEFAULT_CHUNK_OPTIONS = {
+  chunkSize: 800, // Target characters per chunk
+  overlap: 150, // Characters of trailing context repeated at the start of the next chunk
+};
+
+/**
+ * Guess whether a line is a section heading
+ * Matches "Chapter 3 ...", "2.1 Limits", "1 Introduction" and short ALL CAPS lines.
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function isHeading(line) {
+  const text = line.trim();
+  if (text.length < 3 || text.length > 80) return false;
+  if (/[.,;]$/.test(text)) return false;
+
+  const wordCount = text.split(/\s+/).length;
+  if (wordCount > 10) return false;
+
+  if (/^(chapter|section|unit|topic|lecture|week)\s+\d+/i.test(text)) return true;
+  if (/^\d+(\.\d+)+\.?\s+\S/.test(text)) return true;
+  if (/^\d+\s+[A-Z]/.test(text)) return true;
+
+  const letters = text.replace(/[^A-Za-z]/g, '');
+  return letters.length >= 3 && letters === letters.toUpperCase();
+}
+
+/**
+ * Split a paragraph into sentences, keeping terminal punctuation
+ * @param {string} paragraph
+ * @returns {string[]}
+ */
+export function splitSentences(paragraph) {
+  const text = paragraph.replace(/\s+/g, ' ').trim();
+  if (!text) return [];
+
+  // Break after . ! ? (plus closing quotes/brackets) when followed by a capital, digit or bullet
+  return text
+    .split(/(?<=[.!?]["')\]]*)\s+(?=[A-Z0-9•(\-])/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Hard-split text longer than maxLength on word boundaries
+ */
+function splitLongText(text, maxLength) {
+  if (text.length <= maxLength) return [text];
+
+  const pieces = [];
+  let current = '';
+
+  for (const word of text.split(' ')) {
+    if (current && current.length + word.length + 1 > maxLength) {
+      pieces.push(current);
+      current = word;
+    } else {
+      current += (current ? ' ' : '') + word;
+    }
+  }
+
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Break pages into sentence units tagged with page and current heading
+ * Extractors that know the document structure (slide titles, Word heading
+ * styles) pass those lines in page.headings; other lines are guessed.
+ *
+ * @param {Array<{ pageNumber: number, text: string, headings?: string[] }>} pages
+ * @param {number} maxLength - Longest allowed unit
+ * @returns {Array<{ text: string, page: number, heading: string|null, isHeading: boolean }>}
+ */
+function toUnits(pages, maxLength) {
+  const units = [];
+  let currentHeading = null;
+
+  for (const { pageNumber, text, headings = [] } of pages) {
+    let paragraph = '';
+
+    const flushParagraph = () => {
+      for (const sentence of splitSentences(paragraph)) {
+        for (const piece of splitLongText(sentence, maxLength)) {
+          units.push({ text: piece, page: pageNumber, heading: currentHeading, isHeading: false });
+        }
+      }
+      paragraph = '';
+    };
+
+    for (const rawLine of (text || '').split('\n')) {
+      const line = rawLine.trim();
+
+      if (!line) {
+        flushParagraph();
+        continue;
+      }
+
+      if (headings.includes(line) || isHeading(line)) {
+        flushParagraph();
+        currentHeading = line.replace(/\s+/g, ' ');
+        units.push({ text: currentHeading, page: pageNumber, heading: currentHeading, isHeading: true });
+        continue;
+      }
+
+      // Re-join words hyphenated across a line break
+      if (paragraph.endsWith('-')) {
+        paragraph = paragraph.slice(0, -1) + line;
+      } else {
+        paragraph += (paragraph ? ' ' : '') + line;
+      }
+    }
+
+    flushParagraph();
+  }
+
+  return units;
+}
+
+/**
+ * Chunk extracted pages into overlapping windows
+ * @param {Array<{ pageNumber: number, text: string, headings?: string[] }>} pages - From lib/embeddings/extract
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize]
+ * @param {number} [options.overlap]
+ * @returns {Array<{ text: string, pageStart: number, pageEnd: number, heading: string|null }>}
+ */
+export function chunkPages(pages, options = {}) {
+  const { chunkSize, overlap } = { ...DEFAULT_CHUNK_OPTIONS, ...options };
+  const units = toUnits(pages, chunkSize);
+
+  const chunks = [];
+  let window = [];
+  let windowLength = 0;
+
+  const emit = () => {
+    chunks.push({
+      text: window.map((unit) => unit.text).join(' '),
+      pageStart: window[0].page,
+      pageEnd: window[window.length - 1].page,
+      heading: window[0].heading,
+    });
+  };
+
+  for (const unit of units) {
+    const startsSection = unit.isHeading && windowLength >= chunkSize / 2;
+    const overflows = windowLength + unit.text.length + 1 > chunkSize;
+
+    if (window.length > 0 && (startsSection || overflows)) {
+      emit();
+
+      // Carry trailing sentences into the next window, except across sections
+      const carried = [];
+      let carriedLength = 0;
+
+      if (!startsSection) {
+        for (let i = window.length - 1; i >= 0; i--) {
+          const length = window[i].text.length + 1;
+          if (carriedLength + length > overlap) break;
+          carried.unshift(window[i]);
+          carriedLength += length;
+        }
+      }
+
+      window = carried;
+      windowLength = carriedLength;
+    }
+
+    window.push(unit);
+    windowLength += unit.text.length + 1;
+  }
+
+  if (window.length > 0) emit();
+
+  return chunks;
+}
+
+/**
+ * Chunk plain text with no page information (treated as a single page)
+ * @param {string} text
+ * @param {Object} [options] - See chunkPages()
+ * @returns {Array<{ text: string, pageStart: number, pageEnd: number, heading: string|null }>}
+ */
+export function chunkText(text, options = {}) {
+  return chunkPages([{ pageNumber: 1, text }], options);
+}
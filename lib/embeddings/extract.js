@@ -0,0 +1,60 @@
+/**
+ * Text Extraction
+ * Pulls per-page text out of uploaded materials for the embedding worker.
+ *
+ * Every extractor returns [{ pageNumber, text, headings? }]:
+ * - PDF: real pages
+ * - DOCX: pages as Word last laid them out
+ * - PPTX: slides (slide number = page number)
+ * - Images: a single empty page, filled in by OCR (lib/embeddings/ocr)
+ *
+ * Unsupported files throw an error with code 'UNSUPPORTED_DOCUMENT' so the
+ * worker can skip them instead of retrying.
+ */
+
+import { extractDocxPages, extractPptxPages } from './ooxml';
+
+// materials.type values we can index
+export const EXTRACTABLE_TYPES = ['pdf', 'docx', 'pptx', 'image'];
+
+/**
+ * Extract text from a PDF, page by page
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{ pageNumber: number, text: string }>>}
+ */
+export async function extractPdfPages(buffer) {
+  // Dynamic import for pdf-parse to avoid build issues
+  const { PDFParse } = await import('pdf-parse');
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+
+  try {
+    const result = await parser.getText();
+    return result.pages.map((page) => ({ pageNumber: page.num, text: page.text }));
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Extract pages from any supported material type
+ * @param {Buffer} buffer
+ * @param {string} type - materials.type
+ * @returns {Promise<Array<{ pageNumber: number, text: string, headings?: string[] }>>}
+ */
+export async function extractPages(buffer, type) {
+  switch (type) {
+    case 'pdf':
+      return extractPdfPages(buffer);
+    case 'docx':
+      return extractDocxPages(buffer);
+    case 'pptx':
+      return extractPptxPages(buffer);
+    case 'image':
+      return [{ pageNumber: 1, text: '' }];
+    default: {
+      const error = new Error(`Unsupported file type: ${type}`);
+      error.code = 'UNSUPPORTED_DOCUMENT';
+      throw error;
+    }
+  }
+}
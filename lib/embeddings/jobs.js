@@ -0,0 +1,165 @@
+/**
+ * Embedding Job Queue
+ *
+ * Thin wrapper over the embedding_jobs table (migration 012).
+ * Lifecycle: queued -> processing -> completed | skipped
+ *                        \-> queued again with backoff -> ... -> failed
+ *                        \-> queued again at once (deferred OCR, no attempt used)
+ *
+ * All functions expect the service role client.
+ */
+
+// Backoff between attempts: 30s, 1m, 2m, 4m ... capped at 1 hour
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * Delay before the next attempt after a failure
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelayMs(attempts) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Queue (or re-queue) a material for indexing
+ * Re-queuing resets attempts and progress, so it doubles as "re-index".
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} materialId
+ * @returns {Promise<Object>} The job row
+ */
+export async function enqueueEmbeddingJob(supabase, materialId) {
+  const { data: job, error } = await supabase
+    .from('embedding_jobs')
+    .upsert(
+      {
+        material_id: materialId,
+        status: 'queued',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        locked_at: null,
+        last_error: null,
+        chunks_total: 0,
+        chunks_done: 0,
+        completed_at: null,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: 'material_id' }
+    )
+    .select()
+    .single();
+
+  if (error) throw error;
+  return job;
+}
+
+/**
+ * Lock and return runnable jobs
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {number} limit
+ * @returns {Promise<Object[]>}
+ */
+export async function claimEmbeddingJobs(supabase, limit = 1) {
+  const { data: jobs, error } = await supabase.rpc('claim_embedding_jobs', { p_limit: limit });
+
+  if (error) throw error;
+  return jobs || [];
+}
+
+/**
+ * Record progress for the admin status view
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} jobId
+ * @param {{ chunksDone: number, chunksTotal: number }} progress
+ */
+export async function updateEmbeddingJobProgress(supabase, jobId, { chunksDone, chunksTotal }) {
+  const { error } = await supabase
+    .from('embedding_jobs')
+    .update({
+      chunks_done: chunksDone,
+      chunks_total: chunksTotal,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', jobId);
+
+  if (error) throw error;
+}
+
+/**
+ * Finish a job
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} jobId
+ * @param {Object} options
+ * @param {'completed'|'skipped'} [options.status]
+ * @param {string} [options.reason] - Why the job was skipped
+ */
+export async function completeEmbeddingJob(supabase, jobId, { status = 'completed', reason = null } = {}) {
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('embedding_jobs')
+    .update({
+      status,
+      last_error: reason,
+      locked_at: null,
+      completed_at: now,
+      updated_at: now,
+    })
+    .eq('id', jobId);
+
+  if (error) throw error;
+}
+
+/**
+ * Record a failed attempt - re-queue with backoff, or give up after max_attempts
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} job - Claimed job row (attempts already incremented)
+ * @param {Error} failure
+ * @returns {Promise<'queued'|'failed'>} The job's new status
+ */
+export async function failEmbeddingJob(supabase, job, failure) {
+  const giveUp = job.attempts >= job.max_attempts;
+  const now = Date.now();
+
+  const { error } = await supabase
+    .from('embedding_jobs')
+    .update({
+      status: giveUp ? 'failed' : 'queued',
+      last_error: failure.message,
+      locked_at: null,
+      next_attempt_at: new Date(now + getRetryDelayMs(job.attempts)).toISOString(),
+      updated_at: new Date(now).toISOString(),
+    })
+    .eq('id', job.id);
+
+  if (error) throw error;
+  return giveUp ? 'failed' : 'queued';
+}
+
+/**
+ * Put a partly done job back in the queue without counting a failed attempt
+ * Used when OCR of a long scan doesn't fit in one worker run.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} job - Claimed job row (attempts already incremented)
+ * @param {string} progress - Shown to admins in place of an error
+ */
+export async function deferEmbeddingJob(supabase, job, progress) {
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('embedding_jobs')
+    .update({
+      status: 'queued',
+      attempts: Math.max(job.attempts - 1, 0),
+      last_error: progress,
+      locked_at: null,
+      next_attempt_at: now,
+      updated_at: now,
+    })
+    .eq('id', job.id);
+
+  if (error) throw error;
+}
@@ -0,0 +1,104 @@
+/**
+ * OCR
+ *
+ * Local text recognition (Tesseract, no cloud service) for pages without a
+ * text layer: phone photos of notes and scanned past papers. PDF pages are
+ * rendered to images first; images are recognised as-is.
+ *
+ * Language data is downloaded once and cached in the temp dir. Set
+ * OCR_LANG_PATH to serve the traineddata files yourself, OCR_LANGUAGES to
+ * change languages (default 'eng').
+ */
+
+import { tmpdir } from 'os';
+
+// Material types whose pages can be OCR'd
+export const OCR_TYPES = ['pdf', 'image'];
+
+// Pages with fewer non-space characters than this are treated as scanned
+export const MIN_TEXT_LAYER_CHARS = 25;
+
+// Below this mean confidence (0-100) the output is mostly noise - drop it
+export const MIN_OCR_CONFIDENCE = 40;
+
+// ~150 DPI for an A4 page, enough for Tesseract without huge images
+const PDF_RENDER_SCALE = 2;
+
+/**
+ * Whether a page's own text is too thin to be a real text layer
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function needsOcr(text) {
+  return (text || '').replace(/\s+/g, '').length < MIN_TEXT_LAYER_CHARS;
+}
+
+async function createOcrEngine() {
+  // Dynamic import - tesseract.js is only needed by the worker
+  const { createWorker } = await import('tesseract.js');
+
+  return createWorker(process.env.OCR_LANGUAGES || 'eng', undefined, {
+    cachePath: tmpdir(),
+    ...(process.env.OCR_LANG_PATH && { langPath: process.env.OCR_LANG_PATH }),
+  });
+}
+
+/**
+ * Recognise text on selected pages, one page at a time
+ * At least one page is always processed, so callers that stop early
+ * still make progress.
+ *
+ * @param {Buffer} buffer - The original file
+ * @param {'pdf'|'image'} type - materials.type
+ * @param {number[]} pageNumbers - Pages to recognise (an image only has page 1)
+ * @param {Object} [options]
+ * @param {(page: { pageNumber: number, text: string, confidence: number }) => Promise<void>} [options.onPage] - Called after each page
+ * @param {() => boolean} [options.shouldStop] - Checked between pages
+ * @returns {Promise<Array<{ pageNumber: number, text: string, confidence: number }>>}
+ */
+export async function recognizePages(buffer, type, pageNumbers, { onPage = async () => {}, shouldStop = () => false } = {}) {
+  if (!OCR_TYPES.includes(type)) {
+    throw new Error(`OCR is not supported for file type: ${type}`);
+  }
+
+  const engine = await createOcrEngine();
+  let parser = null;
+  const results = [];
+
+  try {
+    if (type === 'pdf') {
+      const { PDFParse } = await import('pdf-parse');
+      parser = new PDFParse({ data: new Uint8Array(buffer) });
+    }
+
+    for (const pageNumber of pageNumbers) {
+      if (results.length > 0 && shouldStop()) break;
+
+      let image = buffer;
+      if (parser) {
+        const screenshot = await parser.getScreenshot({
+          partial: [pageNumber],
+          scale: PDF_RENDER_SCALE,
+          imageDataUrl: false,
+        });
+        image = Buffer.from(screenshot.pages[0].data);
+      }
+
+      // rotateAuto straightens photos taken at an angle or sideways
+      const { data } = await engine.recognize(image, { rotateAuto: true });
+      const page = {
+        pageNumber,
+        text: data.confidence >= MIN_OCR_CONFIDENCE ? data.text.trim() : '',
+        confidence: data.confidence,
+      };
+
+      results.push(page);
+      await onPage(page);
+    }
+  } finally {
+    await engine.terminate();
+    if (parser) await parser.destroy();
+  }
+
+  return results;
+}
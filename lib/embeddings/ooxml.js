@@ -0,0 +1,269 @@
+/**
+ * OOXML Text Extraction (DOCX, PPTX)
+ *
+ * Office files are ZIP archives of XML parts. We read the archive with zlib
+ * and pull text out of the XML with targeted regexes - enough for indexing,
+ * without a full XML/Office parser dependency.
+ *
+ * DOCX: word/document.xml, split into pages at rendered/explicit page breaks
+ * PPTX: ppt/slides/slideN.xml in presentation order, one "page" per slide,
+ *       plus speaker notes
+ */
+
+import { inflateRawSync } from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// Largest XML part we inflate - stops a small zip bomb from filling worker memory
+const MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+
+function unsupported(message) {
+  const error = new Error(message);
+  error.code = 'UNSUPPORTED_DOCUMENT';
+  return error;
+}
+
+/**
+ * Open a ZIP archive (no ZIP64 support - not needed for course materials)
+ * @param {Buffer} buffer
+ * @returns {{ names: string[], has: (name: string) => boolean, readText: (name: string) => string }}
+ */
+export function openZip(buffer) {
+  // End of central directory record sits in the last 22 bytes + optional comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+
+  if (eocd < 0) {
+    throw unsupported('Not an Office Open XML file (legacy .doc/.ppt files are not supported)');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let n = 0; n < entryCount; n++) {
+    // Damaged files fail the same way on every retry
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+      throw unsupported('Corrupt ZIP central directory');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return {
+    names: [...entries.keys()],
+
+    has: (name) => entries.has(name),
+
+    readText(name) {
+      const entry = entries.get(name);
+      if (!entry) throw new Error(`Missing ${name} in document`);
+
+      const local = entry.localOffset;
+      if (local + 30 > buffer.length || buffer.readUInt32LE(local) !== LOCAL_HEADER_SIGNATURE) {
+        throw unsupported(`Corrupt ZIP entry ${name}`);
+      }
+
+      const dataStart = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+      const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+      if (entry.method === 0) return data.toString('utf8');
+      if (entry.method === 8) {
+        try {
+          return inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE }).toString('utf8');
+        } catch {
+          // Truncated/garbled deflate data, or a part over MAX_ENTRY_SIZE
+          throw unsupported(`Corrupt ZIP entry ${name}`);
+        }
+      }
+
+      throw unsupported(`Unsupported ZIP compression method ${entry.method} in ${name}`);
+    },
+  };
+}
+
+/**
+ * Decode the XML entities that appear in Office text runs
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Text of every <prefix:t> run inside an XML fragment, in order
+ */
+function runText(xml, prefix) {
+  const pattern = new RegExp(`<${prefix}:t(?:\\s[^>]*)?>([^<]*)</${prefix}:t>`, 'g');
+  let text = '';
+  for (const match of xml.matchAll(pattern)) {
+    text += decodeXmlEntities(match[1]);
+  }
+  return text;
+}
+
+/**
+ * Paragraph fragments (<prefix:p>...</prefix:p>) in document order
+ */
+function paragraphs(xml, prefix) {
+  // (?<!\/) skips self-closing empty paragraphs like <w:p w:rsidR="00AB"/>
+  const pattern = new RegExp(`<${prefix}:p(?:\\s[^>]*)?(?<!\\/)>[\\s\\S]*?</${prefix}:p>`, 'g');
+  return xml.match(pattern) || [];
+}
+
+/**
+ * Extract a DOCX document as pages
+ * Word records where it last broke pages when the file was saved
+ * (w:lastRenderedPageBreak), so page numbers match what students saw.
+ *
+ * @param {Buffer} buffer
+ * @returns {Array<{ pageNumber: number, text: string, headings: string[] }>}
+ */
+export function extractDocxPages(buffer) {
+  const zip = openZip(buffer);
+  if (!zip.has('word/document.xml')) {
+    throw unsupported('Not a Word document (word/document.xml missing)');
+  }
+
+  const xml = zip.readText('word/document.xml');
+  const pages = [{ pageNumber: 1, lines: [], headings: [] }];
+
+  for (const paragraph of paragraphs(xml, 'w')) {
+    // A break inside the paragraph starts a new page before the paragraph's text
+    if (/<w:lastRenderedPageBreak\/>|<w:br [^>]*w:type="page"/.test(paragraph)) {
+      pages.push({ pageNumber: pages.length + 1, lines: [], headings: [] });
+    }
+
+    const text = runText(paragraph, 'w').trim();
+    if (!text) continue;
+
+    const page = pages[pages.length - 1];
+    page.lines.push(text);
+
+    if (/<w:pStyle w:val="(Heading\d|Title)"/.test(paragraph)) {
+      page.headings.push(text);
+    }
+  }
+
+  return pages.map(({ pageNumber, lines, headings }) => ({
+    pageNumber,
+    text: lines.join('\n\n'),
+    headings,
+  }));
+}
+
+/**
+ * Slide part names in presentation order
+ * Order comes from presentation.xml (sldIdLst -> relationship targets); falls
+ * back to slide number if the parts are missing.
+ */
+function getSlideOrder(zip) {
+  const bySlideNumber = zip.names
+    .filter((name) => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+
+  if (!zip.has('ppt/presentation.xml') || !zip.has('ppt/_rels/presentation.xml.rels')) {
+    return bySlideNumber;
+  }
+
+  const rels = zip.readText('ppt/_rels/presentation.xml.rels');
+  const targets = {};
+  for (const match of rels.matchAll(/<Relationship\s[^>]*>/g)) {
+    const id = match[0].match(/Id="([^"]+)"/)?.[1];
+    const target = match[0].match(/Target="([^"]+)"/)?.[1];
+    if (id && target) targets[id] = `ppt/${target.replace(/^\/?ppt\//, '')}`;
+  }
+
+  const presentation = zip.readText('ppt/presentation.xml');
+  const ordered = [...presentation.matchAll(/<p:sldId\s[^>]*r:id="([^"]+)"/g)]
+    .map((match) => targets[match[1]])
+    .filter((name) => name && zip.has(name));
+
+  return ordered.length > 0 ? ordered : bySlideNumber;
+}
+
+/**
+ * Speaker notes part for a slide, if any
+ */
+function getNotesPart(zip, slideName) {
+  const relsName = slideName.replace(/slides\/(slide\d+\.xml)$/, 'slides/_rels/$1.rels');
+  if (!zip.has(relsName)) return null;
+
+  const target = zip.readText(relsName).match(/Target="\.\.\/notesSlides\/(notesSlide\d+\.xml)"/)?.[1];
+  const name = target ? `ppt/notesSlides/${target}` : null;
+
+  return name && zip.has(name) ? name : null;
+}
+
+/**
+ * Extract a PPTX deck as pages - one per slide, slide number = page number
+ * @param {Buffer} buffer
+ * @returns {Array<{ pageNumber: number, text: string, headings: string[] }>}
+ */
+export function extractPptxPages(buffer) {
+  const zip = openZip(buffer);
+  const slides = getSlideOrder(zip);
+
+  if (slides.length === 0) {
+    throw unsupported('Not a PowerPoint presentation (no slides found)');
+  }
+
+  return slides.map((slideName, index) => {
+    const xml = zip.readText(slideName);
+    const lines = [];
+    const headings = [];
+
+    // Each shape (<p:sp>) is a text box; title placeholders become the slide heading
+    for (const shape of xml.match(/<p:sp[\s>][\s\S]*?<\/p:sp>/g) || []) {
+      const isTitle = /<p:ph [^>]*type="(title|ctrTitle)"/.test(shape);
+
+      for (const paragraph of paragraphs(shape, 'a')) {
+        const text = runText(paragraph, 'a').trim();
+        if (!text) continue;
+
+        lines.push(text);
+        if (isTitle) headings.push(text);
+      }
+    }
+
+    const notesPart = getNotesPart(zip, slideName);
+    if (notesPart) {
+      // Notes slides repeat the slide number in a placeholder - keep body text only
+      const notes = paragraphs(zip.readText(notesPart), 'a')
+        .map((paragraph) => runText(paragraph, 'a').trim())
+        .filter((text) => text && !/^\d+$/.test(text));
+
+      if (notes.length > 0) {
+        lines.push('', ...notes);
+      }
+    }
+
+    return { pageNumber: index + 1, text: lines.join('\n'), headings };
+  });
+}
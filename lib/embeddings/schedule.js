@@ -0,0 +1,59 @@
+/**
+ * Schedule indexing from a route handler
+ *
+ * Enqueues the material and, once the response has been sent, runs one worker
+ * pass so new uploads are usually searchable within a minute. Anything left
+ * over (timeouts, retries) is picked up by /api/cron/process-embeddings.
+ * removeMaterialIndex takes a material back out when it stops being approved.
+ */
+
+import { after } from 'next/server';
+import { enqueueEmbeddingJob } from './jobs';
+import { runEmbeddingWorker } from './worker';
+
+/**
+ * Queue a material for indexing - never throws, the upload itself already succeeded
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {string} materialId
+ * @returns {Promise<Object|null>} The job row, or null if enqueueing failed
+ */
+export async function scheduleMaterialIndexing(supabase, materialId) {
+  try {
+    const job = await enqueueEmbeddingJob(supabase, materialId);
+
+    after(async () => {
+      try {
+        await runEmbeddingWorker(supabase, { maxJobs: 1 });
+      } catch (error) {
+        console.error('[Embeddings] Post-response worker run failed:', error);
+      }
+    });
+
+    return job;
+  } catch (error) {
+    console.error('[Embeddings] Failed to enqueue material', materialId, error);
+    return null;
+  }
+}
+
+/**
+ * Take a material out of AI chat and search
+ * Deletes its chunks and text layer; approving it again re-indexes it.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {string} materialId
+ */
+export async function removeMaterialIndex(supabase, materialId) {
+  const { error: chunksError } = await supabase
+    .from('material_chunks')
+    .delete()
+    .eq('material_id', materialId);
+
+  if (chunksError) throw chunksError;
+
+  const { error: pagesError } = await supabase
+    .from('material_pages')
+    .delete()
+    .eq('material_id', materialId);
+
+  if (pagesError) throw pagesError;
+}
@@ -0,0 +1,77 @@
+/**
+ * Material Text Layer
+ *
+ * Thin wrapper over the material_pages table (migration 015): the text of
+ * every page, from the file itself or from OCR. Full-text search reads it;
+ * the embedding worker writes it.
+ *
+ * All functions expect the service role client.
+ */
+
+/**
+ * OCR results already stored for a material
+ * Lets a long scanned document be recognised across several worker runs.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} materialId
+ * @returns {Promise<Map<number, { pageNumber: number, text: string, confidence: number }>>} Keyed by page number
+ */
+export async function getSavedOcrPages(supabase, materialId) {
+  const { data, error } = await supabase
+    .from('material_pages')
+    .select('page_number, text, ocr_confidence')
+    .eq('material_id', materialId)
+    .eq('source', 'ocr');
+
+  if (error) throw error;
+
+  return new Map(
+    (data || []).map((row) => [
+      row.page_number,
+      { pageNumber: row.page_number, text: row.text, confidence: row.ocr_confidence },
+    ])
+  );
+}
+
+/**
+ * Store one OCR'd page as soon as it is recognised
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} materialId
+ * @param {{ pageNumber: number, text: string, confidence: number }} page
+ */
+export async function saveOcrPage(supabase, materialId, page) {
+  const { error } = await supabase
+    .from('material_pages')
+    .upsert(
+      {
+        material_id: materialId,
+        page_number: page.pageNumber,
+        text: page.text,
+        source: 'ocr',
+        ocr_confidence: page.confidence,
+      },
+      { onConflict: 'material_id,page_number' }
+    );
+
+  if (error) throw error;
+}
+
+/**
+ * Replace a material's whole text layer in one transaction
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} materialId
+ * @param {Array<{ pageNumber: number, text: string, source?: 'text'|'ocr', ocrConfidence?: number }>} pages
+ */
+export async function replaceMaterialPages(supabase, materialId, pages) {
+  const { error } = await supabase.rpc('replace_material_pages', {
+    p_material_id: materialId,
+    p_pages: pages.map((page) => ({
+      page_number: page.pageNumber,
+      text: page.text || '',
+      source: page.source || 'text',
+      ocr_confidence: page.ocrConfidence ?? null,
+    })),
+  });
+
+  if (error) throw error;
+}
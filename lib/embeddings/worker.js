@@ -0,0 +1,221 @@
+/**
+ * Embedding Worker
+ *
+ * Processes embedding_jobs: download -> extract page text (OCR for scanned
+ * pages) -> store the text layer -> fingerprint for near-duplicates -> chunk
+ * -> embed in batches -> replace the material's chunks in one transaction.
+ *
+ * Runs from the upload completion hook (after the response is sent) and from
+ * the process-embeddings cron, which also picks up retries.
+ */
+
+import { downloadMaterialFile } from '@/lib/storage/download';
+import { createEmbeddings, isAIConfigured } from '@/lib/ai';
+import { chunkPages } from './chunker';
+import { EXTRACTABLE_TYPES, extractPages } from './extract';
+import { OCR_TYPES, needsOcr, recognizePages } from './ocr';
+import { getSavedOcrPages, saveOcrPage, replaceMaterialPages } from './textLayer';
+import { fingerprintMaterial } from '@/lib/similarity/suspects';
+import {
+  claimEmbeddingJobs,
+  updateEmbeddingJobProgress,
+  completeEmbeddingJob,
+  failEmbeddingJob,
+  deferEmbeddingJob,
+} from './jobs';
+
+// Inputs per embeddings request (OpenAI accepts up to 2048, Gemini 100)
+const EMBEDDING_BATCH_SIZE = 64;
+
+/**
+ * Embed chunk texts in batches, reporting progress after each batch
+ * @param {string[]} texts
+ * @param {(done: number) => Promise<void>} onProgress
+ * @returns {Promise<number[][]>} One embedding per text, in order
+ */
+export async function embedInBatches(texts, onProgress = async () => {}) {
+  if (!isAIConfigured('embedding')) {
+    throw new Error('Embedding provider not configured');
+  }
+
+  const embeddings = [];
+
+  for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+    const batch = texts.slice(start, start + EMBEDDING_BATCH_SIZE);
+
+    embeddings.push(...await createEmbeddings(batch));
+
+    await onProgress(embeddings.length);
+  }
+
+  return embeddings;
+}
+
+/**
+ * Fill in pages that have no text layer with OCR
+ * Results are saved page by page, so a scan too long for one run continues
+ * where it stopped on the next one.
+ *
+ * @returns {Promise<{ pages: Array<Object>, remaining: number }>} Pages tagged with their text source
+ */
+async function applyOcr(supabase, material, buffer, pages, deadline) {
+  const saved = await getSavedOcrPages(supabase, material.id);
+  const pending = pages
+    .filter((page) => needsOcr(page.text) && !saved.has(page.pageNumber))
+    .map((page) => page.pageNumber);
+
+  if (pending.length > 0) {
+    await recognizePages(buffer, material.type, pending, {
+      onPage: async (page) => {
+        saved.set(page.pageNumber, page);
+        await saveOcrPage(supabase, material.id, page);
+      },
+      shouldStop: () => Date.now() >= deadline,
+    });
+  }
+
+  return {
+    remaining: pending.filter((pageNumber) => !saved.has(pageNumber)).length,
+    pages: pages.map((page) => {
+      const ocr = needsOcr(page.text) ? saved.get(page.pageNumber) : null;
+      return ocr
+        ? { ...page, text: ocr.text, source: 'ocr', ocrConfidence: ocr.confidence }
+        : { ...page, source: 'text' };
+    }),
+  };
+}
+
+/**
+ * Index one material for a claimed job
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {Object} job - Claimed embedding_jobs row
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Epoch ms; OCR stops here and the job is deferred
+ * @returns {Promise<'completed'|'skipped'|'deferred'>}
+ */
+export async function processEmbeddingJob(supabase, job, { deadline = Infinity } = {}) {
+  const { data: material, error } = await supabase
+    .from('materials')
+    .select('id, type, status, course_id, file_url, storage_location, storage_path, deleted_at')
+    .eq('id', job.material_id)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!material || material.deleted_at) {
+    await completeEmbeddingJob(supabase, job.id, { status: 'skipped', reason: 'Material not found' });
+    return 'skipped';
+  }
+
+  // Rejected while the job was queued - don't index it again
+  if (material.status === 'rejected') {
+    await completeEmbeddingJob(supabase, job.id, { status: 'skipped', reason: 'Material was rejected' });
+    return 'skipped';
+  }
+
+  if (!EXTRACTABLE_TYPES.includes(material.type)) {
+    await completeEmbeddingJob(supabase, job.id, {
+      status: 'skipped',
+      reason: `Unsupported file type: ${material.type}`,
+    });
+    return 'skipped';
+  }
+
+  const buffer = await downloadMaterialFile(material);
+
+  let pages;
+  try {
+    pages = await extractPages(buffer, material.type);
+  } catch (error) {
+    // e.g. a legacy .doc saved with a .docx type - retrying won't help
+    if (error.code !== 'UNSUPPORTED_DOCUMENT') throw error;
+
+    await completeEmbeddingJob(supabase, job.id, { status: 'skipped', reason: error.message });
+    return 'skipped';
+  }
+
+  if (OCR_TYPES.includes(material.type)) {
+    const ocr = await applyOcr(supabase, material, buffer, pages, deadline);
+
+    if (ocr.remaining > 0) {
+      await deferEmbeddingJob(supabase, job, `OCR in progress: ${ocr.remaining} of ${pages.length} pages left`);
+      return 'deferred';
+    }
+
+    pages = ocr.pages;
+  }
+
+  await replaceMaterialPages(supabase, material.id, pages);
+
+  // Duplicate detection is a side job - never hold up indexing for it
+  try {
+    await fingerprintMaterial(supabase, material, buffer, pages);
+  } catch (error) {
+    console.error(`[Embeddings] Fingerprinting material ${material.id} failed:`, error);
+  }
+
+  const chunks = chunkPages(pages);
+
+  if (chunks.length === 0) {
+    await completeEmbeddingJob(supabase, job.id, {
+      status: 'skipped',
+      reason: 'No readable text found (OCR could not read the pages)',
+    });
+    return 'skipped';
+  }
+
+  await updateEmbeddingJobProgress(supabase, job.id, { chunksDone: 0, chunksTotal: chunks.length });
+
+  const embeddings = await embedInBatches(
+    chunks.map((chunk) => chunk.text),
+    (done) => updateEmbeddingJobProgress(supabase, job.id, { chunksDone: done, chunksTotal: chunks.length })
+  );
+
+  const { error: replaceError } = await supabase.rpc('replace_material_chunks', {
+    p_material_id: material.id,
+    p_chunks: chunks.map((chunk, i) => ({
+      chunk_text: chunk.text,
+      chunk_index: i,
+      page_number: chunk.pageStart,
+      page_end: chunk.pageEnd,
+      heading: chunk.heading,
+      embedding: embeddings[i],
+    })),
+  });
+
+  if (replaceError) throw replaceError;
+
+  await completeEmbeddingJob(supabase, job.id);
+  return 'completed';
+}
+
+/**
+ * Claim and process jobs until the queue is empty or the time budget runs out
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {Object} options
+ * @param {number} [options.maxJobs] - Upper bound on jobs for this run
+ * @param {number} [options.timeBudgetMs] - Stop claiming new jobs after this long
+ * @returns {Promise<{ processed: number, completed: number, skipped: number, deferred: number, retried: number, failed: number }>}
+ */
+export async function runEmbeddingWorker(supabase, { maxJobs = 5, timeBudgetMs = 45000 } = {}) {
+  const deadline = Date.now() + timeBudgetMs;
+  const summary = { processed: 0, completed: 0, skipped: 0, deferred: 0, retried: 0, failed: 0 };
+
+  while (summary.processed < maxJobs && Date.now() < deadline) {
+    const [job] = await claimEmbeddingJobs(supabase, 1);
+    if (!job) break;
+
+    summary.processed++;
+
+    try {
+      const status = await processEmbeddingJob(supabase, job, { deadline });
+      summary[status]++;
+    } catch (error) {
+      console.error(`[Embeddings] Job ${job.id} failed (attempt ${job.attempts}):`, error);
+      const status = await failEmbeddingJob(supabase, job, error);
+      summary[status === 'failed' ? 'failed' : 'retried']++;
+    }
+  }
+
+  return summary;
+}
@@ -2,15 +2,83 @@
 
 import { useState, useCallback } from 'react'
 import { getCachedFile, cacheFile } from '@/lib/db/indexedDB'
+import { syncMaterialText } from '@/lib/db/syncManager'
+
+/**
+ * Download a material through the API proxy, reporting progress
+ * Proxy fetches from R2/Supabase server-side to avoid CORS issues
+ * @param {string} materialId
+ * @param {(percent: number) => void} onProgress
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Skip the HTTP cache (replacing an outdated copy)
+ * @returns {Promise<{ blob: Blob, version: number }>} The file and the version downloaded
+ */
+async function downloadMaterial(materialId, onProgress, { refresh = false } = {}) {
+  const downloadUrl = `/api/materials/${materialId}/download`
+  console.log('🔗 Using proxy endpoint:', downloadUrl)
+
+  const response = await fetch(downloadUrl, refresh ? { cache: 'no-cache' } : undefined)
+
+  if (!response.ok) {
+    throw new Error(`Failed to download file: ${response.statusText}`)
+  }
+
+  // Get total file size for progress tracking
+  const contentLength = response.headers.get('content-length')
+  const total = parseInt(contentLength, 10)
+
+  // Read response as stream for progress tracking
+  const reader = response.body.getReader()
+  const chunks = []
+  let receivedLength = 0
+
+  while (true) {
+    const { done, value } = await reader.read()
+
+    if (done) break
+
+    chunks.push(value)
+    receivedLength += value.length
+
+    // Update progress
+    if (total) {
+      onProgress(Math.round((receivedLength / total) * 100))
+    }
+  }
+
+  // Combine chunks into single Uint8Array
+  const chunksAll = new Uint8Array(receivedLength)
+  let position = 0
+  for (const chunk of chunks) {
+    chunksAll.set(chunk, position)
+    position += chunk.length
+  }
+
+  // Create blob from downloaded data
+  return {
+    blob: new Blob([chunksAll], { type: response.headers.get('content-type') || 'application/octet-stream' }),
+    version: parseInt(response.headers.get('x-material-version'), 10) || 1,
+  }
+}
+
+// A cached copy to use as is - outdated copies are only used while offline
+function isUsableCache(cachedData) {
+  if (!cachedData?.file_blob) return false
+  return !cachedData.outdated || (typeof navigator !== 'undefined' && !navigator.onLine)
+}
 
 /**
  * Hook for caching and loading files (PDFs, docs) from IndexedDB
  * Downloads files only once, then serves from cache
+ * Copies flagged outdated (a newer version synced) are downloaded again when online
  * Uses API proxy to avoid CORS issues with R2/Supabase
  *
  * Usage:
  * const { openFile, isDownloading, progress } = useCachedFile()
  * onClick={() => openFile(material.id, material.file_url, material.title)}
+ *
+ * Save for offline without opening (e.g. a whole unit):
+ * await prefetchFile(material.id, material.file_url)
  */
 export function useCachedFile() {
   const [isDownloading, setIsDownloading] = useState(false)
@@ -32,7 +100,7 @@ export function useCachedFile() {
       // Step 1: Check if file is already cached
       const cachedData = await getCachedFile(materialId)
 
-      if (cachedData && cachedData.file_blob) {
+      if (isUsableCache(cachedData)) {
         console.log('📂 Loading from cache:', fileName)
 
         // Create blob URL from cached data
@@ -46,58 +114,16 @@ export function useCachedFile() {
         return
       }
 
-      // Step 2: File not cached, download via proxy
+      // Step 2: File not cached (or outdated), download via proxy
       console.log('⬇️ Downloading file:', fileName)
-
-      // Use proxy endpoint to avoid CORS issues
-      // Proxy fetches from R2/Supabase server-side and streams to client
-      const downloadUrl = `/api/materials/${materialId}/download`
-      console.log('🔗 Using proxy endpoint:', downloadUrl)
-
-      const response = await fetch(downloadUrl)
-
-      if (!response.ok) {
-        throw new Error(`Failed to download file: ${response.statusText}`)
-      }
-
-      // Get total file size for progress tracking
-      const contentLength = response.headers.get('content-length')
-      const total = parseInt(contentLength, 10)
-
-      // Read response as stream for progress tracking
-      const reader = response.body.getReader()
-      const chunks = []
-      let receivedLength = 0
-
-      while (true) {
-        const { done, value } = await reader.read()
-
-        if (done) break
-
-        chunks.push(value)
-        receivedLength += value.length
-
-        // Update progress
-        if (total) {
-          const percent = Math.round((receivedLength / total) * 100)
-          setProgress(percent)
-        }
-      }
-
-      // Combine chunks into single Uint8Array
-      const chunksAll = new Uint8Array(receivedLength)
-      let position = 0
-      for (const chunk of chunks) {
-        chunksAll.set(chunk, position)
-        position += chunk.length
-      }
-
-      // Create blob from downloaded data
-      const blob = new Blob([chunksAll], { type: response.headers.get('content-type') || 'application/octet-stream' })
+      const { blob, version } = await downloadMaterial(materialId, setProgress, { refresh: !!cachedData?.outdated })
 
       // Step 3: Cache the file in IndexedDB
       console.log('💾 Caching file:', fileName, `(${(blob.size / 1024 / 1024).toFixed(2)} MB)`)
-      await cacheFile(materialId, fileUrl, blob)
+      await cacheFile(materialId, fileUrl, blob, version)
+
+      // Make its text searchable offline (in the background)
+      syncMaterialText(materialId)
 
       // Step 4: Open the file
       const blobUrl = URL.createObjectURL(blob)
@@ -119,6 +145,27 @@ export function useCachedFile() {
     }
   }, [])
 
+  /**
+   * Download and cache a file without opening it
+   * Skips files that are already cached and up to date. Throws on failure (no URL fallback).
+   * @param {string} materialId - Unique material ID
+   * @param {string} fileUrl - Original URL, stored alongside the cached blob
+   * @param {(percent: number) => void} onProgress - Optional per-file progress
+   * @returns {Promise<{ alreadyCached: boolean }>}
+   */
+  const prefetchFile = useCallback(async (materialId, fileUrl, onProgress = () => {}) => {
+    const cachedData = await getCachedFile(materialId)
+    if (cachedData && cachedData.file_blob && !cachedData.outdated) {
+      return { alreadyCached: true }
+    }
+
+    const { blob, version } = await downloadMaterial(materialId, onProgress, { refresh: !!cachedData?.outdated })
+    await cacheFile(materialId, fileUrl, blob, version)
+    syncMaterialText(materialId)
+
+    return { alreadyCached: false }
+  }, [])
+
   /**
    * Check if a file is cached
    */
@@ -129,6 +176,7 @@ export function useCachedFile() {
 
   return {
     openFile,
+    prefetchFile,
     isDownloading,
     progress,
     error,
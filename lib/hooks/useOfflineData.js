@@ -15,8 +15,11 @@ import {
   getOfflineMaterialsForCourse,
   getOfflineUserProfile,
   syncTopicsForCourse,
+  syncResourceLinksForCourse,
+  getResourceLinksForCourse,
 } from '@/lib/db/syncManager';
 import { getFromStore, STORES, getByIndex } from '@/lib/db/indexedDB';
+import { searchOfflineIndex } from '@/lib/db/searchIndex';
 
 /**
  * Hook for accessing courses with SMART CACHING (React Query + Online-First)
@@ -336,6 +339,75 @@ export function useOfflineTopics(courseId) {
   };
 }
 
+/**
+ * Hook for accessing external resource links (YouTube/Drive) for a course
+ * Same online-first strategy as useOfflineMaterials. Unlike materials, an empty
+ * offline cache is not an error - most courses start with no links.
+ */
+export function useOfflineResourceLinks(courseId) {
+  const [isOnline, setIsOnline] = useState(true);
+
+  // Monitor online/offline status
+  useEffect(() => {
+    const updateOnlineStatus = () => setIsOnline(navigator.onLine);
+
+    updateOnlineStatus();
+    window.addEventListener('online', updateOnlineStatus);
+    window.addEventListener('offline', updateOnlineStatus);
+
+    return () => {
+      window.removeEventListener('online', updateOnlineStatus);
+      window.removeEventListener('offline', updateOnlineStatus);
+    };
+  }, []);
+
+  // React Query with 5-minute staleness + offline fallback
+  const { data, isLoading, error, refetch, dataUpdatedAt } = useQuery({
+    queryKey: ['resourceLinks', courseId],
+    queryFn: async () => {
+      if (!courseId) {
+        return { data: [], source: null };
+      }
+
+      // If ONLINE: Fetch from Supabase
+      if (navigator.onLine) {
+        const result = await syncResourceLinksForCourse(courseId);
+
+        if (result.success) {
+          return { data: result.data, source: 'supabase' };
+        }
+        console.warn('⚠️ Supabase fetch failed, falling back to cache');
+      }
+
+      // If OFFLINE (or fetch failed): Fall back to IndexedDB
+      const cacheResult = await getResourceLinksForCourse(courseId);
+
+      if (cacheResult.success) {
+        return { data: cacheResult.data, source: 'indexeddb' };
+      } else {
+        throw new Error(cacheResult.error);
+      }
+    },
+    enabled: !!courseId, // Only run query if courseId exists
+    staleTime: 5 * 60 * 1000, // 5 minutes - prevents refetch on revisit
+    gcTime: 10 * 60 * 1000, // 10 minutes in memory
+    refetchOnWindowFocus: false,
+    refetchOnReconnect: true,
+    retry: false, // Don't retry, just fall back to IndexedDB
+  });
+
+  return {
+    links: data?.data || [],
+    loading: isLoading,
+    error: error?.message || null,
+    isOnline,
+    isOffline: !isOnline,
+    source: data?.source || null,
+    refetch,
+    lastFetch: dataUpdatedAt, // When data was last fetched
+  };
+}
+
 /**
  * Hook for accessing user profile with offline support
  */
@@ -407,6 +479,79 @@ export function useOfflineProfile(userId) {
   };
 }
 
+/**
+ * Hook for searching cached materials with no network
+ * Reads only the IndexedDB search index (metadata of synced courses + text of
+ * downloaded files). Results are ranked, and snippets mark matched words with
+ * [[ ]] - render them with splitHighlights() from lib/search/params.
+ *
+ * Usage:
+ * const { results, loading } = useOfflineSearch(query, { courseId })
+ */
+export function useOfflineSearch(query, { courseId = null, limit } = {}) {
+  const [isOnline, setIsOnline] = useState(true);
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Monitor online/offline status
+  useEffect(() => {
+    const updateOnlineStatus = () => setIsOnline(navigator.onLine);
+
+    updateOnlineStatus();
+    window.addEventListener('online', updateOnlineStatus);
+    window.addEventListener('offline', updateOnlineStatus);
+
+    return () => {
+      window.removeEventListener('online', updateOnlineStatus);
+      window.removeEventListener('offline', updateOnlineStatus);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!query || !query.trim()) {
+      setResults([]);
+      setError(null);
+      return;
+    }
+
+    // Ignore results of a query the user has already typed past
+    let cancelled = false;
+
+    async function runSearch() {
+      setLoading(true);
+      try {
+        const found = await searchOfflineIndex(query, { courseId, limit });
+        if (!cancelled) {
+          setResults(found);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('Offline search error:', err);
+        if (!cancelled) {
+          setResults([]);
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+    runSearch();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, courseId, limit]);
+
+  return {
+    results,
+    loading,
+    error,
+    isOnline,
+    isOffline: !isOnline,
+  };
+}
+
 /**
  * Hook to check network status
  */
@@ -0,0 +1,236 @@
+/**
+ * Bulk moderation
+ *
+ * Runs one moderation action on a list of materials for
+ * /api/admin/materials/bulk. Each material is handled on its own, so one bad
+ * id doesn't stop the rest - the caller gets a result per material.
+ *
+ * Deletion and restore go through lib/materials/deletion, with the same
+ * checks and audit log entries as the single-material routes.
+ *
+ * Course moderators (lib/auth/permissions) get every action but restore, on
+ * materials in their own courses.
+ *
+ * All functions expect the service role client.
+ */
+
+import { scheduleMaterialIndexing, removeMaterialIndex } from '@/lib/embeddings/schedule';
+import { findMaterialsByHash } from '@/lib/storage/dedup';
+import { MATERIAL_CATEGORY_LABELS } from '@/lib/search/params';
+import { validateDeletionReason, softDeleteMaterial, restoreMaterial } from '@/lib/materials/deletion';
+
+export const BULK_ACTIONS = ['approve', 'reject', 'soft_delete', 'restore', 'categorize', 'move'];
+
+// Restoring from the trash stays with admins, like the rest of /admin/trash
+export const MODERATOR_BULK_ACTIONS = ['approve', 'reject', 'soft_delete', 'categorize', 'move'];
+
+const NOT_YOUR_COURSE = 'You can only moderate courses you are assigned to';
+
+// Keeps one request well inside the function time limit; the admin pages send larger selections in batches
+export const MAX_BULK_MATERIALS = 50;
+
+const MATERIAL_COLUMNS = 'id, title, status, course_id, topic_id, content_hash, download_count, view_count, deleted_at, deletion_type';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Read and validate a bulk request body
+ * @param {Object} body - { action, materialIds, reason?, category?, courseId?, topicId? }
+ * @returns {{ request?: Object, error?: string }}
+ */
+export function parseBulkRequest(body) {
+  const { action, materialIds, reason, category, courseId, topicId } = body || {};
+
+  if (!BULK_ACTIONS.includes(action)) {
+    return { error: `Invalid action. Must be one of: ${BULK_ACTIONS.join(', ')}` };
+  }
+
+  if (!Array.isArray(materialIds) || materialIds.length === 0) {
+    return { error: 'materialIds must be a non-empty array' };
+  }
+
+  const ids = [...new Set(materialIds)];
+  if (ids.length > MAX_BULK_MATERIALS) {
+    return { error: `At most ${MAX_BULK_MATERIALS} materials per request` };
+  }
+
+  if (!ids.every((id) => typeof id === 'string' && UUID_PATTERN.test(id))) {
+    return { error: 'Invalid material id' };
+  }
+
+  if (action === 'soft_delete') {
+    const reasonError = validateDeletionReason(reason);
+    if (reasonError) return { error: reasonError };
+  }
+
+  if (action === 'reject' && !reason?.trim()) {
+    return { error: 'Rejection reason is required' };
+  }
+
+  if (action === 'categorize' && !MATERIAL_CATEGORY_LABELS[category]) {
+    return { error: 'Invalid category' };
+  }
+
+  if (action === 'move') {
+    if (!courseId || !UUID_PATTERN.test(courseId)) return { error: 'Invalid courseId' };
+    if (topicId && !UUID_PATTERN.test(topicId)) return { error: 'Invalid topicId' };
+  }
+
+  return {
+    request: {
+      action,
+      materialIds: ids,
+      reason: reason?.trim() || null,
+      category: category || null,
+      courseId: courseId || null,
+      topicId: topicId || null,
+    },
+  };
+}
+
+// Course (and topic) a move targets - checked once for the whole batch
+async function loadMoveTarget(supabase, courseId, topicId) {
+  const { data: course, error } = await supabase
+    .from('courses')
+    .select('id, course_name, deleted_at')
+    .eq('id', courseId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!course || course.deleted_at) return { error: 'Course not found' };
+
+  if (topicId) {
+    const { data: topic, error: topicError } = await supabase
+      .from('topics')
+      .select('id, course_id, deleted_at')
+      .eq('id', topicId)
+      .maybeSingle();
+
+    if (topicError) throw topicError;
+    if (!topic || topic.deleted_at || topic.course_id !== courseId) {
+      return { error: 'Topic not found in that course' };
+    }
+  }
+
+  return { course };
+}
+
+async function updateMaterial(supabase, id, changes) {
+  const { error } = await supabase.from('materials').update(changes).eq('id', id);
+  if (error) throw error;
+}
+
+async function approve(supabase, material) {
+  if (material.status === 'approved') return { success: false, error: 'Already approved' };
+
+  await updateMaterial(supabase, material.id, { status: 'approved', rejection_reason: null });
+
+  // Queue indexing for AI chat (runs in the background)
+  await scheduleMaterialIndexing(supabase, material.id);
+  return { success: true };
+}
+
+async function reject(supabase, material, { reason }) {
+  if (material.status === 'rejected') return { success: false, error: 'Already rejected' };
+
+  await updateMaterial(supabase, material.id, { status: 'rejected', rejection_reason: reason });
+
+  // Rejecting a live material takes it out of AI chat and search right away
+  if (material.status === 'approved') {
+    await removeMaterialIndex(supabase, material.id);
+  }
+  return { success: true };
+}
+
+async function categorize(supabase, material, { category }) {
+  await updateMaterial(supabase, material.id, { material_category: category });
+  return { success: true };
+}
+
+async function move(supabase, material, { courseId, topicId }) {
+  if (material.course_id === courseId && (material.topic_id || null) === topicId) {
+    return { success: false, error: 'Already in that course' };
+  }
+
+  // A course never holds the same file twice (lib/storage/dedup)
+  if (material.course_id !== courseId && material.content_hash) {
+    const copies = await findMaterialsByHash(supabase, material.content_hash);
+    const copy = copies.find((match) => match.course_id === courseId && match.id !== material.id);
+    if (copy) {
+      return { success: false, error: `The course already has this file as "${copy.title}"` };
+    }
+  }
+
+  await updateMaterial(supabase, material.id, { course_id: courseId, topic_id: topicId, is_orphaned: false });
+  return { success: true };
+}
+
+/**
+ * Run one action on each material
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} request - From parseBulkRequest
+ * @param {string} userId - Admin or moderator doing the moderation
+ * @param {Object} [options]
+ * @param {string[]|null} [options.courseIds] - Courses the user moderates; null for admins (every course)
+ * @returns {Promise<{ results: Array<{ id: string, title?: string, success: boolean, error?: string }>, summary: { succeeded: number, failed: number } }>}
+ */
+export async function runBulkAction(supabase, request, userId, { courseIds = null } = {}) {
+  const { action, materialIds } = request;
+
+  const { data, error } = await supabase
+    .from('materials')
+    .select(MATERIAL_COLUMNS)
+    .in('id', materialIds);
+
+  if (error) throw error;
+  const materials = new Map((data || []).map((material) => [material.id, material]));
+
+  let target = null;
+  if (action === 'move') {
+    target = courseIds && !courseIds.includes(request.courseId)
+      ? { error: NOT_YOUR_COURSE }
+      : await loadMoveTarget(supabase, request.courseId, request.topicId);
+  }
+
+  const results = [];
+
+  for (const id of materialIds) {
+    const material = materials.get(id);
+    if (!material) {
+      results.push({ id, success: false, error: 'Material not found' });
+      continue;
+    }
+
+    let result;
+    try {
+      if (courseIds && !courseIds.includes(material.course_id)) {
+        result = { success: false, error: NOT_YOUR_COURSE };
+      } else if (target?.error) {
+        result = { success: false, error: target.error };
+      } else if (action === 'restore') {
+        result = await restoreMaterial(supabase, material, userId);
+      } else if (material.deleted_at) {
+        // Everything but restore works on live materials only
+        result = { success: false, error: 'Material is in the trash' };
+      } else if (action === 'approve') {
+        result = await approve(supabase, material);
+      } else if (action === 'reject') {
+        result = await reject(supabase, material, request);
+      } else if (action === 'soft_delete') {
+        result = await softDeleteMaterial(supabase, material, { reason: request.reason, userId });
+      } else if (action === 'categorize') {
+        result = await categorize(supabase, material, request);
+      } else {
+        result = await move(supabase, material, request);
+      }
+    } catch (actionError) {
+      console.error(`[Bulk Moderation] ${action} failed for ${id}:`, actionError);
+      result = { success: false, error: actionError.message };
+    }
+
+    results.push({ id, title: material.title, ...result });
+  }
+
+  const succeeded = results.filter((result) => result.success).length;
+  return { results, summary: { succeeded, failed: results.length - succeeded } };
+}
@@ -0,0 +1,186 @@
+/**
+ * Material and topic deletion (migration 006)
+ *
+ * Safety checks and audit logging shared by the single-material delete route,
+ * the topic moderation route and bulk moderation. Soft-deleted materials sit in the trash for 30 days
+ * before /api/cron/purge-trash removes them; every deletion and restore is
+ * recorded in deletion_audit_log.
+ *
+ * All functions expect the service role client.
+ */
+
+export const MIN_DELETION_REASON_LENGTH = 10;
+
+/**
+ * Why a deletion request can't go ahead
+ * @param {string} reason
+ * @returns {string|null} Error message, or null if the reason is acceptable
+ */
+export function validateDeletionReason(reason) {
+  if (!reason || reason.trim().length < MIN_DELETION_REASON_LENGTH) {
+    return `Deletion reason is required (minimum ${MIN_DELETION_REASON_LENGTH} characters)`;
+  }
+  return null;
+}
+
+/**
+ * Record a deletion in deletion_audit_log
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} entry
+ * @param {'material'|'topic'|'course'} entry.entityType
+ * @param {{ id: string, title: string, download_count?: number, view_count?: number }} entry.entity
+ * @param {'soft'|'hard'} entry.deletionType
+ * @param {string} entry.reason
+ * @param {string|null} entry.userId - null for automatic deletions
+ */
+export async function logDeletion(supabase, { entityType, entity, deletionType, reason, userId }) {
+  const { error } = await supabase.from('deletion_audit_log').insert({
+    entity_type: entityType,
+    entity_id: entity.id,
+    entity_title: entity.title,
+    deletion_type: deletionType,
+    deletion_reason: reason,
+    deleted_by: userId,
+    download_count_at_deletion: entity.download_count || 0,
+    view_count_at_deletion: entity.view_count || 0,
+  });
+
+  if (error) throw error;
+}
+
+/**
+ * Record that a soft-deleted item came back out of the trash
+ * Marks its latest unrestored deletion in deletion_audit_log.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {'material'|'topic'|'course'} entityType
+ * @param {string} entityId
+ * @param {string} userId
+ */
+export async function logRestore(supabase, entityType, entityId, userId) {
+  const { error } = await supabase
+    .from('deletion_audit_log')
+    .update({
+      restored_at: new Date().toISOString(),
+      restored_by: userId,
+    })
+    .eq('entity_id', entityId)
+    .eq('entity_type', entityType)
+    .is('restored_at', null) // Only update if not already restored
+    .order('deleted_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+}
+
+/**
+ * Move a material to the trash
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ id: string, title: string, deleted_at?: string, download_count?: number, view_count?: number }} material
+ * @param {Object} details
+ * @param {string} details.reason - Checked with validateDeletionReason
+ * @param {string} details.userId - Admin doing the deletion
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function softDeleteMaterial(supabase, material, { reason, userId }) {
+  if (material.deleted_at) {
+    return { success: false, error: 'Material is already deleted' };
+  }
+
+  const { error } = await supabase
+    .from('materials')
+    .update({
+      deleted_at: new Date().toISOString(),
+      deletion_type: 'soft',
+      deletion_reason: reason,
+      deleted_by: userId,
+      download_count_at_deletion: material.download_count || 0,
+      view_count_at_deletion: material.view_count || 0,
+    })
+    .eq('id', material.id);
+
+  if (error) throw error;
+
+  await logDeletion(supabase, {
+    entityType: 'material',
+    entity: material,
+    deletionType: 'soft',
+    reason,
+    userId,
+  });
+
+  return { success: true };
+}
+
+/**
+ * Take a material back out of the trash
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ id: string, deleted_at?: string, deletion_type?: string }} material
+ * @param {string} userId - Admin doing the restore
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function restoreMaterial(supabase, material, userId) {
+  if (!material.deleted_at) {
+    return { success: false, error: 'Material is not deleted, cannot restore' };
+  }
+
+  if (material.deletion_type === 'hard') {
+    return { success: false, error: 'Cannot restore hard-deleted items' };
+  }
+
+  const { error } = await supabase
+    .from('materials')
+    .update({
+      deleted_at: null,
+      deletion_type: null,
+      deletion_reason: null,
+      deleted_by: null,
+      download_count_at_deletion: null,
+      view_count_at_deletion: null,
+    })
+    .eq('id', material.id);
+
+  if (error) throw error;
+
+  await logRestore(supabase, 'material', material.id, userId);
+
+  return { success: true };
+}
+
+/**
+ * Move a topic to the trash
+ * Its materials stay in the course; they are only orphaned if the topic is
+ * purged (lib/trash/purge).
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ id: string, topic_name: string, deleted_at?: string }} topic
+ * @param {Object} details
+ * @param {string} details.reason - Checked with validateDeletionReason
+ * @param {string} details.userId - Admin or course moderator doing the deletion
+ * @returns {Promise<{ success: boolean, error?: string }>}
+ */
+export async function softDeleteTopic(supabase, topic, { reason, userId }) {
+  if (topic.deleted_at) {
+    return { success: false, error: 'Topic is already deleted' };
+  }
+
+  const { error } = await supabase
+    .from('topics')
+    .update({
+      deleted_at: new Date().toISOString(),
+      deletion_type: 'soft',
+      deletion_reason: reason,
+      deleted_by: userId,
+    })
+    .eq('id', topic.id);
+
+  if (error) throw error;
+
+  await logDeletion(supabase, {
+    entityType: 'topic',
+    entity: { id: topic.id, title: topic.topic_name },
+    deletionType: 'soft',
+    reason,
+    userId,
+  });
+
+  return { success: true };
+}
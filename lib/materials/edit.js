@@ -0,0 +1,118 @@
+/**
+ * Material and topic edits
+ *
+ * Validation for the moderation edit routes (/api/admin/materials/[id] and
+ * /api/admin/topics/[id]), used by admins and course moderators. Only the
+ * descriptive fields can be changed here; moving a material to another course
+ * goes through bulk moderation, which checks for duplicates.
+ */
+
+import { MATERIAL_CATEGORY_LABELS } from '@/lib/search/params';
+import { isValidUUID } from '@/lib/utils/validators';
+
+function optionalText(value, max, label) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (text.length > max) {
+    return { error: `${label} must be ${max} characters or less` };
+  }
+  return { value: text || null };
+}
+
+function optionalInteger(value, min, max, label) {
+  if (value === null || value === '') return { value: null };
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    return { error: `${label} must be a whole number from ${min} to ${max}` };
+  }
+  return { value: number };
+}
+
+/**
+ * Validate and normalise a material edit
+ * @param {Object} input - Any of { title, description, materialCategory, weekNumber, topicId }
+ * @returns {{ valid: boolean, error: string|null, data: Object }} data uses column names
+ */
+export function validateMaterialEdit(input = {}) {
+  const data = {};
+
+  if (input.title !== undefined) {
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (title.length < 3 || title.length > 200) {
+      return { valid: false, error: 'Title must be 3 to 200 characters', data: null };
+    }
+    data.title = title;
+  }
+
+  if (input.description !== undefined) {
+    const { value, error } = optionalText(input.description, 2000, 'Description');
+    if (error) return { valid: false, error, data: null };
+    data.description = value;
+  }
+
+  if (input.materialCategory !== undefined) {
+    if (input.materialCategory !== null && !MATERIAL_CATEGORY_LABELS[input.materialCategory]) {
+      return { valid: false, error: 'Invalid category', data: null };
+    }
+    data.material_category = input.materialCategory;
+  }
+
+  if (input.weekNumber !== undefined) {
+    const { value, error } = optionalInteger(input.weekNumber, 1, 52, 'Week number');
+    if (error) return { valid: false, error, data: null };
+    data.week_number = value;
+  }
+
+  if (input.topicId !== undefined) {
+    if (input.topicId !== null && !isValidUUID(input.topicId)) {
+      return { valid: false, error: 'Invalid topicId', data: null };
+    }
+    data.topic_id = input.topicId;
+  }
+
+  return { valid: true, error: null, data };
+}
+
+/**
+ * Validate and normalise a topic edit
+ * @param {Object} input - Any of { topicName, description, unitCode, weekNumber, year, semester }
+ * @returns {{ valid: boolean, error: string|null, data: Object }} data uses column names
+ */
+export function validateTopicEdit(input = {}) {
+  const data = {};
+
+  if (input.topicName !== undefined) {
+    const topicName = typeof input.topicName === 'string' ? input.topicName.trim() : '';
+    if (topicName.length < 2 || topicName.length > 150) {
+      return { valid: false, error: 'Topic name must be 2 to 150 characters', data: null };
+    }
+    data.topic_name = topicName;
+  }
+
+  if (input.description !== undefined) {
+    const { value, error } = optionalText(input.description, 1000, 'Description');
+    if (error) return { valid: false, error, data: null };
+    data.description = value;
+  }
+
+  if (input.unitCode !== undefined) {
+    const { value, error } = optionalText(input.unitCode, 20, 'Unit code');
+    if (error) return { valid: false, error, data: null };
+    data.unit_code = value && value.toUpperCase();
+  }
+
+  const ranges = [
+    ['weekNumber', 'week_number', 1, 52, 'Week number'],
+    ['year', 'year', 1, 6, 'Year'],
+    ['semester', 'semester', 1, 3, 'Semester'],
+  ];
+
+  for (const [field, column, min, max, label] of ranges) {
+    if (input[field] === undefined) continue;
+    const { value, error } = optionalInteger(input[field], min, max, label);
+    if (error) return { valid: false, error, data: null };
+    data[column] = value;
+  }
+
+  return { valid: true, error: null, data };
+}
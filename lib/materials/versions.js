@@ -0,0 +1,149 @@
+/**
+ * Material versions (migration 021)
+ *
+ * A corrected file is uploaded as a new version of an existing material, so
+ * the material keeps its id, links and download counts. material_versions
+ * has one row per uploaded file, including the current one; the file columns
+ * on materials always describe version `current_version`. Older files stay
+ * in storage so earlier versions can still be opened.
+ */
+
+const VERSION_COLUMNS = 'id, material_id, version_number, type, storage_location, storage_path, file_url, file_size, change_note, uploaded_by, user_id, created_at';
+
+export const MAX_CHANGE_NOTE_LENGTH = 500;
+
+/**
+ * Parse a version number from a query string
+ * @param {string|null} value
+ * @returns {number|null} A positive integer, or null for "current version"
+ */
+export function parseVersionNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Whether a user may upload new versions of a material - its uploader or an admin
+ * @param {{ user_id?: string }} material
+ * @param {{ id: string }|null} user
+ * @param {{ role?: string }|null} profile
+ * @returns {boolean}
+ */
+export function canReviseMaterial(material, user, profile) {
+  if (!user) return false;
+  return profile?.role === 'admin' || (!!material.user_id && material.user_id === user.id);
+}
+
+/**
+ * Revision history of a material, newest first
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} materialId
+ * @returns {Promise<Object[]>}
+ */
+export async function listMaterialVersions(supabase, materialId) {
+  const { data, error } = await supabase
+    .from('material_versions')
+    .select(VERSION_COLUMNS)
+    .eq('material_id', materialId)
+    .order('version_number', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * One version of a material
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} materialId
+ * @param {number} versionNumber
+ * @returns {Promise<Object|null>}
+ */
+export async function getMaterialVersion(supabase, materialId, versionNumber) {
+  const { data, error } = await supabase
+    .from('material_versions')
+    .select(VERSION_COLUMNS)
+    .eq('material_id', materialId)
+    .eq('version_number', versionNumber)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Record a new version and make it the material's current file
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {string} materialId
+ * @param {Object} file
+ * @param {string} file.type
+ * @param {string} file.storage_location
+ * @param {string} file.storage_path
+ * @param {string|null} file.file_url
+ * @param {number} file.file_size
+ * @param {string} file.content_hash
+ * @param {Object} [details]
+ * @param {string} [details.changeNote]
+ * @param {string} [details.uploadedBy]
+ * @param {string} [details.userId]
+ * @returns {Promise<Object>} The new material_versions row
+ */
+export async function addMaterialVersion(supabase, materialId, file, { changeNote, uploadedBy, userId } = {}) {
+  const { data, error } = await supabase.rpc('add_material_version', {
+    p_material_id: materialId,
+    p_type: file.type,
+    p_storage_location: file.storage_location,
+    p_storage_path: file.storage_path,
+    p_file_url: file.file_url,
+    p_file_size: file.file_size,
+    p_content_hash: file.content_hash,
+    p_change_note: changeNote?.trim().slice(0, MAX_CHANGE_NOTE_LENGTH) || null,
+    p_uploaded_by: uploadedBy || null,
+    p_user_id: userId || null,
+  });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Stored files of all of a material's versions, once each
+ * Deleting a material must remove older versions' files along with the current one.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {string} materialId
+ * @returns {Promise<Array<{ storage_location: string, storage_path: string }>>}
+ */
+export async function getVersionFiles(supabase, materialId) {
+  const { data, error } = await supabase
+    .from('material_versions')
+    .select('storage_location, storage_path')
+    .eq('material_id', materialId)
+    .not('storage_path', 'is', null);
+
+  if (error) throw error;
+
+  const seen = new Set();
+  return (data || []).filter((version) => {
+    if (seen.has(version.storage_path)) return false;
+    seen.add(version.storage_path);
+    return true;
+  });
+}
+
+/**
+ * Version history as returned to the viewer
+ * @param {Object[]} versions - From listMaterialVersions
+ * @param {number} currentVersion - materials.current_version
+ * @returns {Object[]}
+ */
+export function formatVersionHistory(versions, currentVersion) {
+  return versions.map((version) => ({
+    versionNumber: version.version_number,
+    type: version.type,
+    fileSize: version.file_size,
+    changeNote: version.change_note,
+    uploadedBy: version.uploaded_by,
+    createdAt: version.created_at,
+    current: version.version_number === currentVersion,
+  }));
+}
@@ -0,0 +1,192 @@
+/**
+ * Upload moderation policy (migration 022)
+ *
+ * Decides whether a new upload goes live straight away ('approved') or waits
+ * in /admin/pending ('pending'). Both upload routes call resolveInitialStatus.
+ *
+ * Each course has a moderation_mode:
+ * - open    -> everything is approved
+ * - trusted -> (default) approved for admins, class reps an admin has made
+ *              moderators of the course (course_moderators, migration 023),
+ *              and uploaders with an established record of approved uploads
+ * - manual  -> only admin uploads are approved
+ *
+ * Anonymous uploads always wait for review, except in open courses. Class rep
+ * status and profiles.course_id are self-declared, so neither counts on its
+ * own; only the admin-granted assignment does.
+ */
+
+import { MODERATOR_ROLE } from '@/lib/auth/permissions';
+
+export const MODERATION_MODES = ['open', 'trusted', 'manual'];
+
+export const DEFAULT_MODERATION_MODE = 'trusted';
+
+export const MODERATION_MODE_LABELS = {
+  open: 'Open - every upload goes live',
+  trusted: 'Trusted - new uploaders are reviewed',
+  manual: 'Manual - every upload is reviewed',
+};
+
+// Other uploaders need an account this old and a record of approved uploads...
+export const TRUSTED_MIN_ACCOUNT_AGE_DAYS = 14;
+export const TRUSTED_MIN_APPROVED_UPLOADS = 3;
+
+// ...with at most one rejection for every ten approvals
+export const TRUSTED_MAX_REJECTION_RATE = 0.1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * An uploader's past uploads, for the trust check
+ * Approved counts live materials only; rejected counts every rejection.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {string} userId
+ * @returns {Promise<{ approved: number, rejected: number }>}
+ */
+export async function getUploadHistory(supabase, userId) {
+  const [approved, rejected] = await Promise.all([
+    supabase
+      .from('materials')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('status', 'approved')
+      .is('deleted_at', null),
+    supabase
+      .from('materials')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .eq('status', 'rejected'),
+  ]);
+
+  if (approved.error) throw approved.error;
+  if (rejected.error) throw rejected.error;
+
+  return { approved: approved.count || 0, rejected: rejected.count || 0 };
+}
+
+/**
+ * Whether an admin has made the user a moderator of the course
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {string} userId
+ * @param {string} courseId
+ * @returns {Promise<boolean>}
+ */
+export async function isAssignedModerator(supabase, userId, courseId) {
+  const { data, error } = await supabase
+    .from('course_moderators')
+    .select('course_id')
+    .eq('course_id', courseId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return Boolean(data);
+}
+
+/**
+ * Initial status of an upload - pure, see resolveInitialStatus for the lookups
+ * @param {Object} input
+ * @param {string} [input.moderationMode] - The course's moderation_mode
+ * @param {{ role?: string, created_at?: string }|null} input.profile - null when anonymous
+ * @param {boolean} [input.isCourseModerator] - From isAssignedModerator for this course
+ * @param {{ approved: number, rejected: number }} [input.history]
+ * @param {number} [input.now] - Epoch ms
+ * @returns {{ status: 'approved'|'pending', reason: string }} reason is a short code for logs and the uploader
+ */
+export function decideInitialStatus({ moderationMode, profile, isCourseModerator = false, history, now = Date.now() }) {
+  const mode = MODERATION_MODES.includes(moderationMode) ? moderationMode : DEFAULT_MODERATION_MODE;
+
+  if (mode === 'open') return { status: 'approved', reason: 'open_course' };
+  if (!profile) return { status: 'pending', reason: 'anonymous' };
+  if (profile.role === 'admin') return { status: 'approved', reason: 'admin' };
+  if (mode === 'manual') return { status: 'pending', reason: 'manual_course' };
+
+  if (profile.role === MODERATOR_ROLE && isCourseModerator) {
+    return { status: 'approved', reason: 'course_moderator' };
+  }
+
+  const accountAgeDays = profile.created_at ? (now - new Date(profile.created_at).getTime()) / DAY_MS : 0;
+
+  if (accountAgeDays < TRUSTED_MIN_ACCOUNT_AGE_DAYS) {
+    return { status: 'pending', reason: 'new_account' };
+  }
+
+  const approved = history?.approved || 0;
+  const rejected = history?.rejected || 0;
+
+  if (approved < TRUSTED_MIN_APPROVED_UPLOADS) {
+    return { status: 'pending', reason: 'few_uploads' };
+  }
+
+  if (rejected > approved * TRUSTED_MAX_REJECTION_RATE) {
+    return { status: 'pending', reason: 'recent_rejections' };
+  }
+
+  return { status: 'approved', reason: 'trusted_uploader' };
+}
+
+/**
+ * Initial status of an upload, looking up the course and upload history
+ * Errors fall back to review rather than failing the upload.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {Object} input
+ * @param {string} input.courseId
+ * @param {string|null} input.userId - null when anonymous
+ * @param {Object|null} input.profile - Uploader's profile with role and created_at
+ * @returns {Promise<{ status: 'approved'|'pending', reason: string }>}
+ */
+export async function resolveInitialStatus(supabase, { courseId, userId, profile }) {
+  try {
+    const { data: course, error } = await supabase
+      .from('courses')
+      .select('moderation_mode')
+      .eq('id', courseId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const input = {
+      moderationMode: course?.moderation_mode,
+      profile: userId ? profile : null,
+    };
+
+    // Class reps skip review only in courses an admin assigned them
+    if (userId && profile?.role === MODERATOR_ROLE && input.moderationMode !== 'open') {
+      input.isCourseModerator = await isAssignedModerator(supabase, userId, courseId);
+    }
+
+    // Only the trusted mode looks at history, and only for uploaders the cheaper checks didn't settle
+    const decision = decideInitialStatus(input);
+    if (decision.reason !== 'few_uploads') return decision;
+
+    return decideInitialStatus({ ...input, history: await getUploadHistory(supabase, userId) });
+  } catch (error) {
+    console.error('[Moderation] Failed to decide upload status, sending to review:', error);
+    return { status: 'pending', reason: 'policy_error' };
+  }
+}
+
+/**
+ * What the uploader is told about an upload that waits for review
+ * @param {string} reason - From decideInitialStatus
+ * @returns {string|null}
+ */
+export function describeModerationReason(reason) {
+  switch (reason) {
+    case 'anonymous':
+      return 'Uploads without an account are checked by a moderator first.';
+    case 'manual_course':
+      return 'Every upload to this course is checked by a moderator first.';
+    case 'new_account':
+    case 'few_uploads':
+      return 'New uploaders are checked by a moderator first. Once a few of your uploads are approved, they will go live straight away.';
+    case 'recent_rejections':
+      return 'Some of your earlier uploads were rejected, so new ones are checked by a moderator first.';
+    case 'policy_error':
+      return 'Your upload will be checked by a moderator shortly.';
+    default:
+      return null;
+  }
+}
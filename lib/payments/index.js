@@ -0,0 +1,82 @@
+/**
+ * Payment Provider Registry
+ *
+ * Subscriptions talk to payment providers only through this interface, so a new
+ * provider (Airtel Money, card) is one more module plus an entry in PROVIDERS.
+ *
+ * Provider selection:
+ * - PAYMENT_PROVIDER=mpesa|mock forces a provider
+ * - Otherwise M-Pesa when its credentials exist, else the mock
+ * - The mock is never used in production, even when forced - it completes
+ *   payments without taking any money
+ *
+ * @typedef {Object} PaymentRequest
+ * @property {number} amount - In KES
+ * @property {string} phoneNumber - Payer phone, any common Kenyan format
+ * @property {string} reference - Shown on the payer's statement (max 12 chars)
+ * @property {string} description - Short transaction description (max 13 chars)
+ * @property {string} callbackUrl - Where the provider POSTs the result
+ *
+ * @typedef {Object} PaymentInitiation
+ * @property {'pending'|'completed'|'failed'} status - 'pending' = wait for callback
+ * @property {string} checkoutRequestId - Used to match the callback
+ * @property {string|null} merchantRequestId
+ * @property {string} phoneNumber - Normalised phone number
+ * @property {string} customerMessage - Text to show the payer
+ * @property {string} [receiptNumber] - Set when status is 'completed'
+ * @property {string} [resultCode] - Set when status is 'failed'
+ * @property {string} [resultDescription]
+ *
+ * @typedef {Object} PaymentResult
+ * @property {string} checkoutRequestId
+ * @property {string|null} merchantRequestId
+ * @property {boolean} success
+ * @property {string} resultCode
+ * @property {string|null} resultDescription
+ * @property {string|null} receiptNumber
+ * @property {number|null} amount
+ * @property {string|number|null} phoneNumber
+ *
+ * @typedef {Object} PaymentProvider
+ * @property {string} name
+ * @property {() => boolean} isConfigured
+ * @property {(request: PaymentRequest) => Promise<PaymentInitiation>} initiatePayment
+ * @property {(body: Object) => PaymentResult|null} parseCallback - null if the body isn't a callback
+ */
+
+import mpesaProvider, { isMpesaConfigured } from './mpesa';
+import mockProvider from './mock';
+
+const PROVIDERS = {
+  mpesa: mpesaProvider,
+  mock: mockProvider,
+};
+
+/**
+ * Get the configured payment provider
+ * @param {string} [name] - Force a specific provider
+ * @returns {PaymentProvider}
+ */
+export function getPaymentProvider(name = process.env.PAYMENT_PROVIDER) {
+  if (name) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    if (provider === mockProvider && process.env.NODE_ENV === 'production') {
+      throw new Error('The mock payment provider cannot be used in production.');
+    }
+    return provider;
+  }
+
+  if (isMpesaConfigured()) {
+    return mpesaProvider;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No payment provider configured. Please add MPESA_* credentials to .env file.');
+  }
+
+  return mockProvider;
+}
+
@@ -0,0 +1,58 @@
+/**
+ * Mock Payment Provider
+ *
+ * Local stand-in for M-Pesa during development and tests. Payments complete
+ * immediately unless the phone number ends in "000", which simulates the user
+ * cancelling the prompt.
+ *
+ * parseCallback() accepts the same Daraja-shaped body as the M-Pesa provider,
+ * so the callback route can be exercised with a hand-written payload.
+ */
+
+import { randomUUID } from 'crypto';
+import mpesaProvider, { normalizeMpesaPhone } from './mpesa';
+
+/**
+ * @type {import('./index').PaymentProvider}
+ */
+const mockProvider = {
+  name: 'mock',
+
+  isConfigured: () => true,
+
+  async initiatePayment({ amount, phoneNumber }) {
+    const phone = normalizeMpesaPhone(phoneNumber);
+    if (!phone) {
+      throw new Error('Invalid phone number. Use the Safaricom number format 07XXXXXXXX.');
+    }
+
+    const checkoutRequestId = `mock_${randomUUID()}`;
+
+    if (phone.endsWith('000')) {
+      return {
+        status: 'failed',
+        phoneNumber: phone,
+        checkoutRequestId,
+        merchantRequestId: null,
+        resultCode: '1032',
+        resultDescription: 'Request cancelled by user',
+        customerMessage: 'Payment cancelled (mock)',
+      };
+    }
+
+    return {
+      status: 'completed',
+      phoneNumber: phone,
+      checkoutRequestId,
+      merchantRequestId: null,
+      receiptNumber: `MOCK${Date.now().toString(36).toUpperCase()}`,
+      amount,
+      customerMessage: 'Payment confirmed (mock)',
+    };
+  },
+
+  // Same Daraja callback format as the real provider
+  parseCallback: mpesaProvider.parseCallback,
+};
+
+export default mockProvider;
@@ -0,0 +1,189 @@
+/**
+ * M-Pesa Daraja STK Push Provider
+ *
+ * Sends a "Lipa na M-Pesa Online" prompt to the student's phone. The result
+ * arrives later as a POST to /api/subscriptions/callback.
+ *
+ * Setup Instructions:
+ * 1. Create an app on https://developer.safaricom.co.ke (Lipa na M-Pesa Sandbox)
+ * 2. Add credentials to .env:
+ *    - MPESA_ENVIRONMENT=sandbox (or production)
+ *    - MPESA_CONSUMER_KEY=your_consumer_key
+ *    - MPESA_CONSUMER_SECRET=your_consumer_secret
+ *    - MPESA_SHORTCODE=174379 (sandbox paybill)
+ *    - MPESA_PASSKEY=your_passkey
+ *    - MPESA_CALLBACK_SECRET=random_string (appended to the callback URL)
+ *    - MPESA_CALLBACK_URL=https://your-domain/api/subscriptions/callback (optional)
+ */
+
+const DARAJA_BASE_URLS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke',
+};
+
+// Cached OAuth token (valid for ~1 hour)
+let accessToken = null;
+let accessTokenExpiresAt = 0;
+
+function getBaseUrl() {
+  return DARAJA_BASE_URLS[process.env.MPESA_ENVIRONMENT] || DARAJA_BASE_URLS.sandbox;
+}
+
+/**
+ * Check if M-Pesa credentials are configured
+ * @returns {boolean}
+ */
+export function isMpesaConfigured() {
+  return !!(
+    process.env.MPESA_CONSUMER_KEY &&
+    process.env.MPESA_CONSUMER_SECRET &&
+    process.env.MPESA_SHORTCODE &&
+    process.env.MPESA_PASSKEY
+  );
+}
+
+/**
+ * Daraja timestamp (YYYYMMDDHHmmss, East Africa Time)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function getDarajaTimestamp(date = new Date()) {
+  // EAT is UTC+3 with no daylight saving
+  const eat = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  return eat.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * Normalise a Kenyan phone number to the 2547XXXXXXXX / 2541XXXXXXXX format Daraja expects
+ * @param {string} phone - e.g. 0712345678, +254712345678, 712345678
+ * @returns {string|null} Normalised number, or null if invalid
+ */
+export function normalizeMpesaPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+
+  let local = null;
+  if (digits.length === 12 && digits.startsWith('254')) local = digits.slice(3);
+  else if (digits.length === 10 && digits.startsWith('0')) local = digits.slice(1);
+  else if (digits.length === 9) local = digits;
+
+  if (!local || !/^[17]\d{8}$/.test(local)) return null;
+
+  return `254${local}`;
+}
+
+async function getAccessToken() {
+  if (accessToken && Date.now() < accessTokenExpiresAt) {
+    return accessToken;
+  }
+
+  const credentials = Buffer.from(
+    `${process.env.MPESA_CONSUMER_KEY}:${process.env.MPESA_CONSUMER_SECRET}`
+  ).toString('base64');
+
+  const response = await fetch(`${getBaseUrl()}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${credentials}` },
+  });
+
+  if (!response.ok) {
+    throw new Error(`M-Pesa authentication failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  accessToken = data.access_token;
+  // Refresh a minute early
+  accessTokenExpiresAt = Date.now() + (parseInt(data.expires_in, 10) - 60) * 1000;
+
+  return accessToken;
+}
+
+/**
+ * Read a value from stkCallback.CallbackMetadata.Item[]
+ */
+function getCallbackItem(items, name) {
+  return items?.find((item) => item.Name === name)?.Value ?? null;
+}
+
+/**
+ * M-Pesa payment provider
+ * @type {import('./index').PaymentProvider}
+ */
+const mpesaProvider = {
+  name: 'mpesa',
+
+  isConfigured: isMpesaConfigured,
+
+  async initiatePayment({ amount, phoneNumber, reference, description, callbackUrl }) {
+    if (!isMpesaConfigured()) {
+      throw new Error('M-Pesa not configured. Please add MPESA_* credentials to .env file.');
+    }
+
+    const phone = normalizeMpesaPhone(phoneNumber);
+    if (!phone) {
+      throw new Error('Invalid phone number. Use the Safaricom number format 07XXXXXXXX.');
+    }
+
+    const shortcode = process.env.MPESA_SHORTCODE;
+    const timestamp = getDarajaTimestamp();
+    const password = Buffer.from(`${shortcode}${process.env.MPESA_PASSKEY}${timestamp}`).toString('base64');
+    const token = await getAccessToken();
+
+    const response = await fetch(`${getBaseUrl()}/mpesa/stkpush/v1/processrequest`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        BusinessShortCode: shortcode,
+        Password: password,
+        Timestamp: timestamp,
+        TransactionType: 'CustomerPayBillOnline',
+        Amount: Math.round(amount),
+        PartyA: phone,
+        PartyB: shortcode,
+        PhoneNumber: phone,
+        CallBackURL: callbackUrl,
+        AccountReference: reference.slice(0, 12),
+        TransactionDesc: description.slice(0, 13),
+      }),
+    });
+
+    const data = await response.json();
+
+    // ResponseCode "0" means the prompt was sent, not that the user paid
+    if (!response.ok || data.ResponseCode !== '0') {
+      throw new Error(data.errorMessage || data.ResponseDescription || 'Failed to send M-Pesa prompt');
+    }
+
+    return {
+      status: 'pending',
+      phoneNumber: phone,
+      checkoutRequestId: data.CheckoutRequestID,
+      merchantRequestId: data.MerchantRequestID,
+      customerMessage: data.CustomerMessage || 'Check your phone and enter your M-Pesa PIN',
+    };
+  },
+
+  parseCallback(body) {
+    const callback = body?.Body?.stkCallback;
+    if (!callback?.CheckoutRequestID) {
+      return null;
+    }
+
+    const items = callback.CallbackMetadata?.Item;
+    const resultCode = String(callback.ResultCode);
+
+    return {
+      checkoutRequestId: callback.CheckoutRequestID,
+      merchantRequestId: callback.MerchantRequestID,
+      success: resultCode === '0',
+      resultCode,
+      resultDescription: callback.ResultDesc,
+      receiptNumber: getCallbackItem(items, 'MpesaReceiptNumber'),
+      amount: getCallbackItem(items, 'Amount'),
+      phoneNumber: getCallbackItem(items, 'PhoneNumber'),
+    };
+  },
+};
+
+export default mpesaProvider;
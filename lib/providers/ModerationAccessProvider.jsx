@@ -0,0 +1,57 @@
+'use client'
+
+import { createContext, useContext } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { createClient } from '@/lib/supabase/client'
+import { getAccess, isModerator } from '@/lib/auth/permissions'
+
+const ModerationAccessContext = createContext({
+  access: null,
+  loading: true,
+  isAdmin: false,
+  isModerator: false,
+  courseIds: [],
+})
+
+/**
+ * The signed-in user's access (getAccess), shared through the query cache so
+ * pages outside /admin can check course moderation rights too
+ * @returns {{ data: Object|null|undefined, isLoading: boolean }}
+ */
+export function useAccess() {
+  const supabase = createClient()
+
+  return useQuery({
+    queryKey: ['moderation-access'],
+    queryFn: () => getAccess(supabase),
+    staleTime: 60 * 1000, // 1 minute
+  })
+}
+
+/**
+ * Moderation rights for the /admin pages (see lib/auth/permissions)
+ * Only decides what the pages show - the API routes check again on every request.
+ */
+export function ModerationAccessProvider({ children }) {
+  const { data: access, isLoading } = useAccess()
+
+  const value = {
+    access: access ?? null,
+    loading: isLoading,
+    isAdmin: !!access?.isAdmin,
+    isModerator: isModerator(access),
+    // Empty for admins, who moderate every course
+    courseIds: access?.courseIds ?? [],
+  }
+
+  return (
+    <ModerationAccessContext.Provider value={value}>
+      {children}
+    </ModerationAccessContext.Provider>
+  )
+}
+
+// Hook to use the moderation access context
+export function useModerationAccess() {
+  return useContext(ModerationAccessContext)
+}
@@ -0,0 +1,167 @@
+/**
+ * Hybrid Material Search
+ *
+ * Finds approved materials across all courses by combining:
+ * - full-text search on title, description and category metadata
+ * - full-text search on page text (material_pages, incl. OCR)
+ * - vector search over material_chunks
+ *
+ * search_material_candidates (migration 017) returns a ranked list per
+ * method; the lists are merged here with Reciprocal Rank Fusion, so a
+ * material found by several methods beats one found by a single method.
+ */
+
+import { createEmbedding, isAIConfigured } from '@/lib/ai';
+import { DEFAULT_RESULT_LIMIT, buildViewerUrl } from './params';
+
+// RRF damping constant - the usual value; keeps one #1 rank from dominating
+export const RRF_K = 60;
+
+// Chunks less similar than this aren't worth listing
+export const MIN_SEMANTIC_SIMILARITY = 0.3;
+
+// Where a result should open: the passage that matched semantically,
+// else the page whose text matched
+const LOCATION_PREFERENCE = ['semantic', 'page'];
+
+/**
+ * Merge per-method candidate lists into one ranking (Reciprocal Rank Fusion)
+ * Each method contributes 1 / (RRF_K + rank) for every material it found.
+ *
+ * @param {Object[]} candidates - search_material_candidates rows
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Array<{ materialId: string, score: number, matchTypes: string[], location: Object|null }>} Best first
+ */
+export function fuseSearchCandidates(candidates, { limit = DEFAULT_RESULT_LIMIT } = {}) {
+  const byMaterial = new Map();
+
+  for (const candidate of candidates) {
+    let result = byMaterial.get(candidate.material_id);
+    if (!result) {
+      result = { materialId: candidate.material_id, score: 0, matchTypes: [], matches: {} };
+      byMaterial.set(candidate.material_id, result);
+    }
+
+    // One vote per method, from its best rank
+    if (result.matches[candidate.match_type]) continue;
+
+    result.score += 1 / (RRF_K + candidate.rank_position);
+    result.matchTypes.push(candidate.match_type);
+    result.matches[candidate.match_type] = candidate;
+  }
+
+  return [...byMaterial.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ matches, ...result }) => {
+      const best = LOCATION_PREFERENCE.map((type) => matches[type]).find(Boolean);
+
+      return {
+        ...result,
+        location: best
+          ? {
+              page: best.page_number,
+              pageEnd: best.page_end || best.page_number,
+              heading: best.heading || null,
+              snippet: best.snippet || null,
+            }
+          : null,
+      };
+    });
+}
+
+// Semantic search is an extra; full-text results still come back without it
+async function embedQuery(query) {
+  if (!isAIConfigured('embedding')) return null;
+
+  try {
+    return await createEmbedding(query);
+  } catch (error) {
+    console.error('Search query embedding failed, using full-text only:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Search approved materials
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} params - From parseSearchParams()
+ * @param {string} params.query
+ * @param {Object} [params.filters]
+ * @param {number} [params.limit]
+ * @param {boolean} [params.semantic] - false skips the (paid) query embedding, e.g. for anonymous callers
+ * @returns {Promise<{ results: Object[], semantic: boolean }>}
+ */
+export async function searchMaterials(
+  supabase,
+  { query, filters = {}, limit = DEFAULT_RESULT_LIMIT, semantic = true }
+) {
+  const queryEmbedding = semantic ? await embedQuery(query) : null;
+
+  const { data: candidates, error } = await supabase.rpc('search_material_candidates', {
+    p_query: query,
+    p_query_embedding: queryEmbedding,
+    p_course_id: filters.courseId || null,
+    p_topic_id: filters.topicId || null,
+    p_category: filters.category || null,
+    p_year: filters.year || null,
+    p_file_type: filters.fileType || null,
+    p_match_count: limit,
+    p_min_similarity: MIN_SEMANTIC_SIMILARITY,
+  });
+
+  if (error) throw error;
+
+  const ranked = fuseSearchCandidates(candidates || [], { limit });
+  if (ranked.length === 0) {
+    return { results: [], semantic: Boolean(queryEmbedding) };
+  }
+
+  const { data: materials, error: materialsError } = await supabase
+    .from('materials')
+    .select(`
+      id, title, description, type, material_category, category_metadata, created_at,
+      course_id, courses(course_name),
+      topic_id, topics(topic_name, unit_code, year, semester)
+    `)
+    .in('id', ranked.map((result) => result.materialId));
+
+  if (materialsError) throw materialsError;
+
+  const materialsById = new Map((materials || []).map((material) => [material.id, material]));
+
+  const results = ranked
+    .filter((result) => materialsById.has(result.materialId))
+    .map(({ materialId, score, matchTypes, location }) => {
+      const material = materialsById.get(materialId);
+
+      return {
+        id: material.id,
+        title: material.title,
+        description: material.description,
+        type: material.type,
+        category: material.material_category,
+        categoryMetadata: material.category_metadata,
+        createdAt: material.created_at,
+        course: material.course_id
+          ? { id: material.course_id, name: material.courses?.course_name || null }
+          : null,
+        unit: material.topic_id
+          ? {
+              id: material.topic_id,
+              name: material.topics?.topic_name || null,
+              code: material.topics?.unit_code || null,
+              year: material.topics?.year || null,
+              semester: material.topics?.semester || null,
+            }
+          : null,
+        score,
+        matchTypes,
+        location,
+        viewerUrl: buildViewerUrl(material.id, location?.page),
+      };
+    });
+
+  return { results, semantic: Boolean(queryEmbedding) };
+}
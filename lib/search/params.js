@@ -0,0 +1,112 @@
+/**
+ * Material Search Parameters
+ *
+ * Filter options, query validation and result links shared by /api/search
+ * and the search page. Kept free of server-only imports so the page can use it.
+ */
+
+export const MIN_QUERY_LENGTH = 2;
+export const MAX_QUERY_LENGTH = 200;
+export const DEFAULT_RESULT_LIMIT = 20;
+export const MAX_RESULT_LIMIT = 50;
+
+export const SEARCH_YEARS = [1, 2, 3, 4, 5, 6];
+
+export const SEARCH_FILE_TYPES = ['pdf', 'docx', 'pptx', 'image', 'other'];
+
+export const MATERIAL_CATEGORY_LABELS = {
+  notes: 'Notes',
+  past_paper: 'Past Paper',
+  lab_material: 'Lab Material',
+  assignment: 'Assignment',
+  // Legacy categories
+  complete_notes: 'Complete Semester Notes',
+  weekly_notes: 'Weekly Notes',
+  lab_guide: 'Lab Guide',
+  other: 'Other',
+};
+
+// Markers ts_headline puts around matched words (see migration 017)
+const HIGHLIGHT_PATTERN = /\[\[(.*?)\]\]/g;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Read and validate search parameters from a query string
+ * Query: ?q= (required) &courseId= &topicId= &category= &year= &type= &limit=
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {{ params?: { query: string, filters: Object, limit: number }, error?: string }}
+ */
+export function parseSearchParams(searchParams) {
+  const query = (searchParams.get('q') || '').replace(/\s+/g, ' ').trim();
+
+  if (query.length < MIN_QUERY_LENGTH) {
+    return { error: `Search query must be at least ${MIN_QUERY_LENGTH} characters` };
+  }
+
+  const filters = {
+    courseId: searchParams.get('courseId') || null,
+    topicId: searchParams.get('topicId') || null,
+    category: searchParams.get('category') || null,
+    year: null,
+    fileType: searchParams.get('type') || null,
+  };
+
+  for (const key of ['courseId', 'topicId']) {
+    if (filters[key] && !UUID_PATTERN.test(filters[key])) {
+      return { error: `Invalid ${key}` };
+    }
+  }
+
+  if (filters.category && !MATERIAL_CATEGORY_LABELS[filters.category]) {
+    return { error: 'Invalid category' };
+  }
+
+  if (filters.fileType && !SEARCH_FILE_TYPES.includes(filters.fileType)) {
+    return { error: `Invalid type. Must be one of: ${SEARCH_FILE_TYPES.join(', ')}` };
+  }
+
+  if (searchParams.get('year')) {
+    const year = parseInt(searchParams.get('year'), 10);
+    if (!SEARCH_YEARS.includes(year)) {
+      return { error: `Year must be between ${SEARCH_YEARS[0]} and ${SEARCH_YEARS[SEARCH_YEARS.length - 1]}` };
+    }
+    filters.year = year;
+  }
+
+  const requestedLimit = parseInt(searchParams.get('limit'), 10) || DEFAULT_RESULT_LIMIT;
+  const limit = Math.min(Math.max(requestedLimit, 1), MAX_RESULT_LIMIT);
+
+  return {
+    params: {
+      query: query.slice(0, MAX_QUERY_LENGTH),
+      filters,
+      limit,
+    },
+  };
+}
+
+/**
+ * Viewer link, opened at the matching page when there is one
+ * @param {string} materialId
+ * @param {number|null} [page]
+ * @returns {string}
+ */
+export function buildViewerUrl(materialId, page) {
+  return page ? `/materials/${materialId}/view?page=${page}` : `/materials/${materialId}/view`;
+}
+
+/**
+ * Split a search snippet into plain and highlighted parts
+ * @param {string|null} snippet
+ * @returns {Array<{ text: string, highlight: boolean }>}
+ */
+export function splitHighlights(snippet) {
+  if (!snippet) return [];
+
+  return snippet
+    .split(HIGHLIGHT_PATTERN)
+    .map((text, i) => ({ text, highlight: i % 2 === 1 }))
+    .filter((part) => part.text);
+}
@@ -0,0 +1,90 @@
+/**
+ * Fingerprint Computation
+ *
+ * Turns a material's file into a similarity fingerprint (lib/similarity/fingerprint):
+ * MinHash over the text pages, dHash over images and the first PDF pages
+ * rendered small. Runs in the upload similarity check (text layer only) and
+ * in the embedding worker (with OCR text for scans).
+ */
+
+import { EXTRACTABLE_TYPES, extractPages } from '@/lib/embeddings/extract';
+import { createMinHash, differenceHash, DHASH_WIDTH, DHASH_HEIGHT } from './fingerprint';
+
+// Rendering is the slow part - the first pages identify a document well enough
+export const MAX_RENDERED_PAGES = 3;
+
+// Render width in px; dHash only needs 9x8 but tiny renders lose too much
+const RENDER_WIDTH = 128;
+
+/**
+ * dHash of an encoded image (PNG, JPEG, ...)
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+export async function hashImage(buffer) {
+  // Dynamic import - node-canvas is only needed server-side
+  const { createCanvas, loadImage } = await import('canvas');
+  const image = await loadImage(buffer);
+
+  const canvas = createCanvas(DHASH_WIDTH, DHASH_HEIGHT);
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0, DHASH_WIDTH, DHASH_HEIGHT);
+
+  return differenceHash(context.getImageData(0, 0, DHASH_WIDTH, DHASH_HEIGHT));
+}
+
+/**
+ * dHashes of the first pages of a PDF
+ * @param {Buffer} buffer
+ * @returns {Promise<string[]>}
+ */
+async function hashPdfPages(buffer) {
+  const { PDFParse } = await import('pdf-parse');
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+
+  try {
+    const screenshot = await parser.getScreenshot({
+      first: MAX_RENDERED_PAGES,
+      desiredWidth: RENDER_WIDTH,
+      imageDataUrl: false,
+    });
+
+    const hashes = [];
+    for (const page of screenshot.pages) {
+      hashes.push(await hashImage(Buffer.from(page.data)));
+    }
+    return hashes;
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Fingerprint a material's file
+ * @param {Buffer} buffer
+ * @param {string} type - materials.type
+ * @param {Object} [options]
+ * @param {Array<{ text: string }>} [options.pages] - Already extracted (and OCR'd) pages; extracted here otherwise
+ * @returns {Promise<{ textMinhash: number[]|null, pageHashes: string[] }>}
+ */
+export async function computeFingerprint(buffer, type, { pages } = {}) {
+  let textPages = pages;
+  if (!textPages && EXTRACTABLE_TYPES.includes(type)) {
+    try {
+      textPages = await extractPages(buffer, type);
+    } catch (error) {
+      if (error.code !== 'UNSUPPORTED_DOCUMENT') throw error;
+    }
+  }
+
+  const text = (textPages || []).map((page) => page.text || '').join('\n');
+
+  let pageHashes = [];
+  if (type === 'image') {
+    pageHashes = [await hashImage(buffer)];
+  } else if (type === 'pdf') {
+    pageHashes = await hashPdfPages(buffer);
+  }
+
+  return { textMinhash: createMinHash(text), pageHashes };
+}
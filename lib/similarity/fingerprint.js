@@ -0,0 +1,206 @@
+/**
+ * Similarity Fingerprints
+ *
+ * Exact content hashes (lib/storage/dedup) miss the duplicates we actually
+ * get: the same notes exported twice with different metadata, or the same
+ * paper scanned by two people. A fingerprint has two parts:
+ *
+ * - text:  MinHash signature over word shingles of the extracted text
+ * - pages: difference hashes (dHash) of images and rendered PDF pages
+ *
+ * Everything here is pure - lib/similarity/compute produces the inputs.
+ */
+
+export const MINHASH_SIZE = 64;
+export const SHINGLE_SIZE = 3; // Words per shingle - short enough to survive OCR noise
+
+// Fewer shingles than this is too little text to compare
+export const MIN_SHINGLES = 20;
+
+// dHash input size: 9x8 grayscale gives 8 comparisons per row, 64 bits
+export const DHASH_WIDTH = 9;
+export const DHASH_HEIGHT = 8;
+
+// Max differing bits (of 64) for two page hashes to count as the same page
+export const MAX_PAGE_DISTANCE = 10;
+
+export const TEXT_SIMILARITY_THRESHOLD = 0.5;
+export const VISUAL_SIMILARITY_THRESHOLD = 0.66;
+
+// murmur3 finaliser - spreads a 32-bit value over all bits
+function mix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// One seed per MinHash permutation, fixed so stored signatures stay comparable
+const SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => mix32(i + 0x9e3779b9));
+
+/**
+ * Lowercased words, punctuation and layout stripped
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(' ')
+    .filter(Boolean);
+}
+
+/**
+ * Distinct word shingles of a text
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+export function shingle(text) {
+  const words = tokenize(text);
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * MinHash signature of a text
+ * Values are signed 32-bit so they fit a Postgres INTEGER[]
+ * @param {string} text
+ * @returns {number[]|null} null when there is too little text to compare
+ */
+export function createMinHash(text) {
+  const shingles = shingle(text);
+  if (shingles.size < MIN_SHINGLES) return null;
+
+  const signature = new Array(MINHASH_SIZE).fill(0xffffffff);
+  for (const value of shingles) {
+    const hash = fnv1a(value);
+    for (let i = 0; i < MINHASH_SIZE; i++) {
+      const permuted = mix32(hash ^ SEEDS[i]);
+      if (permuted < signature[i]) signature[i] = permuted;
+    }
+  }
+
+  return signature.map((value) => value | 0);
+}
+
+/**
+ * Estimated Jaccard similarity of the texts behind two signatures
+ * @param {number[]|null} a
+ * @param {number[]|null} b
+ * @returns {number|null} 0-1, or null if either text was too short
+ */
+export function minHashSimilarity(a, b) {
+  if (!a?.length || !b?.length || a.length !== b.length) return null;
+
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+}
+
+/**
+ * Difference hash of a small grayscale-able image
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} imageData - RGBA, DHASH_WIDTH x DHASH_HEIGHT
+ * @returns {string} 64 bits as 16 hex characters
+ */
+export function differenceHash({ data, width, height }) {
+  if (width !== DHASH_WIDTH || height !== DHASH_HEIGHT) {
+    throw new Error(`dHash needs a ${DHASH_WIDTH}x${DHASH_HEIGHT} image, got ${width}x${height}`);
+  }
+
+  const gray = (x, y) => {
+    const i = (y * width + x) * 4;
+    return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+  };
+
+  let hex = '';
+  for (let y = 0; y < height; y++) {
+    let byte = 0;
+    for (let x = 0; x < width - 1; x++) {
+      byte = (byte << 1) | (gray(x, y) > gray(x + 1, y) ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+function popcount(nibble) {
+  let count = 0;
+  for (let n = nibble; n; n >>= 1) count += n & 1;
+  return count;
+}
+
+/**
+ * Differing bits between two page hashes
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += popcount(parseInt(a[i], 16) ^ parseInt(b[i], 16));
+  }
+  return distance;
+}
+
+// Blank and near-blank pages hash to (almost) all zeros and match each other
+function isInformative(hash) {
+  const bits = hammingDistance(hash, '0'.repeat(hash.length));
+  return bits >= 4 && bits <= 60;
+}
+
+/**
+ * Share of pages in the shorter document with a near-identical page in the other
+ * @param {string[]} a - Page hashes
+ * @param {string[]} b - Page hashes
+ * @returns {number|null} 0-1, or null if either has no usable pages
+ */
+export function pageHashSimilarity(a, b) {
+  const pagesA = (a || []).filter(isInformative);
+  const pagesB = (b || []).filter(isInformative);
+  if (!pagesA.length || !pagesB.length) return null;
+
+  const [shorter, longer] = pagesA.length <= pagesB.length ? [pagesA, pagesB] : [pagesB, pagesA];
+  const matched = shorter.filter((hash) =>
+    longer.some((other) => hammingDistance(hash, other) <= MAX_PAGE_DISTANCE)
+  );
+  return matched.length / shorter.length;
+}
+
+/**
+ * Compare two fingerprints
+ * @param {{ textMinhash?: number[]|null, pageHashes?: string[] }} a
+ * @param {{ textMinhash?: number[]|null, pageHashes?: string[] }} b
+ * @returns {{ similarity: number, method: 'text'|'visual' }|null} The strongest signal over its threshold, or null
+ */
+export function compareFingerprints(a, b) {
+  const text = minHashSimilarity(a.textMinhash, b.textMinhash);
+  const visual = pageHashSimilarity(a.pageHashes, b.pageHashes);
+
+  const matches = [
+    text !== null && text >= TEXT_SIMILARITY_THRESHOLD && { similarity: text, method: 'text' },
+    visual !== null && visual >= VISUAL_SIMILARITY_THRESHOLD && { similarity: visual, method: 'visual' },
+  ].filter(Boolean);
+
+  if (!matches.length) return null;
+  return matches.reduce((best, match) => (match.similarity > best.similarity ? match : best));
+}
@@ -0,0 +1,132 @@
+/**
+ * Near-Duplicate Suspects
+ *
+ * Stores material fingerprints (migration 019) and finds materials that look
+ * like one another. Uploads are warned against matches in the same unit; the
+ * embedding worker records matches in the same course for admin review.
+ *
+ * All functions expect the service role client.
+ */
+
+import { buildViewerUrl } from '@/lib/search/params';
+import { computeFingerprint } from './compute';
+import { compareFingerprints } from './fingerprint';
+
+/**
+ * Store a material's fingerprint
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} materialId
+ * @param {{ textMinhash: number[]|null, pageHashes: string[] }} fingerprint
+ */
+export async function saveFingerprint(supabase, materialId, fingerprint) {
+  const { error } = await supabase
+    .from('material_fingerprints')
+    .upsert(
+      {
+        material_id: materialId,
+        text_minhash: fingerprint.textMinhash,
+        page_hashes: fingerprint.pageHashes,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: 'material_id' }
+    );
+
+  if (error) throw error;
+}
+
+/**
+ * Live materials in a unit (or course) that look like a fingerprint
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ textMinhash: number[]|null, pageHashes: string[] }} fingerprint
+ * @param {Object} scope
+ * @param {string} [scope.topicId] - Compare within this unit...
+ * @param {string} [scope.courseId] - ...or, without one, this course
+ * @param {string} [scope.excludeId] - The material itself
+ * @param {number} [scope.limit]
+ * @returns {Promise<Array<{ id: string, title: string, similarity: number, method: 'text'|'visual', url: string }>>} Most similar first
+ */
+export async function findSimilarMaterials(supabase, fingerprint, { topicId, courseId, excludeId, limit = 5 }) {
+  if (!fingerprint.textMinhash && !fingerprint.pageHashes?.length) return [];
+
+  let query = supabase
+    .from('materials')
+    .select('id, title, material_fingerprints!inner (text_minhash, page_hashes)')
+    .is('deleted_at', null);
+
+  query = topicId ? query.eq('topic_id', topicId) : query.eq('course_id', courseId);
+  if (excludeId) query = query.neq('id', excludeId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return (data || [])
+    .map((material) => {
+      // One fingerprint per material, but PostgREST may still return an array
+      const stored = [].concat(material.material_fingerprints)[0];
+      const match = compareFingerprints(fingerprint, {
+        textMinhash: stored?.text_minhash,
+        pageHashes: stored?.page_hashes,
+      });
+
+      return match && {
+        id: material.id,
+        title: material.title,
+        similarity: Math.round(match.similarity * 100) / 100,
+        method: match.method,
+        url: buildViewerUrl(material.id),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+/**
+ * Queue matches for admin review
+ * Pairs are stored lowest id first, so re-indexing either material finds the
+ * same row; pairs already reviewed stay as they were.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} materialId
+ * @param {Array<{ id: string, similarity: number, method: string }>} matches
+ */
+export async function recordSuspects(supabase, materialId, matches) {
+  if (!matches.length) return;
+
+  const { error } = await supabase
+    .from('material_duplicate_suspects')
+    .upsert(
+      matches.map((match) => {
+        const [materialA, materialB] = [materialId, match.id].sort();
+        return {
+          material_a_id: materialA,
+          material_b_id: materialB,
+          similarity: match.similarity,
+          method: match.method,
+        };
+      }),
+      { onConflict: 'material_a_id,material_b_id', ignoreDuplicates: true }
+    );
+
+  if (error) throw error;
+}
+
+/**
+ * Fingerprint a material and queue any look-alikes in its course for review
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ id: string, type: string, course_id: string }} material
+ * @param {Buffer} buffer - The material's file
+ * @param {Array<{ text: string }>} [pages] - Extracted text, OCR included
+ * @returns {Promise<Array<Object>>} The matches recorded
+ */
+export async function fingerprintMaterial(supabase, material, buffer, pages) {
+  const fingerprint = await computeFingerprint(buffer, material.type, { pages });
+  await saveFingerprint(supabase, material.id, fingerprint);
+
+  const matches = await findSimilarMaterials(supabase, fingerprint, {
+    courseId: material.course_id,
+    excludeId: material.id,
+  });
+  await recordSuspects(supabase, material.id, matches);
+
+  return matches;
+}
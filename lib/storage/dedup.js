@@ -0,0 +1,245 @@
+/**
+ * Content-hash deduplication of materials
+ *
+ * Every upload carries the SHA-256 of the file as the uploader sent it. The
+ * browser computes it up front (lib/upload/content-hash.js) so obvious
+ * duplicates are caught before any bytes move; the server recomputes it from
+ * what actually arrived and never trusts the client's value.
+ *
+ * - Same hash in the same course  -> rejected, pointing at the existing material
+ * - Same hash in another course   -> new material row sharing the stored object
+ *
+ * Deleted and rejected materials don't count, so a file a moderator turned
+ * down can be uploaded again for another review.
+ */
+
+import { createHash } from 'crypto';
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import getR2Client, { deleteFromR2 } from './r2-client.js';
+import { buildViewerUrl } from '../search/params.js';
+
+export const CONTENT_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+const MATCH_COLUMNS = 'id, title, status, user_id, course_id, storage_location, storage_path, file_url, file_size';
+
+/**
+ * SHA-256 of a buffer as lowercase hex
+ * @param {Buffer|Uint8Array} buffer
+ * @returns {string}
+ */
+export function hashBuffer(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * SHA-256 of an R2 object, streamed so large files aren't held in memory
+ * @param {string} key
+ * @returns {Promise<string>}
+ */
+export async function hashR2Object(key) {
+  const client = getR2Client();
+  if (!client) {
+    throw new Error('R2 client not configured');
+  }
+
+  const { Body } = await client.send(new GetObjectCommand({
+    Bucket: process.env.R2_BUCKET_NAME || 'jkuat-materials',
+    Key: key,
+  }));
+
+  const hash = createHash('sha256');
+  for await (const chunk of Body) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Live materials holding a file (not deleted, not rejected)
+ * @param {Object} supabase - Service role client (pending materials are hidden by RLS)
+ * @param {string} contentHash
+ * @returns {Promise<Object[]>}
+ */
+export async function findMaterialsByHash(supabase, contentHash) {
+  const { data, error } = await supabase
+    .from('materials')
+    .select(MATCH_COLUMNS)
+    .eq('content_hash', contentHash)
+    .is('deleted_at', null)
+    .neq('status', 'rejected')
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Sort hash matches into the one that blocks the upload and the one whose
+ * stored object it can reuse
+ * @param {Object[]} matches - From findMaterialsByHash
+ * @param {string} courseId - Course being uploaded to
+ * @returns {{ duplicate: Object|null, sharedObject: Object|null }}
+ */
+export function resolveDuplicate(matches, courseId) {
+  return {
+    duplicate: matches.find((material) => material.course_id === courseId) || null,
+    sharedObject: matches.find((material) => material.storage_path) || null,
+  };
+}
+
+/**
+ * Whether an uploader may be shown a matching material - approved ones are
+ * public, pending ones only to their uploader and the course's moderators
+ * @param {Object} material - From findMaterialsByHash
+ * @param {Object} viewer
+ * @param {string|null} viewer.userId
+ * @param {boolean} viewer.canModerate - Moderates the material's course
+ * @returns {boolean}
+ */
+export function canSeeDuplicate(material, { userId, canModerate }) {
+  return material.status === 'approved' || canModerate || (!!userId && material.user_id === userId);
+}
+
+/**
+ * Response body for a rejected duplicate (status 409)
+ * @param {Object} material - The material already in the course
+ * @returns {{ error: string, duplicate: { id: string, title: string, url: string } }}
+ */
+export function duplicateResponseBody(material) {
+  return {
+    error: `This file is already in this course as "${material.title}"`,
+    duplicate: {
+      id: material.id,
+      title: material.title,
+      url: buildViewerUrl(material.id),
+    },
+  };
+}
+
+/**
+ * Storage fields for a material that reuses another material's object
+ * @param {Object} material - The material that owns the object
+ * @returns {Object} Columns to insert
+ */
+export function sharedStorageColumns(material) {
+  return {
+    storage_location: material.storage_location,
+    storage_path: material.storage_path,
+    file_url: material.file_url,
+    file_size: material.file_size,
+  };
+}
+
+/**
+ * Whether another material still points at a stored object - deleting a
+ * material must leave shared objects in place. Earlier versions of other
+ * materials (lib/materials/versions) count too.
+ * @param {Object} supabase
+ * @param {string} storagePath
+ * @param {string} [materialId] - The material being deleted; without one, any reference counts
+ * @returns {Promise<boolean>}
+ */
+export async function isStoragePathShared(supabase, storagePath, materialId = null) {
+  let materials = supabase
+    .from('materials')
+    .select('id', { count: 'exact', head: true })
+    .eq('storage_path', storagePath);
+  if (materialId) materials = materials.neq('id', materialId);
+
+  const { count, error } = await materials;
+
+  if (error) throw error;
+  if (count > 0) return true;
+
+  let versions = supabase
+    .from('material_versions')
+    .select('id', { count: 'exact', head: true })
+    .eq('storage_path', storagePath);
+  if (materialId) versions = versions.neq('material_id', materialId);
+
+  const { count: versionCount, error: versionError } = await versions;
+
+  if (versionError) throw versionError;
+  return versionCount > 0;
+}
+
+/**
+ * Delete an uploaded object that isn't going to be saved. Keys are public
+ * (materials.file_url), so a key from a request may well be a saved
+ * material's - those are left alone.
+ * @param {Object} supabase - Service role client
+ * @param {string} key
+ * @returns {Promise<boolean>} Whether the object was deleted
+ */
+export async function discardUploadedObject(supabase, key) {
+  if (await isStoragePathShared(supabase, key)) return false;
+
+  await deleteFromR2(key);
+  return true;
+}
+
+/**
+ * Duplicates report: groups of live materials holding the same file
+ * @param {Object} supabase - Service role client
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Max groups
+ * @returns {Promise<Object[]>} Groups, most same-course copies first
+ */
+export async function findDuplicateGroups(supabase, { limit = 100 } = {}) {
+  const { data: hashes, error } = await supabase.rpc('find_duplicate_content_hashes', { p_limit: limit });
+  if (error) throw error;
+  if (!hashes?.length) return [];
+
+  const { data: materials, error: materialsError } = await supabase
+    .from('materials')
+    .select(`
+      id,
+      title,
+      content_hash,
+      course_id,
+      storage_path,
+      file_size,
+      download_count,
+      uploaded_by,
+      created_at,
+      courses!course_id (
+        course_name
+      )
+    `)
+    .in('content_hash', hashes.map((row) => row.content_hash))
+    .is('deleted_at', null)
+    .order('created_at', { ascending: true });
+
+  if (materialsError) throw materialsError;
+
+  return hashes.map((row) => {
+    const copies = materials.filter((material) => material.content_hash === row.content_hash);
+    const perCourse = new Map();
+    copies.forEach((material) => {
+      perCourse.set(material.course_id, (perCourse.get(material.course_id) || 0) + 1);
+    });
+
+    return {
+      contentHash: row.content_hash,
+      materialCount: row.material_count,
+      courseCount: row.course_count,
+      sameCourseCount: row.same_course_count,
+      // Separate objects for the same bytes - storage that merging would free
+      redundantObjects: Math.max(row.storage_object_count - 1, 0),
+      materials: copies.map((material) => ({
+        id: material.id,
+        title: material.title,
+        courseId: material.course_id,
+        courseName: material.courses?.course_name || null,
+        fileSize: material.file_size,
+        downloads: material.download_count || 0,
+        uploadedBy: material.uploaded_by,
+        createdAt: material.created_at,
+        url: buildViewerUrl(material.id),
+        // Later copies in a course that already has the file
+        mergeCandidate: perCourse.get(material.course_id) > 1 &&
+          copies.find((copy) => copy.course_id === material.course_id).id !== material.id,
+      })),
+    };
+  });
+}
@@ -0,0 +1,29 @@
+/**
+ * Server-side material download
+ * Fetches a material's file from wherever it is stored, for background
+ * workers (embeddings, thumbnails) that need the bytes.
+ */
+
+import { getFileUrl } from '@/lib/storage/storage-manager';
+
+/**
+ * Download a material's file
+ * @param {{ storage_location?: string, storage_path?: string, file_url?: string }} material
+ * @returns {Promise<Buffer>}
+ */
+export async function downloadMaterialFile(material) {
+  const url = material.storage_path
+    ? await getFileUrl(material.storage_location, material.storage_path)
+    : material.file_url;
+
+  if (!url) {
+    throw new Error('Material has no file URL');
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download file: ${response.status} ${response.statusText}`);
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+}
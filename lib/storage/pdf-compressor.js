@@ -1,15 +1,404 @@
 /**
  * PDF Compression Utility
  *
- * Reduces PDF file sizes by 30-50% using pdf-lib
- * - Removes duplicate fonts and images
- * - Optimizes embedded resources
- * - Maintains visual quality
+ * Phone-scanned PDFs are mostly full-resolution camera images, so the size is
+ * in the images, not the PDF structure. Using pdf-lib to walk the document and
+ * node-canvas to re-encode pixels:
+ * - Downsamples JPEG and raw (Flate etc.) images above a target DPI
+ * - Optionally converts text-only scans to grayscale
+ * - Strips XMP metadata, page thumbnails and editor data
+ * - Re-saves with object streams
+ *
+ * The result is never larger than the input - the original is returned instead.
  *
  * Target: Keep average file size under 5MB
  */
 
-import { PDFDocument } from 'pdf-lib';
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFNumber,
+  PDFRef,
+  PDFRawStream,
+  PDFBool,
+  decodePDFRawStream,
+} from 'pdf-lib';
+
+export const DEFAULT_TARGET_DPI = 150;
+const DEFAULT_JPEG_QUALITY = 0.7;
+
+// Downsampling by less than this isn't worth a generation of JPEG loss
+const MIN_DOWNSAMPLE_GAIN = 0.9;
+
+// Text-only detection: a pixel is coloured if its tint differs from the page's
+// average tint by more than this, and a scan is text-only if almost none are
+const COLOURED_PIXEL_DEVIATION = 40;
+const MAX_COLOURED_SHARE = 0.005;
+
+const COMPACT_FILTERS = ['JPXDecode', 'JBIG2Decode', 'CCITTFaxDecode'];
+
+/**
+ * Scale factor that brings an image down to the target DPI
+ * Assumes the image fills the page along its long side. Images drawn smaller
+ * have a higher real DPI, so they are never downsampled further than intended.
+ * @param {number} imageWidth - Pixels
+ * @param {number} imageHeight - Pixels
+ * @param {number} pageWidth - Points (1/72 inch)
+ * @param {number} pageHeight - Points
+ * @param {number} targetDpi
+ * @returns {number} 0-1, 1 when the image is already at or below the target
+ */
+export function getDownsampleScale(imageWidth, imageHeight, pageWidth, pageHeight, targetDpi) {
+  const pageInches = Math.max(pageWidth, pageHeight) / 72;
+  return Math.min(1, (pageInches * targetDpi) / Math.max(imageWidth, imageHeight));
+}
+
+/**
+ * Whether an image looks like a scan of black-and-white text
+ * Paper photographed under warm light is tinted rather than coloured, so
+ * colour is measured against the image's average tint.
+ * @param {{ data: Uint8ClampedArray }} imageData - RGBA
+ * @returns {boolean}
+ */
+export function isTextOnlyScan({ data }) {
+  const pixels = data.length / 4;
+  let tintRed = 0;
+  let tintBlue = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    tintRed += data[i] - data[i + 1];
+    tintBlue += data[i + 2] - data[i + 1];
+  }
+  tintRed /= pixels;
+  tintBlue /= pixels;
+
+  let coloured = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (
+      Math.abs(data[i] - data[i + 1] - tintRed) > COLOURED_PIXEL_DEVIATION ||
+      Math.abs(data[i + 2] - data[i + 1] - tintBlue) > COLOURED_PIXEL_DEVIATION
+    ) {
+      coloured++;
+    }
+  }
+  return coloured / pixels <= MAX_COLOURED_SHARE;
+}
+
+/**
+ * Convert RGBA pixels to gray in place
+ * @param {{ data: Uint8ClampedArray }} imageData
+ */
+export function toGrayscale({ data }) {
+  for (let i = 0; i < data.length; i += 4) {
+    const gray = Math.round(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+    data[i] = data[i + 1] = data[i + 2] = gray;
+  }
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+/**
+ * Undo PNG predictors (DecodeParms /Predictor 10-15) on 8-bit samples
+ * @param {Uint8Array} bytes - One filter-type byte, then the row, per row
+ * @param {number} width
+ * @param {number} height
+ * @param {number} components
+ * @returns {Uint8Array}
+ */
+export function unpredictPng(bytes, width, height, components) {
+  const rowLength = width * components;
+  const output = new Uint8Array(rowLength * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = bytes[y * (rowLength + 1)];
+    const input = y * (rowLength + 1) + 1;
+    const row = y * rowLength;
+
+    for (let x = 0; x < rowLength; x++) {
+      const left = x >= components ? output[row + x - components] : 0;
+      const up = y > 0 ? output[row - rowLength + x] : 0;
+      const upLeft = y > 0 && x >= components ? output[row - rowLength + x - components] : 0;
+      const predicted = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+
+      if (predicted === undefined) {
+        throw new Error(`Unknown PNG filter type ${filter}`);
+      }
+      output[row + x] = (bytes[input + x] + predicted) & 0xff;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Expand 8-bit gray or RGB samples to RGBA
+ * @param {Uint8Array} samples
+ * @param {number} components - 1 or 3
+ * @returns {Uint8ClampedArray}
+ */
+export function samplesToRgba(samples, components) {
+  const pixels = samples.length / components;
+  const rgba = new Uint8ClampedArray(pixels * 4);
+
+  for (let i = 0; i < pixels; i++) {
+    const source = i * components;
+    rgba[i * 4] = samples[source];
+    rgba[i * 4 + 1] = samples[components === 3 ? source + 1 : source];
+    rgba[i * 4 + 2] = samples[components === 3 ? source + 2 : source];
+    rgba[i * 4 + 3] = 255;
+  }
+  return rgba;
+}
+
+function colourComponents(colorSpace) {
+  if (colorSpace === PDFName.of('DeviceGray')) return 1;
+  if (colorSpace === PDFName.of('DeviceRGB')) return 3;
+
+  // [/ICCBased <<... /N 1|3 >>]
+  if (colorSpace instanceof PDFArray && colorSpace.lookup(0) === PDFName.of('ICCBased')) {
+    const profile = colorSpace.lookup(1);
+    const components = profile?.dict?.lookup(PDFName.of('N'));
+    if (components instanceof PDFNumber && [1, 3].includes(components.asNumber())) {
+      return components.asNumber();
+    }
+  }
+
+  // CMYK, Indexed, Lab, ... are left alone
+  return null;
+}
+
+/**
+ * What can be re-encoded about an image XObject
+ * @param {PDFRawStream} stream
+ * @returns {{ width: number, height: number, components: number, format: 'jpeg'|'raw', predictor: number }|null} null if unsupported
+ */
+function readImageInfo(stream) {
+  const { dict } = stream;
+  if (dict.lookup(PDFName.of('Subtype')) !== PDFName.of('Image')) return null;
+
+  // Stencil masks, colour-key masks and inverted decodes change how pixels are read
+  if (dict.lookup(PDFName.of('ImageMask')) === PDFBool.True) return null;
+  if (dict.has(PDFName.of('Mask')) || dict.has(PDFName.of('Decode'))) return null;
+
+  const bitsPerComponent = dict.lookup(PDFName.of('BitsPerComponent'));
+  if (!(bitsPerComponent instanceof PDFNumber) || bitsPerComponent.asNumber() !== 8) return null;
+
+  const components = colourComponents(dict.lookup(PDFName.of('ColorSpace')));
+  if (!components) return null;
+
+  let filter = dict.lookup(PDFName.of('Filter'));
+  if (filter instanceof PDFArray && filter.size() === 1) filter = filter.lookup(0);
+
+  let predictor = 1;
+  const params = dict.lookup(PDFName.of('DecodeParms'));
+  if (params instanceof PDFDict) {
+    const value = params.lookup(PDFName.of('Predictor'));
+    predictor = value instanceof PDFNumber ? value.asNumber() : 1;
+  }
+
+  // JPEG 2000, JBIG2 and CCITT are already compact; TIFF predictors are rare
+  if (COMPACT_FILTERS.some((name) => filter === PDFName.of(name))) return null;
+  const format = filter === PDFName.of('DCTDecode') ? 'jpeg' : 'raw';
+  if (format === 'raw' && predictor > 1 && predictor < 10) return null;
+
+  return {
+    width: dict.lookup(PDFName.of('Width'), PDFNumber).asNumber(),
+    height: dict.lookup(PDFName.of('Height'), PDFNumber).asNumber(),
+    components,
+    format,
+    predictor,
+  };
+}
+
+// Draw an image XObject's pixels onto a canvas
+async function decodeImage(canvasModule, stream, info) {
+  if (info.format === 'jpeg') {
+    return canvasModule.loadImage(Buffer.from(stream.contents));
+  }
+
+  let samples = decodePDFRawStream(stream).decode();
+  if (info.predictor >= 10) {
+    samples = unpredictPng(samples, info.width, info.height, info.components);
+  }
+
+  const sampleCount = info.width * info.height * info.components;
+  if (samples.length < sampleCount) {
+    throw new Error(`Image data too short: ${samples.length} of ${sampleCount} bytes`);
+  }
+
+  const canvas = canvasModule.createCanvas(info.width, info.height);
+  const context = canvas.getContext('2d');
+  const imageData = context.createImageData(info.width, info.height);
+  imageData.data.set(samplesToRgba(samples.subarray(0, sampleCount), info.components));
+  context.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+/**
+ * Largest page each image XObject is drawn on, by reference
+ * @param {PDFDocument} pdfDoc
+ * @returns {Map<PDFRef, { width: number, height: number }>}
+ */
+function collectPageImages(pdfDoc) {
+  const images = new Map();
+
+  for (const page of pdfDoc.getPages()) {
+    const { width, height } = page.getSize();
+    const xObjects = page.node.Resources()?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (!xObjects) continue;
+
+    for (const [, ref] of xObjects.entries()) {
+      if (!(ref instanceof PDFRef)) continue;
+
+      const previous = images.get(ref);
+      if (!previous || Math.max(width, height) > Math.max(previous.width, previous.height)) {
+        images.set(ref, { width, height });
+      }
+    }
+  }
+
+  return images;
+}
+
+/**
+ * Downsample and/or grayscale the document's images in place
+ * @returns {Promise<{ total: number, downsampled: number, grayscale: number, skipped: number }>}
+ */
+async function recompressImages(pdfDoc, { targetDpi, jpegQuality, grayscale }) {
+  const stats = { total: 0, downsampled: 0, grayscale: 0, skipped: 0 };
+  const images = collectPageImages(pdfDoc);
+  if (!images.size) return stats;
+
+  // Dynamic import - node-canvas is only needed server-side
+  const canvasModule = await import('canvas');
+
+  for (const [ref, page] of images) {
+    const stream = pdfDoc.context.lookup(ref);
+    if (!(stream instanceof PDFRawStream)) continue;
+
+    const info = readImageInfo(stream);
+    if (!info) {
+      if (stream.dict.lookup(PDFName.of('Subtype')) === PDFName.of('Image')) {
+        stats.total++;
+        stats.skipped++;
+      }
+      continue;
+    }
+    stats.total++;
+
+    const scale = getDownsampleScale(info.width, info.height, page.width, page.height, targetDpi);
+    const downsample = scale < MIN_DOWNSAMPLE_GAIN;
+    if (!downsample && !grayscale) {
+      stats.skipped++;
+      continue;
+    }
+
+    try {
+      const source = await decodeImage(canvasModule, stream, info);
+      const width = downsample ? Math.max(1, Math.round(info.width * scale)) : info.width;
+      const height = downsample ? Math.max(1, Math.round(info.height * scale)) : info.height;
+
+      const canvas = canvasModule.createCanvas(width, height);
+      const context = canvas.getContext('2d');
+      context.drawImage(source, 0, 0, width, height);
+
+      const imageData = context.getImageData(0, 0, width, height);
+      const makeGray = info.components === 3 && (grayscale === true || (grayscale === 'auto' && isTextOnlyScan(imageData)));
+      if (makeGray) {
+        toGrayscale(imageData);
+        context.putImageData(imageData, 0, 0);
+      }
+
+      if (!downsample && !makeGray) {
+        stats.skipped++;
+        continue;
+      }
+
+      const jpeg = canvas.toBuffer('image/jpeg', { quality: jpegQuality });
+
+      // Re-encoding a well-compressed image can grow it - keep the original then
+      if (jpeg.length >= stream.contents.length) {
+        stats.skipped++;
+        continue;
+      }
+
+      // node-canvas writes 3-channel JPEGs; gray pixels leave the colour
+      // channels flat, which costs next to nothing
+      const dict = pdfDoc.context.obj({
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: width,
+        Height: height,
+        ColorSpace: info.components === 1 ? 'DeviceGray' : 'DeviceRGB',
+        BitsPerComponent: 8,
+        Filter: 'DCTDecode',
+      });
+      const softMask = stream.dict.get(PDFName.of('SMask'));
+      if (softMask) dict.set(PDFName.of('SMask'), softMask);
+
+      pdfDoc.context.assign(ref, PDFRawStream.of(dict, new Uint8Array(jpeg)));
+
+      if (downsample) stats.downsampled++;
+      if (makeGray) stats.grayscale++;
+    } catch (error) {
+      // Unreadable images (odd encodings, CMYK JPEGs) stay as they are
+      console.warn(`PDF image ${ref.toString()} left as is:`, error.message);
+      stats.skipped++;
+    }
+  }
+
+  return stats;
+}
+
+function deleteEntry(context, dict, key) {
+  const value = dict.get(PDFName.of(key));
+  if (!value) return false;
+
+  dict.delete(PDFName.of(key));
+  if (value instanceof PDFRef) context.delete(value);
+  return true;
+}
+
+/**
+ * Remove data viewers don't need: XMP metadata, embedded page thumbnails,
+ * editor private data and document info other than the title
+ * @param {PDFDocument} pdfDoc
+ * @returns {number} Entries removed
+ */
+function stripMetadata(pdfDoc) {
+  const { context } = pdfDoc;
+  let removed = 0;
+
+  for (const key of ['Metadata', 'PieceInfo']) {
+    if (deleteEntry(context, pdfDoc.catalog, key)) removed++;
+  }
+
+  for (const page of pdfDoc.getPages()) {
+    for (const key of ['Thumb', 'Metadata', 'PieceInfo']) {
+      if (deleteEntry(context, page.node, key)) removed++;
+    }
+  }
+
+  const infoRef = context.trailerInfo.Info;
+  if (infoRef) {
+    const title = pdfDoc.getTitle();
+    if (infoRef instanceof PDFRef) context.delete(infoRef);
+    context.trailerInfo.Info = undefined;
+    removed++;
+
+    if (title) pdfDoc.setTitle(title);
+  }
+
+  return removed;
+}
 
 /**
  * Compress PDF buffer
@@ -17,26 +406,33 @@ import { PDFDocument } from 'pdf-lib';
  * @param {Object} options - Compression options
  * @param {number} options.targetSizeMB - Target size in MB (default: 5)
  * @param {boolean} options.aggressive - Use aggressive compression (default: false)
- * @returns {Promise<{buffer: Buffer, originalSize: number, compressedSize: number, compressionRatio: number}>}
+ * @param {number} options.targetDpi - Downsample images above this (default: 150, 120 when aggressive)
+ * @param {number} options.jpegQuality - 0-1 (default: 0.7)
+ * @param {boolean|'auto'} options.grayscale - Convert images to gray; 'auto' only text-only scans (default: false, 'auto' when aggressive)
+ * @param {boolean} options.stripMetadata - Remove metadata and page thumbnails (default: true)
+ * @returns {Promise<{buffer: Buffer, originalSize: number, compressedSize: number, compressionRatio: number, images: Object}>}
  */
 export async function compressPDF(pdfBuffer, options = {}) {
-  const { targetSizeMB = 5, aggressive = false } = options;
+  const {
+    targetSizeMB = 5,
+    aggressive = false,
+    targetDpi = aggressive ? 120 : DEFAULT_TARGET_DPI,
+    jpegQuality = DEFAULT_JPEG_QUALITY,
+    grayscale = aggressive ? 'auto' : false,
+    stripMetadata: shouldStripMetadata = true,
+  } = options;
 
   try {
     const originalSize = pdfBuffer.length;
 
-    // Load PDF
-    const pdfDoc = await PDFDocument.load(pdfBuffer, {
+    // Load PDF - without pdf-lib stamping its own producer/dates
+    const pdfDoc = await PDFDocument.load(new Uint8Array(pdfBuffer), {
       ignoreEncryption: true,
+      updateMetadata: false,
     });
 
-    // Basic optimization: Remove duplicate objects
-    // pdf-lib automatically deduplicates fonts and images when saving
-
-    // For aggressive compression, we could implement:
-    // - Image downsampling (requires additional libraries)
-    // - Font subsetting (pdf-lib handles this)
-    // - Removing annotations/forms
+    const images = await recompressImages(pdfDoc, { targetDpi, jpegQuality, grayscale });
+    const metadataRemoved = shouldStripMetadata ? stripMetadata(pdfDoc) : 0;
 
     if (aggressive) {
       // Remove form fields to reduce size
@@ -58,18 +454,37 @@ export async function compressPDF(pdfBuffer, options = {}) {
       objectsPerTick: 50, // Process in batches for memory efficiency
     });
 
+    // Never hand back a bigger file
+    if (compressedBuffer.length >= originalSize) {
+      return {
+        buffer: pdfBuffer,
+        originalSize,
+        compressedSize: originalSize,
+        compressionRatio: 0,
+        sizeMB: (originalSize / (1024 * 1024)).toFixed(2),
+        images,
+        metadataRemoved: 0,
+      };
+    }
+
     const compressedSize = compressedBuffer.length;
     const compressionRatio = ((originalSize - compressedSize) / originalSize) * 100;
 
     // Convert Uint8Array to Buffer
     const resultBuffer = Buffer.from(compressedBuffer);
 
+    if (compressedSize > targetSizeMB * 1024 * 1024) {
+      console.log(`PDF still above ${targetSizeMB}MB after compression: ${(compressedSize / (1024 * 1024)).toFixed(2)}MB`);
+    }
+
     return {
       buffer: resultBuffer,
       originalSize,
       compressedSize,
       compressionRatio: compressionRatio.toFixed(2),
       sizeMB: (compressedSize / (1024 * 1024)).toFixed(2),
+      images,
+      metadataRemoved,
     };
   } catch (error) {
     console.error('PDF compression error:', error);
@@ -101,9 +516,10 @@ export function shouldCompressPDF(fileSizeBytes, thresholdMB = 3) {
  * Get compression statistics
  * @param {number} originalSize - Original file size in bytes
  * @param {number} compressedSize - Compressed file size in bytes
+ * @param {Object} details - What the compressor did (images, metadataRemoved)
  * @returns {Object}
  */
-export function getCompressionStats(originalSize, compressedSize) {
+export function getCompressionStats(originalSize, compressedSize, details = {}) {
   const savedBytes = originalSize - compressedSize;
   const savedMB = savedBytes / (1024 * 1024);
   const compressionRatio = ((savedBytes / originalSize) * 100).toFixed(2);
@@ -114,6 +530,8 @@ export function getCompressionStats(originalSize, compressedSize) {
     savedMB: savedMB.toFixed(2),
     compressionRatio: `${compressionRatio}%`,
     worthCompressing: savedMB > 0.5, // Worth it if we save at least 0.5MB
+    ...(details.images && { images: details.images }),
+    ...(details.metadataRemoved !== undefined && { metadataRemoved: details.metadataRemoved }),
   };
 }
 
@@ -150,7 +568,7 @@ export async function autoCompressPDF(pdfBuffer) {
     return {
       buffer: result.buffer,
       wasCompressed: true,
-      stats: getCompressionStats(originalSize, result.compressedSize),
+      stats: getCompressionStats(originalSize, result.compressedSize, result),
     };
   }
 
@@ -159,8 +577,10 @@ export async function autoCompressPDF(pdfBuffer) {
     buffer: pdfBuffer,
     wasCompressed: false,
     stats: {
-      originalSizeMB: (originalSize / (1024 * 1024)).toFixed(2),
-      message: 'Compression did not significantly reduce size',
+      ...getCompressionStats(originalSize, result.compressedSize, result),
+      message: result.error
+        ? `Compression failed: ${result.error}`
+        : 'Compression did not significantly reduce size',
     },
   };
 }
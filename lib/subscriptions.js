@@ -0,0 +1,252 @@
+/**
+ * Subscriptions
+ *
+ * Plans, tier features and the subscription lifecycle:
+ *   checkout (subscription_payments row, status pending)
+ *     -> provider callback -> completePayment() -> activateSubscription()
+ *     -> cron -> expireSubscriptions()
+ *
+ * Tables: subscriptions (004), subscription_payments (011).
+ * All writes here expect the service role client.
+ */
+
+import { DAILY_QUESTION_LIMITS } from '@/lib/utils/questionQuota';
+
+// Plans students can buy (amounts in KES)
+export const SUBSCRIPTION_PLANS = {
+  premium_weekly: {
+    id: 'premium_weekly',
+    tier: 'premium',
+    name: 'Premium - 1 week',
+    amount: 30,
+    durationDays: 7,
+  },
+  premium_monthly: {
+    id: 'premium_monthly',
+    tier: 'premium',
+    name: 'Premium - 1 month',
+    amount: 100,
+    durationDays: 30,
+  },
+};
+
+// What each tier unlocks
+export const TIER_FEATURES = {
+  free: {
+    dailyQuestions: DAILY_QUESTION_LIMITS.free,
+    bulkOfflineDownload: false,
+  },
+  premium: {
+    dailyQuestions: DAILY_QUESTION_LIMITS.premium,
+    bulkOfflineDownload: true,
+  },
+  class_rep: {
+    dailyQuestions: DAILY_QUESTION_LIMITS.class_rep,
+    bulkOfflineDownload: true,
+  },
+};
+
+// Unpaid STK pushes are abandoned after this long
+export const PENDING_PAYMENT_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Check whether a tier (or a user's role) unlocks a feature
+ * Admins get everything; class reps get at least the class_rep tier.
+ *
+ * @param {Object} params
+ * @param {string} params.tier - Active subscription tier
+ * @param {string} [params.role] - From getGrantedRole (lib/auth/permissions),
+ *   never profiles.role - users can make themselves class reps
+ * @param {string} feature - Key of TIER_FEATURES[tier]
+ * @returns {boolean}
+ */
+export function hasTierFeature({ tier = 'free', role } = {}, feature) {
+  if (role === 'admin') return true;
+
+  const tierFeatures = TIER_FEATURES[tier] || TIER_FEATURES.free;
+  const roleFeatures = role === 'class_rep' ? TIER_FEATURES.class_rep : {};
+
+  return !!(tierFeatures[feature] || roleFeatures[feature]);
+}
+
+/**
+ * Get the user's active, unexpired subscription
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+export async function getActiveSubscription(supabase, userId) {
+  const { data: subscription, error } = await supabase
+    .from('subscriptions')
+    .select('id, tier, status, starts_at, expires_at, payment_ref, payment_method, amount_paid')
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!subscription) return null;
+  if (subscription.expires_at && new Date(subscription.expires_at) <= new Date()) return null;
+
+  return subscription;
+}
+
+/**
+ * Get the tier of the user's active, unexpired subscription
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} userId
+ * @returns {Promise<string>} 'free' when there is no active subscription
+ */
+export async function getActiveSubscriptionTier(supabase, userId) {
+  const subscription = await getActiveSubscription(supabase, userId);
+  return subscription?.tier || 'free';
+}
+
+/**
+ * Activate or extend a subscription for a completed payment
+ * Renewals stack: time is added to the current expiry, not to today.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {Object} payment - subscription_payments row
+ * @param {Object} options
+ * @param {string} options.receiptNumber - Provider receipt (stored as payment_ref)
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} The active subscription row
+ */
+export async function activateSubscription(supabase, payment, { receiptNumber, now = new Date() }) {
+  const durationMs = payment.duration_days * 24 * 60 * 60 * 1000;
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('subscriptions')
+    .select('id, expires_at')
+    .eq('user_id', payment.user_id)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  const paymentFields = {
+    tier: payment.tier,
+    amount_paid: payment.amount,
+    payment_ref: receiptNumber,
+    payment_method: payment.provider,
+    updated_at: now.toISOString(),
+  };
+
+  if (existing) {
+    const currentExpiry = existing.expires_at ? new Date(existing.expires_at) : now;
+    const base = currentExpiry > now ? currentExpiry : now;
+
+    const { data: subscription, error } = await supabase
+      .from('subscriptions')
+      .update({
+        ...paymentFields,
+        expires_at: new Date(base.getTime() + durationMs).toISOString(),
+      })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return subscription;
+  }
+
+  const { data: subscription, error } = await supabase
+    .from('subscriptions')
+    .insert({
+      ...paymentFields,
+      user_id: payment.user_id,
+      status: 'active',
+      starts_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + durationMs).toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return subscription;
+}
+
+/**
+ * Record a payment result and activate the subscription if it succeeded
+ * Idempotent: providers retry callbacks, so only the first result for a
+ * pending payment is applied.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {Object} payment - subscription_payments row
+ * @param {import('@/lib/payments').PaymentResult} result
+ * @param {Object} [rawCallback] - Provider payload, kept for support queries
+ * @returns {Promise<{ processed: boolean, status: string, subscription: Object|null }>}
+ */
+export async function completePayment(supabase, payment, result, rawCallback = null) {
+  const now = new Date();
+  const status = result.success ? 'completed' : 'failed';
+
+  // Claim the pending payment - a concurrent duplicate callback gets no row back
+  const { data: claimed, error: claimError } = await supabase
+    .from('subscription_payments')
+    .update({
+      status,
+      receipt_number: result.receiptNumber || null,
+      result_code: result.resultCode ?? null,
+      result_description: result.resultDescription || null,
+      raw_callback: rawCallback,
+      completed_at: now.toISOString(),
+    })
+    .eq('id', payment.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (claimError) throw claimError;
+
+  if (!claimed) {
+    return { processed: false, status: payment.status, subscription: null };
+  }
+
+  if (!result.success) {
+    return { processed: true, status, subscription: null };
+  }
+
+  const subscription = await activateSubscription(supabase, claimed, {
+    receiptNumber: result.receiptNumber,
+    now,
+  });
+
+  await supabase
+    .from('subscription_payments')
+    .update({ subscription_id: subscription.id })
+    .eq('id', claimed.id);
+
+  return { processed: true, status, subscription };
+}
+
+/**
+ * Expire lapsed subscriptions and abandoned payment prompts (run from cron)
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {Date} [now]
+ * @returns {Promise<{ expiredSubscriptions: number, expiredPayments: number }>}
+ */
+export async function expireSubscriptions(supabase, now = new Date()) {
+  const { data: subscriptions, error: subscriptionError } = await supabase
+    .from('subscriptions')
+    .update({ status: 'expired', updated_at: now.toISOString() })
+    .eq('status', 'active')
+    .lt('expires_at', now.toISOString())
+    .select('id');
+
+  if (subscriptionError) throw subscriptionError;
+
+  const { data: payments, error: paymentError } = await supabase
+    .from('subscription_payments')
+    .update({ status: 'expired', result_description: 'No response from payment provider' })
+    .eq('status', 'pending')
+    .lt('created_at', new Date(now.getTime() - PENDING_PAYMENT_TIMEOUT_MS).toISOString())
+    .select('id');
+
+  if (paymentError) throw paymentError;
+
+  return {
+    expiredSubscriptions: subscriptions?.length || 0,
+    expiredPayments: payments?.length || 0,
+  };
+}
@@ -65,3 +65,23 @@ export const createClient = (cookieStore) => {
 
   return createServerClient(supabaseUrl, supabaseKey, { cookies: cookiesProxy })
 }
+
+/**
+ * Create a Supabase client that acts as the holder of an access token
+ * For API callers that send `Authorization: Bearer <access token>` instead of
+ * session cookies (scripts, other apps). RLS applies as for that user.
+ *
+ * @param {string} accessToken - A Supabase user access token (JWT)
+ * @returns {import('@supabase/supabase-js').SupabaseClient}
+ */
+export const createTokenClient = (accessToken) => {
+  return createSupabaseClient(supabaseUrl, supabaseKey, {
+    global: {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    },
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  })
+}
@@ -0,0 +1,97 @@
+/**
+ * Thumbnail Rendering
+ *
+ * Turns a material's file into a small JPEG preview: the first page of a PDF,
+ * or a downscaled copy of an image. Word and PowerPoint files have no
+ * renderer here and keep their icon.
+ */
+
+// Cards show previews at ~160px wide - 2x for high-density screens
+export const THUMBNAIL_WIDTH = 320;
+
+// Tall images (phone photos of notes) are cut off below this
+export const THUMBNAIL_MAX_HEIGHT = 480;
+
+const JPEG_QUALITY = 0.75;
+
+export const THUMBNAIL_TYPES = ['pdf', 'image'];
+
+/**
+ * Size that fits an image into the thumbnail box, never upscaling
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ width: number, height: number }}
+ */
+export function fitThumbnail(width, height) {
+  const scale = Math.min(1, THUMBNAIL_WIDTH / width);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.min(THUMBNAIL_MAX_HEIGHT, Math.round(height * scale))),
+  };
+}
+
+/**
+ * Downscale an encoded image (PNG, JPEG, ...) to a JPEG thumbnail
+ * @param {Buffer} buffer
+ * @returns {Promise<Buffer>}
+ */
+export async function downscaleImage(buffer) {
+  // Dynamic import - node-canvas is only needed server-side
+  const { createCanvas, loadImage } = await import('canvas');
+  const image = await loadImage(buffer);
+
+  const scale = Math.min(1, THUMBNAIL_WIDTH / image.width);
+  const { width, height } = fitThumbnail(image.width, image.height);
+
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+
+  // JPEG has no alpha - transparent PNGs would turn black
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, Math.round(image.width * scale), Math.round(image.height * scale));
+
+  return canvas.toBuffer('image/jpeg', { quality: JPEG_QUALITY });
+}
+
+/**
+ * First page of a PDF as a PNG, rendered at thumbnail width
+ * @param {Buffer} buffer
+ * @returns {Promise<Buffer>}
+ */
+async function renderFirstPage(buffer) {
+  const { PDFParse } = await import('pdf-parse');
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+
+  try {
+    const screenshot = await parser.getScreenshot({
+      partial: [1],
+      desiredWidth: THUMBNAIL_WIDTH,
+      imageDataUrl: false,
+    });
+
+    const [page] = screenshot.pages;
+    if (!page) {
+      throw new Error('PDF has no pages to render');
+    }
+    return Buffer.from(page.data);
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Render a material's thumbnail
+ * @param {Buffer} buffer - The material's file
+ * @param {string} type - materials.type
+ * @returns {Promise<Buffer|null>} JPEG, or null for types without a preview
+ */
+export async function renderThumbnail(buffer, type) {
+  if (type === 'pdf') {
+    return downscaleImage(await renderFirstPage(buffer));
+  }
+  if (type === 'image') {
+    return downscaleImage(buffer);
+  }
+  return null;
+}
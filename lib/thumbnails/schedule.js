@@ -0,0 +1,28 @@
+/**
+ * Schedule thumbnail generation from a route handler
+ *
+ * Renders the new material's preview once the response has been sent.
+ * Anything that fails or times out is retried by /api/cron/generate-thumbnails.
+ */
+
+import { after } from 'next/server';
+import { runThumbnailWorker } from './worker';
+
+/**
+ * Generate a material's thumbnail after the response - never throws
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {string} materialId
+ */
+export function scheduleThumbnail(supabase, materialId) {
+  try {
+    after(async () => {
+      try {
+        await runThumbnailWorker(supabase, { materialIds: [materialId], limit: 1 });
+      } catch (error) {
+        console.error('[Thumbnails] Post-response run failed:', error);
+      }
+    });
+  } catch (error) {
+    console.error('[Thumbnails] Failed to schedule material', materialId, error);
+  }
+}
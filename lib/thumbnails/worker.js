@@ -0,0 +1,146 @@
+/**
+ * Thumbnail Worker
+ *
+ * Generates preview images for materials with thumbnail_status 'pending' (or
+ * 'failed' with attempts left): download -> render (lib/thumbnails/render)
+ * -> upload to R2 next to the original -> store thumbnail_url.
+ *
+ * Runs from the upload completion hook (after the response is sent) and from
+ * the generate-thumbnails cron, which also works through older materials.
+ * Rendering the same material twice just overwrites the same object.
+ */
+
+import { uploadToR2 } from '@/lib/storage/r2-client';
+import { downloadMaterialFile } from '@/lib/storage/download';
+import { THUMBNAIL_TYPES, renderThumbnail } from './render';
+
+export const MAX_THUMBNAIL_ATTEMPTS = 3;
+
+const MATERIAL_COLUMNS = 'id, type, file_url, storage_location, storage_path, thumbnail_attempts';
+
+/**
+ * R2 key for a material's thumbnail
+ * Derived from the file's storage path, so materials sharing one stored
+ * object (lib/storage/dedup) share one thumbnail too.
+ * @param {{ id: string, storage_location?: string, storage_path?: string }} material
+ * @returns {string}
+ */
+export function getThumbnailKey(material) {
+  if (material.storage_location === 'r2' && material.storage_path) {
+    return `${material.storage_path}.thumb.jpg`;
+  }
+  // Supabase Storage and legacy URL-only files - the thumbnail still goes to R2
+  return `thumbnails/${material.storage_path || material.id}.thumb.jpg`;
+}
+
+/**
+ * URL the app loads a thumbnail from
+ * Public buckets serve it directly; private ones go through a redirect to a
+ * signed URL, since a stored signed URL would expire.
+ * @param {string} materialId
+ * @param {string} key - R2 key
+ * @returns {string}
+ */
+export function getThumbnailUrl(materialId, key) {
+  return process.env.R2_PUBLIC_URL
+    ? `${process.env.R2_PUBLIC_URL}/${key}`
+    : `/api/materials/${materialId}/thumbnail`;
+}
+
+async function updateThumbnail(supabase, materialId, fields) {
+  const { error } = await supabase
+    .from('materials')
+    .update(fields)
+    .eq('id', materialId);
+
+  if (error) throw error;
+}
+
+// Another material sharing the stored file may already have the thumbnail
+async function hasSharedThumbnail(supabase, material, key) {
+  const { data, error } = await supabase
+    .from('materials')
+    .select('id')
+    .eq('thumbnail_path', key)
+    .eq('thumbnail_status', 'ready')
+    .neq('id', material.id)
+    .limit(1);
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
+/**
+ * Generate one material's thumbnail
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {{ id: string, type: string, file_url?: string, storage_location?: string, storage_path?: string }} material
+ * @returns {Promise<'ready'|'skipped'>}
+ */
+export async function generateThumbnail(supabase, material) {
+  if (!THUMBNAIL_TYPES.includes(material.type)) {
+    await updateThumbnail(supabase, material.id, { thumbnail_status: 'skipped' });
+    return 'skipped';
+  }
+
+  const key = getThumbnailKey(material);
+
+  if (!(await hasSharedThumbnail(supabase, material, key))) {
+    const buffer = await downloadMaterialFile(material);
+    const thumbnail = await renderThumbnail(buffer, material.type);
+    await uploadToR2(thumbnail, key, 'image/jpeg');
+  }
+
+  await updateThumbnail(supabase, material.id, {
+    thumbnail_path: key,
+    thumbnail_url: getThumbnailUrl(material.id, key),
+    thumbnail_status: 'ready',
+  });
+  return 'ready';
+}
+
+/**
+ * Generate thumbnails until none are waiting or the time budget runs out
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {Object} options
+ * @param {string[]} [options.materialIds] - Only these materials (upload hook)
+ * @param {number} [options.limit] - Upper bound on materials for this run
+ * @param {number} [options.timeBudgetMs] - Stop starting new materials after this long
+ * @returns {Promise<{ processed: number, ready: number, skipped: number, failed: number }>}
+ */
+export async function runThumbnailWorker(supabase, { materialIds, limit = 10, timeBudgetMs = 45000 } = {}) {
+  const deadline = Date.now() + timeBudgetMs;
+  const summary = { processed: 0, ready: 0, skipped: 0, failed: 0 };
+
+  let query = supabase
+    .from('materials')
+    .select(MATERIAL_COLUMNS)
+    .is('deleted_at', null)
+    .in('thumbnail_status', ['pending', 'failed'])
+    .lt('thumbnail_attempts', MAX_THUMBNAIL_ATTEMPTS)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (materialIds) query = query.in('id', materialIds);
+
+  const { data: materials, error } = await query;
+  if (error) throw error;
+
+  for (const material of materials || []) {
+    if (Date.now() >= deadline) break;
+    summary.processed++;
+
+    try {
+      summary[await generateThumbnail(supabase, material)]++;
+    } catch (error) {
+      console.error(`[Thumbnails] Material ${material.id} failed (attempt ${material.thumbnail_attempts + 1}):`, error);
+      summary.failed++;
+
+      await updateThumbnail(supabase, material.id, {
+        thumbnail_status: 'failed',
+        thumbnail_attempts: material.thumbnail_attempts + 1,
+      });
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,315 @@
+/**
+ * Trash Purge
+ *
+ * Permanently deletes items that have been in the trash (soft-deleted) for
+ * longer than TRASH_RETENTION_DAYS, as listed by
+ * get_items_for_permanent_deletion() (migration 006):
+ *
+ * - material -> audit log, row deleted, then its files removed from storage:
+ *               the current file, earlier versions and thumbnails, except
+ *               objects other materials still use (lib/storage/dedup)
+ * - topic    -> its materials are kept but orphaned (admins reassign them),
+ *               then the topic row is deleted
+ * - course   -> all of its materials are purged as above, then its topics
+ *               and the course row
+ *
+ * Runs from /api/cron/purge-trash in batches - whatever doesn't fit in a run's
+ * budget is picked up by the next one. Dry runs report what would happen
+ * without changing anything.
+ *
+ * All functions expect the service role client.
+ */
+
+import { deleteFromR2 } from '@/lib/storage/r2-client';
+import { isStoragePathShared } from '@/lib/storage/dedup';
+import { getVersionFiles } from '@/lib/materials/versions';
+import { getThumbnailKey } from '@/lib/thumbnails/worker';
+import { logDeletion } from '@/lib/materials/deletion';
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const PURGE_REASON = `Automatically purged after ${TRASH_RETENTION_DAYS} days in trash`;
+
+// Materials before the topics and courses that may contain them
+const ENTITY_ORDER = { material: 0, topic: 1, course: 2 };
+
+const MATERIAL_COLUMNS = 'id, title, storage_location, storage_path, file_url, file_size, thumbnail_path, download_count, view_count';
+
+/**
+ * Trashed items past the retention window, materials first
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @returns {Promise<Array<{ id: string, entity_type: string, title: string, days_in_trash: number }>>}
+ */
+export async function getExpiredTrashItems(supabase) {
+  const { data, error } = await supabase.rpc('get_items_for_permanent_deletion');
+
+  if (error) throw error;
+  return (data || []).sort((a, b) => ENTITY_ORDER[a.entity_type] - ENTITY_ORDER[b.entity_type]);
+}
+
+// Legacy Supabase Storage rows only have the public URL
+function getSupabaseStoragePath(fileUrl) {
+  const match = fileUrl?.match(/\/materials\/(.*?)(?:\?|$)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Stored objects a material's purge removes, and those it must keep
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} material - Row with MATERIAL_COLUMNS
+ * @returns {Promise<{ remove: Array<{ storage_location: string, storage_path: string }>, kept: string[] }>}
+ */
+export async function planMaterialFiles(supabase, material) {
+  const location = material.storage_location || 'supabase';
+  const currentPath = material.storage_path ||
+    (location === 'supabase' ? getSupabaseStoragePath(material.file_url) : null);
+
+  const files = currentPath ? [{ storage_location: location, storage_path: currentPath }] : [];
+  for (const file of await getVersionFiles(supabase, material.id)) {
+    if (file.storage_path !== currentPath) files.push(file);
+  }
+
+  const remove = [];
+  const kept = [];
+  for (const file of files) {
+    if (await isStoragePathShared(supabase, file.storage_path, material.id)) {
+      kept.push(file.storage_path);
+    } else {
+      remove.push(file);
+    }
+  }
+
+  // Thumbnails are shared along with their file (lib/thumbnails/worker)
+  const thumbnails = new Set(remove.map((file) => getThumbnailKey({ id: material.id, ...file })));
+  if (material.thumbnail_path && !kept.includes(currentPath)) {
+    thumbnails.add(material.thumbnail_path);
+  }
+  thumbnails.forEach((key) => remove.push({ storage_location: 'r2', storage_path: key }));
+
+  return { remove, kept };
+}
+
+async function deleteStoredFile(supabase, file) {
+  if (file.storage_location === 'r2') {
+    await deleteFromR2(file.storage_path);
+    return;
+  }
+
+  const { error } = await supabase.storage.from('materials').remove([file.storage_path]);
+  if (error) throw error;
+}
+
+function logPurge(supabase, entityType, item, reason) {
+  return logDeletion(supabase, { entityType, entity: item, deletionType: 'hard', reason, userId: null });
+}
+
+/**
+ * Permanently delete one material and its stored files
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} material - Row with MATERIAL_COLUMNS
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun]
+ * @param {string} [options.reason] - For the audit log
+ * @returns {Promise<Object>} What was (or would be) removed
+ */
+export async function purgeMaterial(supabase, material, { dryRun = false, reason = PURGE_REASON } = {}) {
+  const { remove, kept } = await planMaterialFiles(supabase, material);
+  const result = {
+    entityType: 'material',
+    id: material.id,
+    title: material.title,
+    files: remove.map((file) => file.storage_path),
+    keptFiles: kept,
+    bytes: material.file_size || 0,
+    failedFiles: [],
+  };
+
+  if (dryRun) return result;
+
+  await logPurge(supabase, 'material', material, reason);
+
+  const { error } = await supabase.from('materials').delete().eq('id', material.id);
+  if (error) throw error;
+
+  // The row is gone - a file that fails to delete only costs storage, so carry on
+  for (const file of remove) {
+    try {
+      await deleteStoredFile(supabase, file);
+    } catch (fileError) {
+      console.error(`[Trash Purge] Failed to delete ${file.storage_path}:`, fileError.message);
+      result.failedFiles.push(file.storage_path);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Permanently delete a topic, keeping its materials as orphans
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ id: string, title: string }} topic
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<Object>}
+ */
+export async function purgeTopic(supabase, topic, { dryRun = false } = {}) {
+  const { count, error: countError } = await supabase
+    .from('materials')
+    .select('id', { count: 'exact', head: true })
+    .eq('topic_id', topic.id);
+
+  if (countError) throw countError;
+
+  const result = { entityType: 'topic', id: topic.id, title: topic.title, orphanedMaterials: count || 0 };
+  if (dryRun) return result;
+
+  if (count > 0) {
+    const { error: orphanError } = await supabase
+      .from('materials')
+      .update({ topic_id: null, is_orphaned: true })
+      .eq('topic_id', topic.id);
+
+    if (orphanError) throw orphanError;
+  }
+
+  await logPurge(supabase, 'topic', topic, PURGE_REASON);
+
+  const { error } = await supabase.from('topics').delete().eq('id', topic.id);
+  if (error) throw error;
+
+  return result;
+}
+
+/**
+ * Permanently delete a course with all of its materials and topics
+ * Materials go first, within the budget; a course with materials left over
+ * is finished by a later run.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {{ id: string, title: string }} course
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun]
+ * @param {number} [options.maxMaterials] - Materials this call may purge
+ * @returns {Promise<Object>} `deferred` when materials are left for the next run
+ */
+export async function purgeCourse(supabase, course, { dryRun = false, maxMaterials = Infinity } = {}) {
+  const { count, error: countError } = await supabase
+    .from('materials')
+    .select('id', { count: 'exact', head: true })
+    .eq('course_id', course.id);
+
+  if (countError) throw countError;
+
+  const result = { entityType: 'course', id: course.id, title: course.title, materials: [], materialCount: count || 0, deferred: false };
+  if (dryRun) return result;
+
+  if (count > 0) {
+    const { data: materials, error } = await supabase
+      .from('materials')
+      .select(MATERIAL_COLUMNS)
+      .eq('course_id', course.id)
+      .limit(Math.min(count, maxMaterials));
+
+    if (error) throw error;
+
+    for (const material of materials || []) {
+      result.materials.push(
+        await purgeMaterial(supabase, material, { reason: `Course "${course.title}" purged from trash` })
+      );
+    }
+
+    if (result.materials.length < count) {
+      result.deferred = true;
+      return result;
+    }
+  }
+
+  const { error: topicsError } = await supabase.from('topics').delete().eq('course_id', course.id);
+  if (topicsError) throw topicsError;
+
+  await logPurge(supabase, 'course', course, PURGE_REASON);
+
+  const { error } = await supabase.from('courses').delete().eq('id', course.id);
+  if (error) throw error;
+
+  return result;
+}
+
+/**
+ * Purge expired trash in one batch
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report only, change nothing
+ * @param {number} [options.limit] - Max materials to purge (including those of purged courses)
+ * @param {number} [options.timeBudgetMs] - Stop starting new items after this long
+ * @returns {Promise<{ dryRun: boolean, expired: number, purged: Object, items: Object[], remaining: number, errors: Object[] }>}
+ */
+export async function runTrashPurge(supabase, { dryRun = false, limit = 25, timeBudgetMs = Infinity } = {}) {
+  const startedAt = Date.now();
+  const expired = await getExpiredTrashItems(supabase);
+
+  const summary = {
+    dryRun,
+    expired: expired.length,
+    purged: { materials: 0, topics: 0, courses: 0, bytes: 0 },
+    items: [],
+    remaining: 0,
+    errors: [],
+  };
+
+  const materialIds = expired.filter((item) => item.entity_type === 'material').map((item) => item.id);
+  const materials = new Map();
+  if (materialIds.length > 0) {
+    const { data, error } = await supabase
+      .from('materials')
+      .select(MATERIAL_COLUMNS)
+      .in('id', materialIds.slice(0, limit));
+
+    if (error) throw error;
+    (data || []).forEach((material) => materials.set(material.id, material));
+  }
+
+  let budget = limit;
+
+  for (const item of expired) {
+    if (budget <= 0 || Date.now() - startedAt > timeBudgetMs) {
+      summary.remaining++;
+      continue;
+    }
+
+    try {
+      if (item.entity_type === 'material') {
+        const material = materials.get(item.id);
+        if (!material) {
+          summary.remaining++;
+          continue;
+        }
+
+        const result = await purgeMaterial(supabase, material, { dryRun });
+        summary.items.push(result);
+        summary.purged.materials++;
+        summary.purged.bytes += result.bytes;
+        budget--;
+      } else if (item.entity_type === 'topic') {
+        summary.items.push(await purgeTopic(supabase, item, { dryRun }));
+        summary.purged.topics++;
+      } else if (item.entity_type === 'course') {
+        const result = await purgeCourse(supabase, item, { dryRun, maxMaterials: budget });
+        summary.items.push(result);
+        summary.purged.materials += result.materials.length;
+        summary.purged.bytes += result.materials.reduce((total, material) => total + material.bytes, 0);
+        budget -= result.materials.length;
+
+        if (result.deferred) {
+          summary.remaining++;
+        } else {
+          summary.purged.courses++;
+        }
+      }
+    } catch (error) {
+      console.error(`[Trash Purge] Failed to purge ${item.entity_type} ${item.id}:`, error);
+      summary.errors.push({ entityType: item.entity_type, id: item.id, title: item.title, error: error.message });
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,62 @@
+/**
+ * Content hashes in the browser
+ * SHA-256 of a file before it is uploaded, so a file that is already in the
+ * course is caught without sending any bytes. The server hashes what arrives
+ * again (lib/storage/dedup.js) - this value is only ever a hint.
+ *
+ * Also bundled into the service worker, so nothing here may assume a window.
+ */
+
+/**
+ * SHA-256 of a file as lowercase hex
+ * @param {Blob} file
+ * @returns {Promise<string|null>} null where Web Crypto isn't available (insecure origins)
+ */
+export async function hashFile(file) {
+  if (!globalThis.crypto?.subtle || typeof file?.arrayBuffer !== 'function') {
+    return null
+  }
+
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', await file.arrayBuffer())
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Ask the server whether a course already has this file
+ * A failed check never blocks the upload - the server checks again on completion
+ * @param {string|null} contentHash
+ * @param {string} courseId
+ * @returns {Promise<{id: string, title: string, url: string}|null>} The existing material
+ */
+export async function findDuplicateUpload(contentHash, courseId) {
+  if (!contentHash || !courseId) return null
+
+  try {
+    const response = await fetch('/api/upload/check-duplicate', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ contentHash, courseId })
+    })
+    if (!response.ok) return null
+
+    const { duplicate } = await response.json()
+    return duplicate || null
+  } catch (error) {
+    console.warn('Duplicate check failed:', error)
+    return null
+  }
+}
+
+/**
+ * Error for an upload rejected as a duplicate
+ * Carries the existing material so the UI can link to it; never retried
+ * @param {string} message
+ * @param {{id: string, title: string, url: string}} duplicate
+ * @returns {Error}
+ */
+export function duplicateUploadError(message, duplicate) {
+  const error = new Error(message)
+  error.duplicate = duplicate
+  error.retryable = false
+  return error
+}
@@ -2,8 +2,31 @@
  * Direct R2 Upload Handler
  * Handles client-to-R2 uploads using presigned URLs
  * Bypasses Vercel's 4.5 MB serverless function limit
+ *
+ * Files over MULTIPART_THRESHOLD upload in parts. Their state lives in the
+ * UPLOAD_QUEUE store so a reload or reconnect picks up from the last finished part.
+ *
+ * Also bundled into the service worker (worker/index.js) for Background Sync,
+ * so imports stay relative and nothing here may assume a window.
  */
 
+import {
+  STORES,
+  putInStore,
+  getFromStore,
+  deleteFromStore,
+  updateUploadProgress
+} from '../db/indexedDB'
+import { hashFile, findDuplicateUpload, duplicateUploadError } from './content-hash'
+
+export const MULTIPART_THRESHOLD = 10 * 1024 * 1024 // 10MB
+
+const PART_CONCURRENCY = 3
+const PART_RETRY_DELAYS = [1000, 3000, 7000]
+
+// Queue ids of multipart uploads running in this context -> their in-flight XHRs
+const activeUploads = new Map()
+
 /**
  * Upload a file directly to R2 using a presigned URL
  * @param {File} file - File to upload
@@ -57,12 +80,23 @@ export async function uploadToR2Direct(file, onProgress) {
 
 /**
  * Upload file to presigned URL with progress tracking
+ * Resolves with the object's ETag (needed to complete multipart uploads)
  * @private
  */
-function uploadFileToPresignedUrl(file, presignedUrl, onProgress) {
+function uploadFileToPresignedUrl(file, presignedUrl, onProgress, { contentType = file.type, xhrs } = {}) {
+  if (typeof XMLHttpRequest === 'undefined') {
+    return uploadFileWithFetch(file, presignedUrl, onProgress, contentType)
+  }
+
   return new Promise((resolve, reject) => {
     const xhr = new XMLHttpRequest()
 
+    // Tracked so an abort can stop in-flight parts
+    if (xhrs) {
+      xhrs.add(xhr)
+      xhr.addEventListener('loadend', () => xhrs.delete(xhr))
+    }
+
     // Track upload progress
     xhr.upload.addEventListener('progress', (e) => {
       if (e.lengthComputable) {
@@ -75,7 +109,7 @@ function uploadFileToPresignedUrl(file, presignedUrl, onProgress) {
     xhr.addEventListener('load', () => {
       if (xhr.status >= 200 && xhr.status < 300) {
         onProgress?.(100)
-        resolve({ ok: true, status: xhr.status })
+        resolve({ ok: true, status: xhr.status, etag: xhr.getResponseHeader('ETag') })
       } else {
         reject(new Error(`Upload failed with status ${xhr.status}`))
       }
@@ -91,22 +125,375 @@ function uploadFileToPresignedUrl(file, presignedUrl, onProgress) {
 
     // Start upload
     xhr.open('PUT', presignedUrl)
-    xhr.setRequestHeader('Content-Type', file.type)
+    if (contentType) {
+      xhr.setRequestHeader('Content-Type', contentType)
+    }
     xhr.send(file)
   })
 }
 
+/**
+ * Service workers have no XMLHttpRequest - fetch can't report upload
+ * progress, so progress jumps to 100 when the PUT finishes
+ * @private
+ */
+async function uploadFileWithFetch(file, presignedUrl, onProgress, contentType) {
+  let response
+  try {
+    response = await fetch(presignedUrl, {
+      method: 'PUT',
+      headers: contentType ? { 'Content-Type': contentType } : {},
+      body: file
+    })
+  } catch (error) {
+    throw new Error('Upload request failed (network error)')
+  }
+
+  if (!response.ok) {
+    throw new Error(`Upload failed with status ${response.status}`)
+  }
+
+  onProgress?.(100)
+  return { ok: true, status: response.status, etag: response.headers.get('ETag') }
+}
+
+/**
+ * POST JSON to one of our upload routes
+ * @private
+ */
+async function postUploadApi(path, body, fallbackError) {
+  const response = await fetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || fallbackError)
+  }
+
+  return response.json()
+}
+
+async function signPartUrls(key, uploadId, partNumbers) {
+  const { urls } = await postUploadApi(
+    '/api/upload/multipart/parts',
+    { key, uploadId, partNumbers },
+    'Failed to sign part URLs'
+  )
+  return urls
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Upload one part, retrying with a freshly signed URL on failure
+ * @private
+ */
+async function uploadPartWithRetry({ blob, key, uploadId, partNumber, url, xhrs, onLoaded }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { etag } = await uploadFileToPresignedUrl(
+        blob,
+        url,
+        (percentage) => onLoaded((percentage / 100) * blob.size),
+        { contentType: null, xhrs }
+      )
+
+      if (!etag) {
+        const error = new Error('R2 did not return an ETag - the bucket CORS rules must expose the ETag header')
+        error.retryable = false
+        throw error
+      }
+
+      return etag
+
+    } catch (error) {
+      if (error.retryable === false || error.message === 'Upload was cancelled' || attempt >= PART_RETRY_DELAYS.length) {
+        throw error
+      }
+
+      console.warn(`⚠️ Part ${partNumber} failed (${error.message}), retrying...`)
+      onLoaded(0)
+      await wait(PART_RETRY_DELAYS[attempt])
+      url = (await signPartUrls(key, uploadId, [partNumber]))[partNumber]
+    }
+  }
+}
+
+/**
+ * Upload the parts of a queued multipart upload that haven't finished yet,
+ * then assemble them in R2. Finished parts are saved as they land.
+ * @private
+ * @param {Object} upload - UPLOAD_QUEUE entry
+ * @param {Function} onProgress - Progress callback: (percentage: number) => void
+ * @returns {Promise<{key: string, fileSize: number, fileName: string, contentType: string}>}
+ */
+async function runMultipartUpload(upload, onProgress) {
+  const file = upload.file_blob
+  const { key, uploadId, partSize, partCount } = upload.multipart
+  const xhrs = new Set()
+  activeUploads.set(upload.id, xhrs)
+
+  try {
+    let multipart = upload.multipart
+
+    if (!multipart.assembled) {
+      const etags = new Map(multipart.parts.map(part => [part.partNumber, part.etag]))
+      const partBlob = (partNumber) => file.slice((partNumber - 1) * partSize, partNumber * partSize)
+
+      // Byte-level progress: finished parts plus whatever is in flight
+      const inFlight = new Map()
+      let finishedBytes = [...etags.keys()].reduce((sum, partNumber) => sum + partBlob(partNumber).size, 0)
+      const reportProgress = () => {
+        const loaded = [...inFlight.values()].reduce((sum, bytes) => sum + bytes, finishedBytes)
+        onProgress?.((loaded / file.size) * 100)
+      }
+      reportProgress()
+
+      // Part writes go through one chain so concurrent parts don't overwrite each other
+      let saveChain = Promise.resolve()
+      const remaining = []
+      for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+        if (!etags.has(partNumber)) remaining.push(partNumber)
+      }
+
+      if (remaining.length > 0) {
+        const urls = await signPartUrls(key, uploadId, remaining)
+        let stopped = false
+
+        const worker = async () => {
+          while (remaining.length > 0 && !stopped) {
+            const partNumber = remaining.shift()
+            try {
+              const blob = partBlob(partNumber)
+              const etag = await uploadPartWithRetry({
+                blob,
+                key,
+                uploadId,
+                partNumber,
+                url: urls[partNumber],
+                xhrs,
+                onLoaded: (bytes) => {
+                  inFlight.set(partNumber, bytes)
+                  reportProgress()
+                }
+              })
+
+              etags.set(partNumber, etag)
+              inFlight.delete(partNumber)
+              finishedBytes += blob.size
+              reportProgress()
+
+              const parts = [...etags].map(([number, partEtag]) => ({ partNumber: number, etag: partEtag }))
+              const progress = Math.round((finishedBytes / file.size) * 100)
+              saveChain = saveChain.then(() => updateUploadProgress(upload.id, {
+                multipart: { ...multipart, parts },
+                progress
+              }))
+            } catch (error) {
+              stopped = true
+              throw error
+            }
+          }
+        }
+
+        const results = await Promise.allSettled(
+          Array.from({ length: Math.min(PART_CONCURRENCY, remaining.length) }, worker)
+        )
+        await saveChain
+
+        const failure = results.find(result => result.status === 'rejected')
+        if (failure) throw failure.reason
+      }
+
+      const parts = [...etags].map(([partNumber, etag]) => ({ partNumber, etag }))
+      await postUploadApi(
+        '/api/upload/multipart/complete',
+        { key, uploadId, parts },
+        'Failed to assemble uploaded parts'
+      )
+
+      multipart = { ...multipart, parts, assembled: true }
+      await updateUploadProgress(upload.id, { multipart, progress: 100 })
+      onProgress?.(100)
+    }
+
+    return {
+      key,
+      fileSize: upload.file_size,
+      fileName: upload.file_name,
+      contentType: upload.file_type,
+      queueId: upload.id
+    }
+
+  } finally {
+    activeUploads.delete(upload.id)
+  }
+}
+
+/**
+ * Start a multipart upload for a file
+ * @private
+ * @returns {Promise<Object>} Part state to keep on the queue entry
+ */
+async function initiateMultipartUpload(file) {
+  console.log('📋 Starting multipart upload...')
+  const { key, uploadId, partSize, partCount } = await postUploadApi(
+    '/api/upload/multipart',
+    { filename: file.name, contentType: file.type, fileSize: file.size },
+    'Failed to start upload'
+  )
+
+  return { key, uploadId, partSize, partCount, parts: [], assembled: false }
+}
+
+/**
+ * Hash a file and make sure its course doesn't already have it
+ * @private
+ * @returns {Promise<string|null>} Content hash to send with the metadata
+ */
+async function hashAndCheckDuplicate(file, metadata) {
+  const contentHash = await hashFile(file)
+  const duplicate = await findDuplicateUpload(contentHash, metadata?.courseId)
+
+  if (duplicate) {
+    throw duplicateUploadError(`This file is already in this course as "${duplicate.title}"`, duplicate)
+  }
+
+  return contentHash
+}
+
+/**
+ * Upload a large file to R2 in parts
+ * The upload is recorded in UPLOAD_QUEUE first, so it survives a reload
+ * @param {File} file - File to upload
+ * @param {Object} metadata - Material metadata, kept for completing a resumed upload
+ * @param {Function} onProgress - Progress callback: (percentage: number) => void
+ * @returns {Promise<{key: string, fileSize: number, fileName: string, contentType: string, queueId: number}>}
+ */
+export async function uploadToR2Multipart(file, metadata, onProgress) {
+  const multipart = await initiateMultipartUpload(file)
+
+  const upload = {
+    file_blob: file,
+    file_name: file.name,
+    file_size: file.size,
+    file_type: file.type,
+    metadata,
+    status: 'uploading',
+    upload_method: 'multipart',
+    multipart,
+    progress: 0,
+    retry_count: 0,
+    error: null,
+    created_at: Date.now(),
+    updated_at: Date.now()
+  }
+  upload.id = await putInStore(STORES.UPLOAD_QUEUE, upload)
+
+  try {
+    console.log(`⬆️ Uploading ${multipart.partCount} parts to R2...`)
+    const uploadData = await runMultipartUpload(upload, onProgress)
+    console.log('✅ File uploaded to R2')
+    return uploadData
+
+  } catch (error) {
+    // Cancelled uploads are already gone from the queue
+    if (error.message === 'Upload was cancelled') throw error
+
+    await updateUploadProgress(upload.id, { status: 'paused', error: error.message })
+    console.error('❌ Multipart upload paused:', error)
+    throw new Error(`${error.message}. The upload was saved and will finish in the background.`)
+  }
+}
+
+/**
+ * Upload a queued file and save its material
+ * Large files keep their part state on the queue entry, so a retry - in this
+ * tab or in the service worker - continues from the last finished part
+ * @param {Object} upload - UPLOAD_QUEUE entry
+ * @param {Function} onProgress - Progress callback: (percentage: number) => void
+ * @returns {Promise<Object>} - Material data from server
+ */
+export async function uploadQueuedFile(upload, onProgress) {
+  // Weight R2 upload as 90% of progress
+  const onUploadProgress = (percentage) => {
+    onProgress?.(Math.min(percentage * 0.9, 90))
+  }
+
+  // Entries queued before the direct upload flow used `category`
+  const { category, ...metadata } = upload.metadata || {}
+
+  // Entries from performFullUpload were hashed and checked before queueing
+  if (!metadata.contentHash) {
+    metadata.contentHash = await hashAndCheckDuplicate(upload.file_blob, metadata)
+  }
+
+  let uploadData
+  if (upload.multipart || upload.file_size > MULTIPART_THRESHOLD) {
+    let queued = upload
+    if (!upload.multipart) {
+      const multipart = await initiateMultipartUpload(upload.file_blob)
+      await updateUploadProgress(upload.id, { upload_method: 'multipart', multipart })
+      queued = { ...upload, upload_method: 'multipart', multipart }
+    }
+    uploadData = await runMultipartUpload(queued, onUploadProgress)
+  } else {
+    uploadData = await uploadToR2Direct(upload.file_blob, onUploadProgress)
+  }
+
+  const material = await completeUpload(uploadData, {
+    ...metadata,
+    materialCategory: metadata.materialCategory || category
+  })
+
+  onProgress?.(100)
+  return material
+}
+
+/**
+ * Cancel a multipart upload: stop its parts, free them in R2 and drop the queue entry
+ * @param {number} queueId - UPLOAD_QUEUE id
+ */
+export async function abortMultipartUpload(queueId) {
+  activeUploads.get(queueId)?.forEach(xhr => xhr.abort())
+
+  const upload = await getFromStore(STORES.UPLOAD_QUEUE, queueId)
+  await deleteFromStore(STORES.UPLOAD_QUEUE, queueId)
+
+  if (upload?.multipart && !upload.multipart.assembled) {
+    const { key, uploadId } = upload.multipart
+    try {
+      await postUploadApi('/api/upload/multipart/abort', { key, uploadId }, 'Failed to abort upload')
+    } catch (error) {
+      // R2 lifecycle rules clean up abandoned parts eventually
+      console.warn('Failed to abort multipart upload:', error)
+    }
+  }
+}
+
 /**
  * Complete an upload by saving metadata
+ * Uploads with `metadata.revisionOf` become a new version of that material
+ * (/api/materials/[id]/versions) instead of a new material
  * @param {Object} uploadData - Data from uploadToR2Direct
  * @param {Object} metadata - Material metadata
- * @returns {Promise<Object>} - Material data from server
+ * @returns {Promise<Object>} - Material data from server, with `moderation`
+ * ({ status, reason, message }) when the upload was moderated
  */
 export async function completeUpload(uploadData, metadata) {
   try {
     console.log('💾 Saving metadata...')
 
-    const completeResponse = await fetch('/api/upload/complete', {
+    const completeUrl = metadata?.revisionOf
+      ? `/api/materials/${metadata.revisionOf}/versions`
+      : '/api/upload/complete'
+
+    const completeResponse = await fetch(completeUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include', // Include auth cookies
@@ -121,13 +508,18 @@ export async function completeUpload(uploadData, metadata) {
 
     if (!completeResponse.ok) {
       const error = await completeResponse.json()
+      if (error.duplicate) {
+        throw duplicateUploadError(error.error, error.duplicate)
+      }
       throw new Error(error.error || 'Failed to complete upload')
     }
 
     const result = await completeResponse.json()
     console.log('✅ Upload completed and saved')
 
-    return result.material
+    return result.moderation
+      ? { ...result.material, moderation: result.moderation }
+      : result.material
 
   } catch (error) {
     console.error('❌ Upload completion failed:', error)
@@ -135,23 +527,99 @@ export async function completeUpload(uploadData, metadata) {
   }
 }
 
+/**
+ * Materials in the same unit that look like an uploaded file
+ * A failed check never blocks the upload - the worker flags look-alikes for review
+ * @private
+ */
+async function findSimilarUploads(uploadData, metadata) {
+  try {
+    const { matches } = await postUploadApi(
+      '/api/upload/similar',
+      {
+        key: uploadData.key,
+        contentType: uploadData.contentType,
+        courseId: metadata.courseId,
+        topicId: metadata.topicId
+      },
+      'Failed to check for similar materials'
+    )
+    return matches || []
+  } catch (error) {
+    console.warn('Similarity check failed:', error)
+    return []
+  }
+}
+
+/**
+ * Drop an uploaded file the uploader decided not to save
+ * @private
+ */
+async function discardUpload(uploadData) {
+  if (uploadData.queueId) {
+    await deleteFromStore(STORES.UPLOAD_QUEUE, uploadData.queueId)
+  }
+
+  try {
+    await postUploadApi('/api/upload/discard', { key: uploadData.key }, 'Failed to discard upload')
+  } catch (error) {
+    console.warn('Failed to discard upload:', error)
+  }
+}
+
 /**
  * Perform a full upload: direct R2 upload + metadata save
  * @param {File} file - File to upload
  * @param {Object} metadata - Material metadata
  * @param {Function} onProgress - Progress callback
- * @returns {Promise<Object>} - Material data
+ * @param {Object} [options]
+ * @param {Function} [options.onSimilar] - Called with look-alike materials in the unit
+ *   before saving: (matches, file) => Promise<boolean>; false discards the upload
+ * @returns {Promise<Object|null>} - Material data, or null if the uploader backed out
  */
-export async function performFullUpload(file, metadata, onProgress) {
+export async function performFullUpload(file, metadata, onProgress, { onSimilar } = {}) {
   try {
-    // Upload to R2
-    const uploadData = await uploadToR2Direct(file, (percentage) => {
-      // Weight R2 upload as 90% of progress
+    // Weight R2 upload as 90% of progress
+    const onUploadProgress = (percentage) => {
       onProgress?.(Math.min(percentage * 0.9, 90))
-    })
+    }
+
+    // Catch files the course already has before sending any bytes
+    const contentHash = await hashAndCheckDuplicate(file, metadata)
+    const hashedMetadata = { ...metadata, contentHash }
+
+    // Upload to R2 - large files in resumable parts
+    const uploadData = file.size > MULTIPART_THRESHOLD
+      ? await uploadToR2Multipart(file, hashedMetadata, onUploadProgress)
+      : await uploadToR2Direct(file, onUploadProgress)
+
+    // Warn about near-duplicates (re-exports, re-scans) before saving
+    if (onSimilar) {
+      const matches = await findSimilarUploads(uploadData, metadata)
+      if (matches.length > 0 && !(await onSimilar(matches, file))) {
+        await discardUpload(uploadData)
+        return null
+      }
+    }
 
     // Save metadata
-    const material = await completeUpload(uploadData, metadata)
+    let material
+    try {
+      material = await completeUpload(uploadData, hashedMetadata)
+    } catch (error) {
+      // A rejected duplicate has nothing left to finish
+      if (uploadData.queueId && error.duplicate) {
+        await deleteFromStore(STORES.UPLOAD_QUEUE, uploadData.queueId)
+      } else if (uploadData.queueId) {
+        // The file is in R2 - leave the entry for the upload queue to finish
+        await updateUploadProgress(uploadData.queueId, { status: 'paused', error: error.message })
+      }
+      throw error
+    }
+
+    if (uploadData.queueId) {
+      await deleteFromStore(STORES.UPLOAD_QUEUE, uploadData.queueId)
+    }
 
     // Final progress
     onProgress?.(100)
@@ -163,3 +631,19 @@ export async function performFullUpload(file, metadata, onProgress) {
     throw error
   }
 }
+
+/**
+ * Upload a corrected file as a new version of an existing material
+ * Goes through the same flow as a new upload (duplicate check, resumable
+ * parts for large files), so a paused upload still finishes as a version.
+ * @param {string} materialId
+ * @param {File} file
+ * @param {Object} details
+ * @param {string} details.courseId - The material's course, for the duplicate check
+ * @param {string} [details.changeNote] - What changed
+ * @param {Function} [onProgress] - Progress callback
+ * @returns {Promise<Object>} - { id, title, current_version }
+ */
+export function uploadNewVersion(materialId, file, { courseId, changeNote }, onProgress) {
+  return performFullUpload(file, { revisionOf: materialId, courseId, changeNote }, onProgress)
+}
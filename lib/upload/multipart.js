@@ -0,0 +1,201 @@
+/**
+ * Multipart R2 Uploads (server side)
+ *
+ * Large files go to R2 in parts, each with its own presigned URL, so a dropped
+ * connection costs one part instead of the whole file. The browser side lives
+ * in lib/upload/direct-r2-upload.js.
+ *
+ * initiate -> sign part URLs (again on resume, URLs expire) -> PUT parts -> complete
+ *                                                                        \-> abort
+ */
+
+import {
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import getR2Client from '@/lib/storage/r2-client';
+import { MAX_UPLOAD_SIZE, createUploadKey, isUploadKey } from './validation';
+
+// R2 needs equal-sized parts (except the last) of at least 5MiB
+export const MULTIPART_PART_SIZE = 5 * 1024 * 1024;
+
+export const MAX_PART_COUNT = Math.ceil(MAX_UPLOAD_SIZE / MULTIPART_PART_SIZE);
+
+// Part URLs are signed per run; a resumed upload asks for fresh ones
+const PART_URL_EXPIRY = 3600;
+
+function getBucket() {
+  return process.env.R2_BUCKET_NAME || 'jkuat-materials';
+}
+
+function requireR2Client() {
+  const client = getR2Client();
+  if (!client) {
+    throw new Error('R2 client not configured');
+  }
+  return client;
+}
+
+/**
+ * Number of parts a file is split into
+ * @param {number} fileSize
+ * @param {number} [partSize]
+ * @returns {number}
+ */
+export function getPartCount(fileSize, partSize = MULTIPART_PART_SIZE) {
+  return Math.max(1, Math.ceil(fileSize / partSize));
+}
+
+/**
+ * Check the upload a request refers to
+ * @param {Object} body
+ * @param {string} body.key
+ * @param {string} body.uploadId
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateMultipartTarget({ key, uploadId }) {
+  if (!key || !uploadId) return 'Missing required fields: key and uploadId';
+  if (!isUploadKey(key)) return 'Invalid upload key';
+  return null;
+}
+
+/**
+ * Check part numbers to sign
+ * @param {number[]} partNumbers
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validatePartNumbers(partNumbers) {
+  if (!Array.isArray(partNumbers) || partNumbers.length === 0) {
+    return 'partNumbers must be a non-empty array';
+  }
+
+  const invalid = partNumbers.find(
+    (partNumber) => !Number.isInteger(partNumber) || partNumber < 1 || partNumber > MAX_PART_COUNT
+  );
+  if (invalid !== undefined) {
+    return `Invalid part number: ${invalid} (must be 1-${MAX_PART_COUNT})`;
+  }
+
+  return null;
+}
+
+/**
+ * Check the parts sent to complete an upload: every part from 1 to n, each with its ETag
+ * @param {Array<{ partNumber: number, etag: string }>} parts
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCompletedParts(parts) {
+  if (!Array.isArray(parts) || parts.length === 0) {
+    return 'parts must be a non-empty array';
+  }
+
+  const sorted = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+  for (let i = 0; i < sorted.length; i++) {
+    if (sorted[i].partNumber !== i + 1) {
+      return `Missing part ${i + 1}`;
+    }
+    if (!sorted[i].etag) {
+      return `Part ${i + 1} has no ETag`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Start a multipart upload
+ * @param {Object} file
+ * @param {string} file.filename
+ * @param {string} file.contentType
+ * @param {number} file.fileSize
+ * @param {string|null} [file.userId] - Uploader, if signed in (see createUploadKey)
+ * @returns {Promise<{ key: string, uploadId: string, partSize: number, partCount: number }>}
+ */
+export async function initiateMultipartUpload({ filename, contentType, fileSize, userId = null }) {
+  const client = requireR2Client();
+  const key = createUploadKey(filename, userId);
+
+  const { UploadId } = await client.send(new CreateMultipartUploadCommand({
+    Bucket: getBucket(),
+    Key: key,
+    ContentType: contentType,
+  }));
+
+  return {
+    key,
+    uploadId: UploadId,
+    partSize: MULTIPART_PART_SIZE,
+    partCount: getPartCount(fileSize),
+  };
+}
+
+/**
+ * Presigned PUT URLs for parts of an upload
+ * @param {Object} params
+ * @param {string} params.key
+ * @param {string} params.uploadId
+ * @param {number[]} params.partNumbers
+ * @returns {Promise<Object<number, string>>} partNumber -> URL
+ */
+export async function signPartUrls({ key, uploadId, partNumbers }) {
+  const client = requireR2Client();
+  const urls = {};
+
+  for (const partNumber of partNumbers) {
+    urls[partNumber] = await getSignedUrl(client, new UploadPartCommand({
+      Bucket: getBucket(),
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+    }), { expiresIn: PART_URL_EXPIRY });
+  }
+
+  return urls;
+}
+
+/**
+ * Assemble the uploaded parts into the final object
+ * @param {Object} params
+ * @param {string} params.key
+ * @param {string} params.uploadId
+ * @param {Array<{ partNumber: number, etag: string }>} params.parts
+ */
+export async function completeMultipartUpload({ key, uploadId, parts }) {
+  const client = requireR2Client();
+
+  await client.send(new CompleteMultipartUploadCommand({
+    Bucket: getBucket(),
+    Key: key,
+    UploadId: uploadId,
+    MultipartUpload: {
+      Parts: [...parts]
+        .sort((a, b) => a.partNumber - b.partNumber)
+        .map((part) => ({ PartNumber: part.partNumber, ETag: part.etag })),
+    },
+  }));
+}
+
+/**
+ * Cancel an upload and free its stored parts
+ * @param {Object} params
+ * @param {string} params.key
+ * @param {string} params.uploadId
+ */
+export async function abortMultipartUpload({ key, uploadId }) {
+  const client = requireR2Client();
+
+  try {
+    await client.send(new AbortMultipartUploadCommand({
+      Bucket: getBucket(),
+      Key: key,
+      UploadId: uploadId,
+    }));
+  } catch (error) {
+    // Already completed or aborted - nothing left to free
+    if (error.name === 'NoSuchUpload') return;
+    throw error;
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * Photos -> PDF
+ * Combines phone photos of a document (a past paper shot page by page) into
+ * one PDF in the browser, so it uploads as a single material:
+ * photo -> upright (EXIF + manual turns) -> cropped to the paper -> JPEG -> PDF page
+ */
+
+// Long side of each page image - about 150 DPI on A4, enough for print
+export const PAGE_IMAGE_SIZE = 1754
+const JPEG_QUALITY = 0.75
+
+// PDF page long side in points (A4 height)
+export const PAGE_LONG_SIDE = 842
+
+// Downscaled copy used to find the paper - detection doesn't need detail
+const ANALYSIS_SIZE = 256
+
+// A crop smaller than this share of the photo is more likely wrong than right
+const MIN_CROP_AREA = 0.3
+// ...and one covering nearly everything isn't worth the lost margin
+const MAX_CROP_AREA = 0.95
+
+// Perceived brightness of an RGBA pixel
+function brightness(data, index) {
+  return data[index] * 0.299 + data[index + 1] * 0.587 + data[index + 2] * 0.114
+}
+
+// Longest run of values above the threshold, as [start, end)
+function longestRunAbove(values, threshold) {
+  let best = [0, 0]
+  let start = -1
+  for (let i = 0; i <= values.length; i++) {
+    if (i < values.length && values[i] > threshold) {
+      if (start < 0) start = i
+    } else if (start >= 0) {
+      if (i - start > best[1] - best[0]) best = [start, i]
+      start = -1
+    }
+  }
+  return best
+}
+
+/**
+ * Find the sheet of paper in a photo
+ * Paper is brighter than the desk it lies on: the rows and columns with the
+ * most bright pixels bound the sheet.
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} imageData - RGBA
+ * @returns {{ x: number, y: number, width: number, height: number }|null} Fractions of the image (0-1), or null to keep the whole photo
+ */
+export function detectPaperBounds({ data, width, height }) {
+  const pixels = new Float32Array(width * height)
+  let darkest = 255
+  let brightest = 0
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = brightness(data, i * 4)
+    darkest = Math.min(darkest, pixels[i])
+    brightest = Math.max(brightest, pixels[i])
+  }
+
+  // Uniform photo (already cropped, or a screenshot) - nothing to find
+  if (brightest - darkest < 48) return null
+  const threshold = (darkest + brightest) / 2
+
+  const rowShare = new Float32Array(height)
+  const columnShare = new Float32Array(width)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x] > threshold) {
+        rowShare[y] += 1 / width
+        columnShare[x] += 1 / height
+      }
+    }
+  }
+
+  // Rows crossing the sheet are at least half as bright as the brightest -
+  // lines of text dim a row, they don't make it dark
+  const [top, bottom] = longestRunAbove(rowShare, Math.max(...rowShare) / 2)
+  const [left, right] = longestRunAbove(columnShare, Math.max(...columnShare) / 2)
+
+  const bounds = {
+    x: left / width,
+    y: top / height,
+    width: (right - left) / width,
+    height: (bottom - top) / height,
+  }
+
+  const area = bounds.width * bounds.height
+  if (area < MIN_CROP_AREA || area > MAX_CROP_AREA) return null
+  return bounds
+}
+
+/**
+ * Size of an image after a number of quarter turns
+ * @param {number} width
+ * @param {number} height
+ * @param {number} rotation - Degrees, a multiple of 90
+ * @returns {{ width: number, height: number }}
+ */
+export function rotatedSize(width, height, rotation) {
+  return rotation % 180 === 0 ? { width, height } : { width: height, height: width }
+}
+
+/**
+ * Scale that fits an image's long side into a box, never upscaling
+ * @param {number} width
+ * @param {number} height
+ * @param {number} longSide
+ * @returns {number}
+ */
+export function fitScale(width, height, longSide) {
+  return Math.min(1, longSide / Math.max(width, height))
+}
+
+/**
+ * Decode a photo upright - browsers apply its EXIF orientation
+ * @param {File} file
+ * @returns {Promise<ImageBitmap>}
+ */
+export function loadPhoto(file) {
+  return createImageBitmap(file, { imageOrientation: 'from-image' })
+}
+
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+/**
+ * Where the paper is in an upright photo
+ * @param {ImageBitmap} bitmap
+ * @returns {{ x: number, y: number, width: number, height: number }|null} See detectPaperBounds
+ */
+export function findPaper(bitmap) {
+  const scale = fitScale(bitmap.width, bitmap.height, ANALYSIS_SIZE)
+  const width = Math.max(1, Math.round(bitmap.width * scale))
+  const height = Math.max(1, Math.round(bitmap.height * scale))
+
+  const context = createCanvas(width, height).getContext('2d', { willReadFrequently: true })
+  context.drawImage(bitmap, 0, 0, width, height)
+  return detectPaperBounds(context.getImageData(0, 0, width, height))
+}
+
+/**
+ * Render one page: crop, turn, downscale and encode
+ * @param {ImageBitmap} bitmap - Upright photo
+ * @param {Object} options
+ * @param {number} [options.rotation] - Extra clockwise turn in degrees (0, 90, 180, 270)
+ * @param {{ x: number, y: number, width: number, height: number }|null} [options.crop] - Fractions of the photo
+ * @returns {Promise<{ bytes: Uint8Array, width: number, height: number }>} JPEG and its pixel size
+ */
+export async function renderPage(bitmap, { rotation = 0, crop = null } = {}) {
+  const source = crop
+    ? {
+        x: Math.round(crop.x * bitmap.width),
+        y: Math.round(crop.y * bitmap.height),
+        width: Math.round(crop.width * bitmap.width),
+        height: Math.round(crop.height * bitmap.height),
+      }
+    : { x: 0, y: 0, width: bitmap.width, height: bitmap.height }
+
+  const scale = fitScale(source.width, source.height, PAGE_IMAGE_SIZE)
+  const drawn = { width: Math.round(source.width * scale), height: Math.round(source.height * scale) }
+  const { width, height } = rotatedSize(drawn.width, drawn.height, rotation)
+
+  const canvas = createCanvas(width, height)
+  const context = canvas.getContext('2d')
+  context.fillStyle = '#ffffff'
+  context.fillRect(0, 0, width, height)
+  context.translate(width / 2, height / 2)
+  context.rotate((rotation * Math.PI) / 180)
+  context.drawImage(
+    bitmap,
+    source.x, source.y, source.width, source.height,
+    -drawn.width / 2, -drawn.height / 2, drawn.width, drawn.height
+  )
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) => (result ? resolve(result) : reject(new Error('Failed to encode page image'))),
+      'image/jpeg',
+      JPEG_QUALITY
+    )
+  })
+
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), width, height }
+}
+
+/**
+ * Build a PDF with one page per image, each page shaped like its image
+ * @param {Array<{ bytes: Uint8Array, width: number, height: number }>} pages - JPEGs in order
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @returns {Promise<Uint8Array>}
+ */
+export async function assemblePdf(pages, { title } = {}) {
+  const { PDFDocument } = await import('pdf-lib')
+  const pdfDoc = await PDFDocument.create()
+  if (title) pdfDoc.setTitle(title)
+
+  for (const page of pages) {
+    const image = await pdfDoc.embedJpg(page.bytes)
+    const scale = PAGE_LONG_SIDE / Math.max(page.width, page.height)
+    const pageWidth = page.width * scale
+    const pageHeight = page.height * scale
+
+    pdfDoc
+      .addPage([pageWidth, pageHeight])
+      .drawImage(image, { x: 0, y: 0, width: pageWidth, height: pageHeight })
+  }
+
+  return pdfDoc.save({ useObjectStreams: true })
+}
+
+/**
+ * PDF file name for a set of photos - the first photo's name, so filename
+ * detection (week, year, category) still works
+ * @param {File[]} photos
+ * @returns {string}
+ */
+export function combinedFileName(photos) {
+  const base = (photos[0]?.name || 'photos').replace(/\.[^.]+$/, '')
+  return `${base}.pdf`
+}
+
+/**
+ * Combine photos into one PDF file
+ * @param {Array<{ file: File, rotation?: number, autoCrop?: boolean }>} photos - In page order
+ * @param {Object} [options]
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<File>}
+ */
+export async function combinePhotosToPdf(photos, { onProgress } = {}) {
+  const pages = []
+
+  for (const photo of photos) {
+    const bitmap = await loadPhoto(photo.file)
+    try {
+      const crop = photo.autoCrop === false ? null : findPaper(bitmap)
+      pages.push(await renderPage(bitmap, { rotation: photo.rotation || 0, crop }))
+    } finally {
+      bitmap.close()
+    }
+    onProgress?.(pages.length, photos.length)
+  }
+
+  const name = combinedFileName(photos.map((photo) => photo.file))
+  const bytes = await assemblePdf(pages, { title: name.replace(/\.pdf$/, '') })
+  return new File([bytes], name, { type: 'application/pdf' })
+}
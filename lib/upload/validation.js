@@ -0,0 +1,101 @@
+/**
+ * Upload Request Validation
+ * Size/type limits and R2 key layout shared by the direct-to-R2 upload routes
+ * (/api/upload/presigned-url and /api/upload/multipart/*)
+ */
+
+export const MAX_UPLOAD_SIZE = 50 * 1024 * 1024; // 50MB
+
+export const ALLOWED_UPLOAD_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'image/png',
+  'image/jpeg',
+  'image/jpg',
+  'image/webp',
+  'image/gif',
+];
+
+// Keys handed out by createUploadKey(): uploads/[<user id>/]<timestamp>-<random>/<filename>
+const UPLOAD_KEY_PATTERN =
+  /^uploads\/(?:([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\/)?\d+-[a-z0-9]*\/[a-zA-Z0-9._-]+$/;
+
+/**
+ * Check a file before handing out upload URLs
+ * @param {Object} file
+ * @param {string} file.filename
+ * @param {string} file.contentType
+ * @param {number} [file.fileSize]
+ * @returns {{ error: string, status: number }|null} Null when the upload is allowed
+ */
+export function validateUploadRequest({ filename, contentType, fileSize }) {
+  if (!filename || !contentType) {
+    return { error: 'Missing required fields: filename and contentType', status: 400 };
+  }
+
+  if (fileSize && fileSize > MAX_UPLOAD_SIZE) {
+    return { error: `File too large (max ${MAX_UPLOAD_SIZE / 1024 / 1024}MB)`, status: 413 };
+  }
+
+  if (!ALLOWED_UPLOAD_TYPES.includes(contentType)) {
+    return {
+      error: 'Invalid file type. Only PDF, DOCX, PPT, and images (PNG, JPG, WEBP, GIF) allowed',
+      status: 400,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Unique R2 key for a new upload
+ * Signed-in uploaders' keys carry their user id, so routes that act on an
+ * upload before it is saved can tell whose it is (getUploadKeyOwner).
+ * @param {string} filename
+ * @param {string|null} [userId] - Uploader, if signed in
+ * @returns {string}
+ */
+export function createUploadKey(filename, userId = null) {
+  // Timestamp + random segment avoids collisions
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(7);
+  const safeFilename = filename.replace(/[^a-zA-Z0-9.-]/g, '_');
+  const owner = userId ? `${userId}/` : '';
+  return `uploads/${owner}${timestamp}-${random}/${safeFilename}`;
+}
+
+/**
+ * Whether a key is one of ours - routes that act on an existing upload
+ * must not sign requests for arbitrary objects in the bucket
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isUploadKey(key) {
+  return typeof key === 'string' && UPLOAD_KEY_PATTERN.test(key);
+}
+
+/**
+ * User an upload key was handed out to
+ * @param {string} key
+ * @returns {string|null} Null for anonymous uploads and keys that aren't ours
+ */
+export function getUploadKeyOwner(key) {
+  if (typeof key !== 'string') return null;
+  return key.match(UPLOAD_KEY_PATTERN)?.[1] ?? null;
+}
+
+/**
+ * materials.type for a MIME type
+ * @param {string} contentType
+ * @returns {'pdf'|'docx'|'pptx'|'image'|'other'}
+ */
+export function getMaterialType(contentType) {
+  const mimeType = contentType || '';
+  if (mimeType.includes('pdf')) return 'pdf';
+  if (mimeType.includes('word')) return 'docx';
+  if (mimeType.includes('presentation')) return 'pptx';
+  if (mimeType.includes('image')) return 'image';
+  return 'other';
+}
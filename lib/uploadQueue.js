@@ -1,22 +1,40 @@
 /**
  * Upload Queue Manager
  * Handles background upload processing with retry logic
+ *
+ * Queued files go straight to R2 (presigned PUT, or resumable parts for large
+ * files) and are then saved via /api/upload/complete. Where the browser supports
+ * Background Sync the service worker (worker/index.js) drains the queue, so
+ * uploads finish after the tab closes or when connectivity returns; otherwise
+ * the page processes it while open.
  */
 
-import { STORES, putInStore, getUploadsByStatus, updateUploadProgress, deleteFromStore } from './db/indexedDB';
+import { STORES, putInStore, getFromStore, getUploadsByStatus, updateUploadProgress, deleteFromStore } from './db/indexedDB';
+import { uploadQueuedFile, abortMultipartUpload, MULTIPART_THRESHOLD } from './upload/direct-r2-upload';
+
+// Background Sync tag handled by the service worker
+export const UPLOAD_SYNC_TAG = 'upload-queue';
+
+// postMessage type the service worker uses to relay queue events to open tabs
+export const UPLOAD_QUEUE_MESSAGE = 'upload-queue-event';
 
 // Upload queue configuration
 const CONFIG = {
   MAX_RETRIES: 3,
   RETRY_DELAYS: [1000, 3000, 5000], // Exponential backoff in ms
   MAX_PARALLEL_UPLOADS: 2, // Process 2 uploads simultaneously
-  POLL_INTERVAL: 2000, // Check for new uploads every 2 seconds
+  // An 'uploading' entry untouched this long was cut off (tab closed, worker stopped)
+  STALE_UPLOAD_MS: 5 * 60 * 1000,
+  // How often a running upload touches updated_at, well inside STALE_UPLOAD_MS
+  HEARTBEAT_MS: 30 * 1000,
 };
 
 // Global state
-let isProcessing = false;
+let processingPromise = null;
+let stopRequested = false;
 let processingQueue = new Set();
 let eventListeners = [];
+let isInitialized = false;
 
 /**
  * Add a file to the upload queue
@@ -27,7 +45,7 @@ export async function addToUploadQueue(fileBlob, metadata) {
     file_name: fileBlob.name,
     file_size: fileBlob.size,
     file_type: fileBlob.type,
-    metadata: metadata, // {courseId, topicId, title, description, category, etc.}
+    metadata: metadata, // {courseId, topicId, title, description, materialCategory, etc.}
     status: 'pending',
     progress: 0,
     retry_count: 0,
@@ -37,13 +55,10 @@ export async function addToUploadQueue(fileBlob, metadata) {
   };
 
   try {
-    await putInStore(STORES.UPLOAD_QUEUE, queueItem);
+    queueItem.id = await putInStore(STORES.UPLOAD_QUEUE, queueItem);
     notifyListeners('queue_updated');
 
-    // Start processing if not already running
-    if (!isProcessing) {
-      startProcessing();
-    }
+    startProcessing();
 
     return queueItem;
   } catch (error) {
@@ -55,125 +70,167 @@ export async function addToUploadQueue(fileBlob, metadata) {
   }
 }
 
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
 /**
- * Start the background upload processor
+ * Ask the service worker to drain the queue via Background Sync
+ * @returns {Promise<boolean>} False when this browser can't, and the page must do it
+ */
+async function requestBackgroundSync() {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker?.controller) {
+    return false; // No active service worker (e.g. development builds)
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.sync) return false;
+
+    await registration.sync.register(UPLOAD_SYNC_TAG);
+    return true;
+  } catch (error) {
+    console.warn('Background Sync registration failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Start processing the queue - in the service worker when Background Sync is
+ * available, otherwise in this page
  */
 export function startProcessing() {
-  if (isProcessing) return;
+  if (processingPromise) return;
 
-  isProcessing = true;
-  processQueue();
+  requestBackgroundSync().then((registered) => {
+    if (!registered) {
+      processUploadQueue();
+    }
+  });
 }
 
 /**
- * Stop the background upload processor
+ * Stop the in-page processor after the uploads it's working on
  */
 export function stopProcessing() {
-  isProcessing = false;
+  stopRequested = true;
 }
 
 /**
- * Main queue processing loop
+ * Uploads waiting to be processed: pending, paused (interrupted multipart
+ * uploads) and uploads cut off mid-way
  */
-async function processQueue() {
-  while (isProcessing) {
-    try {
-      const pendingUploads = await getUploadsByStatus('pending');
-
-      // Process uploads in parallel (up to MAX_PARALLEL_UPLOADS)
-      const availableSlots = CONFIG.MAX_PARALLEL_UPLOADS - processingQueue.size;
-      const uploadsToProcess = pendingUploads.slice(0, availableSlots);
-
-      for (const upload of uploadsToProcess) {
-        if (!processingQueue.has(upload.id)) {
-          processingQueue.add(upload.id);
-          processUpload(upload).finally(() => {
-            processingQueue.delete(upload.id);
-          });
-        }
-      }
+async function getProcessableUploads() {
+  const uploads = await getUploadsByStatus();
+  const now = Date.now();
+
+  return uploads
+    .filter(upload => !processingQueue.has(upload.id))
+    .filter(upload =>
+      upload.status === 'pending' ||
+      upload.status === 'paused' ||
+      (upload.status === 'uploading' && now - upload.updated_at > CONFIG.STALE_UPLOAD_MS)
+    )
+    .sort((a, b) => a.created_at - b.created_at);
+}
 
-      // Wait before checking again
-      await new Promise(resolve => setTimeout(resolve, CONFIG.POLL_INTERVAL));
-    } catch (error) {
-      console.error('Error in queue processor:', error);
-      await new Promise(resolve => setTimeout(resolve, CONFIG.POLL_INTERVAL));
+/**
+ * Process queued uploads until none are left (or the connection drops)
+ * Used by the page and by the service worker's sync handler
+ * @returns {Promise<boolean>} Whether the queue was drained
+ */
+export function processUploadQueue() {
+  if (!processingPromise) {
+    stopRequested = false;
+    processingPromise = drainQueue().finally(() => {
+      processingPromise = null;
+    });
+  }
+  return processingPromise;
+}
+
+async function drainQueue() {
+  try {
+    while (!stopRequested && !isOffline()) {
+      const uploads = await getProcessableUploads();
+      if (uploads.length === 0) return true;
+
+      await Promise.all(uploads.slice(0, CONFIG.MAX_PARALLEL_UPLOADS).map(async (upload) => {
+        processingQueue.add(upload.id);
+        try {
+          await processUpload(upload);
+        } finally {
+          processingQueue.delete(upload.id);
+        }
+      }));
     }
+  } catch (error) {
+    console.error('Error in queue processor:', error);
   }
+
+  return (await getProcessableUploads().catch(() => [])).length === 0;
 }
 
 /**
  * Process a single upload with retry logic
  */
 async function processUpload(upload) {
-  try {
-    // Check if online before attempting upload
-    if (typeof navigator !== 'undefined' && !navigator.onLine) {
-      console.log(`⚠️ Offline - skipping upload for ${upload.file_name}`);
-      return; // Keep in pending state, will retry when online
-    }
+  // A single slow part can take minutes - keep the entry fresh so another tab
+  // or the service worker doesn't take it for a cut-off upload and start it again
+  const heartbeat = setInterval(() => {
+    updateUploadProgress(upload.id, {}).catch(() => {});
+  }, CONFIG.HEARTBEAT_MS);
 
+  try {
     // Update status to uploading
-    await updateUploadProgress(upload.id, { status: 'uploading', progress: 0 });
+    await updateUploadProgress(upload.id, { status: 'uploading', error: null });
     notifyListeners('upload_started', upload);
 
-    // Create FormData from the queued item
-    const formData = new FormData();
-    formData.append('file', upload.file_blob, upload.file_name);
-
-    // Add all metadata fields
-    const metadata = upload.metadata;
-    formData.append('course_id', metadata.courseId);
-    if (metadata.topicId) formData.append('topic_id', metadata.topicId);
-    formData.append('title', metadata.title);
-    if (metadata.description) formData.append('description', metadata.description);
-    if (metadata.category) formData.append('material_category', metadata.category);
-    if (metadata.categoryMetadata) {
-      formData.append('category_metadata', JSON.stringify(metadata.categoryMetadata));
-    }
-    if (metadata.weekNumber) formData.append('week_number', metadata.weekNumber);
-    if (metadata.uploaderName) formData.append('uploader_name', metadata.uploaderName);
-    if (metadata.userId) formData.append('user_id', metadata.userId);
-    if (metadata.uploaderYear) formData.append('uploader_year', metadata.uploaderYear);
-    if (metadata.uploaderCourseId) formData.append('uploader_course_id', metadata.uploaderCourseId);
-
-    // Upload with progress tracking
-    const result = await uploadWithProgress(formData, (progress) => {
-      updateUploadProgress(upload.id, { progress });
+    // Multipart uploads save their own progress as parts finish
+    const savesOwnProgress = Boolean(upload.multipart) || upload.file_size > MULTIPART_THRESHOLD;
+
+    const material = await uploadQueuedFile(upload, (percentage) => {
+      const progress = Math.round(percentage);
+      if (!savesOwnProgress) {
+        updateUploadProgress(upload.id, { progress });
+      }
       notifyListeners('upload_progress', { ...upload, progress });
     });
 
-    if (result.success) {
-      // Upload succeeded
-      await updateUploadProgress(upload.id, {
-        status: 'completed',
-        progress: 100,
-        completed_at: Date.now(),
-        result: result.data,
-      });
-      notifyListeners('upload_completed', { ...upload, result: result.data });
-
-      // Auto-cleanup completed uploads after 5 minutes
-      setTimeout(async () => {
-        try {
-          await deleteFromStore(STORES.UPLOAD_QUEUE, upload.id);
-          notifyListeners('queue_updated');
-        } catch (e) {
-          console.warn('Failed to cleanup completed upload:', e);
-        }
-      }, 5 * 60 * 1000);
-    } else {
-      throw new Error(result.error || 'Upload failed');
-    }
+    await updateUploadProgress(upload.id, {
+      status: 'completed',
+      progress: 100,
+      completed_at: Date.now(),
+      result: material,
+    });
+    notifyListeners('upload_completed', { ...upload, result: material });
+
+    // Auto-cleanup completed uploads after 5 minutes
+    setTimeout(async () => {
+      try {
+        await deleteFromStore(STORES.UPLOAD_QUEUE, upload.id);
+        notifyListeners('queue_updated');
+      } catch (e) {
+        console.warn('Failed to cleanup completed upload:', e);
+      }
+    }, 5 * 60 * 1000);
   } catch (error) {
     console.error(`Upload failed for ${upload.file_name}:`, error);
 
-    // Retry logic
-    if (upload.retry_count < CONFIG.MAX_RETRIES) {
-      const retryDelay = CONFIG.RETRY_DELAYS[upload.retry_count] || 5000;
+    // Lost connection - not the upload's fault, wait for the next sync/online event
+    if (isOffline()) {
+      await updateUploadProgress(upload.id, { status: 'pending', error: error.message });
+      notifyListeners('upload_retry', { ...upload, error: error.message });
+      return;
+    }
+
+    // Retry logic - duplicates and the like fail the same way every time
+    const retryCount = upload.retry_count || 0;
+    if (error.retryable !== false && retryCount < CONFIG.MAX_RETRIES) {
+      const retryDelay = CONFIG.RETRY_DELAYS[retryCount] || 5000;
       await updateUploadProgress(upload.id, {
         status: 'pending',
-        retry_count: upload.retry_count + 1,
+        retry_count: retryCount + 1,
         error: error.message,
       });
 
@@ -186,72 +243,32 @@ async function processUpload(upload) {
       await updateUploadProgress(upload.id, {
         status: 'failed',
         error: error.message,
+        duplicate: error.duplicate || null,
       });
-      notifyListeners('upload_failed', { ...upload, error: error.message });
+      notifyListeners('upload_failed', { ...upload, error: error.message, duplicate: error.duplicate || null });
     }
+  } finally {
+    clearInterval(heartbeat);
   }
 }
 
-/**
- * Upload with XMLHttpRequest for progress tracking
- */
-function uploadWithProgress(formData, onProgress) {
-  return new Promise((resolve, reject) => {
-    const xhr = new XMLHttpRequest();
-
-    xhr.upload.addEventListener('progress', (e) => {
-      if (e.lengthComputable) {
-        const progress = Math.round((e.loaded / e.total) * 100);
-        onProgress(progress);
-      }
-    });
-
-    xhr.addEventListener('load', () => {
-      if (xhr.status >= 200 && xhr.status < 300) {
-        try {
-          const response = JSON.parse(xhr.responseText);
-          resolve({ success: true, data: response });
-        } catch (e) {
-          resolve({ success: true, data: { message: xhr.responseText } });
-        }
-      } else {
-        try {
-          const error = JSON.parse(xhr.responseText);
-          reject(new Error(error.error || `HTTP ${xhr.status}`));
-        } catch (e) {
-          reject(new Error(`Upload failed with status ${xhr.status}`));
-        }
-      }
-    });
-
-    xhr.addEventListener('error', () => {
-      reject(new Error('Network error during upload'));
-    });
-
-    xhr.addEventListener('abort', () => {
-      reject(new Error('Upload aborted'));
-    });
-
-    xhr.open('POST', '/api/upload');
-    xhr.send(formData);
-  });
-}
-
 /**
  * Get current queue statistics
  */
 export async function getQueueStats() {
   const pending = await getUploadsByStatus('pending');
   const uploading = await getUploadsByStatus('uploading');
+  const paused = await getUploadsByStatus('paused');
   const completed = await getUploadsByStatus('completed');
   const failed = await getUploadsByStatus('failed');
 
   return {
     pending: pending.length,
     uploading: uploading.length,
+    paused: paused.length,
     completed: completed.length,
     failed: failed.length,
-    total: pending.length + uploading.length + completed.length + failed.length,
+    total: pending.length + uploading.length + paused.length + completed.length + failed.length,
   };
 }
 
@@ -266,6 +283,7 @@ export async function getAllUploads() {
  * Retry a failed upload
  */
 export async function retryUpload(id) {
+  // Multipart uploads keep their finished parts and continue from there
   await updateUploadProgress(id, {
     status: 'pending',
     retry_count: 0,
@@ -273,16 +291,21 @@ export async function retryUpload(id) {
   });
   notifyListeners('queue_updated');
 
-  if (!isProcessing) {
-    startProcessing();
-  }
+  startProcessing();
 }
 
 /**
  * Cancel/remove an upload from the queue
  */
 export async function cancelUpload(id) {
-  await deleteFromStore(STORES.UPLOAD_QUEUE, id);
+  const upload = await getFromStore(STORES.UPLOAD_QUEUE, id);
+
+  if (upload?.upload_method === 'multipart') {
+    // Also frees the parts already stored in R2
+    await abortMultipartUpload(id);
+  } else {
+    await deleteFromStore(STORES.UPLOAD_QUEUE, id);
+  }
   notifyListeners('queue_updated');
 }
 
@@ -325,15 +348,27 @@ export function initUploadQueue() {
     return;
   }
 
+  // Listeners are global - only attach them once
+  if (isInitialized) {
+    startProcessing();
+    return;
+  }
+  isInitialized = true;
+
+  // Uploads processed by the service worker report back through messages
+  navigator.serviceWorker?.addEventListener('message', (event) => {
+    if (event.data?.type === UPLOAD_QUEUE_MESSAGE) {
+      notifyListeners(event.data.event, event.data.data);
+    }
+  });
+
   // Auto-start processing on page load
   startProcessing();
 
   // Handle online/offline events
   window.addEventListener('online', () => {
     console.log('📶 Connection restored - resuming uploads');
-    if (!isProcessing) {
-      startProcessing();
-    }
+    startProcessing();
   });
 
   window.addEventListener('offline', () => {
@@ -342,14 +377,9 @@ export function initUploadQueue() {
 
   // Handle page visibility changes
   document.addEventListener('visibilitychange', () => {
-    if (document.hidden) {
-      // Page hidden - could pause processing or continue
-      // For now, continue processing in background
-    } else {
-      // Page visible again - ensure processing is active
-      if (!isProcessing) {
-        startProcessing();
-      }
+    if (!document.hidden) {
+      // Page visible again - pick up anything still queued
+      startProcessing();
     }
   });
 
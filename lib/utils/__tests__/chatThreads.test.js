@@ -0,0 +1,84 @@
+import {
+  buildThreadTitle,
+  getOrCreateThread,
+  getThreadHistory,
+  buildRetrievalQuery,
+} from '../chatThreads'
+
+function createQueryMock(result) {
+  const query = {
+    select: jest.fn(() => query),
+    insert: jest.fn(() => query),
+    eq: jest.fn(() => query),
+    order: jest.fn(() => query),
+    limit: jest.fn().mockResolvedValue(result),
+    maybeSingle: jest.fn().mockResolvedValue(result),
+    single: jest.fn().mockResolvedValue(result),
+  }
+  return { from: jest.fn(() => query), query }
+}
+
+describe('chatThreads', () => {
+  describe('buildThreadTitle', () => {
+    it('should collapse whitespace', () => {
+      expect(buildThreadTitle('  What is\n the chain rule? ')).toBe('What is the chain rule?')
+    })
+
+    it('should truncate long questions', () => {
+      const title = buildThreadTitle('word '.repeat(40))
+
+      expect(title.length).toBeLessThanOrEqual(80)
+      expect(title.endsWith('…')).toBe(true)
+    })
+  })
+
+  describe('getOrCreateThread', () => {
+    it('should only return an existing thread owned by the user', async () => {
+      const { from, query } = createQueryMock({ data: null, error: null })
+
+      const thread = await getOrCreateThread({ from }, { threadId: 't-1', userId: 'u-1', question: 'Q' })
+
+      expect(thread).toBeNull()
+      expect(query.eq).toHaveBeenCalledWith('user_id', 'u-1')
+      expect(query.insert).not.toHaveBeenCalled()
+    })
+
+    it('should start a thread titled after the question', async () => {
+      const { from, query } = createQueryMock({ data: { id: 't-2' }, error: null })
+
+      const thread = await getOrCreateThread({ from }, { userId: 'u-1', courseId: 'c-1', question: 'Define a limit' })
+
+      expect(thread).toEqual({ id: 't-2' })
+      expect(query.insert).toHaveBeenCalledWith({ user_id: 'u-1', course_id: 'c-1', title: 'Define a limit' })
+    })
+  })
+
+  describe('getThreadHistory', () => {
+    it('should return the latest messages oldest first', async () => {
+      const { from, query } = createQueryMock({
+        data: [{ role: 'assistant', content: 'A1' }, { role: 'user', content: 'Q1' }],
+        error: null,
+      })
+
+      const history = await getThreadHistory({ from }, 't-1', 4)
+
+      expect(query.limit).toHaveBeenCalledWith(4)
+      expect(history.map((message) => message.content)).toEqual(['Q1', 'A1'])
+    })
+  })
+
+  describe('buildRetrievalQuery', () => {
+    it('should include the previous question for follow-ups', () => {
+      const history = [
+        { role: 'user', content: 'How do I integrate by parts?' },
+        { role: 'assistant', content: 'Step 1... Step 2...' },
+      ]
+
+      expect(buildRetrievalQuery(history, 'Explain the second step')).toBe('How do I integrate by parts?\nExplain the second step')
+    })
+
+    it('should use the question alone to open a thread', () => {
+      expect(buildRetrievalQuery([], 'What is a limit?')).toBe('What is a limit?')
+    })
+  })
+})
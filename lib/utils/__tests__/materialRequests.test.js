@@ -0,0 +1,174 @@
+import {
+  canManageRequests,
+  validateMaterialRequest,
+  fulfillMaterialRequest,
+} from '../materialRequests'
+
+function createSupabaseMock({ existing, fetchError = null, updated = null, updateError = null }) {
+  const update = jest.fn(() => ({
+    eq: jest.fn(() => ({
+      select: jest.fn(() => ({
+        single: jest.fn().mockResolvedValue({ data: updated, error: updateError })
+      }))
+    }))
+  }))
+
+  const supabase = {
+    from: jest.fn(() => ({
+      select: jest.fn(() => ({
+        eq: jest.fn(() => ({
+          single: jest.fn().mockResolvedValue({ data: existing, error: fetchError })
+        }))
+      })),
+      update,
+    })),
+  }
+
+  return { supabase, update }
+}
+
+describe('materialRequests', () => {
+  describe('canManageRequests', () => {
+    const admin = { isAdmin: true, courseIds: [] }
+    const rep = { isAdmin: false, courseIds: ['course-1'] }
+    const student = { isAdmin: false, courseIds: [] }
+
+    it('should allow admins and the course\'s assigned class reps', () => {
+      expect(canManageRequests(admin, 'course-1')).toBe(true)
+      expect(canManageRequests(rep, 'course-1')).toBe(true)
+    })
+
+    it('should reject class reps of other courses', () => {
+      expect(canManageRequests(rep, 'course-2')).toBe(false)
+    })
+
+    it('should reject students and signed-out users', () => {
+      expect(canManageRequests(student, 'course-1')).toBe(false)
+      expect(canManageRequests(null, 'course-1')).toBe(false)
+    })
+  })
+
+  describe('validateMaterialRequest', () => {
+    it('should map a valid payload to table columns', () => {
+      const result = validateMaterialRequest({
+        title: '  SMA 2101 past paper  ',
+        description: '2023 main exam',
+        topicId: 'topic-1',
+        materialType: 'pdf',
+        urgency: 'high',
+        weekNumber: '5',
+        yearLevel: 2,
+      })
+
+      expect(result.valid).toBe(true)
+      expect(result.data).toEqual({
+        title: 'SMA 2101 past paper',
+        description: '2023 main exam',
+        topic_id: 'topic-1',
+        material_type: 'pdf',
+        urgency: 'high',
+        week_number: 5,
+        year_level: 2,
+      })
+    })
+
+    it('should require a title on create', () => {
+      expect(validateMaterialRequest({}).valid).toBe(false)
+      expect(validateMaterialRequest({ title: 'ab' }).valid).toBe(false)
+    })
+
+    it('should allow a missing title on partial updates', () => {
+      const result = validateMaterialRequest({ urgency: 'low' }, { partial: true })
+      expect(result.valid).toBe(true)
+      expect(result.data).toEqual({ urgency: 'low' })
+    })
+
+    it('should reject titles over 150 characters', () => {
+      const result = validateMaterialRequest({ title: 'a'.repeat(151) })
+      expect(result.valid).toBe(false)
+      expect(result.error).toContain('150')
+    })
+
+    it('should reject invalid urgency and material type', () => {
+      expect(validateMaterialRequest({ title: 'Notes', urgency: 'urgent' }).valid).toBe(false)
+      expect(validateMaterialRequest({ title: 'Notes', materialType: 'zip' }).valid).toBe(false)
+    })
+
+    it('should reject out-of-range week and year', () => {
+      expect(validateMaterialRequest({ title: 'Notes', weekNumber: 21 }).valid).toBe(false)
+      expect(validateMaterialRequest({ title: 'Notes', yearLevel: 0 }).valid).toBe(false)
+    })
+
+    it('should ignore empty optional numbers', () => {
+      const result = validateMaterialRequest({ title: 'Notes', weekNumber: '', yearLevel: null })
+      expect(result.valid).toBe(true)
+      expect(result.data).toEqual({ title: 'Notes' })
+    })
+  })
+
+  describe('fulfillMaterialRequest', () => {
+    const params = {
+      requestId: 'req-1',
+      courseId: 'course-1',
+      materialId: 'mat-1',
+      userId: 'user-1',
+    }
+
+    it('should mark an open request as fulfilled', async () => {
+      const updated = { id: 'req-1', status: 'fulfilled', fulfilled_material_id: 'mat-1' }
+      const { supabase, update } = createSupabaseMock({
+        existing: { id: 'req-1', course_id: 'course-1', status: 'open' },
+        updated,
+      })
+
+      const result = await fulfillMaterialRequest(supabase, params)
+
+      expect(result).toEqual({ success: true, error: null, request: updated })
+      expect(update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'fulfilled',
+        fulfilled_by: 'user-1',
+        fulfilled_material_id: 'mat-1',
+      }))
+    })
+
+    it('should fail when the request does not exist', async () => {
+      const { supabase } = createSupabaseMock({ existing: null, fetchError: { message: 'not found' } })
+
+      const result = await fulfillMaterialRequest(supabase, params)
+
+      expect(result.success).toBe(false)
+      expect(result.error).toBe('Material request not found')
+    })
+
+    it('should fail when the request belongs to another course', async () => {
+      const { supabase, update } = createSupabaseMock({
+        existing: { id: 'req-1', course_id: 'course-2', status: 'open' },
+      })
+
+      const result = await fulfillMaterialRequest(supabase, params)
+
+      expect(result.success).toBe(false)
+      expect(update).not.toHaveBeenCalled()
+    })
+
+    it('should not re-fulfil a closed request', async () => {
+      const { supabase } = createSupabaseMock({
+        existing: { id: 'req-1', course_id: 'course-1', status: 'closed' },
+      })
+
+      const result = await fulfillMaterialRequest(supabase, params)
+
+      expect(result.success).toBe(false)
+      expect(result.error).toContain('closed')
+    })
+
+    it('should require request and material IDs', async () => {
+      const { supabase } = createSupabaseMock({ existing: null })
+
+      const result = await fulfillMaterialRequest(supabase, { requestId: 'req-1' })
+
+      expect(result.success).toBe(false)
+      expect(supabase.from).not.toHaveBeenCalled()
+    })
+  })
+})
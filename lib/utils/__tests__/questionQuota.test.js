@@ -0,0 +1,130 @@
+import {
+  DAILY_QUESTION_LIMITS,
+  getQuotaDate,
+  getQuotaResetTime,
+  getDailyQuestionLimit,
+  getQuestionQuota,
+  consumeQuestion,
+} from '../questionQuota'
+
+function createQueryMock(result) {
+  const query = {
+    select: jest.fn(() => query),
+    eq: jest.fn(() => query),
+    maybeSingle: jest.fn().mockResolvedValue(result),
+  }
+  return { from: jest.fn(() => query), query }
+}
+
+describe('questionQuota', () => {
+  const now = new Date('2025-03-14T21:30:00Z')
+
+  describe('getQuotaDate / getQuotaResetTime', () => {
+    it('should use the UTC calendar day', () => {
+      expect(getQuotaDate(now)).toBe('2025-03-14')
+    })
+
+    it('should reset at the next UTC midnight', () => {
+      expect(getQuotaResetTime(now).toISOString()).toBe('2025-03-15T00:00:00.000Z')
+    })
+
+    it('should roll over month boundaries', () => {
+      expect(getQuotaResetTime(new Date('2025-01-31T10:00:00Z')).toISOString()).toBe('2025-02-01T00:00:00.000Z')
+    })
+  })
+
+  describe('getDailyQuestionLimit', () => {
+    it('should use the tier limit for students', () => {
+      expect(getDailyQuestionLimit({ role: 'student', tier: 'free' })).toBe(DAILY_QUESTION_LIMITS.free)
+      expect(getDailyQuestionLimit({ role: 'student', tier: 'premium' })).toBe(DAILY_QUESTION_LIMITS.premium)
+    })
+
+    it('should give class reps at least the class rep limit', () => {
+      expect(getDailyQuestionLimit({ role: 'class_rep', tier: 'free' })).toBe(DAILY_QUESTION_LIMITS.class_rep)
+      expect(getDailyQuestionLimit({ role: 'class_rep', tier: 'premium' })).toBe(DAILY_QUESTION_LIMITS.premium)
+    })
+
+    it('should make admins unlimited', () => {
+      expect(getDailyQuestionLimit({ role: 'admin', tier: 'free' })).toBeNull()
+    })
+
+    it('should fall back to the free limit for unknown tiers', () => {
+      expect(getDailyQuestionLimit({ role: undefined, tier: 'gold' })).toBe(DAILY_QUESTION_LIMITS.free)
+    })
+  })
+
+  describe('getQuestionQuota', () => {
+    it('should report remaining questions', async () => {
+      const { from, query } = createQueryMock({ data: { question_count: 4 }, error: null })
+
+      const result = await getQuestionQuota({ from }, { userId: 'user-1', limit: 10, now })
+
+      expect(query.eq).toHaveBeenCalledWith('question_date', '2025-03-14')
+      expect(result.allowed).toBe(true)
+      expect(result.quota).toEqual({
+        limit: 10,
+        used: 4,
+        remaining: 6,
+        resetAt: '2025-03-15T00:00:00.000Z',
+        unlimited: false,
+      })
+    })
+
+    it('should block when the limit is used up', async () => {
+      const { from } = createQueryMock({ data: { question_count: 10 }, error: null })
+
+      const result = await getQuestionQuota({ from }, { userId: 'user-1', limit: 10, now })
+
+      expect(result.allowed).toBe(false)
+      expect(result.quota.remaining).toBe(0)
+    })
+
+    it('should treat a missing row as zero usage', async () => {
+      const { from } = createQueryMock({ data: null, error: null })
+
+      const result = await getQuestionQuota({ from }, { userId: 'user-1', limit: 10, now })
+
+      expect(result.quota.used).toBe(0)
+      expect(result.allowed).toBe(true)
+    })
+
+    it('should always allow unlimited users', async () => {
+      const { from } = createQueryMock({ data: { question_count: 500 }, error: null })
+
+      const result = await getQuestionQuota({ from }, { userId: 'admin-1', limit: null, now })
+
+      expect(result.allowed).toBe(true)
+      expect(result.quota.remaining).toBeNull()
+      expect(result.quota.unlimited).toBe(true)
+    })
+  })
+
+  describe('consumeQuestion', () => {
+    it('should increment atomically and allow up to the limit', async () => {
+      const supabase = { rpc: jest.fn().mockResolvedValue({ data: 10, error: null }) }
+
+      const result = await consumeQuestion(supabase, { userId: 'user-1', limit: 10, now })
+
+      expect(supabase.rpc).toHaveBeenCalledWith('increment_question_count', {
+        p_user_id: 'user-1',
+        p_question_date: '2025-03-14',
+      })
+      expect(result.allowed).toBe(true)
+      expect(result.quota.remaining).toBe(0)
+    })
+
+    it('should reject a request that pushed past the limit', async () => {
+      const supabase = { rpc: jest.fn().mockResolvedValue({ data: 11, error: null }) }
+
+      const result = await consumeQuestion(supabase, { userId: 'user-1', limit: 10, now })
+
+      expect(result.allowed).toBe(false)
+    })
+
+    it('should throw on database errors', async () => {
+      const supabase = { rpc: jest.fn().mockResolvedValue({ data: null, error: new Error('db down') }) }
+
+      await expect(consumeQuestion(supabase, { userId: 'user-1', limit: 10, now })).rejects.toThrow('db down')
+    })
+  })
+})
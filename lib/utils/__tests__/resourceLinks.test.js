@@ -0,0 +1,96 @@
+import {
+  canModerateLinks,
+  getYouTubeVideoId,
+  detectLinkType,
+  getLinkThumbnail,
+  validateResourceLink,
+} from '../resourceLinks'
+
+describe('resourceLinks', () => {
+  describe('getYouTubeVideoId', () => {
+    it('should parse common YouTube URL formats', () => {
+      expect(getYouTubeVideoId('https://www.youtube.com/watch?v=dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ')
+      expect(getYouTubeVideoId('https://youtu.be/dQw4w9WgXcQ?t=42')).toBe('dQw4w9WgXcQ')
+      expect(getYouTubeVideoId('https://m.youtube.com/watch?v=dQw4w9WgXcQ&list=abc')).toBe('dQw4w9WgXcQ')
+      expect(getYouTubeVideoId('https://www.youtube.com/embed/dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ')
+      expect(getYouTubeVideoId('https://youtube.com/shorts/dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ')
+    })
+
+    it('should return null for non-video URLs', () => {
+      expect(getYouTubeVideoId('https://www.youtube.com/@somechannel')).toBeNull()
+      expect(getYouTubeVideoId('https://example.com/watch?v=abc')).toBeNull()
+      expect(getYouTubeVideoId('not a url')).toBeNull()
+    })
+  })
+
+  describe('detectLinkType', () => {
+    it('should detect YouTube, Drive and other links', () => {
+      expect(detectLinkType('https://youtu.be/abc')).toBe('youtube')
+      expect(detectLinkType('https://drive.google.com/drive/folders/xyz')).toBe('drive')
+      expect(detectLinkType('https://docs.google.com/document/d/xyz')).toBe('drive')
+      expect(detectLinkType('https://ocw.mit.edu/courses')).toBe('external')
+    })
+  })
+
+  describe('getLinkThumbnail', () => {
+    it('should build a YouTube thumbnail URL', () => {
+      expect(getLinkThumbnail('https://youtu.be/abc123')).toBe('https://img.youtube.com/vi/abc123/hqdefault.jpg')
+    })
+
+    it('should return null for non-YouTube links', () => {
+      expect(getLinkThumbnail('https://drive.google.com/file/d/xyz')).toBeNull()
+    })
+  })
+
+  describe('canModerateLinks', () => {
+    it('should allow admins and the course\'s assigned class reps only', () => {
+      const rep = { isAdmin: false, courseIds: ['course-1'] }
+
+      expect(canModerateLinks({ isAdmin: true, courseIds: [] }, 'course-1')).toBe(true)
+      expect(canModerateLinks(rep, 'course-1')).toBe(true)
+      expect(canModerateLinks(rep, 'course-2')).toBe(false)
+      expect(canModerateLinks({ isAdmin: false, courseIds: [] }, 'course-1')).toBe(false)
+      expect(canModerateLinks(null, 'course-1')).toBe(false)
+    })
+  })
+
+  describe('validateResourceLink', () => {
+    it('should derive link type and thumbnail from the URL', () => {
+      const result = validateResourceLink({
+        title: ' Lecture 4 ',
+        url: 'https://www.youtube.com/watch?v=abc123',
+        topicId: 'topic-1',
+      })
+
+      expect(result.valid).toBe(true)
+      expect(result.data).toEqual({
+        title: 'Lecture 4',
+        url: 'https://www.youtube.com/watch?v=abc123',
+        link_type: 'youtube',
+        thumbnail_url: 'https://img.youtube.com/vi/abc123/hqdefault.jpg',
+        topic_id: 'topic-1',
+      })
+    })
+
+    it('should require title and URL on create', () => {
+      expect(validateResourceLink({ url: 'https://youtu.be/abc' }).valid).toBe(false)
+      expect(validateResourceLink({ title: 'Lecture' }).valid).toBe(false)
+    })
+
+    it('should reject non-http URLs', () => {
+      const result = validateResourceLink({ title: 'Bad', url: 'javascript:alert(1)' })
+      expect(result.valid).toBe(false)
+    })
+
+    it('should allow partial updates', () => {
+      const result = validateResourceLink({ description: 'Updated' }, { partial: true })
+      expect(result.valid).toBe(true)
+      expect(result.data).toEqual({ description: 'Updated' })
+    })
+
+    it('should reject unknown link types', () => {
+      const result = validateResourceLink({ linkType: 'podcast' }, { partial: true })
+      expect(result.valid).toBe(false)
+    })
+  })
+})
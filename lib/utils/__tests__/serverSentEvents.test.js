@@ -0,0 +1,64 @@
+import { encodeServerSentEvent, readServerSentEvents } from '../serverSentEvents'
+
+// Minimal response.body stand-in that yields the given byte chunks
+function createBody(chunks) {
+  const encoded = chunks.map((chunk) => Buffer.from(chunk))
+  return {
+    getReader: () => ({
+      read: async () => (encoded.length > 0 ? { done: false, value: encoded.shift() } : { done: true }),
+      releaseLock: jest.fn(),
+    }),
+  }
+}
+
+async function collect(body) {
+  const events = []
+  for await (const event of readServerSentEvents(body)) {
+    events.push(event)
+  }
+  return events
+}
+
+describe('serverSentEvents', () => {
+  it('should encode an event with a JSON payload', () => {
+    expect(encodeServerSentEvent('token', { text: 'Hi' })).toBe('event: token\ndata: {"text":"Hi"}\n\n')
+  })
+
+  it('should read events split across network chunks', async () => {
+    const stream = encodeServerSentEvent('meta', { threadId: 't-1' }) +
+      encodeServerSentEvent('token', { text: 'The chain ' }) +
+      encodeServerSentEvent('token', { text: 'rule' }) +
+      encodeServerSentEvent('done', { messageId: 'm-1' })
+
+    const events = await collect(createBody([stream.slice(0, 10), stream.slice(10, 47), stream.slice(47)]))
+
+    expect(events).toEqual([
+      { event: 'meta', data: { threadId: 't-1' } },
+      { event: 'token', data: { text: 'The chain ' } },
+      { event: 'token', data: { text: 'rule' } },
+      { event: 'done', data: { messageId: 'm-1' } },
+    ])
+  })
+
+  it('should keep multi-byte characters intact when a chunk splits them', async () => {
+    const bytes = Buffer.from(encodeServerSentEvent('token', { text: 'θ ≥ 0' }))
+
+    const events = await collect({
+      getReader: () => {
+        const parts = [bytes.subarray(0, 24), bytes.subarray(24)]
+        return {
+          read: async () => (parts.length > 0 ? { done: false, value: parts.shift() } : { done: true }),
+          releaseLock: jest.fn(),
+        }
+      },
+    })
+
+    expect(events).toEqual([{ event: 'token', data: { text: 'θ ≥ 0' } }])
+  })
+
+  it('should default the event name and pass through non-JSON data', async () => {
+    const events = await collect(createBody(['data: plain text\n\n']))
+
+    expect(events).toEqual([{ event: 'message', data: 'plain text' }])
+  })
+})
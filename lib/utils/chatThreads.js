@@ -0,0 +1,122 @@
+/**
+ * AI Tutor Chat Threads
+ *
+ * Conversation storage for /api/chat (chat_threads + chat_messages, migration 016)
+ * and helpers that turn a thread's history into model input.
+ * Functions take the signed-in user's client; RLS limits them to the user's own threads.
+ */
+
+// Messages replayed to the model on each turn (5 question/answer pairs)
+export const CHAT_HISTORY_LIMIT = 10;
+
+const THREAD_TITLE_LENGTH = 80;
+
+/**
+ * Thread title from its first question
+ * @param {string} question
+ * @returns {string}
+ */
+export function buildThreadTitle(question) {
+  const title = question.replace(/\s+/g, ' ').trim();
+  if (title.length <= THREAD_TITLE_LENGTH) return title;
+
+  return `${title.slice(0, THREAD_TITLE_LENGTH - 1).trimEnd()}…`;
+}
+
+/**
+ * Load the user's thread, or start a new one titled after the question
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} params
+ * @param {string} [params.threadId] - Existing thread to continue
+ * @param {string} params.userId
+ * @param {string} [params.courseId]
+ * @param {string} params.question
+ * @returns {Promise<Object|null>} The thread, or null if threadId isn't the user's
+ */
+export async function getOrCreateThread(supabase, { threadId, userId, courseId, question }) {
+  if (threadId) {
+    const { data: thread, error } = await supabase
+      .from('chat_threads')
+      .select('id, course_id, title')
+      .eq('id', threadId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return thread;
+  }
+
+  const { data: thread, error } = await supabase
+    .from('chat_threads')
+    .insert({
+      user_id: userId,
+      course_id: courseId || null,
+      title: buildThreadTitle(question),
+    })
+    .select('id, course_id, title')
+    .single();
+
+  if (error) throw error;
+  return thread;
+}
+
+/**
+ * Most recent messages of a thread, oldest first
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} threadId
+ * @param {number} [limit]
+ * @returns {Promise<Array<{ role: 'user'|'assistant', content: string }>>}
+ */
+export async function getThreadHistory(supabase, threadId, limit = CHAT_HISTORY_LIMIT) {
+  const { data, error } = await supabase
+    .from('chat_messages')
+    .select('role, content')
+    .eq('thread_id', threadId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return (data || []).reverse();
+}
+
+/**
+ * Store a message and bump the thread to the top of the list
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} threadId
+ * @param {Object} message
+ * @param {'user'|'assistant'} message.role
+ * @param {string} message.content
+ * @param {Array} [message.sources]
+ * @param {boolean} [message.cached]
+ * @returns {Promise<{ id: string, created_at: string }>}
+ */
+export async function appendChatMessage(supabase, threadId, { role, content, sources = [], cached = false }) {
+  const { data: message, error } = await supabase
+    .from('chat_messages')
+    .insert({ thread_id: threadId, role, content, sources, cached })
+    .select('id, created_at')
+    .single();
+
+  if (error) throw error;
+
+  await supabase
+    .from('chat_threads')
+    .update({ updated_at: message.created_at })
+    .eq('id', threadId);
+
+  return message;
+}
+
+/**
+ * Text to embed for retrieving course material
+ * Follow-ups ("explain the second step") say little on their own, so the
+ * previous question is included to keep retrieval on topic.
+ *
+ * @param {Array<{ role: 'user'|'assistant', content: string }>} history
+ * @param {string} question
+ * @returns {string}
+ */
+export function buildRetrievalQuery(history, question) {
+  const previousQuestion = [...history].reverse().find((message) => message.role === 'user');
+  return previousQuestion ? `${previousQuestion.content}\n${question}` : question;
+}
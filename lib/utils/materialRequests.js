@@ -0,0 +1,144 @@
+/**
+ * Material Request Utilities
+ *
+ * Shared validation and fulfilment helpers for the "Requested materials" board.
+ * Backed by the material_requests and material_request_upvotes tables
+ * (see supabase/migrations/004_storage_optimization_and_features.sql).
+ */
+
+import { canModerateCourse } from '@/lib/auth/permissions';
+
+export const REQUEST_URGENCY_LEVELS = ['low', 'normal', 'high'];
+export const REQUEST_MATERIAL_TYPES = ['pdf', 'docx', 'pptx', 'link', 'any'];
+export const REQUEST_STATUSES = ['open', 'fulfilled', 'closed'];
+
+/**
+ * Check whether a user can fulfil, close or reopen requests they did not
+ * create: admins, and class reps an admin assigned to the course
+ * @param {Object|null} access - From getAccess (withAuth's auth works too)
+ * @param {string} courseId - Course the request belongs to
+ * @returns {boolean}
+ */
+export function canManageRequests(access, courseId) {
+  return canModerateCourse(access, courseId);
+}
+
+/**
+ * Validate and normalise a create/update payload for a material request
+ * @param {Object} input - Raw request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow missing title (for updates)
+ * @returns {{ valid: boolean, error: string|null, data: Object }}
+ */
+export function validateMaterialRequest(input = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (input.title !== undefined || !partial) {
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (title.length < 3) {
+      return { valid: false, error: 'Title is required (minimum 3 characters)', data: null };
+    }
+    if (title.length > 150) {
+      return { valid: false, error: 'Title must be 150 characters or less', data: null };
+    }
+    data.title = title;
+  }
+
+  if (input.description !== undefined) {
+    const description = typeof input.description === 'string' ? input.description.trim() : '';
+    if (description.length > 1000) {
+      return { valid: false, error: 'Description must be 1000 characters or less', data: null };
+    }
+    data.description = description || null;
+  }
+
+  if (input.urgency !== undefined) {
+    if (!REQUEST_URGENCY_LEVELS.includes(input.urgency)) {
+      return { valid: false, error: 'Invalid urgency. Must be "low", "normal", or "high"', data: null };
+    }
+    data.urgency = input.urgency;
+  }
+
+  if (input.materialType !== undefined && input.materialType !== null) {
+    if (!REQUEST_MATERIAL_TYPES.includes(input.materialType)) {
+      return { valid: false, error: 'Invalid material type', data: null };
+    }
+    data.material_type = input.materialType;
+  }
+
+  if (input.topicId !== undefined) {
+    data.topic_id = input.topicId || null;
+  }
+
+  if (input.weekNumber !== undefined && input.weekNumber !== null && input.weekNumber !== '') {
+    const week = parseInt(input.weekNumber);
+    if (isNaN(week) || week < 1 || week > 20) {
+      return { valid: false, error: 'Week number must be between 1 and 20', data: null };
+    }
+    data.week_number = week;
+  }
+
+  if (input.yearLevel !== undefined && input.yearLevel !== null && input.yearLevel !== '') {
+    const year = parseInt(input.yearLevel);
+    if (isNaN(year) || year < 1 || year > 5) {
+      return { valid: false, error: 'Year level must be between 1 and 5', data: null };
+    }
+    data.year_level = year;
+  }
+
+  return { valid: true, error: null, data };
+}
+
+/**
+ * Mark a material request as fulfilled by linking it to an uploaded material
+ * Callers must check the acting user with canManageRequests() first.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {Object} params
+ * @param {string} params.requestId - material_requests.id
+ * @param {string} params.courseId - Course the material was uploaded to
+ * @param {string} params.materialId - Newly uploaded material ID
+ * @param {string} params.userId - User fulfilling the request
+ * @returns {Promise<{success: boolean, error: string|null, request: Object|null}>}
+ */
+export async function fulfillMaterialRequest(supabase, { requestId, courseId, materialId, userId }) {
+  if (!requestId || !materialId) {
+    return { success: false, error: 'Request ID and material ID are required', request: null };
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('material_requests')
+    .select('id, course_id, status, title')
+    .eq('id', requestId)
+    .single();
+
+  if (fetchError || !existing) {
+    return { success: false, error: 'Material request not found', request: null };
+  }
+
+  if (courseId && existing.course_id !== courseId) {
+    return { success: false, error: 'Material request belongs to a different course', request: null };
+  }
+
+  if (existing.status !== 'open') {
+    return { success: false, error: `Material request is already ${existing.status}`, request: null };
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('material_requests')
+    .update({
+      status: 'fulfilled',
+      fulfilled_by: userId || null,
+      fulfilled_material_id: materialId,
+      fulfilled_at: new Date().toISOString(),
+    })
+    .eq('id', requestId)
+    .select('id, title, status, fulfilled_material_id, fulfilled_at')
+    .single();
+
+  if (updateError) {
+    return { success: false, error: updateError.message, request: null };
+  }
+
+  return { success: true, error: null, request: updated };
+}
@@ -0,0 +1,116 @@
+/**
+ * AI Chat Question Quota
+ *
+ * Daily per-user question limits for /api/chat, tracked in user_question_count
+ * (one row per user per day). Limits depend on the user's role and subscription tier.
+ * Days roll over at midnight UTC, matching CURRENT_DATE on the database.
+ */
+
+// Questions per day by subscription tier (subscriptions.tier)
+export const DAILY_QUESTION_LIMITS = {
+  free: 10,
+  premium: 100,
+  class_rep: 50,
+};
+
+// Roles that get a better limit than their tier; null = unlimited.
+// Class reps only count once an admin assigns them a course (getGrantedRole)
+const ROLE_LIMITS = {
+  admin: null,
+  class_rep: DAILY_QUESTION_LIMITS.class_rep,
+};
+
+/**
+ * Today's date as stored in user_question_count.question_date (YYYY-MM-DD, UTC)
+ * @param {Date} now
+ * @returns {string}
+ */
+export function getQuotaDate(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * When the current quota window ends (next midnight UTC)
+ * @param {Date} now
+ * @returns {Date}
+ */
+export function getQuotaResetTime(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+/**
+ * Daily limit for a user - the more generous of their role and tier limits
+ * @param {Object} params
+ * @param {string} params.role - From getGrantedRole (lib/auth/permissions), not profiles.role
+ * @param {string} params.tier - Active subscription tier ('free' if none)
+ * @returns {number|null} Questions per day, or null for unlimited
+ */
+export function getDailyQuestionLimit({ role, tier = 'free' } = {}) {
+  if (ROLE_LIMITS[role] === null) return null;
+
+  const tierLimit = DAILY_QUESTION_LIMITS[tier] ?? DAILY_QUESTION_LIMITS.free;
+  const roleLimit = ROLE_LIMITS[role] ?? 0;
+
+  return Math.max(tierLimit, roleLimit);
+}
+
+/**
+ * Build the quota summary returned to the client
+ * @returns {{ limit: number|null, used: number, remaining: number|null, resetAt: string, unlimited: boolean }}
+ */
+export function buildQuotaStatus({ limit, used, now = new Date() }) {
+  return {
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(limit - used, 0),
+    resetAt: getQuotaResetTime(now).toISOString(),
+    unlimited: limit === null,
+  };
+}
+
+/**
+ * Read today's usage for a user without changing it
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {number|null} params.limit - From getDailyQuestionLimit()
+ * @returns {Promise<{ allowed: boolean, quota: Object }>}
+ */
+export async function getQuestionQuota(supabase, { userId, limit, now = new Date() }) {
+  const { data: row, error } = await supabase
+    .from('user_question_count')
+    .select('question_count')
+    .eq('user_id', userId)
+    .eq('question_date', getQuotaDate(now))
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const used = row?.question_count || 0;
+  const quota = buildQuotaStatus({ limit, used, now });
+
+  return { allowed: limit === null || used < limit, quota };
+}
+
+/**
+ * Count one question against today's quota (atomic, via increment_question_count)
+ * A request that loses a race past the limit gets allowed: false.
+ *
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - Service role client
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {number|null} params.limit - From getDailyQuestionLimit()
+ * @returns {Promise<{ allowed: boolean, quota: Object }>}
+ */
+export async function consumeQuestion(supabase, { userId, limit, now = new Date() }) {
+  const { data: used, error } = await supabase.rpc('increment_question_count', {
+    p_user_id: userId,
+    p_question_date: getQuotaDate(now),
+  });
+
+  if (error) throw error;
+
+  const quota = buildQuotaStatus({ limit, used, now });
+
+  return { allowed: limit === null || used <= limit, quota };
+}
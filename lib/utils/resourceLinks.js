@@ -0,0 +1,147 @@
+/**
+ * Resource Link Utilities
+ *
+ * Validation and URL helpers for external study links (YouTube lectures,
+ * Google Drive folders, other sites) stored in the resource_links table
+ * (see supabase/migrations/004_storage_optimization_and_features.sql).
+ */
+
+import { canModerateCourse } from '@/lib/auth/permissions';
+
+export const RESOURCE_LINK_TYPES = ['youtube', 'drive', 'external', 'other'];
+
+/**
+ * Check whether a user can edit/delete links they did not add:
+ * admins, and class reps an admin assigned to the course
+ * @param {Object|null} access - From getAccess (withAuth's auth works too)
+ * @param {string} courseId - Course the link belongs to
+ * @returns {boolean}
+ */
+export function canModerateLinks(access, courseId) {
+  return canModerateCourse(access, courseId);
+}
+
+/**
+ * Extract the video ID from any common YouTube URL format
+ * (watch?v=, youtu.be/, /embed/, /shorts/, /live/)
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function getYouTubeVideoId(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.replace(/^www\.|^m\./, '');
+
+    if (host === 'youtu.be') {
+      return parsed.pathname.slice(1).split('/')[0] || null;
+    }
+
+    if (host === 'youtube.com' || host === 'music.youtube.com') {
+      if (parsed.searchParams.get('v')) return parsed.searchParams.get('v');
+
+      const match = parsed.pathname.match(/^\/(embed|shorts|live)\/([^/?#]+)/);
+      if (match) return match[2];
+    }
+
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Work out the link_type for a URL
+ * @param {string} url
+ * @returns {'youtube'|'drive'|'external'}
+ */
+export function detectLinkType(url) {
+  try {
+    const host = new URL(url).hostname.replace(/^www\./, '');
+
+    if (host === 'youtu.be' || host.endsWith('youtube.com')) return 'youtube';
+    if (host === 'drive.google.com' || host === 'docs.google.com') return 'drive';
+
+    return 'external';
+  } catch {
+    return 'external';
+  }
+}
+
+/**
+ * Default thumbnail for a link (YouTube only - Drive thumbnails need auth)
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function getLinkThumbnail(url) {
+  const videoId = getYouTubeVideoId(url);
+  return videoId ? `https://img.youtube.com/vi/${videoId}/hqdefault.jpg` : null;
+}
+
+/**
+ * Validate and normalise a create/update payload for a resource link
+ * link_type and thumbnail_url are derived from the URL when not provided.
+ *
+ * @param {Object} input - Raw request body
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow missing title/url (for updates)
+ * @returns {{ valid: boolean, error: string|null, data: Object }}
+ */
+export function validateResourceLink(input = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (input.title !== undefined || !partial) {
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (title.length < 2) {
+      return { valid: false, error: 'Title is required', data: null };
+    }
+    if (title.length > 200) {
+      return { valid: false, error: 'Title must be 200 characters or less', data: null };
+    }
+    data.title = title;
+  }
+
+  if (input.url !== undefined || !partial) {
+    const url = typeof input.url === 'string' ? input.url.trim() : '';
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { valid: false, error: 'A valid URL is required', data: null };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return { valid: false, error: 'Only http and https links are allowed', data: null };
+    }
+    data.url = url;
+    data.link_type = detectLinkType(url);
+    data.thumbnail_url = getLinkThumbnail(url);
+  }
+
+  if (input.linkType !== undefined) {
+    if (!RESOURCE_LINK_TYPES.includes(input.linkType)) {
+      return { valid: false, error: 'Invalid link type', data: null };
+    }
+    data.link_type = input.linkType;
+  }
+
+  if (input.description !== undefined) {
+    const description = typeof input.description === 'string' ? input.description.trim() : '';
+    if (description.length > 1000) {
+      return { valid: false, error: 'Description must be 1000 characters or less', data: null };
+    }
+    data.description = description || null;
+  }
+
+  if (input.topicId !== undefined) {
+    data.topic_id = input.topicId || null;
+  }
+
+  if (input.duration !== undefined) {
+    data.duration = input.duration ? String(input.duration).trim().slice(0, 20) : null;
+  }
+
+  if (input.author !== undefined) {
+    data.author = input.author ? String(input.author).trim().slice(0, 100) : null;
+  }
+
+  return { valid: true, error: null, data };
+}
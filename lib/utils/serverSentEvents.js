@@ -0,0 +1,74 @@
+/**
+ * Server-Sent Events
+ *
+ * Encoding for streaming route handlers and a reader for fetch() responses.
+ * EventSource can't POST, so the chat page reads the stream itself.
+ *
+ * Wire format: "event: <name>\ndata: <json>\n\n"
+ */
+
+/**
+ * Encode one event
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serialisable payload
+ * @returns {string}
+ */
+export function encodeServerSentEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Parse one raw event block
+ * @param {string} block - Lines between blank-line separators
+ * @returns {{ event: string, data: * }|null}
+ */
+function parseEventBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+  }
+
+  if (dataLines.length === 0) return null;
+
+  const raw = dataLines.join('\n');
+  try {
+    return { event, data: JSON.parse(raw) };
+  } catch {
+    return { event, data: raw };
+  }
+}
+
+/**
+ * Read events from a streaming response body as they arrive
+ * @param {ReadableStream<Uint8Array>} body - response.body
+ * @returns {AsyncGenerator<{ event: string, data: * }>}
+ */
+export async function* readServerSentEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+        const parsed = parseEventBlock(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (parsed) yield parsed;
+      }
+    }
+
+    const parsed = parseEventBlock(buffer + decoder.decode());
+    if (parsed) yield parsed;
+  } finally {
+    reader.releaseLock();
+  }
+}
@@ -22,6 +22,9 @@ const nextConfig = {
   // Enable compression
   compress: true,
 
+  // Tesseract loads its worker script and WASM core from node_modules at runtime
+  serverExternalPackages: ['tesseract.js'],
+
   // Production source maps (disable for faster builds)
   productionBrowserSourceMaps: false,
 
@@ -91,6 +94,26 @@ export default bundleAnalyzer(withPWA({
         }
       }
     },
+    // Material thumbnails - CacheFirst, kept apart so previews don't evict cached PDFs
+    {
+      urlPattern: ({url}) => {
+        // R2 objects next to the original (lib/thumbnails/worker)
+        if (url.pathname.endsWith('.thumb.jpg')) return true;
+        // Private bucket: redirect route to a signed URL
+        return /^\/api\/materials\/[^/]+\/thumbnail$/.test(url.pathname);
+      },
+      handler: 'CacheFirst',
+      options: {
+        cacheName: 'thumbnail-cache',
+        expiration: {
+          maxEntries: 500,
+          maxAgeSeconds: 30 * 24 * 60 * 60 // 30 days
+        },
+        cacheableResponse: {
+          statuses: [0, 200]
+        }
+      }
+    },
     // PDFs from R2 - CacheFirst (aggressive caching for bandwidth savings)
     {
       urlPattern: ({url}) => {
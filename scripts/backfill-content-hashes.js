@@ -0,0 +1,148 @@
+/**
+ * Content Hash Backfill Script
+ *
+ * Hashes materials uploaded before content-hash deduplication so they are
+ * caught by duplicate checks and show up in the admin duplicates report.
+ *
+ * Usage:
+ *   node scripts/backfill-content-hashes.js [OPTIONS]
+ *
+ * Options:
+ *   --dry-run          Hash files and report duplicates without saving
+ *   --limit=N          Hash only N materials (default: all)
+ *
+ * Older PDFs were compressed before storage, so their hash is of the stored
+ * file. A re-upload of the original won't match them, but copies uploaded
+ * the same way will.
+ */
+
+import { config } from 'dotenv';
+config();
+
+import { createClient } from '@supabase/supabase-js';
+import { hashBuffer, hashR2Object } from '../lib/storage/dedup.js';
+
+const SUPABASE_BUCKET = 'course pdfs';
+const PAGE_SIZE = 100;
+
+// Lazy-initialize Supabase client to ensure env vars are loaded
+let supabase = null;
+
+function getSupabaseClient() {
+  if (!supabase && process.env.NEXT_PUBLIC_SUPABASE_URL) {
+    supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY
+    );
+  }
+  return supabase;
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const limit = limitArg ? parseInt(limitArg.split('=')[1]) : null;
+
+/**
+ * Hash a material's stored file
+ */
+async function hashMaterial(client, material) {
+  if (material.storage_location === 'r2') {
+    return hashR2Object(material.storage_path);
+  }
+
+  const { data, error } = await client.storage
+    .from(SUPABASE_BUCKET)
+    .download(material.storage_path);
+
+  if (error) throw error;
+  return hashBuffer(Buffer.from(await data.arrayBuffer()));
+}
+
+async function runBackfill() {
+  console.log('🔑 Content Hash Backfill\n');
+  console.log('================================\n');
+
+  const client = getSupabaseClient();
+  if (!client) {
+    console.log('❌ Supabase is not configured (NEXT_PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY).');
+    return;
+  }
+
+  if (dryRun) {
+    console.log('🔍 DRY RUN - hashes will not be saved\n');
+  }
+
+  // Soft-deleted materials are hashed too - they can be restored
+  const hashes = new Map();
+  let processed = 0;
+  let failed = 0;
+  let lastId = null;
+
+  while (limit === null || processed + failed < limit) {
+    const pageSize = limit === null ? PAGE_SIZE : Math.min(PAGE_SIZE, limit - processed - failed);
+    let query = client
+      .from('materials')
+      .select('id, title, course_id, storage_location, storage_path')
+      .is('content_hash', null)
+      .not('storage_path', 'is', null)
+      .order('id', { ascending: true })
+      .limit(pageSize);
+
+    // Keyset pagination - saved rows drop out of the filter, failed ones don't
+    if (lastId) query = query.gt('id', lastId);
+
+    const { data: materials, error } = await query;
+    if (error) throw error;
+    if (!materials.length) break;
+
+    for (const material of materials) {
+      lastId = material.id;
+
+      try {
+        const contentHash = await hashMaterial(client, material);
+
+        if (!dryRun) {
+          const { error: updateError } = await client
+            .from('materials')
+            .update({ content_hash: contentHash })
+            .eq('id', material.id);
+
+          if (updateError) throw updateError;
+        }
+
+        const copies = hashes.get(contentHash) || [];
+        copies.push(material);
+        hashes.set(contentHash, copies);
+
+        processed++;
+        console.log(`   ✅ ${material.title} → ${contentHash.slice(0, 12)}…`);
+      } catch (error) {
+        failed++;
+        console.error(`   ❌ ${material.title}: ${error.message}`);
+      }
+    }
+  }
+
+  const duplicates = [...hashes.values()].filter(copies => copies.length > 1);
+
+  console.log('\n================================\n');
+  console.log(`📊 Hashed ${processed} materials (${failed} failed)`);
+  console.log(`   ${duplicates.length} files uploaded more than once in this batch`);
+
+  duplicates.forEach(copies => {
+    console.log(`\n   • ${copies[0].title}`);
+    copies.forEach(copy => console.log(`     - ${copy.id} (course ${copy.course_id})`));
+  });
+
+  console.log('\nReview and merge duplicates at /admin/duplicates\n');
+}
+
+// Run backfill
+runBackfill()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('\n❌ Backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,44 @@
+-- Migration: Daily AI Chat Question Quota
+-- Description: Atomic counter for user_question_count (table created in 004) so
+--              concurrent chat requests can't slip past the daily limit, and
+--              no more direct writes to it by users.
+
+-- =====================================================
+-- Increment today's question count and return the new total
+-- =====================================================
+
+-- Uses the UNIQUE(user_id, question_date) constraint for an atomic upsert.
+-- question_date is passed in by the caller so the API and DB agree on "today".
+CREATE OR REPLACE FUNCTION increment_question_count(
+  p_user_id UUID,
+  p_question_date DATE DEFAULT CURRENT_DATE
+)
+RETURNS INTEGER
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  INSERT INTO user_question_count (user_id, question_date, question_count)
+  VALUES (p_user_id, p_question_date, 1)
+  ON CONFLICT (user_id, question_date)
+  DO UPDATE SET
+    question_count = user_question_count.question_count + 1,
+    updated_at = NOW()
+  RETURNING question_count;
+$$;
+
+-- Only the API (service role) may bump counters
+REVOKE EXECUTE ON FUNCTION increment_question_count(UUID, DATE) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION increment_question_count(UUID, DATE) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION increment_question_count(UUID, DATE) TO service_role;
+
+COMMENT ON FUNCTION increment_question_count(UUID, DATE) IS 'Atomically increments a user''s AI chat question count for the given day and returns the new count';
+
+-- =====================================================
+-- Counters are written only through increment_question_count
+-- =====================================================
+
+-- 004 let users insert and update their own row, so anyone could reset
+-- their count to 0 with the anon client. Reading it stays allowed.
+DROP POLICY IF EXISTS "Users can insert their own question count" ON user_question_count;
+DROP POLICY IF EXISTS "Users can update their own question count" ON user_question_count;
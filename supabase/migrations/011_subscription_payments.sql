@@ -0,0 +1,69 @@
+-- Migration: Subscription Payments (M-Pesa STK push)
+-- Description: Tracks checkout attempts against the subscriptions table from 004
+--              and relaxes its one-row-per-status constraint so users can renew
+--              and expire more than once.
+
+-- =====================================================
+-- PART 1: Allow subscription history
+-- =====================================================
+
+-- 004 used UNIQUE(user_id, status), which blocks a second 'expired' row.
+-- What we actually need is at most one ACTIVE subscription per user.
+ALTER TABLE subscriptions DROP CONSTRAINT IF EXISTS subscriptions_user_id_status_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscriptions_one_active_per_user
+ON subscriptions(user_id)
+WHERE status = 'active';
+
+-- =====================================================
+-- PART 2: Payment attempts
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS subscription_payments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL,
+
+  -- What was bought
+  plan_id TEXT NOT NULL,
+  tier TEXT NOT NULL CHECK (tier IN ('premium', 'class_rep')),
+  amount INTEGER NOT NULL, -- In KES
+  duration_days INTEGER NOT NULL,
+
+  -- Provider details
+  provider TEXT NOT NULL, -- 'mpesa' or 'mock'
+  phone_number TEXT,
+  checkout_request_id TEXT UNIQUE, -- Daraja CheckoutRequestID
+  merchant_request_id TEXT,
+  receipt_number TEXT, -- M-Pesa receipt, copied to subscriptions.payment_ref
+
+  -- Outcome
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'expired')),
+  result_code TEXT,
+  result_description TEXT,
+  raw_callback JSONB,
+
+  -- Timestamps
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_payments_user ON subscription_payments(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_subscription_payments_status ON subscription_payments(status, created_at);
+
+ALTER TABLE subscription_payments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own payments"
+ON subscription_payments FOR SELECT
+TO authenticated
+USING (auth.uid() = user_id);
+
+-- Inserts/updates happen in API routes with the service role
+CREATE POLICY "Service role can manage payments"
+ON subscription_payments FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+COMMENT ON TABLE subscription_payments IS 'One row per checkout attempt (STK push); completed payments activate or extend a subscription';
+COMMENT ON COLUMN subscription_payments.checkout_request_id IS 'Provider request ID used to match the async payment callback';
@@ -0,0 +1,150 @@
+-- Migration: Background Embedding Jobs
+-- Description: Queue for indexing materials into material_chunks. Upload
+--              completion and approval enqueue a job; a worker claims jobs,
+--              embeds in batches and swaps a material's chunks in one transaction.
+
+-- =====================================================
+-- PART 1: Job table (one row per material)
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS embedding_jobs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  material_id UUID NOT NULL UNIQUE REFERENCES materials(id) ON DELETE CASCADE,
+
+  -- queued -> processing -> completed | failed (after max_attempts) | skipped (unsupported type)
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'skipped')),
+
+  -- Retries with backoff
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  locked_at TIMESTAMP WITH TIME ZONE, -- Set while a worker holds the job
+  last_error TEXT,
+
+  -- Progress
+  chunks_total INTEGER DEFAULT 0,
+  chunks_done INTEGER DEFAULT 0,
+
+  -- Timestamps
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_embedding_jobs_runnable
+ON embedding_jobs(next_attempt_at)
+WHERE status = 'queued';
+
+ALTER TABLE embedding_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view embedding jobs"
+  ON embedding_jobs FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.id = auth.uid()
+      AND profiles.role = 'admin'
+    )
+  );
+
+CREATE POLICY "Service role can manage embedding jobs"
+  ON embedding_jobs FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- =====================================================
+-- PART 2: Claim runnable jobs
+-- =====================================================
+
+-- SKIP LOCKED lets overlapping workers (cron + upload trigger) run safely.
+-- Jobs stuck in 'processing' longer than p_lock_timeout (worker timed out)
+-- are picked up again while they have attempts left. A worker that dies on
+-- every attempt never reaches the retry logic, so once the attempts are used
+-- up the stale job is marked failed here instead.
+CREATE OR REPLACE FUNCTION claim_embedding_jobs(
+  p_limit INTEGER DEFAULT 1,
+  p_lock_timeout INTERVAL DEFAULT INTERVAL '10 minutes'
+)
+RETURNS SETOF embedding_jobs
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE embedding_jobs
+  SET
+    status = 'failed',
+    locked_at = NULL,
+    last_error = 'Worker timed out on the last attempt',
+    updated_at = NOW()
+  WHERE status = 'processing'
+    AND locked_at < NOW() - p_lock_timeout
+    AND attempts >= max_attempts;
+
+  RETURN QUERY
+  UPDATE embedding_jobs
+  SET
+    status = 'processing',
+    attempts = attempts + 1,
+    locked_at = NOW(),
+    updated_at = NOW()
+  WHERE id IN (
+    SELECT id FROM embedding_jobs
+    WHERE (status = 'queued' AND next_attempt_at <= NOW())
+       OR (status = 'processing' AND locked_at < NOW() - p_lock_timeout AND attempts < max_attempts)
+    ORDER BY next_attempt_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+END;
+$$;
+
+-- =====================================================
+-- PART 3: Swap a material's chunks atomically
+-- =====================================================
+
+-- p_chunks: [{ "chunk_text": "...", "chunk_index": 0, "page_number": 1, "embedding": [..] }]
+-- Runs in a single transaction, so a failed re-index never leaves a material
+-- with half of its old chunks and half of its new ones.
+CREATE OR REPLACE FUNCTION replace_material_chunks(
+  p_material_id UUID,
+  p_chunks JSONB
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  inserted_count INTEGER;
+BEGIN
+  DELETE FROM material_chunks WHERE material_id = p_material_id;
+
+  INSERT INTO material_chunks (material_id, chunk_text, chunk_index, page_number, embedding)
+  SELECT
+    p_material_id,
+    chunk->>'chunk_text',
+    (chunk->>'chunk_index')::INTEGER,
+    (chunk->>'page_number')::INTEGER,
+    (chunk->>'embedding')::vector
+  FROM jsonb_array_elements(p_chunks) AS chunk;
+
+  GET DIAGNOSTICS inserted_count = ROW_COUNT;
+  RETURN inserted_count;
+END;
+$$;
+
+-- Only the API (service role) runs the pipeline
+REVOKE EXECUTE ON FUNCTION claim_embedding_jobs(INTEGER, INTERVAL) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION claim_embedding_jobs(INTEGER, INTERVAL) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_embedding_jobs(INTEGER, INTERVAL) TO service_role;
+
+REVOKE EXECUTE ON FUNCTION replace_material_chunks(UUID, JSONB) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION replace_material_chunks(UUID, JSONB) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION replace_material_chunks(UUID, JSONB) TO service_role;
+
+COMMENT ON TABLE embedding_jobs IS 'Indexing queue for material_chunks; one row per material, re-enqueued on re-index';
+COMMENT ON FUNCTION claim_embedding_jobs(INTEGER, INTERVAL) IS 'Locks and returns up to p_limit runnable embedding jobs (queued and due, or stale processing with attempts left); fails stale jobs with none left';
+COMMENT ON FUNCTION replace_material_chunks(UUID, JSONB) IS 'Replaces all chunks of a material in one transaction and returns the number inserted';
@@ -0,0 +1,119 @@
+-- Migration: Page-aware Material Chunks
+-- Description: Chunks now record the page range they span and the section
+--              heading they sit under, so chat citations point at real pages.
+
+-- =====================================================
+-- PART 1: New chunk columns
+-- =====================================================
+
+-- page_number stays the first page of the chunk
+ALTER TABLE material_chunks ADD COLUMN IF NOT EXISTS page_end INTEGER;
+ALTER TABLE material_chunks ADD COLUMN IF NOT EXISTS heading TEXT;
+
+COMMENT ON COLUMN material_chunks.page_number IS 'First page the chunk covers (1-based)';
+COMMENT ON COLUMN material_chunks.page_end IS 'Last page the chunk covers (chunks can span a page break)';
+COMMENT ON COLUMN material_chunks.heading IS 'Nearest section heading above the chunk, if one was detected';
+
+-- =====================================================
+-- PART 2: Store the new fields when swapping chunks (replaces 012 version)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION replace_material_chunks(
+  p_material_id UUID,
+  p_chunks JSONB
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  inserted_count INTEGER;
+BEGIN
+  DELETE FROM material_chunks WHERE material_id = p_material_id;
+
+  INSERT INTO material_chunks (material_id, chunk_text, chunk_index, page_number, page_end, heading, embedding)
+  SELECT
+    p_material_id,
+    chunk->>'chunk_text',
+    (chunk->>'chunk_index')::INTEGER,
+    (chunk->>'page_number')::INTEGER,
+    COALESCE((chunk->>'page_end')::INTEGER, (chunk->>'page_number')::INTEGER),
+    chunk->>'heading',
+    (chunk->>'embedding')::vector
+  FROM jsonb_array_elements(p_chunks) AS chunk;
+
+  GET DIAGNOSTICS inserted_count = ROW_COUNT;
+  RETURN inserted_count;
+END;
+$$;
+
+-- =====================================================
+-- PART 3: Return source details from similarity search
+-- =====================================================
+
+-- The return type changes, so the old function has to be dropped first
+DROP FUNCTION IF EXISTS match_chunks(vector, FLOAT, INT, UUID);
+
+CREATE OR REPLACE FUNCTION match_chunks(
+  query_embedding vector(1536),
+  match_threshold FLOAT,
+  match_count INT,
+  filter_course_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  material_id UUID,
+  material_title TEXT,
+  chunk_text TEXT,
+  chunk_index INTEGER,
+  page_number INTEGER,
+  page_end INTEGER,
+  heading TEXT,
+  similarity FLOAT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    mc.id,
+    mc.material_id,
+    m.title AS material_title,
+    mc.chunk_text,
+    mc.chunk_index,
+    mc.page_number,
+    mc.page_end,
+    mc.heading,
+    1 - (mc.embedding <=> query_embedding) AS similarity
+  FROM material_chunks mc
+  JOIN materials m ON m.id = mc.material_id
+  WHERE m.status = 'approved'
+    AND m.deleted_at IS NULL
+    AND (filter_course_id IS NULL OR m.course_id = filter_course_id)
+    AND 1 - (mc.embedding <=> query_embedding) > match_threshold
+  ORDER BY mc.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
+
+GRANT EXECUTE ON FUNCTION match_chunks(vector, FLOAT, INT, UUID) TO anon, authenticated, service_role;
+
+-- =====================================================
+-- PART 4: Re-index existing materials (old chunks all say page 1)
+-- =====================================================
+
+UPDATE embedding_jobs
+SET status = 'queued',
+    attempts = 0,
+    next_attempt_at = NOW(),
+    last_error = NULL,
+    updated_at = NOW()
+WHERE status = 'completed';
+
+-- Approved PDFs indexed by the old synchronous route have no job yet
+INSERT INTO embedding_jobs (material_id)
+SELECT DISTINCT mc.material_id
+FROM material_chunks mc
+WHERE NOT EXISTS (SELECT 1 FROM embedding_jobs ej WHERE ej.material_id = mc.material_id)
+ON CONFLICT (material_id) DO NOTHING;
+
+COMMENT ON FUNCTION match_chunks(vector, FLOAT, INT, UUID) IS 'Cosine similarity search over approved materials, returning page range and heading for citations';
@@ -0,0 +1,16 @@
+-- Migration: Index Word and PowerPoint Materials
+-- Description: The embedding worker can now extract DOCX and PPTX files.
+--              Jobs skipped earlier as unsupported are queued again.
+
+UPDATE embedding_jobs ej
+SET status = 'queued',
+    attempts = 0,
+    next_attempt_at = NOW(),
+    last_error = NULL,
+    updated_at = NOW()
+FROM materials m
+WHERE m.id = ej.material_id
+  AND ej.status = 'skipped'
+  AND m.type IN ('docx', 'pptx')
+  AND m.status = 'approved'
+  AND m.deleted_at IS NULL;
@@ -0,0 +1,104 @@
+-- Migration: Material Text Layer and OCR
+-- Description: Stores the extracted text of every material page, whether it
+--              came from the file's own text layer or from OCR (scanned PDFs,
+--              photographed notes). The embedding worker writes it alongside
+--              material_chunks; full-text search reads it.
+
+-- =====================================================
+-- PART 1: Per-page text
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS material_pages (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  material_id UUID NOT NULL REFERENCES materials(id) ON DELETE CASCADE,
+  page_number INTEGER NOT NULL, -- 1-based; slide number for PPTX
+  text TEXT NOT NULL DEFAULT '',
+
+  -- 'text' = the file's own text layer, 'ocr' = recognised from the page image
+  source TEXT NOT NULL DEFAULT 'text' CHECK (source IN ('text', 'ocr')),
+  ocr_confidence REAL, -- Tesseract mean confidence (0-100), OCR pages only
+
+  search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(text, ''))) STORED,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE (material_id, page_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_material_pages_search
+ON material_pages USING GIN (search_vector);
+
+ALTER TABLE material_pages ENABLE ROW LEVEL SECURITY;
+
+-- Same visibility as the material itself
+CREATE POLICY "Material pages are viewable with their material"
+  ON material_pages FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM materials
+      WHERE materials.id = material_pages.material_id
+      AND (materials.status = 'approved' OR materials.user_id = auth.uid())
+    )
+  );
+
+CREATE POLICY "Service role can manage material pages"
+  ON material_pages FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- =====================================================
+-- PART 2: Swap a material's text layer in one transaction
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION replace_material_pages(
+  p_material_id UUID,
+  p_pages JSONB
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  inserted_count INTEGER;
+BEGIN
+  DELETE FROM material_pages WHERE material_id = p_material_id;
+
+  INSERT INTO material_pages (material_id, page_number, text, source, ocr_confidence)
+  SELECT
+    p_material_id,
+    (page->>'page_number')::INTEGER,
+    COALESCE(page->>'text', ''),
+    COALESCE(page->>'source', 'text'),
+    (page->>'ocr_confidence')::REAL
+  FROM jsonb_array_elements(p_pages) AS page;
+
+  GET DIAGNOSTICS inserted_count = ROW_COUNT;
+  RETURN inserted_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION replace_material_pages(UUID, JSONB) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION replace_material_pages(UUID, JSONB) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION replace_material_pages(UUID, JSONB) TO service_role;
+
+-- =====================================================
+-- PART 3: Re-index materials skipped for having no text
+-- =====================================================
+
+UPDATE embedding_jobs ej
+SET status = 'queued',
+    attempts = 0,
+    next_attempt_at = NOW(),
+    last_error = NULL,
+    updated_at = NOW()
+FROM materials m
+WHERE m.id = ej.material_id
+  AND ej.status = 'skipped'
+  AND m.type IN ('pdf', 'image')
+  AND m.status = 'approved'
+  AND m.deleted_at IS NULL;
+
+COMMENT ON TABLE material_pages IS 'Per-page text of each material (own text layer or OCR), used for full-text search';
+COMMENT ON FUNCTION replace_material_pages(UUID, JSONB) IS 'Replaces the text layer of a material in one transaction and returns the number of pages inserted';
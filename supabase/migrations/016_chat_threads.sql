@@ -0,0 +1,86 @@
+-- Migration: AI Tutor Chat Threads
+-- Description: Conversations with the course AI tutor, per user and course.
+--              The chat API replays recent messages so follow-up questions
+--              ("explain the second step") have context, and students can
+--              reopen past threads.
+
+-- =====================================================
+-- PART 1: Threads
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS chat_threads (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  course_id UUID REFERENCES courses(id) ON DELETE CASCADE,
+  title TEXT NOT NULL DEFAULT 'New conversation', -- First question, truncated
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW() -- Bumped on every message
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_threads_user_course
+ON chat_threads(user_id, course_id, updated_at DESC);
+
+-- =====================================================
+-- PART 2: Messages
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  thread_id UUID NOT NULL REFERENCES chat_threads(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  sources JSONB DEFAULT '[]'::jsonb, -- Citations shown under assistant answers
+  cached BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_thread
+ON chat_messages(thread_id, created_at);
+
+-- =====================================================
+-- PART 3: RLS - users only see their own conversations
+-- =====================================================
+
+ALTER TABLE chat_threads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE chat_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own chat threads"
+  ON chat_threads FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can create own chat threads"
+  ON chat_threads FOR INSERT
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update own chat threads"
+  ON chat_threads FOR UPDATE
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can delete own chat threads"
+  ON chat_threads FOR DELETE
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Users can view messages in own threads"
+  ON chat_messages FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM chat_threads
+      WHERE chat_threads.id = chat_messages.thread_id
+      AND chat_threads.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can add messages to own threads"
+  ON chat_messages FOR INSERT
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM chat_threads
+      WHERE chat_threads.id = chat_messages.thread_id
+      AND chat_threads.user_id = auth.uid()
+    )
+  );
+
+COMMENT ON TABLE chat_threads IS 'AI tutor conversations, one per user per topic of discussion within a course';
+COMMENT ON TABLE chat_messages IS 'Questions and answers in an AI tutor conversation, in created_at order';
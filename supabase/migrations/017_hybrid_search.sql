@@ -0,0 +1,162 @@
+-- Migration: Hybrid Material Search
+-- Description: Global search across all courses. Full-text search over
+--              material metadata (title, description, category) and page text
+--              runs alongside vector search over material_chunks; /api/search
+--              fuses the ranked lists.
+
+-- =====================================================
+-- PART 1: Full-text index over material metadata
+-- =====================================================
+
+-- Title outranks description, which outranks category ("past paper", "week 3", "2023")
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(description, '')), 'B') ||
+  setweight(to_tsvector('english',
+    COALESCE(replace(material_category, '_', ' '), '') || ' ' || COALESCE(category_metadata::text, '')
+  ), 'C')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_materials_search
+ON materials USING GIN (search_vector);
+
+-- =====================================================
+-- PART 2: Ranked candidates from each search method
+-- =====================================================
+
+-- Returns up to p_match_count materials per match_type, each ranked 1..n:
+--   'metadata' - full-text match on title/description/category
+--   'page'     - full-text match on page text (best page per material)
+--   'semantic' - nearest chunk embedding (best chunk per material)
+CREATE OR REPLACE FUNCTION search_material_candidates(
+  p_query TEXT,
+  p_query_embedding vector(1536) DEFAULT NULL,
+  p_course_id UUID DEFAULT NULL,
+  p_topic_id UUID DEFAULT NULL,
+  p_category TEXT DEFAULT NULL,
+  p_year INT DEFAULT NULL,
+  p_file_type TEXT DEFAULT NULL,
+  p_match_count INT DEFAULT 20,
+  p_min_similarity FLOAT DEFAULT 0.3
+)
+RETURNS TABLE (
+  match_type TEXT,
+  material_id UUID,
+  rank_position INTEGER,
+  score FLOAT,
+  page_number INTEGER,
+  page_end INTEGER,
+  heading TEXT,
+  snippet TEXT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH search_query AS (
+    SELECT websearch_to_tsquery('english', p_query) AS tsq
+  ),
+  filtered AS (
+    SELECT m.id, m.search_vector
+    FROM materials m
+    LEFT JOIN topics t ON t.id = m.topic_id
+    WHERE m.status = 'approved'
+      AND m.deleted_at IS NULL
+      AND (p_course_id IS NULL OR m.course_id = p_course_id)
+      AND (p_topic_id IS NULL OR m.topic_id = p_topic_id)
+      AND (p_category IS NULL OR m.material_category = p_category)
+      AND (p_year IS NULL OR t.year = p_year)
+      AND (p_file_type IS NULL OR m.type = p_file_type)
+  ),
+  metadata_hits AS (
+    SELECT f.id AS material_id, ts_rank_cd(f.search_vector, q.tsq) AS score
+    FROM filtered f, search_query q
+    WHERE f.search_vector @@ q.tsq
+    ORDER BY score DESC
+    LIMIT p_match_count
+  ),
+  best_pages AS (
+    SELECT DISTINCT ON (mp.material_id)
+      mp.material_id,
+      mp.page_number,
+      mp.text,
+      ts_rank_cd(mp.search_vector, q.tsq) AS score
+    FROM material_pages mp
+    JOIN filtered f ON f.id = mp.material_id
+    CROSS JOIN search_query q
+    WHERE mp.search_vector @@ q.tsq
+    ORDER BY mp.material_id, score DESC
+  ),
+  page_hits AS (
+    SELECT * FROM best_pages
+    ORDER BY score DESC
+    LIMIT p_match_count
+  ),
+  nearest_chunks AS (
+    SELECT
+      mc.material_id,
+      mc.page_number,
+      mc.page_end,
+      mc.heading,
+      mc.chunk_text,
+      1 - (mc.embedding <=> p_query_embedding) AS similarity
+    FROM material_chunks mc
+    JOIN filtered f ON f.id = mc.material_id
+    WHERE p_query_embedding IS NOT NULL
+    ORDER BY mc.embedding <=> p_query_embedding
+    LIMIT p_match_count * 5
+  ),
+  best_chunks AS (
+    SELECT DISTINCT ON (nc.material_id) nc.*
+    FROM nearest_chunks nc
+    WHERE nc.similarity > p_min_similarity
+    ORDER BY nc.material_id, nc.similarity DESC
+  ),
+  semantic_hits AS (
+    SELECT * FROM best_chunks
+    ORDER BY similarity DESC
+    LIMIT p_match_count
+  )
+  SELECT
+    'metadata',
+    mh.material_id,
+    (ROW_NUMBER() OVER (ORDER BY mh.score DESC))::INTEGER,
+    mh.score::FLOAT,
+    NULL::INTEGER,
+    NULL::INTEGER,
+    NULL::TEXT,
+    NULL::TEXT
+  FROM metadata_hits mh
+
+  UNION ALL
+
+  -- Headlines only for the pages returned; ts_headline is expensive
+  SELECT
+    'page',
+    ph.material_id,
+    (ROW_NUMBER() OVER (ORDER BY ph.score DESC))::INTEGER,
+    ph.score::FLOAT,
+    ph.page_number,
+    ph.page_number,
+    NULL::TEXT,
+    ts_headline('english', ph.text, q.tsq, 'StartSel=[[, StopSel=]], MaxWords=35, MinWords=15, MaxFragments=1')
+  FROM page_hits ph, search_query q
+
+  UNION ALL
+
+  SELECT
+    'semantic',
+    sh.material_id,
+    (ROW_NUMBER() OVER (ORDER BY sh.similarity DESC))::INTEGER,
+    sh.similarity,
+    sh.page_number,
+    sh.page_end,
+    sh.heading,
+    left(sh.chunk_text, 240)
+  FROM semantic_hits sh;
+$$;
+
+GRANT EXECUTE ON FUNCTION search_material_candidates(TEXT, vector, UUID, UUID, TEXT, INT, TEXT, INT, FLOAT) TO anon, authenticated, service_role;
+
+COMMENT ON COLUMN materials.search_vector IS 'Weighted full-text index of title (A), description (B) and category metadata (C)';
+COMMENT ON FUNCTION search_material_candidates(TEXT, vector, UUID, UUID, TEXT, INT, TEXT, INT, FLOAT) IS 'Per-method ranked candidates (metadata, page text, embeddings) for hybrid search; fused by /api/search';
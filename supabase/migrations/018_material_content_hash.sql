@@ -0,0 +1,54 @@
+-- Migration: Material Content Hashes
+-- Description: SHA-256 of every uploaded file, taken over the bytes the
+--              uploader sent (before any compression). Uploads reject a file
+--              that is already in the course and reuse the stored object when
+--              the same file exists in another course. Materials uploaded
+--              before this migration have no hash until
+--              scripts/backfill-content-hashes.js runs.
+
+-- =====================================================
+-- PART 1: Hash column
+-- =====================================================
+
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS content_hash TEXT
+  CHECK (content_hash IS NULL OR content_hash ~ '^[0-9a-f]{64}$');
+
+-- Not unique per course: existing duplicates must stay hashable so the
+-- duplicates report can find them
+CREATE INDEX IF NOT EXISTS idx_materials_content_hash
+ON materials(content_hash, course_id)
+WHERE content_hash IS NOT NULL;
+
+-- =====================================================
+-- PART 2: Duplicates report
+-- =====================================================
+
+-- Hashes held by more than one live material. same_course_count > 0 means
+-- at least one course has the file twice - those are the copies to merge.
+CREATE OR REPLACE FUNCTION find_duplicate_content_hashes(p_limit INT DEFAULT 100)
+RETURNS TABLE (
+  content_hash TEXT,
+  material_count INTEGER,
+  course_count INTEGER,
+  same_course_count INTEGER,
+  storage_object_count INTEGER
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    m.content_hash,
+    COUNT(*)::integer AS material_count,
+    COUNT(DISTINCT m.course_id)::integer AS course_count,
+    (COUNT(*) - COUNT(DISTINCT m.course_id))::integer AS same_course_count,
+    COUNT(DISTINCT m.storage_path)::integer AS storage_object_count
+  FROM materials m
+  WHERE m.content_hash IS NOT NULL
+    AND m.deleted_at IS NULL
+  GROUP BY m.content_hash
+  HAVING COUNT(*) > 1
+  ORDER BY (COUNT(*) - COUNT(DISTINCT m.course_id)) DESC, COUNT(*) DESC
+  LIMIT p_limit;
+$$;
+
+GRANT EXECUTE ON FUNCTION find_duplicate_content_hashes(INT) TO service_role;
@@ -0,0 +1,93 @@
+-- Migration: Material Similarity Fingerprints
+-- Description: Near-duplicate detection for materials that are the same
+--              document but not the same file - notes exported twice, or a
+--              paper scanned by two people. Each material gets a MinHash
+--              signature of its text and perceptual hashes of its first pages;
+--              look-alike pairs are queued for admin review.
+--              The embedding worker fingerprints materials as it indexes
+--              them; re-index older materials to include them.
+
+-- =====================================================
+-- PART 1: Fingerprints
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS material_fingerprints (
+  material_id UUID PRIMARY KEY REFERENCES materials(id) ON DELETE CASCADE,
+
+  -- MinHash over 3-word shingles (64 values); NULL when there is too little text
+  text_minhash INTEGER[],
+
+  -- 64-bit difference hashes (16 hex chars) of the image or first PDF pages
+  page_hashes TEXT[] NOT NULL DEFAULT '{}',
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE material_fingerprints ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage material fingerprints"
+  ON material_fingerprints FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- =====================================================
+-- PART 2: Review queue
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS material_duplicate_suspects (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+
+  -- Stored lowest id first so each pair has one row
+  material_a_id UUID NOT NULL REFERENCES materials(id) ON DELETE CASCADE,
+  material_b_id UUID NOT NULL REFERENCES materials(id) ON DELETE CASCADE,
+
+  similarity REAL NOT NULL CHECK (similarity >= 0 AND similarity <= 1),
+  method TEXT NOT NULL CHECK (method IN ('text', 'visual')),
+
+  -- 'dismissed' = not duplicates, 'resolved' = a copy was removed
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'dismissed', 'resolved')),
+  reviewed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE (material_a_id, material_b_id),
+  CHECK (material_a_id < material_b_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_duplicate_suspects_pending
+ON material_duplicate_suspects(similarity DESC)
+WHERE status = 'pending';
+
+ALTER TABLE material_duplicate_suspects ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view duplicate suspects"
+  ON material_duplicate_suspects FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.id = auth.uid()
+      AND profiles.role = 'admin'
+    )
+  );
+
+CREATE POLICY "Admins can review duplicate suspects"
+  ON material_duplicate_suspects FOR UPDATE
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.id = auth.uid()
+      AND profiles.role = 'admin'
+    )
+  );
+
+CREATE POLICY "Service role can manage duplicate suspects"
+  ON material_duplicate_suspects FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+COMMENT ON TABLE material_fingerprints IS 'MinHash and perceptual hashes per material for near-duplicate detection';
+COMMENT ON TABLE material_duplicate_suspects IS 'Pairs of materials that look like the same document, queued for admin review';
@@ -0,0 +1,39 @@
+-- Migration: Material Thumbnails
+-- Description: Preview images for material cards - the first page of PDFs and
+--              a downscaled copy of pictures, stored in R2 next to the
+--              original. Generated after upload completes; the
+--              generate-thumbnails cron retries failures and works through
+--              materials uploaded before this migration.
+
+-- =====================================================
+-- PART 1: Columns
+-- =====================================================
+
+ALTER TABLE materials
+  ADD COLUMN IF NOT EXISTS thumbnail_url TEXT,
+  ADD COLUMN IF NOT EXISTS thumbnail_path TEXT,
+  -- 'skipped' = no preview for this type (Word, PowerPoint)
+  ADD COLUMN IF NOT EXISTS thumbnail_status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (thumbnail_status IN ('pending', 'ready', 'failed', 'skipped')),
+  ADD COLUMN IF NOT EXISTS thumbnail_attempts INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN materials.thumbnail_url IS 'Preview image URL: public R2 URL, or /api/materials/{id}/thumbnail when the bucket is private';
+COMMENT ON COLUMN materials.thumbnail_path IS 'R2 key of the preview image - shared by materials that share storage_path';
+
+-- =====================================================
+-- PART 2: Worker queue index
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_materials_thumbnail_queue
+  ON materials(created_at DESC)
+  WHERE thumbnail_status IN ('pending', 'failed') AND deleted_at IS NULL;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+
+-- Check progress:
+-- SELECT thumbnail_status, COUNT(*) FROM materials GROUP BY thumbnail_status;
+
+-- Retry materials that gave up:
+-- UPDATE materials SET thumbnail_status = 'pending', thumbnail_attempts = 0 WHERE thumbnail_status = 'failed';
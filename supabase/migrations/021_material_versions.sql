@@ -0,0 +1,181 @@
+-- Migration: Material Versions
+-- Description: Revision history for materials. A corrected file is uploaded
+--              as a new version of the existing material instead of a new
+--              material, so its id, links and download counts are kept.
+--              Every version's file stays in storage and can still be opened;
+--              materials always points at the current one.
+
+-- =====================================================
+-- PART 1: Versions
+-- =====================================================
+
+ALTER TABLE materials
+  ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+
+COMMENT ON COLUMN materials.current_version IS 'version_number of the material_versions row the file columns point at';
+
+CREATE TABLE IF NOT EXISTS material_versions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  material_id UUID NOT NULL REFERENCES materials(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL CHECK (version_number > 0),
+
+  -- The file as it was for this version (same meaning as on materials)
+  type TEXT,
+  storage_location TEXT,
+  storage_path TEXT,
+  file_url TEXT,
+  file_size BIGINT,
+  content_hash TEXT,
+
+  -- What changed, as told by the uploader ("Fixed Q3 marking scheme")
+  change_note TEXT,
+  uploaded_by TEXT,
+  user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE (material_id, version_number)
+);
+
+-- isStoragePathShared() checks versions too before deleting an object
+CREATE INDEX IF NOT EXISTS idx_material_versions_storage_path
+ON material_versions(storage_path)
+WHERE storage_path IS NOT NULL;
+
+ALTER TABLE material_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view versions of approved materials"
+  ON material_versions FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM materials
+      WHERE materials.id = material_versions.material_id
+      AND materials.deleted_at IS NULL
+      AND (materials.status = 'approved' OR materials.user_id = auth.uid())
+    )
+  );
+
+CREATE POLICY "Service role can manage material versions"
+  ON material_versions FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+COMMENT ON TABLE material_versions IS 'Revision history of materials - one row per uploaded file, including the current one';
+
+-- =====================================================
+-- PART 2: Version 1 for every material
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION record_first_material_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO material_versions (
+    material_id, version_number, type, storage_location, storage_path,
+    file_url, file_size, content_hash, uploaded_by, user_id, created_at
+  )
+  VALUES (
+    NEW.id, 1, NEW.type, NEW.storage_location, NEW.storage_path,
+    NEW.file_url, NEW.file_size, NEW.content_hash, NEW.uploaded_by, NEW.user_id, NEW.created_at
+  )
+  ON CONFLICT (material_id, version_number) DO NOTHING;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_material_created_record_version ON materials;
+CREATE TRIGGER on_material_created_record_version
+  AFTER INSERT ON materials
+  FOR EACH ROW
+  EXECUTE FUNCTION record_first_material_version();
+
+-- Existing materials
+INSERT INTO material_versions (
+  material_id, version_number, type, storage_location, storage_path,
+  file_url, file_size, content_hash, uploaded_by, user_id, created_at
+)
+SELECT
+  id, 1, type, storage_location, storage_path,
+  file_url, file_size, content_hash, uploaded_by, user_id, created_at
+FROM materials
+ON CONFLICT (material_id, version_number) DO NOTHING;
+
+-- =====================================================
+-- PART 3: Adding a version
+-- =====================================================
+
+-- Records the next version and points the material at it in one transaction,
+-- so two revisions uploaded at once can't both become "version 2"
+CREATE OR REPLACE FUNCTION add_material_version(
+  p_material_id UUID,
+  p_type TEXT,
+  p_storage_location TEXT,
+  p_storage_path TEXT,
+  p_file_url TEXT,
+  p_file_size BIGINT,
+  p_content_hash TEXT,
+  p_change_note TEXT,
+  p_uploaded_by TEXT,
+  p_user_id UUID
+)
+RETURNS material_versions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_next INTEGER;
+  v_version material_versions;
+BEGIN
+  SELECT current_version + 1 INTO v_next
+  FROM materials
+  WHERE id = p_material_id AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF v_next IS NULL THEN
+    RAISE EXCEPTION 'Material % not found', p_material_id USING ERRCODE = 'P0002';
+  END IF;
+
+  INSERT INTO material_versions (
+    material_id, version_number, type, storage_location, storage_path,
+    file_url, file_size, content_hash, change_note, uploaded_by, user_id
+  )
+  VALUES (
+    p_material_id, v_next, p_type, p_storage_location, p_storage_path,
+    p_file_url, p_file_size, p_content_hash, p_change_note, p_uploaded_by, p_user_id
+  )
+  RETURNING * INTO v_version;
+
+  -- New file, so the preview has to be redrawn
+  UPDATE materials
+  SET current_version = v_next,
+      type = p_type,
+      storage_location = p_storage_location,
+      storage_path = p_storage_path,
+      file_url = p_file_url,
+      file_size = p_file_size,
+      content_hash = p_content_hash,
+      thumbnail_status = 'pending',
+      thumbnail_attempts = 0
+  WHERE id = p_material_id;
+
+  RETURN v_version;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION add_material_version(UUID, TEXT, TEXT, TEXT, TEXT, BIGINT, TEXT, TEXT, TEXT, UUID) TO service_role;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+
+-- Every material has its current version recorded:
+-- SELECT COUNT(*) FROM materials m
+-- WHERE NOT EXISTS (
+--   SELECT 1 FROM material_versions v
+--   WHERE v.material_id = m.id AND v.version_number = m.current_version
+-- );
+
+-- Materials with revisions:
+-- SELECT material_id, MAX(version_number) FROM material_versions GROUP BY material_id HAVING MAX(version_number) > 1;
@@ -0,0 +1,49 @@
+-- Migration: Upload Moderation
+-- Description: Uploads are no longer approved automatically. The initial
+--              status comes from lib/moderation/policy.js, using the
+--              uploader's role, account age and upload history, and the
+--              course's moderation mode set here. Rejected uploads keep the
+--              reason so the uploader can see it on their profile.
+
+-- =====================================================
+-- PART 1: Per-course moderation mode
+-- =====================================================
+
+-- 'open'    = every upload is approved immediately
+-- 'trusted' = admins, class reps of the course and uploaders with a good
+--             track record are approved; everyone else waits for review
+-- 'manual'  = everything but admin uploads waits for review
+ALTER TABLE courses
+  ADD COLUMN IF NOT EXISTS moderation_mode TEXT NOT NULL DEFAULT 'trusted'
+    CHECK (moderation_mode IN ('open', 'trusted', 'manual'));
+
+COMMENT ON COLUMN courses.moderation_mode IS 'How uploads to this course are approved: open, trusted (default) or manual';
+
+-- =====================================================
+-- PART 2: Rejection reason
+-- =====================================================
+
+-- /admin/pending already wrote this; make sure it exists everywhere
+ALTER TABLE materials
+  ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+
+COMMENT ON COLUMN materials.rejection_reason IS 'Why a moderator rejected the upload - shown to the uploader on their profile';
+
+-- =====================================================
+-- PART 3: Upload history lookups
+-- =====================================================
+
+-- The policy counts an uploader's approved and rejected materials on every upload
+CREATE INDEX IF NOT EXISTS idx_materials_user_status
+  ON materials(user_id, status)
+  WHERE user_id IS NOT NULL;
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+
+-- Courses by mode:
+-- SELECT moderation_mode, COUNT(*) FROM courses GROUP BY moderation_mode;
+
+-- Review queue:
+-- SELECT status, COUNT(*) FROM materials WHERE deleted_at IS NULL GROUP BY status;
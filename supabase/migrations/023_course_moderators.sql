@@ -0,0 +1,119 @@
+-- Migration: Course Moderators
+-- Description: Class reps can be made moderators of a course. A moderator can
+--              approve, reject, edit, categorise and soft-delete the materials
+--              and topics of that course, and nothing else. Admins grant and
+--              revoke assignments on /admin/courses. The checks live in
+--              lib/auth/permissions.js; writes go through the service role.
+
+-- =====================================================
+-- PART 1: Assignments
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS course_moderators (
+  course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  granted_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  PRIMARY KEY (course_id, user_id)
+);
+
+-- getAccess() looks up a user's courses on every moderation request
+CREATE INDEX IF NOT EXISTS idx_course_moderators_user
+ON course_moderators(user_id);
+
+COMMENT ON TABLE course_moderators IS 'Class reps who moderate a course - see lib/auth/permissions.js';
+
+-- =====================================================
+-- PART 2: Helper
+-- =====================================================
+
+-- SECURITY DEFINER so policies can call it without recursing into RLS
+CREATE OR REPLACE FUNCTION is_course_moderator(course_uuid UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM course_moderators
+    WHERE course_id = course_uuid
+    AND user_id = auth.uid()
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- PART 3: Row Level Security
+-- =====================================================
+
+ALTER TABLE course_moderators ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own moderator assignments"
+  ON course_moderators FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "Admins can view moderator assignments"
+  ON course_moderators FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles
+      WHERE profiles.id = auth.uid()
+      AND profiles.role = 'admin'
+    )
+  );
+
+CREATE POLICY "Service role can manage moderator assignments"
+  ON course_moderators FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Moderators review pending and rejected uploads in their courses
+CREATE POLICY "Course moderators can view materials in their courses"
+  ON materials FOR SELECT
+  USING (is_course_moderator(course_id));
+
+-- =====================================================
+-- PART 4: Only the service role changes profiles.role
+-- =====================================================
+
+-- 003's "Users can update own profile" covers every column, and getAccess()
+-- trusts profiles.role = 'admin'. Without this any user could make
+-- themselves an admin with the anon client. Role changes made for users
+-- (e.g. declaring yourself a class rep) go through /api/user/role.
+CREATE OR REPLACE FUNCTION protect_profile_role()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Requests signed with a user's (or the anon) key; the service role,
+  -- migrations and the SQL editor pass
+  IF COALESCE(auth.role(), '') NOT IN ('authenticated', 'anon') THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' AND NEW.role IS DISTINCT FROM 'student' THEN
+    RAISE EXCEPTION 'New profiles start as students' USING ERRCODE = '42501';
+  END IF;
+
+  IF TG_OP = 'UPDATE' AND NEW.role IS DISTINCT FROM OLD.role THEN
+    RAISE EXCEPTION 'profiles.role can only be changed by the service role' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS protect_profile_role ON profiles;
+CREATE TRIGGER protect_profile_role
+  BEFORE INSERT OR UPDATE OF role ON profiles
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_profile_role();
+
+-- =====================================================
+-- VERIFICATION QUERIES
+-- =====================================================
+
+-- Admins (check nobody promoted themselves before this migration):
+-- SELECT id, email, full_name, updated_at FROM profiles WHERE role = 'admin';
+
+-- Moderators per course:
+-- SELECT c.course_name, p.full_name, cm.created_at
+-- FROM course_moderators cm
+-- JOIN courses c ON c.id = cm.course_id
+-- JOIN profiles p ON p.id = cm.user_id
+-- ORDER BY c.course_name;
@@ -0,0 +1,34 @@
+/**
+ * Custom service worker code
+ * next-pwa bundles this directory into the generated sw.js (customWorkerDir),
+ * so imports must be relative - the @/ alias isn't available here
+ */
+
+import {
+  UPLOAD_SYNC_TAG,
+  UPLOAD_QUEUE_MESSAGE,
+  processUploadQueue,
+  onUploadEvent,
+} from '../lib/uploadQueue';
+
+// Relay queue events to open tabs so components/UploadQueue.jsx keeps updating
+onUploadEvent((event, data) => {
+  // Leave the file itself out of the message
+  const upload = data ? { ...data, file_blob: undefined } : data;
+
+  self.clients.matchAll({ type: 'window' }).then((clients) => {
+    clients.forEach((client) => client.postMessage({ type: UPLOAD_QUEUE_MESSAGE, event, data: upload }));
+  });
+});
+
+// Finish queued uploads after the tab closes or when connectivity returns
+self.addEventListener('sync', (event) => {
+  if (event.tag !== UPLOAD_SYNC_TAG) return;
+
+  event.waitUntil(processUploadQueue().then((drained) => {
+    // Rejecting tells the browser to fire the sync again later
+    if (!drained) {
+      throw new Error('Uploads still queued');
+    }
+  }));
+});